@@ -0,0 +1,555 @@
+/**
+ * Scheduled backups of every vault to a folder of the user's choosing. The
+ * main process decides when a backup is due and owns the files; the renderer,
+ * which can open vaults, hands back each vault as an export encrypted with
+ * `encryptExportData` and the backup password. Restoring decrypts here, so
+ * the stored password never reaches the renderer.
+ *
+ * A backup is one JSON file holding the encrypted export of every vault.
+ * Backups made on every change only export the active vault, the other vaults
+ * are carried over from the previous backup, so a change never switches
+ * vaults under the user.
+ */
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const BACKUP_FORMAT = 'pearpass-backup'
+const BACKUP_VERSION = 1
+
+const BACKUP_FILE_PATTERN = /^PearPass_Backup_[\dTZ-]+\.json$/
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const BACKUP_INTERVALS_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+}
+
+// Quiet period after a change before backing up, so editing a record or
+// importing a file makes one backup
+const CHANGE_DELAY_MS = 30 * 1000
+
+// A backup that failed, most often because the app was locked, is tried
+// again after this long
+const RETRY_DELAY_MS = 15 * 60 * 1000
+
+// setTimeout fires at once past this
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1
+
+const SNAPSHOT_TIMEOUT_MS = 5 * 60 * 1000
+
+// Vault client calls that change the active vault
+const BACKUP_CHANGE_METHODS = [
+  'activeVaultAdd',
+  'activeVaultRemove',
+  'activeVaultAddFile',
+  'activeVaultRemoveFile'
+]
+
+const BACKUP_ERRORS = {
+  NOT_CONFIGURED: 'BACKUP_NOT_CONFIGURED',
+  NOT_FOUND: 'BACKUP_NOT_FOUND',
+  INVALID: 'BACKUP_INVALID',
+  UNAVAILABLE: 'BACKUP_UNAVAILABLE',
+  WRONG_PASSWORD: 'BACKUP_WRONG_PASSWORD'
+}
+
+/**
+ * @typedef {Object} BackupVault
+ * @property {string} id
+ * @property {string} name
+ * @property {number} backedUpAt - When this vault was exported
+ * @property {unknown} data - Output of encryptExportData
+ */
+
+/**
+ * @typedef {Object} BackupSnapshot
+ * @property {string} format
+ * @property {number} version
+ * @property {number} createdAt
+ * @property {BackupVault[]} vaults
+ */
+
+/**
+ * @typedef {Object} BackupSettings
+ * @property {'off' | 'daily' | 'weekly' | 'change'} frequency
+ * @property {string | null} directory
+ * @property {number} retentionCount
+ * @property {number | null} passwordSetAt
+ */
+
+/**
+ * @typedef {Object} SnapshotResult
+ * @property {Omit<BackupVault, 'backedUpAt'>[]} vaults - Vaults exported now
+ * @property {string[]} vaultIds - Every vault there is, exported or not
+ */
+
+/**
+ * @param {string} message
+ * @param {string} code
+ */
+const backupError = (message, code) =>
+  Object.assign(new Error(message), { code })
+
+/**
+ * @param {number} time
+ * @returns {string}
+ */
+const getBackupFileName = (time) =>
+  `PearPass_Backup_${new Date(time).toISOString().replace(/[:.]/g, '-')}.json`
+
+/**
+ * @param {any} vault
+ * @returns {boolean}
+ */
+const isBackupVault = (vault) =>
+  typeof vault?.id === 'string' &&
+  typeof vault.name === 'string' &&
+  vault.data !== undefined
+
+/**
+ * @param {any} snapshot
+ * @returns {boolean}
+ */
+const isBackupSnapshot = (snapshot) =>
+  snapshot?.format === BACKUP_FORMAT &&
+  typeof snapshot.createdAt === 'number' &&
+  Array.isArray(snapshot.vaults) &&
+  snapshot.vaults.every(isBackupVault)
+
+/**
+ * Asks the renderer for the encrypted exports, one request at a time
+ * @param {Object} options
+ * @param {(channel: string, payload: unknown) => boolean} options.send
+ * @param {number} [options.timeoutMs]
+ */
+function createSnapshotBroker({ send, timeoutMs = SNAPSHOT_TIMEOUT_MS }) {
+  /** @type {Map<string, (result: { vaults?: any[], vaultIds?: string[], error?: string }) => void>} */
+  const pending = new Map()
+  let queue = Promise.resolve()
+
+  /**
+   * @param {{ password: string, allVaults: boolean }} request
+   * @returns {Promise<SnapshotResult>}
+   */
+  const ask = (request) =>
+    new Promise((resolve, reject) => {
+      const id = crypto.randomUUID()
+      const settle = (result) => {
+        clearTimeout(timer)
+        pending.delete(id)
+        if (result.error || !Array.isArray(result.vaults)) {
+          reject(
+            backupError(
+              result.error || 'PearPass did not return the vaults',
+              BACKUP_ERRORS.UNAVAILABLE
+            )
+          )
+          return
+        }
+        resolve({
+          vaults: result.vaults.filter(
+            (vault) => typeof vault?.id === 'string' && vault.data !== undefined
+          ),
+          vaultIds: Array.isArray(result.vaultIds)
+            ? result.vaultIds.filter((vaultId) => typeof vaultId === 'string')
+            : result.vaults.map((vault) => vault?.id)
+        })
+      }
+      const timer = setTimeout(
+        () => settle({ error: 'PearPass did not answer in time' }),
+        timeoutMs
+      )
+      pending.set(id, settle)
+
+      if (!send('backup:snapshot-request', { id, ...request })) {
+        settle({ error: 'PearPass is not open' })
+      }
+    })
+
+  return {
+    /**
+     * @param {{ password: string, allVaults: boolean }} request
+     * @returns {Promise<SnapshotResult>}
+     */
+    request(request) {
+      const result = queue.then(() => ask(request))
+      queue = result.catch(() => {})
+      return result
+    },
+
+    /**
+     * @param {string} id
+     * @param {{ vaults?: any[], vaultIds?: string[], error?: string }} result
+     */
+    respond(id, result) {
+      pending.get(id)?.(result ?? {})
+    },
+
+    cancelAll() {
+      for (const settle of [...pending.values()]) {
+        settle({ error: 'PearPass closed' })
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {() => BackupSettings} options.getSettings
+ * @param {() => string | null} options.getPassword
+ * @param {(request: { password: string, allVaults: boolean }) => Promise<SnapshotResult>} options.requestSnapshot
+ * @param {(data: unknown, password: string) => Promise<unknown>} options.decrypt - Reverses encryptExportData
+ * @param {{ info: (...args: any[]) => void, warn: (...args: any[]) => void }} options.logger
+ * @param {() => number} [options.now]
+ */
+function createBackupScheduler({
+  getSettings,
+  getPassword,
+  requestSnapshot,
+  decrypt,
+  logger,
+  now = Date.now
+}) {
+  let scheduleTimer = null
+  let changeTimer = null
+  let isRunning = false
+  let lastError = null
+  let lastAttemptAt = null
+  let nextBackupAt = null
+  // Backups run one at a time, a change during a backup waits for it
+  let queue = Promise.resolve()
+
+  /**
+   * @param {string} directory
+   * @returns {Promise<string[]>} Backup file names, newest first
+   */
+  async function listFileNames(directory) {
+    let names
+    try {
+      names = await fs.promises.readdir(directory)
+    } catch {
+      return []
+    }
+    return names
+      .filter((name) => BACKUP_FILE_PATTERN.test(name))
+      .sort()
+      .reverse()
+  }
+
+  /**
+   * @param {string} directory
+   * @param {string} fileName
+   * @returns {Promise<BackupSnapshot>}
+   */
+  async function readFile(directory, fileName) {
+    if (path.basename(fileName) !== fileName) {
+      throw backupError(`No backup ${fileName}`, BACKUP_ERRORS.NOT_FOUND)
+    }
+    let raw
+    try {
+      raw = await fs.promises.readFile(path.join(directory, fileName), 'utf8')
+    } catch {
+      throw backupError(`No backup ${fileName}`, BACKUP_ERRORS.NOT_FOUND)
+    }
+    let snapshot
+    try {
+      snapshot = JSON.parse(raw)
+    } catch {
+      snapshot = null
+    }
+    if (!isBackupSnapshot(snapshot)) {
+      throw backupError(
+        `${fileName} is not a PearPass backup`,
+        BACKUP_ERRORS.INVALID
+      )
+    }
+    return snapshot
+  }
+
+  /**
+   * @param {string} fileName
+   * @returns {Promise<BackupSnapshot>}
+   */
+  async function readBackup(fileName) {
+    const { directory } = getSettings()
+    if (!directory || !BACKUP_FILE_PATTERN.test(fileName)) {
+      throw backupError(`No backup ${fileName}`, BACKUP_ERRORS.NOT_FOUND)
+    }
+    return readFile(directory, fileName)
+  }
+
+  /**
+   * @param {string} directory
+   * @returns {Promise<{ fileName: string, createdAt: number, vaults: { id: string, name: string, backedUpAt: number }[] }[]>}
+   */
+  async function listBackups(directory) {
+    const backups = []
+    for (const fileName of await listFileNames(directory)) {
+      try {
+        const snapshot = await readFile(directory, fileName)
+        backups.push({
+          fileName,
+          createdAt: snapshot.createdAt,
+          vaults: snapshot.vaults.map(({ id, name, backedUpAt }) => ({
+            id,
+            name,
+            backedUpAt: backedUpAt ?? snapshot.createdAt
+          }))
+        })
+      } catch (error) {
+        logger.warn('BACKUPS', `Skipping ${fileName}:`, error.message)
+      }
+    }
+    return backups
+  }
+
+  /**
+   * Removes the oldest backups past the retention count
+   * @param {BackupSettings} settings
+   */
+  async function prune({ directory, retentionCount }) {
+    if (!directory) return
+    const stale = (await listFileNames(directory)).slice(retentionCount)
+    for (const fileName of stale) {
+      await fs.promises.rm(path.join(directory, fileName), { force: true })
+    }
+  }
+
+  /**
+   * The vaults of the newest backup that are not exported this time, as long
+   * as they still exist and were encrypted with the current password
+   * @param {BackupSettings} settings
+   * @param {SnapshotResult} result
+   * @returns {Promise<BackupVault[]>}
+   */
+  async function getCarriedVaults(settings, result) {
+    const [newest] = await listFileNames(settings.directory)
+    if (!newest) return []
+
+    let previous
+    try {
+      previous = await readFile(settings.directory, newest)
+    } catch {
+      return []
+    }
+    if (previous.createdAt < (settings.passwordSetAt ?? 0)) return []
+
+    const exportedIds = new Set(result.vaults.map((vault) => vault.id))
+    return previous.vaults.filter(
+      (vault) =>
+        result.vaultIds.includes(vault.id) && !exportedIds.has(vault.id)
+    )
+  }
+
+  /**
+   * @param {boolean} allVaults
+   * @returns {Promise<string>} Name of the written file
+   */
+  async function writeBackup(allVaults) {
+    const settings = getSettings()
+    const password = getPassword()
+    if (!settings.directory || !password) {
+      throw backupError(
+        'Choose a backup folder and password first',
+        BACKUP_ERRORS.NOT_CONFIGURED
+      )
+    }
+
+    const result = await requestSnapshot({ password, allVaults })
+    const createdAt = now()
+    /** @type {BackupSnapshot} */
+    const snapshot = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt,
+      vaults: [
+        ...result.vaults.map(({ id, name, data }) => ({
+          id,
+          name: typeof name === 'string' ? name : '',
+          backedUpAt: createdAt,
+          data
+        })),
+        ...(await getCarriedVaults(settings, result))
+      ]
+    }
+
+    await fs.promises.mkdir(settings.directory, { recursive: true })
+    const fileName = getBackupFileName(createdAt)
+    const filePath = path.join(settings.directory, fileName)
+    // Written next to the backups and renamed, so a crash never leaves half
+    // a backup that looks complete
+    const partialPath = `${filePath}.partial`
+    await fs.promises.writeFile(partialPath, JSON.stringify(snapshot), {
+      encoding: 'utf8',
+      mode: 0o600
+    })
+    await fs.promises.rename(partialPath, filePath)
+    await prune(settings)
+
+    logger.info(
+      'BACKUPS',
+      `Backed up ${snapshot.vaults.length} vault(s) to ${fileName}`
+    )
+    return fileName
+  }
+
+  /**
+   * @param {boolean} allVaults
+   */
+  function run(allVaults) {
+    const task = queue.then(async () => {
+      isRunning = true
+      lastAttemptAt = now()
+      try {
+        await writeBackup(allVaults)
+        lastError = null
+      } catch (error) {
+        lastError = error?.message || String(error)
+        logger.warn('BACKUPS', 'Backup failed:', lastError)
+      } finally {
+        isRunning = false
+        await schedule()
+      }
+    })
+    queue = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * Arms the timer for the next daily or weekly backup
+   */
+  async function schedule() {
+    clearTimeout(scheduleTimer)
+    scheduleTimer = null
+    nextBackupAt = null
+
+    const settings = getSettings()
+    const interval = BACKUP_INTERVALS_MS[settings.frequency]
+    if (!interval || !settings.directory || !getPassword()) return
+
+    const [newest] = await listBackups(settings.directory)
+    let dueAt = newest ? newest.createdAt + interval : now()
+    if (lastError && lastAttemptAt !== null) {
+      dueAt = Math.max(dueAt, lastAttemptAt + RETRY_DELAY_MS)
+    }
+    nextBackupAt = dueAt
+
+    scheduleTimer = setTimeout(
+      () => {
+        scheduleTimer = null
+        if (now() >= dueAt) {
+          void run(true)
+        } else {
+          void schedule()
+        }
+      },
+      Math.min(Math.max(0, dueAt - now()), MAX_TIMER_DELAY_MS)
+    )
+    scheduleTimer.unref?.()
+  }
+
+  return {
+    start: schedule,
+
+    /**
+     * Call after the settings change
+     */
+    async update() {
+      clearTimeout(changeTimer)
+      changeTimer = null
+      await prune(getSettings())
+      await schedule()
+    },
+
+    /**
+     * Back up every vault now
+     */
+    runNow: () => run(true),
+
+    /**
+     * Backs up the active vault a little while after it changes, when
+     * backing up on every change
+     * @param {string} method - Vault client call that just succeeded
+     */
+    notifyChange(method) {
+      if (!BACKUP_CHANGE_METHODS.includes(method)) return
+      const settings = getSettings()
+      if (settings.frequency !== 'change' || !settings.directory) return
+
+      clearTimeout(changeTimer)
+      changeTimer = setTimeout(() => {
+        changeTimer = null
+        void run(false)
+      }, CHANGE_DELAY_MS)
+      changeTimer.unref?.()
+    },
+
+    async getStatus() {
+      const settings = getSettings()
+      const backups = settings.directory
+        ? await listBackups(settings.directory)
+        : []
+      return {
+        frequency: settings.frequency,
+        directory: settings.directory,
+        retentionCount: settings.retentionCount,
+        hasPassword: !!getPassword(),
+        isRunning,
+        lastBackupAt: backups[0]?.createdAt ?? null,
+        lastError,
+        nextBackupAt,
+        backups
+      }
+    },
+
+    read: readBackup,
+
+    /**
+     * Decrypt one vault of a backup with the stored backup password
+     * @param {string} fileName
+     * @param {string} vaultId
+     * @returns {Promise<unknown>} The export of the vault, as it was before encryptExportData
+     */
+    async restore(fileName, vaultId) {
+      const snapshot = await readBackup(fileName)
+      const vault = snapshot.vaults.find(({ id }) => id === vaultId)
+      if (!vault) {
+        throw backupError(
+          `${fileName} has no vault ${vaultId}`,
+          BACKUP_ERRORS.NOT_FOUND
+        )
+      }
+      const password = getPassword()
+      if (!password) {
+        throw backupError(
+          'Set the backup password to restore a backup',
+          BACKUP_ERRORS.NOT_CONFIGURED
+        )
+      }
+      try {
+        return await decrypt(vault.data, password)
+      } catch (err) {
+        logger.warn('BACKUPS', `Could not decrypt ${fileName}:`, err)
+        throw backupError(
+          `${fileName} was made with another password`,
+          BACKUP_ERRORS.WRONG_PASSWORD
+        )
+      }
+    },
+
+    stop() {
+      clearTimeout(scheduleTimer)
+      clearTimeout(changeTimer)
+      scheduleTimer = null
+      changeTimer = null
+    }
+  }
+}
+
+module.exports = {
+  BACKUP_ERRORS,
+  createBackupScheduler,
+  createSnapshotBroker
+}
@@ -0,0 +1,328 @@
+/* eslint-env jest */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const {
+  BACKUP_ERRORS,
+  createBackupScheduler,
+  createSnapshotBroker
+} = require('./backups.cjs')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const realSetTimeout = setTimeout
+
+const logger = { info: jest.fn(), warn: jest.fn() }
+
+const encrypted = (name) => ({ ciphertext: `${name}-data`, nonce: 'n' })
+
+describe('createBackupScheduler', () => {
+  let directory
+  let settings
+  let password
+  let time
+  let requestSnapshot
+  let decrypt
+
+  const createScheduler = () =>
+    createBackupScheduler({
+      getSettings: () => settings,
+      getPassword: () => password,
+      requestSnapshot,
+      decrypt,
+      logger,
+      now: () => time
+    })
+
+  const readBackups = () =>
+    fs
+      .readdirSync(directory)
+      .sort()
+      .map((name) =>
+        JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'))
+      )
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'))
+    settings = {
+      frequency: 'daily',
+      directory,
+      retentionCount: 2,
+      passwordSetAt: 0
+    }
+    password = 'backup-password'
+    time = Date.UTC(2026, 0, 1)
+    requestSnapshot = jest.fn(async () => ({
+      vaults: [
+        { id: 'personal', name: 'Personal', data: encrypted('personal') },
+        { id: 'work', name: 'Work', data: encrypted('work') }
+      ],
+      vaultIds: ['personal', 'work']
+    }))
+    decrypt = jest.fn(async (data, key) => {
+      if (key !== 'backup-password') throw new Error('Wrong password')
+      return { decrypted: data.ciphertext }
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('writes every vault to a backup and keeps the newest ones', async () => {
+    const scheduler = createScheduler()
+
+    for (let i = 0; i < 3; i++) {
+      await scheduler.runNow()
+      time += DAY_MS
+    }
+    scheduler.stop()
+
+    expect(requestSnapshot).toHaveBeenCalledWith({
+      password: 'backup-password',
+      allVaults: true
+    })
+    expect(fs.readdirSync(directory).sort()).toEqual([
+      'PearPass_Backup_2026-01-02T00-00-00-000Z.json',
+      'PearPass_Backup_2026-01-03T00-00-00-000Z.json'
+    ])
+    expect(readBackups()[1]).toEqual({
+      format: 'pearpass-backup',
+      version: 1,
+      createdAt: Date.UTC(2026, 0, 3),
+      vaults: [
+        {
+          id: 'personal',
+          name: 'Personal',
+          backedUpAt: Date.UTC(2026, 0, 3),
+          data: encrypted('personal')
+        },
+        {
+          id: 'work',
+          name: 'Work',
+          backedUpAt: Date.UTC(2026, 0, 3),
+          data: encrypted('work')
+        }
+      ]
+    })
+
+    const status = await scheduler.getStatus()
+    expect(status).toMatchObject({
+      frequency: 'daily',
+      hasPassword: true,
+      isRunning: false,
+      lastBackupAt: Date.UTC(2026, 0, 3),
+      lastError: null,
+      nextBackupAt: Date.UTC(2026, 0, 4)
+    })
+    expect(status.backups.map((backup) => backup.createdAt)).toEqual([
+      Date.UTC(2026, 0, 3),
+      Date.UTC(2026, 0, 2)
+    ])
+  })
+
+  it('carries other vaults over when backing up after a change', async () => {
+    jest.useFakeTimers()
+    try {
+      settings.frequency = 'change'
+      const scheduler = createScheduler()
+      await scheduler.runNow()
+
+      requestSnapshot.mockResolvedValueOnce({
+        vaults: [
+          { id: 'personal', name: 'Personal', data: encrypted('personal-2') }
+        ],
+        vaultIds: ['personal', 'work']
+      })
+      time += 60 * 1000
+      scheduler.notifyChange('activeVaultGet')
+      scheduler.notifyChange('activeVaultAdd')
+      scheduler.notifyChange('activeVaultAdd')
+      await jest.advanceTimersByTimeAsync(30 * 1000)
+      do {
+        // File writes need real turns of the event loop
+        await new Promise((resolve) => realSetTimeout(resolve, 1))
+      } while ((await scheduler.getStatus()).isRunning)
+      scheduler.stop()
+
+      expect(requestSnapshot).toHaveBeenCalledTimes(2)
+      expect(requestSnapshot).toHaveBeenLastCalledWith({
+        password: 'backup-password',
+        allVaults: false
+      })
+      expect(readBackups()[1].vaults).toEqual([
+        {
+          id: 'personal',
+          name: 'Personal',
+          backedUpAt: time,
+          data: encrypted('personal-2')
+        },
+        {
+          id: 'work',
+          name: 'Work',
+          backedUpAt: Date.UTC(2026, 0, 1),
+          data: encrypted('work')
+        }
+      ])
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  it('leaves out deleted vaults and ones under an older password', async () => {
+    const scheduler = createScheduler()
+    await scheduler.runNow()
+
+    requestSnapshot.mockResolvedValue({
+      vaults: [{ id: 'personal', name: 'Personal', data: encrypted('p') }],
+      vaultIds: ['personal']
+    })
+    time += 1000
+    await scheduler.runNow()
+    expect(readBackups()[1].vaults.map((vault) => vault.id)).toEqual([
+      'personal'
+    ])
+
+    requestSnapshot.mockResolvedValue({
+      vaults: [{ id: 'work', name: 'Work', data: encrypted('w') }],
+      vaultIds: ['personal', 'work']
+    })
+    settings.passwordSetAt = time + 500
+    time += 1000
+    await scheduler.runNow()
+    scheduler.stop()
+
+    expect(readBackups()[1].vaults.map((vault) => vault.id)).toEqual(['work'])
+  })
+
+  it('reports why a backup failed', async () => {
+    password = null
+    const scheduler = createScheduler()
+    await scheduler.runNow()
+
+    expect(requestSnapshot).not.toHaveBeenCalled()
+    expect((await scheduler.getStatus()).lastError).toBe(
+      'Choose a backup folder and password first'
+    )
+
+    password = 'backup-password'
+    requestSnapshot.mockRejectedValueOnce(new Error('PearPass is locked'))
+    await scheduler.runNow()
+    scheduler.stop()
+
+    const status = await scheduler.getStatus()
+    expect(status.lastError).toBe('PearPass is locked')
+    expect(status.lastBackupAt).toBeNull()
+    // Tried again once the retry delay is over
+    expect(status.nextBackupAt).toBe(time + 15 * 60 * 1000)
+    expect(fs.readdirSync(directory)).toEqual([])
+  })
+
+  it('reads a backup back from the backup folder only', async () => {
+    const scheduler = createScheduler()
+    await scheduler.runNow()
+    scheduler.stop()
+    const [{ fileName }] = (await scheduler.getStatus()).backups
+
+    await expect(scheduler.read(fileName)).resolves.toMatchObject({
+      createdAt: time,
+      vaults: [{ id: 'personal' }, { id: 'work' }]
+    })
+    await expect(scheduler.read(`../${fileName}`)).rejects.toMatchObject({
+      code: BACKUP_ERRORS.NOT_FOUND
+    })
+
+    fs.writeFileSync(path.join(directory, fileName), '{"format":"other"}')
+    await expect(scheduler.read(fileName)).rejects.toMatchObject({
+      code: BACKUP_ERRORS.INVALID
+    })
+  })
+
+  it('restores a vault with the stored password', async () => {
+    const scheduler = createScheduler()
+    await scheduler.runNow()
+    scheduler.stop()
+    const [{ fileName }] = (await scheduler.getStatus()).backups
+
+    await expect(scheduler.restore(fileName, 'work')).resolves.toEqual({
+      decrypted: 'work-data'
+    })
+    expect(decrypt).toHaveBeenCalledWith(encrypted('work'), 'backup-password')
+    await expect(scheduler.restore(fileName, 'gone')).rejects.toMatchObject({
+      code: BACKUP_ERRORS.NOT_FOUND
+    })
+
+    password = 'new-password'
+    await expect(scheduler.restore(fileName, 'work')).rejects.toMatchObject({
+      code: BACKUP_ERRORS.WRONG_PASSWORD
+    })
+
+    password = null
+    await expect(scheduler.restore(fileName, 'work')).rejects.toMatchObject({
+      code: BACKUP_ERRORS.NOT_CONFIGURED
+    })
+  })
+
+  it('prunes old backups when the retention count goes down', async () => {
+    settings.retentionCount = 5
+    const scheduler = createScheduler()
+    for (let i = 0; i < 3; i++) {
+      await scheduler.runNow()
+      time += 1000
+    }
+
+    settings.retentionCount = 1
+    await scheduler.update()
+    scheduler.stop()
+
+    expect(fs.readdirSync(directory)).toEqual([
+      'PearPass_Backup_2026-01-01T00-00-02-000Z.json'
+    ])
+  })
+})
+
+describe('createSnapshotBroker', () => {
+  it('resolves with the vaults the renderer returns', async () => {
+    const send = jest.fn(() => true)
+    const broker = createSnapshotBroker({ send })
+
+    const result = broker.request({ password: 'secret', allVaults: true })
+    await Promise.resolve()
+    const [channel, payload] = send.mock.calls[0]
+    expect(channel).toBe('backup:snapshot-request')
+    expect(payload).toEqual({
+      id: expect.any(String),
+      password: 'secret',
+      allVaults: true
+    })
+
+    broker.respond(payload.id, {
+      vaults: [{ id: 'personal', name: 'Personal', data: {} }],
+      vaultIds: ['personal', 'work']
+    })
+    await expect(result).resolves.toEqual({
+      vaults: [{ id: 'personal', name: 'Personal', data: {} }],
+      vaultIds: ['personal', 'work']
+    })
+  })
+
+  it('fails without a window or when the renderer does', async () => {
+    const closed = createSnapshotBroker({ send: () => false })
+    await expect(
+      closed.request({ password: 'secret', allVaults: true })
+    ).rejects.toMatchObject({
+      message: 'PearPass is not open',
+      code: BACKUP_ERRORS.UNAVAILABLE
+    })
+
+    const send = jest.fn(() => true)
+    const broker = createSnapshotBroker({ send })
+    const result = broker.request({ password: 'secret', allVaults: false })
+    await Promise.resolve()
+    broker.respond(send.mock.calls[0][1].id, { error: 'PearPass is locked' })
+    await expect(result).rejects.toThrow('PearPass is locked')
+  })
+})
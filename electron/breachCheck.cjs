@@ -0,0 +1,161 @@
+/**
+ * Offline breach check of Login passwords against the database imported
+ * with breachDatabase.cjs. Passwords are hashed and looked up in the main
+ * process; the renderer only gets the ids of breached records.
+ */
+const path = require('path')
+
+const {
+  hashPassword,
+  importBreachDatabase,
+  openBreachDatabase,
+  readBreachDatabaseInfo,
+  removeBreachDatabase
+} = require('./breachDatabase.cjs')
+
+const BREACH_DATABASE_DIR_NAME = 'breach-database'
+
+const LOGIN_RECORD_TYPE = 'login'
+
+/**
+ * @typedef {Object} BreachScanResult
+ * @property {number} checkedAt
+ * @property {number} checkedCount - Logins that have a password
+ * @property {string[]} breachedRecordIds
+ */
+
+/**
+ * @param {string} storageDir
+ * @returns {string}
+ */
+function getBreachDatabaseDir(storageDir) {
+  return path.join(storageDir, BREACH_DATABASE_DIR_NAME)
+}
+
+/**
+ * @param {Object} options
+ * @param {() => any} options.getVaultClient
+ * @param {() => string} options.getDirectory
+ * @param {{ info: (...args: any[]) => void, warn: (...args: any[]) => void }} options.logger
+ */
+function createBreachCheck({ getVaultClient, getDirectory, logger }) {
+  /** @type {Awaited<ReturnType<typeof openBreachDatabase>> | null} */
+  let database = null
+  // Imports, removals and scans run one at a time so a scan never reads a
+  // file that is being replaced
+  let queue = Promise.resolve()
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  function enqueue(task) {
+    const run = queue.then(task)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  async function closeDatabase() {
+    if (!database) return
+    const current = database
+    database = null
+    await current.close()
+  }
+
+  async function getStatus() {
+    return { database: await readBreachDatabaseInfo(getDirectory()) }
+  }
+
+  /**
+   * @param {string} sourcePath
+   * @param {(progress: { bytesRead: number, totalBytes: number }) => void} [onProgress]
+   */
+  function importFrom(sourcePath, onProgress) {
+    return enqueue(async () => {
+      await closeDatabase()
+      const info = await importBreachDatabase({
+        sourcePath,
+        directory: getDirectory(),
+        onProgress
+      })
+      logger.info(
+        'BREACH-CHECK',
+        `Imported ${info.entryCount} hashes (${info.type})`
+      )
+      return info
+    })
+  }
+
+  function remove() {
+    return enqueue(async () => {
+      await closeDatabase()
+      await removeBreachDatabase(getDirectory())
+    })
+  }
+
+  /**
+   * Check every Login password of the active vault
+   * @returns {Promise<BreachScanResult | null>} null while locked or without a database
+   */
+  function scan() {
+    return enqueue(async () => {
+      const vaultClient = getVaultClient()
+      if (!vaultClient) return null
+
+      let records
+      try {
+        const status = await vaultClient.vaultsGetStatus()
+        if (!status?.status) return null
+        records = await vaultClient.activeVaultList('record/')
+      } catch {
+        // No vault is open
+        return null
+      }
+
+      if (!database) {
+        database = await openBreachDatabase(getDirectory())
+        if (!database) return null
+      }
+
+      const logins = (Array.isArray(records) ? records : []).filter(
+        (record) =>
+          record?.type === LOGIN_RECORD_TYPE &&
+          typeof record.data?.password === 'string' &&
+          record.data.password.length > 0
+      )
+
+      const breachedRecordIds = []
+      for (const record of logins) {
+        try {
+          if (await database.has(hashPassword(record.data.password))) {
+            breachedRecordIds.push(record.id)
+          }
+        } catch (error) {
+          logger.warn('BREACH-CHECK', 'Lookup failed:', error.message)
+          await closeDatabase()
+          throw error
+        }
+      }
+
+      return {
+        checkedAt: Date.now(),
+        checkedCount: logins.length,
+        breachedRecordIds
+      }
+    })
+  }
+
+  return {
+    getStatus,
+    importFrom,
+    remove,
+    scan,
+    close: () => enqueue(closeDatabase)
+  }
+}
+
+module.exports = {
+  createBreachCheck,
+  getBreachDatabaseDir
+}
@@ -0,0 +1,98 @@
+/* eslint-env jest */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createBreachCheck, getBreachDatabaseDir } = require('./breachCheck.cjs')
+const { hashPassword } = require('./breachDatabase.cjs')
+
+const logger = { info: jest.fn(), warn: jest.fn() }
+
+const login = (id, password) => ({
+  id,
+  type: 'login',
+  data: { title: id, password }
+})
+
+describe('createBreachCheck', () => {
+  let tmpDir
+  let sourcePath
+  let vaultClient
+
+  const createCheck = () =>
+    createBreachCheck({
+      getVaultClient: () => vaultClient,
+      getDirectory: () => getBreachDatabaseDir(tmpDir),
+      logger
+    })
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-breach-check-'))
+    sourcePath = path.join(tmpDir, 'hashes.txt')
+    fs.writeFileSync(
+      sourcePath,
+      ['password', '123456']
+        .map((password) => hashPassword(password).toString('hex'))
+        .sort()
+        .join('\n')
+    )
+    vaultClient = {
+      vaultsGetStatus: jest.fn(async () => ({ status: true })),
+      activeVaultList: jest.fn(async () => [
+        login('bank', 'password'),
+        login('shop', 'correct horse battery staple'),
+        login('empty', ''),
+        { id: 'note', type: 'note', data: { password: '123456' } }
+      ])
+    }
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('reports no database before one is imported', async () => {
+    const breachCheck = createCheck()
+
+    await expect(breachCheck.getStatus()).resolves.toEqual({ database: null })
+    await expect(breachCheck.scan()).resolves.toBeNull()
+  })
+
+  it('returns the logins whose password is in the database', async () => {
+    const breachCheck = createCheck()
+    await breachCheck.importFrom(sourcePath)
+
+    const result = await breachCheck.scan()
+
+    expect(result).toEqual({
+      checkedAt: expect.any(Number),
+      checkedCount: 2,
+      breachedRecordIds: ['bank']
+    })
+    await expect(breachCheck.getStatus()).resolves.toEqual({
+      database: expect.objectContaining({ type: 'hashes', entryCount: 2 })
+    })
+    await breachCheck.close()
+  })
+
+  it('does not scan while the vault is locked', async () => {
+    const breachCheck = createCheck()
+    await breachCheck.importFrom(sourcePath)
+    vaultClient.vaultsGetStatus.mockResolvedValue({ status: false })
+
+    await expect(breachCheck.scan()).resolves.toBeNull()
+    expect(vaultClient.activeVaultList).not.toHaveBeenCalled()
+  })
+
+  it('stops reporting breaches once the database is removed', async () => {
+    const breachCheck = createCheck()
+    await breachCheck.importFrom(sourcePath)
+    await breachCheck.scan()
+
+    await breachCheck.remove()
+
+    await expect(breachCheck.scan()).resolves.toBeNull()
+    await expect(breachCheck.getStatus()).resolves.toEqual({ database: null })
+  })
+})
@@ -0,0 +1,509 @@
+/**
+ * Local breach database: SHA-1 hashes of leaked passwords, imported from a
+ * downloaded Have I Been Pwned style hash list or from a Bloom filter built
+ * from one. Lookups read the file on disk, nothing leaves the machine.
+ *
+ * Hash lists are kept as sorted 20-byte hashes behind an index of the first
+ * two bytes, so a lookup reads one small bucket. Bloom filters are a lot
+ * smaller but report a few passwords as breached that are not.
+ */
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+
+const BREACH_DATABASE_TYPES = {
+  HASHES: 'hashes',
+  BLOOM: 'bloom'
+}
+
+const BREACH_DATABASE_ERRORS = {
+  INVALID: 'BREACH_DATABASE_INVALID',
+  UNSORTED: 'BREACH_DATABASE_UNSORTED',
+  EMPTY: 'BREACH_DATABASE_EMPTY'
+}
+
+const HASH_BYTES = 20
+
+const HASHES_MAGIC = Buffer.from('PPBRHSH1', 'latin1')
+const HASHES_HEADER_BYTES = 16
+const BUCKET_COUNT = 0x10000
+const INDEX_BYTES = (BUCKET_COUNT + 1) * 4
+
+const BLOOM_MAGIC = Buffer.from('PPBRBLM1', 'latin1')
+const BLOOM_HEADER_BYTES = 32
+const MAX_BLOOM_HASH_COUNT = 32
+// Keeps bit positions exact in double precision
+const MAX_BLOOM_BITS = 2 ** 46
+
+const DEFAULT_FALSE_POSITIVE_RATE = 0.001
+
+const DATABASE_FILES = {
+  [BREACH_DATABASE_TYPES.HASHES]: 'breach-hashes.bin',
+  [BREACH_DATABASE_TYPES.BLOOM]: 'breach-bloom.bin'
+}
+const INFO_FILE = 'breach-database.json'
+
+// Entries buffered before each write while importing
+const WRITE_BATCH = 4096
+
+/**
+ * @typedef {Object} BreachDatabaseInfo
+ * @property {'hashes'|'bloom'} type
+ * @property {number} entryCount - Hashes in the list, or hashes the filter was built from
+ * @property {string} sourceName - File name it was imported from
+ * @property {number} importedAt - Milliseconds since the epoch
+ * @property {number} sizeBytes
+ */
+
+/**
+ * @param {string} code
+ * @param {string} message
+ */
+function breachDatabaseError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+/**
+ * SHA-1 of a password, the hash HIBP lists use
+ * @param {string} password
+ * @returns {Buffer}
+ */
+function hashPassword(password) {
+  return crypto.createHash('sha1').update(password, 'utf8').digest()
+}
+
+/**
+ * Hash of one line of a hash list: `HASH:COUNT`, `HASH` or blank
+ * @param {string} line
+ * @param {number} lineNumber
+ * @returns {Buffer|null}
+ */
+function parseHashLine(line, lineNumber) {
+  const entry = line.trim()
+  if (!entry) return null
+
+  const hex = entry.split(':', 1)[0]
+  if (!/^[0-9a-fA-F]{40}$/.test(hex)) {
+    throw breachDatabaseError(
+      BREACH_DATABASE_ERRORS.INVALID,
+      `Line ${lineNumber} is not a SHA-1 hash`
+    )
+  }
+  return Buffer.from(hex, 'hex')
+}
+
+/**
+ * Call onHash for every hash of a hash list file, reporting how far it got.
+ * Reading waits for the promise onHash returns, if any.
+ * @param {string} sourcePath
+ * @param {(hash: Buffer, lineNumber: number) => void | Promise<void>} onHash
+ * @param {(progress: { bytesRead: number, totalBytes: number }) => void} [onProgress]
+ */
+async function readHashList(sourcePath, onHash, onProgress) {
+  const totalBytes = (await fs.promises.stat(sourcePath)).size
+  const stream = fs.createReadStream(sourcePath, { encoding: 'latin1' })
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+
+  let lineNumber = 0
+  let lastReported = 0
+  try {
+    for await (const line of lines) {
+      lineNumber++
+      const hash = parseHashLine(line, lineNumber)
+      if (hash) {
+        const written = onHash(hash, lineNumber)
+        if (written) await written
+      }
+
+      if (onProgress && stream.bytesRead - lastReported >= 16 * 1024 * 1024) {
+        lastReported = stream.bytesRead
+        onProgress({ bytesRead: stream.bytesRead, totalBytes })
+      }
+    }
+  } finally {
+    lines.close()
+    stream.destroy()
+  }
+  onProgress?.({ bytesRead: totalBytes, totalBytes })
+}
+
+/**
+ * Convert a sorted hash list into the indexed format
+ * @param {string} sourcePath
+ * @param {string} targetPath
+ * @param {(progress: { bytesRead: number, totalBytes: number }) => void} [onProgress]
+ * @returns {Promise<number>} Number of hashes written
+ */
+async function writeHashDatabase(sourcePath, targetPath, onProgress) {
+  const handle = await fs.promises.open(targetPath, 'w')
+  try {
+    const bucketSizes = new Uint32Array(BUCKET_COUNT)
+    let previous = null
+    let entryCount = 0
+    let position = HASHES_HEADER_BYTES + INDEX_BYTES
+    let batch = []
+
+    // Awaited before the next line is read, so a large list is never held
+    // in memory and no write is left running when the handle closes
+    const flush = async () => {
+      if (!batch.length) return
+      const chunk = Buffer.concat(batch)
+      batch = []
+      await handle.write(chunk, 0, chunk.length, position)
+      position += chunk.length
+    }
+
+    await readHashList(
+      sourcePath,
+      (hash, lineNumber) => {
+        if (previous) {
+          const order = Buffer.compare(previous, hash)
+          if (order === 0) return
+          if (order > 0) {
+            throw breachDatabaseError(
+              BREACH_DATABASE_ERRORS.UNSORTED,
+              `Hashes must be sorted, line ${lineNumber} is out of order`
+            )
+          }
+        }
+        previous = hash
+        bucketSizes[hash.readUInt16BE(0)]++
+        entryCount++
+        batch.push(hash)
+        return batch.length >= WRITE_BATCH ? flush() : undefined
+      },
+      onProgress
+    )
+    await flush()
+
+    if (!entryCount) {
+      throw breachDatabaseError(
+        BREACH_DATABASE_ERRORS.EMPTY,
+        'The file has no password hashes'
+      )
+    }
+
+    const header = Buffer.alloc(HASHES_HEADER_BYTES + INDEX_BYTES)
+    HASHES_MAGIC.copy(header, 0)
+    header.writeUInt32LE(entryCount, 12)
+    let start = 0
+    for (let bucket = 0; bucket <= BUCKET_COUNT; bucket++) {
+      header.writeUInt32LE(start, HASHES_HEADER_BYTES + bucket * 4)
+      if (bucket < BUCKET_COUNT) start += bucketSizes[bucket]
+    }
+    await handle.write(header, 0, header.length, 0)
+    return entryCount
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} fileSize
+ * @returns {{ bitCount: number, hashCount: number, entryCount: number }}
+ */
+function parseBloomHeader(header, fileSize) {
+  if (
+    header.length < BLOOM_HEADER_BYTES ||
+    !header.subarray(0, BLOOM_MAGIC.length).equals(BLOOM_MAGIC)
+  ) {
+    throw breachDatabaseError(
+      BREACH_DATABASE_ERRORS.INVALID,
+      'Not a PearPass breach Bloom filter'
+    )
+  }
+
+  const hashCount = header.readUInt32LE(8)
+  const bitCount = Number(header.readBigUInt64LE(16))
+  const entryCount = Number(header.readBigUInt64LE(24))
+  if (
+    hashCount < 1 ||
+    hashCount > MAX_BLOOM_HASH_COUNT ||
+    bitCount < 8 ||
+    bitCount > MAX_BLOOM_BITS ||
+    fileSize !== BLOOM_HEADER_BYTES + Math.ceil(bitCount / 8)
+  ) {
+    throw breachDatabaseError(
+      BREACH_DATABASE_ERRORS.INVALID,
+      'The Bloom filter is damaged'
+    )
+  }
+  return { bitCount, hashCount, entryCount }
+}
+
+/**
+ * Bit positions of a hash, by double hashing over two 48-bit slices of it
+ * @param {Buffer} hash
+ * @param {number} bitCount
+ * @param {number} hashCount
+ * @returns {number[]}
+ */
+function getBloomPositions(hash, bitCount, hashCount) {
+  const h1 = hash.readUIntLE(0, 6) % bitCount
+  const h2 = hash.readUIntLE(6, 6) % bitCount
+  const positions = []
+  for (let i = 0; i < hashCount; i++) {
+    positions.push((h1 + i * h2) % bitCount)
+  }
+  return positions
+}
+
+/**
+ * Build a Bloom filter file from a hash list, which needs not be sorted
+ * @param {Object} options
+ * @param {string} options.sourcePath
+ * @param {string} options.targetPath
+ * @param {number} [options.falsePositiveRate]
+ * @param {(progress: { bytesRead: number, totalBytes: number }) => void} [options.onProgress]
+ * @returns {Promise<{ entryCount: number, bitCount: number, hashCount: number }>}
+ */
+async function buildBloomFilter({
+  sourcePath,
+  targetPath,
+  falsePositiveRate = DEFAULT_FALSE_POSITIVE_RATE,
+  onProgress
+}) {
+  if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+    throw new Error('The false positive rate must be between 0 and 1')
+  }
+
+  let entryCount = 0
+  await readHashList(sourcePath, () => {
+    entryCount++
+  })
+  if (!entryCount) {
+    throw breachDatabaseError(
+      BREACH_DATABASE_ERRORS.EMPTY,
+      'The file has no password hashes'
+    )
+  }
+
+  const bitCount = Math.min(
+    MAX_BLOOM_BITS,
+    Math.max(
+      64,
+      Math.ceil((-entryCount * Math.log(falsePositiveRate)) / Math.LN2 ** 2)
+    )
+  )
+  const hashCount = Math.min(
+    MAX_BLOOM_HASH_COUNT,
+    Math.max(1, Math.round((bitCount / entryCount) * Math.LN2))
+  )
+
+  const bits = Buffer.alloc(Math.ceil(bitCount / 8))
+  await readHashList(
+    sourcePath,
+    (hash) => {
+      for (const position of getBloomPositions(hash, bitCount, hashCount)) {
+        bits[position >>> 3] |= 1 << (position & 7)
+      }
+    },
+    onProgress
+  )
+
+  const header = Buffer.alloc(BLOOM_HEADER_BYTES)
+  BLOOM_MAGIC.copy(header, 0)
+  header.writeUInt32LE(hashCount, 8)
+  header.writeBigUInt64LE(BigInt(bitCount), 16)
+  header.writeBigUInt64LE(BigInt(entryCount), 24)
+  await fs.promises.writeFile(targetPath, Buffer.concat([header, bits]))
+
+  return { entryCount, bitCount, hashCount }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isBloomFilterFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r')
+  try {
+    const magic = Buffer.alloc(BLOOM_MAGIC.length)
+    const { bytesRead } = await handle.read(magic, 0, magic.length, 0)
+    return bytesRead === magic.length && magic.equals(BLOOM_MAGIC)
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<BreachDatabaseInfo|null>}
+ */
+async function readBreachDatabaseInfo(directory) {
+  try {
+    const info = JSON.parse(
+      await fs.promises.readFile(path.join(directory, INFO_FILE), 'utf8')
+    )
+    return DATABASE_FILES[info?.type] ? info : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remove the imported database
+ * @param {string} directory
+ */
+async function removeBreachDatabase(directory) {
+  await fs.promises.rm(path.join(directory, INFO_FILE), { force: true })
+  for (const fileName of Object.values(DATABASE_FILES)) {
+    await fs.promises.rm(path.join(directory, fileName), { force: true })
+  }
+}
+
+/**
+ * Import a hash list or a Bloom filter into directory, replacing the
+ * database imported before once the new one is complete
+ * @param {Object} options
+ * @param {string} options.sourcePath
+ * @param {string} options.directory
+ * @param {(progress: { bytesRead: number, totalBytes: number }) => void} [options.onProgress]
+ * @returns {Promise<BreachDatabaseInfo>}
+ */
+async function importBreachDatabase({ sourcePath, directory, onProgress }) {
+  await fs.promises.mkdir(directory, { recursive: true })
+  const isBloom = await isBloomFilterFile(sourcePath)
+  const type = isBloom
+    ? BREACH_DATABASE_TYPES.BLOOM
+    : BREACH_DATABASE_TYPES.HASHES
+  const targetPath = path.join(directory, DATABASE_FILES[type])
+  const partialPath = `${targetPath}.partial`
+
+  let entryCount
+  try {
+    if (isBloom) {
+      const handle = await fs.promises.open(sourcePath, 'r')
+      try {
+        const header = Buffer.alloc(BLOOM_HEADER_BYTES)
+        await handle.read(header, 0, header.length, 0)
+        ;({ entryCount } = parseBloomHeader(header, (await handle.stat()).size))
+      } finally {
+        await handle.close()
+      }
+      await fs.promises.copyFile(sourcePath, partialPath)
+      const { size } = await fs.promises.stat(partialPath)
+      onProgress?.({ bytesRead: size, totalBytes: size })
+    } else {
+      entryCount = await writeHashDatabase(sourcePath, partialPath, onProgress)
+    }
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true })
+    throw error
+  }
+
+  await removeBreachDatabase(directory)
+  await fs.promises.rename(partialPath, targetPath)
+
+  /** @type {BreachDatabaseInfo} */
+  const info = {
+    type,
+    entryCount,
+    sourceName: path.basename(sourcePath),
+    importedAt: Date.now(),
+    sizeBytes: (await fs.promises.stat(targetPath)).size
+  }
+  await fs.promises.writeFile(
+    path.join(directory, INFO_FILE),
+    JSON.stringify(info, null, 2) + '\n',
+    'utf8'
+  )
+  return info
+}
+
+/**
+ * Open the imported database for lookups
+ * @param {string} directory
+ * @returns {Promise<{ info: BreachDatabaseInfo, has: (hash: Buffer) => Promise<boolean>, close: () => Promise<void> }|null>}
+ */
+async function openBreachDatabase(directory) {
+  const info = await readBreachDatabaseInfo(directory)
+  if (!info) return null
+
+  const handle = await fs.promises.open(
+    path.join(directory, DATABASE_FILES[info.type]),
+    'r'
+  )
+  const close = () => handle.close()
+
+  try {
+    const { size } = await handle.stat()
+
+    if (info.type === BREACH_DATABASE_TYPES.BLOOM) {
+      const header = Buffer.alloc(BLOOM_HEADER_BYTES)
+      await handle.read(header, 0, header.length, 0)
+      const { bitCount, hashCount } = parseBloomHeader(header, size)
+      const byte = Buffer.alloc(1)
+
+      const has = async (hash) => {
+        for (const position of getBloomPositions(hash, bitCount, hashCount)) {
+          await handle.read(byte, 0, 1, BLOOM_HEADER_BYTES + (position >>> 3))
+          if (!(byte[0] & (1 << (position & 7)))) return false
+        }
+        return true
+      }
+      return { info, has, close }
+    }
+
+    const header = Buffer.alloc(HASHES_HEADER_BYTES + INDEX_BYTES)
+    await handle.read(header, 0, header.length, 0)
+    const entryCount = header.readUInt32LE(12)
+    if (
+      !header.subarray(0, HASHES_MAGIC.length).equals(HASHES_MAGIC) ||
+      size !== header.length + entryCount * HASH_BYTES
+    ) {
+      throw breachDatabaseError(
+        BREACH_DATABASE_ERRORS.INVALID,
+        'The breach database is damaged, import it again'
+      )
+    }
+    const index = header.subarray(HASHES_HEADER_BYTES)
+
+    const has = async (hash) => {
+      const bucket = hash.readUInt16BE(0)
+      const start = index.readUInt32LE(bucket * 4)
+      const end = index.readUInt32LE((bucket + 1) * 4)
+      if (end <= start) return false
+
+      const entries = Buffer.alloc((end - start) * HASH_BYTES)
+      await handle.read(
+        entries,
+        0,
+        entries.length,
+        header.length + start * HASH_BYTES
+      )
+
+      let low = 0
+      let high = end - start - 1
+      while (low <= high) {
+        const middle = (low + high) >>> 1
+        const order = Buffer.compare(
+          entries.subarray(middle * HASH_BYTES, (middle + 1) * HASH_BYTES),
+          hash
+        )
+        if (order === 0) return true
+        if (order < 0) low = middle + 1
+        else high = middle - 1
+      }
+      return false
+    }
+    return { info, has, close }
+  } catch (error) {
+    await close()
+    throw error
+  }
+}
+
+module.exports = {
+  BREACH_DATABASE_ERRORS,
+  BREACH_DATABASE_TYPES,
+  DEFAULT_FALSE_POSITIVE_RATE,
+  buildBloomFilter,
+  hashPassword,
+  importBreachDatabase,
+  openBreachDatabase,
+  readBreachDatabaseInfo,
+  removeBreachDatabase
+}
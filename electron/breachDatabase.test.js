@@ -0,0 +1,239 @@
+/* eslint-env jest */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const {
+  BREACH_DATABASE_ERRORS,
+  BREACH_DATABASE_TYPES,
+  buildBloomFilter,
+  hashPassword,
+  importBreachDatabase,
+  openBreachDatabase,
+  readBreachDatabaseInfo,
+  removeBreachDatabase
+} = require('./breachDatabase.cjs')
+
+const BREACHED = ['password', '123456', 'qwerty', 'letmein', 'dragon']
+
+const toHex = (password) => hashPassword(password).toString('hex').toUpperCase()
+
+const writeHashList = (filePath, passwords, { sorted = true } = {}) => {
+  const hashes = passwords.map(toHex)
+  if (sorted) hashes.sort()
+  fs.writeFileSync(
+    filePath,
+    hashes.map((hash, index) => `${hash}:${index + 1}`).join('\r\n') + '\r\n'
+  )
+}
+
+describe('breachDatabase', () => {
+  let tmpDir
+  let directory
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-breach-'))
+    directory = path.join(tmpDir, 'breach-database')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('imports a sorted hash list and finds its passwords', async () => {
+    const sourcePath = path.join(tmpDir, 'pwned-passwords.txt')
+    writeHashList(sourcePath, [...BREACHED, 'password'])
+    const onProgress = jest.fn()
+
+    const info = await importBreachDatabase({
+      sourcePath,
+      directory,
+      onProgress
+    })
+
+    expect(info).toEqual(
+      expect.objectContaining({
+        type: BREACH_DATABASE_TYPES.HASHES,
+        entryCount: BREACHED.length,
+        sourceName: 'pwned-passwords.txt'
+      })
+    )
+    expect(onProgress).toHaveBeenLastCalledWith({
+      bytesRead: fs.statSync(sourcePath).size,
+      totalBytes: fs.statSync(sourcePath).size
+    })
+    await expect(readBreachDatabaseInfo(directory)).resolves.toEqual(info)
+
+    const database = await openBreachDatabase(directory)
+    try {
+      for (const password of BREACHED) {
+        await expect(database.has(hashPassword(password))).resolves.toBe(true)
+      }
+      await expect(
+        database.has(hashPassword('correct horse battery staple'))
+      ).resolves.toBe(false)
+    } finally {
+      await database.close()
+    }
+  })
+
+  it('accepts lowercase hashes without counts', async () => {
+    const sourcePath = path.join(tmpDir, 'hashes.txt')
+    fs.writeFileSync(
+      sourcePath,
+      BREACHED.map(toHex).sort().join('\n').toLowerCase() + '\n\n'
+    )
+
+    await importBreachDatabase({ sourcePath, directory })
+
+    const database = await openBreachDatabase(directory)
+    await expect(database.has(hashPassword('dragon'))).resolves.toBe(true)
+    await database.close()
+  })
+
+  it('rejects unsorted and malformed lists and keeps the previous database', async () => {
+    const goodPath = path.join(tmpDir, 'good.txt')
+    writeHashList(goodPath, BREACHED)
+    await importBreachDatabase({ sourcePath: goodPath, directory })
+
+    const unsortedPath = path.join(tmpDir, 'unsorted.txt')
+    fs.writeFileSync(
+      unsortedPath,
+      [toHex('zzz'), toHex('aaa')].sort().reverse().join('\n')
+    )
+    await expect(
+      importBreachDatabase({ sourcePath: unsortedPath, directory })
+    ).rejects.toMatchObject({ code: BREACH_DATABASE_ERRORS.UNSORTED })
+
+    const invalidPath = path.join(tmpDir, 'invalid.txt')
+    fs.writeFileSync(invalidPath, 'not a hash\n')
+    await expect(
+      importBreachDatabase({ sourcePath: invalidPath, directory })
+    ).rejects.toMatchObject({ code: BREACH_DATABASE_ERRORS.INVALID })
+
+    const emptyPath = path.join(tmpDir, 'empty.txt')
+    fs.writeFileSync(emptyPath, '\n')
+    await expect(
+      importBreachDatabase({ sourcePath: emptyPath, directory })
+    ).rejects.toMatchObject({ code: BREACH_DATABASE_ERRORS.EMPTY })
+
+    await expect(readBreachDatabaseInfo(directory)).resolves.toEqual(
+      expect.objectContaining({ sourceName: 'good.txt' })
+    )
+    expect(fs.readdirSync(directory).sort()).toEqual([
+      'breach-database.json',
+      'breach-hashes.bin'
+    ])
+  })
+
+  it('waits for each write and stops at an unsorted line', async () => {
+    const sourcePath = path.join(tmpDir, 'long.txt')
+    const hashes = Array.from({ length: 9000 }, (_, index) =>
+      toHex(`password-${index}`)
+    ).sort()
+    fs.writeFileSync(sourcePath, [...hashes, hashes[0]].join('\n'))
+
+    const open = fs.promises.open
+    let writesAfterClose = 0
+    const openSpy = jest
+      .spyOn(fs.promises, 'open')
+      .mockImplementation(async (...args) => {
+        const handle = await open(...args)
+        let closed = false
+        const { write, close } = handle
+        // A slow disk: reading must wait for each write to finish
+        handle.write = async (...writeArgs) => {
+          await new Promise((resolve) => setTimeout(resolve, 20))
+          if (closed) writesAfterClose++
+          return write.apply(handle, writeArgs)
+        }
+        handle.close = () => {
+          closed = true
+          return close.apply(handle)
+        }
+        return handle
+      })
+
+    try {
+      await expect(
+        importBreachDatabase({ sourcePath, directory })
+      ).rejects.toMatchObject({ code: BREACH_DATABASE_ERRORS.UNSORTED })
+    } finally {
+      openSpy.mockRestore()
+    }
+
+    // Give any write still queued behind the slow one time to run
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    expect(writesAfterClose).toBe(0)
+    expect(fs.readdirSync(directory)).toEqual([])
+  })
+
+  it('builds and imports a Bloom filter', async () => {
+    const sourcePath = path.join(tmpDir, 'hashes.txt')
+    const bloomPath = path.join(tmpDir, 'hashes.bloom')
+    writeHashList(sourcePath, BREACHED, { sorted: false })
+
+    const built = await buildBloomFilter({
+      sourcePath,
+      targetPath: bloomPath,
+      falsePositiveRate: 0.0001
+    })
+    expect(built.entryCount).toBe(BREACHED.length)
+
+    const info = await importBreachDatabase({
+      sourcePath: bloomPath,
+      directory
+    })
+    expect(info).toEqual(
+      expect.objectContaining({
+        type: BREACH_DATABASE_TYPES.BLOOM,
+        entryCount: BREACHED.length,
+        sizeBytes: fs.statSync(bloomPath).size
+      })
+    )
+
+    const database = await openBreachDatabase(directory)
+    try {
+      for (const password of BREACHED) {
+        await expect(database.has(hashPassword(password))).resolves.toBe(true)
+      }
+      await expect(
+        database.has(hashPassword('correct horse battery staple'))
+      ).resolves.toBe(false)
+    } finally {
+      await database.close()
+    }
+  })
+
+  it('rejects a damaged Bloom filter', async () => {
+    const sourcePath = path.join(tmpDir, 'hashes.txt')
+    const bloomPath = path.join(tmpDir, 'hashes.bloom')
+    writeHashList(sourcePath, BREACHED)
+    await buildBloomFilter({ sourcePath, targetPath: bloomPath })
+    fs.truncateSync(bloomPath, fs.statSync(bloomPath).size - 1)
+
+    await expect(
+      importBreachDatabase({ sourcePath: bloomPath, directory })
+    ).rejects.toMatchObject({ code: BREACH_DATABASE_ERRORS.INVALID })
+  })
+
+  it('replaces one database type with the other and removes it', async () => {
+    const sourcePath = path.join(tmpDir, 'hashes.txt')
+    const bloomPath = path.join(tmpDir, 'hashes.bloom')
+    writeHashList(sourcePath, BREACHED)
+    await importBreachDatabase({ sourcePath, directory })
+    await buildBloomFilter({ sourcePath, targetPath: bloomPath })
+    await importBreachDatabase({ sourcePath: bloomPath, directory })
+
+    expect(fs.readdirSync(directory).sort()).toEqual([
+      'breach-bloom.bin',
+      'breach-database.json'
+    ])
+
+    await removeBreachDatabase(directory)
+
+    expect(fs.readdirSync(directory)).toEqual([])
+    await expect(openBreachDatabase(directory)).resolves.toBeNull()
+  })
+})
@@ -11,8 +11,10 @@ const path = require('path')
 const {
   app,
   BrowserWindow,
+  dialog,
   ipcMain,
   nativeImage,
+  safeStorage,
   shell,
   clipboard
 } = require('electron')
@@ -20,6 +22,8 @@ const PearRuntime = require('pear-runtime')
 const getPearRuntimeLegacyStorage = require('pear-runtime-legacy-storage')
 const { isLinux, isWindows, isMac } = require('which-runtime')
 
+const { createBackupScheduler, createSnapshotBroker } = require('./backups.cjs')
+const { createBreachCheck, getBreachDatabaseDir } = require('./breachCheck.cjs')
 const { clearStaleVaultsDir } = require('./clearStaleVaultsDir.cjs')
 // eslint-disable-next-line import/order
 const { scheduleClipboardCleanup } = require('./clipboardCleanup.cjs')
@@ -43,6 +47,16 @@ const {
 } = require('./flatpak-paths.cjs')
 const { refreshNativeHostWrapperIfPresent } = require('./nativeHostWrapper.cjs')
 const runtimeConfig = require('./runtime-config.cjs')
+const { createRecordVersions } = require('./recordVersions.cjs')
+const { createSecretService } = require('./secretService.cjs')
+const { createVaultSecretStore } = require('./secretServiceStore.cjs')
+const { createTrash } = require('./trash.cjs')
+const {
+  createApprovalBroker,
+  createSshAgent,
+  createVaultKeySource,
+  getSshAgentSocketPath
+} = require('./sshAgent.cjs')
 const devicePreferences = require('../src/utils/devicePreferences.cjs')
 const {
   getLogPaths,
@@ -112,6 +126,165 @@ let workletSidecar = null
 /** @type {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient | null} */
 let vaultClient = null
 
+// Signature prompts are shown by the renderer, see useSshAgentApprovalRequests
+const sshAgentApprovals = createApprovalBroker({
+  send: (channel, payload) => {
+    if (!mainWindow || mainWindow.isDestroyed()) return false
+    mainWindow.webContents.send(channel, payload)
+    return true
+  }
+})
+
+const sshAgent = createSshAgent({
+  listKeys: createVaultKeySource({ getVaultClient: () => vaultClient, logger }),
+  confirmSignature: (request) =>
+    devicePreferences.read(getStorageDir()).sshAgentConfirmEachUse
+      ? sshAgentApprovals.request(request)
+      : Promise.resolve(true),
+  logger
+})
+
+function getSshAgentStatus() {
+  const { sshAgentEnabled, sshAgentConfirmEachUse } = devicePreferences.read(
+    getStorageDir()
+  )
+  return {
+    enabled: sshAgentEnabled,
+    confirmEachUse: sshAgentConfirmEachUse,
+    running: sshAgent.isRunning(),
+    socketPath: getSshAgentSocketPath()
+  }
+}
+
+// Versions of records written through vault:invoke or the Secret Service
+const recordVersions = createRecordVersions({
+  getVaultClient: () => vaultClient,
+  logger
+})
+
+// Records removed through vault:invoke go to the Trash first
+const trash = createTrash({
+  getVaultClient: () => recordVersions.wrapClient(vaultClient),
+  getRetentionDays: () =>
+    devicePreferences.read(getStorageDir()).trashRetentionDays,
+  getDevice: () => recordVersions.getDevice(),
+  logger
+})
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000
+let trashPurgeTimer = null
+
+// Collections lock with the app: vault:invoke schedules a refresh after
+// every call, which covers unlocking and auto-lock (closeAllInstances)
+const secretService = createSecretService({
+  store: createVaultSecretStore({
+    getVaultClient: () => recordVersions.wrapClient(vaultClient)
+  }),
+  showWindow: () => {
+    if (!mainWindow || mainWindow.isDestroyed()) return
+    if (mainWindow.isMinimized()) mainWindow.restore()
+    mainWindow.show()
+    mainWindow.focus()
+  },
+  logger
+})
+
+const breachCheck = createBreachCheck({
+  getVaultClient: () => vaultClient,
+  getDirectory: () => getBreachDatabaseDir(getStorageDir()),
+  logger
+})
+
+// The backup password is kept encrypted with the OS keychain so scheduled
+// backups can run unattended
+function readBackupPassword() {
+  const { backupPassword } = devicePreferences.read(getStorageDir())
+  if (!backupPassword) return null
+  try {
+    return safeStorage.decryptString(Buffer.from(backupPassword, 'base64'))
+  } catch (err) {
+    logger.warn('MAIN', 'Failed to read the backup password:', err)
+    return null
+  }
+}
+
+// Vaults are exported by the renderer, which can open them
+const backupSnapshots = createSnapshotBroker({
+  send: (channel, payload) => {
+    if (!mainWindow || mainWindow.isDestroyed()) return false
+    mainWindow.webContents.send(channel, payload)
+    return true
+  }
+})
+
+const backups = createBackupScheduler({
+  getSettings: () => {
+    const {
+      backupFrequency,
+      backupDirectory,
+      backupRetentionCount,
+      backupPasswordSetAt
+    } = devicePreferences.read(getStorageDir())
+    return {
+      frequency: backupFrequency,
+      directory: backupDirectory,
+      retentionCount: backupRetentionCount,
+      passwordSetAt: backupPasswordSetAt
+    }
+  },
+  getPassword: readBackupPassword,
+  requestSnapshot: (request) => backupSnapshots.request(request),
+  decrypt: (data, password) => {
+    if (!vaultClient) throw new Error('Vault client not ready')
+    return vaultClient.decryptExportData(data, password)
+  },
+  logger
+})
+
+// Why the provider is not running although enabled, shown in Settings
+let secretServiceError = null
+
+function getSecretServiceStatus() {
+  const { secretServiceEnabled } = devicePreferences.read(getStorageDir())
+  return {
+    supported: isLinux,
+    enabled: secretServiceEnabled,
+    running: secretService.isRunning(),
+    error: secretServiceError
+  }
+}
+
+async function syncSecretService() {
+  if (!isLinux) return
+
+  const { secretServiceEnabled } = devicePreferences.read(getStorageDir())
+  try {
+    if (secretServiceEnabled) {
+      await secretService.start()
+    } else {
+      await secretService.stop()
+    }
+    secretServiceError = null
+  } catch (err) {
+    secretServiceError = (err && err.message) || String(err)
+    logger.error('MAIN', 'Failed to update Secret Service provider:', err)
+  }
+}
+
+async function syncSshAgent() {
+  const { sshAgentEnabled } = devicePreferences.read(getStorageDir())
+  try {
+    if (sshAgentEnabled) {
+      await sshAgent.start()
+    } else {
+      sshAgentApprovals.denyAll()
+      await sshAgent.stop()
+    }
+  } catch (err) {
+    logger.error('MAIN', 'Failed to update SSH agent:', err)
+  }
+}
+
 function getExecPath() {
   if (!app.isPackaged) return null
   if (isLinux && process.env.APPIMAGE) return process.env.APPIMAGE
@@ -716,7 +889,12 @@ function registerIPC() {
     const rawArgs = args || []
     const deserialized = rawArgs.map(fromSerializableArg)
     try {
-      const result = await fn.apply(vaultClient, deserialized)
+      const result = await recordVersions.track(method, deserialized, () =>
+        trash.track(method, deserialized, () =>
+          fn.apply(vaultClient, deserialized)
+        )
+      )
+      backups.notifyChange(method)
       return { ok: true, data: toSerializableArg(result) }
     } catch (err) {
       return {
@@ -724,6 +902,8 @@ function registerIPC() {
         error: err.message || String(err),
         code: err.code
       }
+    } finally {
+      secretService.scheduleRefresh()
     }
   })
 
@@ -796,6 +976,162 @@ function registerIPC() {
     logger.clearLogPath()
     return { enabled: false, forced: false }
   })
+
+  ipcMain.handle('ssh-agent:getStatus', () => getSshAgentStatus())
+
+  ipcMain.handle('ssh-agent:setPreferences', async (_event, payload) => {
+    const partial = {}
+    if (typeof payload?.enabled === 'boolean') {
+      partial.sshAgentEnabled = payload.enabled
+    }
+    if (typeof payload?.confirmEachUse === 'boolean') {
+      partial.sshAgentConfirmEachUse = payload.confirmEachUse
+    }
+    devicePreferences.write(getStorageDir(), partial)
+    await syncSshAgent()
+    return getSshAgentStatus()
+  })
+
+  ipcMain.handle('ssh-agent:respondApproval', (_event, payload) => {
+    sshAgentApprovals.respond(payload?.id, payload?.approved === true)
+  })
+
+  ipcMain.handle('secret-service:getStatus', () => getSecretServiceStatus())
+
+  ipcMain.handle('secret-service:setPreferences', async (_event, payload) => {
+    if (typeof payload?.enabled === 'boolean') {
+      devicePreferences.write(getStorageDir(), {
+        secretServiceEnabled: payload.enabled
+      })
+    }
+    await syncSecretService()
+    return getSecretServiceStatus()
+  })
+
+  ipcMain.handle('breach-check:getStatus', () => breachCheck.getStatus())
+
+  ipcMain.handle('breach-check:import', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import breach database',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Password hashes', extensions: ['txt', 'bloom'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (canceled || !filePaths.length) {
+      return { canceled: true, ...(await breachCheck.getStatus()) }
+    }
+
+    try {
+      await breachCheck.importFrom(filePaths[0], (progress) => {
+        if (!mainWindow || mainWindow.isDestroyed()) return
+        mainWindow.webContents.send('breach-check:import-progress', progress)
+      })
+      return { canceled: false, ...(await breachCheck.getStatus()) }
+    } catch (err) {
+      logger.error('MAIN', 'Breach database import failed:', err)
+      return {
+        canceled: false,
+        error: (err && err.message) || String(err),
+        ...(await breachCheck.getStatus())
+      }
+    }
+  })
+
+  ipcMain.handle('breach-check:remove', async () => {
+    await breachCheck.remove()
+    return breachCheck.getStatus()
+  })
+
+  ipcMain.handle('breach-check:scan', () => breachCheck.scan())
+
+  ipcMain.handle('record-versions:list', (_event, recordId) =>
+    recordVersions.list(recordId)
+  )
+
+  ipcMain.handle('record-versions:setDevice', (_event, device) => {
+    recordVersions.setDevice(device)
+  })
+
+  ipcMain.handle('trash:list', async () => ({
+    retentionDays: devicePreferences.read(getStorageDir()).trashRetentionDays,
+    entries: await trash.list()
+  }))
+
+  ipcMain.handle('trash:restore', (_event, ids) => trash.restore(ids))
+
+  ipcMain.handle('trash:remove', (_event, ids) => trash.remove(ids))
+
+  ipcMain.handle('trash:empty', () => trash.empty())
+
+  ipcMain.handle('trash:setRetention', async (_event, days) => {
+    devicePreferences.write(getStorageDir(), { trashRetentionDays: days })
+    await trash.purge()
+    return devicePreferences.read(getStorageDir()).trashRetentionDays
+  })
+
+  ipcMain.handle('backup:getStatus', () => backups.getStatus())
+
+  ipcMain.handle('backup:chooseDirectory', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose backup folder',
+      properties: ['openDirectory', 'createDirectory']
+    })
+    if (!canceled && filePaths.length) {
+      devicePreferences.write(getStorageDir(), {
+        backupDirectory: filePaths[0]
+      })
+      await backups.update()
+    }
+    return backups.getStatus()
+  })
+
+  ipcMain.handle('backup:setPreferences', async (_event, payload) => {
+    const partial = {}
+    if (typeof payload?.frequency === 'string') {
+      partial.backupFrequency = payload.frequency
+    }
+    if (typeof payload?.retentionCount === 'number') {
+      partial.backupRetentionCount = payload.retentionCount
+    }
+    if (typeof payload?.password === 'string' && payload.password) {
+      if (!safeStorage.isEncryptionAvailable()) {
+        throw new Error('No keychain is available to keep the backup password')
+      }
+      partial.backupPassword = safeStorage
+        .encryptString(payload.password)
+        .toString('base64')
+      partial.backupPasswordSetAt = Date.now()
+    }
+    devicePreferences.write(getStorageDir(), partial)
+    await backups.update()
+    return backups.getStatus()
+  })
+
+  ipcMain.handle('backup:runNow', async () => {
+    await backups.runNow()
+    return backups.getStatus()
+  })
+
+  // Decrypted here with the stored password, which stays in this process
+  ipcMain.handle('backup:restore', async (_event, payload) => {
+    try {
+      return {
+        data: await backups.restore(payload?.fileName, payload?.vaultId)
+      }
+    } catch (err) {
+      logger.error('MAIN', 'Restoring a backup failed:', err)
+      return {
+        error: (err && err.message) || String(err),
+        code: err && err.code
+      }
+    }
+  })
+
+  ipcMain.handle('backup:respondSnapshot', (_event, payload) => {
+    backupSnapshots.respond(payload?.id, payload?.result)
+  })
 }
 
 app.whenReady().then(async () => {
@@ -818,8 +1154,17 @@ app.whenReady().then(async () => {
     logger.error('MAIN', 'Failed to start runtime/worklet:', err)
   }
 
+  await syncSshAgent()
+  await syncSecretService()
   createWindow()
 
+  trashPurgeTimer = setInterval(() => {
+    void trash.purge()
+  }, TRASH_PURGE_INTERVAL_MS)
+  trashPurgeTimer.unref?.()
+
+  await backups.start()
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow()
@@ -828,6 +1173,22 @@ app.whenReady().then(async () => {
 })
 
 async function cleanup() {
+  sshAgentApprovals.denyAll()
+  backups.stop()
+  backupSnapshots.cancelAll()
+  if (trashPurgeTimer) {
+    clearInterval(trashPurgeTimer)
+    trashPurgeTimer = null
+  }
+  try {
+    await sshAgent.stop()
+  } catch (_) {}
+  try {
+    await secretService.stop()
+  } catch (_) {}
+  try {
+    await breachCheck.close()
+  } catch (_) {}
   if (workletSidecar) {
     try {
       workletSidecar.destroy()
@@ -63,5 +63,53 @@ window.electronAPI = {
   openLogsFolder: () => ipcRenderer.invoke('vault:openLogsFolder'),
   isLoggingEnabled: () => ipcRenderer.invoke('vault:isLoggingEnabled'),
   setLogging: (enabled) =>
-    ipcRenderer.invoke('vault:setLogging', { enabled: !!enabled })
+    ipcRenderer.invoke('vault:setLogging', { enabled: !!enabled }),
+  getSshAgentStatus: () => ipcRenderer.invoke('ssh-agent:getStatus'),
+  setSshAgentPreferences: (preferences) =>
+    ipcRenderer.invoke('ssh-agent:setPreferences', preferences),
+  onSshAgentApprovalRequest: (cb) => {
+    const sub = (_event, request) => cb(request)
+    ipcRenderer.on('ssh-agent:approval-request', sub)
+    return () => ipcRenderer.removeListener('ssh-agent:approval-request', sub)
+  },
+  respondSshAgentApproval: (id, approved) =>
+    ipcRenderer.invoke('ssh-agent:respondApproval', {
+      id,
+      approved: !!approved
+    }),
+  getSecretServiceStatus: () => ipcRenderer.invoke('secret-service:getStatus'),
+  setSecretServicePreferences: (preferences) =>
+    ipcRenderer.invoke('secret-service:setPreferences', preferences),
+  getBreachCheckStatus: () => ipcRenderer.invoke('breach-check:getStatus'),
+  importBreachDatabase: () => ipcRenderer.invoke('breach-check:import'),
+  onBreachDatabaseImportProgress: (cb) => {
+    const sub = (_event, progress) => cb(progress)
+    ipcRenderer.on('breach-check:import-progress', sub)
+    return () => ipcRenderer.removeListener('breach-check:import-progress', sub)
+  },
+  removeBreachDatabase: () => ipcRenderer.invoke('breach-check:remove'),
+  scanBreachedRecords: () => ipcRenderer.invoke('breach-check:scan'),
+  listRecordVersions: (recordId) =>
+    ipcRenderer.invoke('record-versions:list', recordId),
+  setRecordVersionDevice: (device) =>
+    ipcRenderer.invoke('record-versions:setDevice', device),
+  getTrash: () => ipcRenderer.invoke('trash:list'),
+  restoreFromTrash: (ids) => ipcRenderer.invoke('trash:restore', ids),
+  deleteFromTrash: (ids) => ipcRenderer.invoke('trash:remove', ids),
+  emptyTrash: () => ipcRenderer.invoke('trash:empty'),
+  setTrashRetention: (days) => ipcRenderer.invoke('trash:setRetention', days),
+  getBackupStatus: () => ipcRenderer.invoke('backup:getStatus'),
+  chooseBackupDirectory: () => ipcRenderer.invoke('backup:chooseDirectory'),
+  setBackupPreferences: (preferences) =>
+    ipcRenderer.invoke('backup:setPreferences', preferences),
+  runBackupNow: () => ipcRenderer.invoke('backup:runNow'),
+  restoreBackup: (fileName, vaultId) =>
+    ipcRenderer.invoke('backup:restore', { fileName, vaultId }),
+  onBackupSnapshotRequest: (cb) => {
+    const sub = (_event, request) => cb(request)
+    ipcRenderer.on('backup:snapshot-request', sub)
+    return () => ipcRenderer.removeListener('backup:snapshot-request', sub)
+  },
+  respondBackupSnapshot: (id, result) =>
+    ipcRenderer.invoke('backup:respondSnapshot', { id, result })
 }
@@ -158,4 +158,150 @@ describe('preload.cjs', () => {
       handler
     )
   })
+
+  it('routes SSH agent APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+    const cb = jest.fn()
+
+    await window.electronAPI.getSshAgentStatus()
+    await window.electronAPI.setSshAgentPreferences({ enabled: true })
+    await window.electronAPI.respondSshAgentApproval('request-1', true)
+    const unsubscribe = window.electronAPI.onSshAgentApprovalRequest(cb)
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('ssh-agent:getStatus')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith(
+      'ssh-agent:setPreferences',
+      { enabled: true }
+    )
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith(
+      'ssh-agent:respondApproval',
+      { id: 'request-1', approved: true }
+    )
+
+    const [channel, handler] = ipcRenderer.on.mock.calls[0]
+    expect(channel).toBe('ssh-agent:approval-request')
+    handler({}, { id: 'request-1' })
+    expect(cb).toHaveBeenCalledWith({ id: 'request-1' })
+
+    unsubscribe()
+    expect(ipcRenderer.removeListener).toHaveBeenCalledWith(
+      'ssh-agent:approval-request',
+      handler
+    )
+  })
+
+  it('routes Secret Service APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+
+    await window.electronAPI.getSecretServiceStatus()
+    await window.electronAPI.setSecretServicePreferences({ enabled: true })
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('secret-service:getStatus')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith(
+      'secret-service:setPreferences',
+      { enabled: true }
+    )
+  })
+
+  it('routes breach check APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+    const cb = jest.fn()
+
+    await window.electronAPI.getBreachCheckStatus()
+    await window.electronAPI.importBreachDatabase()
+    await window.electronAPI.removeBreachDatabase()
+    await window.electronAPI.scanBreachedRecords()
+    const unsubscribe = window.electronAPI.onBreachDatabaseImportProgress(cb)
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('breach-check:getStatus')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('breach-check:import')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('breach-check:remove')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('breach-check:scan')
+
+    const [channel, handler] = ipcRenderer.on.mock.calls[0]
+    expect(channel).toBe('breach-check:import-progress')
+    handler({}, { bytesRead: 1, totalBytes: 2 })
+    expect(cb).toHaveBeenCalledWith({ bytesRead: 1, totalBytes: 2 })
+
+    unsubscribe()
+    expect(ipcRenderer.removeListener).toHaveBeenCalledWith(
+      'breach-check:import-progress',
+      handler
+    )
+  })
+
+  it('routes record version APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+
+    await window.electronAPI.listRecordVersions('record-1')
+    await window.electronAPI.setRecordVersionDevice({
+      deviceId: 'device-1',
+      deviceName: 'Laptop'
+    })
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith(
+      'record-versions:list',
+      'record-1'
+    )
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith(
+      'record-versions:setDevice',
+      { deviceId: 'device-1', deviceName: 'Laptop' }
+    )
+  })
+  it('routes Trash APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+
+    await window.electronAPI.getTrash()
+    await window.electronAPI.restoreFromTrash(['a'])
+    await window.electronAPI.deleteFromTrash(['b'])
+    await window.electronAPI.emptyTrash()
+    await window.electronAPI.setTrashRetention(7)
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('trash:list')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('trash:restore', ['a'])
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('trash:remove', ['b'])
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('trash:empty')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('trash:setRetention', 7)
+  })
+
+  it('routes backup APIs through ipcRenderer', async () => {
+    const { ipcRenderer } = require('electron')
+    const cb = jest.fn()
+
+    await window.electronAPI.getBackupStatus()
+    await window.electronAPI.chooseBackupDirectory()
+    await window.electronAPI.setBackupPreferences({ frequency: 'daily' })
+    await window.electronAPI.runBackupNow()
+    await window.electronAPI.restoreBackup('PearPass_Backup_1.json', 'work')
+    await window.electronAPI.respondBackupSnapshot('request-1', {
+      vaults: []
+    })
+    const unsubscribe = window.electronAPI.onBackupSnapshotRequest(cb)
+
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:getStatus')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:chooseDirectory')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:setPreferences', {
+      frequency: 'daily'
+    })
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:runNow')
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:restore', {
+      fileName: 'PearPass_Backup_1.json',
+      vaultId: 'work'
+    })
+    expect(ipcRenderer.invoke).toHaveBeenCalledWith('backup:respondSnapshot', {
+      id: 'request-1',
+      result: { vaults: [] }
+    })
+
+    const [channel, handler] = ipcRenderer.on.mock.calls[0]
+    expect(channel).toBe('backup:snapshot-request')
+    handler({}, { id: 'request-1' })
+    expect(cb).toHaveBeenCalledWith({ id: 'request-1' })
+
+    unsubscribe()
+    expect(ipcRenderer.removeListener).toHaveBeenCalledWith(
+      'backup:snapshot-request',
+      handler
+    )
+  })
 })
@@ -0,0 +1,303 @@
+/**
+ * Version history of vault records. Every write of a `record/<id>` key is
+ * mirrored by a snapshot stored under `record-version/<id>/` in the same
+ * vault, so versions are encrypted and synced like the records themselves
+ * and every device sees who changed what.
+ */
+const crypto = require('crypto')
+
+const RECORD_KEY_PREFIX = 'record/'
+const RECORD_VERSION_KEY_PREFIX = 'record-version/'
+
+const RECORD_VERSION_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+}
+
+const DEFAULT_MAX_VERSIONS_PER_RECORD = 50
+
+// Vault client methods that write a single key
+const VERSIONED_METHODS = ['activeVaultAdd', 'activeVaultRemove']
+
+/**
+ * @typedef {Object} RecordVersion
+ * @property {string} id
+ * @property {string} recordId
+ * @property {'create' | 'update' | 'delete'} action
+ * @property {number} createdAt - Milliseconds since the epoch
+ * @property {string | null} deviceId - Device that made the change
+ * @property {string | null} deviceName
+ * @property {any} record - The record after the change, or as it was
+ * before a delete
+ */
+
+/**
+ * @param {string} method - Vault client method
+ * @param {unknown[]} args
+ * @returns {string | null} Id of the record the call writes, if any
+ */
+function getVersionedRecordId(method, args) {
+  if (!VERSIONED_METHODS.includes(method)) return null
+  const key = args?.[0]
+  if (typeof key !== 'string' || !key.startsWith(RECORD_KEY_PREFIX)) {
+    return null
+  }
+  const recordId = key.slice(RECORD_KEY_PREFIX.length)
+  return recordId && !recordId.includes('/') ? recordId : null
+}
+
+/**
+ * @param {string} recordId
+ * @returns {string}
+ */
+function getRecordVersionPrefix(recordId) {
+  return `${RECORD_VERSION_KEY_PREFIX}${recordId}/`
+}
+
+/**
+ * Version ids sort in the order they were made
+ * @param {number} createdAt
+ * @returns {string}
+ */
+function createVersionId(createdAt) {
+  return `${String(createdAt).padStart(15, '0')}-${crypto.randomBytes(4).toString('hex')}`
+}
+
+/**
+ * Records compare equal when only their bookkeeping changed
+ * @param {any} record
+ * @returns {string}
+ */
+function getComparableRecord(record) {
+  const { updatedAt, ...rest } = record ?? {}
+  return JSON.stringify(rest)
+}
+
+/**
+ * @param {any} version
+ * @returns {boolean}
+ */
+function isRecordVersion(version) {
+  return (
+    typeof version?.id === 'string' &&
+    typeof version.recordId === 'string' &&
+    Object.values(RECORD_VERSION_ACTIONS).includes(version.action)
+  )
+}
+
+/**
+ * Drop the whole history of a record. Deletes keep the record in their
+ * version, so a record deleted for good must not outlive it here.
+ * @param {any} client
+ * @param {string} recordId
+ */
+async function removeRecordVersions(client, recordId) {
+  const prefix = getRecordVersionPrefix(recordId)
+  const versions = await client.activeVaultList(prefix)
+  for (const version of Array.isArray(versions) ? versions : []) {
+    if (typeof version?.id !== 'string') continue
+    await client.activeVaultRemove(`${prefix}${version.id}`)
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {() => any} options.getVaultClient
+ * @param {{ warn: (...args: any[]) => void }} options.logger
+ * @param {number} [options.maxVersionsPerRecord]
+ * @param {() => number} [options.now]
+ */
+function createRecordVersions({
+  getVaultClient,
+  logger,
+  maxVersionsPerRecord = DEFAULT_MAX_VERSIONS_PER_RECORD,
+  now = Date.now
+}) {
+  /** @type {{ deviceId: string | null, deviceName: string | null }} */
+  let device = { deviceId: null, deviceName: null }
+
+  /**
+   * @param {any} client
+   * @param {string} recordId
+   * @returns {Promise<RecordVersion[]>} Newest first
+   */
+  async function listVersions(client, recordId) {
+    const versions = await client.activeVaultList(
+      getRecordVersionPrefix(recordId)
+    )
+    return (Array.isArray(versions) ? versions : [])
+      .filter(
+        (version) => isRecordVersion(version) && version.recordId === recordId
+      )
+      .sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0))
+  }
+
+  /**
+   * @param {any} client
+   * @param {string} recordId
+   */
+  async function prune(client, recordId) {
+    const versions = await listVersions(client, recordId)
+    for (const version of versions.slice(maxVersionsPerRecord)) {
+      await client.activeVaultRemove(
+        `${getRecordVersionPrefix(recordId)}${version.id}`
+      )
+    }
+  }
+
+  /**
+   * @param {any} client
+   * @param {string} recordId
+   * @param {any} previous - Record before the write, null when new
+   * @param {any} next - Record after the write, null when deleted
+   */
+  async function saveVersion(client, recordId, previous, next) {
+    if (!previous && !next) return
+    if (
+      previous &&
+      next &&
+      getComparableRecord(previous) === getComparableRecord(next)
+    ) {
+      return
+    }
+
+    const createdAt = now()
+    /** @type {RecordVersion} */
+    const version = {
+      id: createVersionId(createdAt),
+      recordId,
+      action: !previous
+        ? RECORD_VERSION_ACTIONS.CREATE
+        : next
+          ? RECORD_VERSION_ACTIONS.UPDATE
+          : RECORD_VERSION_ACTIONS.DELETE,
+      createdAt,
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      record: next ?? previous
+    }
+
+    await client.activeVaultAdd(
+      `${getRecordVersionPrefix(recordId)}${version.id}`,
+      version
+    )
+    await prune(client, recordId)
+  }
+
+  /**
+   * Run a vault client call, keeping a version of the record it writes.
+   * Failing to keep the version never fails the write itself.
+   * @template T
+   * @param {string} method
+   * @param {unknown[]} args
+   * @param {() => Promise<T>} write
+   * @returns {Promise<T>}
+   */
+  async function track(method, args, write) {
+    const recordId = getVersionedRecordId(method, args)
+    const client = getVaultClient()
+    if (!recordId || !client) return write()
+
+    let previous = null
+    try {
+      previous = await client.activeVaultGet(`${RECORD_KEY_PREFIX}${recordId}`)
+    } catch (error) {
+      logger.warn(
+        'RECORD-VERSIONS',
+        `Could not read record ${recordId} before ${method}:`,
+        error?.message ?? error
+      )
+    }
+
+    const result = await write()
+
+    try {
+      await saveVersion(
+        client,
+        recordId,
+        previous ?? null,
+        method === 'activeVaultAdd' ? args[1] : null
+      )
+    } catch (error) {
+      logger.warn(
+        'RECORD-VERSIONS',
+        `Could not keep a version of record ${recordId}:`,
+        error?.message ?? error
+      )
+    }
+
+    return result
+  }
+
+  return {
+    track,
+
+    /**
+     * @returns {{ deviceId: string | null, deviceName: string | null }}
+     */
+    getDevice() {
+      return device
+    },
+
+    /**
+     * Device stamped on the versions made from now on
+     * @param {{ deviceId?: string | null, deviceName?: string | null }} [nextDevice]
+     */
+    setDevice(nextDevice) {
+      device = {
+        deviceId: nextDevice?.deviceId || null,
+        deviceName: nextDevice?.deviceName || null
+      }
+    },
+
+    /**
+     * Client whose record writes are versioned, for writers in the main
+     * process that do not go through vault:invoke
+     * @param {any} client
+     * @returns {any}
+     */
+    wrapClient(client) {
+      if (!client) return client
+      return new Proxy(client, {
+        get(target, property) {
+          const value = target[property]
+          if (typeof value !== 'function') return value
+          if (VERSIONED_METHODS.includes(/** @type {string} */ (property))) {
+            return (...args) =>
+              track(/** @type {string} */ (property), args, () =>
+                value.apply(target, args)
+              )
+          }
+          return value.bind(target)
+        }
+      })
+    },
+
+    /**
+     * @param {string} recordId
+     * @returns {Promise<RecordVersion[]>} Newest first, empty while locked
+     */
+    async list(recordId) {
+      const client = getVaultClient()
+      if (!client || typeof recordId !== 'string' || !recordId) return []
+      try {
+        const status = await client.vaultsGetStatus()
+        if (!status?.status) return []
+        return await listVersions(client, recordId)
+      } catch {
+        // No vault is open
+        return []
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_VERSIONS_PER_RECORD,
+  RECORD_VERSION_ACTIONS,
+  RECORD_VERSION_KEY_PREFIX,
+  createRecordVersions,
+  getVersionedRecordId,
+  removeRecordVersions
+}
@@ -0,0 +1,189 @@
+/* eslint-env jest */
+
+const {
+  RECORD_VERSION_ACTIONS,
+  createRecordVersions,
+  getVersionedRecordId
+} = require('./recordVersions.cjs')
+
+const logger = { warn: jest.fn() }
+
+/**
+ * In-memory stand-in for the active vault key space
+ */
+const createVaultClient = () => {
+  const entries = new Map()
+  return {
+    entries,
+    vaultsGetStatus: jest.fn(async () => ({ status: true })),
+    activeVaultGet: jest.fn(async (key) => entries.get(key) ?? null),
+    activeVaultAdd: jest.fn(async (key, value) => {
+      entries.set(key, value)
+    }),
+    activeVaultRemove: jest.fn(async (key) => {
+      entries.delete(key)
+    }),
+    activeVaultList: jest.fn(async (prefix) =>
+      [...entries.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, value]) => value)
+    )
+  }
+}
+
+const note = (title, updatedAt = 1) => ({
+  id: 'note-1',
+  type: 'note',
+  updatedAt,
+  data: { title }
+})
+
+describe('getVersionedRecordId', () => {
+  it('picks record writes only', () => {
+    expect(getVersionedRecordId('activeVaultAdd', ['record/abc', {}])).toBe(
+      'abc'
+    )
+    expect(getVersionedRecordId('activeVaultRemove', ['record/abc'])).toBe(
+      'abc'
+    )
+    expect(getVersionedRecordId('activeVaultGet', ['record/abc'])).toBeNull()
+    expect(getVersionedRecordId('activeVaultAdd', ['vault', {}])).toBeNull()
+    expect(
+      getVersionedRecordId('activeVaultAdd', ['record-version/abc/1', {}])
+    ).toBeNull()
+    expect(getVersionedRecordId('activeVaultAdd', ['record/', {}])).toBeNull()
+  })
+})
+
+describe('createRecordVersions', () => {
+  let client
+  let time
+
+  const createVersions = (options = {}) =>
+    createRecordVersions({
+      getVaultClient: () => client,
+      logger,
+      now: () => ++time,
+      ...options
+    })
+
+  const write = (versions, method, args) =>
+    versions.track(method, args, () => client[method](...args))
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    client = createVaultClient()
+    time = 1000
+  })
+
+  it('keeps a version for every create, update and delete', async () => {
+    const versions = createVersions()
+    versions.setDevice({ deviceId: 'device-1', deviceName: 'Laptop' })
+
+    await write(versions, 'activeVaultAdd', ['record/note-1', note('First')])
+    await write(versions, 'activeVaultAdd', [
+      'record/note-1',
+      note('Second', 2)
+    ])
+    versions.setDevice({ deviceId: 'device-2', deviceName: 'Phone' })
+    await write(versions, 'activeVaultRemove', ['record/note-1'])
+
+    const history = await versions.list('note-1')
+
+    expect(
+      history.map(({ action, createdAt, deviceName, record }) => ({
+        action,
+        createdAt,
+        deviceName,
+        title: record.data.title
+      }))
+    ).toEqual([
+      {
+        action: RECORD_VERSION_ACTIONS.DELETE,
+        createdAt: 1003,
+        deviceName: 'Phone',
+        title: 'Second'
+      },
+      {
+        action: RECORD_VERSION_ACTIONS.UPDATE,
+        createdAt: 1002,
+        deviceName: 'Laptop',
+        title: 'Second'
+      },
+      {
+        action: RECORD_VERSION_ACTIONS.CREATE,
+        createdAt: 1001,
+        deviceName: 'Laptop',
+        title: 'First'
+      }
+    ])
+    expect(history[0].deviceId).toBe('device-2')
+  })
+
+  it('skips writes that change nothing but the update time', async () => {
+    const versions = createVersions()
+
+    await write(versions, 'activeVaultAdd', ['record/note-1', note('Same')])
+    await write(versions, 'activeVaultAdd', ['record/note-1', note('Same', 5)])
+
+    await expect(versions.list('note-1')).resolves.toHaveLength(1)
+  })
+
+  it('leaves other keys alone', async () => {
+    const versions = createVersions()
+
+    await write(versions, 'activeVaultAdd', ['vault', { id: 'v' }])
+
+    expect(client.entries.size).toBe(1)
+    expect(client.activeVaultGet).not.toHaveBeenCalled()
+  })
+
+  it('drops the oldest versions past the limit', async () => {
+    const versions = createVersions({ maxVersionsPerRecord: 3 })
+
+    for (let i = 1; i <= 5; i++) {
+      await write(versions, 'activeVaultAdd', [
+        'record/note-1',
+        note(`Title ${i}`)
+      ])
+    }
+
+    const history = await versions.list('note-1')
+    expect(history.map((version) => version.record.data.title)).toEqual([
+      'Title 5',
+      'Title 4',
+      'Title 3'
+    ])
+  })
+
+  it('does not fail the write when the version cannot be kept', async () => {
+    const versions = createVersions()
+    client.activeVaultList.mockRejectedValueOnce(new Error('offline'))
+
+    await expect(
+      write(versions, 'activeVaultAdd', ['record/note-1', note('First')])
+    ).resolves.toBeUndefined()
+    expect(client.entries.get('record/note-1')).toEqual(note('First'))
+    expect(logger.warn).toHaveBeenCalled()
+  })
+
+  it('versions writes made through a wrapped client', async () => {
+    const versions = createVersions()
+    const wrapped = versions.wrapClient(client)
+
+    await wrapped.activeVaultAdd('record/note-1', note('First'))
+    await expect(wrapped.activeVaultGet('record/note-1')).resolves.toEqual(
+      note('First')
+    )
+
+    await expect(versions.list('note-1')).resolves.toHaveLength(1)
+  })
+
+  it('lists nothing while locked', async () => {
+    const versions = createVersions()
+    await write(versions, 'activeVaultAdd', ['record/note-1', note('First')])
+    client.vaultsGetStatus.mockResolvedValueOnce({ status: false })
+
+    await expect(versions.list('note-1')).resolves.toEqual([])
+  })
+})
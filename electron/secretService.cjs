@@ -0,0 +1,838 @@
+/**
+ * org.freedesktop.secrets provider on the D-Bus session bus, so libsecret
+ * clients (NetworkManager, git-credential-libsecret, GNOME apps) store and
+ * look up secrets in PearPass. There is one collection, also known as the
+ * "default" alias, and it is locked whenever the app is.
+ *
+ * Objects follow the Secret Service API draft 0.2:
+ *   /org/freedesktop/secrets                       Service
+ *   /org/freedesktop/secrets/collection/pearpass   Collection (and aliases/default)
+ *   /org/freedesktop/secrets/collection/pearpass/* Item, one per record
+ *   /org/freedesktop/secrets/session/*             Session
+ *   /org/freedesktop/secrets/prompt/*              Prompt, only to wait for unlock
+ */
+const dbus = require('dbus-next')
+
+const {
+  SESSION_ERRORS,
+  negotiateSession
+} = require('./secretServiceSessions.cjs')
+const { SECRET_STORE_ERRORS } = require('./secretServiceStore.cjs')
+
+const { Interface, ACCESS_READ, ACCESS_READWRITE } = dbus.interface
+
+const SECRET_SERVICE_BUS_NAME = 'org.freedesktop.secrets'
+const SERVICE_PATH = '/org/freedesktop/secrets'
+const COLLECTION_PATH = `${SERVICE_PATH}/collection/pearpass`
+const DEFAULT_ALIAS = 'default'
+const DEFAULT_ALIAS_PATH = `${SERVICE_PATH}/aliases/${DEFAULT_ALIAS}`
+const COLLECTION_LABEL = 'PearPass'
+
+// Object path of "no prompt needed" and "no such object"
+const NO_OBJECT = '/'
+
+const ITEM_PROPERTIES = {
+  LABEL: 'org.freedesktop.Secret.Item.Label',
+  ATTRIBUTES: 'org.freedesktop.Secret.Item.Attributes'
+}
+
+const DBUS_ERRORS = {
+  IS_LOCKED: 'org.freedesktop.Secret.Error.IsLocked',
+  NO_SESSION: 'org.freedesktop.Secret.Error.NoSession',
+  NO_SUCH_OBJECT: 'org.freedesktop.Secret.Error.NoSuchObject',
+  NOT_SUPPORTED: 'org.freedesktop.DBus.Error.NotSupported',
+  INVALID_ARGS: 'org.freedesktop.DBus.Error.InvalidArgs',
+  FAILED: 'org.freedesktop.DBus.Error.Failed'
+}
+
+const UNLOCK_PROMPT_TIMEOUT_MS = 5 * 60 * 1000
+const REQUEST_NAME_TIMEOUT_MS = 5000
+const REFRESH_DELAY_MS = 250
+
+/**
+ * @typedef {import('./secretServiceStore.cjs').SecretItem} SecretItem
+ */
+
+/**
+ * @typedef {Object} SecretStore
+ * @property {() => Promise<boolean>} isUnlocked
+ * @property {() => Promise<SecretItem[]>} listItems
+ * @property {(id: string) => Promise<import('./secretServiceStore.cjs').SecretValue>} getSecret
+ * @property {(item: { label: string, attributes: Record<string, string>, secret: Buffer, contentType?: string }) => Promise<SecretItem>} createItem
+ * @property {(id: string, changes: { label?: string, attributes?: Record<string, string>, secret?: Buffer, contentType?: string }) => Promise<SecretItem>} updateItem
+ * @property {(id: string) => Promise<void>} deleteItem
+ */
+
+/**
+ * Secret as it travels on the bus: session, parameters, value, content type
+ * @typedef {[string, Buffer, Buffer, string]} SecretStruct
+ */
+
+/**
+ * @param {number} milliseconds
+ */
+const toSeconds = (milliseconds) => Math.floor(milliseconds / 1000)
+
+/**
+ * Record ids may hold characters that are not allowed in object paths
+ * @param {string} id
+ */
+const getItemPath = (id) =>
+  `${COLLECTION_PATH}/${Buffer.from(id, 'utf8').toString('hex')}`
+
+/**
+ * @param {SecretItem} item
+ * @param {Record<string, string>} attributes
+ */
+const matchesAttributes = (item, attributes) =>
+  Object.entries(attributes).every(
+    ([name, value]) => item.attributes[name] === value
+  )
+
+/**
+ * @param {Record<string, string>} left
+ * @param {Record<string, string>} right
+ */
+const sameAttributes = (left, right) =>
+  Object.keys(left).length === Object.keys(right).length &&
+  Object.entries(left).every(([name, value]) => right[name] === value)
+
+/**
+ * Map store and session errors onto the error names clients expect
+ * @param {any} error
+ * @returns {InstanceType<typeof dbus.DBusError>}
+ */
+function toDBusError(error) {
+  if (error instanceof dbus.DBusError) return error
+
+  const message = error?.message || String(error)
+  switch (error?.code) {
+    case SECRET_STORE_ERRORS.LOCKED:
+      return new dbus.DBusError(DBUS_ERRORS.IS_LOCKED, message)
+    case SECRET_STORE_ERRORS.NOT_FOUND:
+      return new dbus.DBusError(DBUS_ERRORS.NO_SUCH_OBJECT, message)
+    case SESSION_ERRORS.NOT_SUPPORTED:
+      return new dbus.DBusError(DBUS_ERRORS.NOT_SUPPORTED, message)
+    case SESSION_ERRORS.INVALID_SECRET:
+      return new dbus.DBusError(DBUS_ERRORS.INVALID_ARGS, message)
+    default:
+      return new dbus.DBusError(DBUS_ERRORS.FAILED, message)
+  }
+}
+
+/**
+ * @template {any[]} A, R
+ * @param {(...args: A) => Promise<R>} fn
+ * @returns {(...args: A) => Promise<R>}
+ */
+const withDBusErrors =
+  (fn) =>
+  async (...args) => {
+    try {
+      return await fn(...args)
+    } catch (error) {
+      throw toDBusError(error)
+    }
+  }
+
+class ServiceInterface extends Interface {
+  constructor(provider) {
+    super('org.freedesktop.Secret.Service')
+    this.provider = provider
+  }
+
+  get Collections() {
+    return [COLLECTION_PATH]
+  }
+
+  OpenSession(algorithm, input) {
+    return this.provider.openSession(algorithm, input)
+  }
+
+  // Only the PearPass collection exists, every request gets that one
+  CreateCollection() {
+    return [COLLECTION_PATH, NO_OBJECT]
+  }
+
+  SearchItems(attributes) {
+    return this.provider.searchItems(attributes)
+  }
+
+  Unlock(objects) {
+    return this.provider.unlock(objects)
+  }
+
+  // Locking follows the app, clients cannot lock it for everyone
+  Lock() {
+    return [[], NO_OBJECT]
+  }
+
+  GetSecrets(items, session) {
+    return this.provider.getSecrets(items, session)
+  }
+
+  ReadAlias(name) {
+    return name === DEFAULT_ALIAS ? COLLECTION_PATH : NO_OBJECT
+  }
+
+  SetAlias() {
+    throw new dbus.DBusError(
+      DBUS_ERRORS.NOT_SUPPORTED,
+      'Aliases cannot be changed'
+    )
+  }
+
+  CollectionCreated(collection) {
+    return collection
+  }
+
+  CollectionDeleted(collection) {
+    return collection
+  }
+
+  CollectionChanged(collection) {
+    return collection
+  }
+}
+
+ServiceInterface.configureMembers({
+  properties: {
+    Collections: { signature: 'ao', access: ACCESS_READ }
+  },
+  methods: {
+    OpenSession: { inSignature: 'sv', outSignature: 'vo' },
+    CreateCollection: { inSignature: 'a{sv}s', outSignature: 'oo' },
+    SearchItems: { inSignature: 'a{ss}', outSignature: 'aoao' },
+    Unlock: { inSignature: 'ao', outSignature: 'aoo' },
+    Lock: { inSignature: 'ao', outSignature: 'aoo' },
+    GetSecrets: { inSignature: 'aoo', outSignature: 'a{o(oayays)}' },
+    ReadAlias: { inSignature: 's', outSignature: 'o' },
+    SetAlias: { inSignature: 'so' }
+  },
+  signals: {
+    CollectionCreated: { signature: 'o' },
+    CollectionDeleted: { signature: 'o' },
+    CollectionChanged: { signature: 'o' }
+  }
+})
+
+class CollectionInterface extends Interface {
+  constructor(provider) {
+    super('org.freedesktop.Secret.Collection')
+    this.provider = provider
+  }
+
+  get Items() {
+    return this.provider.getItemPaths()
+  }
+
+  get Label() {
+    return COLLECTION_LABEL
+  }
+
+  get Locked() {
+    return !this.provider.isUnlocked()
+  }
+
+  get Created() {
+    return 0
+  }
+
+  get Modified() {
+    return toSeconds(this.provider.getLastModified())
+  }
+
+  // The collection is the vault, it is not deleted from the bus
+  Delete() {
+    throw new dbus.DBusError(
+      DBUS_ERRORS.NOT_SUPPORTED,
+      'The PearPass collection cannot be deleted'
+    )
+  }
+
+  SearchItems(attributes) {
+    return this.provider.searchItems(attributes).then(([unlocked]) => unlocked)
+  }
+
+  CreateItem(properties, secret, replace) {
+    return this.provider.createItem(properties, secret, replace)
+  }
+
+  ItemCreated(item) {
+    return item
+  }
+
+  ItemDeleted(item) {
+    return item
+  }
+
+  ItemChanged(item) {
+    return item
+  }
+}
+
+CollectionInterface.configureMembers({
+  properties: {
+    Items: { signature: 'ao', access: ACCESS_READ },
+    Label: { signature: 's', access: ACCESS_READ },
+    Locked: { signature: 'b', access: ACCESS_READ },
+    Created: { signature: 't', access: ACCESS_READ },
+    Modified: { signature: 't', access: ACCESS_READ }
+  },
+  methods: {
+    Delete: { outSignature: 'o' },
+    SearchItems: { inSignature: 'a{ss}', outSignature: 'ao' },
+    CreateItem: { inSignature: 'a{sv}(oayays)b', outSignature: 'oo' }
+  },
+  signals: {
+    ItemCreated: { signature: 'o' },
+    ItemDeleted: { signature: 'o' },
+    ItemChanged: { signature: 'o' }
+  }
+})
+
+class ItemInterface extends Interface {
+  constructor(provider, path) {
+    super('org.freedesktop.Secret.Item')
+    this.provider = provider
+    this.path = path
+  }
+
+  get item() {
+    return this.provider.getItem(this.path)
+  }
+
+  get Locked() {
+    return !this.provider.isUnlocked()
+  }
+
+  get Attributes() {
+    return this.item?.attributes ?? {}
+  }
+
+  set Attributes(attributes) {
+    this.provider.updateItem(this.path, { attributes })
+  }
+
+  get Label() {
+    return this.item?.label ?? ''
+  }
+
+  set Label(label) {
+    this.provider.updateItem(this.path, { label })
+  }
+
+  get Created() {
+    return toSeconds(this.item?.created ?? 0)
+  }
+
+  get Modified() {
+    return toSeconds(this.item?.modified ?? 0)
+  }
+
+  Delete() {
+    return this.provider.deleteItem(this.path)
+  }
+
+  GetSecret(session) {
+    return this.provider.getSecret(this.path, session)
+  }
+
+  SetSecret(secret) {
+    return this.provider.setSecret(this.path, secret)
+  }
+}
+
+ItemInterface.configureMembers({
+  properties: {
+    Locked: { signature: 'b', access: ACCESS_READ },
+    Attributes: { signature: 'a{ss}', access: ACCESS_READWRITE },
+    Label: { signature: 's', access: ACCESS_READWRITE },
+    Created: { signature: 't', access: ACCESS_READ },
+    Modified: { signature: 't', access: ACCESS_READ }
+  },
+  methods: {
+    Delete: { outSignature: 'o' },
+    GetSecret: { inSignature: 'o', outSignature: '(oayays)' },
+    SetSecret: { inSignature: '(oayays)' }
+  }
+})
+
+class SessionInterface extends Interface {
+  constructor(provider, path) {
+    super('org.freedesktop.Secret.Session')
+    this.provider = provider
+    this.path = path
+  }
+
+  Close() {
+    this.provider.closeSession(this.path)
+  }
+}
+
+SessionInterface.configureMembers({
+  methods: {
+    Close: {}
+  }
+})
+
+class PromptInterface extends Interface {
+  constructor(provider, path) {
+    super('org.freedesktop.Secret.Prompt')
+    this.provider = provider
+    this.path = path
+  }
+
+  // There is nothing to show on the client's window, unlocking happens in
+  // the app, so bring it to the front
+  Prompt() {
+    this.provider.showPrompt(this.path)
+  }
+
+  Dismiss() {
+    this.provider.completePrompt(this.path, true)
+  }
+
+  Completed(dismissed, result) {
+    return [dismissed, result]
+  }
+}
+
+PromptInterface.configureMembers({
+  methods: {
+    Prompt: { inSignature: 's' },
+    Dismiss: {}
+  },
+  signals: {
+    Completed: { signature: 'bv' }
+  }
+})
+
+/**
+ * @param {Object} options
+ * @param {SecretStore} options.store
+ * @param {() => void} options.showWindow - Brings the app forward so the user can unlock it
+ * @param {{ info: (...args: any[]) => void, warn: (...args: any[]) => void }} options.logger
+ * @param {() => any} [options.connect] - Opens the session bus connection
+ * @param {number} [options.promptTimeoutMs]
+ */
+function createSecretService({
+  store,
+  showWindow,
+  logger,
+  connect = () => dbus.sessionBus(),
+  promptTimeoutMs = UNLOCK_PROMPT_TIMEOUT_MS
+}) {
+  let bus = null
+  let unlocked = false
+  /** @type {Map<string, SecretItem>} */
+  let items = new Map()
+  /** @type {Map<string, ItemInterface>} */
+  const itemInterfaces = new Map()
+  /** @type {Map<string, import('./secretServiceSessions.cjs').TransferSession>} */
+  const sessions = new Map()
+  /** @type {Map<string, { iface: PromptInterface, objects: string[], timer: NodeJS.Timeout }>} */
+  const prompts = new Map()
+  let nextObjectId = 0
+  let refreshing = Promise.resolve()
+  let refreshTimer = null
+
+  const provider = {
+    isUnlocked: () => unlocked,
+    getItem: (path) => items.get(path),
+    getItemPaths: () => [...items.keys()],
+    getLastModified: () =>
+      Math.max(0, ...[...items.values()].map((item) => item.modified)),
+
+    openSession: withDBusErrors(async (algorithm, input) => {
+      const session = negotiateSession(algorithm, input?.value)
+      const path = `${SERVICE_PATH}/session/s${++nextObjectId}`
+      bus.export(path, new SessionInterface(provider, path))
+      sessions.set(path, session)
+      return [
+        new dbus.Variant(
+          typeof session.output === 'string' ? 's' : 'ay',
+          session.output
+        ),
+        path
+      ]
+    }),
+
+    closeSession(path) {
+      if (!sessions.delete(path)) return
+      bus?.unexport(path)
+    },
+
+    searchItems: withDBusErrors(async (attributes) => {
+      await refresh()
+      const matches = [...items]
+        .filter(([, item]) => matchesAttributes(item, attributes))
+        .map(([path]) => path)
+      // Items of a locked collection are not listed at all
+      return [matches, []]
+    }),
+
+    unlock: withDBusErrors(async (objects) => {
+      await refresh()
+      if (unlocked) return [objects, NO_OBJECT]
+      return [[], createPrompt(objects)]
+    }),
+
+    getSecrets: withDBusErrors(async (paths, sessionPath) => {
+      const session = getSession(sessionPath)
+      await requireUnlocked()
+
+      const secrets = {}
+      for (const path of paths) {
+        const item = items.get(path)
+        if (!item) continue
+        secrets[path] = toSecretStruct(
+          session,
+          sessionPath,
+          await store.getSecret(item.id)
+        )
+      }
+      return secrets
+    }),
+
+    getSecret: withDBusErrors(async (path, sessionPath) => {
+      const session = getSession(sessionPath)
+      const item = await requireItem(path)
+      return toSecretStruct(
+        session,
+        sessionPath,
+        await store.getSecret(item.id)
+      )
+    }),
+
+    setSecret: withDBusErrors(async (path, secret) => {
+      const item = await requireItem(path)
+      await store.updateItem(item.id, readSecret(secret))
+      await refresh()
+    }),
+
+    createItem: withDBusErrors(async (properties, secret, replace) => {
+      await requireUnlocked()
+
+      const label = properties[ITEM_PROPERTIES.LABEL]?.value ?? ''
+      const attributes = properties[ITEM_PROPERTIES.ATTRIBUTES]?.value ?? {}
+      const { secret: value, contentType } = readSecret(secret)
+
+      const existing = replace
+        ? [...items.values()].find((item) =>
+            sameAttributes(item.attributes, attributes)
+          )
+        : undefined
+
+      const saved = existing
+        ? await store.updateItem(existing.id, {
+            label,
+            attributes,
+            secret: value,
+            contentType
+          })
+        : await store.createItem({
+            label,
+            attributes,
+            secret: value,
+            contentType
+          })
+
+      await refresh()
+      return [getItemPath(saved.id), NO_OBJECT]
+    }),
+
+    deleteItem: withDBusErrors(async (path) => {
+      const item = await requireItem(path)
+      await store.deleteItem(item.id)
+      await refresh()
+      return NO_OBJECT
+    }),
+
+    /**
+     * Property writes are answered right away and saved in the background
+     * @param {string} path
+     * @param {{ label?: string, attributes?: Record<string, string> }} changes
+     */
+    updateItem(path, changes) {
+      const item = items.get(path)
+      if (!item || !unlocked) {
+        throw new dbus.DBusError(DBUS_ERRORS.IS_LOCKED, 'PearPass is locked')
+      }
+
+      items.set(path, { ...item, ...changes })
+      store
+        .updateItem(item.id, changes)
+        .then(() => refresh())
+        .catch((error) =>
+          logger.warn(
+            'SECRET-SERVICE',
+            `Failed to update ${item.id}:`,
+            error.message
+          )
+        )
+    },
+
+    showPrompt(path) {
+      if (!prompts.has(path)) return
+      showWindow()
+    },
+
+    completePrompt
+  }
+
+  const service = new ServiceInterface(provider)
+  const collection = new CollectionInterface(provider)
+
+  /**
+   * @param {string} path
+   */
+  function getSession(path) {
+    const session = sessions.get(path)
+    if (!session) {
+      throw new dbus.DBusError(DBUS_ERRORS.NO_SESSION, `No session ${path}`)
+    }
+    return session
+  }
+
+  async function requireUnlocked() {
+    await refresh()
+    if (!unlocked) {
+      throw new dbus.DBusError(DBUS_ERRORS.IS_LOCKED, 'PearPass is locked')
+    }
+  }
+
+  /**
+   * @param {string} path
+   */
+  async function requireItem(path) {
+    await requireUnlocked()
+    const item = items.get(path)
+    if (!item) {
+      throw new dbus.DBusError(DBUS_ERRORS.NO_SUCH_OBJECT, `No item ${path}`)
+    }
+    return item
+  }
+
+  /**
+   * @param {import('./secretServiceSessions.cjs').TransferSession} session
+   * @param {string} sessionPath
+   * @param {import('./secretServiceStore.cjs').SecretValue} secret
+   * @returns {SecretStruct}
+   */
+  function toSecretStruct(session, sessionPath, { value, contentType }) {
+    const { parameters, value: encrypted } = session.encrypt(value)
+    return [sessionPath, parameters, encrypted, contentType]
+  }
+
+  /**
+   * @param {SecretStruct} secret
+   */
+  function readSecret([sessionPath, parameters, value, contentType]) {
+    const session = getSession(sessionPath)
+    return {
+      secret: session.decrypt({ parameters, value }),
+      contentType
+    }
+  }
+
+  /**
+   * @param {string[]} objects
+   * @returns {string} Prompt path
+   */
+  function createPrompt(objects) {
+    const path = `${SERVICE_PATH}/prompt/p${++nextObjectId}`
+    const iface = new PromptInterface(provider, path)
+    const timer = setTimeout(() => completePrompt(path, true), promptTimeoutMs)
+    prompts.set(path, { iface, objects, timer })
+    bus.export(path, iface)
+    return path
+  }
+
+  /**
+   * @param {string} path
+   * @param {boolean} dismissed
+   */
+  function completePrompt(path, dismissed) {
+    const prompt = prompts.get(path)
+    if (!prompt) return
+
+    clearTimeout(prompt.timer)
+    prompts.delete(path)
+    prompt.iface.Completed(
+      dismissed,
+      new dbus.Variant('ao', dismissed ? [] : prompt.objects)
+    )
+    bus?.unexport(path)
+  }
+
+  /**
+   * @param {boolean} nextUnlocked
+   * @param {SecretItem[]} list
+   */
+  function applyState(nextUnlocked, list) {
+    const lockChanged = nextUnlocked !== unlocked
+    const next = new Map(list.map((item) => [getItemPath(item.id), item]))
+    let itemsChanged = false
+
+    unlocked = nextUnlocked
+
+    for (const path of items.keys()) {
+      if (next.has(path)) continue
+      itemsChanged = true
+      bus.unexport(path)
+      itemInterfaces.delete(path)
+      if (!lockChanged) collection.ItemDeleted(path)
+    }
+
+    for (const [path, item] of next) {
+      const previous = items.get(path)
+      if (!previous) {
+        itemsChanged = true
+        const iface = new ItemInterface(provider, path)
+        itemInterfaces.set(path, iface)
+        bus.export(path, iface)
+        if (!lockChanged) collection.ItemCreated(path)
+      } else if (previous.modified !== item.modified) {
+        collection.ItemChanged(path)
+      }
+    }
+
+    items = next
+
+    if (itemsChanged) {
+      Interface.emitPropertiesChanged(collection, { Items: [...items.keys()] })
+    }
+    if (lockChanged) {
+      Interface.emitPropertiesChanged(collection, { Locked: !unlocked })
+      for (const iface of itemInterfaces.values()) {
+        Interface.emitPropertiesChanged(iface, { Locked: !unlocked })
+      }
+    }
+    if (unlocked) {
+      for (const path of [...prompts.keys()]) completePrompt(path, false)
+    }
+  }
+
+  async function reload() {
+    if (!bus) return
+
+    const nextUnlocked = await store.isUnlocked()
+    const list = nextUnlocked ? await store.listItems() : []
+    if (bus) applyState(nextUnlocked, list)
+  }
+
+  /**
+   * Re-read lock state and items, one reload at a time
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    refreshing = refreshing
+      .then(reload)
+      .catch((error) =>
+        logger.warn('SECRET-SERVICE', 'Refresh failed:', error.message)
+      )
+    return refreshing
+  }
+
+  /**
+   * @param {any} nextBus
+   */
+  async function requestName(nextBus) {
+    let timer
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('The D-Bus session bus did not answer')),
+        REQUEST_NAME_TIMEOUT_MS
+      )
+    })
+
+    try {
+      const reply = await Promise.race([
+        nextBus.requestName(
+          SECRET_SERVICE_BUS_NAME,
+          dbus.NameFlag.DO_NOT_QUEUE
+        ),
+        timeout
+      ])
+      if (
+        reply !== dbus.RequestNameReply.PRIMARY_OWNER &&
+        reply !== dbus.RequestNameReply.ALREADY_OWNER
+      ) {
+        throw new Error(
+          `${SECRET_SERVICE_BUS_NAME} is already provided by another app, such as GNOME Keyring or KWallet`
+        )
+      }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  return {
+    async start() {
+      if (bus) return
+
+      const nextBus = connect()
+      nextBus.on('error', (error) =>
+        logger.warn('SECRET-SERVICE', 'D-Bus connection error:', error.message)
+      )
+      nextBus.export(SERVICE_PATH, service)
+      nextBus.export(COLLECTION_PATH, collection)
+      nextBus.export(DEFAULT_ALIAS_PATH, collection)
+
+      try {
+        await requestName(nextBus)
+      } catch (error) {
+        nextBus.disconnect()
+        throw error
+      }
+
+      bus = nextBus
+      logger.info('SECRET-SERVICE', `Providing ${SECRET_SERVICE_BUS_NAME}`)
+      await refresh()
+    },
+
+    async stop() {
+      if (!bus) return
+
+      clearTimeout(refreshTimer)
+      for (const path of [...prompts.keys()]) completePrompt(path, true)
+      await refreshing
+
+      const closing = bus
+      bus = null
+      unlocked = false
+      items = new Map()
+      itemInterfaces.clear()
+      sessions.clear()
+      closing.disconnect()
+    },
+
+    isRunning() {
+      return !!bus
+    },
+
+    refresh,
+
+    /**
+     * Coalesce bursts of vault activity into one refresh
+     */
+    scheduleRefresh() {
+      if (!bus) return
+      clearTimeout(refreshTimer)
+      refreshTimer = setTimeout(() => {
+        void refresh()
+      }, REFRESH_DELAY_MS)
+    }
+  }
+}
+
+module.exports = {
+  COLLECTION_PATH,
+  DBUS_ERRORS,
+  DEFAULT_ALIAS_PATH,
+  SECRET_SERVICE_BUS_NAME,
+  SERVICE_PATH,
+  createSecretService,
+  getItemPath
+}
@@ -0,0 +1,307 @@
+/* eslint-env jest */
+
+const dbus = require('dbus-next')
+
+const {
+  COLLECTION_PATH,
+  DBUS_ERRORS,
+  DEFAULT_ALIAS_PATH,
+  SECRET_SERVICE_BUS_NAME,
+  SERVICE_PATH,
+  createSecretService,
+  getItemPath
+} = require('./secretService.cjs')
+const { createVaultSecretStore } = require('./secretServiceStore.cjs')
+
+const logger = { info: jest.fn(), warn: jest.fn() }
+
+const createVaultClient = () => {
+  const entries = new Map([['vault', { id: 'vault-1', name: 'Personal' }]])
+
+  return {
+    entries,
+    unlocked: true,
+    async vaultsGetStatus() {
+      return { status: this.unlocked }
+    },
+    activeVaultGet: async (key) => entries.get(key),
+    activeVaultList: async (prefix) =>
+      [...entries]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, value]) => value),
+    activeVaultAdd: async (key, value) => {
+      entries.set(key, value)
+    },
+    activeVaultRemove: async (key) => {
+      entries.delete(key)
+    }
+  }
+}
+
+/**
+ * Stands in for the session bus, objects are called directly
+ */
+const createBus = (reply = dbus.RequestNameReply.PRIMARY_OWNER) => {
+  const objects = new Map()
+
+  return {
+    objects,
+    export: jest.fn((path, iface) => objects.set(path, iface)),
+    unexport: jest.fn((path) => objects.delete(path)),
+    requestName: jest.fn(async () => reply),
+    disconnect: jest.fn(),
+    on: jest.fn()
+  }
+}
+
+/**
+ * @param {any} iface
+ * @returns {Array<{ name: string, value: any }>}
+ */
+const recordSignals = (iface) => {
+  const signals = []
+  iface.$emitter.on('signal', (options, value) =>
+    signals.push({ name: options.name, value })
+  )
+  return signals
+}
+
+const setup = async (options = {}) => {
+  const vaultClient = createVaultClient()
+  const bus = createBus()
+  const showWindow = jest.fn()
+  const secretService = createSecretService({
+    store: createVaultSecretStore({ getVaultClient: () => vaultClient }),
+    showWindow,
+    logger,
+    connect: () => bus,
+    ...options
+  })
+  await secretService.start()
+
+  const service = bus.objects.get(SERVICE_PATH)
+  const collection = bus.objects.get(COLLECTION_PATH)
+  const [, session] = await service.OpenSession(
+    'plain',
+    new dbus.Variant('s', '')
+  )
+
+  const createItem = (label, attributes, secret, replace = false) =>
+    collection.CreateItem(
+      {
+        'org.freedesktop.Secret.Item.Label': new dbus.Variant('s', label),
+        'org.freedesktop.Secret.Item.Attributes': new dbus.Variant(
+          'a{ss}',
+          attributes
+        )
+      },
+      [session, Buffer.alloc(0), Buffer.from(secret), 'text/plain'],
+      replace
+    )
+
+  return {
+    bus,
+    collection,
+    createItem,
+    secretService,
+    service,
+    session,
+    showWindow,
+    vaultClient
+  }
+}
+
+describe('createSecretService', () => {
+  it('takes the bus name and exports the service and collection', async () => {
+    const { bus, collection, secretService, service } = await setup()
+
+    expect(bus.requestName).toHaveBeenCalledWith(
+      SECRET_SERVICE_BUS_NAME,
+      dbus.NameFlag.DO_NOT_QUEUE
+    )
+    expect(bus.objects.get(DEFAULT_ALIAS_PATH)).toBe(collection)
+    expect(service.Collections).toEqual([COLLECTION_PATH])
+    expect(service.ReadAlias('default')).toBe(COLLECTION_PATH)
+    expect(service.ReadAlias('login')).toBe('/')
+    expect(collection.Locked).toBe(false)
+    expect(secretService.isRunning()).toBe(true)
+
+    await secretService.stop()
+    expect(bus.disconnect).toHaveBeenCalled()
+    expect(secretService.isRunning()).toBe(false)
+  })
+
+  it('does not start when another provider owns the name', async () => {
+    const bus = createBus(dbus.RequestNameReply.EXISTS)
+    const secretService = createSecretService({
+      store: createVaultSecretStore({ getVaultClient: () => null }),
+      showWindow: jest.fn(),
+      logger,
+      connect: () => bus
+    })
+
+    await expect(secretService.start()).rejects.toThrow(/already provided/)
+    expect(bus.disconnect).toHaveBeenCalled()
+    expect(secretService.isRunning()).toBe(false)
+  })
+
+  it('stores, finds and returns secrets', async () => {
+    const { bus, collection, createItem, service, session } = await setup()
+    const signals = recordSignals(collection)
+
+    const [path, prompt] = await createItem(
+      'Git: https://github.com/',
+      { server: 'github.com', user: 'alice' },
+      'hunter2'
+    )
+
+    expect(prompt).toBe('/')
+    expect(bus.objects.get(path).Label).toBe('Git: https://github.com/')
+    expect(collection.Items).toEqual([path])
+    expect(signals).toContainEqual({ name: 'ItemCreated', value: path })
+
+    expect(await service.SearchItems({ server: 'github.com' })).toEqual([
+      [path],
+      []
+    ])
+    expect(await collection.SearchItems({ server: 'gitlab.com' })).toEqual([])
+
+    const secrets = await service.GetSecrets([path], session)
+    expect(secrets[path][2].toString()).toBe('hunter2')
+    expect((await bus.objects.get(path).GetSecret(session))[2].toString()).toBe(
+      'hunter2'
+    )
+  })
+
+  it('replaces the item with the same attributes when asked to', async () => {
+    const { bus, collection, createItem, session } = await setup()
+    const attributes = { server: 'github.com', user: 'alice' }
+
+    const [first] = await createItem('GitHub', attributes, 'old')
+    const [second] = await createItem('GitHub', attributes, 'new', true)
+    const [third] = await createItem('GitHub', attributes, 'other')
+
+    expect(second).toBe(first)
+    expect(third).not.toBe(first)
+    expect(collection.Items).toHaveLength(2)
+    expect(
+      (await bus.objects.get(first).GetSecret(session))[2].toString()
+    ).toBe('new')
+  })
+
+  it('deletes items', async () => {
+    const { bus, collection, createItem } = await setup()
+    const signals = recordSignals(collection)
+    const [path] = await createItem('GitHub', { server: 'github.com' }, 'x')
+
+    expect(await bus.objects.get(path).Delete()).toBe('/')
+    expect(collection.Items).toEqual([])
+    expect(bus.objects.has(path)).toBe(false)
+    expect(signals).toContainEqual({ name: 'ItemDeleted', value: path })
+  })
+
+  it('hides items and refuses secrets while the app is locked', async () => {
+    const {
+      collection,
+      createItem,
+      secretService,
+      service,
+      session,
+      vaultClient
+    } = await setup()
+    const signals = recordSignals(collection)
+    const [path] = await createItem('GitHub', { server: 'github.com' }, 'x')
+
+    vaultClient.unlocked = false
+    await secretService.refresh()
+
+    expect(collection.Locked).toBe(true)
+    expect(collection.Items).toEqual([])
+    expect(await service.SearchItems({})).toEqual([[], []])
+    await expect(service.GetSecrets([path], session)).rejects.toMatchObject({
+      type: DBUS_ERRORS.IS_LOCKED
+    })
+    await expect(createItem('Other', {}, 'y')).rejects.toMatchObject({
+      type: DBUS_ERRORS.IS_LOCKED
+    })
+    // Locking is not reported as deleting every item
+    expect(signals.map(({ name }) => name)).not.toContain('ItemDeleted')
+  })
+
+  it('completes the unlock prompt once the app is unlocked', async () => {
+    const { bus, secretService, service, showWindow, vaultClient } =
+      await setup()
+    vaultClient.unlocked = false
+
+    const [unlocked, promptPath] = await service.Unlock([COLLECTION_PATH])
+    expect(unlocked).toEqual([])
+
+    const prompt = bus.objects.get(promptPath)
+    const signals = recordSignals(prompt)
+    prompt.Prompt('')
+    expect(showWindow).toHaveBeenCalled()
+
+    vaultClient.unlocked = true
+    await secretService.refresh()
+
+    expect(signals).toEqual([
+      {
+        name: 'Completed',
+        value: [false, new dbus.Variant('ao', [COLLECTION_PATH])]
+      }
+    ])
+    expect(bus.objects.has(promptPath)).toBe(false)
+    expect(await service.Unlock([COLLECTION_PATH])).toEqual([
+      [COLLECTION_PATH],
+      '/'
+    ])
+  })
+
+  it('dismisses unlock prompts nobody answers', async () => {
+    jest.useFakeTimers()
+    try {
+      const { bus, service, vaultClient } = await setup({
+        promptTimeoutMs: 1000
+      })
+      vaultClient.unlocked = false
+
+      const [, promptPath] = await service.Unlock([COLLECTION_PATH])
+      const signals = recordSignals(bus.objects.get(promptPath))
+      jest.advanceTimersByTime(1000)
+
+      expect(signals).toEqual([
+        { name: 'Completed', value: [true, new dbus.Variant('ao', [])] }
+      ])
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  it('rejects unknown sessions and algorithms', async () => {
+    const { service } = await setup()
+
+    await expect(
+      service.GetSecrets([], `${SERVICE_PATH}/session/missing`)
+    ).rejects.toMatchObject({ type: DBUS_ERRORS.NO_SESSION })
+    await expect(
+      service.OpenSession('rot13', new dbus.Variant('s', ''))
+    ).rejects.toMatchObject({ type: DBUS_ERRORS.NOT_SUPPORTED })
+  })
+
+  it('closes sessions', async () => {
+    const { bus, service, session } = await setup()
+
+    bus.objects.get(session).Close()
+
+    expect(bus.objects.has(session)).toBe(false)
+    await expect(service.GetSecrets([], session)).rejects.toMatchObject({
+      type: DBUS_ERRORS.NO_SESSION
+    })
+  })
+})
+
+describe('getItemPath', () => {
+  it('keeps record ids within object path characters', () => {
+    expect(getItemPath('a-b')).toBe(`${COLLECTION_PATH}/612d62`)
+  })
+})
@@ -0,0 +1,145 @@
+/**
+ * Transfer encryption of org.freedesktop.Secret sessions. "plain" hands
+ * secrets over as they are; dh-ietf1024-sha256-aes128-cbc-pkcs7 agrees on an
+ * AES-128 key through Diffie-Hellman over the 1024-bit MODP group of RFC 2409
+ * and HKDF-SHA256, the way libsecret and gnome-keyring do.
+ */
+const crypto = require('crypto')
+
+const SESSION_ALGORITHMS = {
+  PLAIN: 'plain',
+  DH_AES: 'dh-ietf1024-sha256-aes128-cbc-pkcs7'
+}
+
+const SESSION_ERRORS = {
+  NOT_SUPPORTED: 'SESSION_NOT_SUPPORTED',
+  INVALID_SECRET: 'SESSION_INVALID_SECRET'
+}
+
+// "Second Oakley Group" of RFC 2409
+const DH_GROUP = 'modp2'
+const DH_PRIME_LENGTH = 128
+const AES_KEY_LENGTH = 16
+const AES_IV_LENGTH = 16
+
+/**
+ * @typedef {Object} SecretPayload
+ * @property {Buffer} parameters - Empty for plain sessions, the AES IV otherwise
+ * @property {Buffer} value
+ */
+
+/**
+ * @typedef {Object} TransferSession
+ * @property {string} algorithm
+ * @property {Buffer|string} output - Returned to the client from OpenSession, our public key for DH
+ * @property {(value: Buffer) => SecretPayload} encrypt
+ * @property {(payload: SecretPayload) => Buffer} decrypt
+ */
+
+/**
+ * @param {string} message
+ * @param {string} code
+ */
+const sessionError = (message, code) =>
+  Object.assign(new Error(message), { code })
+
+/**
+ * @returns {TransferSession}
+ */
+function createPlainSession() {
+  return {
+    algorithm: SESSION_ALGORITHMS.PLAIN,
+    output: '',
+    encrypt: (value) => ({ parameters: Buffer.alloc(0), value }),
+    decrypt: ({ value }) => value
+  }
+}
+
+/**
+ * @param {Buffer} clientPublicKey
+ * @returns {TransferSession}
+ */
+function createDhSession(clientPublicKey) {
+  if (!Buffer.isBuffer(clientPublicKey) || !clientPublicKey.length) {
+    throw sessionError(
+      'Missing Diffie-Hellman public key',
+      SESSION_ERRORS.NOT_SUPPORTED
+    )
+  }
+
+  const dh = crypto.getDiffieHellman(DH_GROUP)
+  dh.generateKeys()
+
+  let shared
+  try {
+    shared = dh.computeSecret(clientPublicKey)
+  } catch (error) {
+    throw sessionError(error.message, SESSION_ERRORS.NOT_SUPPORTED)
+  }
+  // libsecret pads the shared secret to the length of the prime
+  if (shared.length < DH_PRIME_LENGTH) {
+    shared = Buffer.concat([
+      Buffer.alloc(DH_PRIME_LENGTH - shared.length),
+      shared
+    ])
+  }
+
+  const key = Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      shared,
+      Buffer.alloc(0),
+      Buffer.alloc(0),
+      AES_KEY_LENGTH
+    )
+  )
+
+  return {
+    algorithm: SESSION_ALGORITHMS.DH_AES,
+    output: dh.getPublicKey(),
+    encrypt(value) {
+      const iv = crypto.randomBytes(AES_IV_LENGTH)
+      const cipher = crypto.createCipheriv('aes-128-cbc', key, iv)
+      return {
+        parameters: iv,
+        value: Buffer.concat([cipher.update(value), cipher.final()])
+      }
+    },
+    decrypt({ parameters, value }) {
+      try {
+        const decipher = crypto.createDecipheriv('aes-128-cbc', key, parameters)
+        return Buffer.concat([decipher.update(value), decipher.final()])
+      } catch {
+        throw sessionError(
+          'Secret could not be decrypted',
+          SESSION_ERRORS.INVALID_SECRET
+        )
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} algorithm
+ * @param {unknown} input - Value of the OpenSession input variant
+ * @returns {TransferSession}
+ */
+function negotiateSession(algorithm, input) {
+  switch (algorithm) {
+    case SESSION_ALGORITHMS.PLAIN:
+      return createPlainSession()
+    case SESSION_ALGORITHMS.DH_AES:
+      return createDhSession(/** @type {Buffer} */ (input))
+    default:
+      throw sessionError(
+        `Unsupported session algorithm "${algorithm}"`,
+        SESSION_ERRORS.NOT_SUPPORTED
+      )
+  }
+}
+
+module.exports = {
+  SESSION_ALGORITHMS,
+  SESSION_ERRORS,
+  negotiateSession
+}
@@ -0,0 +1,104 @@
+/* eslint-env jest */
+
+const crypto = require('crypto')
+
+const {
+  SESSION_ALGORITHMS,
+  SESSION_ERRORS,
+  negotiateSession
+} = require('./secretServiceSessions.cjs')
+
+/**
+ * The client half of the DH exchange, done the way libsecret does it
+ */
+const createDhClient = () => {
+  const dh = crypto.getDiffieHellman('modp2')
+  dh.generateKeys()
+
+  return {
+    publicKey: dh.getPublicKey(),
+    deriveKey(serverPublicKey) {
+      const shared = dh.computeSecret(serverPublicKey)
+      const padded = Buffer.concat([Buffer.alloc(128 - shared.length), shared])
+      return Buffer.from(
+        crypto.hkdfSync('sha256', padded, Buffer.alloc(0), Buffer.alloc(0), 16)
+      )
+    }
+  }
+}
+
+describe('negotiateSession', () => {
+  it('passes secrets through in plain sessions', () => {
+    const session = negotiateSession(SESSION_ALGORITHMS.PLAIN, '')
+
+    expect(session.output).toBe('')
+    const payload = session.encrypt(Buffer.from('hunter2'))
+    expect(payload.parameters).toHaveLength(0)
+    expect(payload.value.toString()).toBe('hunter2')
+    expect(session.decrypt(payload).toString()).toBe('hunter2')
+  })
+
+  it('agrees on an AES key with the client in DH sessions', () => {
+    const client = createDhClient()
+    const session = negotiateSession(
+      SESSION_ALGORITHMS.DH_AES,
+      client.publicKey
+    )
+    const key = client.deriveKey(session.output)
+
+    const sent = session.encrypt(Buffer.from('hunter2'))
+    const decipher = crypto.createDecipheriv(
+      'aes-128-cbc',
+      key,
+      sent.parameters
+    )
+    expect(
+      Buffer.concat([decipher.update(sent.value), decipher.final()]).toString()
+    ).toBe('hunter2')
+
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv('aes-128-cbc', key, iv)
+    const received = session.decrypt({
+      parameters: iv,
+      value: Buffer.concat([cipher.update('correct horse'), cipher.final()])
+    })
+    expect(received.toString()).toBe('correct horse')
+  })
+
+  it('uses a fresh IV for every secret', () => {
+    const session = negotiateSession(
+      SESSION_ALGORITHMS.DH_AES,
+      createDhClient().publicKey
+    )
+
+    const first = session.encrypt(Buffer.from('same'))
+    const second = session.encrypt(Buffer.from('same'))
+    expect(first.parameters.equals(second.parameters)).toBe(false)
+  })
+
+  it('rejects secrets encrypted with another key', () => {
+    const session = negotiateSession(
+      SESSION_ALGORITHMS.DH_AES,
+      createDhClient().publicKey
+    )
+
+    expect(() =>
+      session.decrypt({
+        parameters: crypto.randomBytes(16),
+        value: crypto.randomBytes(32)
+      })
+    ).toThrow(expect.objectContaining({ code: SESSION_ERRORS.INVALID_SECRET }))
+  })
+
+  it('rejects DH sessions without a public key', () => {
+    expect(() =>
+      negotiateSession(SESSION_ALGORITHMS.DH_AES, Buffer.alloc(0))
+    ).toThrow(expect.objectContaining({ code: SESSION_ERRORS.NOT_SUPPORTED }))
+  })
+
+  it('rejects unknown algorithms', () => {
+    expect(() => negotiateSession('rot13', '')).toThrow(
+      expect.objectContaining({ code: SESSION_ERRORS.NOT_SUPPORTED })
+    )
+  })
+})
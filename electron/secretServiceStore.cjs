@@ -0,0 +1,274 @@
+/**
+ * Items of the Secret Service collection, kept as login records of the
+ * active vault. New items are filed in the "Secret Service" folder; a record
+ * stays part of the collection wherever it is moved as long as it carries
+ * `data.secretService`.
+ */
+const crypto = require('crypto')
+const { isUtf8 } = require('buffer')
+
+const SECRET_SERVICE_FOLDER = 'Secret Service'
+
+// RECORD_TYPES.LOGIN of pearpass-lib-vault
+const LOGIN_RECORD_TYPE = 'login'
+
+const DEFAULT_CONTENT_TYPE = 'text/plain'
+
+const SECRET_STORE_ERRORS = {
+  LOCKED: 'SECRET_STORE_LOCKED',
+  NOT_FOUND: 'SECRET_STORE_NOT_FOUND'
+}
+
+/**
+ * @typedef {Object} SecretItem
+ * @property {string} id - Id of the backing record
+ * @property {string} label
+ * @property {Record<string, string>} attributes
+ * @property {string} contentType
+ * @property {number} created - Milliseconds since the epoch
+ * @property {number} modified - Milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} SecretValue
+ * @property {Buffer} value
+ * @property {string} contentType
+ */
+
+/**
+ * @param {string} message
+ * @param {string} code
+ */
+const storeError = (message, code) =>
+  Object.assign(new Error(message), { code })
+
+/**
+ * @param {any} record
+ * @returns {boolean}
+ */
+const isSecretServiceRecord = (record) =>
+  typeof record?.id === 'string' &&
+  !!record.data?.secretService &&
+  typeof record.data.secretService === 'object'
+
+/**
+ * Attribute values are strings on the bus, drop anything else
+ * @param {unknown} attributes
+ * @returns {Record<string, string>}
+ */
+const normalizeAttributes = (attributes) =>
+  Object.fromEntries(
+    Object.entries(
+      attributes && typeof attributes === 'object' ? attributes : {}
+    ).filter(([, value]) => typeof value === 'string')
+  )
+
+/**
+ * @param {any} record
+ * @returns {SecretItem}
+ */
+const toSecretItem = (record) => ({
+  id: record.id,
+  label: record.data.title ?? '',
+  attributes: normalizeAttributes(record.data.secretService.attributes),
+  contentType: record.data.secretService.contentType || DEFAULT_CONTENT_TYPE,
+  created: record.createdAt ?? 0,
+  modified: record.updatedAt ?? record.createdAt ?? 0
+})
+
+/**
+ * Text secrets go into the password field as they are so they read and edit
+ * like any other password, binary ones are kept as base64
+ * @param {Buffer} value
+ */
+const encodeSecret = (value) =>
+  isUtf8(value)
+    ? { password: value.toString('utf8'), encoding: undefined }
+    : { password: value.toString('base64'), encoding: 'base64' }
+
+/**
+ * @param {any} record
+ * @returns {Buffer}
+ */
+const decodeSecret = (record) =>
+  Buffer.from(
+    record.data.password ?? '',
+    record.data.secretService.encoding === 'base64' ? 'base64' : 'utf8'
+  )
+
+/**
+ * @param {Object} options
+ * @param {() => any} options.getVaultClient
+ */
+function createVaultSecretStore({ getVaultClient }) {
+  const getClient = () => {
+    const vaultClient = getVaultClient()
+    if (!vaultClient) {
+      throw storeError('PearPass is locked', SECRET_STORE_ERRORS.LOCKED)
+    }
+    return vaultClient
+  }
+
+  /**
+   * @param {string} id
+   */
+  async function getRecord(id) {
+    const record = await getClient().activeVaultGet(`record/${id}`)
+    if (!isSecretServiceRecord(record)) {
+      throw storeError(`No secret ${id}`, SECRET_STORE_ERRORS.NOT_FOUND)
+    }
+    return record
+  }
+
+  /**
+   * @param {any} record
+   */
+  async function saveRecord(record) {
+    await getClient().activeVaultAdd(`record/${record.id}`, record)
+  }
+
+  return {
+    /**
+     * True while the app is unlocked with a vault open
+     * @returns {Promise<boolean>}
+     */
+    async isUnlocked() {
+      const vaultClient = getVaultClient()
+      if (!vaultClient) return false
+
+      try {
+        const status = await vaultClient.vaultsGetStatus()
+        if (!status?.status) return false
+        const vault = await vaultClient.activeVaultGet('vault')
+        return !!vault?.id
+      } catch {
+        return false
+      }
+    },
+
+    /**
+     * @returns {Promise<SecretItem[]>}
+     */
+    async listItems() {
+      const records = await getClient().activeVaultList('record/')
+      return (Array.isArray(records) ? records : [])
+        .filter(isSecretServiceRecord)
+        .map(toSecretItem)
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<SecretValue>}
+     */
+    async getSecret(id) {
+      const record = await getRecord(id)
+      return {
+        value: decodeSecret(record),
+        contentType: toSecretItem(record).contentType
+      }
+    },
+
+    /**
+     * @param {Object} item
+     * @param {string} item.label
+     * @param {Record<string, string>} item.attributes
+     * @param {Buffer} item.secret
+     * @param {string} [item.contentType]
+     * @returns {Promise<SecretItem>}
+     */
+    async createItem({ label, attributes, secret, contentType }) {
+      const vault = await getClient().activeVaultGet('vault')
+      if (!vault?.id) {
+        throw storeError('PearPass is locked', SECRET_STORE_ERRORS.LOCKED)
+      }
+
+      const now = Date.now()
+      const normalized = normalizeAttributes(attributes)
+      const { password, encoding } = encodeSecret(secret)
+      const record = {
+        id: crypto.randomUUID(),
+        type: LOGIN_RECORD_TYPE,
+        vaultId: vault.id,
+        folder: SECRET_SERVICE_FOLDER,
+        isFavorite: false,
+        createdAt: now,
+        updatedAt: now,
+        data: {
+          title: label,
+          username: normalized.user || normalized.username || '',
+          email: '',
+          password,
+          passwordUpdatedAt: now,
+          note: '',
+          websites: [],
+          customFields: [],
+          attachments: [],
+          secretService: {
+            attributes: normalized,
+            contentType: contentType || DEFAULT_CONTENT_TYPE,
+            ...(encoding ? { encoding } : {})
+          }
+        }
+      }
+
+      await saveRecord(record)
+      return toSecretItem(record)
+    },
+
+    /**
+     * @param {string} id
+     * @param {Object} changes
+     * @param {string} [changes.label]
+     * @param {Record<string, string>} [changes.attributes]
+     * @param {Buffer} [changes.secret]
+     * @param {string} [changes.contentType]
+     * @returns {Promise<SecretItem>}
+     */
+    async updateItem(id, { label, attributes, secret, contentType }) {
+      const record = await getRecord(id)
+      const now = Date.now()
+      const secretService = { ...record.data.secretService }
+      const data = { ...record.data }
+
+      if (label !== undefined) data.title = label
+      if (attributes !== undefined) {
+        secretService.attributes = normalizeAttributes(attributes)
+      }
+      if (secret !== undefined) {
+        const { password, encoding } = encodeSecret(secret)
+        data.password = password
+        data.passwordUpdatedAt = now
+        if (encoding) {
+          secretService.encoding = encoding
+        } else {
+          delete secretService.encoding
+        }
+      }
+      if (contentType !== undefined) {
+        secretService.contentType = contentType || DEFAULT_CONTENT_TYPE
+      }
+
+      const updated = {
+        ...record,
+        updatedAt: now,
+        data: { ...data, secretService }
+      }
+      await saveRecord(updated)
+      return toSecretItem(updated)
+    },
+
+    /**
+     * @param {string} id
+     */
+    async deleteItem(id) {
+      await getRecord(id)
+      await getClient().activeVaultRemove(`record/${id}`)
+    }
+  }
+}
+
+module.exports = {
+  SECRET_SERVICE_FOLDER,
+  SECRET_STORE_ERRORS,
+  createVaultSecretStore
+}
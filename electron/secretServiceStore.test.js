@@ -0,0 +1,206 @@
+/* eslint-env jest */
+
+const {
+  SECRET_SERVICE_FOLDER,
+  SECRET_STORE_ERRORS,
+  createVaultSecretStore
+} = require('./secretServiceStore.cjs')
+
+const createVaultClient = ({ unlocked = true, records = [] } = {}) => {
+  const entries = new Map([
+    ['vault', { id: 'vault-1', name: 'Personal' }],
+    ...records.map((record) => [`record/${record.id}`, record])
+  ])
+
+  return {
+    entries,
+    vaultsGetStatus: jest.fn(async () => ({ status: unlocked })),
+    activeVaultGet: jest.fn(async (key) => entries.get(key)),
+    activeVaultList: jest.fn(async (prefix) =>
+      [...entries]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, value]) => value)
+    ),
+    activeVaultAdd: jest.fn(async (key, value) => {
+      entries.set(key, value)
+    }),
+    activeVaultRemove: jest.fn(async (key) => {
+      entries.delete(key)
+    })
+  }
+}
+
+const gitAttributes = {
+  'xdg:schema': 'org.gnome.keyring.NetworkPassword',
+  user: 'alice',
+  server: 'github.com',
+  protocol: 'https'
+}
+
+describe('createVaultSecretStore', () => {
+  it('is locked without a vault client, an unlocked app or an open vault', async () => {
+    expect(
+      await createVaultSecretStore({ getVaultClient: () => null }).isUnlocked()
+    ).toBe(false)
+
+    const locked = createVaultClient({ unlocked: false })
+    expect(
+      await createVaultSecretStore({
+        getVaultClient: () => locked
+      }).isUnlocked()
+    ).toBe(false)
+
+    const noVault = createVaultClient()
+    noVault.entries.delete('vault')
+    expect(
+      await createVaultSecretStore({
+        getVaultClient: () => noVault
+      }).isUnlocked()
+    ).toBe(false)
+
+    const unlocked = createVaultClient()
+    expect(
+      await createVaultSecretStore({
+        getVaultClient: () => unlocked
+      }).isUnlocked()
+    ).toBe(true)
+  })
+
+  it('saves new items as login records in the Secret Service folder', async () => {
+    const vaultClient = createVaultClient()
+    const store = createVaultSecretStore({ getVaultClient: () => vaultClient })
+
+    const item = await store.createItem({
+      label: 'Git: https://github.com/',
+      attributes: gitAttributes,
+      secret: Buffer.from('hunter2')
+    })
+
+    const record = vaultClient.entries.get(`record/${item.id}`)
+    expect(record).toMatchObject({
+      type: 'login',
+      vaultId: 'vault-1',
+      folder: SECRET_SERVICE_FOLDER,
+      data: {
+        title: 'Git: https://github.com/',
+        username: 'alice',
+        password: 'hunter2',
+        secretService: { attributes: gitAttributes, contentType: 'text/plain' }
+      }
+    })
+    expect(item).toMatchObject({
+      label: 'Git: https://github.com/',
+      attributes: gitAttributes,
+      contentType: 'text/plain'
+    })
+    expect((await store.getSecret(item.id)).value.toString()).toBe('hunter2')
+  })
+
+  it('keeps binary secrets as base64', async () => {
+    const vaultClient = createVaultClient()
+    const store = createVaultSecretStore({ getVaultClient: () => vaultClient })
+    const secret = Buffer.from([0xff, 0x00, 0xfe])
+
+    const item = await store.createItem({
+      label: 'Binary',
+      attributes: {},
+      secret,
+      contentType: 'application/octet-stream'
+    })
+
+    const record = vaultClient.entries.get(`record/${item.id}`)
+    expect(record.data.password).toBe(secret.toString('base64'))
+    expect(record.data.secretService.encoding).toBe('base64')
+
+    const stored = await store.getSecret(item.id)
+    expect(stored.value.equals(secret)).toBe(true)
+    expect(stored.contentType).toBe('application/octet-stream')
+
+    await store.updateItem(item.id, { secret: Buffer.from('text again') })
+    expect(
+      vaultClient.entries.get(`record/${item.id}`).data.secretService.encoding
+    ).toBeUndefined()
+    expect((await store.getSecret(item.id)).value.toString()).toBe('text again')
+  })
+
+  it('only lists records that belong to the collection', async () => {
+    const vaultClient = createVaultClient({
+      records: [
+        {
+          id: 'login-1',
+          type: 'login',
+          data: { title: 'Bank', password: 'secret' }
+        },
+        {
+          id: 'moved-1',
+          type: 'login',
+          folder: 'Work',
+          createdAt: 1000,
+          updatedAt: 2000,
+          data: {
+            title: 'Wi-Fi',
+            password: 'secret',
+            secretService: { attributes: { ssid: 'home', port: 22 } }
+          }
+        }
+      ]
+    })
+    const store = createVaultSecretStore({ getVaultClient: () => vaultClient })
+
+    expect(await store.listItems()).toEqual([
+      {
+        id: 'moved-1',
+        label: 'Wi-Fi',
+        attributes: { ssid: 'home' },
+        contentType: 'text/plain',
+        created: 1000,
+        modified: 2000
+      }
+    ])
+  })
+
+  it('updates labels and attributes without touching the secret', async () => {
+    const vaultClient = createVaultClient()
+    const store = createVaultSecretStore({ getVaultClient: () => vaultClient })
+    const item = await store.createItem({
+      label: 'Old',
+      attributes: gitAttributes,
+      secret: Buffer.from('hunter2')
+    })
+
+    const updated = await store.updateItem(item.id, {
+      label: 'New',
+      attributes: { server: 'gitlab.com' }
+    })
+
+    expect(updated).toMatchObject({
+      label: 'New',
+      attributes: { server: 'gitlab.com' }
+    })
+    expect((await store.getSecret(item.id)).value.toString()).toBe('hunter2')
+  })
+
+  it('deletes items and reports unknown ones', async () => {
+    const vaultClient = createVaultClient({
+      records: [{ id: 'login-1', type: 'login', data: { title: 'Bank' } }]
+    })
+    const store = createVaultSecretStore({ getVaultClient: () => vaultClient })
+    const item = await store.createItem({
+      label: 'Temporary',
+      attributes: {},
+      secret: Buffer.from('x')
+    })
+
+    await store.deleteItem(item.id)
+    expect(vaultClient.entries.has(`record/${item.id}`)).toBe(false)
+
+    await expect(store.deleteItem(item.id)).rejects.toMatchObject({
+      code: SECRET_STORE_ERRORS.NOT_FOUND
+    })
+    // Records outside the collection are not reachable through it
+    await expect(store.getSecret('login-1')).rejects.toMatchObject({
+      code: SECRET_STORE_ERRORS.NOT_FOUND
+    })
+    expect(vaultClient.entries.has('record/login-1')).toBe(true)
+  })
+})
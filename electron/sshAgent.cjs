@@ -0,0 +1,345 @@
+/**
+ * SSH agent served by the main process from "SSH key" records. ssh and git
+ * reach it through SSH_AUTH_SOCK; keys are only listed while the vault is
+ * unlocked and every signature goes through a confirm callback.
+ */
+const crypto = require('crypto')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+
+const {
+  SSH_AGENT_MESSAGES,
+  SshReader,
+  createMessageSplitter,
+  encodeMessage,
+  encodeString,
+  encodeUint32
+} = require('./sshAgentProtocol.cjs')
+const {
+  SSH_KEY_RECORD_TYPE,
+  describeSignData,
+  getSshFingerprint,
+  parseSshPrivateKey,
+  signWithSshKey
+} = require('./sshKeys.cjs')
+
+const SSH_AGENT_SOCKET_NAME = 'pearpass-ssh-agent'
+
+// Same directory as the native messaging socket (IPC_SOCKET_DIR_NAME)
+const SOCKET_DIR_NAME = '.pearpass'
+
+const APPROVAL_TIMEOUT_MS = 60000
+
+/**
+ * @typedef {import('./sshKeys.cjs').SshKey & { recordId: string, title: string }} AgentKey
+ */
+
+/**
+ * @typedef {Object} SignatureRequest
+ * @property {string} title - Title of the SSH key record
+ * @property {string} fingerprint
+ * @property {ReturnType<typeof describeSignData>} purpose
+ */
+
+/**
+ * @param {NodeJS.Platform} [platform]
+ * @param {string} [homeDir]
+ * @returns {string}
+ */
+function getSshAgentSocketPath(
+  platform = process.platform,
+  homeDir = os.homedir()
+) {
+  if (platform === 'win32') {
+    return `\\\\.\\pipe\\${SSH_AGENT_SOCKET_NAME}`
+  }
+  return path.join(homeDir, SOCKET_DIR_NAME, `${SSH_AGENT_SOCKET_NAME}.sock`)
+}
+
+/**
+ * Keys of the SSH key records in the active vault. Nothing is listed while
+ * the app is locked, so auto-lock also closes the agent.
+ * @param {Object} options
+ * @param {() => any} options.getVaultClient
+ * @param {{ warn: (...args: any[]) => void }} options.logger
+ * @returns {() => Promise<AgentKey[]>}
+ */
+function createVaultKeySource({ getVaultClient, logger }) {
+  return async () => {
+    const vaultClient = getVaultClient()
+    if (!vaultClient) return []
+
+    let records
+    try {
+      const status = await vaultClient.vaultsGetStatus()
+      if (!status?.status) return []
+      records = await vaultClient.activeVaultList('record/')
+    } catch {
+      // No vault is open
+      return []
+    }
+
+    return (Array.isArray(records) ? records : [])
+      .filter(
+        (record) =>
+          record?.type === SSH_KEY_RECORD_TYPE && record.data?.privateKey
+      )
+      .flatMap((record) => {
+        try {
+          return [
+            {
+              ...parseSshPrivateKey(record.data.privateKey),
+              recordId: record.id,
+              title: record.data.title || ''
+            }
+          ]
+        } catch (error) {
+          logger.warn('SSH-AGENT', `Skipping key ${record.id}:`, error.message)
+          return []
+        }
+      })
+  }
+}
+
+/**
+ * Ask the renderer to approve signatures, one prompt at a time. A request
+ * nobody answers within the timeout is denied.
+ * @param {Object} options
+ * @param {(channel: string, payload: any) => boolean} options.send - Returns false when there is no window to ask
+ * @param {number} [options.timeoutMs]
+ */
+function createApprovalBroker({ send, timeoutMs = APPROVAL_TIMEOUT_MS }) {
+  /** @type {Map<string, (approved: boolean) => void>} */
+  const pending = new Map()
+  let queue = Promise.resolve()
+
+  /**
+   * @param {SignatureRequest} request
+   * @returns {Promise<boolean>}
+   */
+  const ask = (request) =>
+    new Promise((resolve) => {
+      const id = crypto.randomUUID()
+      const settle = (/** @type {boolean} */ approved) => {
+        clearTimeout(timer)
+        pending.delete(id)
+        resolve(approved)
+      }
+      const timer = setTimeout(() => settle(false), timeoutMs)
+      pending.set(id, settle)
+
+      if (
+        !send('ssh-agent:approval-request', {
+          id,
+          ...request,
+          expiresAt: Date.now() + timeoutMs
+        })
+      ) {
+        settle(false)
+      }
+    })
+
+  return {
+    /**
+     * @param {SignatureRequest} request
+     * @returns {Promise<boolean>}
+     */
+    request(request) {
+      const result = queue.then(() => ask(request))
+      queue = result.catch(() => {})
+      return result
+    },
+
+    /**
+     * @param {string} id
+     * @param {boolean} approved
+     */
+    respond(id, approved) {
+      pending.get(id)?.(approved === true)
+    },
+
+    denyAll() {
+      for (const settle of [...pending.values()]) settle(false)
+    }
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {() => Promise<AgentKey[]>} options.listKeys
+ * @param {(request: SignatureRequest) => Promise<boolean>} options.confirmSignature
+ * @param {{ info: (...args: any[]) => void, warn: (...args: any[]) => void }} options.logger
+ */
+function createSshAgent({ listKeys, confirmSignature, logger }) {
+  /** @type {net.Server | null} */
+  let server = null
+  let socketPath = null
+  const connections = new Set()
+
+  const failure = () => encodeMessage(SSH_AGENT_MESSAGES.FAILURE)
+
+  async function handleRequestIdentities() {
+    const keys = await listKeys()
+    return encodeMessage(
+      SSH_AGENT_MESSAGES.IDENTITIES_ANSWER,
+      encodeUint32(keys.length),
+      ...keys.flatMap((key) => [
+        encodeString(key.publicKeyBlob),
+        encodeString(key.title || key.comment)
+      ])
+    )
+  }
+
+  /**
+   * @param {SshReader} reader
+   */
+  async function handleSignRequest(reader) {
+    const publicKeyBlob = reader.readString()
+    const data = reader.readString()
+    const flags = reader.remaining >= 4 ? reader.readUint32() : 0
+
+    const key = (await listKeys()).find((candidate) =>
+      candidate.publicKeyBlob.equals(publicKeyBlob)
+    )
+    if (!key) return failure()
+
+    const approved = await confirmSignature({
+      title: key.title,
+      fingerprint: getSshFingerprint(key.publicKeyBlob),
+      purpose: describeSignData(data)
+    })
+    if (!approved) {
+      logger.info('SSH-AGENT', `Signature with ${key.recordId} denied`)
+      return failure()
+    }
+
+    return encodeMessage(
+      SSH_AGENT_MESSAGES.SIGN_RESPONSE,
+      encodeString(signWithSshKey(key, data, flags))
+    )
+  }
+
+  /**
+   * @param {Buffer} message
+   * @returns {Promise<Buffer>}
+   */
+  async function handleMessage(message) {
+    const reader = new SshReader(message)
+
+    try {
+      switch (reader.readByte()) {
+        case SSH_AGENT_MESSAGES.REQUEST_IDENTITIES:
+          return await handleRequestIdentities()
+        case SSH_AGENT_MESSAGES.SIGN_REQUEST:
+          return await handleSignRequest(reader)
+        default:
+          // Adding, removing and locking keys is done in the app
+          return failure()
+      }
+    } catch (error) {
+      logger.warn('SSH-AGENT', 'Request failed:', error.message)
+      return failure()
+    }
+  }
+
+  /**
+   * @param {net.Socket} socket
+   */
+  function handleConnection(socket) {
+    connections.add(socket)
+    // Answer in order, clients may pipeline requests
+    let replies = Promise.resolve()
+
+    const split = createMessageSplitter((message) => {
+      replies = replies
+        .then(() => handleMessage(message))
+        .then((reply) => {
+          if (!socket.destroyed) socket.write(reply)
+        })
+    })
+
+    socket.on('data', (chunk) => {
+      try {
+        split(chunk)
+      } catch (error) {
+        logger.warn('SSH-AGENT', error.message)
+        socket.destroy()
+      }
+    })
+    socket.on('error', () => {})
+    socket.on('close', () => connections.delete(socket))
+  }
+
+  /**
+   * @param {string} listenPath - Unix socket or Windows named pipe
+   */
+  function removeStaleSocket(listenPath) {
+    if (process.platform === 'win32') return
+    try {
+      fs.unlinkSync(listenPath)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  return {
+    /**
+     * @param {string} [listenPath]
+     */
+    async start(listenPath = getSshAgentSocketPath()) {
+      if (server) return
+
+      // The socket only becomes 0600 after listen, so the directory is what
+      // keeps other users out in between. mkdir leaves an existing directory
+      // as it is, hence the chmod. Node cannot set an ACL on a Windows named
+      // pipe, which keeps the default one of the user's session.
+      if (process.platform !== 'win32') {
+        const directory = path.dirname(listenPath)
+        fs.mkdirSync(directory, { recursive: true, mode: 0o700 })
+        fs.chmodSync(directory, 0o700)
+      }
+      removeStaleSocket(listenPath)
+
+      const nextServer = net.createServer(handleConnection)
+      await new Promise((resolve, reject) => {
+        nextServer.once('error', reject)
+        nextServer.listen(listenPath, () => {
+          nextServer.off('error', reject)
+          resolve(undefined)
+        })
+      })
+      if (process.platform !== 'win32') {
+        fs.chmodSync(listenPath, 0o600)
+      }
+
+      server = nextServer
+      socketPath = listenPath
+      logger.info('SSH-AGENT', `Listening on ${listenPath}`)
+    },
+
+    async stop() {
+      if (!server) return
+
+      const closing = server
+      server = null
+      for (const socket of connections) socket.destroy()
+      await new Promise((resolve) => closing.close(() => resolve(undefined)))
+      removeStaleSocket(socketPath)
+      socketPath = null
+    },
+
+    isRunning() {
+      return !!server
+    }
+  }
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT_MS,
+  createApprovalBroker,
+  createSshAgent,
+  createVaultKeySource,
+  getSshAgentSocketPath
+}
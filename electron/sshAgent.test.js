@@ -0,0 +1,300 @@
+/* eslint-env jest */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+
+const {
+  createApprovalBroker,
+  createSshAgent,
+  createVaultKeySource,
+  getSshAgentSocketPath
+} = require('./sshAgent.cjs')
+const {
+  SSH_AGENT_MESSAGES,
+  SshReader,
+  createMessageSplitter,
+  encodeMessage,
+  encodeString,
+  encodeUint32
+} = require('./sshAgentProtocol.cjs')
+const { parseSshPrivateKey } = require('./sshKeys.cjs')
+
+const logger = { info: jest.fn(), warn: jest.fn() }
+
+const createPemKey = () =>
+  crypto
+    .generateKeyPairSync('ed25519')
+    .privateKey.export({ format: 'pem', type: 'pkcs8' })
+
+/**
+ * Send one agent message and resolve with the reply body
+ */
+const sendMessage = (socketPath, message) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath)
+    const split = createMessageSplitter((reply) => {
+      socket.end()
+      resolve(reply)
+    })
+    socket.on('data', split)
+    socket.on('error', reject)
+    socket.write(message)
+  })
+
+describe('getSshAgentSocketPath', () => {
+  it('uses a socket next to the native messaging one', () => {
+    expect(getSshAgentSocketPath('linux', '/home/user')).toBe(
+      '/home/user/.pearpass/pearpass-ssh-agent.sock'
+    )
+  })
+
+  it('uses a named pipe on Windows', () => {
+    expect(getSshAgentSocketPath('win32', 'C:\\Users\\user')).toBe(
+      '\\\\.\\pipe\\pearpass-ssh-agent'
+    )
+  })
+})
+
+describe('createVaultKeySource', () => {
+  const sshKeyRecord = {
+    id: 'record-1',
+    type: 'sshKey',
+    data: { title: 'Deploy key', privateKey: createPemKey() }
+  }
+
+  it('lists nothing while the vault is locked', async () => {
+    const vaultClient = {
+      vaultsGetStatus: jest.fn(async () => ({ status: false })),
+      activeVaultList: jest.fn()
+    }
+
+    const listKeys = createVaultKeySource({
+      getVaultClient: () => vaultClient,
+      logger
+    })
+
+    await expect(listKeys()).resolves.toEqual([])
+    expect(vaultClient.activeVaultList).not.toHaveBeenCalled()
+  })
+
+  it('lists nothing when no vault is open', async () => {
+    const listKeys = createVaultKeySource({
+      getVaultClient: () => ({
+        vaultsGetStatus: async () => ({ status: true }),
+        activeVaultList: async () => {
+          throw new Error('Vault not initialised')
+        }
+      }),
+      logger
+    })
+
+    await expect(listKeys()).resolves.toEqual([])
+  })
+
+  it('parses SSH key records and skips other and broken records', async () => {
+    const listKeys = createVaultKeySource({
+      getVaultClient: () => ({
+        vaultsGetStatus: async () => ({ status: true }),
+        activeVaultList: async () => [
+          sshKeyRecord,
+          { id: 'record-2', type: 'login', data: { title: 'Login' } },
+          { id: 'record-3', type: 'sshKey', data: { privateKey: 'broken' } }
+        ]
+      }),
+      logger
+    })
+
+    const keys = await listKeys()
+
+    expect(keys).toHaveLength(1)
+    expect(keys[0]).toMatchObject({
+      type: 'ssh-ed25519',
+      recordId: 'record-1',
+      title: 'Deploy key'
+    })
+    expect(logger.warn).toHaveBeenCalledWith(
+      'SSH-AGENT',
+      'Skipping key record-3:',
+      expect.any(String)
+    )
+  })
+})
+
+describe('createApprovalBroker', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('resolves with the answer from the renderer', async () => {
+    const send = jest.fn(() => true)
+    const broker = createApprovalBroker({ send })
+
+    const approval = broker.request({ title: 'Deploy key' })
+    await Promise.resolve()
+    const [channel, payload] = send.mock.calls[0]
+    broker.respond(payload.id, true)
+
+    expect(channel).toBe('ssh-agent:approval-request')
+    expect(payload).toMatchObject({ title: 'Deploy key' })
+    await expect(approval).resolves.toBe(true)
+  })
+
+  it('denies when there is no window to ask', async () => {
+    const broker = createApprovalBroker({ send: () => false })
+
+    await expect(broker.request({ title: 'Deploy key' })).resolves.toBe(false)
+  })
+
+  it('denies requests nobody answers in time', async () => {
+    jest.useFakeTimers()
+    const broker = createApprovalBroker({ send: () => true, timeoutMs: 1000 })
+
+    const approval = broker.request({ title: 'Deploy key' })
+    await Promise.resolve()
+    jest.advanceTimersByTime(1000)
+
+    await expect(approval).resolves.toBe(false)
+  })
+
+  it('asks one request at a time', async () => {
+    const send = jest.fn(() => true)
+    const broker = createApprovalBroker({ send })
+
+    const first = broker.request({ title: 'First' })
+    const second = broker.request({ title: 'Second' })
+    await Promise.resolve()
+
+    expect(send).toHaveBeenCalledTimes(1)
+    broker.respond(send.mock.calls[0][1].id, false)
+    await expect(first).resolves.toBe(false)
+
+    await Promise.resolve()
+    expect(send).toHaveBeenCalledTimes(2)
+    broker.denyAll()
+    await expect(second).resolves.toBe(false)
+  })
+})
+
+describe('createSshAgent', () => {
+  let tmpDir
+  let socketPath
+  let agent
+  let key
+  let confirmSignature
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssh-agent-'))
+    socketPath = path.join(tmpDir, 'agent.sock')
+    key = {
+      ...parseSshPrivateKey(createPemKey()),
+      recordId: 'record-1',
+      title: 'Deploy key'
+    }
+    confirmSignature = jest.fn(async () => true)
+    agent = createSshAgent({
+      listKeys: async () => [key],
+      confirmSignature,
+      logger
+    })
+    await agent.start(socketPath)
+  })
+
+  afterEach(async () => {
+    await agent.stop()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const signRequest = (publicKeyBlob) =>
+    encodeMessage(
+      SSH_AGENT_MESSAGES.SIGN_REQUEST,
+      encodeString(publicKeyBlob),
+      encodeString(Buffer.from('challenge')),
+      encodeUint32(0)
+    )
+
+  it('listens on a socket only the user can open', () => {
+    expect(agent.isRunning()).toBe(true)
+    expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600)
+  })
+
+  it('closes an existing socket directory to other users', async () => {
+    await agent.stop()
+    fs.chmodSync(tmpDir, 0o755)
+
+    await agent.start(socketPath)
+
+    expect(fs.statSync(tmpDir).mode & 0o777).toBe(0o700)
+  })
+
+  it('lists the keys with their record titles', async () => {
+    const reply = new SshReader(
+      await sendMessage(
+        socketPath,
+        encodeMessage(SSH_AGENT_MESSAGES.REQUEST_IDENTITIES)
+      )
+    )
+
+    expect(reply.readByte()).toBe(SSH_AGENT_MESSAGES.IDENTITIES_ANSWER)
+    expect(reply.readUint32()).toBe(1)
+    expect(reply.readString()).toEqual(key.publicKeyBlob)
+    expect(reply.readString().toString()).toBe('Deploy key')
+  })
+
+  it('signs once the request is approved', async () => {
+    const reply = new SshReader(
+      await sendMessage(socketPath, signRequest(key.publicKeyBlob))
+    )
+
+    expect(reply.readByte()).toBe(SSH_AGENT_MESSAGES.SIGN_RESPONSE)
+    const signature = new SshReader(reply.readString())
+    expect(signature.readString().toString()).toBe('ssh-ed25519')
+    expect(
+      crypto.verify(
+        null,
+        Buffer.from('challenge'),
+        key.privateKey,
+        signature.readString()
+      )
+    ).toBe(true)
+    expect(confirmSignature).toHaveBeenCalledWith({
+      title: 'Deploy key',
+      fingerprint: expect.stringMatching(/^SHA256:/),
+      purpose: { kind: 'unknown' }
+    })
+  })
+
+  it('fails denied requests', async () => {
+    confirmSignature.mockResolvedValueOnce(false)
+
+    const reply = await sendMessage(socketPath, signRequest(key.publicKeyBlob))
+
+    expect(reply).toEqual(Buffer.from([SSH_AGENT_MESSAGES.FAILURE]))
+  })
+
+  it('fails requests for keys it does not hold', async () => {
+    const reply = await sendMessage(
+      socketPath,
+      signRequest(Buffer.from('unknown key'))
+    )
+
+    expect(reply).toEqual(Buffer.from([SSH_AGENT_MESSAGES.FAILURE]))
+    expect(confirmSignature).not.toHaveBeenCalled()
+  })
+
+  it('fails messages it does not support', async () => {
+    // SSH_AGENTC_REMOVE_ALL_IDENTITIES
+    const reply = await sendMessage(socketPath, encodeMessage(19))
+
+    expect(reply).toEqual(Buffer.from([SSH_AGENT_MESSAGES.FAILURE]))
+  })
+
+  it('removes the socket when stopped', async () => {
+    await agent.stop()
+
+    expect(agent.isRunning()).toBe(false)
+    expect(fs.existsSync(socketPath)).toBe(false)
+  })
+})
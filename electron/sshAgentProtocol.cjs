@@ -0,0 +1,161 @@
+/**
+ * Wire format of the SSH agent protocol (draft-miller-ssh-agent). Messages are
+ * a uint32 length followed by a one byte type and its payload; strings and
+ * mpints are uint32 length-prefixed as in RFC 4251.
+ */
+
+const SSH_AGENT_MESSAGES = {
+  FAILURE: 5,
+  SUCCESS: 6,
+  REQUEST_IDENTITIES: 11,
+  IDENTITIES_ANSWER: 12,
+  SIGN_REQUEST: 13,
+  SIGN_RESPONSE: 14
+}
+
+const SSH_AGENT_SIGN_FLAGS = {
+  RSA_SHA2_256: 2,
+  RSA_SHA2_512: 4
+}
+
+// OpenSSH's own agent refuses messages above 256 KiB
+const MAX_MESSAGE_LENGTH = 256 * 1024
+
+class SshReader {
+  /**
+   * @param {Buffer} buffer
+   */
+  constructor(buffer) {
+    this.buffer = buffer
+    this.offset = 0
+  }
+
+  /**
+   * @param {number} length
+   */
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('SSH message is truncated')
+    }
+  }
+
+  readByte() {
+    this.ensure(1)
+    return this.buffer[this.offset++]
+  }
+
+  readUint32() {
+    this.ensure(4)
+    const value = this.buffer.readUInt32BE(this.offset)
+    this.offset += 4
+    return value
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  readString() {
+    const length = this.readUint32()
+    this.ensure(length)
+    const value = this.buffer.subarray(this.offset, this.offset + length)
+    this.offset += length
+    return value
+  }
+
+  /**
+   * Unsigned mpint without the sign padding byte
+   * @returns {Buffer}
+   */
+  readMpint() {
+    const value = this.readString()
+    let start = 0
+    while (start < value.length - 1 && value[start] === 0) start++
+    return value.subarray(start)
+  }
+
+  get remaining() {
+    return this.buffer.length - this.offset
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function encodeUint32(value) {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32BE(value)
+  return buffer
+}
+
+/**
+ * @param {Buffer|string} value
+ * @returns {Buffer}
+ */
+function encodeString(value) {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8')
+  return Buffer.concat([encodeUint32(buffer.length), buffer])
+}
+
+/**
+ * Encode an unsigned big-endian integer as an mpint, adding a zero byte when
+ * the high bit is set so it does not read as negative
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+function encodeMpint(value) {
+  let start = 0
+  while (start < value.length && value[start] === 0) start++
+  const trimmed = value.subarray(start)
+  return encodeString(
+    trimmed.length && trimmed[0] & 0x80
+      ? Buffer.concat([Buffer.alloc(1), trimmed])
+      : trimmed
+  )
+}
+
+/**
+ * @param {number} type
+ * @param {...Buffer} parts
+ * @returns {Buffer}
+ */
+function encodeMessage(type, ...parts) {
+  const body = Buffer.concat([Buffer.from([type]), ...parts])
+  return Buffer.concat([encodeUint32(body.length), body])
+}
+
+/**
+ * Split a byte stream into message bodies (type byte and payload)
+ * @param {(message: Buffer) => void} onMessage
+ * @returns {(chunk: Buffer) => void} Feed it stream chunks, throws on oversized messages
+ */
+function createMessageSplitter(onMessage) {
+  let pending = Buffer.alloc(0)
+
+  return (chunk) => {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk
+
+    while (pending.length >= 4) {
+      const length = pending.readUInt32BE(0)
+      if (length === 0 || length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`Invalid SSH agent message length ${length}`)
+      }
+      if (pending.length < 4 + length) return
+
+      onMessage(pending.subarray(4, 4 + length))
+      pending = pending.subarray(4 + length)
+    }
+  }
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  SSH_AGENT_MESSAGES,
+  SSH_AGENT_SIGN_FLAGS,
+  SshReader,
+  createMessageSplitter,
+  encodeMessage,
+  encodeMpint,
+  encodeString,
+  encodeUint32
+}
@@ -0,0 +1,66 @@
+/* eslint-env jest */
+
+const {
+  MAX_MESSAGE_LENGTH,
+  SshReader,
+  createMessageSplitter,
+  encodeMessage,
+  encodeMpint,
+  encodeString,
+  encodeUint32
+} = require('./sshAgentProtocol.cjs')
+
+describe('sshAgentProtocol', () => {
+  it('round-trips strings and integers', () => {
+    const reader = new SshReader(
+      Buffer.concat([encodeUint32(7), encodeString('hello'), Buffer.from([9])])
+    )
+
+    expect(reader.readUint32()).toBe(7)
+    expect(reader.readString().toString()).toBe('hello')
+    expect(reader.readByte()).toBe(9)
+    expect(reader.remaining).toBe(0)
+  })
+
+  it('pads mpints with the high bit set and strips it on read', () => {
+    const encoded = encodeMpint(Buffer.from([0x00, 0x80, 0x01]))
+
+    expect(encoded).toEqual(Buffer.from([0, 0, 0, 3, 0x00, 0x80, 0x01]))
+    expect(new SshReader(encoded).readMpint()).toEqual(
+      Buffer.from([0x80, 0x01])
+    )
+  })
+
+  it('throws on truncated messages', () => {
+    const reader = new SshReader(Buffer.from([0, 0, 0, 5, 1]))
+
+    expect(() => reader.readString()).toThrow('SSH message is truncated')
+  })
+
+  it('splits messages across and within chunks', () => {
+    const onMessage = jest.fn()
+    const split = createMessageSplitter(onMessage)
+    const stream = Buffer.concat([
+      encodeMessage(11),
+      encodeMessage(13, encodeString('key'))
+    ])
+
+    split(stream.subarray(0, 3))
+    split(stream.subarray(3, 10))
+    split(stream.subarray(10))
+
+    expect(onMessage).toHaveBeenCalledTimes(2)
+    expect(onMessage.mock.calls[0][0]).toEqual(Buffer.from([11]))
+    expect(onMessage.mock.calls[1][0]).toEqual(
+      Buffer.concat([Buffer.from([13]), encodeString('key')])
+    )
+  })
+
+  it('rejects oversized messages', () => {
+    const split = createMessageSplitter(jest.fn())
+
+    expect(() => split(encodeUint32(MAX_MESSAGE_LENGTH + 1))).toThrow(
+      'Invalid SSH agent message length'
+    )
+  })
+})
@@ -0,0 +1,310 @@
+/**
+ * Trash of the active vault. Records removed through vault:invoke are kept
+ * under `trash/<id>` in the same vault before they are gone, so a delete on
+ * one device can be undone from any device until the retention period ends.
+ * Folders are records too (markers without a type), a deleted folder ends up
+ * in the Trash along with the records that were in it.
+ */
+const { removeRecordVersions } = require('./recordVersions.cjs')
+
+const TRASH_KEY_PREFIX = 'trash/'
+const RECORD_KEY_PREFIX = 'record/'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const TRASH_ERRORS = {
+  LOCKED: 'TRASH_LOCKED'
+}
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {string} id - Id of the deleted record
+ * @property {any} record - The record as it was before the delete
+ * @property {number} deletedAt - Milliseconds since the epoch
+ * @property {string | null} deviceId - Device that deleted it
+ * @property {string | null} deviceName
+ */
+
+/**
+ * @param {string} message
+ * @param {string} code
+ */
+const trashError = (message, code) =>
+  Object.assign(new Error(message), { code })
+
+/**
+ * @param {string} method
+ * @param {unknown[]} args
+ * @returns {string | null} Id of the record the call removes, if any
+ */
+function getRemovedRecordId(method, args) {
+  if (method !== 'activeVaultRemove') return null
+  const key = args?.[0]
+  if (typeof key !== 'string' || !key.startsWith(RECORD_KEY_PREFIX)) {
+    return null
+  }
+  const recordId = key.slice(RECORD_KEY_PREFIX.length)
+  return recordId && !recordId.includes('/') ? recordId : null
+}
+
+/**
+ * Folder markers carry the folder name and nothing else
+ * @param {any} record
+ * @returns {boolean}
+ */
+function isFolderRecord(record) {
+  return !record?.type && !record?.data && typeof record?.folder === 'string'
+}
+
+/**
+ * @param {any} entry
+ * @returns {boolean}
+ */
+function isTrashEntry(entry) {
+  return (
+    typeof entry?.id === 'string' &&
+    typeof entry.deletedAt === 'number' &&
+    !!entry.record &&
+    typeof entry.record === 'object'
+  )
+}
+
+/**
+ * @param {Object} options
+ * @param {() => any} options.getVaultClient - Client used to restore
+ * records, so restores are versioned like any other write
+ * @param {() => number} options.getRetentionDays
+ * @param {() => { deviceId: string | null, deviceName: string | null }} options.getDevice
+ * @param {{ warn: (...args: any[]) => void }} options.logger
+ * @param {() => number} [options.now]
+ */
+function createTrash({
+  getVaultClient,
+  getRetentionDays,
+  getDevice,
+  logger,
+  now = Date.now
+}) {
+  /**
+   * @returns {Promise<any>} Client of the open vault
+   */
+  async function getOpenClient() {
+    const client = getVaultClient()
+    if (!client) {
+      throw trashError('The vault is locked', TRASH_ERRORS.LOCKED)
+    }
+    let status
+    try {
+      status = await client.vaultsGetStatus()
+    } catch {
+      status = null
+    }
+    if (!status?.status) {
+      throw trashError('The vault is locked', TRASH_ERRORS.LOCKED)
+    }
+    return client
+  }
+
+  /**
+   * @param {any} client
+   * @returns {Promise<TrashEntry[]>} Most recently deleted first
+   */
+  async function listEntries(client) {
+    const entries = await client.activeVaultList(TRASH_KEY_PREFIX)
+    return (Array.isArray(entries) ? entries : [])
+      .filter(isTrashEntry)
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+  }
+
+  /**
+   * Delete entries for good, with the version history of their records.
+   * The history goes first, so a failure leaves the entry to try again.
+   * @param {any} client
+   * @param {TrashEntry[]} entries
+   */
+  async function removeEntries(client, entries) {
+    for (const entry of entries) {
+      await removeRecordVersions(client, entry.id)
+      await client.activeVaultRemove(`${TRASH_KEY_PREFIX}${entry.id}`)
+    }
+  }
+
+  /**
+   * A folder comes back with the records deleted from it, and a record
+   * brings back the folder it was in
+   * @param {TrashEntry[]} entries
+   * @param {string[]} ids
+   * @returns {TrashEntry[]}
+   */
+  function withRelatedEntries(entries, ids) {
+    const selected = entries.filter((entry) => ids.includes(entry.id))
+    const folders = new Set(
+      selected.map((entry) => entry.record.folder).filter(Boolean)
+    )
+    const deletedFolders = new Set(
+      selected
+        .filter((entry) => isFolderRecord(entry.record))
+        .map((entry) => entry.record.folder)
+    )
+    return entries.filter(
+      (entry) =>
+        ids.includes(entry.id) ||
+        (isFolderRecord(entry.record) && folders.has(entry.record.folder)) ||
+        deletedFolders.has(entry.record.folder)
+    )
+  }
+
+  /**
+   * @param {any} client
+   */
+  async function purgeExpired(client) {
+    const cutoff = now() - getRetentionDays() * DAY_MS
+    const entries = await listEntries(client)
+    await removeEntries(
+      client,
+      entries.filter((entry) => entry.deletedAt < cutoff)
+    )
+  }
+
+  return {
+    /**
+     * Run a vault client call, moving the record it removes to the Trash.
+     * Failing to keep the record never fails the delete itself.
+     * @template T
+     * @param {string} method
+     * @param {unknown[]} args
+     * @param {() => Promise<T>} write
+     * @returns {Promise<T>}
+     */
+    async track(method, args, write) {
+      const recordId = getRemovedRecordId(method, args)
+      const client = getVaultClient()
+      if (!recordId || !client) return write()
+
+      let record = null
+      try {
+        record = await client.activeVaultGet(`${RECORD_KEY_PREFIX}${recordId}`)
+      } catch (error) {
+        logger.warn(
+          'TRASH',
+          `Could not read record ${recordId} before deleting it:`,
+          error?.message ?? error
+        )
+      }
+
+      const result = await write()
+
+      if (record) {
+        try {
+          const { deviceId, deviceName } = getDevice()
+          /** @type {TrashEntry} */
+          const entry = {
+            id: recordId,
+            record,
+            deletedAt: now(),
+            deviceId,
+            deviceName
+          }
+          await client.activeVaultAdd(`${TRASH_KEY_PREFIX}${recordId}`, entry)
+        } catch (error) {
+          logger.warn(
+            'TRASH',
+            `Could not move record ${recordId} to the Trash:`,
+            error?.message ?? error
+          )
+        }
+      }
+
+      return result
+    },
+
+    /**
+     * Purges what is past the retention period first
+     * @returns {Promise<TrashEntry[]>} Most recently deleted first
+     */
+    async list() {
+      const client = await getOpenClient()
+      await purgeExpired(client)
+      return listEntries(client)
+    },
+
+    /**
+     * Put records back where they were
+     * @param {string[]} ids
+     * @returns {Promise<string[]>} Ids of the restored records
+     */
+    async restore(ids) {
+      const client = await getOpenClient()
+      const entries = withRelatedEntries(await listEntries(client), ids)
+      // Folders first, so restored records never show up without theirs
+      const ordered = [
+        ...entries.filter((entry) => isFolderRecord(entry.record)),
+        ...entries.filter((entry) => !isFolderRecord(entry.record))
+      ]
+      for (const entry of ordered) {
+        await client.activeVaultAdd(
+          `${RECORD_KEY_PREFIX}${entry.id}`,
+          entry.record
+        )
+        await client.activeVaultRemove(`${TRASH_KEY_PREFIX}${entry.id}`)
+      }
+      return ordered.map((entry) => entry.id)
+    },
+
+    /**
+     * Delete for good, a folder takes the records deleted from it along
+     * @param {string[]} ids
+     */
+    async remove(ids) {
+      const client = await getOpenClient()
+      const entries = await listEntries(client)
+      const deletedFolders = new Set(
+        entries
+          .filter(
+            (entry) => ids.includes(entry.id) && isFolderRecord(entry.record)
+          )
+          .map((entry) => entry.record.folder)
+      )
+      await removeEntries(
+        client,
+        entries.filter(
+          (entry) =>
+            ids.includes(entry.id) || deletedFolders.has(entry.record.folder)
+        )
+      )
+    },
+
+    async empty() {
+      const client = await getOpenClient()
+      await removeEntries(client, await listEntries(client))
+    },
+
+    /**
+     * Drop what is past the retention period, quietly skipped while locked
+     */
+    async purge() {
+      let client
+      try {
+        client = await getOpenClient()
+      } catch {
+        return
+      }
+      try {
+        await purgeExpired(client)
+      } catch (error) {
+        logger.warn(
+          'TRASH',
+          'Could not purge the Trash:',
+          error?.message ?? error
+        )
+      }
+    }
+  }
+}
+
+module.exports = {
+  TRASH_ERRORS,
+  TRASH_KEY_PREFIX,
+  createTrash,
+  isFolderRecord
+}
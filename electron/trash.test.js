@@ -0,0 +1,216 @@
+/* eslint-env jest */
+
+const { TRASH_ERRORS, createTrash } = require('./trash.cjs')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const logger = { warn: jest.fn() }
+
+/**
+ * In-memory stand-in for the active vault key space
+ */
+const createVaultClient = (records) => {
+  const entries = new Map(
+    records.map((record) => [`record/${record.id}`, record])
+  )
+  return {
+    entries,
+    vaultsGetStatus: jest.fn(async () => ({ status: true })),
+    activeVaultGet: jest.fn(async (key) => entries.get(key) ?? null),
+    activeVaultAdd: jest.fn(async (key, value) => {
+      entries.set(key, value)
+    }),
+    activeVaultRemove: jest.fn(async (key) => {
+      entries.delete(key)
+    }),
+    activeVaultList: jest.fn(async (prefix) =>
+      [...entries.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, value]) => value)
+    )
+  }
+}
+
+const note = (id, folder) => ({
+  id,
+  type: 'note',
+  folder,
+  data: { title: id }
+})
+
+const folderMarker = (id, folder) => ({ id, folder })
+
+describe('createTrash', () => {
+  let client
+  let time
+  let retentionDays
+
+  const createTestTrash = () =>
+    createTrash({
+      getVaultClient: () => client,
+      getRetentionDays: () => retentionDays,
+      getDevice: () => ({ deviceId: 'device-1', deviceName: 'Laptop' }),
+      logger,
+      now: () => time
+    })
+
+  const remove = (trash, id) =>
+    trash.track('activeVaultRemove', [`record/${id}`], () =>
+      client.activeVaultRemove(`record/${id}`)
+    )
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    time = 10 * DAY_MS
+    retentionDays = 30
+    client = createVaultClient([
+      note('plans'),
+      folderMarker('travel-folder', 'Travel'),
+      note('tickets', 'Travel'),
+      note('hotel', 'Travel')
+    ])
+  })
+
+  it('keeps deleted records with who deleted them and when', async () => {
+    const trash = createTestTrash()
+
+    await remove(trash, 'plans')
+
+    expect(client.entries.has('record/plans')).toBe(false)
+    await expect(trash.list()).resolves.toEqual([
+      {
+        id: 'plans',
+        record: note('plans'),
+        deletedAt: 10 * DAY_MS,
+        deviceId: 'device-1',
+        deviceName: 'Laptop'
+      }
+    ])
+  })
+
+  it('leaves other writes alone', async () => {
+    const trash = createTestTrash()
+
+    await trash.track('activeVaultRemove', ['trash/plans'], async () => {})
+    await trash.track('activeVaultAdd', ['record/plans', {}], async () => {})
+
+    expect(client.activeVaultGet).not.toHaveBeenCalled()
+    await expect(trash.list()).resolves.toEqual([])
+  })
+
+  it('restores records and the folder they were in', async () => {
+    const trash = createTestTrash()
+    await remove(trash, 'tickets')
+    await remove(trash, 'travel-folder')
+
+    await expect(trash.restore(['tickets'])).resolves.toEqual([
+      'travel-folder',
+      'tickets'
+    ])
+
+    expect(client.entries.get('record/tickets')).toEqual(
+      note('tickets', 'Travel')
+    )
+    expect(client.entries.get('record/travel-folder')).toEqual(
+      folderMarker('travel-folder', 'Travel')
+    )
+    await expect(trash.list()).resolves.toEqual([])
+  })
+
+  it('restores a folder with the records deleted from it', async () => {
+    const trash = createTestTrash()
+    await remove(trash, 'tickets')
+    await remove(trash, 'hotel')
+    await remove(trash, 'travel-folder')
+    await remove(trash, 'plans')
+
+    await trash.restore(['travel-folder'])
+
+    expect(client.entries.has('record/tickets')).toBe(true)
+    expect(client.entries.has('record/hotel')).toBe(true)
+    expect((await trash.list()).map((entry) => entry.id)).toEqual(['plans'])
+  })
+
+  it('deletes a folder for good with the records deleted from it', async () => {
+    const trash = createTestTrash()
+    await remove(trash, 'tickets')
+    await remove(trash, 'travel-folder')
+    await remove(trash, 'plans')
+
+    await trash.remove(['travel-folder'])
+
+    expect((await trash.list()).map((entry) => entry.id)).toEqual(['plans'])
+    expect(client.entries.has('record/tickets')).toBe(false)
+  })
+
+  it('empties the Trash', async () => {
+    const trash = createTestTrash()
+    await remove(trash, 'plans')
+    await remove(trash, 'hotel')
+
+    await trash.empty()
+
+    await expect(trash.list()).resolves.toEqual([])
+  })
+
+  it('leaves no versions of records deleted for good', async () => {
+    const trash = createTestTrash()
+    const addVersion = (recordId, id) =>
+      client.entries.set(`record-version/${recordId}/${id}`, {
+        id,
+        recordId,
+        action: 'delete',
+        record: note(recordId)
+      })
+    addVersion('plans', '001')
+    addVersion('plans', '002')
+    addVersion('hotel', '001')
+    addVersion('tickets', '001')
+    await remove(trash, 'plans')
+    await remove(trash, 'hotel')
+    await remove(trash, 'tickets')
+
+    await trash.remove(['plans'])
+    expect(await client.activeVaultList('record-version/plans/')).toEqual([])
+    expect(await client.activeVaultList('record-version/hotel/')).toHaveLength(
+      1
+    )
+
+    time += 31 * DAY_MS
+    await trash.purge()
+    expect(await client.activeVaultList('record-version/')).toEqual([])
+  })
+
+  it('purges what is past the retention period', async () => {
+    const trash = createTestTrash()
+    await remove(trash, 'plans')
+    time += 5 * DAY_MS
+    await remove(trash, 'hotel')
+
+    time += 3 * DAY_MS
+    retentionDays = 7
+    await trash.purge()
+
+    expect((await trash.list()).map((entry) => entry.id)).toEqual(['hotel'])
+  })
+
+  it('does not fail the delete when the record cannot be kept', async () => {
+    const trash = createTestTrash()
+    client.activeVaultAdd.mockRejectedValueOnce(new Error('offline'))
+
+    await remove(trash, 'plans')
+
+    expect(client.entries.has('record/plans')).toBe(false)
+    expect(logger.warn).toHaveBeenCalled()
+  })
+
+  it('refuses to work while locked', async () => {
+    const trash = createTestTrash()
+    client.vaultsGetStatus.mockResolvedValue({ status: false })
+
+    await expect(trash.list()).rejects.toMatchObject({
+      code: TRASH_ERRORS.LOCKED
+    })
+    await expect(trash.purge()).resolves.toBeUndefined()
+  })
+})
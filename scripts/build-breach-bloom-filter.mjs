@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Build a breach check Bloom filter from a SHA-1 hash list, e.g. the Have I
+ * Been Pwned "pwned-passwords-sha1" download. The filter is a fraction of the
+ * list's size and can be imported under Settings → Breach Check.
+ *
+ * Usage: node scripts/build-breach-bloom-filter.mjs <hashes.txt> <output.bloom> [falsePositiveRate]
+ */
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+const {
+  DEFAULT_FALSE_POSITIVE_RATE,
+  buildBloomFilter
+} = require('../electron/breachDatabase.cjs')
+
+const [sourcePath, targetPath, rate] = process.argv.slice(2)
+if (!sourcePath || !targetPath) {
+  console.error(
+    'Usage: node scripts/build-breach-bloom-filter.mjs <hashes.txt> <output.bloom> [falsePositiveRate]'
+  )
+  process.exit(1)
+}
+
+const falsePositiveRate = rate ? Number(rate) : DEFAULT_FALSE_POSITIVE_RATE
+
+try {
+  const { entryCount, bitCount, hashCount } = await buildBloomFilter({
+    sourcePath,
+    targetPath,
+    falsePositiveRate,
+    onProgress: ({ bytesRead, totalBytes }) => {
+      process.stdout.write(
+        `\rSetting bits ${Math.floor((bytesRead / totalBytes) * 100)}%`
+      )
+    }
+  })
+  process.stdout.write('\n')
+  console.log(
+    `Wrote ${targetPath}: ${entryCount} hashes, ${Math.ceil(bitCount / 8)} bytes, ${hashCount} hash functions`
+  )
+} catch (error) {
+  process.stdout.write('\n')
+  console.error(error.message)
+  process.exit(1)
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Bundle the pearpass command-line client and git-credential-pearpass into single CJS files for Electron (ELECTRON_RUN_AS_NODE).
+ * Node built-ins, pear-ipc and sodium-native are external: they resolve at runtime.
+ */
+import * as esbuild from 'esbuild'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const root = path.join(__dirname, '..')
+const watch = process.argv.includes('--watch')
+
+const ctx = await esbuild.context({
+  entryPoints: {
+    'pearpass-cli.bundle': path.join(root, 'src', 'cli', 'bin.js'),
+    'git-credential-pearpass.bundle': path.join(
+      root,
+      'src',
+      'cli',
+      'gitCredentialBin.js'
+    )
+  },
+  bundle: true,
+  outdir: path.join(root, 'dist'),
+  outExtension: { '.js': '.cjs' },
+  platform: 'node',
+  target: ['node18'],
+  format: 'cjs',
+  banner: { js: '#!/usr/bin/env node' },
+  external: [
+    'fs',
+    'fs/promises',
+    'path',
+    'os',
+    'net',
+    'util',
+    'events',
+    'crypto',
+    'pear-ipc',
+    'sodium-native'
+  ],
+  logLevel: 'info'
+})
+
+if (watch) {
+  await ctx.watch()
+  console.log('Watching for changes...')
+} else {
+  await ctx.rebuild()
+  ctx.dispose()
+}
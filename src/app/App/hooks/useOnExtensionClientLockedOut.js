@@ -0,0 +1,43 @@
+import { useEffect } from 'react'
+
+import { HANDLER_EVENTS } from '../../../constants/services'
+import { useToast } from '../../../context/ToastContext'
+import { useTranslation } from '../../../hooks/useTranslation'
+
+/**
+ * Warns the user when a browser extension is locked out after repeated
+ * failed connection attempts
+ */
+export const useOnExtensionClientLockedOut = () => {
+  const { setToast } = useToast()
+  const { t } = useTranslation()
+
+  useEffect(() => {
+    const handleClientLockedOut = (event) => {
+      const { lockedUntil } = event.detail || {}
+      const minutes = Math.max(
+        1,
+        Math.ceil((lockedUntil - Date.now()) / (60 * 1000))
+      )
+
+      setToast({
+        message: t(
+          'Blocked a browser extension for {minutes} min after repeated failed connection attempts',
+          { minutes }
+        )
+      })
+    }
+
+    window.addEventListener(
+      HANDLER_EVENTS.extensionClientLockedOut,
+      handleClientLockedOut
+    )
+
+    return () => {
+      window.removeEventListener(
+        HANDLER_EVENTS.extensionClientLockedOut,
+        handleClientLockedOut
+      )
+    }
+  }, [setToast, t])
+}
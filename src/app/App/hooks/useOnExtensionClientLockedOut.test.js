@@ -0,0 +1,65 @@
+import React from 'react'
+
+import { act, render } from '@testing-library/react'
+
+import { useOnExtensionClientLockedOut } from './useOnExtensionClientLockedOut'
+import { HANDLER_EVENTS } from '../../../constants/services'
+
+const mockSetToast = jest.fn()
+
+jest.mock('../../../context/ToastContext', () => ({
+  useToast: () => ({
+    setToast: mockSetToast
+  })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str, values) =>
+      values ? str.replace('{minutes}', String(values.minutes)) : str
+  })
+}))
+
+function TestComponent() {
+  useOnExtensionClientLockedOut()
+  return null
+}
+
+describe('useOnExtensionClientLockedOut', () => {
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should show a toast when a client is locked out', () => {
+    render(<TestComponent />)
+
+    act(() => {
+      window.dispatchEvent(
+        new CustomEvent(HANDLER_EVENTS.extensionClientLockedOut, {
+          detail: {
+            clientFingerprint: 'abc',
+            lockedUntil: Date.now() + 5 * 60 * 1000
+          }
+        })
+      )
+    })
+
+    expect(mockSetToast).toHaveBeenCalledWith({
+      message:
+        'Blocked a browser extension for 5 min after repeated failed connection attempts'
+    })
+  })
+
+  it('should stop listening on unmount', () => {
+    const { unmount } = render(<TestComponent />)
+    unmount()
+
+    window.dispatchEvent(
+      new CustomEvent(HANDLER_EVENTS.extensionClientLockedOut, {
+        detail: { lockedUntil: Date.now() + 60 * 1000 }
+      })
+    )
+
+    expect(mockSetToast).not.toHaveBeenCalled()
+  })
+})
@@ -7,6 +7,7 @@ import { html } from 'htm/react'
 
 import { appConfig } from './appConfig'
 import { useInactivity } from './hooks/useInactivity'
+import { useOnExtensionClientLockedOut } from './hooks/useOnExtensionClientLockedOut'
 import { useOnExtensionExit } from './hooks/useOnExtensionExit'
 import { useOnExtensionLockOut } from './hooks/useOnExtensionLockOut'
 import { useRedirect } from './hooks/useRedirect'
@@ -14,7 +15,11 @@ import { ContentFrame, WindowBackground } from './styles'
 import { TitleBar } from '../../components/TitleBar'
 import { AppHeaderContainer } from '../../containers/AppHeaderContainer'
 import { useRouter } from '../../context/RouterContext'
+import { useExtensionApprovalRequests } from '../../hooks/useExtensionApprovalRequests'
 import { usePearUpdate } from '../../hooks/usePearUpdate'
+import { useRecordVersionDevice } from '../../hooks/useRecordVersionDevice'
+import { useScheduledBackups } from '../../hooks/useScheduledBackups'
+import { useSshAgentApprovalRequests } from '../../hooks/useSshAgentApprovalRequests'
 import { useVaultAccessRevoked } from '../../hooks/useVaultAccessRevoked'
 import { useVaultSwitch } from '../../hooks/useVaultSwitch'
 import { Routes } from '../Routes'
@@ -30,6 +35,11 @@ export const App = () => {
 
   useOnExtensionExit()
   useOnExtensionLockOut()
+  useOnExtensionClientLockedOut()
+  useExtensionApprovalRequests()
+  useSshAgentApprovalRequests()
+  useRecordVersionDevice()
+  useScheduledBackups()
 
   useVaultAccessRevoked()
   const { data: vaultsForDevTrigger, refetch: refetchVaults } = useVaults()
@@ -2,6 +2,7 @@ import { AUTHENTICATOR_ENABLED } from '@tetherto/pearpass-lib-constants'
 import { OtpRefreshProvider, RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
 import { html } from 'htm/react'
 
+import { VAULT_VIEWS } from '../../constants/navigation'
 import { LayoutWithSidebar } from '../../containers/LayoutWithSidebar'
 import { RecordDetails } from '../../containers/RecordDetails/RecordDetails'
 import { useRouter } from '../../context/RouterContext'
@@ -9,7 +10,9 @@ import { AuthenticatorView } from '../../pages/AuthenticatorView'
 import { Intro } from '../../pages/Intro/Intro'
 import { LoadingPage } from '../../pages/LoadingPage/LoadingPage'
 import { MainView } from '../../pages/MainView/MainView'
+import { PasswordHealthView } from '../../pages/PasswordHealthView'
 import { SettingsView } from '../../pages/SettingsView/SettingsView'
+import { TrashView } from '../../pages/TrashView'
 import { WelcomePage } from '../../pages/WelcomePage'
 
 /**
@@ -41,13 +44,21 @@ export const Routes = ({ isDataLoading, onLoadingComplete }) => {
   if (currentPage === 'vault') {
     const isAuthenticator =
       AUTHENTICATOR_ENABLED && data?.recordType === RECORD_TYPES.OTP
+    const isPasswordHealth = data?.view === VAULT_VIEWS.PASSWORD_HEALTH
+    const isTrash = data?.view === VAULT_VIEWS.TRASH
+
+    const mainView = isPasswordHealth
+      ? html`<${PasswordHealthView} />`
+      : isTrash
+        ? html`<${TrashView} />`
+        : isAuthenticator
+          ? html`<${AuthenticatorView} />`
+          : html`<${MainView} />`
 
     return html`
       <${OtpRefreshProvider}>
         <${LayoutWithSidebar}
-          mainView=${isAuthenticator
-            ? html`<${AuthenticatorView} />`
-            : html`<${MainView} />`}
+          mainView=${mainView}
           sideView=${html`<${RecordDetails} />`}
           isSideViewOpen=${!!data?.recordId}
         />
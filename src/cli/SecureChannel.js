@@ -0,0 +1,299 @@
+import sodium from 'sodium-native'
+
+import { SecurityErrorCodes } from '../constants/securityErrors.js'
+import {
+  CLIENT_CAPABILITIES,
+  PROTOCOL_TAGS
+} from '../services/security/protocolConstants.js'
+import {
+  createErrorWithCode,
+  getErrorCode
+} from '../utils/createErrorWithCode.js'
+
+/**
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+const concatBytes = (...parts) =>
+  new Uint8Array(Buffer.concat(parts.map((part) => Buffer.from(part))))
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'))
+
+/**
+ * @param {Uint8Array} value
+ * @returns {string}
+ */
+const toBase64 = (value) => Buffer.from(value).toString('base64')
+
+/**
+ * @returns {{ publicKey: Uint8Array, secretKey: Uint8Array }}
+ */
+const createEphemeralKeyPair = () => {
+  const publicKey = new Uint8Array(sodium.crypto_box_PUBLICKEYBYTES)
+  const secretKey = new Uint8Array(sodium.crypto_box_SECRETKEYBYTES)
+  sodium.crypto_box_keypair(publicKey, secretKey)
+  return { publicKey, secretKey }
+}
+
+/**
+ * @param {Uint8Array} secretKey
+ * @param {Uint8Array} publicKey
+ * @returns {Uint8Array}
+ */
+const computeSharedSecret = (secretKey, publicKey) => {
+  const sharedSecret = new Uint8Array(32)
+  sodium.crypto_scalarmult(sharedSecret, secretKey, publicKey)
+  return sharedSecret
+}
+
+/**
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+const sha256 = (input) => {
+  const out = new Uint8Array(32)
+  sodium.crypto_hash_sha256(out, input)
+  return out
+}
+
+/**
+ * Client side of the native messaging secure channel, the same handshake the
+ * browser extension performs. The desktop app proves itself with the key
+ * pinned while pairing, the CLI with its paired identity key.
+ */
+export class SecureChannel {
+  /**
+   * @param {Record<string, (params?: any) => Promise<any>>} ipcClient - Connected pear-ipc client
+   * @param {import('./identity.js').CliIdentity} identity - Paired CLI identity
+   */
+  constructor(ipcClient, identity) {
+    this.ipcClient = ipcClient
+    this.identity = identity
+    this.secretKey = fromBase64(identity.ed25519SecretKeyB64)
+    this.sessionId = null
+    this.key = null
+    this.transcript = null
+    this.sendSeq = 0
+    this.lastRecvSeq = 0
+  }
+
+  /**
+   * @param {Uint8Array} message
+   * @returns {string}
+   */
+  sign(message) {
+    const signature = new Uint8Array(sodium.crypto_sign_BYTES)
+    sodium.crypto_sign_detached(signature, message, this.secretKey)
+    return toBase64(signature)
+  }
+
+  /**
+   * Throw unless the desktop app signed the message with its pinned key
+   * @param {string} signatureB64
+   * @param {Uint8Array} message
+   */
+  verifyHost(signatureB64, message) {
+    const signature = fromBase64(signatureB64)
+    const appPublicKey = fromBase64(this.identity.appEd25519PublicKeyB64 || '')
+    const ok =
+      signature.length === sodium.crypto_sign_BYTES &&
+      appPublicKey.length === sodium.crypto_sign_PUBLICKEYBYTES &&
+      sodium.crypto_sign_verify_detached(signature, message, appPublicKey)
+
+    if (!ok) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.HOST_SIGNATURE_INVALID,
+          'The desktop app did not prove its paired identity, pair again'
+        )
+      )
+    }
+  }
+
+  /**
+   * Run the handshake and open a verified session
+   */
+  async open() {
+    const ephemeral = createEphemeralKeyPair()
+    const { hostEphemeralPubB64, signatureB64, sessionId } =
+      await this.ipcClient.nmBeginHandshake({
+        extEphemeralPubB64: toBase64(ephemeral.publicKey),
+        clientEd25519PublicKeyB64: this.identity.ed25519PublicKeyB64,
+        capabilities: [CLIENT_CAPABILITIES.REKEY]
+      })
+
+    // Transcript = host_eph_pk || ext_eph_pk || client_ed25519_pk
+    const hostEphemeralPublicKey = fromBase64(hostEphemeralPubB64)
+    const transcript = concatBytes(
+      hostEphemeralPublicKey,
+      ephemeral.publicKey,
+      fromBase64(this.identity.ed25519PublicKeyB64)
+    )
+    this.verifyHost(signatureB64, transcript)
+
+    const sharedSecret = computeSharedSecret(
+      ephemeral.secretKey,
+      hostEphemeralPublicKey
+    )
+
+    await this.ipcClient.nmFinishHandshake({
+      sessionId,
+      clientSigB64: this.sign(
+        concatBytes(
+          Buffer.from(PROTOCOL_TAGS.CLIENT_FINISH, 'utf8'),
+          Buffer.from(String(sessionId), 'utf8'),
+          transcript
+        )
+      )
+    })
+
+    this.sessionId = sessionId
+    this.transcript = transcript
+    this.key = sha256(concatBytes(sharedSecret, transcript))
+  }
+
+  /**
+   * Replace the session key, see rekeySession in the session manager for
+   * the transcript layout
+   */
+  async rekey() {
+    const ephemeral = createEphemeralKeyPair()
+    const sessionIdBytes = Buffer.from(String(this.sessionId), 'utf8')
+
+    const { hostEphemeralPubB64, signatureB64 } =
+      await this.ipcClient.nmRekeySession({
+        sessionId: this.sessionId,
+        extEphemeralPubB64: toBase64(ephemeral.publicKey),
+        clientSigB64: this.sign(
+          concatBytes(
+            Buffer.from(PROTOCOL_TAGS.CLIENT_REKEY, 'utf8'),
+            sessionIdBytes,
+            this.transcript,
+            ephemeral.publicKey
+          )
+        )
+      })
+
+    const hostEphemeralPublicKey = fromBase64(hostEphemeralPubB64)
+    const transcript = concatBytes(
+      sha256(this.transcript),
+      hostEphemeralPublicKey,
+      ephemeral.publicKey
+    )
+    this.verifyHost(
+      signatureB64,
+      concatBytes(
+        Buffer.from(PROTOCOL_TAGS.HOST_REKEY, 'utf8'),
+        sessionIdBytes,
+        transcript
+      )
+    )
+
+    const sharedSecret = computeSharedSecret(
+      ephemeral.secretKey,
+      hostEphemeralPublicKey
+    )
+    this.transcript = transcript
+    this.key = sha256(concatBytes(sharedSecret, transcript))
+  }
+
+  /**
+   * Call a vault method through the secure channel, re-keying once when the
+   * desktop app retired the session key
+   * @param {string} method
+   * @param {Object} [params]
+   * @returns {Promise<any>}
+   */
+  async request(method, params = {}) {
+    try {
+      return await this.send(method, params)
+    } catch (error) {
+      if (getErrorCode(error) !== SecurityErrorCodes.REKEY_REQUIRED) {
+        throw error
+      }
+      await this.rekey()
+      return this.send(method, params)
+    }
+  }
+
+  /**
+   * @param {string} method
+   * @param {Object} params
+   * @returns {Promise<any>}
+   */
+  async send(method, params) {
+    if (!this.key) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.SESSION_NOT_FOUND,
+          'Secure channel is not open'
+        )
+      )
+    }
+
+    const plaintext = Buffer.from(JSON.stringify({ method, params }), 'utf8')
+    const nonce = new Uint8Array(sodium.crypto_secretbox_NONCEBYTES)
+    sodium.randombytes_buf(nonce)
+    const ciphertext = new Uint8Array(
+      plaintext.length + sodium.crypto_secretbox_MACBYTES
+    )
+    sodium.crypto_secretbox_easy(ciphertext, plaintext, nonce, this.key)
+
+    const response = await this.ipcClient.nmSecureRequest({
+      sessionId: this.sessionId,
+      nonceB64: toBase64(nonce),
+      ciphertextB64: toBase64(ciphertext),
+      seq: ++this.sendSeq
+    })
+
+    // Responses carry their own counter, a repeated one is a replay
+    if (!(response?.seq > this.lastRecvSeq)) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.REPLAY_DETECTED,
+          'Replay attack detected'
+        )
+      )
+    }
+    this.lastRecvSeq = response.seq
+
+    const responseCiphertext = fromBase64(response.ciphertextB64)
+    const responsePlaintext = new Uint8Array(
+      Math.max(0, responseCiphertext.length - sodium.crypto_secretbox_MACBYTES)
+    )
+    const opened = sodium.crypto_secretbox_open_easy(
+      responsePlaintext,
+      responseCiphertext,
+      fromBase64(response.nonceB64),
+      this.key
+    )
+    if (!opened) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.DECRYPT_FAILED,
+          'Failed to decrypt message'
+        )
+      )
+    }
+
+    const { result } = JSON.parse(Buffer.from(responsePlaintext).toString())
+    return result
+  }
+
+  /**
+   * End the session on the desktop app and forget the key
+   */
+  async close() {
+    if (!this.sessionId) return
+
+    const sessionId = this.sessionId
+    this.key?.fill(0)
+    this.key = null
+    this.sessionId = null
+    await this.ipcClient.nmCloseSession({ sessionId }).catch(() => {})
+  }
+}
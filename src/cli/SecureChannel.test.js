@@ -0,0 +1,181 @@
+import sodium from 'sodium-native'
+
+import { SecureChannel } from './SecureChannel'
+import { SecurityErrorCodes } from '../constants/securityErrors'
+import { createErrorWithCode } from '../utils/createErrorWithCode'
+
+jest.mock('sodium-native', () => ({
+  crypto_sign_PUBLICKEYBYTES: 32,
+  crypto_sign_BYTES: 64,
+  crypto_box_SECRETKEYBYTES: 32,
+  crypto_box_PUBLICKEYBYTES: 32,
+  crypto_secretbox_NONCEBYTES: 24,
+  crypto_secretbox_MACBYTES: 16,
+  crypto_box_keypair: jest.fn((pk, sk) => {
+    pk.fill(3)
+    sk.fill(4)
+  }),
+  crypto_scalarmult: jest.fn((out) => out.fill(5)),
+  crypto_hash_sha256: jest.fn((out) => out.fill(6)),
+  crypto_sign_detached: jest.fn((sig) => sig.fill(7)),
+  crypto_sign_verify_detached: jest.fn(() => true),
+  randombytes_buf: jest.fn((buf) => buf.fill(8)),
+  // Mock encryption - plaintext followed by an empty tag
+  crypto_secretbox_easy: jest.fn((cipher, msg) => cipher.set(msg)),
+  crypto_secretbox_open_easy: jest.fn((msg, cipher) => {
+    msg.set(cipher.subarray(0, msg.length))
+    return true
+  })
+}))
+
+const key = (byte) => Buffer.alloc(32, byte).toString('base64')
+
+const identity = {
+  ed25519PublicKeyB64: key(1),
+  ed25519SecretKeyB64: Buffer.alloc(64, 2).toString('base64'),
+  appEd25519PublicKeyB64: key(9),
+  appFingerprint: 'ABCD',
+  pairedAt: '2026-01-01T00:00:00.000Z'
+}
+
+const seal = (value) =>
+  Buffer.concat([
+    Buffer.from(JSON.stringify(value)),
+    Buffer.alloc(16)
+  ]).toString('base64')
+
+const open = (ciphertextB64) => {
+  const bytes = Buffer.from(ciphertextB64, 'base64')
+  return JSON.parse(bytes.subarray(0, bytes.length - 16).toString())
+}
+
+const createIpcClient = () => {
+  let hostSeq = 0
+  return {
+    nmBeginHandshake: jest.fn(async () => ({
+      hostEphemeralPubB64: key(10),
+      signatureB64: Buffer.alloc(64, 11).toString('base64'),
+      sessionId: 'session-1'
+    })),
+    nmFinishHandshake: jest.fn(async () => ({ ok: true })),
+    nmRekeySession: jest.fn(async () => ({
+      hostEphemeralPubB64: key(12),
+      signatureB64: Buffer.alloc(64, 13).toString('base64')
+    })),
+    nmSecureRequest: jest.fn(async ({ ciphertextB64 }) => {
+      const { method, params } = open(ciphertextB64)
+      return {
+        nonceB64: Buffer.alloc(24).toString('base64'),
+        ciphertextB64: seal({ ok: true, result: { method, params } }),
+        seq: ++hostSeq
+      }
+    }),
+    nmCloseSession: jest.fn(async () => ({ ok: true }))
+  }
+}
+
+describe('SecureChannel', () => {
+  let ipcClient
+  let channel
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    ipcClient = createIpcClient()
+    channel = new SecureChannel(ipcClient, identity)
+  })
+
+  it('completes the handshake after verifying the pinned app key', async () => {
+    await channel.open()
+
+    expect(ipcClient.nmBeginHandshake).toHaveBeenCalledWith({
+      extEphemeralPubB64: key(3),
+      clientEd25519PublicKeyB64: identity.ed25519PublicKeyB64,
+      capabilities: ['rekey']
+    })
+    const [, transcript, appKey] =
+      sodium.crypto_sign_verify_detached.mock.calls[0]
+    expect(Buffer.from(transcript).toString('base64')).toBe(
+      Buffer.concat([
+        Buffer.alloc(32, 10),
+        Buffer.alloc(32, 3),
+        Buffer.alloc(32, 1)
+      ]).toString('base64')
+    )
+    expect(Buffer.from(appKey).toString('base64')).toBe(key(9))
+    expect(ipcClient.nmFinishHandshake).toHaveBeenCalledWith({
+      sessionId: 'session-1',
+      clientSigB64: Buffer.alloc(64, 7).toString('base64')
+    })
+  })
+
+  it('refuses a host that cannot prove the paired identity', async () => {
+    sodium.crypto_sign_verify_detached.mockReturnValueOnce(false)
+
+    await expect(channel.open()).rejects.toThrow(
+      SecurityErrorCodes.HOST_SIGNATURE_INVALID
+    )
+    expect(ipcClient.nmFinishHandshake).not.toHaveBeenCalled()
+  })
+
+  it('sends encrypted requests with increasing sequence numbers', async () => {
+    await channel.open()
+
+    await expect(
+      channel.request('activeVaultList', { filterKey: 'record/' })
+    ).resolves.toEqual({
+      method: 'activeVaultList',
+      params: { filterKey: 'record/' }
+    })
+    await channel.request('vaultsList')
+
+    expect(
+      ipcClient.nmSecureRequest.mock.calls.map(([params]) => params.seq)
+    ).toEqual([1, 2])
+    expect(ipcClient.nmSecureRequest.mock.calls[0][0].sessionId).toBe(
+      'session-1'
+    )
+  })
+
+  it('re-keys once when the session key was retired', async () => {
+    await channel.open()
+    const send = ipcClient.nmSecureRequest.getMockImplementation()
+    ipcClient.nmSecureRequest.mockImplementationOnce(async () => {
+      throw new Error(
+        createErrorWithCode(SecurityErrorCodes.REKEY_REQUIRED, 'Rekey')
+      )
+    })
+    ipcClient.nmSecureRequest.mockImplementationOnce(send)
+
+    await channel.request('vaultsList')
+
+    expect(ipcClient.nmRekeySession).toHaveBeenCalledWith({
+      sessionId: 'session-1',
+      extEphemeralPubB64: key(3),
+      clientSigB64: Buffer.alloc(64, 7).toString('base64')
+    })
+    expect(ipcClient.nmSecureRequest).toHaveBeenCalledTimes(2)
+  })
+
+  it('rejects replayed responses', async () => {
+    await channel.open()
+    await channel.request('vaultsList')
+    const response = await ipcClient.nmSecureRequest.mock.results[0].value
+    ipcClient.nmSecureRequest.mockResolvedValueOnce(response)
+
+    await expect(channel.request('vaultsList')).rejects.toThrow(
+      SecurityErrorCodes.REPLAY_DETECTED
+    )
+  })
+
+  it('closes the session', async () => {
+    await channel.open()
+    await channel.close()
+
+    expect(ipcClient.nmCloseSession).toHaveBeenCalledWith({
+      sessionId: 'session-1'
+    })
+    await expect(channel.request('vaultsList')).rejects.toThrow(
+      'Secure channel is not open'
+    )
+  })
+})
@@ -0,0 +1,75 @@
+import { parseArgs } from 'util'
+
+export const CLI_COMMANDS = {
+  PAIR: 'pair',
+  LIST: 'list',
+  GET: 'get',
+  ADD: 'add',
+  OTP: 'otp',
+  SEARCH: 'search',
+  HELP: 'help'
+}
+
+const CLI_OPTIONS = /** @type {const} */ ({
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  token: { type: 'string' },
+  label: { type: 'string' },
+  field: { type: 'string' },
+  title: { type: 'string' },
+  username: { type: 'string' },
+  email: { type: 'string' },
+  website: { type: 'string', multiple: true },
+  note: { type: 'string' },
+  'password-stdin': { type: 'boolean', default: false }
+})
+
+export const USAGE = `Usage: pearpass <command> [options]
+
+Commands:
+  pair --token <code> [--label <name>]   Pair with the PearPass desktop app
+  list                                   List records in the active vault
+  search <query>                         Find records by title, username or website
+  get <title> [--field <name>]           Show a record, or one of its fields
+  otp <title>                            Print the current one-time code
+  add --title <title> [--username <name>] [--email <email>]
+      [--website <url>]... [--note <text>] [--password-stdin]
+                                         Add a login record
+
+Options:
+  --json      Print JSON instead of plain text
+  -h, --help  Show this help
+
+Get a pair code in the desktop app from Settings, Your Devices,
+Generate Pair Code for Browser Extension.`
+
+/**
+ * @typedef {Object} CliArgs
+ * @property {string} command
+ * @property {string} target - Positional arguments after the command, e.g. a record title
+ * @property {Record<string, string|boolean|string[]|undefined>} options
+ */
+
+/**
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {CliArgs}
+ */
+export const parseCliArgs = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: CLI_OPTIONS,
+    allowPositionals: true,
+    strict: true
+  })
+
+  const [command = CLI_COMMANDS.HELP, ...rest] = positionals
+
+  if (values.help) {
+    return { command: CLI_COMMANDS.HELP, target: '', options: values }
+  }
+  if (!Object.values(CLI_COMMANDS).includes(command)) {
+    throw new Error(`Unknown command "${command}"`)
+  }
+
+  return { command, target: rest.join(' ').trim(), options: values }
+}
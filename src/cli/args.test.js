@@ -0,0 +1,39 @@
+import { CLI_COMMANDS, parseCliArgs } from './args'
+
+describe('parseCliArgs', () => {
+  it('joins the positional arguments after the command', () => {
+    expect(parseCliArgs(['get', 'My', 'Bank', '--field', 'password'])).toEqual({
+      command: CLI_COMMANDS.GET,
+      target: 'My Bank',
+      options: expect.objectContaining({ field: 'password', json: false })
+    })
+  })
+
+  it('collects repeated options', () => {
+    const { options } = parseCliArgs([
+      'add',
+      '--title',
+      'Mail',
+      '--website',
+      'a.com',
+      '--website',
+      'b.com',
+      '--password-stdin',
+      '--json'
+    ])
+
+    expect(options.website).toEqual(['a.com', 'b.com'])
+    expect(options['password-stdin']).toBe(true)
+    expect(options.json).toBe(true)
+  })
+
+  it('shows help without a command or with --help', () => {
+    expect(parseCliArgs([]).command).toBe(CLI_COMMANDS.HELP)
+    expect(parseCliArgs(['list', '-h']).command).toBe(CLI_COMMANDS.HELP)
+  })
+
+  it('rejects unknown commands and options', () => {
+    expect(() => parseCliArgs(['export'])).toThrow('Unknown command "export"')
+    expect(() => parseCliArgs(['list', '--all'])).toThrow()
+  })
+})
@@ -0,0 +1,5 @@
+import { main } from './index.js'
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode
+})
@@ -0,0 +1,246 @@
+import {
+  createLoginRecord,
+  findRecord,
+  isVaultRecord,
+  searchRecords,
+  summarizeRecord
+} from './records.js'
+import {
+  createIdentity,
+  getIdentityPath,
+  loadIdentity,
+  saveIdentity
+} from './identity.js'
+
+const DEFAULT_CLIENT_LABEL = 'PearPass CLI'
+
+// Masked in plain output of get unless asked for with --field
+const SECRET_FIELDS = ['password', 'securityCode', 'pinCode', 'passPhrase']
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {unknown} value - Printed with --json
+ * @property {string} text - Printed otherwise
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {string} target - Positional arguments after the command
+ * @property {Record<string, any>} options
+ * @property {() => Promise<string>} readStdin
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const formatValue = (value) =>
+  Array.isArray(value) ? value.join('\n') : String(value)
+
+/**
+ * @param {import('./records.js').VaultRecord[]} records
+ * @returns {CommandResult}
+ */
+const formatRecordList = (records) => {
+  const summaries = records.map(summarizeRecord)
+
+  return {
+    value: summaries,
+    text: summaries.length
+      ? summaries
+          .map(({ id, type, title, username }) =>
+            [id, type, title, username].join('\t')
+          )
+          .join('\n')
+      : 'No records found'
+  }
+}
+
+/**
+ * @param {string} target
+ * @param {string} command
+ */
+const requireTarget = (target, command) => {
+  if (!target) {
+    throw new Error(`Missing record title, usage: pearpass ${command} <title>`)
+  }
+}
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @returns {Promise<import('./records.js').VaultRecord[]>}
+ */
+export const fetchRecords = async (channel) => {
+  const entries = await channel.request('activeVaultList', {
+    filterKey: 'record/'
+  })
+  return (Array.isArray(entries) ? entries : []).filter(isVaultRecord)
+}
+
+/**
+ * Pair with the desktop app using the code it shows, the same way the
+ * browser extension pairs. An existing identity is reused so pairing again
+ * after a reset keeps the client key.
+ * @param {Record<string, (params?: any) => Promise<any>>} ipcClient
+ * @param {CommandContext} context
+ * @returns {Promise<CommandResult>}
+ */
+export const pair = async (ipcClient, { options }) => {
+  if (!options.token) {
+    throw new Error('Missing pair code, usage: pearpass pair --token <code>')
+  }
+
+  const identity = (await loadIdentity()) ?? createIdentity()
+
+  const appIdentity = await ipcClient.nmGetAppIdentity({
+    pairingToken: options.token.trim(),
+    clientEd25519PublicKeyB64: identity.ed25519PublicKeyB64,
+    clientLabel: options.label || DEFAULT_CLIENT_LABEL
+  })
+
+  // Pin the app key before confirming so a failed save leaves nothing paired
+  const pairedIdentity = {
+    ...identity,
+    appEd25519PublicKeyB64: appIdentity.ed25519PublicKey,
+    appFingerprint: appIdentity.fingerprint,
+    pairedAt: null
+  }
+  await saveIdentity(pairedIdentity)
+
+  await ipcClient.nmConfirmPairing({
+    clientEd25519PublicKeyB64: identity.ed25519PublicKeyB64
+  })
+  await saveIdentity({ ...pairedIdentity, pairedAt: new Date().toISOString() })
+
+  return {
+    value: {
+      fingerprint: appIdentity.fingerprint,
+      identityPath: getIdentityPath()
+    },
+    text: `Paired with PearPass, app fingerprint ${appIdentity.fingerprint}`
+  }
+}
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @returns {Promise<CommandResult>}
+ */
+export const list = async (channel) =>
+  formatRecordList(await fetchRecords(channel))
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CommandContext} context
+ * @returns {Promise<CommandResult>}
+ */
+export const search = async (channel, { target }) => {
+  if (!target) {
+    throw new Error('Missing search query, usage: pearpass search <query>')
+  }
+  return formatRecordList(searchRecords(await fetchRecords(channel), target))
+}
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CommandContext} context
+ * @returns {Promise<CommandResult>}
+ */
+export const get = async (channel, { target, options }) => {
+  requireTarget(target, 'get')
+  const record = findRecord(await fetchRecords(channel), target)
+
+  if (options.field) {
+    const value = record.data?.[options.field]
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`"${record.data?.title}" has no ${options.field}`)
+    }
+    return { value: { field: options.field, value }, text: formatValue(value) }
+  }
+
+  const lines = Object.entries(record.data || {})
+    .filter(([, value]) =>
+      Array.isArray(value)
+        ? value.length && value.every((item) => typeof item === 'string')
+        : typeof value === 'string' && value.length
+    )
+    .map(
+      ([name, value]) =>
+        `${name}: ${SECRET_FIELDS.includes(name) ? '********' : Array.isArray(value) ? value.join(', ') : value}`
+    )
+
+  return { value: record, text: [`id: ${record.id}`, ...lines].join('\n') }
+}
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CommandContext} context
+ * @returns {Promise<CommandResult>}
+ */
+export const otp = async (channel, { target }) => {
+  requireTarget(target, 'otp')
+  const record = findRecord(await fetchRecords(channel), target)
+
+  if (!record.otpPublic) {
+    throw new Error(`"${record.data?.title}" has no one-time code`)
+  }
+
+  const codes = await channel.request('generateOtpCodesByIds', {
+    recordIds: [record.id]
+  })
+  const current = (Array.isArray(codes) ? codes : []).find(
+    (entry) => entry?.recordId === record.id && entry.code
+  )
+
+  // Counter based codes are only generated on request
+  const { code, timeRemaining = null } =
+    current ??
+    (await channel.request('generateHotpNext', { recordId: record.id }))
+
+  return {
+    value: { id: record.id, title: record.data?.title, code, timeRemaining },
+    text: code
+  }
+}
+
+/**
+ * Add a login record to the active vault. The password is read from stdin so
+ * it stays out of shell history and the process list.
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CommandContext} context
+ * @returns {Promise<CommandResult>}
+ */
+export const add = async (channel, { options, readStdin }) => {
+  if (!options.title?.trim()) {
+    throw new Error('Missing title, usage: pearpass add --title <title>')
+  }
+
+  const password = options['password-stdin']
+    ? (await readStdin()).replace(/\r?\n$/, '')
+    : ''
+
+  const vault = await channel.request('activeVaultGet', { key: 'vault' })
+  if (!vault?.id) {
+    throw new Error('No vault is open in the desktop app')
+  }
+
+  const record = createLoginRecord(
+    {
+      title: options.title.trim(),
+      username: options.username,
+      email: options.email,
+      password,
+      websites: options.website,
+      note: options.note
+    },
+    vault.id
+  )
+  await channel.request('activeVaultAdd', {
+    key: `record/${record.id}`,
+    data: record
+  })
+
+  return {
+    value: { id: record.id, title: record.data.title, vault: vault.name },
+    text: record.id
+  }
+}
@@ -0,0 +1,252 @@
+import { add, get, list, otp, pair, search } from './commands'
+import { createIdentity, loadIdentity, saveIdentity } from './identity'
+
+jest.mock('./identity', () => ({
+  createIdentity: jest.fn(),
+  getIdentityPath: () => '/home/alice/.pearpass/cli-identity.json',
+  loadIdentity: jest.fn(),
+  saveIdentity: jest.fn()
+}))
+
+jest.mock('@tetherto/pear-apps-utils-generate-unique-id', () => ({
+  generateUniqueId: () => 'new-id'
+}))
+
+const records = [
+  {
+    id: 'r1',
+    type: 'login',
+    data: {
+      title: 'Bank',
+      username: 'alice',
+      password: 'secret',
+      websites: ['https://bank.example']
+    },
+    otpPublic: { type: 'TOTP' }
+  },
+  {
+    id: 'r2',
+    type: 'login',
+    data: { title: 'Mail', email: 'alice@mail.example' }
+  },
+  { id: 'r1/file/f1', buffer: [] }
+]
+
+const createChannel = (responses = {}) => ({
+  request: jest.fn(async (method) => {
+    if (method in responses) return responses[method]
+    if (method === 'activeVaultList') return records
+    return undefined
+  })
+})
+
+const context = (target = '', options = {}) => ({
+  target,
+  options,
+  readStdin: jest.fn(async () => 'from-stdin\n')
+})
+
+describe('cli commands', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('pair', () => {
+    const ipcClient = {
+      nmGetAppIdentity: jest.fn(async () => ({
+        ed25519PublicKey: 'app-key',
+        fingerprint: 'ABCD'
+      })),
+      nmConfirmPairing: jest.fn(async () => ({ confirmed: true }))
+    }
+
+    it('pins the app key and confirms the pairing', async () => {
+      loadIdentity.mockResolvedValue(null)
+      createIdentity.mockReturnValue({
+        ed25519PublicKeyB64: 'cli-key',
+        ed25519SecretKeyB64: 'cli-secret'
+      })
+
+      const result = await pair(
+        ipcClient,
+        context('', { token: ' abc123 ', label: 'Laptop' })
+      )
+
+      expect(ipcClient.nmGetAppIdentity).toHaveBeenCalledWith({
+        pairingToken: 'abc123',
+        clientEd25519PublicKeyB64: 'cli-key',
+        clientLabel: 'Laptop'
+      })
+      expect(ipcClient.nmConfirmPairing).toHaveBeenCalledWith({
+        clientEd25519PublicKeyB64: 'cli-key'
+      })
+      expect(saveIdentity).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          ed25519SecretKeyB64: 'cli-secret',
+          appEd25519PublicKeyB64: 'app-key',
+          appFingerprint: 'ABCD',
+          pairedAt: expect.any(String)
+        })
+      )
+      expect(result.text).toContain('ABCD')
+    })
+
+    it('reuses an existing identity', async () => {
+      loadIdentity.mockResolvedValue({ ed25519PublicKeyB64: 'old-key' })
+
+      await pair(ipcClient, context('', { token: 'abc' }))
+
+      expect(createIdentity).not.toHaveBeenCalled()
+      expect(ipcClient.nmGetAppIdentity).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clientEd25519PublicKeyB64: 'old-key',
+          clientLabel: 'PearPass CLI'
+        })
+      )
+    })
+
+    it('requires a pair code', async () => {
+      await expect(pair(ipcClient, context())).rejects.toThrow(
+        'Missing pair code'
+      )
+    })
+  })
+
+  it('lists records without secrets', async () => {
+    const channel = createChannel()
+
+    const result = await list(channel)
+
+    expect(channel.request).toHaveBeenCalledWith('activeVaultList', {
+      filterKey: 'record/'
+    })
+    expect(result.value).toHaveLength(2)
+    expect(result.text).toBe(
+      'r1\tlogin\tBank\talice\nr2\tlogin\tMail\talice@mail.example'
+    )
+    expect(result.text).not.toContain('secret')
+  })
+
+  it('searches records', async () => {
+    const result = await search(createChannel(), context('mail.example'))
+
+    expect(result.value).toEqual([expect.objectContaining({ id: 'r2' })])
+  })
+
+  describe('get', () => {
+    it('prints one field', async () => {
+      const result = await get(
+        createChannel(),
+        context('bank', { field: 'password' })
+      )
+
+      expect(result.text).toBe('secret')
+      expect(result.value).toEqual({ field: 'password', value: 'secret' })
+    })
+
+    it('masks secrets when printing the whole record', async () => {
+      const result = await get(createChannel(), context('Bank'))
+
+      expect(result.text).toBe(
+        [
+          'id: r1',
+          'title: Bank',
+          'username: alice',
+          'password: ********',
+          'websites: https://bank.example'
+        ].join('\n')
+      )
+    })
+
+    it('throws for a missing field', async () => {
+      await expect(
+        get(createChannel(), context('Mail', { field: 'password' }))
+      ).rejects.toThrow('"Mail" has no password')
+    })
+  })
+
+  describe('otp', () => {
+    it('prints the current code', async () => {
+      const channel = createChannel({
+        generateOtpCodesByIds: [
+          { recordId: 'r1', code: '123456', timeRemaining: 12 }
+        ]
+      })
+
+      const result = await otp(channel, context('Bank'))
+
+      expect(result.text).toBe('123456')
+      expect(result.value).toEqual({
+        id: 'r1',
+        title: 'Bank',
+        code: '123456',
+        timeRemaining: 12
+      })
+    })
+
+    it('generates the next counter based code', async () => {
+      const channel = createChannel({
+        generateOtpCodesByIds: [],
+        generateHotpNext: { code: '654321' }
+      })
+
+      const result = await otp(channel, context('Bank'))
+
+      expect(channel.request).toHaveBeenCalledWith('generateHotpNext', {
+        recordId: 'r1'
+      })
+      expect(result.text).toBe('654321')
+    })
+
+    it('throws for records without a code', async () => {
+      await expect(otp(createChannel(), context('Mail'))).rejects.toThrow(
+        '"Mail" has no one-time code'
+      )
+    })
+  })
+
+  describe('add', () => {
+    it('adds a login record to the active vault', async () => {
+      const channel = createChannel({
+        activeVaultGet: { id: 'vault-1', name: 'Personal' }
+      })
+      const addContext = context('', {
+        title: 'Shop',
+        username: 'alice',
+        website: ['shop.example'],
+        'password-stdin': true
+      })
+
+      const result = await add(channel, addContext)
+
+      expect(addContext.readStdin).toHaveBeenCalled()
+      expect(channel.request).toHaveBeenCalledWith('activeVaultAdd', {
+        key: 'record/new-id',
+        data: expect.objectContaining({
+          id: 'new-id',
+          vaultId: 'vault-1',
+          data: expect.objectContaining({
+            title: 'Shop',
+            username: 'alice',
+            password: 'from-stdin',
+            websites: ['https://shop.example']
+          })
+        })
+      })
+      expect(result.value).toEqual({
+        id: 'new-id',
+        title: 'Shop',
+        vault: 'Personal'
+      })
+    })
+
+    it('requires a title and an open vault', async () => {
+      await expect(add(createChannel(), context())).rejects.toThrow(
+        'Missing title'
+      )
+      await expect(
+        add(createChannel(), context('', { title: 'Shop' }))
+      ).rejects.toThrow('No vault is open in the desktop app')
+    })
+  })
+})
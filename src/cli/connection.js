@@ -0,0 +1,92 @@
+import IPC from 'pear-ipc'
+
+import { loadIdentity } from './identity.js'
+import { SecureChannel } from './SecureChannel.js'
+import { SecurityErrorCodes } from '../constants/securityErrors.js'
+import {
+  NATIVE_MESSAGING_SOCKET_NAME,
+  getIpcPath
+} from '../services/ipc/SocketManager.js'
+import { COMMAND_DEFINITIONS } from '../shared/commandDefinitions.js'
+import { getErrorCode } from '../utils/createErrorWithCode.js'
+
+const CONNECT_TIMEOUT_MS = 5000
+
+// What the user can do about errors the desktop app reports
+const ERROR_HINTS = {
+  [SecurityErrorCodes.NOT_PAIRED]: 'run "pearpass pair --token <code>"',
+  [SecurityErrorCodes.CLIENT_NOT_PAIRED]: 'run "pearpass pair --token <code>"',
+  [SecurityErrorCodes.HOST_SIGNATURE_INVALID]:
+    'run "pearpass pair --token <code>"',
+  [SecurityErrorCodes.DESKTOP_NOT_AUTHENTICATED]:
+    'unlock the PearPass desktop app and try again',
+  [SecurityErrorCodes.NATIVE_MESSAGING_DISABLED]:
+    'turn on Browser Extension in the desktop app under Settings, Your Devices'
+}
+
+/**
+ * @param {AsyncIterable<Buffer|string>} stdin
+ * @returns {Promise<string>}
+ */
+export const readAll = async (stdin) => {
+  let input = ''
+  for await (const chunk of stdin) input += chunk.toString()
+  return input
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+export const describeError = (error) => {
+  const message = error instanceof Error ? error.message : String(error)
+  const hint = ERROR_HINTS[getErrorCode(error)]
+  return hint ? `${message}, ${hint}` : message
+}
+
+/**
+ * Connect to the desktop app's native messaging socket for the duration of fn
+ * @template T
+ * @param {(ipcClient: any) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export const withAppConnection = async (fn) => {
+  const ipcClient = new IPC.Client({
+    socketPath: getIpcPath(NATIVE_MESSAGING_SOCKET_NAME),
+    methods: COMMAND_DEFINITIONS,
+    connectTimeout: CONNECT_TIMEOUT_MS
+  })
+
+  try {
+    await ipcClient.ready().catch(() => {
+      throw new Error(
+        'Could not reach the PearPass desktop app, is it running?'
+      )
+    })
+    return await fn(ipcClient)
+  } finally {
+    await ipcClient.close()
+  }
+}
+
+/**
+ * Open a secure channel as the paired CLI identity for the duration of fn
+ * @template T
+ * @param {any} ipcClient
+ * @param {(channel: SecureChannel) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export const withSecureChannel = async (ipcClient, fn) => {
+  const identity = await loadIdentity()
+  if (!identity?.pairedAt) {
+    throw new Error('Not paired, run "pearpass pair --token <code>" first')
+  }
+
+  const channel = new SecureChannel(ipcClient, identity)
+  await channel.open()
+  try {
+    return await fn(channel)
+  } finally {
+    await channel.close()
+  }
+}
@@ -0,0 +1,251 @@
+import { fetchRecords } from './commands.js'
+import {
+  describeError,
+  readAll,
+  withAppConnection,
+  withSecureChannel
+} from './connection.js'
+import { createLoginRecord } from './records.js'
+import { addHttps } from '../utils/addHttps.js'
+
+/**
+ * git's credential helper protocol, see gitcredentials(7): git runs
+ * `git-credential-pearpass <operation>` and writes key=value lines on stdin
+ */
+export const GIT_CREDENTIAL_OPERATIONS = {
+  GET: 'get',
+  STORE: 'store',
+  ERASE: 'erase'
+}
+
+/**
+ * @typedef {Object} CredentialRequest
+ * @property {string} [protocol]
+ * @property {string} [host] - Host name, with the port when it is not the default
+ * @property {string} [path]
+ * @property {string} [username]
+ * @property {string} [password]
+ */
+
+/**
+ * @param {string} input
+ * @returns {CredentialRequest}
+ */
+export const parseCredentialRequest = (input) => {
+  /** @type {Record<string, string>} */
+  const fields = {}
+
+  for (const line of input.split('\n')) {
+    const entry = line.replace(/\r$/, '')
+    if (!entry) break
+
+    const separator = entry.indexOf('=')
+    if (separator <= 0) continue
+    const key = entry.slice(0, separator)
+    // Multi-valued keys such as capability[] and wwwauth[] are not used
+    if (key.endsWith('[]')) continue
+    fields[key] = entry.slice(separator + 1)
+  }
+
+  if (fields.url && !fields.host) {
+    try {
+      const url = new URL(fields.url)
+      fields.protocol ||= url.protocol.replace(/:$/, '')
+      fields.host = url.host
+      if (url.username) fields.username ||= decodeURIComponent(url.username)
+    } catch {
+      // Not a URL git would send, leave it unmatched
+    }
+  }
+
+  const { protocol, host, path, username, password } = fields
+  return { protocol, host, path, username, password }
+}
+
+/**
+ * @param {Record<string, string|undefined>} fields
+ * @returns {string}
+ */
+export const formatCredential = (fields) =>
+  Object.entries(fields)
+    .filter(([, value]) => typeof value === 'string' && value.length)
+    .map(([key, value]) => {
+      if (/[\n\0]/.test(value)) {
+        throw new Error(`The stored ${key} cannot be passed to git`)
+      }
+      return `${key}=${value}\n`
+    })
+    .join('')
+
+/**
+ * Scheme and host with port of a website, normalized the way the app stores
+ * websites with addHttps
+ * @param {string} website
+ * @returns {string|null}
+ */
+const getOrigin = (website) => {
+  try {
+    const url = new URL(addHttps(website.trim()))
+    return `${url.protocol}//${url.host}`
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {import('./records.js').VaultRecord} record
+ */
+const isGitCredentialRecord = (record) => record.data?.gitCredential === true
+
+/**
+ * Login records with a website on exactly the requested scheme and host, so a
+ * password saved for https is never sent over http. Helper-saved ones come
+ * first and then the most recently updated.
+ * @param {import('./records.js').VaultRecord[]} records
+ * @param {CredentialRequest} request
+ * @returns {import('./records.js').VaultRecord[]}
+ */
+export const findCredentialRecords = (
+  records,
+  { protocol, host, username }
+) => {
+  if (!host) return []
+  const requestOrigin = getOrigin(`${protocol || 'https'}://${host}`)
+  if (!requestOrigin) return []
+
+  return records
+    .filter(
+      (record) =>
+        record.type === 'login' &&
+        (record.data?.websites || []).some(
+          (website) =>
+            typeof website === 'string' && getOrigin(website) === requestOrigin
+        ) &&
+        (!username ||
+          record.data?.username === username ||
+          record.data?.email === username)
+    )
+    .sort(
+      (a, b) =>
+        Number(isGitCredentialRecord(b)) - Number(isGitCredentialRecord(a)) ||
+        (b.updatedAt ?? 0) - (a.updatedAt ?? 0)
+    )
+}
+
+/**
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CredentialRequest} request
+ * @returns {Promise<string>}
+ */
+const getCredential = async (channel, request) => {
+  const record = findCredentialRecords(await fetchRecords(channel), request)
+    .filter((candidate) => !!candidate.data?.password)
+    .at(0)
+  if (!record) return ''
+
+  return formatCredential({
+    protocol: request.protocol,
+    host: request.host,
+    username: record.data.username || record.data.email || request.username,
+    password: record.data.password
+  })
+}
+
+/**
+ * Save a credential git used successfully. Logins the user keeps themselves
+ * are never overwritten, a different password gets its own record.
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CredentialRequest} request
+ * @returns {Promise<string>}
+ */
+const storeCredential = async (channel, request) => {
+  const { protocol = 'https', host, username, password } = request
+  if (!username || !password) return ''
+
+  const matches = findCredentialRecords(await fetchRecords(channel), request)
+  if (matches.some((record) => record.data?.password === password)) return ''
+
+  const existing = matches.find(isGitCredentialRecord)
+  if (existing) {
+    const now = Date.now()
+    await channel.request('activeVaultAdd', {
+      key: `record/${existing.id}`,
+      data: {
+        ...existing,
+        updatedAt: now,
+        data: { ...existing.data, password, passwordUpdatedAt: now }
+      }
+    })
+    return ''
+  }
+
+  const vault = await channel.request('activeVaultGet', { key: 'vault' })
+  if (!vault?.id) {
+    throw new Error('No vault is open in the desktop app')
+  }
+
+  const record = createLoginRecord(
+    { title: host, username, password, websites: [`${protocol}://${host}`] },
+    vault.id
+  )
+  await channel.request('activeVaultAdd', {
+    key: `record/${record.id}`,
+    data: { ...record, data: { ...record.data, gitCredential: true } }
+  })
+  return ''
+}
+
+/**
+ * Remove a credential git rejected. Only records the helper saved are
+ * removed, and the desktop app asks before each one.
+ * @param {import('./SecureChannel.js').SecureChannel} channel
+ * @param {CredentialRequest} request
+ * @returns {Promise<string>}
+ */
+const eraseCredential = async (channel, request) => {
+  const records = findCredentialRecords(
+    await fetchRecords(channel),
+    request
+  ).filter(
+    (record) =>
+      isGitCredentialRecord(record) &&
+      (!request.password || record.data?.password === request.password)
+  )
+
+  for (const record of records) {
+    await channel.request('activeVaultRemove', { key: `record/${record.id}` })
+  }
+  return ''
+}
+
+const OPERATIONS = {
+  [GIT_CREDENTIAL_OPERATIONS.GET]: getCredential,
+  [GIT_CREDENTIAL_OPERATIONS.STORE]: storeCredential,
+  [GIT_CREDENTIAL_OPERATIONS.ERASE]: eraseCredential
+}
+
+/**
+ * Run git-credential-pearpass
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {import('./index.js').CliIO} [io]
+ * @returns {Promise<number>} Exit code
+ */
+export const gitCredentialMain = async (argv, io = process) => {
+  const operation = OPERATIONS[argv[0]]
+  // Helpers must ignore operations they do not know
+  if (!operation) return 0
+
+  const request = parseCredentialRequest(await readAll(io.stdin))
+  if (!request.host) return 0
+
+  try {
+    const output = await withAppConnection((ipcClient) =>
+      withSecureChannel(ipcClient, (channel) => operation(channel, request))
+    )
+    io.stdout.write(output)
+    return 0
+  } catch (error) {
+    io.stderr.write(`git-credential-pearpass: ${describeError(error)}\n`)
+    return 1
+  }
+}
@@ -0,0 +1,302 @@
+import IPC from 'pear-ipc'
+
+import {
+  findCredentialRecords,
+  formatCredential,
+  gitCredentialMain,
+  parseCredentialRequest
+} from './gitCredential'
+import { loadIdentity } from './identity'
+import { SecureChannel } from './SecureChannel'
+
+jest.mock('pear-ipc', () => ({
+  __esModule: true,
+  default: { Client: jest.fn() }
+}))
+
+jest.mock('./identity', () => ({
+  loadIdentity: jest.fn()
+}))
+
+jest.mock('./SecureChannel', () => ({
+  SecureChannel: jest.fn()
+}))
+
+jest.mock('../services/ipc/SocketManager', () => ({
+  NATIVE_MESSAGING_SOCKET_NAME: 'pearpass-native-messaging',
+  getIpcPath: (name) => `/tmp/${name}.sock`
+}))
+
+jest.mock('@tetherto/pear-apps-utils-generate-unique-id', () => ({
+  generateUniqueId: () => 'new-id'
+}))
+
+const userLogin = {
+  id: 'user-1',
+  type: 'login',
+  updatedAt: 2000,
+  data: {
+    title: 'GitHub',
+    username: 'alice',
+    password: 'account-password',
+    websites: ['https://github.com/login']
+  }
+}
+
+const helperLogin = {
+  id: 'helper-1',
+  type: 'login',
+  updatedAt: 1000,
+  data: {
+    title: 'github.com',
+    username: 'alice',
+    password: 'ghp_token',
+    websites: ['https://github.com'],
+    gitCredential: true
+  }
+}
+
+const otherRecords = [
+  {
+    id: 'note-1',
+    type: 'note',
+    data: { title: 'github.com', websites: ['https://github.com'] }
+  },
+  {
+    id: 'gist-1',
+    type: 'login',
+    data: {
+      title: 'Gist',
+      username: 'alice',
+      password: 'other',
+      websites: ['gist.github.com']
+    }
+  }
+]
+
+const createIO = (input = '') => {
+  const io = {
+    out: '',
+    err: '',
+    stdout: { write: (chunk) => (io.out += chunk) },
+    stderr: { write: (chunk) => (io.err += chunk) },
+    stdin: [input]
+  }
+  return io
+}
+
+describe('parseCredentialRequest', () => {
+  it('reads attributes up to the first blank line', () => {
+    expect(
+      parseCredentialRequest(
+        'protocol=https\nhost=github.com\ncapability[]=authtype\nusername=alice\n\npassword=ignored\n'
+      )
+    ).toEqual({
+      protocol: 'https',
+      host: 'github.com',
+      path: undefined,
+      username: 'alice',
+      password: undefined
+    })
+  })
+
+  it('splits a url attribute', () => {
+    expect(
+      parseCredentialRequest('url=https://alice@git.example:8443/repo.git\n')
+    ).toMatchObject({
+      protocol: 'https',
+      host: 'git.example:8443',
+      username: 'alice'
+    })
+  })
+})
+
+describe('formatCredential', () => {
+  it('skips empty values and refuses values git cannot read', () => {
+    expect(formatCredential({ host: 'github.com', username: '' })).toBe(
+      'host=github.com\n'
+    )
+    expect(() => formatCredential({ password: 'a\nb' })).toThrow(
+      'The stored password cannot be passed to git'
+    )
+  })
+})
+
+describe('findCredentialRecords', () => {
+  const records = [userLogin, helperLogin, ...otherRecords]
+
+  it('matches logins on the exact host, saved credentials first', () => {
+    expect(
+      findCredentialRecords(records, { protocol: 'https', host: 'github.com' })
+    ).toEqual([helperLogin, userLogin])
+  })
+
+  it('filters by username and compares ports', () => {
+    expect(
+      findCredentialRecords(records, { host: 'github.com', username: 'bob' })
+    ).toEqual([])
+    expect(findCredentialRecords(records, { host: 'github.com:8443' })).toEqual(
+      []
+    )
+  })
+
+  it('matches the scheme of the saved website', () => {
+    expect(
+      findCredentialRecords(records, { protocol: 'http', host: 'github.com' })
+    ).toEqual([])
+    expect(
+      findCredentialRecords(records, {
+        protocol: 'https',
+        host: 'gist.github.com'
+      })
+    ).toEqual([otherRecords[1]])
+
+    const httpLogin = {
+      ...userLogin,
+      id: 'http-1',
+      data: { ...userLogin.data, websites: ['http://git.internal'] }
+    }
+    expect(
+      findCredentialRecords([httpLogin], {
+        protocol: 'http',
+        host: 'git.internal'
+      })
+    ).toEqual([httpLogin])
+    expect(
+      findCredentialRecords([httpLogin], {
+        protocol: 'https',
+        host: 'git.internal'
+      })
+    ).toEqual([])
+  })
+})
+
+describe('gitCredentialMain', () => {
+  let ipcClient
+  let channel
+  let entries
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    ipcClient = {
+      ready: jest.fn(async () => {}),
+      close: jest.fn(async () => {})
+    }
+    IPC.Client.mockImplementation(() => ipcClient)
+
+    entries = [userLogin, ...otherRecords]
+    channel = {
+      open: jest.fn(async () => {}),
+      close: jest.fn(async () => {}),
+      request: jest.fn(async (method) => {
+        if (method === 'activeVaultList') return entries
+        if (method === 'activeVaultGet') return { id: 'vault-1' }
+        return null
+      })
+    }
+    SecureChannel.mockImplementation(() => channel)
+    loadIdentity.mockResolvedValue({ pairedAt: '2026-01-01T00:00:00.000Z' })
+  })
+
+  it('answers get with the matching login', async () => {
+    const io = createIO('protocol=https\nhost=github.com\n\n')
+
+    await expect(gitCredentialMain(['get'], io)).resolves.toBe(0)
+
+    expect(io.out).toBe(
+      'protocol=https\nhost=github.com\nusername=alice\npassword=account-password\n'
+    )
+    expect(channel.close).toHaveBeenCalled()
+    expect(ipcClient.close).toHaveBeenCalled()
+  })
+
+  it('prints nothing when no login matches', async () => {
+    const io = createIO('protocol=https\nhost=gitlab.com\n\n')
+
+    await expect(gitCredentialMain(['get'], io)).resolves.toBe(0)
+
+    expect(io.out).toBe('')
+  })
+
+  it('ignores unknown operations without connecting', async () => {
+    const io = createIO('host=github.com\n')
+
+    await expect(gitCredentialMain(['capabilities'], io)).resolves.toBe(0)
+
+    expect(IPC.Client).not.toHaveBeenCalled()
+  })
+
+  it('stores a new token without touching the user login', async () => {
+    const io = createIO(
+      'protocol=https\nhost=github.com\nusername=alice\npassword=ghp_new\n'
+    )
+
+    await expect(gitCredentialMain(['store'], io)).resolves.toBe(0)
+
+    expect(channel.request).toHaveBeenCalledWith('activeVaultAdd', {
+      key: 'record/new-id',
+      data: expect.objectContaining({
+        vaultId: 'vault-1',
+        data: expect.objectContaining({
+          title: 'github.com',
+          username: 'alice',
+          password: 'ghp_new',
+          websites: ['https://github.com'],
+          gitCredential: true
+        })
+      })
+    })
+  })
+
+  it('updates the saved token and skips unchanged ones', async () => {
+    entries = [helperLogin]
+
+    await gitCredentialMain(
+      ['store'],
+      createIO('host=github.com\nusername=alice\npassword=ghp_token\n')
+    )
+    expect(channel.request).not.toHaveBeenCalledWith(
+      'activeVaultAdd',
+      expect.anything()
+    )
+
+    await gitCredentialMain(
+      ['store'],
+      createIO('host=github.com\nusername=alice\npassword=ghp_rotated\n')
+    )
+    expect(channel.request).toHaveBeenCalledWith('activeVaultAdd', {
+      key: 'record/helper-1',
+      data: expect.objectContaining({
+        data: expect.objectContaining({ password: 'ghp_rotated' })
+      })
+    })
+  })
+
+  it('only erases tokens the helper saved', async () => {
+    entries = [userLogin, helperLogin]
+
+    await gitCredentialMain(
+      ['erase'],
+      createIO('host=github.com\nusername=alice\npassword=ghp_token\n')
+    )
+
+    expect(channel.request).toHaveBeenCalledWith('activeVaultRemove', {
+      key: 'record/helper-1'
+    })
+    expect(channel.request).not.toHaveBeenCalledWith('activeVaultRemove', {
+      key: 'record/user-1'
+    })
+  })
+
+  it('reports errors on stderr', async () => {
+    loadIdentity.mockResolvedValue(null)
+    const io = createIO('host=github.com\n')
+
+    await expect(gitCredentialMain(['get'], io)).resolves.toBe(1)
+
+    expect(io.err).toBe(
+      'git-credential-pearpass: Not paired, run "pearpass pair --token <code>" first\n'
+    )
+    expect(io.out).toBe('')
+  })
+})
@@ -0,0 +1,5 @@
+import { gitCredentialMain } from './gitCredential.js'
+
+gitCredentialMain(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode
+})
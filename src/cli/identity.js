@@ -0,0 +1,72 @@
+import fs from 'fs'
+import { homedir } from 'os'
+import { dirname, join } from 'path'
+
+import { IPC_SOCKET_DIR_NAME } from '@tetherto/pearpass-lib-constants'
+import sodium from 'sodium-native'
+
+const IDENTITY_FILE_NAME = 'cli-identity.json'
+
+/**
+ * @typedef {Object} CliIdentity
+ * @property {string} ed25519PublicKeyB64 - Key the desktop app pins for this client
+ * @property {string} ed25519SecretKeyB64
+ * @property {string|null} appEd25519PublicKeyB64 - Desktop app key pinned while pairing
+ * @property {string|null} appFingerprint - Shown to compare with the desktop app
+ * @property {string|null} pairedAt - ISO date of the last successful pairing
+ */
+
+/**
+ * @returns {string}
+ */
+export const getIdentityPath = () =>
+  process.env.PEARPASS_CLI_IDENTITY ||
+  join(homedir(), IPC_SOCKET_DIR_NAME, IDENTITY_FILE_NAME)
+
+/**
+ * Generate the Ed25519 key pair the CLI authenticates with
+ * @returns {CliIdentity}
+ */
+export const createIdentity = () => {
+  const publicKey = new Uint8Array(sodium.crypto_sign_PUBLICKEYBYTES)
+  const secretKey = new Uint8Array(sodium.crypto_sign_SECRETKEYBYTES)
+  sodium.crypto_sign_keypair(publicKey, secretKey)
+
+  return {
+    ed25519PublicKeyB64: Buffer.from(publicKey).toString('base64'),
+    ed25519SecretKeyB64: Buffer.from(secretKey).toString('base64'),
+    appEd25519PublicKeyB64: null,
+    appFingerprint: null,
+    pairedAt: null
+  }
+}
+
+/**
+ * @param {string} [path]
+ * @returns {Promise<CliIdentity|null>} null when the CLI has no identity yet
+ */
+export const loadIdentity = async (path = getIdentityPath()) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(path, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * Persist the identity readable by the current user only. The secret key is
+ * what proves this client to the desktop app, like an SSH private key.
+ * @param {CliIdentity} identity
+ * @param {string} [path]
+ */
+export const saveIdentity = async (identity, path = getIdentityPath()) => {
+  await fs.promises.mkdir(dirname(path), { recursive: true, mode: 0o700 })
+
+  // Atomic so an interrupted write never leaves a truncated key behind
+  const tempPath = `${path}.${process.pid}.tmp`
+  await fs.promises.writeFile(tempPath, JSON.stringify(identity, null, 2), {
+    mode: 0o600
+  })
+  await fs.promises.rename(tempPath, path)
+}
@@ -0,0 +1,58 @@
+import fs from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import { createIdentity, loadIdentity, saveIdentity } from './identity'
+
+jest.mock('@tetherto/pearpass-lib-constants', () => ({
+  IPC_SOCKET_DIR_NAME: '.pearpass'
+}))
+
+jest.mock('sodium-native', () => ({
+  crypto_sign_PUBLICKEYBYTES: 32,
+  crypto_sign_SECRETKEYBYTES: 64,
+  crypto_sign_keypair: jest.fn((pk, sk) => {
+    pk.fill(1)
+    sk.fill(2)
+  })
+}))
+
+describe('cli identity', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(join(tmpdir(), 'pearpass-cli-'))
+  })
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true })
+  })
+
+  it('creates an unpaired identity', () => {
+    expect(createIdentity()).toEqual({
+      ed25519PublicKeyB64: Buffer.alloc(32, 1).toString('base64'),
+      ed25519SecretKeyB64: Buffer.alloc(64, 2).toString('base64'),
+      appEd25519PublicKeyB64: null,
+      appFingerprint: null,
+      pairedAt: null
+    })
+  })
+
+  it('returns null before an identity is saved', async () => {
+    await expect(loadIdentity(join(dir, 'missing.json'))).resolves.toBe(null)
+  })
+
+  it('saves the identity readable by the owner only', async () => {
+    const path = join(dir, 'nested', 'cli-identity.json')
+    const identity = createIdentity()
+
+    await saveIdentity(identity, path)
+
+    await expect(loadIdentity(path)).resolves.toEqual(identity)
+    const { mode } = await fs.promises.stat(path)
+    expect(mode & 0o777).toBe(0o600)
+    expect(await fs.promises.readdir(join(dir, 'nested'))).toEqual([
+      'cli-identity.json'
+    ])
+  })
+})
@@ -0,0 +1,75 @@
+import { CLI_COMMANDS, USAGE, parseCliArgs } from './args.js'
+import { add, get, list, otp, pair, search } from './commands.js'
+import {
+  describeError,
+  readAll,
+  withAppConnection,
+  withSecureChannel
+} from './connection.js'
+
+const SECURE_COMMANDS = {
+  [CLI_COMMANDS.LIST]: list,
+  [CLI_COMMANDS.SEARCH]: search,
+  [CLI_COMMANDS.GET]: get,
+  [CLI_COMMANDS.OTP]: otp,
+  [CLI_COMMANDS.ADD]: add
+}
+
+/**
+ * @typedef {Object} CliIO
+ * @property {{ write: (chunk: string) => unknown }} stdout
+ * @property {{ write: (chunk: string) => unknown }} stderr
+ * @property {AsyncIterable<Buffer|string>} stdin
+ */
+
+/**
+ * @param {any} ipcClient
+ * @param {import('./args.js').CliArgs} args
+ * @param {CliIO} io
+ * @returns {Promise<import('./commands.js').CommandResult>}
+ */
+const runCommand = async (ipcClient, { command, target, options }, io) => {
+  const context = { target, options, readStdin: () => readAll(io.stdin) }
+
+  if (command === CLI_COMMANDS.PAIR) {
+    return pair(ipcClient, context)
+  }
+
+  return withSecureChannel(ipcClient, (channel) =>
+    SECURE_COMMANDS[command](channel, context)
+  )
+}
+
+/**
+ * Run the pearpass command-line client
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {CliIO} [io]
+ * @returns {Promise<number>} Exit code
+ */
+export const main = async (argv, io = process) => {
+  let args
+  try {
+    args = parseCliArgs(argv)
+  } catch (error) {
+    io.stderr.write(`pearpass: ${describeError(error)}\n\n${USAGE}\n`)
+    return 2
+  }
+
+  if (args.command === CLI_COMMANDS.HELP) {
+    io.stdout.write(`${USAGE}\n`)
+    return 0
+  }
+
+  try {
+    const result = await withAppConnection((ipcClient) =>
+      runCommand(ipcClient, args, io)
+    )
+    io.stdout.write(
+      `${args.options.json ? JSON.stringify(result.value, null, 2) : result.text}\n`
+    )
+    return 0
+  } catch (error) {
+    io.stderr.write(`pearpass: ${describeError(error)}\n`)
+    return 1
+  }
+}
@@ -0,0 +1,149 @@
+import IPC from 'pear-ipc'
+
+import { main } from './index'
+import { loadIdentity } from './identity'
+import { SecureChannel } from './SecureChannel'
+import { SecurityErrorCodes } from '../constants/securityErrors'
+import { createErrorWithCode } from '../utils/createErrorWithCode'
+
+jest.mock('pear-ipc', () => ({
+  __esModule: true,
+  default: { Client: jest.fn() }
+}))
+
+jest.mock('./identity', () => ({
+  loadIdentity: jest.fn()
+}))
+
+jest.mock('./SecureChannel', () => ({
+  SecureChannel: jest.fn()
+}))
+
+jest.mock('../services/ipc/SocketManager', () => ({
+  NATIVE_MESSAGING_SOCKET_NAME: 'pearpass-native-messaging',
+  getIpcPath: (name) => `/tmp/${name}.sock`
+}))
+
+const createIO = () => {
+  const io = {
+    out: '',
+    err: '',
+    stdout: { write: (chunk) => (io.out += chunk) },
+    stderr: { write: (chunk) => (io.err += chunk) },
+    stdin: []
+  }
+  return io
+}
+
+describe('cli main', () => {
+  let ipcClient
+  let channel
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    ipcClient = {
+      ready: jest.fn(async () => {}),
+      close: jest.fn(async () => {})
+    }
+    IPC.Client.mockImplementation(() => ipcClient)
+
+    channel = {
+      open: jest.fn(async () => {}),
+      close: jest.fn(async () => {}),
+      request: jest.fn(async () => [
+        { id: 'r1', type: 'login', data: { title: 'Bank', username: 'alice' } }
+      ])
+    }
+    SecureChannel.mockImplementation(() => channel)
+    loadIdentity.mockResolvedValue({ pairedAt: '2026-01-01T00:00:00.000Z' })
+  })
+
+  it('prints usage for help without connecting', async () => {
+    const io = createIO()
+
+    await expect(main(['--help'], io)).resolves.toBe(0)
+
+    expect(io.out).toContain('Usage: pearpass <command>')
+    expect(IPC.Client).not.toHaveBeenCalled()
+  })
+
+  it('exits with usage on bad arguments', async () => {
+    const io = createIO()
+
+    await expect(main(['export'], io)).resolves.toBe(2)
+
+    expect(io.err).toContain('pearpass: Unknown command "export"')
+    expect(io.err).toContain('Usage: pearpass <command>')
+  })
+
+  it('runs a command over a secure channel and closes everything', async () => {
+    const io = createIO()
+
+    await expect(main(['list'], io)).resolves.toBe(0)
+
+    expect(IPC.Client).toHaveBeenCalledWith(
+      expect.objectContaining({
+        socketPath: '/tmp/pearpass-native-messaging.sock'
+      })
+    )
+    expect(channel.open).toHaveBeenCalled()
+    expect(io.out).toBe('r1\tlogin\tBank\talice\n')
+    expect(channel.close).toHaveBeenCalled()
+    expect(ipcClient.close).toHaveBeenCalled()
+  })
+
+  it('prints JSON', async () => {
+    const io = createIO()
+
+    await main(['list', '--json'], io)
+
+    expect(JSON.parse(io.out)).toEqual([
+      {
+        id: 'r1',
+        type: 'login',
+        title: 'Bank',
+        username: 'alice',
+        folder: null
+      }
+    ])
+  })
+
+  it('asks to pair first', async () => {
+    loadIdentity.mockResolvedValue(null)
+    const io = createIO()
+
+    await expect(main(['list'], io)).resolves.toBe(1)
+
+    expect(io.err).toContain('Not paired')
+    expect(SecureChannel).not.toHaveBeenCalled()
+  })
+
+  it('explains errors reported by the desktop app', async () => {
+    channel.request.mockImplementation(async () => {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.DESKTOP_NOT_AUTHENTICATED,
+          'Desktop app is locked'
+        )
+      )
+    })
+    const io = createIO()
+
+    await expect(main(['list'], io)).resolves.toBe(1)
+
+    expect(io.err).toContain('unlock the PearPass desktop app')
+    expect(channel.close).toHaveBeenCalled()
+  })
+
+  it('reports an unreachable desktop app', async () => {
+    ipcClient.ready.mockImplementation(async () => {
+      throw new Error('Could not connect in time')
+    })
+    const io = createIO()
+
+    await expect(main(['list'], io)).resolves.toBe(1)
+
+    expect(io.err).toContain('Could not reach the PearPass desktop app')
+    expect(ipcClient.close).toHaveBeenCalled()
+  })
+})
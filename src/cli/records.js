@@ -0,0 +1,142 @@
+import { generateUniqueId } from '@tetherto/pear-apps-utils-generate-unique-id'
+
+import { addHttps } from '../utils/addHttps.js'
+
+// RECORD_TYPES.LOGIN of pearpass-lib-vault, not imported so the CLI bundle
+// does not pull in React
+const LOGIN_RECORD_TYPE = 'login'
+
+/**
+ * @typedef {Object} VaultRecord
+ * @property {string} id
+ * @property {string} type
+ * @property {string} [vaultId]
+ * @property {Record<string, any>} data
+ * @property {string|null} [folder]
+ * @property {boolean} [isFavorite]
+ * @property {Record<string, any>} [otpPublic]
+ * @property {number} [createdAt]
+ * @property {number} [updatedAt]
+ */
+
+/**
+ * The record prefix also lists attachments, keep only records themselves
+ * @param {unknown} value
+ * @returns {value is VaultRecord}
+ */
+export const isVaultRecord = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  typeof (/** @type {any} */ (value).id) === 'string' &&
+  typeof (/** @type {any} */ (value).data) === 'object'
+
+/**
+ * @param {VaultRecord} record
+ * @returns {string[]}
+ */
+const getSearchableValues = (record) => [
+  record.data?.title,
+  record.data?.username,
+  record.data?.email,
+  ...(record.data?.websites || [])
+]
+
+/**
+ * Case-insensitive match on title, username, email and websites
+ * @param {VaultRecord[]} records
+ * @param {string} query
+ * @returns {VaultRecord[]}
+ */
+export const searchRecords = (records, query) => {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return records
+
+  return records.filter((record) =>
+    getSearchableValues(record).some(
+      (value) =>
+        typeof value === 'string' && value.toLowerCase().includes(needle)
+    )
+  )
+}
+
+/**
+ * Find the one record with this id or title, titles compare case-insensitive
+ * @param {VaultRecord[]} records
+ * @param {string} titleOrId
+ * @returns {VaultRecord}
+ */
+export const findRecord = (records, titleOrId) => {
+  const byId = records.find((record) => record.id === titleOrId)
+  if (byId) return byId
+
+  const title = titleOrId.trim().toLowerCase()
+  const matches = records.filter(
+    (record) => record.data?.title?.trim().toLowerCase() === title
+  )
+
+  if (!matches.length) {
+    throw new Error(`No record titled "${titleOrId}"`)
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `${matches.length} records are titled "${titleOrId}", use one of their ids: ${matches
+        .map((record) => record.id)
+        .join(', ')}`
+    )
+  }
+  return matches[0]
+}
+
+/**
+ * Fields safe to print in listings, never secrets
+ * @param {VaultRecord} record
+ */
+export const summarizeRecord = (record) => ({
+  id: record.id,
+  type: record.type,
+  title: record.data?.title ?? '',
+  username: record.data?.username || record.data?.email || '',
+  folder: record.folder ?? null
+})
+
+/**
+ * Build a login record shaped like the ones the desktop app creates
+ * @param {Object} fields
+ * @param {string} fields.title
+ * @param {string} [fields.username]
+ * @param {string} [fields.email]
+ * @param {string} [fields.password]
+ * @param {string[]} [fields.websites]
+ * @param {string} [fields.note]
+ * @param {string} vaultId
+ * @returns {VaultRecord}
+ */
+export const createLoginRecord = (
+  { title, username = '', email = '', password = '', websites = [], note = '' },
+  vaultId
+) => {
+  const now = Date.now()
+
+  return {
+    id: generateUniqueId(),
+    type: LOGIN_RECORD_TYPE,
+    vaultId,
+    folder: null,
+    isFavorite: false,
+    createdAt: now,
+    updatedAt: now,
+    data: {
+      title,
+      username,
+      email,
+      password,
+      note,
+      websites: websites
+        .filter((website) => !!website.trim().length)
+        .map((website) => addHttps(website.trim())),
+      customFields: [],
+      attachments: [],
+      ...(password ? { passwordUpdatedAt: now } : {})
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import {
+  createLoginRecord,
+  findRecord,
+  isVaultRecord,
+  searchRecords,
+  summarizeRecord
+} from './records'
+
+jest.mock('@tetherto/pear-apps-utils-generate-unique-id', () => ({
+  generateUniqueId: () => 'new-id'
+}))
+
+const bank = {
+  id: 'r1',
+  type: 'login',
+  folder: 'Finance',
+  data: {
+    title: 'Bank',
+    username: 'alice',
+    password: 'secret',
+    websites: ['https://bank.example']
+  }
+}
+const mail = {
+  id: 'r2',
+  type: 'login',
+  data: { title: 'Mail', email: 'alice@mail.example', password: 'hunter2' }
+}
+const otherMail = { id: 'r3', type: 'note', data: { title: 'mail' } }
+
+describe('records', () => {
+  it('keeps records and skips attachments', () => {
+    expect(isVaultRecord(bank)).toBe(true)
+    expect(isVaultRecord({ id: 'file', buffer: [] })).toBe(false)
+    expect(isVaultRecord(null)).toBe(false)
+  })
+
+  it('searches titles, usernames, emails and websites', () => {
+    const records = [bank, mail]
+
+    expect(searchRecords(records, 'BANK.example')).toEqual([bank])
+    expect(searchRecords(records, 'alice')).toEqual([bank, mail])
+    expect(searchRecords(records, 'secret')).toEqual([])
+  })
+
+  describe('findRecord', () => {
+    it('finds a record by id or case-insensitive title', () => {
+      expect(findRecord([bank, mail], 'r2')).toBe(mail)
+      expect(findRecord([bank, mail], ' bank ')).toBe(bank)
+    })
+
+    it('throws when no record or several records match', () => {
+      expect(() => findRecord([bank], 'Mail')).toThrow(
+        'No record titled "Mail"'
+      )
+      expect(() => findRecord([mail, otherMail], 'Mail')).toThrow(
+        '2 records are titled "Mail", use one of their ids: r2, r3'
+      )
+    })
+  })
+
+  it('summarizes records without secrets', () => {
+    expect(summarizeRecord(bank)).toEqual({
+      id: 'r1',
+      type: 'login',
+      title: 'Bank',
+      username: 'alice',
+      folder: 'Finance'
+    })
+    expect(summarizeRecord(mail).username).toBe('alice@mail.example')
+  })
+
+  it('creates login records like the desktop app', () => {
+    const record = createLoginRecord(
+      {
+        title: 'Shop',
+        username: 'alice',
+        password: 'pw',
+        websites: ['Shop.example', ' ']
+      },
+      'vault-1'
+    )
+
+    expect(record).toEqual(
+      expect.objectContaining({
+        id: 'new-id',
+        type: 'login',
+        vaultId: 'vault-1',
+        folder: null,
+        isFavorite: false
+      })
+    )
+    expect(record.data).toEqual(
+      expect.objectContaining({
+        title: 'Shop',
+        username: 'alice',
+        password: 'pw',
+        websites: ['https://shop.example'],
+        passwordUpdatedAt: record.createdAt
+      })
+    )
+  })
+})
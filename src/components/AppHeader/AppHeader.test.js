@@ -40,7 +40,9 @@ jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
 
 jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
   Add: () => null,
-  ImportOutlined: () => null
+  ImportOutlined: () => null,
+  StarBorder: () => null,
+  StarFilled: () => null
 }))
 
 describe('AppHeader', () => {
@@ -97,6 +99,26 @@ describe('AppHeader', () => {
 
     expect(defaultProps.onImportClick).toHaveBeenCalledTimes(1)
   })
+
+  it('offers to save a search once there is one', () => {
+    const onSaveSearch = jest.fn()
+    const { rerender } = render(
+      <AppHeader {...defaultProps} onSaveSearch={onSaveSearch} />
+    )
+
+    expect(screen.queryByTestId('main-search-save')).not.toBeInTheDocument()
+
+    rerender(
+      <AppHeader
+        {...defaultProps}
+        searchValue="type:login"
+        onSaveSearch={onSaveSearch}
+      />
+    )
+    fireEvent.click(screen.getByTestId('main-search-save'))
+
+    expect(onSaveSearch).toHaveBeenCalledTimes(1)
+  })
 })
 
 describe('AppHeaderAddItemTrigger', () => {
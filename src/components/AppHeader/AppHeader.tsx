@@ -1,7 +1,12 @@
 import React, { type ReactNode } from 'react'
 
 import { Button, useTheme, SearchField } from '@tetherto/pearpass-lib-ui-kit'
-import { Add, ImportOutlined } from '@tetherto/pearpass-lib-ui-kit/icons'
+import {
+  Add,
+  ImportOutlined,
+  StarBorder,
+  StarFilled
+} from '@tetherto/pearpass-lib-ui-kit/icons'
 
 import { createStyles } from './AppHeader.styles'
 import { useTranslation } from '../../hooks/useTranslation'
@@ -11,6 +16,9 @@ export type AppHeaderProps = {
   onSearchChange: (value: string) => void
   onImportClick: () => void
   addItemControl: ReactNode
+  /** Shows a save button next to a non-empty search */
+  onSaveSearch?: () => void
+  isSearchSaved?: boolean
   searchTestId?: string
   importTestId?: string
 }
@@ -20,6 +28,8 @@ export const AppHeader = ({
   onSearchChange,
   onImportClick,
   addItemControl,
+  onSaveSearch,
+  isSearchSaved = false,
   searchTestId = 'main-search-input',
   importTestId = 'main-import-button',
 }: AppHeaderProps) => {
@@ -39,6 +49,25 @@ export const AppHeader = ({
             placeholderText={t('Search in All Items')}
           />
         </div>
+        {onSaveSearch && !!searchValue.trim() && (
+          <Button
+            variant="tertiary"
+            size="small"
+            type="button"
+            data-testid="main-search-save"
+            aria-label={isSearchSaved ? t('Search saved') : t('Save search')}
+            aria-pressed={isSearchSaved}
+            disabled={isSearchSaved}
+            onClick={onSaveSearch}
+            iconBefore={
+              isSearchSaved ? (
+                <StarFilled width={18} height={18} />
+              ) : (
+                <StarBorder width={18} height={18} />
+              )
+            }
+          />
+        )}
       </div>
       <div style={actions}>
         <Button
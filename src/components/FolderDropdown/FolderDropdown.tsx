@@ -15,7 +15,11 @@ import { useFolders } from '@tetherto/pearpass-lib-vault'
 import { CreateFolderModalContent } from '../../containers/Modal/CreateFolderModalContent/CreateFolderModalContent'
 import { useModal } from '../../context/ModalContext'
 import { useTranslation } from '../../hooks/useTranslation'
-import { sortByName } from '../../utils/sortByName'
+import {
+  buildFolderTree,
+  flattenFolderTree,
+  formatFolderPath
+} from '../../utils/folderTree'
 
 type FolderDropdownProps = {
   selectedFolder?: string
@@ -31,12 +35,14 @@ export const FolderDropdown = ({
   const { setModal, closeModal } = useModal()
   const { data: folders } = useFolders()
 
+  // Subfolders follow their parent and show their full path
   const folderOptions = useMemo(() => {
-    return sortByName(
+    const tree = buildFolderTree(
       Object.values(
         (folders?.customFolders ?? {}) as Record<string, { name: string }>
-      )
-    ).map((f) => f.name)
+      ).map((f) => ({ name: f.name, count: 0 }))
+    )
+    return flattenFolderTree(tree).map((node) => node.path)
   }, [folders])
 
   const handleCreateFolder = () => {
@@ -57,7 +63,7 @@ export const FolderDropdown = ({
         <MultiSlotInput testID='createoredit-folder-slot'>
           <SelectField
             label={t('Folder')}
-            value={selectedFolder ?? ''}
+            value={selectedFolder ? formatFolderPath(selectedFolder) : ''}
             placeholder={t('Choose Folder')}
             testID='createoredit-select-folder'
             rightSlot={
@@ -100,7 +106,7 @@ export const FolderDropdown = ({
             />
           }
           iconSize={16}
-          label={name}
+          label={formatFolderPath(name)}
           selected={selectedFolder === name}
           onClick={() => onFolderSelect(name)}
           testID={`createoredit-folder-option-${name}`}
@@ -0,0 +1,25 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = (colors: ThemeColors) => ({
+  wrapper: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing8}px`
+  },
+  chipList: {
+    display: 'flex' as const,
+    flexWrap: 'wrap' as const,
+    alignItems: 'center' as const,
+    gap: `${rawTokens.spacing6}px`
+  },
+  chip: {
+    display: 'inline-flex' as const,
+    alignItems: 'center' as const,
+    gap: `${rawTokens.spacing2}px`,
+    paddingLeft: `${rawTokens.spacing8}px`,
+    borderRadius: `${rawTokens.radius8}px`,
+    backgroundColor: colors.colorSurfaceHover,
+    border: `1px solid ${colors.colorBorderPrimary}`
+  }
+})
@@ -0,0 +1,125 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+jest.mock('@lingui/react', () => ({
+  useLingui: () => ({
+    i18n: { _: (msg: string) => msg }
+  })
+}))
+
+jest.mock('../../hooks/useVaultTags', () => ({
+  useVaultTags: () => [
+    { tag: 'Finance', count: 2 },
+    { tag: 'Travel', count: 1 }
+  ]
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const ReactInner = require('react')
+  return {
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    Button: ({
+      children,
+      onClick,
+      'data-testid': testId
+    }: {
+      children?: React.ReactNode
+      onClick?: () => void
+      'data-testid'?: string
+    }) =>
+      ReactInner.createElement(
+        'button',
+        { type: 'button', 'data-testid': testId, onClick },
+        children
+      ),
+    InputField: ({
+      value,
+      onChange,
+      testID,
+      rightSlot
+    }: {
+      value: string
+      onChange: (e: React.ChangeEvent<HTMLInputElement>) => void
+      testID?: string
+      rightSlot?: React.ReactNode
+    }) =>
+      ReactInner.createElement(
+        'div',
+        null,
+        ReactInner.createElement('input', {
+          'data-testid': testID,
+          value,
+          onChange
+        }),
+        rightSlot
+      ),
+    Text: ({ children }: { children?: React.ReactNode }) =>
+      ReactInner.createElement('span', null, children)
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  Add: () => null,
+  Close: () => null
+}))
+
+import { TagsField } from './TagsField'
+
+describe('TagsField', () => {
+  test('adds the text before each comma as a tag', () => {
+    const onChange = jest.fn()
+    render(<TagsField tags={['Work']} onChange={onChange} />)
+
+    fireEvent.change(screen.getByTestId('createoredit-tags-input'), {
+      target: { value: 'Home, work,Sha' }
+    })
+
+    expect(onChange).toHaveBeenCalledWith(['Work', 'Home'])
+    expect(screen.getByTestId('createoredit-tags-input')).toHaveValue('Sha')
+  })
+
+  test('adds the typed tag with Enter instead of submitting', () => {
+    const onChange = jest.fn()
+    render(<TagsField tags={[]} onChange={onChange} />)
+
+    const input = screen.getByTestId('createoredit-tags-input')
+    fireEvent.change(input, { target: { value: ' Side project ' } })
+    const event = new KeyboardEvent('keydown', {
+      key: 'Enter',
+      bubbles: true,
+      cancelable: true
+    })
+    input.dispatchEvent(event)
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(onChange).toHaveBeenCalledWith(['Side project'])
+  })
+
+  test('suggests tags already used in the vault', () => {
+    const onChange = jest.fn()
+    render(<TagsField tags={['Travel']} onChange={onChange} />)
+
+    fireEvent.change(screen.getByTestId('createoredit-tags-input'), {
+      target: { value: 'a' }
+    })
+    expect(
+      screen.getByTestId('createoredit-tags-suggestions').textContent
+    ).not.toContain('Travel')
+
+    fireEvent.click(screen.getByTestId('createoredit-tags-suggestion-Finance'))
+
+    expect(onChange).toHaveBeenCalledWith(['Travel', 'Finance'])
+  })
+
+  test('removes a tag', () => {
+    const onChange = jest.fn()
+    render(<TagsField tags={['Work', 'Home']} onChange={onChange} />)
+
+    fireEvent.click(screen.getByTestId('createoredit-tags-remove-Work'))
+
+    expect(onChange).toHaveBeenCalledWith(['Home'])
+  })
+})
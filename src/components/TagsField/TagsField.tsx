@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react'
+import type { KeyboardEvent } from 'react'
+
+import {
+  Button,
+  InputField,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { Add, Close } from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { useTranslation } from '../../hooks/useTranslation'
+import { useVaultTags } from '../../hooks/useVaultTags'
+import { normalizeTags } from '../../utils/recordTags'
+import { createStyles } from './TagsField.styles'
+
+const SUGGESTION_LIMIT = 5
+
+type TagsFieldProps = {
+  tags?: string[]
+  onChange: (tags: string[]) => void
+  testID?: string
+}
+
+/**
+ * Tags of a record being created or edited. A comma, Enter or the add button
+ * turns the typed text into a tag; tags already used in the vault are
+ * suggested while typing.
+ */
+export const TagsField = ({
+  tags = [],
+  onChange,
+  testID = 'createoredit-tags'
+}: TagsFieldProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+  const vaultTags = useVaultTags()
+  const [draft, setDraft] = useState('')
+
+  const suggestions = useMemo(() => {
+    const query = draft.trim().toLowerCase()
+    if (!query) return []
+    const selected = new Set(tags.map((tag) => tag.toLowerCase()))
+    return vaultTags
+      .map(({ tag }) => tag)
+      .filter(
+        (tag) =>
+          !selected.has(tag.toLowerCase()) && tag.toLowerCase().includes(query)
+      )
+      .slice(0, SUGGESTION_LIMIT)
+  }, [draft, tags, vaultTags])
+
+  const addTags = (values: string[]) => {
+    const next = normalizeTags([...tags, ...values])
+    if (next.length !== tags.length) onChange(next)
+  }
+
+  const commitDraft = () => {
+    addTags(draft.split(','))
+    setDraft('')
+  }
+
+  const handleDraftChange = (value: string) => {
+    if (!value.includes(',')) {
+      setDraft(value)
+      return
+    }
+    // Everything before the last comma is done, the rest is still typed
+    const parts = value.split(',')
+    const rest = parts.pop() ?? ''
+    addTags(parts)
+    setDraft(rest.trimStart())
+  }
+
+  // Enter would submit the record form
+  const handleKeyDown = (event: KeyboardEvent<HTMLDivElement>) => {
+    if (event.key !== 'Enter' || !draft.trim()) return
+    event.preventDefault()
+    commitDraft()
+  }
+
+  const removeTag = (tag: string) => {
+    onChange(tags.filter((item) => item !== tag))
+  }
+
+  return (
+    <div style={styles.wrapper} data-testid={testID} onKeyDown={handleKeyDown}>
+      <InputField
+        label={t('Tags')}
+        placeholder={t('Add tags, separated by commas')}
+        value={draft}
+        onChange={(e) => handleDraftChange(e.target.value)}
+        testID={`${testID}-input`}
+        rightSlot={
+          draft.trim() ? (
+            <Button
+              variant="tertiary"
+              size="small"
+              type="button"
+              aria-label={t('Add tag')}
+              iconBefore={
+                <Add
+                  width={16}
+                  height={16}
+                  color={theme.colors.colorTextPrimary}
+                />
+              }
+              onClick={commitDraft}
+              data-testid={`${testID}-add`}
+            />
+          ) : null
+        }
+      />
+
+      {suggestions.length > 0 && (
+        <div style={styles.chipList} data-testid={`${testID}-suggestions`}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Existing tags')}
+          </Text>
+          {suggestions.map((tag) => (
+            <Button
+              key={tag}
+              variant="tertiary"
+              size="small"
+              type="button"
+              onClick={() => {
+                addTags([tag])
+                setDraft('')
+              }}
+              data-testid={`${testID}-suggestion-${tag}`}
+            >
+              {tag}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      {tags.length > 0 && (
+        <div style={styles.chipList}>
+          {tags.map((tag) => (
+            <span
+              key={tag}
+              style={styles.chip}
+              data-testid={`${testID}-tag-${tag}`}
+            >
+              <Text variant="caption">{tag}</Text>
+              <Button
+                variant="tertiary"
+                size="small"
+                type="button"
+                aria-label={t('Remove tag {tag}', { tag })}
+                iconBefore={
+                  <Close
+                    width={14}
+                    height={14}
+                    color={theme.colors.colorTextPrimary}
+                  />
+                }
+                onClick={() => removeTag(tag)}
+                data-testid={`${testID}-remove-${tag}`}
+              />
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
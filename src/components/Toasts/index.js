@@ -1,13 +1,14 @@
-import { Snackbar } from '@tetherto/pearpass-lib-ui-kit'
+import { Button, Snackbar } from '@tetherto/pearpass-lib-ui-kit'
 import { html } from 'htm/react'
 
-import { ToastStack } from './styles'
+import { ToastActionRow, ToastStack } from './styles'
 
 /**
  * @param {{
  *  toasts: Array.<{
  *    message: string
  *    icon?: import('react').ElementType
+ *    action?: { label: string, onClick: () => void }
  *  }>
  * }} props
  */
@@ -15,13 +16,29 @@ export const Toasts = ({ toasts }) => html`
   <${ToastStack}>
     ${toasts?.map((toast, index) => {
       const Icon = toast.icon
-      return html`
+      const snackbar = html`
         <${Snackbar}
           key=${index}
           text=${toast.message}
           icon=${Icon ? html`<${Icon} />` : undefined}
         />
       `
+
+      if (!toast.action) return snackbar
+
+      return html`
+        <${ToastActionRow} key=${index}>
+          ${snackbar}
+          <${Button}
+            variant="tertiary"
+            size="small"
+            onClick=${toast.action.onClick}
+            data-testid="toast-action"
+          >
+            ${toast.action.label}
+          <//>
+        <//>
+      `
     })}
   <//>
 `
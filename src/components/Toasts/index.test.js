@@ -1,6 +1,6 @@
 import React from 'react'
 
-import { render } from '@testing-library/react'
+import { fireEvent, render } from '@testing-library/react'
 import { ThemeProvider } from '@tetherto/pearpass-lib-ui-kit'
 
 import { Toasts } from './index'
@@ -10,7 +10,10 @@ jest.mock('./styles', () => ({
   ToastContainer: ({ children }) => (
     <div data-testid="toast-container">{children}</div>
   ),
-  ToastStack: ({ children }) => <div data-testid="toast-stack">{children}</div>
+  ToastStack: ({ children }) => <div data-testid="toast-stack">{children}</div>,
+  ToastActionRow: ({ children }) => (
+    <div data-testid="toast-action-row">{children}</div>
+  )
 }))
 
 const mockSnackbar = jest.fn(({ text, icon }) => (
@@ -21,6 +24,11 @@ const mockSnackbar = jest.fn(({ text, icon }) => (
 ))
 
 jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  Button: ({ children, onClick, 'data-testid': testId }) => (
+    <button type="button" onClick={onClick} data-testid={testId}>
+      {children}
+    </button>
+  ),
   Snackbar: (props) => mockSnackbar(props),
   ThemeProvider: ({ children }) => children
 }))
@@ -105,4 +113,23 @@ describe('Toasts Component', () => {
       })
     )
   })
+
+  test('renders an action next to the message', () => {
+    const onClick = jest.fn()
+    const toasts = [
+      { message: 'Moved 2 items', action: { label: 'Undo', onClick } }
+    ]
+
+    const { getByTestId } = render(
+      <ThemeProvider>
+        <Toasts toasts={toasts} />
+      </ThemeProvider>
+    )
+
+    expect(getByTestId('toast-action-row').textContent).toContain(
+      'Moved 2 items'
+    )
+    fireEvent.click(getByTestId('toast-action'))
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
 })
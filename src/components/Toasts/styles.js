@@ -29,3 +29,9 @@ export const ToastContainer = styled.div`
   font-weight: 400;
   line-height: normal;
 `
+
+export const ToastActionRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`
@@ -0,0 +1,8 @@
+/**
+ * `DataTransfer` types of the app's own drag and drop, so drop targets can
+ * tell what is being dragged and ignore files or text from elsewhere.
+ */
+export const DRAG_DATA_TYPES = {
+  FOLDER: 'application/x-pearpass-folder',
+  RECORDS: 'application/x-pearpass-records'
+}
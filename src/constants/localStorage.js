@@ -1,10 +1,14 @@
 export const LOCAL_STORAGE_KEYS = {
   NATIVE_MESSAGING_ENABLED: 'native-messaging-enabled',
+  NATIVE_MESSAGING_SESSION_TTL_MS: 'native-messaging-session-ttl-ms',
   TOU_ACCEPTED: 'tou-accepted',
   COPY_TO_CLIPBOARD_DISABLED: 'copy-to-clipboard-disabled',
   PASSWORD_CHANGE_REMINDER_ENABLED: 'password-change-reminder-enabled',
   AUTO_LOCK_ENABLED: 'auto-lock-enabled',
   AUTO_LOCK_TIMEOUT_MS: 'auto-lock-timeout-ms',
   NM_CLIENT_PUBLIC_KEY: 'nm-client-public-key',
-  EXTENSION_DIALOG_DISMISSED: 'extension-dialog-dismissed'
+  NM_PAIRED_CLIENT_PUBLIC_KEYS: 'nm-paired-client-public-keys',
+  EXTENSION_DIALOG_DISMISSED: 'extension-dialog-dismissed',
+  SAVED_SEARCHES: 'saved-searches',
+  CSV_IMPORT_PRESETS: 'csv-import-presets'
 }
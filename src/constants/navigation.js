@@ -8,3 +8,9 @@ export const NAVIGATION_ROUTES = {
   NEW_VAULT_CREDENTIALS: 'newVaultCredentials',
   SCREEN_LOCKED: 'screenLocked'
 }
+
+/** Views of the vault page other than the record list, set as `view` in router data */
+export const VAULT_VIEWS = {
+  PASSWORD_HEALTH: 'passwordHealth',
+  TRASH: 'trash'
+}
@@ -5,3 +5,34 @@ export const PAIRING_STATES = {
   PENDING: 'PENDING', // getIdentity called, desktop identity key pinned
   CONFIRMED: 'CONFIRMED' // confirmPairing succeeded, final pairing confirmed
 }
+
+/**
+ * Permission scopes a paired extension can be granted.
+ * Each scope includes every method allowed by the scopes listed before it.
+ */
+export const CLIENT_SCOPES = {
+  AUTOFILL: 'AUTOFILL', // read vaults and records to fill credentials
+  SAVE_LOGINS: 'SAVE_LOGINS', // autofill plus saving new logins and OTP codes
+  FULL_ACCESS: 'FULL_ACCESS' // every secure method, including vault management
+}
+
+export const CLIENT_SCOPE_LEVELS = [
+  CLIENT_SCOPES.AUTOFILL,
+  CLIENT_SCOPES.SAVE_LOGINS,
+  CLIENT_SCOPES.FULL_ACCESS
+]
+
+// New clients start with the least access, the user can grant more
+export const DEFAULT_CLIENT_SCOPE = CLIENT_SCOPES.AUTOFILL
+
+// Clients paired before scopes existed keep their previous access
+export const LEGACY_CLIENT_SCOPE = CLIENT_SCOPES.FULL_ACCESS
+
+/**
+ * @param {string|undefined} grantedScope
+ * @param {string} requiredScope
+ * @returns {boolean}
+ */
+export const isScopeAllowed = (grantedScope, requiredScope) =>
+  CLIENT_SCOPE_LEVELS.indexOf(grantedScope || DEFAULT_CLIENT_SCOPE) >=
+  CLIENT_SCOPE_LEVELS.indexOf(requiredScope)
@@ -11,12 +11,14 @@ export const SecurityErrorCodes = {
   MISSING_CLIENT_PUBLIC_KEY: 'MISSING_CLIENT_PUBLIC_KEY',
   NO_PENDING_PAIRING: 'NO_PENDING_PAIRING',
   CLIENT_KEY_MISMATCH: 'CLIENT_KEY_MISMATCH',
+  INVALID_CLIENT_SCOPE: 'INVALID_CLIENT_SCOPE',
 
   // Handshake errors
   NATIVE_MESSAGING_DISABLED: 'NATIVE_MESSAGING_DISABLED',
   NOT_PAIRED: 'NOT_PAIRED',
   CLIENT_NOT_PAIRED: 'CLIENT_NOT_PAIRED',
   MISSING_EPHEMERAL_PUBLIC_KEY: 'MISSING_EPHEMERAL_PUBLIC_KEY',
+  INVALID_EPHEMERAL_PUBLIC_KEY: 'INVALID_EPHEMERAL_PUBLIC_KEY',
   MISSING_SESSION_ID: 'MISSING_SESSION_ID',
   MISSING_CLIENT_SIGNATURE: 'MISSING_CLIENT_SIGNATURE',
   SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
@@ -27,6 +29,7 @@ export const SecurityErrorCodes = {
   INVALID_CLIENT_SIGNATURE: 'INVALID_CLIENT_SIGNATURE',
   INVALID_TRANSCRIPT: 'INVALID_TRANSCRIPT',
   CLIENT_SIGNATURE_INVALID: 'CLIENT_SIGNATURE_INVALID',
+  HOST_SIGNATURE_INVALID: 'HOST_SIGNATURE_INVALID',
 
   // Secure request errors
   INVALID_SECURE_PAYLOAD: 'INVALID_SECURE_PAYLOAD',
@@ -34,11 +37,19 @@ export const SecurityErrorCodes = {
   DECRYPT_FAILED: 'DECRYPT_FAILED',
   INVALID_SEQ: 'INVALID_SEQ',
   REPLAY_DETECTED: 'REPLAY_DETECTED',
+  CLIENT_SCOPE_DENIED: 'CLIENT_SCOPE_DENIED',
+  REQUEST_DENIED: 'REQUEST_DENIED',
+  APPROVAL_TIMEOUT: 'APPROVAL_TIMEOUT',
+  REKEY_REQUIRED: 'REKEY_REQUIRED',
 
   // Method registry errors
   UNKNOWN_METHOD: 'UNKNOWN_METHOD',
   DESKTOP_NOT_AUTHENTICATED: 'DESKTOP_NOT_AUTHENTICATED',
 
+  // Rate limiting errors
+  RATE_LIMITED: 'RATE_LIMITED',
+  CLIENT_LOCKED_OUT: 'CLIENT_LOCKED_OUT',
+
   // Auto lock errors
   MISSING_AUTO_LOCK_TIMEOUT_MS: 'MISSING_AUTO_LOCK_TIMEOUT_MS',
   INVALID_AUTO_LOCK_ENABLED: 'INVALID_AUTO_LOCK_ENABLED'
@@ -1,4 +1,8 @@
 export const HANDLER_EVENTS = {
   extensionLock: 'extension-lock',
-  extensionExit: 'extension-exit'
+  extensionExit: 'extension-exit',
+  extensionPairingChanged: 'extension-pairing-changed',
+  extensionApprovalRequested: 'extension-approval-requested',
+  extensionApprovalSettled: 'extension-approval-settled',
+  extensionClientLockedOut: 'extension-client-locked-out'
 }
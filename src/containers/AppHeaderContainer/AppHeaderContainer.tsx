@@ -10,6 +10,7 @@ import {
   Key,
   Note,
   QrCode,
+  TerminalTone,
   WiFi
 } from '@tetherto/pearpass-lib-ui-kit/icons'
 import { RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
@@ -25,6 +26,7 @@ import { useCreateOrEditRecord } from '../../hooks/useCreateOrEditRecord'
 import { useTranslation } from '../../hooks/useTranslation'
 import { isFavorite } from '../../utils/isFavorite'
 import { ImportItemOrVaultModalContent } from '../Modal/ImportItemOrVaultModalContent'
+import sshKeys from '../../../electron/sshKeys.cjs'
 
 export const AppHeaderContainer = () => {
   const { currentPage, data: routerData } = useRouter()
@@ -32,6 +34,8 @@ export const AppHeaderContainer = () => {
   const {
     searchValue,
     setSearchValue,
+    savedSearches,
+    saveSearch,
     isAddMenuOpen,
     setIsAddMenuOpen
   } = useAppHeaderContext()
@@ -56,6 +60,7 @@ export const AppHeaderContainer = () => {
     { type: RECORD_TYPES.NOTE,          label: t('Notes'),             icon: <Note color={iconColor} /> },
     { type: RECORD_TYPES.PASS_PHRASE,   label: t('Recovery Phrases'),  icon: <FormatQuote color={iconColor} /> },
     { type: RECORD_TYPES.WIFI_PASSWORD, label: t('Wi-Fi'),             icon: <WiFi color={iconColor} /> },
+    { type: sshKeys.SSH_KEY_RECORD_TYPE, label: t('SSH Keys'),         icon: <TerminalTone color={iconColor} /> },
     { type: 'password',                 label: t('Password'),          icon: <Key color={iconColor} /> },
     { type: RECORD_TYPES.CUSTOM,        label: t('Other'),             icon: <GridView color={iconColor} /> },
     ...(AUTHENTICATOR_ENABLED
@@ -100,6 +105,8 @@ export const AppHeaderContainer = () => {
       onSearchChange={(val) => setSearchValue(val)}
       onImportClick={handleImportClick}
       addItemControl={addItemControl}
+      onSaveSearch={() => saveSearch(searchValue)}
+      isSearchSaved={savedSearches.includes(searchValue.trim())}
     />
   )
 }
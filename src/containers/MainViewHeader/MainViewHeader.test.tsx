@@ -174,4 +174,20 @@ describe('MainViewHeader', () => {
       'Logins > Work'
     )
   })
+
+  it('shows each folder of a subfolder path in the breadcrumb', () => {
+    mockRouterData = { recordType: 'login', folder: 'Work/Clients' }
+    render(<MainViewHeader {...baseProps} />)
+    expect(screen.getByTestId('breadcrumb-items').textContent).toBe(
+      'Logins > Work > Clients'
+    )
+  })
+
+  it('adds the tag picked in the Sidebar to the breadcrumb', () => {
+    mockRouterData = { recordType: 'all', tag: 'Travel' }
+    render(<MainViewHeader {...baseProps} />)
+    expect(screen.getByTestId('breadcrumb-items').textContent).toContain(
+      'All Items > All Folders > Tag:'
+    )
+  })
 })
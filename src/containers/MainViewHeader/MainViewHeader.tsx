@@ -23,6 +23,7 @@ import {
   useRecordMenuItems
 } from '../../hooks/useRecordMenuItems'
 import { useTranslation } from '../../hooks/useTranslation'
+import { splitFolderPath } from '../../utils/folderTree'
 import { isFavorite } from '../../utils/isFavorite'
 
 type MainViewHeaderProps = {
@@ -50,12 +51,16 @@ export const MainViewHeader = ({
     categoriesItems.find((item) => item.type === recordType)?.label ??
     t('All Items')
 
+  // A subfolder shows each folder of its path
   const folder = routerData?.folder
-  const folderLabel = isFavorite(folder ?? '')
-    ? t('Favorites')
+  const folderLabels = isFavorite(folder ?? '')
+    ? [t('Favorites')]
     : folder
-      ? folder
-      : t('All Folders')
+      ? splitFolderPath(folder)
+      : [t('All Folders')]
+
+  const tag = routerData?.tag
+  const tagLabel = tag ? t('Tag: {tag}', { tag: String(tag) }) : null
 
   const sortOptions = useMemo<
     Array<{ key: SortKey; label: string; Icon: React.ComponentType<{ color?: string }> }>
@@ -97,7 +102,11 @@ export const MainViewHeader = ({
     <div style={styles.container} data-testid="main-view-header">
       <div style={styles.breadcrumbWrapper}>
         <Breadcrumb
-          items={[categoryLabel, folderLabel]}
+          items={
+            tagLabel
+              ? [categoryLabel, ...folderLabels, tagLabel]
+              : [categoryLabel, ...folderLabels]
+          }
           actions={
             <div style={styles.actions}>
               <Button
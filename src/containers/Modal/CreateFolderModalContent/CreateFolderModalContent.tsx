@@ -2,32 +2,60 @@ import React, { useState } from 'react'
 
 import { useForm } from '@tetherto/pear-apps-lib-ui-react-hooks'
 import { Validator } from '@tetherto/pear-apps-utils-validator'
-import { Button, Dialog, Form, InputField } from '@tetherto/pearpass-lib-ui-kit'
+import {
+  Button,
+  Dialog,
+  Form,
+  InputField,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
 import { useCreateFolder, useFolders } from '@tetherto/pearpass-lib-vault'
 import { createStyles } from './CreateFolderModalContent.styles'
 import { useGlobalLoading } from '../../../context/LoadingContext'
 import { useTranslation } from '../../../hooks/useTranslation'
+import {
+  FOLDER_PATH_SEPARATOR,
+  formatFolderPath,
+  getFolderName,
+  getParentFolderPath,
+  getSubtreeRenames,
+  joinFolderPath
+} from '../../../utils/folderTree'
 
 export interface CreateFolderModalContentProps {
   onClose: () => void
   onCreate?: (folderName: string) => void
   onRename?: (newFolderName: string, previousFolderName: string) => void
+  /** Full path of the folder to rename */
   initialValues?: { title: string }
+  /** Folder the new folder is created in, top level when missing */
+  parentFolder?: string | null
 }
 
 export const CreateFolderModalContent = ({
   onClose,
   onCreate,
   onRename,
-  initialValues
+  initialValues,
+  parentFolder
 }: CreateFolderModalContentProps) => {
   const { t } = useTranslation()
+  const { theme } = useTheme()
   const styles = createStyles()
 
   const isRename = !!initialValues
 
   const { renameFolder, data } = useFolders()
-  const customFolders = Object.values(data?.customFolders ?? {})
+  const customFolders = Object.values(data?.customFolders ?? {}) as {
+    name: string
+  }[]
+
+  // The form edits the folder's own name; its parent stays the same
+  const parentPath = isRename
+    ? getParentFolderPath(initialValues.title)
+    : (parentFolder ?? null)
+  const initialName = isRename ? getFolderName(initialValues.title) : ''
 
   const [isRenameLoading, setIsRenameLoading] = useState(false)
 
@@ -46,12 +74,19 @@ export const CreateFolderModalContent = ({
     title: Validator.string()
       .required(t('Title is required'))
       .refine((value: string) => {
-        if (isRename && value === initialValues?.title) {
+        if (value.includes(FOLDER_PATH_SEPARATOR)) {
+          return t('Folder name cannot contain "{separator}"', {
+            separator: FOLDER_PATH_SEPARATOR
+          })
+        }
+
+        const path = joinFolderPath(parentPath, value)
+        if (isRename && path === initialValues?.title) {
           return null
         }
 
-        const isDuplicate = (customFolders as { name: string }[]).some(
-          (folder: { name: string }) => folder.name === value
+        const isDuplicate = customFolders.some(
+          (folder: { name: string }) => folder.name === path
         )
 
         if (isDuplicate) {
@@ -64,7 +99,7 @@ export const CreateFolderModalContent = ({
 
   const { register, handleSubmit, values } = useForm({
     initialValues: {
-      title: initialValues?.title ?? ''
+      title: initialName
     },
     validate: (formValues: { title: string }) => schema.validate(formValues)
   })
@@ -72,17 +107,27 @@ export const CreateFolderModalContent = ({
   const onSubmit = async (formValues: { title: string }) => {
     if (isLoading) return
 
+    const path = joinFolderPath(parentPath, formValues.title)
+
     if (isRename) {
       try {
         setIsRenameLoading(true)
-        await renameFolder(initialValues.title, formValues.title)
-        onRename?.(formValues.title, initialValues.title)
+        // Subfolders are stored under the full path, so they follow along
+        const renames = getSubtreeRenames(
+          customFolders.map((folder) => folder.name),
+          initialValues.title,
+          path
+        )
+        for (const rename of renames) {
+          await renameFolder(rename.from, rename.to)
+        }
+        onRename?.(path, initialValues.title)
         onClose()
       } finally {
         setIsRenameLoading(false)
       }
     } else {
-      createFolder(formValues.title)
+      createFolder(path)
     }
   }
 
@@ -92,7 +137,13 @@ export const CreateFolderModalContent = ({
 
   return (
     <Dialog
-      title={isRename ? t('Rename Folder') : t('Create New Folder')}
+      title={
+        isRename
+          ? t('Rename Folder')
+          : parentPath
+            ? t('Create Subfolder')
+            : t('Create New Folder')
+      }
       onClose={onClose}
       testID="createfolder-dialog"
       closeButtonTestID="createfolder-close"
@@ -126,6 +177,15 @@ export const CreateFolderModalContent = ({
         style={styles.form as React.ComponentProps<typeof Form>['style']}
         testID="createfolder-form"
       >
+        {parentPath && (
+          <Text
+            variant="caption"
+            color={theme.colors.colorTextSecondary}
+            data-testid="createfolder-parent"
+          >
+            {t('Inside {folder}', { folder: formatFolderPath(parentPath) })}
+          </Text>
+        )}
         <InputField
           label={t('Folder Name')}
           placeholder={t('Enter Name')}
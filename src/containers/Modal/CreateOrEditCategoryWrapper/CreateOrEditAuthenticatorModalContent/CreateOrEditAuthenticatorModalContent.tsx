@@ -28,6 +28,8 @@ import { useToast } from '../../../../context/ToastContext'
 import { useTranslation } from '../../../../hooks/useTranslation'
 import { useScrollToFirstError } from '../../../../hooks/useScrollToFirstError'
 import { RecordItemIcon } from '../../../../components/RecordItemIcon/RecordItemIcon'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditAuthenticatorModalContentProps = {
   selectedFolder?: string
@@ -74,7 +76,8 @@ export const CreateOrEditAuthenticatorModalContent = ({
     () =>
       Validator.object({
         title: Validator.string().required(t('Title is required')),
-        otpSecret: Validator.string().refine(validateOtpInput)
+        otpSecret: Validator.string().refine(validateOtpInput),
+        tags: Validator.array().items(Validator.string())
       }),
     [t]
   )
@@ -83,7 +86,8 @@ export const CreateOrEditAuthenticatorModalContent = ({
     initialValues: {
       title: '',
       otpSecret: '',
-      linkedRecordId: ''
+      linkedRecordId: '',
+      tags: []
     },
     validate: (formValues: Record<string, unknown>) =>
       schema.validate(formValues)
@@ -120,6 +124,7 @@ export const CreateOrEditAuthenticatorModalContent = ({
 
   const onSubmit = (formValues: Record<string, unknown>) => {
     const otpInput = (formValues.otpSecret as string)?.trim() || undefined
+    const tags = normalizeTags(formValues.tags)
     const selectedLinkedRecord = formValues.linkedRecordId
       ? (loginRecords ?? []).find((r) => r.id === formValues.linkedRecordId)
       : undefined
@@ -131,7 +136,11 @@ export const CreateOrEditAuthenticatorModalContent = ({
             ...selectedLinkedRecord,
             data: {
               ...(selectedLinkedRecord.data ?? {}),
-              otpInput
+              otpInput,
+              tags: normalizeTags([
+                ...getRecordTags(selectedLinkedRecord),
+                ...tags
+              ])
             }
           }
         ],
@@ -148,6 +157,7 @@ export const CreateOrEditAuthenticatorModalContent = ({
         data: {
           title: formValues.title,
           otpInput,
+          tags,
           ...(parsedEmail ? { username: parsedEmail } : {})
         }
       },
@@ -286,6 +296,12 @@ export const CreateOrEditAuthenticatorModalContent = ({
             testID='createoredit-authenticator-link-combobox'
           />
         </MultiSlotInput>
+
+        <TagsField
+          tags={values.tags}
+          onChange={(tags) => setValue('tags', tags)}
+          testID='createoredit-authenticator-tags'
+        />
       </Form>
     </Dialog>
   )
@@ -35,6 +35,8 @@ import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachm
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditCreditCardModalContentProps = {
   initialRecord?: {
@@ -118,6 +120,7 @@ export const CreateOrEditCreditCardModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -139,6 +142,7 @@ export const CreateOrEditCreditCardModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', name: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? []
     },
     validate: (formValues: Record<string, unknown>) =>
@@ -167,6 +171,7 @@ export const CreateOrEditCreditCardModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         name: formValues.name,
         number: formValues.number,
@@ -322,6 +327,11 @@ export const CreateOrEditCreditCardModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput testID="createoredit-creditcard-comment-slot">
           <InputField
             label={t('Comment')}
@@ -34,6 +34,8 @@ import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachm
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditCustomModalContentProps = {
   initialRecord?: {
@@ -96,6 +98,7 @@ export const CreateOrEditCustomModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -112,6 +115,7 @@ export const CreateOrEditCustomModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', name: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? []
     },
     validate: (formValues: Record<string, unknown>) =>
@@ -140,6 +144,7 @@ export const CreateOrEditCustomModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         note: formValues.note,
         customFields: (
@@ -235,6 +240,11 @@ export const CreateOrEditCustomModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput testID="createoredit-custom-comments-slot">
           <InputField
             label={t('Comment')}
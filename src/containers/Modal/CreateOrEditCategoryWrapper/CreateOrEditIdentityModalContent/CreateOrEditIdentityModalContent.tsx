@@ -35,6 +35,8 @@ import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachm
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 type IdentityData = {
   title: string
@@ -131,6 +133,7 @@ export const CreateOrEditIdentityModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     passportFullName: Validator.string(),
     passportNumber: Validator.string(),
     passportIssuingCountry: Validator.string(),
@@ -171,6 +174,7 @@ export const CreateOrEditIdentityModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       passportFullName: initialRecord?.data?.passportFullName ?? '',
       passportNumber: initialRecord?.data?.passportNumber ?? '',
       passportIssuingCountry: initialRecord?.data?.passportIssuingCountry ?? '',
@@ -218,6 +222,7 @@ export const CreateOrEditIdentityModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         fullName: formValues.fullName,
         email: formValues.email,
@@ -584,6 +589,11 @@ export const CreateOrEditIdentityModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <InputField
           label={t('Comment')}
           placeholder={t('Enter Comment')}
@@ -36,13 +36,17 @@ import { useToast } from '../../../../context/ToastContext'
 import { useTranslation } from '../../../../hooks/useTranslation'
 import { useScrollToFirstError } from '../../../../hooks/useScrollToFirstError'
 import { useCreateOrEditRecord } from '../../../../hooks/useCreateOrEditRecord'
+import { useCurrentDevice } from '../../../../hooks/useCurrentDevice'
 import { useGetMultipleFiles } from '../../../../hooks/useGetMultipleFiles'
 import { addHttps } from '../../../../utils/addHttps'
 import { formatPasskeyDate } from '../../../../utils/formatPasskeyDate'
 import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachmentsById'
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
+import { addPasswordHistoryEntry } from '../../../../utils/passwordHistory'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 import { PassType } from '../../../../shared/types'
 import { PasswordFieldStrengthIndicator } from '../../../../components/PasswordFieldStrengthIndicator'
 
@@ -61,6 +65,7 @@ export type CreateOrEditLoginModalContentProps = {
       credential?: { id: string }
       passkeyCreatedAt?: number
       passwordUpdatedAt?: number
+      passwordHistory?: unknown
       [key: string]: unknown
     }
     folder?: string
@@ -82,6 +87,7 @@ export const CreateOrEditLoginModalContent = ({
   const { t } = useTranslation()
   const { closeModal, setModal } = useModal()
   const { handleCreateOrEditRecord } = useCreateOrEditRecord()
+  const currentDevice = useCurrentDevice()
   const [passwordType, setPasswordType] = useState<PassType>(PassType.Password)
   const { setToast } = useToast()
   const { theme } = useTheme()
@@ -126,6 +132,7 @@ export const CreateOrEditLoginModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -150,6 +157,7 @@ export const CreateOrEditLoginModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', name: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? [],
       credential: initialRecord?.data?.credential?.id ?? '',
       passkeyCreatedAt: initialRecord?.data?.passkeyCreatedAt
@@ -189,6 +197,7 @@ export const CreateOrEditLoginModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         username: formValues.username,
         password: formValues.password,
@@ -207,7 +216,20 @@ export const CreateOrEditLoginModalContent = ({
     }
 
     if (initialRecord) {
-      updateRecords([{ ...initialRecord, ...data }], onError)
+      updateRecords(
+        [
+          {
+            ...initialRecord,
+            ...data,
+            data: addPasswordHistoryEntry(
+              initialRecord.data,
+              data.data,
+              currentDevice
+            )
+          }
+        ],
+        onError
+      )
     } else {
       createRecord(data, onError)
     }
@@ -451,6 +473,11 @@ export const CreateOrEditLoginModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput testID='createoredit-comment-slot'>
           <InputField
             label={t('Comment')}
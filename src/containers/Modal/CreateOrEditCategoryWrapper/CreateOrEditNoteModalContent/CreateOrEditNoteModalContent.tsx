@@ -35,6 +35,8 @@ import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachm
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditNoteModalContentProps = {
   initialRecord?: {
@@ -98,6 +100,7 @@ export const CreateOrEditNoteModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -114,6 +117,7 @@ export const CreateOrEditNoteModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? []
     },
     validate: (formValues: Record<string, unknown>) =>
@@ -142,6 +146,7 @@ export const CreateOrEditNoteModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         note: formValues.note,
         customFields: (
@@ -252,6 +257,11 @@ export const CreateOrEditNoteModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput
           testID="createoredit-note-attachments-slot"
           actions={
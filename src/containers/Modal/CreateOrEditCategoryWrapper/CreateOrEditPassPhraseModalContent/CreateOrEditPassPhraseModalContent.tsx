@@ -36,6 +36,8 @@ import { getFilteredAttachmentsById } from '../../../../utils/getFilteredAttachm
 import { handleFileSelect } from '../../../../utils/handleFileSelect'
 import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditPassPhraseModalContentProps = {
   initialRecord?: {
@@ -107,6 +109,7 @@ export const CreateOrEditPassPhraseModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -124,6 +127,7 @@ export const CreateOrEditPassPhraseModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? []
     },
     validate: (formValues: Record<string, unknown>) => {
@@ -165,6 +169,7 @@ export const CreateOrEditPassPhraseModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         passPhrase: formValues.passPhrase,
         note: formValues.note,
@@ -275,6 +280,11 @@ export const CreateOrEditPassPhraseModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput
           testID="createoredit-passphrase-attachments-slot"
           actions={
@@ -0,0 +1,13 @@
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = () => ({
+  form: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing8}px`,
+    width: '100%'
+  },
+  sectionLabel: {
+    marginTop: `${rawTokens.spacing8}px`
+  }
+})
@@ -0,0 +1,283 @@
+import React, { useMemo } from 'react'
+
+import { useForm } from '@tetherto/pear-apps-lib-ui-react-hooks'
+import { Validator } from '@tetherto/pear-apps-utils-validator'
+import {
+  Button,
+  Dialog,
+  Form,
+  InputField,
+  Text,
+  TextArea,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { useCreateRecord, useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { createStyles } from './CreateOrEditSshKeyModalContent.styles'
+import sshKeys from '../../../../../electron/sshKeys.cjs'
+import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
+import { useGlobalLoading } from '../../../../context/LoadingContext'
+import { useModal } from '../../../../context/ModalContext'
+import { useToast } from '../../../../context/ToastContext'
+import { useScrollToFirstError } from '../../../../hooks/useScrollToFirstError'
+import { useTranslation } from '../../../../hooks/useTranslation'
+
+export type CreateOrEditSshKeyModalContentProps = {
+  initialRecord?: {
+    data: {
+      title: string
+      privateKey: string
+      note: string
+      [key: string]: unknown
+    }
+    folder?: string
+    isFavorite?: boolean
+    [key: string]: unknown
+  }
+  selectedFolder?: string
+  isFavorite?: boolean
+  onTypeChange: (type: string) => void
+}
+
+type SshKeyInfo = {
+  keyType: string
+  publicKey: string
+  fingerprint: string
+}
+
+/**
+ * @returns The key details, or the error code when the key can not be used
+ */
+const readSshKey = (
+  privateKey: string
+): { info: SshKeyInfo | null; errorCode: string | null } => {
+  if (!privateKey?.trim()) return { info: null, errorCode: null }
+
+  try {
+    return { info: sshKeys.getSshKeyInfo(privateKey), errorCode: null }
+  } catch (error) {
+    return {
+      info: null,
+      errorCode: (error as { code?: string }).code ?? null
+    }
+  }
+}
+
+export const CreateOrEditSshKeyModalContent = ({
+  initialRecord,
+  selectedFolder,
+  isFavorite,
+  onTypeChange: _onTypeChange
+}: CreateOrEditSshKeyModalContentProps) => {
+  const { t } = useTranslation()
+  const { closeModal } = useModal()
+  const { setToast } = useToast()
+  const { theme } = useTheme()
+  const styles = createStyles()
+
+  const { createRecord, isLoading: isCreateLoading } = useCreateRecord({
+    onCompleted: () => {
+      closeModal()
+      setToast({ message: t('Record created successfully') })
+    }
+  })
+
+  const { updateRecords, isLoading: isUpdateLoading } = useRecords({
+    onCompleted: () => {
+      closeModal()
+      setToast({ message: t('Record updated successfully') })
+    }
+  })
+
+  const onError = (error: { message: string }) => {
+    setToast({ message: error.message })
+  }
+
+  const isLoading = isCreateLoading || isUpdateLoading
+  useGlobalLoading({ isLoading })
+
+  const schema = Validator.object({
+    title: Validator.string().required(t('Name is required')),
+    privateKey: Validator.string().required(t('Private key is required')),
+    note: Validator.string(),
+    folder: Validator.string(),
+    tags: Validator.array().items(Validator.string())
+  })
+
+  const { register, handleSubmit, setValue, setErrors, values, errors } =
+    useForm({
+      initialValues: {
+        title: initialRecord?.data?.title ?? '',
+        privateKey: initialRecord?.data?.privateKey ?? '',
+        note: initialRecord?.data?.note ?? '',
+        folder: selectedFolder ?? initialRecord?.folder,
+        tags: getRecordTags(initialRecord)
+      },
+      validate: (formValues: Record<string, unknown>) =>
+        schema.validate(formValues)
+    })
+
+  useScrollToFirstError(errors)
+
+  const sshKey = useMemo(
+    () => readSshKey(values.privateKey),
+    [values.privateKey]
+  )
+
+  const getKeyErrorMessage = (errorCode: string | null) => {
+    if (errorCode === sshKeys.SSH_KEY_ERRORS.ENCRYPTED) {
+      return t(
+        'Remove the passphrase with "ssh-keygen -p" before adding the key'
+      )
+    }
+    if (errorCode === sshKeys.SSH_KEY_ERRORS.UNSUPPORTED) {
+      return t('Only Ed25519, RSA and ECDSA keys are supported')
+    }
+    return t('Not a valid private key')
+  }
+
+  const onSubmit = (formValues: Record<string, unknown>) => {
+    const { info, errorCode } = readSshKey(formValues.privateKey as string)
+    if (!info) {
+      setErrors({ privateKey: getKeyErrorMessage(errorCode) })
+      return
+    }
+
+    const data = {
+      type: sshKeys.SSH_KEY_RECORD_TYPE,
+      folder: formValues.folder,
+      isFavorite: initialRecord?.isFavorite ?? isFavorite,
+      data: {
+        ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
+        title: formValues.title,
+        privateKey: (formValues.privateKey as string).trim(),
+        publicKey: info.publicKey,
+        fingerprint: info.fingerprint,
+        keyType: info.keyType,
+        note: formValues.note
+      }
+    }
+
+    if (initialRecord) {
+      updateRecords([{ ...initialRecord, ...data }], onError)
+    } else {
+      createRecord(data, onError)
+    }
+  }
+
+  const isEdit = !!initialRecord
+
+  const titleField = register('title')
+  const privateKeyField = register('privateKey')
+  const noteField = register('note')
+
+  return (
+    <Dialog
+      title={isEdit ? t('Edit SSH Key') : t('New SSH Key')}
+      onClose={closeModal}
+      testID="createoredit-sshkey-dialog"
+      closeButtonTestID="createoredit-sshkey-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={closeModal}
+            data-testid="createoredit-sshkey-button-discard"
+          >
+            {t('Discard')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            disabled={
+              isLoading ||
+              (!isEdit && (!values.title?.trim() || !values.privateKey?.trim()))
+            }
+            isLoading={isLoading}
+            onClick={() => handleSubmit(onSubmit)()}
+            data-testid="createoredit-sshkey-button-save"
+          >
+            {isEdit ? t('Save') : t('Add Item')}
+          </Button>
+        </>
+      }
+    >
+      <Form
+        onSubmit={handleSubmit(onSubmit)}
+        style={styles.form as React.ComponentProps<typeof Form>['style']}
+        testID="createoredit-sshkey-form"
+      >
+        <div style={styles.sectionLabel}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Key')}
+          </Text>
+        </div>
+
+        <InputField
+          label={t('Name')}
+          placeholder={t('Enter Name')}
+          value={titleField.value}
+          onChange={(e) => titleField.onChange(e.target.value)}
+          error={titleField.error || undefined}
+          testID="createoredit-sshkey-input-name"
+        />
+
+        <TextArea
+          label={t('Private Key')}
+          placeholder={t('Paste the contents of the private key file')}
+          value={privateKeyField.value}
+          onChange={(value) => privateKeyField.onChange(value)}
+          error={
+            privateKeyField.error ||
+            (sshKey.errorCode
+              ? getKeyErrorMessage(sshKey.errorCode)
+              : undefined)
+          }
+          testID="createoredit-sshkey-input-privatekey"
+        />
+
+        {sshKey.info && (
+          <InputField
+            label={t('Fingerprint')}
+            value={sshKey.info.fingerprint}
+            readOnly
+            testID="createoredit-sshkey-input-fingerprint"
+          />
+        )}
+
+        <div style={styles.sectionLabel}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Additional')}
+          </Text>
+        </div>
+
+        <FolderDropdown
+          selectedFolder={values?.folder}
+          onFolderSelect={(name) =>
+            setValue('folder', name === values.folder ? '' : name)
+          }
+        />
+
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
+        <InputField
+          label={t('Comment')}
+          placeholder={t('Enter Comment')}
+          value={noteField.value}
+          onChange={(e) => noteField.onChange(e.target.value)}
+          error={noteField.error || undefined}
+          testID="createoredit-sshkey-input-comment"
+        />
+      </Form>
+    </Dialog>
+  )
+}
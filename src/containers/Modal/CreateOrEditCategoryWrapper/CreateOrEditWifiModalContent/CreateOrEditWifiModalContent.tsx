@@ -38,6 +38,8 @@ import { UploadFilesModalContent } from '../../UploadFilesModalContent'
 import { PasswordFieldStrengthIndicator } from '../../../../components/PasswordFieldStrengthIndicator'
 import { PassType } from '../../../../shared/types'
 import { FolderDropdown } from '../../../../components/FolderDropdown/FolderDropdown'
+import { TagsField } from '../../../../components/TagsField/TagsField'
+import { getRecordTags, normalizeTags } from '../../../../utils/recordTags'
 
 export type CreateOrEditWifiModalContentProps = {
   initialRecord?: {
@@ -105,6 +107,7 @@ export const CreateOrEditWifiModalContent = ({
       })
     ),
     folder: Validator.string(),
+    tags: Validator.array().items(Validator.string()),
     attachments: Validator.array().items(
       Validator.object({
         id: Validator.string(),
@@ -122,6 +125,7 @@ export const CreateOrEditWifiModalContent = ({
         ? initialRecord.data.customFields
         : [{ type: 'note', note: '' }],
       folder: selectedFolder ?? initialRecord?.folder,
+      tags: getRecordTags(initialRecord),
       attachments: initialRecord?.attachments ?? []
     },
     validate: (formValues: Record<string, unknown>) =>
@@ -150,6 +154,7 @@ export const CreateOrEditWifiModalContent = ({
       isFavorite: initialRecord?.isFavorite ?? isFavorite,
       data: {
         ...(initialRecord?.data ? initialRecord.data : {}),
+        tags: normalizeTags(formValues.tags),
         title: formValues.title,
         password: formValues.password,
         note: formValues.note,
@@ -283,6 +288,11 @@ export const CreateOrEditWifiModalContent = ({
           }
         />
 
+        <TagsField
+          tags={values?.tags}
+          onChange={(tags) => setValue('tags', tags)}
+        />
+
         <MultiSlotInput
           testID="createoredit-wifi-attachments-slot"
           actions={
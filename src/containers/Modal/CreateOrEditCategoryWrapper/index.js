@@ -10,7 +10,9 @@ import { CreateOrEditIdentityModalContent } from './CreateOrEditIdentityModalCon
 import { CreateOrEditLoginModalContent } from './CreateOrEditLoginModalContent/CreateOrEditLoginModalContent'
 import { CreateOrEditNoteModalContent } from './CreateOrEditNoteModalContent/CreateOrEditNoteModalContent'
 import { CreateOrEditPassPhraseModalContent } from './CreateOrEditPassPhraseModalContent/CreateOrEditPassPhraseModalContent'
+import { CreateOrEditSshKeyModalContent } from './CreateOrEditSshKeyModalContent/CreateOrEditSshKeyModalContent'
 import { CreateOrEditWifiModalContent } from './CreateOrEditWifiModalContent/CreateOrEditWifiModalContent'
+import sshKeys from '../../../../electron/sshKeys.cjs'
 
 export const CreateOrEditCategoryWrapper = ({
   initialRecord,
@@ -92,6 +94,15 @@ export const CreateOrEditCategoryWrapper = ({
     />`
   }
 
+  if (currentRecordType === sshKeys.SSH_KEY_RECORD_TYPE) {
+    return html`<${CreateOrEditSshKeyModalContent}
+      initialRecord=${initialRecord}
+      selectedFolder=${selectedFolder}
+      isFavorite=${isFavorite}
+      onTypeChange=${setCurrentRecordType}
+    />`
+  }
+
   if (currentRecordType === RECORD_TYPES.CUSTOM) {
     return html`<${CreateOrEditCustomModalContent}
       initialRecord=${initialRecord}
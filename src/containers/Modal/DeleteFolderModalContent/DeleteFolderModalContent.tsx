@@ -14,9 +14,18 @@ import { createStyles } from './DeleteFolderModalContent.styles'
 import { useModal } from '../../../context/ModalContext'
 import { useRouter } from '../../../context/RouterContext'
 import { useTranslation } from '../../../hooks/useTranslation'
+import {
+  formatFolderPath,
+  getFolderMoves,
+  getParentFolderPath,
+  getSubtreeFolderPaths,
+  isInFolderSubtree
+} from '../../../utils/folderTree'
 
 interface DeleteFolderModalContentProps {
+  /** Full path of the folder */
   folderName: string
+  /** Items in the folder and its subfolders */
   count: number
   onClose: () => void
 }
@@ -40,9 +49,16 @@ export const DeleteFolderModalContent = ({
     navigate: (page: string, data: Record<string, unknown>) => void
   }
 
-  const { deleteFolder, data: folderData } = useFolders()
+  const { deleteFolder, renameFolder, data: folderData } = useFolders()
   const { updateRecords } = useRecords()
 
+  const folderPaths = Object.values(
+    (folderData?.customFolders ?? {}) as Record<string, { name: string }>
+  ).map((folder) => folder.name)
+  const subtreePaths = getSubtreeFolderPaths(folderPaths, folderName)
+  const hasSubfolders = subtreePaths.some((path) => path !== folderName)
+  const parentPath = getParentFolderPath(folderName)
+
   const [selected, setSelected] = useState<DeleteOption>(
     DeleteOption.DeleteFolderAndItems
   )
@@ -52,7 +68,7 @@ export const DeleteFolderModalContent = ({
   }
 
   const navigateAwayIfNeeded = () => {
-    if (routerData?.folder === folderName) {
+    if (isInFolderSubtree(routerData?.folder as string, folderName)) {
       navigate('vault', { recordType: 'all' })
     }
   }
@@ -65,11 +81,25 @@ export const DeleteFolderModalContent = ({
       const realRecords = folderRecords.filter(
         (r: { data?: unknown; type?: unknown }) => !!r.data && !!r.type
       )
-      await updateRecords(realRecords.map((r) => ({ ...r, folder: null })))
-      // Items are now at root; remove the folder marker record.
+      await updateRecords(
+        realRecords.map((r) => ({ ...r, folder: parentPath }))
+      )
+      // Subfolders move up one level together with their own subfolders
+      const childPaths = subtreePaths.filter(
+        (path) => getParentFolderPath(path) === folderName
+      )
+      for (const childPath of childPaths) {
+        for (const move of getFolderMoves(folderPaths, childPath, parentPath)) {
+          await renameFolder(move.from, move.to)
+        }
+      }
+      // Items are now one level up; remove the folder marker record.
       await deleteFolder(folderName)
     } else {
-      await deleteFolder(folderName)
+      // Deepest first, so every subfolder goes to the Trash on its own
+      for (const path of subtreePaths.length ? subtreePaths : [folderName]) {
+        await deleteFolder(path)
+      }
     }
 
     navigateAwayIfNeeded()
@@ -82,19 +112,33 @@ export const DeleteFolderModalContent = ({
           {
             value: DeleteOption.DeleteFolder,
             label: t('Delete Folder'),
-            description: t(
-              'Only the folder will be removed.\nYour items will be moved to the All Folder list.'
-            )
+            description: parentPath
+              ? t(
+                  'Only the folder will be removed.\nIts items and subfolders will be moved to {folder}.',
+                  { folder: formatFolderPath(parentPath) }
+                )
+              : hasSubfolders
+                ? t(
+                    'Only the folder will be removed.\nYour items will be moved to the All Folder list and its subfolders to the top level.'
+                  )
+                : t(
+                    'Only the folder will be removed.\nYour items will be moved to the All Folder list.'
+                  )
           }
         ]
       : []),
     {
       value: DeleteOption.DeleteFolderAndItems,
       label: t('Delete Folder and Items'),
-      description: t(
-        'This will permanently remove the folder and all {count} items inside.\nThis action cannot be undone.',
-        { count }
-      )
+      description: hasSubfolders
+        ? t(
+            'This will move the folder, its subfolders and all {count} items inside to the Trash.\nYou can restore them until the retention period ends.',
+            { count }
+          )
+        : t(
+            'This will move the folder and all {count} items inside to the Trash.\nYou can restore them until the retention period ends.',
+            { count }
+          )
     }
   ]
 
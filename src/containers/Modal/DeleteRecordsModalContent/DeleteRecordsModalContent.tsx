@@ -52,8 +52,12 @@ export const DeleteRecordsModalContent = ({
     : t('Delete {count} Items', { count }))
 
   const confirmText = confirmTextOverride ?? (isSingle
-    ? t('Are you sure to delete the selected item?')
-    : t('Are you sure to delete the selected items?'))
+    ? t(
+        'Are you sure to delete the selected item?\nIt stays in the Trash until the retention period ends.'
+      )
+    : t(
+        'Are you sure to delete the selected items?\nThey stay in the Trash until the retention period ends.'
+      ))
 
   const selectedLabel = isSingle ? t('Selected Item') : t('Selected Items')
 
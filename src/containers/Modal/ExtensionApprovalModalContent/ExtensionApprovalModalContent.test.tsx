@@ -0,0 +1,110 @@
+import React from 'react'
+
+import { fireEvent, render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+
+import { ExtensionApprovalModalContent } from './ExtensionApprovalModalContent'
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (template: string, vars?: Record<string, string>) =>
+      vars
+        ? template.replace(/\{(\w+)\}/g, (_, key) => String(vars[key] ?? ''))
+        : template
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const liftTestID = ({ testID, ...rest }: any) =>
+    testID ? { ...rest, 'data-testid': testID } : rest
+  return {
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    useTheme: () => ({ theme: { colors: { colorTextSecondary: '#888' } } }),
+    Button: ({ children, onClick, ...rest }: any) => (
+      <button type="button" onClick={onClick} {...liftTestID(rest)}>
+        {children}
+      </button>
+    ),
+    Dialog: ({
+      children,
+      footer,
+      onClose,
+      closeButtonTestID,
+      ...rest
+    }: any) => (
+      <div {...liftTestID(rest)}>
+        <button type="button" onClick={onClose} data-testid={closeButtonTestID}>
+          close
+        </button>
+        {children}
+        {footer}
+      </div>
+    ),
+    Text: ({ children, color, ...rest }: any) => (
+      <p {...liftTestID(rest)}>{children}</p>
+    )
+  }
+})
+
+describe('ExtensionApprovalModalContent', () => {
+  const onApprove = jest.fn()
+  const onDeny = jest.fn()
+
+  const renderModal = (props = {}) =>
+    render(
+      <ExtensionApprovalModalContent
+        method="removeVault"
+        clientLabel="Chrome"
+        clientFingerprint="abcdef0123456789"
+        expiresAt={Date.now() + 60_000}
+        onApprove={onApprove}
+        onDeny={onDeny}
+        {...props}
+      />
+    )
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('describes the requesting client and the operation', () => {
+    renderModal()
+
+    expect(
+      screen.getByTestId('extension-approval-client').textContent
+    ).toContain('Chrome (ABCDEF01)')
+    expect(screen.getByTestId('extension-approval-operation').textContent).toBe(
+      'Delete a vault and all of its items'
+    )
+  })
+
+  it('falls back to the method name for unknown operations', () => {
+    renderModal({ method: 'somethingElse', clientFingerprint: null })
+
+    expect(screen.getByTestId('extension-approval-client').textContent).toBe(
+      'Chrome wants to:'
+    )
+    expect(screen.getByTestId('extension-approval-operation').textContent).toBe(
+      'somethingElse'
+    )
+  })
+
+  it('calls onApprove when allowed', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByTestId('extension-approval-allow'))
+
+    expect(onApprove).toHaveBeenCalledTimes(1)
+    expect(onDeny).not.toHaveBeenCalled()
+  })
+
+  it('calls onDeny when denied or closed', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByTestId('extension-approval-deny'))
+    fireEvent.click(screen.getByTestId('extension-approval-close'))
+
+    expect(onDeny).toHaveBeenCalledTimes(2)
+    expect(onApprove).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,91 @@
+import React from 'react'
+
+import { Button, Dialog, Text, useTheme } from '@tetherto/pearpass-lib-ui-kit'
+
+import { createStyles } from './ExtensionApprovalModalContent.styles'
+import { useTranslation } from '../../../hooks/useTranslation'
+
+const FINGERPRINT_PREVIEW_LENGTH = 8
+
+export type ExtensionApprovalModalContentProps = {
+  method: string
+  clientLabel: string | null
+  clientFingerprint: string | null
+  expiresAt: number
+  onApprove: () => void
+  onDeny: () => void
+}
+
+export const ExtensionApprovalModalContent = ({
+  method,
+  clientLabel,
+  clientFingerprint,
+  expiresAt,
+  onApprove,
+  onDeny
+}: ExtensionApprovalModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+
+  const operations: Record<string, string> = {
+    removeVault: t('Delete a vault and all of its items'),
+    activeVaultRemove: t('Delete items from the current vault'),
+    activeVaultRemoveWriter: t('Remove a device from the current vault'),
+    vaultsAdd: t('Create or overwrite a vault')
+  }
+
+  const client = clientLabel || t('A browser extension')
+  const fingerprint = clientFingerprint
+    ? clientFingerprint.slice(0, FINGERPRINT_PREVIEW_LENGTH).toUpperCase()
+    : null
+  const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000))
+
+  return (
+    <Dialog
+      title={t('Allow Browser Extension Request?')}
+      onClose={onDeny}
+      testID="extension-approval-dialog"
+      closeButtonTestID="extension-approval-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={onDeny}
+            data-testid="extension-approval-deny"
+          >
+            {t('Deny')}
+          </Button>
+          <Button
+            variant="destructive"
+            size="small"
+            type="button"
+            onClick={onApprove}
+            data-testid="extension-approval-allow"
+          >
+            {t('Allow')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text as="p" variant="label" data-testid="extension-approval-client">
+          {fingerprint
+            ? t('{client} ({fingerprint}) wants to:', { client, fingerprint })
+            : t('{client} wants to:', { client })}
+        </Text>
+        <Text as="p" data-testid="extension-approval-operation">
+          {operations[method] ?? method}
+        </Text>
+        <Text as="p" color={theme.colors.colorTextSecondary}>
+          {t(
+            'If you did not start this from the browser, deny it. The request is denied automatically in {seconds} seconds.',
+            { seconds }
+          )}
+        </Text>
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,2 @@
+export { ExtensionApprovalModalContent } from './ExtensionApprovalModalContent'
+export type { ExtensionApprovalModalContentProps } from './ExtensionApprovalModalContent'
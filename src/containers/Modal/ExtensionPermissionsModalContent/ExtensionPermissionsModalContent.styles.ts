@@ -0,0 +1,9 @@
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = () => ({
+  body: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing16}px`
+  }
+})
@@ -0,0 +1,107 @@
+import { useState } from 'react'
+
+import {
+  Button,
+  Dialog,
+  Radio,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+
+import { createStyles } from './ExtensionPermissionsModalContent.styles'
+import { CLIENT_SCOPES, DEFAULT_CLIENT_SCOPE } from '../../../constants/pairing'
+import { useModal } from '../../../context/ModalContext'
+import { useTranslation } from '../../../hooks/useTranslation'
+
+interface ExtensionPermissionsModalContentProps {
+  label: string
+  scope?: string
+  onSave: (scope: string) => Promise<unknown> | void
+}
+
+export const ExtensionPermissionsModalContent = ({
+  label,
+  scope,
+  onSave
+}: ExtensionPermissionsModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+  const { closeModal } = useModal()
+
+  const [selected, setSelected] = useState<string>(
+    scope || DEFAULT_CLIENT_SCOPE
+  )
+
+  const handleSave = async () => {
+    if (selected !== scope) {
+      await onSave(selected)
+    }
+    closeModal()
+  }
+
+  const options = [
+    {
+      value: CLIENT_SCOPES.AUTOFILL,
+      label: t('Autofill only'),
+      description: t('Can read your items to fill in logins and codes.')
+    },
+    {
+      value: CLIENT_SCOPES.SAVE_LOGINS,
+      label: t('Autofill and save logins'),
+      description: t(
+        'Can also save new logins and add authenticator codes to items.'
+      )
+    },
+    {
+      value: CLIENT_SCOPES.FULL_ACCESS,
+      label: t('Full access'),
+      description: t(
+        'Can also delete items, manage vaults and create vault invites.'
+      )
+    }
+  ]
+
+  return (
+    <Dialog
+      title={t('Browser Extension Permissions')}
+      onClose={closeModal}
+      testID="extensionpermissions-dialog"
+      closeButtonTestID="extensionpermissions-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={closeModal}
+            data-testid="extensionpermissions-discard"
+          >
+            {t('Discard')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            onClick={handleSave}
+            data-testid="extensionpermissions-submit"
+          >
+            {t('Save')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text color={theme.colors.colorTextSecondary}>
+          {t('Choose what {label} can do in your vaults.', { label })}
+        </Text>
+        <Radio
+          options={options}
+          value={selected}
+          onChange={setSelected}
+          testID="extensionpermissions-radio"
+        />
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,23 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = (colors: ThemeColors) => ({
+  body: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing16}px`,
+    width: '100%'
+  },
+  rowActions: {
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    gap: `${rawTokens.spacing8}px`,
+    flexShrink: 0
+  },
+  matchBadge: {
+    padding: `${rawTokens.spacing2}px ${rawTokens.spacing8}px`,
+    borderRadius: rawTokens.radius8,
+    backgroundColor: colors.colorSurfaceHover,
+    whiteSpace: 'nowrap' as const
+  }
+})
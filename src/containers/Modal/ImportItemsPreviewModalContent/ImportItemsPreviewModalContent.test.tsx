@@ -0,0 +1,259 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+import { ImportItemsPreviewModalContent } from './ImportItemsPreviewModalContent'
+
+const mockCloseModal = jest.fn()
+const mockExisting = [
+  {
+    id: 'r1',
+    type: 'login',
+    data: {
+      title: 'GitHub',
+      username: 'alice',
+      password: 'old',
+      websites: ['https://github.com']
+    }
+  },
+  {
+    id: 'r2',
+    type: 'login',
+    data: { title: 'Bank', username: 'alice', websites: ['bank.example'] }
+  }
+]
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useVault: () => ({ data: { id: 'v1', name: 'Personal' } }),
+  useRecords: () => ({ data: mockExisting, isLoading: false })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const React = require('react')
+  return {
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    Button: ({
+      children,
+      onClick,
+      disabled,
+      'data-testid': dataTestId
+    }: {
+      children?: React.ReactNode
+      onClick?: () => void
+      disabled?: boolean
+      'data-testid'?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', onClick, disabled, 'data-testid': dataTestId },
+        children
+      ),
+    Dialog: ({
+      title,
+      children,
+      footer
+    }: {
+      title: string
+      children: React.ReactNode
+      footer: React.ReactNode
+    }) =>
+      React.createElement(
+        'div',
+        null,
+        React.createElement('h2', null, title),
+        children,
+        footer
+      ),
+    Dropdown: ({
+      trigger,
+      children
+    }: {
+      trigger: React.ReactNode
+      children: React.ReactNode
+    }) => React.createElement('div', null, trigger, children),
+    ListItem: ({
+      title,
+      rightElement,
+      testID
+    }: {
+      title: string
+      rightElement?: React.ReactNode
+      testID?: string
+    }) =>
+      React.createElement(
+        'div',
+        { 'data-testid': testID },
+        title,
+        rightElement
+      ),
+    NavbarListItem: ({
+      label,
+      onClick,
+      testID
+    }: {
+      label: string
+      onClick: () => void
+      testID?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', onClick, 'data-testid': testID },
+        label
+      ),
+    Radio: ({
+      options,
+      onChange,
+      testID
+    }: {
+      options: { value: string; label: string }[]
+      onChange: (value: string) => void
+      testID?: string
+    }) =>
+      React.createElement(
+        'div',
+        null,
+        options.map((option) =>
+          React.createElement(
+            'button',
+            {
+              key: option.value,
+              type: 'button',
+              onClick: () => onChange(option.value),
+              'data-testid': `${testID}-${option.value}`
+            },
+            option.label
+          )
+        )
+      ),
+    Text: ({ children }: { children: React.ReactNode }) =>
+      React.createElement('span', null, children)
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  ExpandMore: () => null
+}))
+
+jest.mock('@tetherto/pear-apps-utils-avatar-initials', () => ({
+  generateAvatarInitials: () => ''
+}))
+
+jest.mock('../../../components/RecordAvatar', () => ({
+  RecordAvatar: () => null
+}))
+
+jest.mock('../../../context/ModalContext', () => ({
+  useModal: () => ({ closeModal: mockCloseModal })
+}))
+
+jest.mock('../../../hooks/useCurrentDevice', () => ({
+  useCurrentDevice: () => ({ deviceId: 'device-1', deviceName: 'Laptop' })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (key: string, values?: Record<string, unknown>) =>
+      key.replace(/\{(\w+)\}/g, (_, name) => String(values?.[name]))
+  })
+}))
+
+const imported = [
+  {
+    type: 'login',
+    folder: null,
+    data: {
+      title: 'github',
+      username: 'alice',
+      password: 'new',
+      websites: ['https://www.github.com/login']
+    }
+  },
+  {
+    type: 'login',
+    folder: null,
+    data: {
+      title: 'Bank (old)',
+      username: 'alice',
+      note: 'PIN in the safe',
+      websites: ['https://bank.example']
+    }
+  },
+  { type: 'note', folder: null, data: { title: 'Wifi' } }
+]
+
+describe('ImportItemsPreviewModalContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('marks duplicates and skips them by default', () => {
+    const onConfirm = jest.fn()
+    render(
+      <ImportItemsPreviewModalContent
+        records={imported}
+        onConfirm={onConfirm}
+      />
+    )
+
+    expect(
+      screen.getByText('3 items found, 2 of them are already in Personal.')
+    ).toBeInTheDocument()
+    expect(screen.getByText('Duplicate')).toBeInTheDocument()
+    expect(screen.getByText('Possible duplicate')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('import-preview-submit'))
+
+    expect(mockCloseModal).toHaveBeenCalled()
+    expect(onConfirm).toHaveBeenCalledWith({
+      create: [imported[2]],
+      update: []
+    })
+  })
+
+  it('applies the batch strategy unless one is picked for the item', () => {
+    const onConfirm = jest.fn()
+    render(
+      <ImportItemsPreviewModalContent
+        records={imported}
+        onConfirm={onConfirm}
+      />
+    )
+
+    fireEvent.click(screen.getByTestId('import-preview-batch-overwrite'))
+    fireEvent.click(screen.getByTestId('import-preview-strategy-1-merge'))
+    fireEvent.click(screen.getByTestId('import-preview-submit'))
+
+    expect(onConfirm).toHaveBeenCalledWith({
+      create: [imported[2]],
+      update: [
+        {
+          ...mockExisting[0],
+          folder: null,
+          data: {
+            ...imported[0].data,
+            passwordHistory: [
+              {
+                username: 'alice',
+                password: 'old',
+                changedAt: expect.any(Number),
+                deviceId: 'device-1',
+                deviceName: 'Laptop'
+              }
+            ]
+          }
+        },
+        {
+          ...mockExisting[1],
+          folder: null,
+          data: {
+            ...mockExisting[1].data,
+            note: 'PIN in the safe',
+            websites: ['bank.example', 'https://bank.example']
+          }
+        }
+      ]
+    })
+  })
+})
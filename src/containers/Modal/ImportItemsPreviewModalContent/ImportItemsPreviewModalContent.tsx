@@ -0,0 +1,289 @@
+import React, { useMemo, useState } from 'react'
+
+import { generateAvatarInitials } from '@tetherto/pear-apps-utils-avatar-initials'
+import {
+  Button,
+  Dialog,
+  Dropdown,
+  ListItem,
+  NavbarListItem,
+  Radio,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { ExpandMore } from '@tetherto/pearpass-lib-ui-kit/icons'
+import { useRecords, useVault } from '@tetherto/pearpass-lib-vault'
+
+import { createStyles } from './ImportItemsPreviewModalContent.styles'
+import { RecordAvatar } from '../../../components/RecordAvatar'
+import { RECORD_COLOR_BY_TYPE } from '../../../constants/recordColorByType'
+import { useModal } from '../../../context/ModalContext'
+import { useCurrentDevice } from '../../../hooks/useCurrentDevice'
+import { useTranslation } from '../../../hooks/useTranslation'
+import type { VaultRecord } from '../../../shared/types'
+import {
+  DUPLICATE_MATCH,
+  IMPORT_STRATEGY,
+  findImportDuplicates,
+  resolveImport
+} from '../../../utils/importDuplicates'
+import {
+  getRecordSubtitle,
+  loginWebsiteUrl
+} from '../ImportVaultPreviewModalContent/utils'
+import { createStyles as createPreviewStyles } from '../ImportVaultPreviewModalContent/ImportVaultPreviewModalContent.styles'
+
+export type ImportedRecord = Omit<VaultRecord, 'id'> & { id?: string }
+
+export type ImportStrategy =
+  (typeof IMPORT_STRATEGY)[keyof typeof IMPORT_STRATEGY]
+
+export type ImportPlan = {
+  create: ImportedRecord[]
+  update: VaultRecord[]
+}
+
+export type ImportItemsPreviewModalContentProps = {
+  records: ImportedRecord[]
+  onConfirm: (plan: ImportPlan) => void
+}
+
+/**
+ * Shows the parsed items before they are written, marking the ones that are
+ * already in the active vault. Duplicates follow the strategy picked for the
+ * whole batch unless one is picked for the item itself.
+ */
+export const ImportItemsPreviewModalContent = ({
+  records,
+  onConfirm
+}: ImportItemsPreviewModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const { colors } = theme
+  const styles = createStyles(colors)
+  const previewStyles = createPreviewStyles(colors)
+  const { closeModal } = useModal()
+  const currentDevice = useCurrentDevice()
+  const { data: vaultData } = useVault()
+
+  const { data: existingRecords, isLoading } = useRecords({
+    shouldSkip: false,
+    variables: {
+      filters: {
+        searchPattern: '',
+        type: '',
+        folder: '',
+        isFavorite: false
+      },
+      sort: { key: 'updatedAt', direction: 'desc' }
+    }
+  })
+
+  const entries = useMemo(
+    () =>
+      findImportDuplicates(
+        records,
+        Array.isArray(existingRecords) ? existingRecords : []
+      ),
+    [records, existingRecords]
+  )
+
+  const [batchStrategy, setBatchStrategy] = useState<ImportStrategy>(
+    IMPORT_STRATEGY.SKIP
+  )
+  const [strategyByIndex, setStrategyByIndex] = useState<
+    Record<number, ImportStrategy>
+  >({})
+  const [openIndex, setOpenIndex] = useState<number | null>(null)
+
+  const getStrategy = (index: number) => strategyByIndex[index] ?? batchStrategy
+
+  const strategyOptions = [
+    {
+      value: IMPORT_STRATEGY.SKIP,
+      label: t('Skip'),
+      description: t('Leave the item in the vault as it is.')
+    },
+    {
+      value: IMPORT_STRATEGY.OVERWRITE,
+      label: t('Overwrite'),
+      description: t('Replace the fields of the item with the imported ones.')
+    },
+    {
+      value: IMPORT_STRATEGY.MERGE,
+      label: t('Merge fields'),
+      description: t(
+        'Keep the fields of the item and add the ones it is missing.'
+      )
+    },
+    {
+      value: IMPORT_STRATEGY.KEEP_BOTH,
+      label: t('Keep both'),
+      description: t('Import the item as a new one next to the existing one.')
+    }
+  ]
+  const strategyLabel = (strategy: ImportStrategy) =>
+    strategyOptions.find((option) => option.value === strategy)?.label
+
+  const count = entries.length
+  const duplicates = entries.filter((entry) => entry.duplicate).length
+  const vaultName = vaultData?.name ?? t('your vault')
+
+  const handleBatchChange = (strategy: ImportStrategy) => {
+    setBatchStrategy(strategy)
+    setStrategyByIndex({})
+  }
+
+  const handleStrategyChange = (index: number, strategy: ImportStrategy) => {
+    setStrategyByIndex((prev) => ({ ...prev, [index]: strategy }))
+    setOpenIndex(null)
+  }
+
+  const handleSubmit = () => {
+    closeModal()
+    onConfirm(
+      resolveImport(
+        entries,
+        entries.map((_, index) => getStrategy(index)),
+        currentDevice
+      ) as ImportPlan
+    )
+  }
+
+  const rows = entries.map(({ record, match }, index) => {
+    const recordType = record.type as keyof typeof RECORD_COLOR_BY_TYPE
+    const avatarColor =
+      RECORD_COLOR_BY_TYPE[recordType] ?? RECORD_COLOR_BY_TYPE.custom
+    const previewRecord = record as VaultRecord
+
+    return (
+      <ListItem
+        key={index}
+        icon={
+          <RecordAvatar
+            websiteDomain={loginWebsiteUrl(previewRecord)}
+            initials={generateAvatarInitials(previewRecord.data?.title ?? '')}
+            size="md"
+            isSelected={false}
+            isFavorite={!!record.isFavorite}
+            color={avatarColor}
+            testId={`import-preview-avatar-${index}`}
+          />
+        }
+        title={previewRecord.data?.title ?? previewRecord.type}
+        subtitle={getRecordSubtitle(previewRecord)}
+        showDivider={false}
+        testID={`import-preview-record-${index}`}
+        rightElement={
+          match ? (
+            <div style={styles.rowActions}>
+              <Text
+                variant="caption"
+                color={colors.colorTextSecondary}
+                style={styles.matchBadge}
+              >
+                {match === DUPLICATE_MATCH.EXACT
+                  ? t('Duplicate')
+                  : t('Possible duplicate')}
+              </Text>
+              <Dropdown
+                open={openIndex === index}
+                onOpenChange={(open: boolean) =>
+                  setOpenIndex(open ? index : null)
+                }
+                testID={`import-preview-strategy-${index}`}
+                trigger={
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    iconAfter={<ExpandMore />}
+                    data-testid={`import-preview-strategy-trigger-${index}`}
+                  >
+                    {strategyLabel(getStrategy(index))}
+                  </Button>
+                }
+              >
+                {strategyOptions.map((option) => (
+                  <NavbarListItem
+                    key={option.value}
+                    label={option.label}
+                    selected={option.value === getStrategy(index)}
+                    onClick={() => handleStrategyChange(index, option.value)}
+                    testID={`import-preview-strategy-${index}-${option.value}`}
+                  />
+                ))}
+              </Dropdown>
+            </div>
+          ) : undefined
+        }
+      />
+    )
+  })
+
+  return (
+    <Dialog
+      title={t('Review Import')}
+      onClose={closeModal}
+      testID="import-preview-dialog"
+      closeButtonTestID="import-preview-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={closeModal}
+            data-testid="import-preview-discard"
+          >
+            {t('Discard')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            disabled={isLoading || !count}
+            onClick={handleSubmit}
+            data-testid="import-preview-submit"
+          >
+            {t('Import')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text variant="caption" color={colors.colorTextSecondary}>
+          {duplicates
+            ? t(
+                '{count} items found, {duplicates} of them are already in {vault}.',
+                {
+                  count,
+                  duplicates,
+                  vault: vaultName
+                }
+              )
+            : t('{count} items found, none of them are in {vault} yet.', {
+                count,
+                vault: vaultName
+              })}
+        </Text>
+
+        {duplicates > 0 && (
+          <Radio
+            options={strategyOptions}
+            value={batchStrategy}
+            onChange={(value: string) =>
+              handleBatchChange(value as ImportStrategy)
+            }
+            testID="import-preview-batch"
+          />
+        )}
+
+        <div style={previewStyles.vaultPanel}>
+          <div style={previewStyles.recordsScroll}>
+            <div style={previewStyles.recordsListWrapper}>{rows}</div>
+          </div>
+        </div>
+      </div>
+    </Dialog>
+  )
+}
@@ -12,41 +12,7 @@ import { useGlobalLoading } from '../../../context/LoadingContext'
 import { useModal } from '../../../context/ModalContext'
 import { useRouter } from '../../../context/RouterContext'
 import { useTranslation } from '../../../hooks/useTranslation'
-import { VaultRecord } from '../../../shared/types'
-
-function loginWebsiteUrl(record: VaultRecord): string {
-  if (record.type !== 'login') {
-    return ''
-  }
-  const first = record.data?.websites?.[0]
-  if (typeof first === 'string') {
-    return first
-  }
-  if (first && typeof first === 'object' && typeof first.website === 'string') {
-    return first.website
-  }
-  return ''
-}
-
-function getRecordSubtitle(record: VaultRecord): string | undefined {
-  const d = record.data
-  if (!d) {
-    return undefined
-  }
-  if (record.type === 'login') {
-    if (typeof d.username === 'string' && d.username) {
-      return d.username
-    }
-    if (typeof d.email === 'string' && d.email) {
-      return d.email
-    }
-    const url = loginWebsiteUrl(record)
-    if (url) {
-      return url
-    }
-  }
-  return undefined
-}
+import { getRecordSubtitle, loginWebsiteUrl } from './utils'
 
 export const ImportVaultPreviewModalContent = () => {
   const { t } = useTranslation()
@@ -0,0 +1,35 @@
+import { VaultRecord } from '../../../shared/types'
+
+export function loginWebsiteUrl(record: VaultRecord): string {
+  if (record.type !== 'login') {
+    return ''
+  }
+  const first = record.data?.websites?.[0]
+  if (typeof first === 'string') {
+    return first
+  }
+  if (first && typeof first === 'object' && typeof first.website === 'string') {
+    return first.website
+  }
+  return ''
+}
+
+export function getRecordSubtitle(record: VaultRecord): string | undefined {
+  const d = record.data
+  if (!d) {
+    return undefined
+  }
+  if (record.type === 'login') {
+    if (typeof d.username === 'string' && d.username) {
+      return d.username
+    }
+    if (typeof d.email === 'string' && d.email) {
+      return d.email
+    }
+    const url = loginWebsiteUrl(record)
+    if (url) {
+      return url
+    }
+  }
+  return undefined
+}
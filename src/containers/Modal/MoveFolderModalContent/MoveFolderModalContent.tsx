@@ -14,6 +14,11 @@ import { useScrollOverflow } from '../../../hooks/useScrollOverflow'
 import { useTranslation } from '../../../hooks/useTranslation'
 import { Folder, Layers } from '@tetherto/pearpass-lib-ui-kit/icons'
 import { RecordAvatar } from '../../../components/RecordAvatar'
+import {
+  buildFolderTree,
+  flattenFolderTree,
+  formatFolderPath
+} from '../../../utils/folderTree'
 
 const CHIP_ID_ALL = '__all__'
 
@@ -49,7 +54,7 @@ function getRecordSubtitle(record: MoveFolderRecord): string {
     return String(u || e || w || '')
   }
   if (record.folder) {
-    return String(record.folder)
+    return formatFolderPath(String(record.folder))
   }
   return ''
 }
@@ -80,13 +85,15 @@ export const MoveFolderModalContent = ({
       (folders?.customFolders ?? {}) as Record<string, { name: string }>
     )
 
-    const customOptions = customFolders
-      .sort((a, b) => a.name.localeCompare(b.name))
-      .map(({ name }) => ({
-        id: name,
-        label: name,
-        icon: <Folder width={20} height={20} style={{ color: iconColor }} />
-      }))
+    // Subfolders follow their parent and show their full path
+    const tree = buildFolderTree(
+      customFolders.map(({ name }) => ({ name, count: 0 }))
+    )
+    const customOptions = flattenFolderTree(tree).map(({ path }) => ({
+      id: path,
+      label: formatFolderPath(path),
+      icon: <Folder width={20} height={20} style={{ color: iconColor }} />
+    }))
 
     return [
       {
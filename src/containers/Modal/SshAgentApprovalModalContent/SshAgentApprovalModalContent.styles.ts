@@ -0,0 +1,10 @@
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = () => ({
+  body: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing8}px`,
+    width: '100%'
+  }
+})
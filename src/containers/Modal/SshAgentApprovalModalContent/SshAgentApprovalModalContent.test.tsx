@@ -0,0 +1,124 @@
+import React from 'react'
+
+import { fireEvent, render, screen } from '@testing-library/react'
+import '@testing-library/jest-dom'
+
+import { SshAgentApprovalModalContent } from './SshAgentApprovalModalContent'
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (template: string, vars?: Record<string, string>) =>
+      vars
+        ? template.replace(/\{(\w+)\}/g, (_, key) => String(vars[key] ?? ''))
+        : template
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const liftTestID = ({ testID, ...rest }: any) =>
+    testID ? { ...rest, 'data-testid': testID } : rest
+  return {
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    useTheme: () => ({ theme: { colors: { colorTextSecondary: '#888' } } }),
+    Button: ({ children, onClick, ...rest }: any) => (
+      <button type="button" onClick={onClick} {...liftTestID(rest)}>
+        {children}
+      </button>
+    ),
+    Dialog: ({
+      children,
+      footer,
+      onClose,
+      closeButtonTestID,
+      ...rest
+    }: any) => (
+      <div {...liftTestID(rest)}>
+        <button type="button" onClick={onClose} data-testid={closeButtonTestID}>
+          close
+        </button>
+        {children}
+        {footer}
+      </div>
+    ),
+    Text: ({ children, color, ...rest }: any) => (
+      <p {...liftTestID(rest)}>{children}</p>
+    )
+  }
+})
+
+describe('SshAgentApprovalModalContent', () => {
+  const onApprove = jest.fn()
+  const onDeny = jest.fn()
+
+  const renderModal = (props = {}) =>
+    render(
+      <SshAgentApprovalModalContent
+        title="Deploy key"
+        fingerprint="SHA256:abc"
+        purpose={{ kind: 'userauth', username: 'git' }}
+        expiresAt={Date.now() + 60_000}
+        onApprove={onApprove}
+        onDeny={onDeny}
+        {...props}
+      />
+    )
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('describes the key and the login', () => {
+    renderModal()
+
+    expect(screen.getByTestId('sshagent-approval-key').textContent).toBe(
+      'Deploy key (SHA256:abc) is asked to:'
+    )
+    expect(screen.getByTestId('sshagent-approval-operation').textContent).toBe(
+      'Log in over SSH as git'
+    )
+  })
+
+  it('describes Git and other signatures', () => {
+    const { rerender } = renderModal({
+      purpose: { kind: 'sshsig', namespace: 'git' }
+    })
+
+    expect(screen.getByTestId('sshagent-approval-operation').textContent).toBe(
+      'Sign a Git commit or tag'
+    )
+
+    rerender(
+      <SshAgentApprovalModalContent
+        title="Deploy key"
+        fingerprint="SHA256:abc"
+        purpose={{ kind: 'sshsig', namespace: 'file' }}
+        expiresAt={Date.now() + 60_000}
+        onApprove={onApprove}
+        onDeny={onDeny}
+      />
+    )
+
+    expect(screen.getByTestId('sshagent-approval-operation').textContent).toBe(
+      'Sign data for file'
+    )
+  })
+
+  it('calls onApprove when allowed', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByTestId('sshagent-approval-allow'))
+
+    expect(onApprove).toHaveBeenCalledTimes(1)
+    expect(onDeny).not.toHaveBeenCalled()
+  })
+
+  it('calls onDeny when denied or closed', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByTestId('sshagent-approval-deny'))
+    fireEvent.click(screen.getByTestId('sshagent-approval-close'))
+
+    expect(onDeny).toHaveBeenCalledTimes(2)
+    expect(onApprove).not.toHaveBeenCalled()
+  })
+})
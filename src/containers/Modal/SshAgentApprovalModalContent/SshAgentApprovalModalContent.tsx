@@ -0,0 +1,92 @@
+import React from 'react'
+
+import { Button, Dialog, Text, useTheme } from '@tetherto/pearpass-lib-ui-kit'
+
+import { createStyles } from './SshAgentApprovalModalContent.styles'
+import { useTranslation } from '../../../hooks/useTranslation'
+
+export type SshAgentApprovalModalContentProps = {
+  title: string
+  fingerprint: string
+  purpose: SshAgentApprovalRequest['purpose']
+  expiresAt: number
+  onApprove: () => void
+  onDeny: () => void
+}
+
+export const SshAgentApprovalModalContent = ({
+  title,
+  fingerprint,
+  purpose,
+  expiresAt,
+  onApprove,
+  onDeny
+}: SshAgentApprovalModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+
+  const getOperation = () => {
+    if (purpose.kind === 'userauth') {
+      return t('Log in over SSH as {username}', { username: purpose.username })
+    }
+    if (purpose.kind === 'sshsig' && purpose.namespace === 'git') {
+      return t('Sign a Git commit or tag')
+    }
+    if (purpose.kind === 'sshsig') {
+      return t('Sign data for {namespace}', { namespace: purpose.namespace })
+    }
+    return t('Sign data')
+  }
+
+  const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000))
+
+  return (
+    <Dialog
+      title={t('Allow SSH Key Use?')}
+      onClose={onDeny}
+      testID="sshagent-approval-dialog"
+      closeButtonTestID="sshagent-approval-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={onDeny}
+            data-testid="sshagent-approval-deny"
+          >
+            {t('Deny')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            onClick={onApprove}
+            data-testid="sshagent-approval-allow"
+          >
+            {t('Allow')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text as="p" variant="label" data-testid="sshagent-approval-key">
+          {t('{title} ({fingerprint}) is asked to:', {
+            title: title || t('SSH Key'),
+            fingerprint
+          })}
+        </Text>
+        <Text as="p" data-testid="sshagent-approval-operation">
+          {getOperation()}
+        </Text>
+        <Text as="p" color={theme.colors.colorTextSecondary}>
+          {t(
+            'If you did not start this from a terminal or Git, deny it. The request is denied automatically in {seconds} seconds.',
+            { seconds }
+          )}
+        </Text>
+      </div>
+    </Dialog>
+  )
+}
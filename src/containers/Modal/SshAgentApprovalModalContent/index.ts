@@ -0,0 +1,2 @@
+export { SshAgentApprovalModalContent } from './SshAgentApprovalModalContent'
+export type { SshAgentApprovalModalContentProps } from './SshAgentApprovalModalContent'
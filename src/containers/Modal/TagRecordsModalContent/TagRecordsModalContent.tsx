@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react'
+
+import { Button, Dialog, Text, useTheme } from '@tetherto/pearpass-lib-ui-kit'
+import { useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { createStyles } from './TagRecordsModalContent.styles'
+import { TagsField } from '../../../components/TagsField/TagsField'
+import { useGlobalLoading } from '../../../context/LoadingContext'
+import { useModal } from '../../../context/ModalContext'
+import { useTranslation } from '../../../hooks/useTranslation'
+import { applyTagChanges, collectTags } from '../../../utils/recordTags'
+
+export type TagRecordsModalContentProps = {
+  records: Array<{
+    id: string
+    data?: Record<string, unknown>
+    [key: string]: unknown
+  }>
+  onCompleted?: () => void
+}
+
+/**
+ * Edits the tags of several records at once. Starts from every tag any of
+ * them carries: tags added here go on all of them, removed ones come off all
+ * of them and the rest stay where they are.
+ */
+export const TagRecordsModalContent = ({
+  records,
+  onCompleted
+}: TagRecordsModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+  const { closeModal } = useModal()
+
+  const { updateRecords, isLoading } = useRecords({
+    onCompleted: closeModal
+  })
+
+  useGlobalLoading({ isLoading })
+
+  const initialTags = useMemo(
+    () => collectTags(records).map(({ tag }) => tag),
+    [records]
+  )
+  const [tags, setTags] = useState(initialTags)
+
+  const added = tags.filter((tag) => !initialTags.includes(tag))
+  const removed = initialTags.filter((tag) => !tags.includes(tag))
+  const isSaveDisabled =
+    isLoading || !records.length || (!added.length && !removed.length)
+
+  const handleSave = async () => {
+    if (isSaveDisabled) return
+    await updateRecords(
+      records.map((record) => applyTagChanges(record, { added, removed }))
+    )
+    onCompleted?.()
+  }
+
+  return (
+    <Dialog
+      title={
+        records.length === 1
+          ? t('Tags of 1 item')
+          : t('Tags of {count} items', { count: records.length })
+      }
+      onClose={closeModal}
+      testID="tagrecords-dialog"
+      closeButtonTestID="tagrecords-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={closeModal}
+            data-testid="tagrecords-discard"
+          >
+            {t('Discard')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            disabled={isSaveDisabled}
+            isLoading={isLoading}
+            onClick={handleSave}
+            data-testid="tagrecords-submit"
+          >
+            {t('Save')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text variant="caption" color={theme.colors.colorTextSecondary}>
+          {t(
+            'Tags you add are added to every selected item. Tags you remove are removed from all of them.'
+          )}
+        </Text>
+        <TagsField tags={tags} onChange={setTags} testID="tagrecords-tags" />
+      </div>
+    </Dialog>
+  )
+}
@@ -0,0 +1,19 @@
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = () => ({
+  body: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing16}px`,
+    width: '100%'
+  },
+  chipRow: {
+    display: 'flex' as const,
+    flexDirection: 'row' as const,
+    flexWrap: 'wrap' as const,
+    gap: `${rawTokens.spacing12}px`,
+    width: '100%',
+    maxHeight: '100px',
+    overflowY: 'auto' as const
+  }
+})
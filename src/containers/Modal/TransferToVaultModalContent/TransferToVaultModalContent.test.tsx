@@ -0,0 +1,143 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+import { TransferToVaultModalContent } from './TransferToVaultModalContent'
+
+const mockCloseModal = jest.fn()
+const mockTransferRecordsToVault = jest.fn()
+let mockVaults = [
+  { id: 'v1', name: 'Personal' },
+  { id: 'v2', name: 'Team' },
+  { id: 'v3', name: 'Family' }
+]
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useVault: () => ({ data: { id: 'v1', name: 'Personal' } }),
+  useVaults: () => ({ data: mockVaults })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const React = require('react')
+  return {
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    Button: ({
+      children,
+      onClick,
+      disabled,
+      'data-testid': dataTestId
+    }: {
+      children?: React.ReactNode
+      onClick?: () => void
+      disabled?: boolean
+      'data-testid'?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', onClick, disabled, 'data-testid': dataTestId },
+        children
+      ),
+    Dialog: ({
+      title,
+      children,
+      footer
+    }: {
+      title: string
+      children: React.ReactNode
+      footer: React.ReactNode
+    }) =>
+      React.createElement(
+        'div',
+        null,
+        React.createElement('h2', null, title),
+        children,
+        footer
+      ),
+    Text: ({ children }: { children: React.ReactNode }) =>
+      React.createElement('span', null, children)
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  LockFilled: () => null
+}))
+
+jest.mock('../../../context/ModalContext', () => ({
+  useModal: () => ({ closeModal: mockCloseModal })
+}))
+
+jest.mock('../../../hooks/useRecordTransfer', () => ({
+  useRecordTransfer: () => ({
+    transferRecordsToVault: mockTransferRecordsToVault
+  })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (key: string, values?: Record<string, unknown>) =>
+      key.replace(/\{(\w+)\}/g, (_, name) => String(values?.[name]))
+  })
+}))
+
+const records = [
+  { id: 'r1', type: 'login', data: { title: 'GitHub' } },
+  { id: 'r2', type: 'note', data: { title: 'Wifi' } }
+]
+
+describe('TransferToVaultModalContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockVaults = [
+      { id: 'v1', name: 'Personal' },
+      { id: 'v2', name: 'Team' },
+      { id: 'v3', name: 'Family' }
+    ]
+  })
+
+  it('copies the records into the picked vault', () => {
+    const onCompleted = jest.fn()
+    render(
+      <TransferToVaultModalContent
+        records={records}
+        mode="copy"
+        onCompleted={onCompleted}
+      />
+    )
+
+    expect(
+      screen.getByText('Copy 2 items to another vault')
+    ).toBeInTheDocument()
+    expect(screen.queryByTestId('transfervault-chip-v1')).toBeNull()
+    expect(screen.getByTestId('transfervault-submit')).toBeDisabled()
+
+    fireEvent.click(screen.getByTestId('transfervault-chip-v2'))
+    fireEvent.click(screen.getByTestId('transfervault-submit'))
+
+    expect(mockCloseModal).toHaveBeenCalled()
+    expect(mockTransferRecordsToVault).toHaveBeenCalledWith(
+      records,
+      { id: 'v2', name: 'Team' },
+      'copy'
+    )
+    expect(onCompleted).toHaveBeenCalled()
+  })
+
+  it('picks the only other vault right away', () => {
+    mockVaults = [
+      { id: 'v1', name: 'Personal' },
+      { id: 'v2', name: 'Team' }
+    ]
+    render(<TransferToVaultModalContent records={[records[0]]} mode="move" />)
+
+    expect(screen.getByText('Move 1 item to another vault')).toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('transfervault-submit'))
+
+    expect(mockTransferRecordsToVault).toHaveBeenCalledWith(
+      [records[0]],
+      { id: 'v2', name: 'Team' },
+      'move'
+    )
+  })
+})
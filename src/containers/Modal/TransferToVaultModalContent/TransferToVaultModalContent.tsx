@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react'
+
+import { Button, Dialog, Text, useTheme } from '@tetherto/pearpass-lib-ui-kit'
+import { LockFilled } from '@tetherto/pearpass-lib-ui-kit/icons'
+import { useVault, useVaults, type Vault } from '@tetherto/pearpass-lib-vault'
+
+import { createStyles } from './TransferToVaultModalContent.styles'
+import { useModal } from '../../../context/ModalContext'
+import {
+  useRecordTransfer,
+  type TransferRecord,
+  type VaultTransferMode
+} from '../../../hooks/useRecordTransfer'
+import { useTranslation } from '../../../hooks/useTranslation'
+import { sortByName } from '../../../utils/sortByName'
+
+export type TransferToVaultModalContentProps = {
+  records: TransferRecord[]
+  mode: VaultTransferMode
+  onCompleted?: () => void
+}
+
+/**
+ * Picks the vault to copy or move records into. The transfer runs after the
+ * dialog closes, asking for the password of a protected vault on the way
+ * and reporting its progress in a toast.
+ */
+export const TransferToVaultModalContent = ({
+  records,
+  mode,
+  onCompleted
+}: TransferToVaultModalContentProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+  const { closeModal } = useModal()
+  const { data: vaultsData } = useVaults()
+  const { data: activeVault } = useVault()
+  const { transferRecordsToVault } = useRecordTransfer()
+
+  const vaults = useMemo<Vault[]>(
+    () =>
+      sortByName(vaultsData ?? []).filter(
+        (vault: Vault) => vault.id !== activeVault?.id
+      ),
+    [vaultsData, activeVault?.id]
+  )
+
+  const [selectedId, setSelectedId] = useState<string | null>(
+    vaults.length === 1 ? vaults[0].id : null
+  )
+  const selectedVault = vaults.find((vault) => vault.id === selectedId)
+
+  const isCopy = mode === 'copy'
+  const count = records.length
+
+  const title = isCopy
+    ? count === 1
+      ? t('Copy 1 item to another vault')
+      : t('Copy {count} items to another vault', { count })
+    : count === 1
+      ? t('Move 1 item to another vault')
+      : t('Move {count} items to another vault', { count })
+
+  const handleSubmit = () => {
+    if (!selectedVault || !count) return
+    closeModal()
+    void transferRecordsToVault(records, selectedVault, mode)
+    onCompleted?.()
+  }
+
+  const iconColor = theme.colors.colorTextPrimary
+
+  return (
+    <Dialog
+      title={title}
+      onClose={closeModal}
+      testID="transfervault-dialog"
+      closeButtonTestID="transfervault-close"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            size="small"
+            type="button"
+            onClick={closeModal}
+            data-testid="transfervault-discard"
+          >
+            {t('Discard')}
+          </Button>
+          <Button
+            variant="primary"
+            size="small"
+            type="button"
+            disabled={!selectedVault || !count}
+            onClick={handleSubmit}
+            data-testid="transfervault-submit"
+          >
+            {isCopy ? t('Copy items') : t('Move items')}
+          </Button>
+        </>
+      }
+    >
+      <div style={styles.body}>
+        <Text variant="caption" color={theme.colors.colorTextSecondary}>
+          {vaults.length
+            ? t(
+                'Attachments, one-time codes and custom fields come along. A vault with its own password asks for it first.'
+              )
+            : t('There is no other vault yet. Create one from the vault list.')}
+        </Text>
+
+        <div style={styles.chipRow}>
+          {vaults.map((vault) => (
+            <Button
+              key={vault.id}
+              variant="secondary"
+              size="small"
+              pressed={vault.id === selectedId}
+              iconBefore={
+                <LockFilled
+                  width={16}
+                  height={16}
+                  style={{ color: iconColor }}
+                />
+              }
+              data-testid={`transfervault-chip-${vault.id}`}
+              onClick={() =>
+                setSelectedId((prev) => (prev === vault.id ? null : vault.id))
+              }
+            >
+              {vault.name}
+            </Button>
+          ))}
+        </div>
+      </div>
+    </Dialog>
+  )
+}
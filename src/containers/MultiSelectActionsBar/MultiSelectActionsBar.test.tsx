@@ -176,4 +176,65 @@ describe('MultiSelectActionsBar', () => {
       screen.getByTestId('multi-select-favorite-tooltip').textContent
     ).toBe('Remove from Favorites')
   })
+  it('offers editing tags only when a handler is given', () => {
+    const onTag = jest.fn()
+    const { rerender } = render(<MultiSelectActionsBar {...baseProps} />)
+    expect(screen.queryByTestId('multi-select-tags')).not.toBeInTheDocument()
+
+    rerender(<MultiSelectActionsBar {...baseProps} onTag={onTag} />)
+    fireEvent.click(screen.getByTestId('multi-select-tags'))
+    expect(onTag).toHaveBeenCalledTimes(1)
+
+    rerender(
+      <MultiSelectActionsBar {...baseProps} onTag={onTag} selectedCount={0} />
+    )
+    expect(screen.getByTestId('multi-select-tags')).toBeDisabled()
+  })
+
+  it('offers copying and moving to another vault only when handlers are given', () => {
+    const onCopyToVault = jest.fn()
+    const onMoveToVault = jest.fn()
+    const { rerender } = render(<MultiSelectActionsBar {...baseProps} />)
+    expect(
+      screen.queryByTestId('multi-select-copy-to-vault')
+    ).not.toBeInTheDocument()
+
+    rerender(
+      <MultiSelectActionsBar
+        {...baseProps}
+        onCopyToVault={onCopyToVault}
+        onMoveToVault={onMoveToVault}
+      />
+    )
+    fireEvent.click(screen.getByTestId('multi-select-copy-to-vault'))
+    fireEvent.click(screen.getByTestId('multi-select-move-to-vault'))
+    expect(onCopyToVault).toHaveBeenCalledTimes(1)
+    expect(onMoveToVault).toHaveBeenCalledTimes(1)
+  })
+
+  it('offers restore and permanent delete for items in the Trash', () => {
+    const onRestore = jest.fn()
+    const onDelete = jest.fn()
+    render(
+      <MultiSelectActionsBar
+        selectedCount={2}
+        onRestore={onRestore}
+        onDelete={onDelete}
+      />
+    )
+
+    expect(screen.queryByTestId('multi-select-move')).not.toBeInTheDocument()
+    expect(
+      screen.queryByTestId('multi-select-favorite')
+    ).not.toBeInTheDocument()
+    expect(screen.getByTestId('multi-select-delete')).toHaveAttribute(
+      'aria-label',
+      'Delete permanently'
+    )
+
+    fireEvent.click(screen.getByTestId('multi-select-restore'))
+    fireEvent.click(screen.getByTestId('multi-select-delete'))
+    expect(onRestore).toHaveBeenCalledTimes(1)
+    expect(onDelete).toHaveBeenCalledTimes(1)
+  })
 })
@@ -13,12 +13,32 @@ import { useTranslation } from '../../hooks/useTranslation'
 
 type MultiSelectActionsBarProps = {
   selectedCount: number
-  allSelectedFavorited: boolean
-  canMove: boolean
-  onMove: () => void
-  onToggleFavorite: () => void
   onDelete: () => void
-}
+} & (
+  | {
+      allSelectedFavorited: boolean
+      canMove: boolean
+      onMove: () => void
+      onToggleFavorite: () => void
+      /** Edit the tags of the selected records, hidden when missing */
+      onTag?: () => void
+      /** Copy or move the selection into another vault, hidden when missing */
+      onCopyToVault?: () => void
+      onMoveToVault?: () => void
+      onRestore?: undefined
+    }
+  | {
+      /** Items in the Trash can only be restored or deleted for good */
+      onRestore: () => void
+      allSelectedFavorited?: undefined
+      canMove?: undefined
+      onMove?: undefined
+      onToggleFavorite?: undefined
+      onTag?: undefined
+      onCopyToVault?: undefined
+      onMoveToVault?: undefined
+    }
+)
 
 type HoverButtonProps = {
   tooltip: string
@@ -61,7 +81,11 @@ export const MultiSelectActionsBar = ({
   canMove,
   onMove,
   onToggleFavorite,
-  onDelete
+  onTag,
+  onCopyToVault,
+  onMoveToVault,
+  onDelete,
+  onRestore
 }: MultiSelectActionsBarProps) => {
   const { t } = useTranslation()
   const { theme } = useTheme()
@@ -89,6 +113,8 @@ export const MultiSelectActionsBar = ({
     ? t('Remove from Favorites')
     : t('Add to Favorites')
 
+  const deleteLabel = onRestore ? t('Delete permanently') : t('Delete items')
+
   return (
     <div style={styles.container} data-testid="multi-select-actions-bar">
       <div style={styles.label}>
@@ -98,39 +124,90 @@ export const MultiSelectActionsBar = ({
       </div>
 
       <div style={styles.actions}>
-        <HoverButton
-          tooltip={t('Move to Another Folder')}
-          tooltipTestId="multi-select-move-tooltip"
-          wrapperStyle={styles.buttonWrapper}
-          tooltipStyle={styles.tooltip}
-        >
-          <Button
-            variant="tertiary"
-            size="small"
-            onClick={onMove}
-            disabled={isMoveDisabled}
-            data-testid="multi-select-move"
-            aria-label={t('Move items')}
-            iconBefore={<DriveFileMoveOutlined style={moveIconStyle} />}
-          />
-        </HoverButton>
-
-        <HoverButton
-          tooltip={favoriteLabel}
-          tooltipTestId="multi-select-favorite-tooltip"
-          wrapperStyle={styles.buttonWrapper}
-          tooltipStyle={styles.tooltip}
-        >
+        {onRestore ? (
           <Button
             variant="tertiary"
             size="small"
-            onClick={onToggleFavorite}
-            disabled={isFavoriteDisabled}
-            data-testid="multi-select-favorite"
-            aria-label={favoriteLabel}
-            iconBefore={<FavoriteIcon style={favoriteIconStyle} />}
-          />
-        </HoverButton>
+            onClick={onRestore}
+            disabled={!hasSelection}
+            data-testid="multi-select-restore"
+          >
+            {t('Restore')}
+          </Button>
+        ) : (
+          <>
+            <HoverButton
+              tooltip={t('Move to Another Folder')}
+              tooltipTestId="multi-select-move-tooltip"
+              wrapperStyle={styles.buttonWrapper}
+              tooltipStyle={styles.tooltip}
+            >
+              <Button
+                variant="tertiary"
+                size="small"
+                onClick={onMove}
+                disabled={isMoveDisabled}
+                data-testid="multi-select-move"
+                aria-label={t('Move items')}
+                iconBefore={<DriveFileMoveOutlined style={moveIconStyle} />}
+              />
+            </HoverButton>
+
+            <HoverButton
+              tooltip={favoriteLabel}
+              tooltipTestId="multi-select-favorite-tooltip"
+              wrapperStyle={styles.buttonWrapper}
+              tooltipStyle={styles.tooltip}
+            >
+              <Button
+                variant="tertiary"
+                size="small"
+                onClick={onToggleFavorite}
+                disabled={isFavoriteDisabled}
+                data-testid="multi-select-favorite"
+                aria-label={favoriteLabel}
+                iconBefore={<FavoriteIcon style={favoriteIconStyle} />}
+              />
+            </HoverButton>
+
+            {onTag && (
+              <Button
+                variant="tertiary"
+                size="small"
+                onClick={onTag}
+                disabled={!hasSelection}
+                data-testid="multi-select-tags"
+                aria-label={t('Edit tags')}
+              >
+                {t('Tags')}
+              </Button>
+            )}
+
+            {onCopyToVault && (
+              <Button
+                variant="tertiary"
+                size="small"
+                onClick={onCopyToVault}
+                disabled={!hasSelection}
+                data-testid="multi-select-copy-to-vault"
+              >
+                {t('Copy to vault…')}
+              </Button>
+            )}
+
+            {onMoveToVault && (
+              <Button
+                variant="tertiary"
+                size="small"
+                onClick={onMoveToVault}
+                disabled={!hasSelection}
+                data-testid="multi-select-move-to-vault"
+              >
+                {t('Move to vault…')}
+              </Button>
+            )}
+          </>
+        )}
 
         <div style={styles.destructiveDivider} aria-hidden="true" />
 
@@ -140,7 +217,7 @@ export const MultiSelectActionsBar = ({
           onClick={onDelete}
           disabled={isDeleteDisabled}
           data-testid="multi-select-delete"
-          aria-label={t('Delete items')}
+          aria-label={deleteLabel}
           iconBefore={<TrashOutlined style={deleteIconStyle} />}
         />
       </div>
@@ -26,6 +26,7 @@ import { isPasswordChangeReminderDisabled } from '../../../utils/isPasswordChang
 import { useTranslation } from '../../../hooks/useTranslation'
 import { DisplayPictureModalContent } from '../../Modal/DisplayPictureModalContent/DisplayPictureModalContent'
 import { createStyles } from './LoginRecordDetailsForm.styles'
+import { PasswordHistory } from './PasswordHistory'
 import { toReadOnlyFieldProps } from './utils'
 
 type Attachment = {
@@ -56,6 +57,7 @@ type LoginRecord = {
     credential?: { id: string }
     passkeyCreatedAt?: number | string | Date | null
     passwordUpdatedAt?: number | string | Date
+    passwordHistory?: unknown
   }
 }
 
@@ -312,6 +314,8 @@ export const LoginRecordDetailsForm = ({
             ))}
           </MultiSlotInput>
         )}
+
+        {!!initialRecord && <PasswordHistory record={initialRecord} />}
       </div>
 
       {shouldShowSecurityWarning && (
@@ -0,0 +1,173 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+import { PasswordHistory } from './PasswordHistory'
+
+const mockUpdateRecords = jest.fn()
+const mockSetToast = jest.fn()
+const mockCopyToClipboard = jest.fn()
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useRecords: () => ({ updateRecords: mockUpdateRecords, isLoading: false })
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: (_date: unknown, format: string) =>
+    format === 'hh-mi' ? '09:30' : '01/03/26'
+}))
+
+jest.mock('../../../context/ToastContext', () => ({
+  useToast: () => ({ setToast: mockSetToast })
+}))
+
+jest.mock('../../../hooks/useCopyToClipboard.electron', () => ({
+  useCopyToClipboard: () => ({ copyToClipboard: mockCopyToClipboard })
+}))
+
+jest.mock('../../../hooks/useCurrentDevice', () => ({
+  useCurrentDevice: () => ({ deviceId: 'device-2', deviceName: 'Phone' })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string, values?: Record<string, unknown>) =>
+      str.replace(/\{(\w+)\}/g, (_match, name) => String(values?.[name]))
+  })
+}))
+
+jest.mock('./PasswordHistory.styles', () => ({
+  createStyles: () => ({})
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  ExpandMore: () => null
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  MultiSlotInput: ({ children }: { children: React.ReactNode }) => (
+    <div>{children}</div>
+  ),
+  InputField: ({ value, testID }: { value: string; testID?: string }) => (
+    <input data-testid={testID} value={value} readOnly />
+  ),
+  PasswordField: ({
+    value,
+    testID,
+    onCopy
+  }: {
+    value: string
+    testID?: string
+    onCopy?: (value: string) => void
+  }) => (
+    <button type="button" data-testid={testID} onClick={() => onCopy?.(value)}>
+      {value}
+    </button>
+  ),
+  Text: ({ children }: { children: React.ReactNode }) => (
+    <span>{children}</span>
+  ),
+  Button: ({
+    children,
+    onClick,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    onClick?: () => void
+    'data-testid'?: string
+  }) => (
+    <button type="button" data-testid={dataTestid} onClick={onClick}>
+      {children}
+    </button>
+  )
+}))
+
+const record = {
+  id: 'bank',
+  type: 'login',
+  data: {
+    title: 'Bank',
+    username: 'alice',
+    password: 'current',
+    passwordHistory: [
+      {
+        username: 'alice',
+        password: 'previous',
+        changedAt: 2000,
+        deviceId: 'device-1',
+        deviceName: 'Work laptop'
+      },
+      { username: '', password: 'oldest', changedAt: 1000 }
+    ]
+  }
+}
+
+describe('PasswordHistory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('renders nothing without history', () => {
+    const { container } = render(
+      <PasswordHistory record={{ id: 'shop', data: { password: 'x' } }} />
+    )
+
+    expect(container.innerHTML).toBe('')
+  })
+
+  it('lists previous versions once expanded', () => {
+    render(<PasswordHistory record={record} />)
+
+    expect(screen.getByTestId('password-history-toggle').textContent).toContain(
+      'Password history (2)'
+    )
+    expect(
+      screen.queryByTestId('password-history-entry-0')
+    ).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('password-history-toggle'))
+
+    expect(
+      screen.getByTestId('password-history-entry-0').textContent
+    ).toContain('Replaced 01/03/26, 09:30 on Work laptop')
+    expect(
+      screen.getByTestId('password-history-entry-1').textContent
+    ).toContain('Replaced 01/03/26, 09:30')
+    expect(
+      screen.queryByTestId('password-history-entry-1-username')
+    ).not.toBeInTheDocument()
+  })
+
+  it('copies a previous password', () => {
+    render(<PasswordHistory record={record} />)
+    fireEvent.click(screen.getByTestId('password-history-toggle'))
+
+    fireEvent.click(screen.getByTestId('password-history-entry-0-password'))
+
+    expect(mockCopyToClipboard).toHaveBeenCalledWith('previous')
+  })
+
+  it('restores a previous version and keeps the current one', () => {
+    render(<PasswordHistory record={record} />)
+    fireEvent.click(screen.getByTestId('password-history-toggle'))
+
+    fireEvent.click(screen.getByTestId('password-history-entry-1-restore'))
+
+    const [[updated]] = mockUpdateRecords.mock.calls[0] as [
+      [{ id: string; data: Record<string, unknown> }]
+    ]
+    expect(updated.id).toBe('bank')
+    expect(updated.data.username).toBe('')
+    expect(updated.data.password).toBe('oldest')
+    expect(updated.data.passwordHistory).toEqual([
+      expect.objectContaining({
+        username: 'alice',
+        password: 'current',
+        deviceName: 'Phone'
+      }),
+      record.data.passwordHistory[0]
+    ])
+  })
+})
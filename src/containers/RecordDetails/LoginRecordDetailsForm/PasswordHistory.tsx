@@ -0,0 +1,160 @@
+import React, { useState } from 'react'
+
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import {
+  Button,
+  InputField,
+  MultiSlotInput,
+  PasswordField,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { ExpandMore } from '@tetherto/pearpass-lib-ui-kit/icons'
+import { useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { useToast } from '../../../context/ToastContext'
+import { useCopyToClipboard } from '../../../hooks/useCopyToClipboard.electron'
+import { useCurrentDevice } from '../../../hooks/useCurrentDevice'
+import { useTranslation } from '../../../hooks/useTranslation'
+import {
+  type PasswordHistoryEntry,
+  getPasswordHistory,
+  restorePasswordHistoryEntry
+} from '../../../utils/passwordHistory'
+import { createStyles } from './PasswordHistory.styles'
+
+type PasswordHistoryProps = {
+  record: {
+    id: string
+    data: {
+      username?: string
+      password?: string
+      passwordHistory?: unknown
+      [key: string]: unknown
+    }
+    [key: string]: unknown
+  }
+}
+
+const formatChangedAt = (changedAt: number) => {
+  const date = new Date(changedAt)
+  return `${formatDate(date, 'dd-mm-yy', '/')}, ${formatDate(date, 'hh-mi', ':')}`
+}
+
+/**
+ * Previous usernames and passwords of a Login, newest first, each of which
+ * can be copied or made current again
+ */
+export const PasswordHistory = ({ record }: PasswordHistoryProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+  const { setToast } = useToast()
+  const { copyToClipboard } = useCopyToClipboard()
+  const currentDevice = useCurrentDevice()
+  const [isExpanded, setIsExpanded] = useState(false)
+
+  const { updateRecords, isLoading } = useRecords({
+    shouldSkip: true,
+    onCompleted: () => {
+      setToast({ message: t('Previous version restored') })
+    }
+  })
+
+  const history: PasswordHistoryEntry[] = getPasswordHistory(record.data)
+  if (!history.length) return null
+
+  const handleRestore = (entry: PasswordHistoryEntry) => {
+    updateRecords(
+      [
+        {
+          ...record,
+          data: restorePasswordHistoryEntry(record.data, entry, currentDevice)
+        }
+      ],
+      (error: { message: string }) => setToast({ message: error.message })
+    )
+  }
+
+  return (
+    <div style={styles.container} data-testid="password-history">
+      <button
+        type="button"
+        style={styles.header}
+        onClick={() => setIsExpanded((prev) => !prev)}
+        aria-expanded={isExpanded}
+        data-testid="password-history-toggle"
+      >
+        <div
+          style={{
+            ...styles.chevron,
+            ...(isExpanded ? {} : styles.chevronCollapsed)
+          }}
+        >
+          <ExpandMore
+            width={16}
+            height={16}
+            color={theme.colors.colorTextSecondary}
+          />
+        </div>
+        <Text variant="labelEmphasized">
+          {t('Password history ({count})', { count: history.length })}
+        </Text>
+      </button>
+
+      {isExpanded &&
+        history.map((entry, index) => (
+          <div
+            key={`${entry.changedAt}-${index}`}
+            style={styles.entry}
+            data-testid={`password-history-entry-${index}`}
+          >
+            <MultiSlotInput testID={`password-history-entry-${index}-fields`}>
+              {!!entry.username && (
+                <InputField
+                  label={t('Email / Username')}
+                  value={entry.username}
+                  readOnly
+                  copyable
+                  onCopy={copyToClipboard}
+                  isGrouped
+                  testID={`password-history-entry-${index}-username`}
+                />
+              )}
+              <PasswordField
+                label={t('Password')}
+                value={entry.password}
+                readOnly
+                copyable
+                onCopy={copyToClipboard}
+                isGrouped
+                testID={`password-history-entry-${index}-password`}
+              />
+            </MultiSlotInput>
+            <div style={styles.entryFooter}>
+              <Text variant="caption" color={theme.colors.colorTextSecondary}>
+                {entry.deviceName
+                  ? t('Replaced {date} on {device}', {
+                      date: formatChangedAt(entry.changedAt),
+                      device: entry.deviceName
+                    })
+                  : t('Replaced {date}', {
+                      date: formatChangedAt(entry.changedAt)
+                    })}
+              </Text>
+              <Button
+                variant="tertiaryAccent"
+                size="small"
+                type="button"
+                disabled={isLoading}
+                onClick={() => handleRestore(entry)}
+                data-testid={`password-history-entry-${index}-restore`}
+              >
+                {t('Restore this version')}
+              </Button>
+            </div>
+          </div>
+        ))}
+    </div>
+  )
+}
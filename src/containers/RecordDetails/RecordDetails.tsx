@@ -26,6 +26,7 @@ import { useRouter } from '../../context/RouterContext'
 import { useRecordActionItems } from '../../hooks/useRecordActionItems'
 import { useTranslation } from '../../hooks/useTranslation'
 import { RecordDetailsContent } from './RecordDetailsContent'
+import { RecordVersionTimeline } from './RecordVersionTimeline/RecordVersionTimeline'
 import { createStyles } from './RecordDetails.styles'
 
 type RecordAction = {
@@ -173,6 +174,13 @@ export const RecordDetails = () => {
             >[0]['record']
           }
         />
+        <RecordVersionTimeline
+          record={
+            record as unknown as Parameters<
+              typeof RecordVersionTimeline
+            >[0]['record']
+          }
+        />
       </div>
     </div>
   )
@@ -7,12 +7,14 @@ import { IdentityDetailsForm } from '../IdentityDetailsForm/IdentityDetailsForm'
 import { LoginRecordDetailsForm } from '../LoginRecordDetailsForm/LoginRecordDetailsForm'
 import { NoteDetailsForm } from '../NoteDetailsForm/NoteDetailsForm'
 import { PassPhraseDetailsForm } from '../PassPhraseDetailsForm/PassPhraseDetailsForm'
+import { SshKeyDetailsForm } from '../SshKeyDetailsForm/SshKeyDetailsForm'
 import { WifiDetailsForm } from '../WifiDetailsForm/WifiDetailsForm'
+import sshKeys from '../../../../electron/sshKeys.cjs'
 
 /**
  * @param {{
  *   record: {
- *      type: 'note' | 'creditCard' | 'custom' | 'identity' | 'login'
+ *      type: 'note' | 'creditCard' | 'custom' | 'identity' | 'login' | 'sshKey'
  *    }
  *  selectedFolder?: string
  * }} props
@@ -60,4 +62,10 @@ export const RecordDetailsContent = ({ record, selectedFolder }) => {
       selectedFolder=${selectedFolder}
     />`
   }
+  if (record?.type === sshKeys.SSH_KEY_RECORD_TYPE) {
+    return html`<${SshKeyDetailsForm}
+      initialRecord=${record}
+      selectedFolder=${selectedFolder}
+    />`
+  }
 }
@@ -0,0 +1,67 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = (colors: ThemeColors) => ({
+  container: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing8}px`
+  },
+  header: {
+    display: 'flex' as const,
+    flexDirection: 'row' as const,
+    alignItems: 'center' as const,
+    gap: `${rawTokens.spacing4}px`,
+    paddingBlock: `${rawTokens.spacing8}px`,
+    paddingInline: 0,
+    background: 'transparent',
+    border: 'none',
+    cursor: 'pointer' as const,
+    userSelect: 'none' as const,
+    color: colors.colorTextSecondary,
+    width: '100%'
+  },
+  chevron: {
+    width: 16,
+    height: 16,
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    justifyContent: 'center' as const,
+    transition: 'transform 150ms ease',
+    flexShrink: 0
+  },
+  chevronCollapsed: {
+    transform: 'rotate(-90deg)'
+  },
+  timeline: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    margin: 0,
+    padding: 0,
+    listStyle: 'none'
+  },
+  version: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing4}px`,
+    paddingBlock: `${rawTokens.spacing8}px`,
+    paddingLeft: `${rawTokens.spacing12}px`,
+    borderLeft: `2px solid ${colors.colorBorderPrimary}`
+  },
+  versionHeader: {
+    display: 'flex' as const,
+    flexDirection: 'row' as const,
+    alignItems: 'center' as const,
+    justifyContent: 'space-between' as const,
+    gap: `${rawTokens.spacing8}px`
+  },
+  changes: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing2}px`,
+    margin: 0,
+    padding: 0,
+    listStyle: 'none',
+    wordBreak: 'break-word' as const
+  }
+})
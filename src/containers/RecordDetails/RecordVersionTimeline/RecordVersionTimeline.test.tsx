@@ -0,0 +1,197 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+import { RecordVersionTimeline } from './RecordVersionTimeline'
+
+const mockUpdateRecords = jest.fn()
+const mockSetToast = jest.fn()
+let mockVersions: RecordVersion[] = []
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  RECORD_TYPES: { LOGIN: 'login', NOTE: 'note' },
+  useRecords: () => ({ updateRecords: mockUpdateRecords, isLoading: false }),
+  useVault: () => ({
+    data: { devices: [{ id: 'device-1', name: 'Work laptop' }] }
+  })
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: (_date: unknown, format: string) =>
+    format === 'hh-mi' ? '09:30' : '01/03/26'
+}))
+
+jest.mock('../../../context/ToastContext', () => ({
+  useToast: () => ({ setToast: mockSetToast })
+}))
+
+jest.mock('../../../hooks/useCurrentDevice', () => ({
+  useCurrentDevice: () => ({ deviceId: 'device-2', deviceName: 'Phone' })
+}))
+
+jest.mock('../../../hooks/useRecordVersions', () => ({
+  useRecordVersions: () => ({
+    versions: mockVersions,
+    isLoading: false,
+    reload: jest.fn()
+  })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string, values?: Record<string, unknown>) =>
+      str.replace(/\{(\w+)\}/g, (_match, name) => String(values?.[name]))
+  })
+}))
+
+jest.mock('./RecordVersionTimeline.styles', () => ({
+  createStyles: () => ({})
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  ExpandMore: () => null
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  Text: ({ children }: { children: React.ReactNode }) => (
+    <span>{children}</span>
+  ),
+  Button: ({
+    children,
+    onClick,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    onClick?: () => void
+    'data-testid'?: string
+  }) => (
+    <button type="button" data-testid={dataTestid} onClick={onClick}>
+      {children}
+    </button>
+  )
+}))
+
+const note = (data: Record<string, unknown>, folder?: string) => ({
+  id: 'note-1',
+  type: 'note',
+  folder,
+  data: { title: 'Plans', note: 'Draft', ...data }
+})
+
+const version = (
+  index: number,
+  action: RecordVersion['action'],
+  record: RecordVersion['record'],
+  device: { deviceId?: string; deviceName?: string } = {}
+): RecordVersion => ({
+  id: `00000000000000${index}-abcd`,
+  recordId: 'note-1',
+  action,
+  createdAt: index,
+  deviceId: device.deviceId ?? null,
+  deviceName: device.deviceName ?? null,
+  record
+})
+
+const current = note({ title: 'Summer plans' }, 'Travel')
+
+describe('RecordVersionTimeline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockVersions = [
+      version(3, 'update', current, { deviceName: 'Phone' }),
+      version(2, 'update', note({ note: 'Draft' }, 'Travel'), {
+        deviceId: 'device-1',
+        deviceName: 'Old laptop name'
+      }),
+      version(1, 'create', note({}))
+    ]
+  })
+
+  it('renders nothing without versions', () => {
+    mockVersions = []
+    const { container } = render(<RecordVersionTimeline record={current} />)
+
+    expect(container.innerHTML).toBe('')
+  })
+
+  it('shows who changed what in each version', () => {
+    render(<RecordVersionTimeline record={current} />)
+
+    expect(screen.getByTestId('record-versions-toggle').textContent).toContain(
+      'Version history (3)'
+    )
+
+    fireEvent.click(screen.getByTestId('record-versions-toggle'))
+
+    const newest = screen.getByTestId('record-version-0').textContent
+    expect(newest).toContain('Edited on Phone')
+    expect(newest).toContain('Title: Plans → Summer plans')
+
+    const moved = screen.getByTestId('record-version-1').textContent
+    expect(moved).toContain('Edited on Work laptop')
+    expect(moved).toContain('Moved to Travel')
+
+    const created = screen.getByTestId('record-version-2').textContent
+    expect(created).toContain('Created on Unknown device')
+    expect(created).toContain('Title added: Plans')
+  })
+
+  it('restores an older version as a new edit', () => {
+    render(<RecordVersionTimeline record={current} />)
+    fireEvent.click(screen.getByTestId('record-versions-toggle'))
+
+    expect(
+      screen.queryByTestId('record-version-0-restore')
+    ).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('record-version-2-restore'))
+
+    expect(mockUpdateRecords).toHaveBeenCalledWith(
+      [
+        {
+          ...current,
+          folder: undefined,
+          isFavorite: false,
+          data: { title: 'Plans', note: 'Draft' }
+        }
+      ],
+      expect.any(Function)
+    )
+  })
+
+  it('keeps the password history of a Login when restoring', () => {
+    const login = {
+      id: 'bank',
+      type: 'login',
+      data: {
+        title: 'Bank',
+        username: 'alice',
+        password: 'new',
+        passwordHistory: [{ username: 'alice', password: 'old', changedAt: 1 }]
+      }
+    }
+    mockVersions = [
+      version(2, 'update', login),
+      version(1, 'create', {
+        ...login,
+        data: { title: 'Bank', username: 'alice', password: 'old' }
+      })
+    ]
+
+    render(<RecordVersionTimeline record={login} />)
+    fireEvent.click(screen.getByTestId('record-versions-toggle'))
+    fireEvent.click(screen.getByTestId('record-version-1-restore'))
+
+    const [[[updated]]] = mockUpdateRecords.mock.calls as [
+      [[{ data: { password: string; passwordHistory: unknown[] } }]]
+    ]
+    expect(updated.data.password).toBe('old')
+    expect(updated.data.passwordHistory).toEqual([
+      expect.objectContaining({ password: 'new', deviceName: 'Phone' }),
+      { username: 'alice', password: 'old', changedAt: 1 }
+    ])
+  })
+})
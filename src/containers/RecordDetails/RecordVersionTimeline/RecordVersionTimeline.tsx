@@ -0,0 +1,264 @@
+import React, { useState } from 'react'
+
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import { Button, Text, useTheme } from '@tetherto/pearpass-lib-ui-kit'
+import { ExpandMore } from '@tetherto/pearpass-lib-ui-kit/icons'
+import {
+  RECORD_TYPES,
+  useRecords,
+  useVault
+} from '@tetherto/pearpass-lib-vault'
+
+import { useToast } from '../../../context/ToastContext'
+import { useCurrentDevice } from '../../../hooks/useCurrentDevice'
+import { useRecordVersions } from '../../../hooks/useRecordVersions'
+import { useTranslation } from '../../../hooks/useTranslation'
+import { addPasswordHistoryEntry } from '../../../utils/passwordHistory'
+import {
+  type RecordFieldChange,
+  diffRecordVersions
+} from '../../../utils/recordVersionDiff'
+import { toSentenceCase } from '../../../utils/toSentenceCase'
+import { createStyles } from './RecordVersionTimeline.styles'
+
+type RecordVersionTimelineProps = {
+  record: {
+    id: string
+    type: string
+    folder?: string | null
+    isFavorite?: boolean
+    updatedAt?: number | string
+    data?: Record<string, unknown>
+    [key: string]: unknown
+  }
+}
+
+type Translate = (message: string, values?: Record<string, unknown>) => string
+
+const formatCreatedAt = (createdAt: number) => {
+  const date = new Date(createdAt)
+  return `${formatDate(date, 'dd-mm-yy', '/')}, ${formatDate(date, 'hh-mi', ':')}`
+}
+
+const getFieldLabel = (t: Translate, change: RecordFieldChange) => {
+  switch (change.field) {
+    case 'title':
+      return t('Title')
+    case 'username':
+      return t('Email / Username')
+    case 'password':
+      return t('Password')
+    case 'note':
+      return t('Note')
+    case 'websites':
+      return t('Website')
+    case 'attachments':
+      return t('Attachment')
+    case 'customFields':
+      return t('Custom field {number}', { number: (change.index ?? 0) + 1 })
+    default:
+      return toSentenceCase(
+        change.field.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase()
+      )
+  }
+}
+
+const describeChange = (t: Translate, change: RecordFieldChange) => {
+  if (change.field === 'folder') {
+    if (change.kind === 'added') {
+      return t('Moved to {folder}', { folder: change.after })
+    }
+    if (change.kind === 'removed') {
+      return t('Moved out of {folder}', { folder: change.before })
+    }
+    return t('Moved from {from} to {to}', {
+      from: change.before,
+      to: change.after
+    })
+  }
+  if (change.field === 'isFavorite') {
+    return change.kind === 'added'
+      ? t('Added to favorites')
+      : t('Removed from favorites')
+  }
+
+  const field = getFieldLabel(t, change)
+  if (change.isSecret) {
+    if (change.kind === 'added') return t('{field} set', { field })
+    if (change.kind === 'removed') return t('{field} cleared', { field })
+    return t('{field} changed', { field })
+  }
+  if (change.kind === 'added') {
+    return t('{field} added: {value}', { field, value: change.after })
+  }
+  if (change.kind === 'removed') {
+    return t('{field} removed: {value}', { field, value: change.before })
+  }
+  return t('{field}: {from} → {to}', {
+    field,
+    from: change.before,
+    to: change.after
+  })
+}
+
+const getActionLabel = (t: Translate, action: RecordVersion['action']) => {
+  if (action === 'create') return t('Created')
+  if (action === 'delete') return t('Deleted')
+  return t('Edited')
+}
+
+/**
+ * Every saved version of a record, newest first, with what changed from the
+ * version before and which device changed it. Older versions can be
+ * restored, which saves them as a new edit.
+ */
+export const RecordVersionTimeline = ({
+  record
+}: RecordVersionTimelineProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+  const { setToast } = useToast()
+  const currentDevice = useCurrentDevice()
+  const { data: vault } = useVault()
+  const [isExpanded, setIsExpanded] = useState(false)
+
+  const { versions } = useRecordVersions(record.id, record.updatedAt)
+
+  const { updateRecords, isLoading } = useRecords({
+    shouldSkip: true,
+    onCompleted: () => {
+      setToast({ message: t('Version restored') })
+    }
+  })
+
+  if (!versions.length) return null
+
+  const getDeviceName = (version: RecordVersion) =>
+    vault?.devices?.find(
+      (device: { id: string; name?: string }) => device.id === version.deviceId
+    )?.name ??
+    version.deviceName ??
+    t('Unknown device')
+
+  const handleRestore = (version: RecordVersion) => {
+    const restoredData = version.record.data ?? {}
+    updateRecords(
+      [
+        {
+          ...record,
+          folder: version.record.folder,
+          isFavorite: !!version.record.isFavorite,
+          data:
+            record.type === RECORD_TYPES.LOGIN
+              ? addPasswordHistoryEntry(
+                  record.data,
+                  {
+                    ...restoredData,
+                    passwordHistory: record.data?.passwordHistory
+                  },
+                  currentDevice
+                )
+              : restoredData
+        }
+      ],
+      (error: { message: string }) => setToast({ message: error.message })
+    )
+  }
+
+  return (
+    <div style={styles.container} data-testid="record-versions">
+      <button
+        type="button"
+        style={styles.header}
+        onClick={() => setIsExpanded((prev) => !prev)}
+        aria-expanded={isExpanded}
+        data-testid="record-versions-toggle"
+      >
+        <div
+          style={{
+            ...styles.chevron,
+            ...(isExpanded ? {} : styles.chevronCollapsed)
+          }}
+        >
+          <ExpandMore
+            width={16}
+            height={16}
+            color={theme.colors.colorTextSecondary}
+          />
+        </div>
+        <Text variant="labelEmphasized">
+          {t('Version history ({count})', { count: versions.length })}
+        </Text>
+      </button>
+
+      {isExpanded && (
+        <ol style={styles.timeline}>
+          {versions.map((version, index) => {
+            const changes =
+              version.action === 'delete'
+                ? []
+                : diffRecordVersions(
+                    versions[index + 1]?.record ?? null,
+                    version.record
+                  )
+            const canRestore = index > 0 && version.action !== 'delete'
+
+            return (
+              <li
+                key={version.id}
+                style={styles.version}
+                data-testid={`record-version-${index}`}
+              >
+                <div style={styles.versionHeader}>
+                  <Text variant="label">
+                    {t('{action} on {device}', {
+                      action: getActionLabel(t, version.action),
+                      device: getDeviceName(version)
+                    })}
+                  </Text>
+                  <Text
+                    variant="caption"
+                    color={theme.colors.colorTextSecondary}
+                  >
+                    {formatCreatedAt(version.createdAt)}
+                  </Text>
+                </div>
+
+                {!!changes.length && (
+                  <ul style={styles.changes}>
+                    {changes.map((change, changeIndex) => (
+                      <li key={`${change.field}-${changeIndex}`}>
+                        <Text
+                          variant="caption"
+                          color={theme.colors.colorTextSecondary}
+                        >
+                          {describeChange(t, change)}
+                        </Text>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {canRestore && (
+                  <div>
+                    <Button
+                      variant="tertiaryAccent"
+                      size="small"
+                      type="button"
+                      disabled={isLoading}
+                      onClick={() => handleRestore(version)}
+                      data-testid={`record-version-${index}-restore`}
+                    >
+                      {t('Restore this version')}
+                    </Button>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </div>
+  )
+}
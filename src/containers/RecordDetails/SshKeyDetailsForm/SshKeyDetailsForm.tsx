@@ -0,0 +1,130 @@
+import { useEffect, useMemo } from 'react'
+
+import { useForm } from '@tetherto/pear-apps-lib-ui-react-hooks'
+import {
+  InputField,
+  MultiSlotInput,
+  PasswordField,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+
+import { useCopyToClipboard } from '../../../hooks/useCopyToClipboard.electron'
+import { useTranslation } from '../../../hooks/useTranslation'
+import { createStyles } from './SshKeyDetailsForm.styles'
+import { toReadOnlyFieldProps } from './utils'
+
+type SshKeyRecord = {
+  id: string
+  folder?: string
+  data: {
+    title?: string
+    privateKey?: string
+    publicKey?: string
+    fingerprint?: string
+    note?: string
+  }
+}
+
+type SshKeyDetailsFormProps = {
+  initialRecord?: SshKeyRecord
+  selectedFolder?: string
+}
+
+type SshKeyDetailsFormValues = {
+  publicKey: string
+  fingerprint: string
+  privateKey: string
+  note: string
+  folder?: string
+}
+
+export const SshKeyDetailsForm = ({
+  initialRecord,
+  selectedFolder
+}: SshKeyDetailsFormProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles()
+  const { copyToClipboard } = useCopyToClipboard()
+
+  const initialValues = useMemo<SshKeyDetailsFormValues>(
+    () => ({
+      publicKey: initialRecord?.data?.publicKey ?? '',
+      fingerprint: initialRecord?.data?.fingerprint ?? '',
+      privateKey: initialRecord?.data?.privateKey ?? '',
+      note: initialRecord?.data?.note ?? '',
+      folder: selectedFolder ?? initialRecord?.folder
+    }),
+    [initialRecord, selectedFolder]
+  )
+
+  const { register, setValues, values } = useForm({ initialValues })
+
+  useEffect(() => {
+    setValues(initialValues)
+  }, [initialValues, setValues])
+
+  const hasNote = !!values.note?.length
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.section}>
+        <Text variant="caption" color={theme.colors.colorTextSecondary}>
+          {t('Key')}
+        </Text>
+
+        <MultiSlotInput testID="sshkey-multi-slot-input">
+          <InputField
+            label={t('Public Key')}
+            readOnly
+            copyable
+            onCopy={copyToClipboard}
+            isGrouped
+            testID="sshkey-multi-slot-input-slot-0"
+            {...toReadOnlyFieldProps(register('publicKey'))}
+          />
+          <InputField
+            label={t('Fingerprint')}
+            readOnly
+            copyable
+            onCopy={copyToClipboard}
+            isGrouped
+            testID="sshkey-multi-slot-input-slot-1"
+            {...toReadOnlyFieldProps(register('fingerprint'))}
+          />
+          <PasswordField
+            label={t('Private Key')}
+            readOnly
+            copyable
+            onCopy={copyToClipboard}
+            isGrouped
+            testID="sshkey-multi-slot-input-slot-2"
+            {...toReadOnlyFieldProps(register('privateKey'))}
+          />
+        </MultiSlotInput>
+      </div>
+
+      {hasNote && (
+        <div style={styles.section}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Additional')}
+          </Text>
+
+          <MultiSlotInput testID="comments-multi-slot-input">
+            <InputField
+              label={t('Comment')}
+              placeholder={t('Add comment')}
+              readOnly
+              copyable
+              onCopy={copyToClipboard}
+              isGrouped
+              testID="comments-multi-slot-input-slot-0"
+              {...toReadOnlyFieldProps(register('note'))}
+            />
+          </MultiSlotInput>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -99,6 +99,26 @@ export const createStyles = (colors: ThemeColors) => ({
     gap: `${rawTokens.spacing4}px`
   },
 
+  rowTag: {
+    maxWidth: 120,
+    overflow: 'hidden' as const,
+    textOverflow: 'ellipsis' as const,
+    whiteSpace: 'nowrap' as const,
+    paddingBlock: `${rawTokens.spacing2}px`,
+    paddingInline: `${rawTokens.spacing6}px`,
+    borderRadius: `${rawTokens.radius8}px`,
+    border: `1px solid ${colors.colorBorderPrimary}`,
+    background: 'transparent',
+    color: colors.colorTextSecondary,
+    fontSize: 12,
+    cursor: 'pointer' as const
+  },
+
+  rowTagOverflow: {
+    color: colors.colorTextSecondary,
+    fontSize: 12
+  },
+
   rowChevron: {
     display: 'flex' as const,
     alignItems: 'center' as const,
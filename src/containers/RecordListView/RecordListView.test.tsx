@@ -100,6 +100,12 @@ jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => {
   }
 })
 
+let mockBreachedRecordIds = new Set<string>()
+
+jest.mock('../../hooks/useBreachedRecords', () => ({
+  useBreachedRecords: () => ({ breachedRecordIds: mockBreachedRecordIds })
+}))
+
 jest.mock('./RecordRowContextMenu', () => {
   return {
     RecordRowContextMenu: () => null
@@ -126,9 +132,27 @@ const makeSection = (
 describe('RecordListView', () => {
   beforeEach(() => {
     mockRouterData = {}
+    mockBreachedRecordIds = new Set()
     mockNavigate.mockReset()
   })
 
+  it('shows a security alert on records found in a data breach', () => {
+    mockBreachedRecordIds = new Set(['today-1'])
+    const sections: RecordSection[] = [makeSection('today', ['Safe', 'Leaked'])]
+    render(<RecordListView sections={sections} />)
+
+    expect(
+      screen
+        .getByTestId('record-list-item-today-1-right')
+        .querySelector('[data-icon="ErrorFilled"]')
+    ).not.toBeNull()
+    expect(
+      screen
+        .getByTestId('record-list-item-today-0-right')
+        .querySelector('[data-icon="ErrorFilled"]')
+    ).toBeNull()
+  })
+
   it('renders sections with titles translated and rows per record', () => {
     const sections: RecordSection[] = [
       makeSection('favorites', ['Fav One'], { isFavorites: true }),
@@ -163,6 +187,28 @@ describe('RecordListView', () => {
     })
   })
 
+  it('shows the tags of a record and filters by one when clicked', () => {
+    const section = makeSection('today', ['Row'])
+    section.data[0].data = {
+      ...section.data[0].data,
+      tags: ['Work', 'Travel', 'Bank']
+    }
+    render(<RecordListView sections={[section]} />)
+
+    const right = screen.getByTestId('record-list-item-today-0-right')
+    expect(right.textContent).toContain('Work')
+    expect(right.textContent).toContain('Travel')
+    expect(right.textContent).not.toContain('Bank')
+    expect(right.textContent).toContain('+1')
+
+    fireEvent.click(screen.getByTestId('record-list-tag-today-0-Travel'))
+    expect(mockNavigate).toHaveBeenCalledTimes(1)
+    expect(mockNavigate).toHaveBeenCalledWith('vault', {
+      recordType: 'all',
+      tag: 'Travel'
+    })
+  })
+
   it('toggles selection instead of navigating when multi-select is on', () => {
     const setSelectedRecords = jest.fn()
     const sections: RecordSection[] = [makeSection('today', ['Row A', 'Row B'])]
@@ -185,6 +231,31 @@ describe('RecordListView', () => {
     expect(updater(['today-0', 'today-1'])).toEqual(['today-0'])
   })
 
+  it('drags the whole selection from a selected row, or just the row', () => {
+    const sections: RecordSection[] = [
+      makeSection('today', ['Row A', 'Row B', 'Row C'])
+    ]
+    render(
+      <RecordListView
+        sections={sections}
+        isMultiSelectOn
+        selectedRecords={['today-0', 'today-2']}
+      />
+    )
+
+    const dragRow = (id: string) => {
+      const setData = jest.fn()
+      const row = screen
+        .getByTestId(`record-list-item-${id}`)
+        .closest('[data-record-id]') as HTMLElement
+      fireEvent.dragStart(row, { dataTransfer: { setData } })
+      return JSON.parse(setData.mock.calls[0][1] as string)
+    }
+
+    expect(dragRow('today-2')).toEqual(['today-0', 'today-2'])
+    expect(dragRow('today-1')).toEqual(['today-1'])
+  })
+
   it('renders a divider between each pair of sections but not after the last', () => {
     const sections: RecordSection[] = [
       makeSection('today', ['A']),
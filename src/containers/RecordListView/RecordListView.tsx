@@ -11,8 +11,11 @@ import { createStyles } from './RecordListView.styles'
 import { RecordRowContextMenu } from './RecordRowContextMenu'
 import { RecordItemIcon } from '../../components/RecordItemIcon'
 import { useRouter } from '../../context/RouterContext'
+import { DRAG_DATA_TYPES } from '../../constants/dragAndDrop'
+import { useBreachedRecords } from '../../hooks/useBreachedRecords'
 import { useTranslation } from '../../hooks/useTranslation'
 import { getRecordSubtitle } from '../../utils/getRecordSubtitle'
+import { getRecordTags } from '../../utils/recordTags'
 import type {
   RecordSection,
   VaultRecord
@@ -20,6 +23,9 @@ import type {
 
 const ROW_RECORD_ID_ATTR = 'data-record-id'
 
+// Tags shown on a row before the rest are summed up as "+N"
+const ROW_TAG_LIMIT = 2
+
 type RecordListViewProps = {
   sections: RecordSection[]
   isMultiSelectOn?: boolean
@@ -42,7 +48,8 @@ const SECTION_TITLE_KEYS: Record<string, string> = {
   yesterday: 'Yesterday',
   thisWeek: 'This Week',
   thisMonth: 'This Month',
-  older: 'Older'
+  older: 'Older',
+  bestMatches: 'Best Matches'
 }
 
 export const RecordListView = ({
@@ -67,6 +74,8 @@ export const RecordListView = ({
     [sections]
   )
 
+  const { breachedRecordIds } = useBreachedRecords(allRecords)
+
   const toggleSection = useCallback((key: string) => {
     setCollapsedSections((prev) => ({ ...prev, [key]: !prev[key] }))
   }, [])
@@ -89,7 +98,8 @@ export const RecordListView = ({
       const isAlreadyOpen = routeData?.recordId === record.id
       navigate(currentPage, {
         recordId: isAlreadyOpen ? '' : record.id,
-        recordType: routeData?.recordType
+        recordType: routeData?.recordType,
+        ...(routeData?.tag ? { tag: routeData.tag } : {})
       })
     },
     [
@@ -98,10 +108,19 @@ export const RecordListView = ({
       navigate,
       currentPage,
       routeData?.recordId,
-      routeData?.recordType
+      routeData?.recordType,
+      routeData?.tag
     ]
   )
 
+  const handleTagPress = useCallback(
+    (event: React.MouseEvent, tag: string) => {
+      event.stopPropagation()
+      navigate(currentPage, { recordType: 'all', tag })
+    },
+    [navigate, currentPage]
+  )
+
   const handleRowContextMenu = useCallback(
     (event: React.MouseEvent, record: VaultRecord) => {
       if (isMultiSelectOn) return
@@ -114,6 +133,20 @@ export const RecordListView = ({
     [isMultiSelectOn]
   )
 
+  // A selected row drags the whole selection along. Only ids travel with
+  // the drag; drop targets look the records up in the vault.
+  const handleRowDragStart = useCallback(
+    (event: React.DragEvent, record: VaultRecord) => {
+      const ids =
+        isMultiSelectOn && selectedRecordsSet.has(record.id)
+          ? selectedRecords
+          : [record.id]
+      event.dataTransfer.setData(DRAG_DATA_TYPES.RECORDS, JSON.stringify(ids))
+      event.dataTransfer.effectAllowed = 'copyMove'
+    },
+    [isMultiSelectOn, selectedRecords, selectedRecordsSet]
+  )
+
   // The overlay covers rows while open; re-target right-clicks via the
   // element stack at the cursor.
   useEffect(() => {
@@ -187,10 +220,15 @@ export const RecordListView = ({
                   <div style={styles.sectionList}>
                     {section.data.map((record) => {
                       const isSelected = selectedRecordsSet.has(record.id)
+                      const tags = getRecordTags(record)
                       return (
                         <div
                           key={record.id}
                           {...{ [ROW_RECORD_ID_ATTR]: record.id }}
+                          draggable
+                          onDragStart={(event) =>
+                            handleRowDragStart(event, record)
+                          }
                           onContextMenu={(event) =>
                             handleRowContextMenu(event, record)
                           }
@@ -216,7 +254,26 @@ export const RecordListView = ({
                             rightElement={
                               !isMultiSelectOn ? (
                                 <div style={styles.rowRightElement}>
-                                  {record.hasSecurityAlert && (
+                                  {tags.slice(0, ROW_TAG_LIMIT).map((tag) => (
+                                    <button
+                                      key={tag}
+                                      type="button"
+                                      style={styles.rowTag}
+                                      onClick={(event) =>
+                                        handleTagPress(event, tag)
+                                      }
+                                      data-testid={`record-list-tag-${record.id}-${tag}`}
+                                    >
+                                      {tag}
+                                    </button>
+                                  ))}
+                                  {tags.length > ROW_TAG_LIMIT && (
+                                    <span style={styles.rowTagOverflow}>
+                                      +{tags.length - ROW_TAG_LIMIT}
+                                    </span>
+                                  )}
+                                  {(record.hasSecurityAlert ||
+                                    breachedRecordIds.has(record.id)) && (
                                     <ErrorFilled
                                       width={20}
                                       height={20}
@@ -19,8 +19,7 @@ import {
   StarOutlined,
   TrashOutlined
 } from '@tetherto/pearpass-lib-ui-kit/icons'
-// @ts-expect-error - declaration file is incomplete
-import { useCreateRecord, useRecords, vaultGetFile } from '@tetherto/pearpass-lib-vault'
+import { useCreateRecord, useRecords } from '@tetherto/pearpass-lib-vault'
 
 import {
   createStyles,
@@ -30,6 +29,7 @@ import { useModal } from '../../context/ModalContext'
 import { useCreateOrEditRecord } from '../../hooks/useCreateOrEditRecord'
 import { useTranslation } from '../../hooks/useTranslation'
 import { logger } from '../../utils/logger'
+import { readRecordFiles } from '../../utils/recordFiles'
 import type { VaultRecord } from '../../utils/groupRecordsByTimePeriod'
 import { DeleteRecordsModalContent } from '../Modal/DeleteRecordsModalContent'
 import { MoveFolderModalContent } from '../Modal/MoveFolderModalContent/MoveFolderModalContent'
@@ -50,8 +50,6 @@ type RecordRowContextMenuProps = {
   ) => void
 }
 
-type FileAttachment = { id: string; name: string }
-
 export const RecordRowContextMenu = ({
   record,
   open,
@@ -102,39 +100,10 @@ export const RecordRowContextMenu = ({
     setModal(<MoveFolderModalContent records={[record]} />)
   }, [close, setModal, record])
 
-  const fetchFileBuffers = useCallback(
-    async (files: FileAttachment[] | undefined) => {
-      if (!files?.length) return []
-      return Promise.all(
-        files.map(async ({ id, name }) => {
-          const buffer = await vaultGetFile(`record/${record.id}/file/${id}`)
-          return { name, buffer }
-        })
-      )
-    },
-    [record.id]
-  )
-
   const handleDuplicate = useCallback(async () => {
     close()
     try {
-      const data: Record<string, unknown> = { ...(record.data ?? {}) }
-
-      data.attachments = await fetchFileBuffers(
-        record.data?.attachments as FileAttachment[] | undefined
-      )
-
-      if (record.type === 'identity') {
-        data.passportPicture = await fetchFileBuffers(
-          record.data?.passportPicture as FileAttachment[] | undefined
-        )
-        data.idCardPicture = await fetchFileBuffers(
-          record.data?.idCardPicture as FileAttachment[] | undefined
-        )
-        data.drivingLicensePicture = await fetchFileBuffers(
-          record.data?.drivingLicensePicture as FileAttachment[] | undefined
-        )
-      }
+      const data = await readRecordFiles(record)
 
       await createRecord({
         type: record.type,
@@ -145,7 +114,7 @@ export const RecordRowContextMenu = ({
     } catch (error) {
       logger.error('RecordRowContextMenu', 'Failed to duplicate record', error)
     }
-  }, [close, createRecord, fetchFileBuffers, record])
+  }, [close, createRecord, record])
 
   const handleDelete = useCallback(() => {
     close()
@@ -26,6 +26,9 @@ export const FOLDERS_CHEVRON_CENTER_SHIFT_PX =
 
 export const FOLDER_CONTEXT_MENU_WIDTH = 220
 
+// Indentation of each subfolder level in the folder tree.
+export const FOLDER_TREE_INDENT_PX = rawTokens.spacing12
+
 export const createStyles = (colors: ThemeColors, isCollapsed: boolean) => ({
   wrapper: {
     display: 'flex' as const,
@@ -188,6 +191,41 @@ export const createStyles = (colors: ThemeColors, isCollapsed: boolean) => ({
     width: '100%'
   },
 
+  folderTreeRow: {
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    width: '100%',
+    borderRadius: rawTokens.radius8
+  },
+
+  // Highlights the folder a dragged folder would be moved into.
+  folderTreeRowDropTarget: {
+    outline: `1px solid ${colors.colorPrimary}`
+  },
+
+  folderTreeToggle: {
+    display: 'flex' as const,
+    justifyContent: 'center' as const,
+    width: 24,
+    flexShrink: 0
+  },
+
+  folderTreeItem: {
+    flex: 1,
+    minWidth: 0
+  },
+
+  savedSearchRow: {
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    width: '100%'
+  },
+
+  savedSearchItem: {
+    flex: 1,
+    minWidth: 0
+  },
+
   folderRowMenuAnchor: {
     position: 'absolute' as const,
     bottom: 0,
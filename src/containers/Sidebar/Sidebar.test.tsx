@@ -8,16 +8,23 @@ const mockCloseAllInstances = jest.fn()
 const mockResetState = jest.fn()
 const mockSetIsLoading = jest.fn()
 const mockDeleteFolder = jest.fn()
+const mockRenameFolder = jest.fn()
 const mockSetModal = jest.fn()
 const mockCloseModal = jest.fn()
+const mockMoveRecordsToFolder = jest.fn()
+const mockTransferRecordsToVault = jest.fn()
 
 let mockRouterData: Record<string, unknown> = {}
+let mockSavedSearches: string[] = []
+const mockSetSearchValue = jest.fn()
+const mockRemoveSavedSearch = jest.fn()
 let mockFoldersData: {
   customFolders: Record<
     string,
-    { name: string; records: Array<{ data?: unknown }> }
+    { name: string; records: Array<{ id?: string; data?: unknown }> }
   >
   favorites: { records: unknown[] }
+  noFolder?: { records: Array<{ id: string; data?: unknown }> }
 } = { customFolders: {}, favorites: { records: [] } }
 
 jest.mock('@tetherto/pearpass-lib-constants', () => ({
@@ -37,7 +44,8 @@ jest.mock('@tetherto/pearpass-lib-vault', () => ({
   closeAllInstances: (...args: unknown[]) => mockCloseAllInstances(...args),
   useFolders: () => ({
     data: mockFoldersData,
-    deleteFolder: mockDeleteFolder
+    deleteFolder: mockDeleteFolder,
+    renameFolder: mockRenameFolder
   }),
   useRecordCountsByType: () => ({ data: {} }),
   useVault: () => ({ data: { name: 'Test Vault' } }),
@@ -49,7 +57,11 @@ jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
   return {
     useTheme: () => ({ theme: { colors: {} } }),
     rawTokens: new Proxy({}, { get: () => 0 }),
-    Button: ({ onClick, 'data-testid': dataTestId, 'aria-label': ariaLabel }: {
+    Button: ({
+      onClick,
+      'data-testid': dataTestId,
+      'aria-label': ariaLabel
+    }: {
       onClick?: () => void
       'data-testid'?: string
       'aria-label'?: string
@@ -129,12 +141,14 @@ jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
   CreateNewFolder: iconStub,
   EditOutlined: iconStub,
   ExpandMore: iconStub,
+  FilterList: iconStub,
   Folder: iconStub,
   FolderCopy: iconStub,
   Layers: iconStub,
   LockFilled: iconStub,
   LockOutlined: iconStub,
   MenuOpen: iconStub,
+  SecurityFilled: iconStub,
   SettingsOutlined: iconStub,
   StarBorder: iconStub,
   StarFilled: iconStub,
@@ -155,6 +169,15 @@ jest.mock('../../context/RouterContext', () => ({
   useRouter: () => ({ navigate: mockNavigate, data: mockRouterData })
 }))
 
+jest.mock('../../context/AppHeaderContext', () => ({
+  useAppHeaderContext: () => ({
+    searchValue: '',
+    setSearchValue: mockSetSearchValue,
+    savedSearches: mockSavedSearches,
+    removeSavedSearch: mockRemoveSavedSearch
+  })
+}))
+
 jest.mock('../../context/ModalContext', () => ({
   useModal: () => ({ setModal: mockSetModal, closeModal: mockCloseModal })
 }))
@@ -167,13 +190,39 @@ jest.mock('../../hooks/useTranslation', () => ({
   useTranslation: () => ({ t: (s: string) => s })
 }))
 
+jest.mock('../../hooks/useRecordTransfer', () => ({
+  useRecordTransfer: () => ({
+    moveRecordsToFolder: mockMoveRecordsToFolder,
+    transferRecordsToVault: mockTransferRecordsToVault
+  })
+}))
+
+jest.mock('./VaultSelector/VaultSelector', () => {
+  const React = require('react')
+  return {
+    VaultSelector: (props: {
+      onDropRecords?: (vault: unknown, ids: string[], mode: string) => void
+    }) =>
+      React.createElement('button', {
+        type: 'button',
+        'data-testid': 'mock-vault-selector',
+        onClick: () =>
+          props.onDropRecords?.({ id: 'v2', name: 'Work' }, ['r1'], 'copy')
+      })
+  }
+})
+
 jest.mock('../Modal/CreateFolderModalContent/CreateFolderModalContent', () => {
   const React = require('react')
   return {
-    CreateFolderModalContent: (props: { initialValues?: { title: string } }) =>
+    CreateFolderModalContent: (props: {
+      initialValues?: { title: string }
+      parentFolder?: string
+    }) =>
       React.createElement('div', {
         'data-testid': 'mock-create-folder-modal',
-        'data-initial-title': props.initialValues?.title ?? ''
+        'data-initial-title': props.initialValues?.title ?? '',
+        'data-parent-folder': props.parentFolder ?? ''
       })
   }
 })
@@ -232,6 +281,67 @@ describe('Sidebar — lock app flow', () => {
 
     expect(mockNavigate).toHaveBeenCalledWith('settings', {})
   })
+
+  it('opens the Password Health view', () => {
+    render(<Sidebar />)
+
+    fireEvent.click(screen.getByTestId('sidebar-password-health'))
+
+    expect(mockNavigate).toHaveBeenCalledWith('vault', {
+      view: 'passwordHealth'
+    })
+  })
+
+  it('opens the Trash', () => {
+    render(<Sidebar />)
+
+    fireEvent.click(screen.getByTestId('sidebar-trash'))
+
+    expect(mockNavigate).toHaveBeenCalledWith('vault', { view: 'trash' })
+  })
+
+  it('lists the tags of the vault and filters by one', () => {
+    mockFoldersData = {
+      customFolders: {
+        Work: {
+          name: 'Work',
+          records: [
+            { data: { tags: ['Travel'] } },
+            { data: { tags: ['travel', 'Bank'] } }
+          ]
+        }
+      },
+      favorites: { records: [] }
+    }
+    const { rerender } = render(<Sidebar />)
+
+    expect(screen.getByTestId('sidebar-tags').textContent).toContain('Bank')
+    fireEvent.click(screen.getByTestId('sidebar-tag-Travel'))
+    expect(mockNavigate).toHaveBeenCalledWith('vault', {
+      recordType: 'all',
+      tag: 'Travel'
+    })
+
+    mockRouterData = { recordType: 'all', tag: 'Travel' }
+    rerender(<Sidebar />)
+    fireEvent.click(screen.getByTestId('sidebar-tag-Travel'))
+    expect(mockNavigate).toHaveBeenLastCalledWith('vault', { recordType: 'all' })
+  })
+
+  it('lists saved searches and runs one', () => {
+    mockSavedSearches = ['type:login is:favorite']
+    render(<Sidebar />)
+
+    fireEvent.click(screen.getByTestId('sidebar-saved-search-0'))
+
+    expect(mockSetSearchValue).toHaveBeenCalledWith('type:login is:favorite')
+    expect(mockNavigate).toHaveBeenCalledWith('vault', { recordType: 'all' })
+
+    fireEvent.click(screen.getByTestId('sidebar-saved-search-remove-0'))
+
+    expect(mockRemoveSavedSearch).toHaveBeenCalledWith('type:login is:favorite')
+    mockSavedSearches = []
+  })
 })
 
 describe('Sidebar — folder context menu', () => {
@@ -324,3 +434,199 @@ describe('Sidebar — folder context menu', () => {
     expect(screen.queryByTestId('sidebar-folder-menu-work')).toBeNull()
   })
 })
+
+describe('Sidebar — folder tree', () => {
+  const dataTransfer = { setData: jest.fn(), dropEffect: '', effectAllowed: '' }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockRouterData = {}
+    mockFoldersData = {
+      customFolders: {
+        Work: makeFolder('Work', 1),
+        'Work/Clients': makeFolder('Work/Clients', 2),
+        'Work/Clients/Acme': makeFolder('Work/Clients/Acme', 0),
+        Home: makeFolder('Home', 0)
+      },
+      favorites: { records: [] }
+    }
+  })
+
+  it('nests subfolders under their parent and collapses them', () => {
+    render(<Sidebar />)
+
+    expect(screen.getByTestId('sidebar-folder-Work/Clients').textContent).toBe(
+      'Clients'
+    )
+
+    fireEvent.click(screen.getByTestId('sidebar-folder-toggle-Work'))
+
+    expect(screen.queryByTestId('sidebar-folder-Work/Clients')).toBeNull()
+    expect(screen.getByTestId('sidebar-folder-Home')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('sidebar-folder-toggle-Work'))
+
+    expect(
+      screen.getByTestId('sidebar-folder-Work/Clients/Acme')
+    ).toBeInTheDocument()
+  })
+
+  it('creates a subfolder from the folder menu', () => {
+    render(<Sidebar />)
+
+    fireEvent.contextMenu(screen.getByTestId('sidebar-folder-Work'))
+    fireEvent.click(screen.getByTestId('sidebar-folder-menu-subfolder-Work'))
+
+    const modal = mockSetModal.mock.calls[0][0] as React.ReactElement
+    render(modal)
+    expect(
+      screen
+        .getByTestId('mock-create-folder-modal')
+        .getAttribute('data-parent-folder')
+    ).toBe('Work')
+  })
+
+  it('counts the items of subfolders when deleting a folder', () => {
+    render(<Sidebar />)
+
+    fireEvent.contextMenu(screen.getByTestId('sidebar-folder-Work'))
+    fireEvent.click(screen.getByTestId('sidebar-folder-menu-delete-Work'))
+
+    const modal = mockSetModal.mock.calls[0][0] as React.ReactElement
+    render(modal)
+    expect(
+      screen.getByTestId('mock-delete-folder-modal').getAttribute('data-count')
+    ).toBe('3')
+  })
+
+  it('deletes an empty subtree deepest first', async () => {
+    mockFoldersData.customFolders['Home/Old'] = makeFolder('Home/Old', 0)
+    render(<Sidebar />)
+
+    fireEvent.contextMenu(screen.getByTestId('sidebar-folder-Home'))
+    fireEvent.click(screen.getByTestId('sidebar-folder-menu-delete-Home'))
+
+    await waitFor(() => expect(mockDeleteFolder).toHaveBeenCalledTimes(2))
+    expect(mockDeleteFolder.mock.calls).toEqual([['Home/Old'], ['Home']])
+  })
+
+  it('moves a dragged folder and its subfolders into another folder', async () => {
+    mockRouterData = { recordType: 'all', folder: 'Work/Clients/Acme' }
+    render(<Sidebar />)
+
+    fireEvent.dragStart(screen.getByTestId('sidebar-folder-row-Work/Clients'), {
+      dataTransfer
+    })
+    fireEvent.dragOver(screen.getByTestId('sidebar-folder-row-Home'), {
+      dataTransfer
+    })
+    fireEvent.drop(screen.getByTestId('sidebar-folder-row-Home'), {
+      dataTransfer
+    })
+
+    await waitFor(() =>
+      expect(mockNavigate).toHaveBeenCalledWith('vault', {
+        recordType: 'all',
+        folder: 'Home/Clients/Acme'
+      })
+    )
+    expect(mockRenameFolder.mock.calls).toEqual([
+      ['Work/Clients', 'Home/Clients'],
+      ['Work/Clients/Acme', 'Home/Clients/Acme']
+    ])
+  })
+
+  it('moves a folder to the top level when dropped on All Folders', async () => {
+    render(<Sidebar />)
+
+    fireEvent.dragStart(screen.getByTestId('sidebar-folder-row-Work/Clients'), {
+      dataTransfer
+    })
+    fireEvent.drop(screen.getByTestId('sidebar-folder-all-drop'), {
+      dataTransfer
+    })
+
+    await waitFor(() => expect(mockRenameFolder).toHaveBeenCalledTimes(2))
+    expect(mockRenameFolder).toHaveBeenCalledWith('Work/Clients', 'Clients')
+  })
+
+  it('does not drop a folder into its own subfolder', () => {
+    render(<Sidebar />)
+
+    fireEvent.dragStart(screen.getByTestId('sidebar-folder-row-Work'), {
+      dataTransfer
+    })
+    fireEvent.drop(screen.getByTestId('sidebar-folder-row-Work/Clients'), {
+      dataTransfer
+    })
+
+    expect(mockRenameFolder).not.toHaveBeenCalled()
+  })
+})
+
+describe('Sidebar — dropping records', () => {
+  const recordA = { id: 'r1', folder: 'Work', data: { title: 'GitHub' } }
+  const recordB = { id: 'r2', folder: null, data: { title: 'Wifi' } }
+  const makeDataTransfer = (ids: string[]) => ({
+    types: ['application/x-pearpass-records'],
+    getData: () => JSON.stringify(ids),
+    dropEffect: ''
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockRouterData = {}
+    mockFoldersData = {
+      customFolders: {
+        Work: { name: 'Work', records: [recordA] },
+        Home: makeFolder('Home', 0)
+      },
+      favorites: { records: [] },
+      noFolder: { records: [recordB] }
+    }
+  })
+
+  it('moves dropped records into a folder', () => {
+    render(<Sidebar />)
+
+    const dataTransfer = makeDataTransfer(['r1', 'r2'])
+    fireEvent.dragOver(screen.getByTestId('sidebar-folder-row-Home'), {
+      dataTransfer
+    })
+    fireEvent.drop(screen.getByTestId('sidebar-folder-row-Home'), {
+      dataTransfer
+    })
+
+    expect(mockMoveRecordsToFolder).toHaveBeenCalledWith(
+      [recordA, recordB],
+      'Home'
+    )
+    expect(mockRenameFolder).not.toHaveBeenCalled()
+  })
+
+  it('takes records out of their folder when dropped on All Folders', () => {
+    render(<Sidebar />)
+
+    fireEvent.drop(screen.getByTestId('sidebar-folder-all-drop'), {
+      dataTransfer: makeDataTransfer(['r1'])
+    })
+
+    expect(mockMoveRecordsToFolder).toHaveBeenCalledWith([recordA], null)
+  })
+
+  it('opens the vaults for records dragged over the vault name', () => {
+    render(<Sidebar />)
+
+    fireEvent.dragEnter(screen.getByTestId('sidebar-vault-selector'), {
+      dataTransfer: makeDataTransfer(['r1'])
+    })
+    fireEvent.click(screen.getByTestId('mock-vault-selector'))
+
+    expect(mockTransferRecordsToVault).toHaveBeenCalledWith(
+      [recordA],
+      { id: 'v2', name: 'Work' },
+      'copy'
+    )
+    expect(screen.queryByTestId('mock-vault-selector')).toBeNull()
+  })
+})
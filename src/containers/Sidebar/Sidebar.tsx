@@ -22,11 +22,13 @@ import {
   CreateNewFolder,
   EditOutlined,
   ExpandMore,
+  FilterList,
   Folder,
   FolderCopy,
   LockFilled,
   LockOutlined,
   MenuOpen,
+  SecurityFilled,
   SettingsOutlined,
   StarBorder,
   StarFilled,
@@ -37,17 +39,34 @@ import {
 import {
   createStyles,
   FOLDER_CONTEXT_MENU_WIDTH,
+  FOLDER_TREE_INDENT_PX,
   FOLDERS_CHEVRON_CENTER_SHIFT_PX
 } from './Sidebar.styles'
 import { VaultSelector } from './VaultSelector/VaultSelector'
-import { NAVIGATION_ROUTES } from '../../constants/navigation'
+import { DRAG_DATA_TYPES } from '../../constants/dragAndDrop'
+import { NAVIGATION_ROUTES, VAULT_VIEWS } from '../../constants/navigation'
+import { useAppHeaderContext } from '../../context/AppHeaderContext'
 import { useLoadingContext } from '../../context/LoadingContext'
 import { useModal } from '../../context/ModalContext'
 import { useRouter } from '../../context/RouterContext'
 import { useRecordMenuItems } from '../../hooks/useRecordMenuItems'
+import {
+  useRecordTransfer,
+  type TransferRecord
+} from '../../hooks/useRecordTransfer'
 import { useTranslation } from '../../hooks/useTranslation'
+import { useVaultTags } from '../../hooks/useVaultTags'
+import {
+  buildFolderTree,
+  flattenFolderTree,
+  getFolderMoves,
+  getParentFolderPath,
+  getSubtreeFolderPaths,
+  isInFolderSubtree,
+  type FolderTreeNode
+} from '../../utils/folderTree'
+import { getDraggedRecordIds, hasDraggedRecords } from '../../utils/dragData'
 import { FAVORITES_FOLDER_ID } from '../../utils/isFavorite'
-import { sortByName } from '../../utils/sortByName'
 import { CreateFolderModalContent } from '../Modal/CreateFolderModalContent/CreateFolderModalContent'
 import { DeleteFolderModalContent } from '../Modal/DeleteFolderModalContent/DeleteFolderModalContent'
 
@@ -58,42 +77,87 @@ export const Sidebar = () => {
   const [isCollapsed, setIsCollapsed] = useState(false)
   const [isVaultSelectorOpen, setIsVaultSelectorOpen] = useState(false)
   const [openFolderMenu, setOpenFolderMenu] = useState<string | null>(null)
+  const [collapsedFolders, setCollapsedFolders] = useState<Set<string>>(
+    () => new Set()
+  )
+  const [draggedFolder, setDraggedFolder] = useState<string | null>(null)
+  const [folderDropTarget, setFolderDropTarget] = useState<string | null>(null)
   const styles = createStyles(theme.colors, isCollapsed)
 
   const { navigate, data: routerData } = useRouter()
   const { data: vaultData } = useVault()
-  const { data: foldersData, deleteFolder } = useFolders()
+  const { data: foldersData, deleteFolder, renameFolder } = useFolders()
   const { data: recordCounts } = useRecordCountsByType()
   const { resetState } = useVaults()
   const { setModal, closeModal } = useModal()
   const { setIsLoading } = useLoadingContext()
+  const { searchValue, setSearchValue, savedSearches, removeSavedSearch } =
+    useAppHeaderContext()
 
   const [isFoldersExpanded, setIsFoldersExpanded] = useState(true)
 
   const { categoriesItems } = useRecordMenuItems()
+  const vaultTags = useVaultTags()
+  // Kept here rather than in the drop targets, since the sidebar stays
+  // mounted while a transfer switches between vaults
+  const { moveRecordsToFolder, transferRecordsToVault } = useRecordTransfer()
 
   const isAuthenticatorActive = routerData?.recordType === RECORD_TYPES.OTP
-  const activeCategory = isAuthenticatorActive
-    ? null
-    : (routerData?.recordType ?? null)
+  const isPasswordHealthActive =
+    routerData?.view === VAULT_VIEWS.PASSWORD_HEALTH
+  const isTrashActive = routerData?.view === VAULT_VIEWS.TRASH
+  const activeCategory =
+    isAuthenticatorActive || isPasswordHealthActive || isTrashActive
+      ? null
+      : (routerData?.recordType ?? null)
   const isFavoritesActive = routerData?.folder === FAVORITES_FOLDER_ID
   const selectedFolderName =
     routerData?.folder && !isFavoritesActive ? routerData.folder : null
+  const selectedTag = routerData?.tag ?? null
 
-  const customFolders = useMemo(() => {
+  const { folderPaths, folderTree } = useMemo(() => {
     const raw = Object.values(foldersData?.customFolders ?? {}) as Array<{
       name: string
       records: Array<{ data?: unknown }>
     }>
 
-    return sortByName(
-      raw.map((folder) => ({
-        name: folder.name,
-        count: folder.records.filter((record) => !!record.data).length
-      }))
+    return {
+      folderPaths: raw.map((folder) => folder.name),
+      folderTree: buildFolderTree(
+        raw.map((folder) => ({
+          name: folder.name,
+          count: folder.records.filter((record) => !!record.data).length
+        }))
+      )
+    }
+  }, [foldersData])
+
+  // Every record sits either in no folder or in exactly one custom folder
+  const recordsById = useMemo(() => {
+    const folders = Object.values(foldersData?.customFolders ?? {}) as Array<{
+      records: TransferRecord[]
+    }>
+    const records = [
+      ...((foldersData?.noFolder?.records ?? []) as TransferRecord[]),
+      ...folders.flatMap((folder) => folder.records)
+    ]
+    return new Map(
+      records
+        .filter((record) => !!record.data)
+        .map((record) => [record.id, record])
     )
   }, [foldersData])
 
+  const getRecordsByIds = (ids: string[]) =>
+    ids
+      .map((id) => recordsById.get(id))
+      .filter((record): record is TransferRecord => !!record)
+
+  const visibleFolders = useMemo(
+    () => flattenFolderTree(folderTree, collapsedFolders),
+    [folderTree, collapsedFolders]
+  )
+
   const favoritesCount =
     (foldersData?.favorites?.records?.length as number | undefined) ?? 0
 
@@ -107,7 +171,8 @@ export const Sidebar = () => {
   const handleCategoryClick = (type: string) => {
     navigate('vault', {
       recordType: type,
-      ...(currentFolder ? { folder: currentFolder } : {})
+      ...(currentFolder ? { folder: currentFolder } : {}),
+      ...(selectedTag ? { tag: selectedTag } : {})
     })
   }
 
@@ -119,20 +184,114 @@ export const Sidebar = () => {
     navigate('vault', { recordType: folderClickRecordType })
   }
 
+  // Clicking the selected tag again shows everything
+  const handleTagClick = (tag: string) => {
+    navigate('vault', {
+      recordType: folderClickRecordType,
+      ...(tag !== selectedTag ? { tag } : {})
+    })
+  }
+
+  const handleSavedSearchClick = (query: string) => {
+    setSearchValue(query)
+    navigate('vault', { recordType: 'all' })
+  }
+
   const handleAddFolderClick = () => {
     setModal(<CreateFolderModalContent onClose={closeModal} />)
   }
 
+  const handleAddSubfolder = (parentPath: string) => {
+    setCollapsedFolders((current) => {
+      const next = new Set(current)
+      next.delete(parentPath)
+      return next
+    })
+    setModal(
+      <CreateFolderModalContent parentFolder={parentPath} onClose={closeModal} />
+    )
+  }
+
+  const handleToggleFolder = (path: string) => {
+    setCollapsedFolders((current) => {
+      const next = new Set(current)
+      if (next.has(path)) {
+        next.delete(path)
+      } else {
+        next.add(path)
+      }
+      return next
+    })
+  }
+
+  // A folder can't go into itself, its own subfolders or where it already is
+  const canDropFolder = (parentPath: string | null) =>
+    !!draggedFolder &&
+    getParentFolderPath(draggedFolder) !== parentPath &&
+    (parentPath === null || !isInFolderSubtree(parentPath, draggedFolder))
+
+  const handleMoveFolder = async (path: string, parentPath: string | null) => {
+    const moves = getFolderMoves(folderPaths, path, parentPath)
+    if (!moves.length || folderPaths.includes(moves[0].to)) return
+
+    for (const move of moves) {
+      await renameFolder(move.from, move.to)
+    }
+
+    const current = routerData?.folder
+    if (current && isInFolderSubtree(current, path)) {
+      navigate('vault', {
+        recordType: currentRecordType,
+        folder: moves[0].to + current.slice(path.length)
+      })
+    }
+  }
+
+  // Folder rows take both folders and records dragged from the record list;
+  // `null` stands for All Folders, which holds records without a folder
+  const folderDropProps = (parentPath: string | null) => ({
+    onDragOver: (e: React.DragEvent) => {
+      if (hasDraggedRecords(e.dataTransfer)) {
+        e.preventDefault()
+        e.dataTransfer.dropEffect = 'move'
+        setFolderDropTarget(parentPath ?? '')
+        return
+      }
+      if (!canDropFolder(parentPath)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      setFolderDropTarget(parentPath ?? '')
+    },
+    onDragLeave: () => setFolderDropTarget(null),
+    onDrop: (e: React.DragEvent) => {
+      if (hasDraggedRecords(e.dataTransfer)) {
+        e.preventDefault()
+        setFolderDropTarget(null)
+        void moveRecordsToFolder(
+          getRecordsByIds(getDraggedRecordIds(e.dataTransfer)),
+          parentPath
+        )
+        return
+      }
+      if (!draggedFolder || !canDropFolder(parentPath)) return
+      e.preventDefault()
+      setFolderDropTarget(null)
+      setDraggedFolder(null)
+      void handleMoveFolder(draggedFolder, parentPath)
+    }
+  })
+
   const handleRenameFolder = (folderName: string) => {
     setModal(
       <CreateFolderModalContent
         initialValues={{ title: folderName }}
         onClose={closeModal}
         onRename={(newName, previousName) => {
-          if (routerData?.folder === previousName) {
+          const current = routerData?.folder
+          if (current && isInFolderSubtree(current, previousName)) {
             navigate('vault', {
               recordType: currentRecordType,
-              folder: newName
+              folder: newName + current.slice(previousName.length)
             })
           }
         }}
@@ -140,12 +299,15 @@ export const Sidebar = () => {
     )
   }
 
-  const handleDeleteFolder = (folderName: string, count: number) => {
+  // `count` includes the items of the subfolders
+  const handleDeleteFolder = async (folderName: string, count: number) => {
     if (count === 0) {
-      void deleteFolder(folderName)
-      if (routerData?.folder === folderName) {
+      if (isInFolderSubtree(routerData?.folder, folderName)) {
         navigate('vault', { recordType: currentRecordType })
       }
+      for (const path of getSubtreeFolderPaths(folderPaths, folderName)) {
+        await deleteFolder(path)
+      }
       return
     }
     setModal(
@@ -172,7 +334,12 @@ export const Sidebar = () => {
     }
   }
 
-  const isAllFoldersActive = !isAuthenticatorActive && !routerData?.folder
+  const isAllFoldersActive =
+    !isAuthenticatorActive &&
+    !isPasswordHealthActive &&
+    !isTrashActive &&
+    !routerData?.folder &&
+    !selectedTag
 
   const iconTextPrimary = { color: theme.colors.colorTextPrimary }
   const iconTextSecondary = { color: theme.colors.colorTextSecondary }
@@ -212,7 +379,14 @@ export const Sidebar = () => {
     )
 
     return (
-      <div style={styles.vaultSelector} data-testid="sidebar-vault-selector">
+      <div
+        style={styles.vaultSelector}
+        data-testid="sidebar-vault-selector"
+        onDragEnter={(e) => {
+          // Records dragged here can go to another vault
+          if (hasDraggedRecords(e.dataTransfer)) setIsVaultSelectorOpen(true)
+        }}
+      >
         <div style={isCollapsed ? styles.vaultIconHidden : undefined}>
           <LockFilled width={16} height={16} style={iconTextPrimary} />
         </div>
@@ -253,7 +427,13 @@ export const Sidebar = () => {
       <div style={styles.scrollContainer}>
         <div style={styles.scrollArea}>
         {isVaultSelectorOpen && (
-          <VaultSelector onClose={() => setIsVaultSelectorOpen(false)} />
+          <VaultSelector
+            onClose={() => setIsVaultSelectorOpen(false)}
+            onDropRecords={(vault, ids, mode) => {
+              setIsVaultSelectorOpen(false)
+              void transferRecordsToVault(getRecordsByIds(ids), vault, mode)
+            }}
+          />
         )}
 
         {!isVaultSelectorOpen && (
@@ -330,24 +510,36 @@ export const Sidebar = () => {
 
           {isFoldersExpanded && (
             <>
-              <NavbarListItem
-                testID="sidebar-folder-all"
-                label={t('All Folders')}
-                count={isCollapsed ? undefined : recordCounts?.all ?? 0}
-                selected={isAllFoldersActive}
-                variant={isAllFoldersActive ? 'default' : 'secondary'}
-                size="small"
-                icon={
-                  <FolderCopy
-                    color={
-                      isAllFoldersActive
-                        ? theme.colors.colorTextPrimary
-                        : theme.colors.colorTextSecondary
-                    }
-                  />
-                }
-                onClick={handleAllFoldersClick}
-              />
+              {/* Dropping a folder on All Folders moves it to the top level */}
+              <div
+                style={{
+                  ...styles.folderTreeRow,
+                  ...(folderDropTarget === ''
+                    ? styles.folderTreeRowDropTarget
+                    : {})
+                }}
+                data-testid="sidebar-folder-all-drop"
+                {...folderDropProps(null)}
+              >
+                <NavbarListItem
+                  testID="sidebar-folder-all"
+                  label={t('All Folders')}
+                  count={isCollapsed ? undefined : recordCounts?.all ?? 0}
+                  selected={isAllFoldersActive}
+                  variant={isAllFoldersActive ? 'default' : 'secondary'}
+                  size="small"
+                  icon={
+                    <FolderCopy
+                      color={
+                        isAllFoldersActive
+                          ? theme.colors.colorTextPrimary
+                          : theme.colors.colorTextSecondary
+                      }
+                    />
+                  }
+                  onClick={handleAllFoldersClick}
+                />
+              </div>
 
               <NavbarListItem
                 testID="sidebar-folder-favorites"
@@ -366,35 +558,173 @@ export const Sidebar = () => {
                 onClick={() => handleFolderClick(FAVORITES_FOLDER_ID)}
               />
 
-              {customFolders.map((folder) => (
+              {visibleFolders.map((folder) => (
                 <FolderRow
-                  key={folder.name}
+                  key={folder.path}
                   folder={folder}
-                  selected={selectedFolderName === folder.name}
+                  selected={selectedFolderName === folder.path}
                   isCollapsed={isCollapsed}
-                  menuOpen={openFolderMenu === folder.name}
+                  isExpanded={!collapsedFolders.has(folder.path)}
+                  isDropTarget={folderDropTarget === folder.path}
+                  menuOpen={openFolderMenu === folder.path}
                   onMenuOpenChange={(open) =>
-                    setOpenFolderMenu(open ? folder.name : null)
+                    setOpenFolderMenu(open ? folder.path : null)
                   }
                   styles={styles}
                   theme={theme}
                   onSelect={handleFolderClick}
+                  onToggle={handleToggleFolder}
+                  onAddSubfolder={handleAddSubfolder}
                   onRename={handleRenameFolder}
                   onDelete={handleDeleteFolder}
+                  onDragStart={setDraggedFolder}
+                  onDragEnd={() => {
+                    setDraggedFolder(null)
+                    setFolderDropTarget(null)
+                  }}
+                  dropProps={folderDropProps(folder.path)}
                   t={t}
                 />
               ))}
             </>
           )}
         </div>
+
+        {vaultTags.length > 0 && (
+          <>
+            <hr style={styles.divider} />
+
+            <div style={styles.sectionList} data-testid="sidebar-tags">
+              <div style={styles.foldersHeader}>
+                <div style={styles.foldersHeaderLabel}>
+                  <Text
+                    variant="labelEmphasized"
+                    color={theme.colors.colorTextSecondary}
+                  >
+                    {t('Tags')}
+                  </Text>
+                </div>
+              </div>
+
+              {vaultTags.map(({ tag, count }) => {
+                const selected =
+                  !!selectedTag && selectedTag.toLowerCase() === tag.toLowerCase()
+                return (
+                  <NavbarListItem
+                    key={tag}
+                    testID={`sidebar-tag-${tag}`}
+                    label={tag}
+                    count={isCollapsed ? undefined : count}
+                    selected={selected}
+                    variant={selected ? 'default' : 'secondary'}
+                    size="small"
+                    onClick={() => handleTagClick(tag)}
+                  />
+                )
+              })}
+            </div>
+          </>
+        )}
+
+        {savedSearches.length > 0 && (
+          <>
+            <hr style={styles.divider} />
+
+            <div style={styles.sectionList} data-testid="sidebar-saved-searches">
+              <div style={styles.foldersHeader}>
+                <div style={styles.foldersHeaderLabel}>
+                  <Text
+                    variant="labelEmphasized"
+                    color={theme.colors.colorTextSecondary}
+                  >
+                    {t('Saved Searches')}
+                  </Text>
+                </div>
+              </div>
+
+              {savedSearches.map((query, index) => {
+                const selected = searchValue.trim() === query
+                return (
+                  <div key={query} style={styles.savedSearchRow}>
+                    <div style={styles.savedSearchItem}>
+                      <NavbarListItem
+                        testID={`sidebar-saved-search-${index}`}
+                        label={query}
+                        selected={selected}
+                        variant={selected ? 'default' : 'secondary'}
+                        size="small"
+                        icon={
+                          <FilterList
+                            color={
+                              selected
+                                ? theme.colors.colorTextPrimary
+                                : theme.colors.colorTextSecondary
+                            }
+                          />
+                        }
+                        onClick={() => handleSavedSearchClick(query)}
+                      />
+                    </div>
+                    {!isCollapsed && (
+                      <Button
+                        variant="tertiary"
+                        size="small"
+                        onClick={() => removeSavedSearch(query)}
+                        data-testid={`sidebar-saved-search-remove-${index}`}
+                        aria-label={t('Remove saved search')}
+                        iconBefore={<Close style={iconTextSecondary} />}
+                      />
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </>
+        )}
           </>
         )}
         </div>
         <div style={styles.fadeGradient} aria-hidden="true" />
       </div>
 
-      {AUTHENTICATOR_ENABLED && (
-        <div style={styles.footerSection}>
+      <div style={styles.footerSection}>
+        <NavbarListItem
+          testID="sidebar-password-health"
+          label={t('Password Health')}
+          size="small"
+          selected={isPasswordHealthActive}
+          variant={isPasswordHealthActive ? 'default' : 'secondary'}
+          icon={
+            <SecurityFilled
+              color={
+                isPasswordHealthActive
+                  ? theme.colors.colorTextPrimary
+                  : theme.colors.colorTextSecondary
+              }
+            />
+          }
+          onClick={() =>
+            navigate('vault', { view: VAULT_VIEWS.PASSWORD_HEALTH })
+          }
+        />
+        <NavbarListItem
+          testID="sidebar-trash"
+          label={t('Trash')}
+          size="small"
+          selected={isTrashActive}
+          variant={isTrashActive ? 'default' : 'secondary'}
+          icon={
+            <TrashOutlined
+              color={
+                isTrashActive
+                  ? theme.colors.colorTextPrimary
+                  : theme.colors.colorTextSecondary
+              }
+            />
+          }
+          onClick={() => navigate('vault', { view: VAULT_VIEWS.TRASH })}
+        />
+        {AUTHENTICATOR_ENABLED && (
           <NavbarListItem
             testID="sidebar-authenticator"
             label={t('Authenticator')}
@@ -416,8 +746,8 @@ export const Sidebar = () => {
             }
             onClick={() => navigate('vault', { recordType: RECORD_TYPES.OTP })}
           />
-        </div>
-      )}
+        )}
+      </div>
 
       <div style={styles.footerSection}>
         <NavbarListItem
@@ -442,16 +772,26 @@ export const Sidebar = () => {
 }
 
 type FolderRowProps = {
-  folder: { name: string; count: number }
+  folder: FolderTreeNode
   selected: boolean
   isCollapsed: boolean
+  isExpanded: boolean
+  isDropTarget: boolean
   menuOpen: boolean
   onMenuOpenChange: (open: boolean) => void
   styles: ReturnType<typeof createStyles>
   theme: ReturnType<typeof useTheme>['theme']
   onSelect: (folderName: string) => void
+  onToggle: (folderName: string) => void
+  onAddSubfolder: (folderName: string) => void
   onRename: (folderName: string) => void
   onDelete: (folderName: string, count: number) => void
+  onDragStart: (folderName: string) => void
+  onDragEnd: () => void
+  dropProps: Pick<
+    React.HTMLAttributes<HTMLDivElement>,
+    'onDragOver' | 'onDragLeave' | 'onDrop'
+  >
   t: ReturnType<typeof useTranslation>['t']
 }
 
@@ -459,18 +799,28 @@ const FolderRow = ({
   folder,
   selected,
   isCollapsed,
+  isExpanded,
+  isDropTarget,
   menuOpen,
   onMenuOpenChange,
   styles,
   theme,
   onSelect,
+  onToggle,
+  onAddSubfolder,
   onRename,
   onDelete,
+  onDragStart,
+  onDragEnd,
+  dropProps,
   t
 }: FolderRowProps) => {
   const iconColor = selected
     ? theme.colors.colorTextPrimary
     : theme.colors.colorTextSecondary
+  const hasChildren = folder.children.length > 0
+  // A collapsed folder counts the items hidden in its subfolders as well
+  const count = isExpanded ? folder.count : folder.totalCount
 
   const withMenuClose = (handler: () => void) => () => {
     onMenuOpenChange(false)
@@ -479,34 +829,88 @@ const FolderRow = ({
 
   return (
     <div style={styles.folderRow}>
-      <NavbarListItem
-        testID={`sidebar-folder-${folder.name}`}
-        label={folder.name}
-        count={isCollapsed ? undefined : folder.count}
-        selected={selected}
-        variant={selected ? 'default' : 'secondary'}
-        size="small"
-        icon={<Folder color={iconColor} />}
-        onClick={() => onSelect(folder.name)}
-        onContextMenu={(e: React.MouseEvent) => {
-          e.preventDefault()
-          onMenuOpenChange(true)
+      <div
+        style={{
+          ...styles.folderTreeRow,
+          ...(isDropTarget ? styles.folderTreeRowDropTarget : {})
         }}
-      />
+        draggable={!isCollapsed}
+        onDragStart={(e: React.DragEvent) => {
+          e.dataTransfer.setData(DRAG_DATA_TYPES.FOLDER, folder.path)
+          e.dataTransfer.effectAllowed = 'move'
+          onDragStart(folder.path)
+        }}
+        onDragEnd={onDragEnd}
+        {...dropProps}
+        data-testid={`sidebar-folder-row-${folder.path}`}
+      >
+        {!isCollapsed && (
+          <>
+            <span
+              style={{ width: folder.depth * FOLDER_TREE_INDENT_PX }}
+              aria-hidden="true"
+            />
+            <span style={styles.folderTreeToggle}>
+              {hasChildren && (
+                <Pressable
+                  onClick={() => onToggle(folder.path)}
+                  data-testid={`sidebar-folder-toggle-${folder.path}`}
+                  aria-label={
+                    isExpanded ? t('Collapse folder') : t('Expand folder')
+                  }
+                >
+                  <ExpandMore
+                    width={16}
+                    height={16}
+                    style={{
+                      color: theme.colors.colorTextSecondary,
+                      ...styles.chevron,
+                      transform: `rotate(${isExpanded ? 0 : -90}deg)`
+                    }}
+                  />
+                </Pressable>
+              )}
+            </span>
+          </>
+        )}
+        <div style={styles.folderTreeItem}>
+          <NavbarListItem
+            testID={`sidebar-folder-${folder.path}`}
+            label={folder.name}
+            count={isCollapsed ? undefined : count}
+            selected={selected}
+            variant={selected ? 'default' : 'secondary'}
+            size="small"
+            icon={<Folder color={iconColor} />}
+            onClick={() => onSelect(folder.path)}
+            onContextMenu={(e: React.MouseEvent) => {
+              e.preventDefault()
+              onMenuOpenChange(true)
+            }}
+          />
+        </div>
+      </div>
       <div style={styles.folderRowMenuAnchor}>
         <ContextMenu
           open={menuOpen}
           onOpenChange={onMenuOpenChange}
           menuWidth={FOLDER_CONTEXT_MENU_WIDTH}
-          testID={`sidebar-folder-menu-${folder.name}`}
+          testID={`sidebar-folder-menu-${folder.path}`}
           trigger={<span style={styles.folderRowMenuTrigger} />}
         >
+          <NavbarListItem
+            size="small"
+            icon={<CreateNewFolder color={theme.colors.colorTextPrimary} />}
+            label={t('New Subfolder')}
+            testID={`sidebar-folder-menu-subfolder-${folder.path}`}
+            onClick={withMenuClose(() => onAddSubfolder(folder.path))}
+          />
           <NavbarListItem
             size="small"
             icon={<EditOutlined color={theme.colors.colorTextPrimary} />}
             label={t('Rename Folder')}
-            testID={`sidebar-folder-menu-rename-${folder.name}`}
-            onClick={withMenuClose(() => onRename(folder.name))}
+            testID={`sidebar-folder-menu-rename-${folder.path}`}
+            onClick={withMenuClose(() => onRename(folder.path))}
           />
           <NavbarListItem
             size="small"
@@ -517,8 +921,10 @@ const FolderRow = ({
               />
             }
             label={t('Delete Folder')}
-            testID={`sidebar-folder-menu-delete-${folder.name}`}
-            onClick={withMenuClose(() => onDelete(folder.name, folder.count))}
+            testID={`sidebar-folder-menu-delete-${folder.path}`}
+            onClick={withMenuClose(() =>
+              onDelete(folder.path, folder.totalCount)
+            )}
           />
         </ContextMenu>
       </div>
@@ -40,6 +40,11 @@ export const createStyles = (colors: ThemeColors) => ({
     paddingInline: `${rawTokens.spacing8}px`
   },
 
+  vaultRowDropTarget: {
+    borderRadius: rawTokens.radius8,
+    outline: `1px solid ${colors.colorPrimary}`
+  },
+
   rowActions: {
     display: 'flex' as const,
     alignItems: 'center' as const,
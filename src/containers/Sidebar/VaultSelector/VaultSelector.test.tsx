@@ -0,0 +1,153 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { createEvent, fireEvent, render, screen } from '@testing-library/react'
+
+const mockSwitchVault = jest.fn()
+
+jest.mock('@tetherto/pearpass-lib-constants', () => ({
+  UNSUPPORTED: false
+}))
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useInvite: () => ({ data: null, createInvite: jest.fn() }),
+  useVault: () => ({ data: { id: 'v1', name: 'Personal' } }),
+  useVaults: () => ({
+    data: [
+      { id: 'v1', name: 'Personal' },
+      { id: 'v2', name: 'Work' }
+    ]
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const React = require('react')
+  return {
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    Button: ({ 'data-testid': dataTestId }: { 'data-testid'?: string }) =>
+      React.createElement('button', {
+        type: 'button',
+        'data-testid': dataTestId
+      }),
+    ContextMenu: () => null,
+    NavbarListItem: () => null,
+    ListItem: ({
+      title,
+      onClick,
+      testID
+    }: {
+      title: string
+      onClick?: () => void
+      testID?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', 'data-testid': testID, onClick },
+        title
+      ),
+    Text: ({ children }: { children: React.ReactNode }) =>
+      React.createElement('span', null, children)
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => {
+  const iconStub = () => null
+  return {
+    Add: iconStub,
+    Devices: iconStub,
+    EditOutlined: iconStub,
+    Key: iconStub,
+    LockFilled: iconStub,
+    MoreVert: iconStub,
+    PersonAddAlt: iconStub,
+    Share: iconStub,
+    TrashOutlined: iconStub
+  }
+})
+
+jest.mock('../../../context/LoadingContext', () => ({
+  useLoadingContext: () => ({ setIsLoading: jest.fn() })
+}))
+
+jest.mock('../../../context/ModalContext', () => ({
+  useModal: () => ({ setModal: jest.fn(), closeModal: jest.fn() })
+}))
+
+jest.mock('../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({ t: (s: string) => s })
+}))
+
+jest.mock('../../../hooks/useVaultSwitch', () => ({
+  useVaultSwitch: () => ({ switchVault: mockSwitchVault })
+}))
+
+jest.mock('../../Modal/AddDeviceModalContent/AddDeviceModalContent', () => ({
+  AddDeviceModalContent: () => null
+}))
+jest.mock(
+  '../../Modal/CreateOrEditVaultModalContent/CreateOrEditVaultModalContent',
+  () => ({ CreateOrEditVaultModalContent: () => null })
+)
+jest.mock('../../Modal/DeleteVaultModalContent', () => ({
+  DeleteVaultModalContent: () => null
+}))
+jest.mock('../../Modal/ModifyVaultModalContent', () => ({
+  ModifyVaultModalContent: () => null
+}))
+jest.mock('../../Modal/PairedDevicesModalContent', () => ({
+  PairedDevicesModalContent: () => null
+}))
+
+import { VaultSelector } from './VaultSelector'
+
+const makeDataTransfer = (ids: string[]) => ({
+  types: ['application/x-pearpass-records'],
+  getData: () => JSON.stringify(ids),
+  dropEffect: ''
+})
+
+describe('VaultSelector — dropping records', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('moves records dropped on another vault, or copies them with Alt held', () => {
+    const onDropRecords = jest.fn()
+    render(<VaultSelector onDropRecords={onDropRecords} />)
+
+    const target = screen.getByTestId('vault-row-drop-v2')
+    const dataTransfer = makeDataTransfer(['r1', 'r2'])
+
+    fireEvent.dragOver(target, { dataTransfer })
+    expect(dataTransfer.dropEffect).toBe('move')
+    fireEvent.drop(target, { dataTransfer })
+    // jsdom has no DragEvent, so the modifier key is set by hand
+    const copyDrop = createEvent.drop(target, { dataTransfer })
+    Object.defineProperty(copyDrop, 'altKey', { value: true })
+    fireEvent(target, copyDrop)
+
+    expect(onDropRecords.mock.calls).toEqual([
+      [{ id: 'v2', name: 'Work' }, ['r1', 'r2'], 'move'],
+      [{ id: 'v2', name: 'Work' }, ['r1', 'r2'], 'copy']
+    ])
+  })
+
+  it('does not take drops on the active vault', () => {
+    render(<VaultSelector onDropRecords={jest.fn()} />)
+
+    expect(screen.queryByTestId('vault-row-drop-v1')).toBeNull()
+    expect(screen.getByTestId('vault-row-v1')).toBeInTheDocument()
+  })
+
+  it('ignores drops that carry no records', () => {
+    const onDropRecords = jest.fn()
+    render(<VaultSelector onDropRecords={onDropRecords} />)
+
+    fireEvent.drop(screen.getByTestId('vault-row-drop-v2'), {
+      dataTransfer: { types: ['Files'], getData: () => '' }
+    })
+
+    expect(onDropRecords).not.toHaveBeenCalled()
+  })
+})
@@ -30,7 +30,9 @@ import {
 import { createStyles, VAULT_ACTIONS_MENU_WIDTH } from './VaultSelector.styles'
 import { useLoadingContext } from '../../../context/LoadingContext'
 import { useModal } from '../../../context/ModalContext'
+import type { VaultTransferMode } from '../../../hooks/useRecordTransfer'
 import { useTranslation } from '../../../hooks/useTranslation'
+import { getDraggedRecordIds, hasDraggedRecords } from '../../../utils/dragData'
 import { sortByName } from '../../../utils/sortByName'
 import { AddDeviceModalContent } from '../../Modal/AddDeviceModalContent/AddDeviceModalContent'
 import { CreateOrEditVaultModalContent } from '../../Modal/CreateOrEditVaultModalContent/CreateOrEditVaultModalContent'
@@ -41,9 +43,18 @@ import { useVaultSwitch } from '../../../hooks/useVaultSwitch'
 
 type VaultSelectorProps = {
   onClose?: () => void
+  /** Records dropped on another vault, to move or copy there */
+  onDropRecords?: (
+    vault: Vault,
+    recordIds: string[],
+    mode: VaultTransferMode
+  ) => void
 }
 
-export const VaultSelector = ({ onClose }: VaultSelectorProps = {}) => {
+export const VaultSelector = ({
+  onClose,
+  onDropRecords
+}: VaultSelectorProps = {}) => {
   const { t } = useTranslation()
   const { theme } = useTheme()
   const styles = createStyles(theme.colors)
@@ -170,6 +181,7 @@ export const VaultSelector = ({ onClose }: VaultSelectorProps = {}) => {
             onManageMembers={handleInvite}
             onSetPassword={handleSetPassword}
             onDelete={handleDelete}
+            onDropRecords={onDropRecords}
           />
         ))}
       </div>
@@ -190,8 +202,13 @@ type VaultRowProps = {
   onManageMembers: (vault: Vault) => void
   onSetPassword: (vault: Vault) => void
   onDelete: (vault: Vault) => void
+  onDropRecords?: VaultSelectorProps['onDropRecords']
 }
 
+// Holding Alt or Ctrl copies the records instead of moving them
+const getDropMode = (event: React.DragEvent): VaultTransferMode =>
+  event.altKey || event.ctrlKey ? 'copy' : 'move'
+
 const VaultRow = ({
   vault,
   isActive,
@@ -204,10 +221,12 @@ const VaultRow = ({
   onViewDevices,
   onManageMembers,
   onSetPassword,
-  onDelete
+  onDelete,
+  onDropRecords
 }: VaultRowProps) => {
   const { t } = useTranslation()
   const [menuOpen, setMenuOpen] = useState(false)
+  const [isDropTarget, setIsDropTarget] = useState(false)
 
   const withMenuClose = (handler: (vault: Vault) => void) => () => {
     setMenuOpen(false)
@@ -308,7 +327,7 @@ const VaultRow = ({
     </div>
   )
 
-  return (
+  const row = (
     <ListItem
       icon={<LockFilled color={iconPrimary.color} />}
       iconSize={16}
@@ -320,4 +339,31 @@ const VaultRow = ({
       rightElement={isActive ? rightElement : undefined}
     />
   )
+
+  if (isActive || !onDropRecords) return row
+
+  return (
+    <div
+      style={isDropTarget ? styles.vaultRowDropTarget : undefined}
+      data-testid={`vault-row-drop-${vault.id}`}
+      onDragOver={(event) => {
+        if (!hasDraggedRecords(event.dataTransfer)) return
+        event.preventDefault()
+        event.dataTransfer.dropEffect = getDropMode(event)
+        setIsDropTarget(true)
+      }}
+      onDragLeave={() => setIsDropTarget(false)}
+      onDrop={(event) => {
+        if (!hasDraggedRecords(event.dataTransfer)) return
+        event.preventDefault()
+        setIsDropTarget(false)
+        const recordIds = getDraggedRecordIds(event.dataTransfer)
+        if (recordIds.length) {
+          onDropRecords(vault, recordIds, getDropMode(event))
+        }
+      }}
+    >
+      {row}
+    </div>
+  )
 }
@@ -82,3 +82,52 @@ describe('AppHeaderContext', () => {
     expect(screen.getByTestId('menu-open')).toHaveTextContent('false')
   })
 })
+
+describe('AppHeaderContext — saved searches', () => {
+  const wrapper = ({ children }) => (
+    <AppHeaderContextProvider>{children}</AppHeaderContextProvider>
+  )
+
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('saves searches once and keeps them on this device', () => {
+    const { result } = renderHook(() => useAppHeaderContext(), { wrapper })
+
+    act(() => {
+      result.current.saveSearch(' type:login is:favorite ')
+      result.current.saveSearch('type:login is:favorite')
+      result.current.saveSearch('has:otp')
+    })
+
+    expect(result.current.savedSearches).toEqual([
+      'type:login is:favorite',
+      'has:otp'
+    ])
+    expect(JSON.parse(localStorage.getItem('saved-searches'))).toEqual([
+      'type:login is:favorite',
+      'has:otp'
+    ])
+
+    const { result: reloaded } = renderHook(() => useAppHeaderContext(), {
+      wrapper
+    })
+    expect(reloaded.current.savedSearches).toEqual([
+      'type:login is:favorite',
+      'has:otp'
+    ])
+  })
+
+  it('removes a saved search', () => {
+    localStorage.setItem('saved-searches', JSON.stringify(['has:otp', 'bank']))
+    const { result } = renderHook(() => useAppHeaderContext(), { wrapper })
+
+    act(() => {
+      result.current.removeSavedSearch('has:otp')
+    })
+
+    expect(result.current.savedSearches).toEqual(['bank'])
+    expect(JSON.parse(localStorage.getItem('saved-searches'))).toEqual(['bank'])
+  })
+})
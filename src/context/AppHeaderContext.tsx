@@ -1,5 +1,6 @@
 import React, {
   createContext,
+  useCallback,
   useContext,
   useMemo,
   useState,
@@ -8,15 +9,41 @@ import React, {
   type SetStateAction
 } from 'react'
 
+import { LOCAL_STORAGE_KEYS } from '../constants/localStorage'
+
 export type AppHeaderContextState = {
   searchValue: string
   setSearchValue: Dispatch<SetStateAction<string>>
+  /** Search queries saved on this device, listed in the Sidebar */
+  savedSearches: string[]
+  saveSearch: (query: string) => void
+  removeSavedSearch: (query: string) => void
   isAddMenuOpen: boolean
   setIsAddMenuOpen: Dispatch<SetStateAction<boolean>>
 }
 
 const AppHeaderContext = createContext<AppHeaderContextState | null>(null)
 
+const readSavedSearches = (): string[] => {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(LOCAL_STORAGE_KEYS.SAVED_SEARCHES) ?? '[]'
+    )
+    return Array.isArray(stored)
+      ? stored.filter((query) => typeof query === 'string' && query.trim())
+      : []
+  } catch {
+    return []
+  }
+}
+
+const writeSavedSearches = (queries: string[]) => {
+  localStorage.setItem(
+    LOCAL_STORAGE_KEYS.SAVED_SEARCHES,
+    JSON.stringify(queries)
+  )
+}
+
 export const AppHeaderContextProvider = ({
   children
 }: {
@@ -24,15 +51,38 @@ export const AppHeaderContextProvider = ({
 }) => {
   const [searchValue, setSearchValue] = useState('')
   const [isAddMenuOpen, setIsAddMenuOpen] = useState(false)
+  const [savedSearches, setSavedSearches] = useState(readSavedSearches)
+
+  const saveSearch = useCallback((query: string) => {
+    const trimmed = query.trim()
+    if (!trimmed) return
+    setSavedSearches((prev) => {
+      if (prev.includes(trimmed)) return prev
+      const next = [...prev, trimmed]
+      writeSavedSearches(next)
+      return next
+    })
+  }, [])
+
+  const removeSavedSearch = useCallback((query: string) => {
+    setSavedSearches((prev) => {
+      const next = prev.filter((saved) => saved !== query)
+      writeSavedSearches(next)
+      return next
+    })
+  }, [])
 
   const value = useMemo(
     (): AppHeaderContextState => ({
       searchValue,
       setSearchValue,
+      savedSearches,
+      saveSearch,
+      removeSavedSearch,
       isAddMenuOpen,
       setIsAddMenuOpen
     }),
-    [searchValue, isAddMenuOpen]
+    [searchValue, savedSearches, saveSearch, removeSavedSearch, isAddMenuOpen]
   )
 
   return (
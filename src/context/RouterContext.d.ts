@@ -5,8 +5,10 @@ export type RouterData = {
   recordId?: string
   recordType?: string
   folder?: string
+  tag?: string
   vaultId?: string
   initialTab?: string
+  view?: string
 } & Record<string, unknown>
 
 export type RouterContextValue = {
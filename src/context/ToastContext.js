@@ -15,11 +15,34 @@ export const ToastProvider = ({ children }) => {
   const [stack, setStack] = useState([])
 
   const setToast = (data) => {
-    setStack((prev) => [...prev, data])
+    let current = data
+    let timeout
 
-    setTimeout(() => {
-      setStack((prev) => prev.slice(1))
-    }, 3000)
+    const dismiss = () => {
+      clearTimeout(timeout)
+      setStack((prev) => prev.filter((toast) => toast !== current))
+    }
+
+    // A `duration` of 0 keeps the toast until it is updated or dismissed
+    const scheduleDismiss = () => {
+      clearTimeout(timeout)
+      const duration = current.duration ?? 3000
+      if (duration > 0) timeout = setTimeout(dismiss, duration)
+    }
+
+    const update = (next) => {
+      const previous = current
+      current = next
+      setStack((prev) =>
+        prev.map((toast) => (toast === previous ? current : toast))
+      )
+      scheduleDismiss()
+    }
+
+    setStack((prev) => [...prev, current])
+    scheduleDismiss()
+
+    return { update, dismiss }
   }
 
   return html`
@@ -31,8 +54,22 @@ export const ToastProvider = ({ children }) => {
 }
 
 /**
+ * @typedef {{
+ *  message: string
+ *  icon?: import('react').ElementType
+ *  action?: { label: string, onClick: () => void }
+ *  duration?: number
+ * }} ToastData
+ */
+
+/**
+ * `setToast` returns a handle to replace the toast while it is shown, e.g. to
+ * report progress, or to dismiss it early.
  * @returns {{
- *  setToast: (data: { message: string, icon?: import('react').ElementType }) => void
+ *  setToast: (data: ToastData) => {
+ *    update: (data: ToastData) => void
+ *    dismiss: () => void
+ *  }
  * }}
  */
 export const useToast = () => useContext(ToastContext)
@@ -139,4 +139,40 @@ describe('ToastContext', () => {
       })
     )
   })
+
+  it('should update a toast in place and keep it until dismissed', () => {
+    let setToastFn
+    let handle
+
+    render(
+      <ToastProvider>
+        <TestComponent
+          onToast={(fn) => {
+            setToastFn = fn
+          }}
+        />
+      </ToastProvider>
+    )
+
+    act(() => {
+      handle = setToastFn({ message: 'Moving 1 of 2', duration: 0 })
+    })
+
+    act(() => {
+      jest.advanceTimersByTime(5000)
+      handle.update({ message: 'Moving 2 of 2', duration: 0 })
+    })
+
+    let lastCall = Toasts.mock.calls[Toasts.mock.calls.length - 1]
+    expect(lastCall[0].toasts).toEqual([
+      { message: 'Moving 2 of 2', duration: 0 }
+    ])
+
+    act(() => {
+      handle.dismiss()
+    })
+
+    lastCall = Toasts.mock.calls[Toasts.mock.calls.length - 1]
+    expect(lastCall[0].toasts).toEqual([])
+  })
 })
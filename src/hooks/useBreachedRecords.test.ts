@@ -0,0 +1,58 @@
+import { renderHook, waitFor } from '@testing-library/react'
+
+import { useBreachedRecords } from './useBreachedRecords'
+
+describe('useBreachedRecords', () => {
+  const scanBreachedRecords = jest.fn<() => Promise<BreachScanResult | null>>()
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    window.electronAPI = {
+      scanBreachedRecords
+    } as unknown as Window['electronAPI']
+    scanBreachedRecords.mockResolvedValue({
+      checkedAt: 1,
+      checkedCount: 2,
+      breachedRecordIds: ['bank']
+    })
+  })
+
+  afterEach(() => {
+    delete window.electronAPI
+  })
+
+  it('returns the ids of breached records', async () => {
+    const records = [{ id: 'bank' }, { id: 'shop' }]
+
+    const { result } = renderHook(() => useBreachedRecords(records))
+
+    await waitFor(() =>
+      expect(result.current.breachedRecordIds.has('bank')).toBe(true)
+    )
+    expect(result.current.breachedRecordIds.has('shop')).toBe(false)
+    expect(result.current.result?.checkedCount).toBe(2)
+  })
+
+  it('rescans only when records change', async () => {
+    const { rerender } = renderHook(
+      ({ records }) => useBreachedRecords(records),
+      { initialProps: { records: [{ id: 'bank', updatedAt: 1 }] } }
+    )
+    await waitFor(() => expect(scanBreachedRecords).toHaveBeenCalledTimes(1))
+
+    rerender({ records: [{ id: 'bank', updatedAt: 1 }] })
+    rerender({ records: [{ id: 'bank', updatedAt: 2 }] })
+
+    await waitFor(() => expect(scanBreachedRecords).toHaveBeenCalledTimes(2))
+  })
+
+  it('reports nothing without a breach database', async () => {
+    scanBreachedRecords.mockResolvedValue(null)
+
+    const { result } = renderHook(() => useBreachedRecords([{ id: 'bank' }]))
+
+    await waitFor(() => expect(scanBreachedRecords).toHaveBeenCalled())
+    expect(result.current.result).toBeNull()
+    expect(result.current.breachedRecordIds.size).toBe(0)
+  })
+})
@@ -0,0 +1,62 @@
+import { useEffect, useMemo, useState } from 'react'
+
+type RecordLike = {
+  id: string
+  updatedAt?: number | string
+}
+
+const NO_BREACHES: ReadonlySet<string> = new Set()
+
+/**
+ * Checks the Login passwords of the active vault against the imported breach
+ * database. The main process does the hashing and lookups, so passwords never
+ * leave it; this only learns which records were found. Rescans whenever one
+ * of the given records is added, removed or edited.
+ * @param records - Records currently shown, used to tell when to rescan
+ * @returns result is null while locked or without a breach database, and
+ * keeps the previous scan while isScanning
+ */
+export const useBreachedRecords = (records?: RecordLike[] | null) => {
+  const [result, setResult] = useState<BreachScanResult | null>(null)
+  const [isScanning, setIsScanning] = useState(
+    () => !!window.electronAPI?.scanBreachedRecords
+  )
+
+  const recordsKey = useMemo(
+    () =>
+      (records ?? [])
+        .map((record) => `${record.id}:${record.updatedAt ?? ''}`)
+        .join('|'),
+    [records]
+  )
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI?.scanBreachedRecords) return
+
+    let isCurrent = true
+    setIsScanning(true)
+    electronAPI
+      .scanBreachedRecords()
+      .then((scan) => {
+        if (isCurrent) setResult(scan)
+      })
+      .catch(() => {
+        if (isCurrent) setResult(null)
+      })
+      .finally(() => {
+        if (isCurrent) setIsScanning(false)
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [recordsKey])
+
+  const breachedRecordIds = useMemo(
+    () => (result ? new Set(result.breachedRecordIds) : NO_BREACHES),
+    [result]
+  )
+
+  return { result, breachedRecordIds, isScanning }
+}
@@ -1,10 +1,13 @@
-import React, { useState } from 'react'
+import React, { useCallback, useEffect, useState } from 'react'
 
 import { ContentCopy } from '@tetherto/pearpass-lib-ui-kit/icons'
 
 import { useCopyToClipboard } from './useCopyToClipboard.electron'
 import { useTranslation } from './useTranslation'
+import { PAIRING_STATES } from '../constants/pairing'
+import { HANDLER_EVENTS } from '../constants/services'
 import { ExtensionPairingModalContent } from '../containers/Modal/ExtensionPairingModalContent/ExtensionPairingModalContent'
+import { ExtensionPermissionsModalContent } from '../containers/Modal/ExtensionPermissionsModalContent/ExtensionPermissionsModalContent'
 import { useGlobalLoading } from '../context/LoadingContext.js'
 import { useModal } from '../context/ModalContext'
 import { useToast } from '../context/ToastContext'
@@ -22,8 +25,11 @@ import {
 import {
   getFingerprint,
   getOrCreateIdentity,
+  getPairedClients,
   getPairingToken,
-  resetIdentity
+  resetIdentity,
+  revokeClient,
+  setClientScope
 } from '../services/security/appIdentity'
 import { clearAllSessions } from '../services/security/sessionStore.js'
 import {
@@ -44,6 +50,39 @@ export const useConnectExtension = () => {
   const [isBrowserExtensionEnabled, setIsBrowserExtensionEnabled] = useState(
     getNativeMessagingEnabled() && isNativeMessagingIPCRunning()
   )
+  const [pairedClients, setPairedClients] = useState(
+    /** @type {import('../services/security/appIdentity').PairedClient[]} */ ([])
+  )
+
+  const refreshPairedClients = useCallback(async () => {
+    const client = createOrGetPearpassClient()
+    const clients = await getPairedClients(client).catch(() => [])
+    setPairedClients(
+      clients.filter(
+        ({ pairingState }) => pairingState === PAIRING_STATES.CONFIRMED
+      )
+    )
+  }, [])
+
+  useEffect(() => {
+    if (!isBrowserExtensionEnabled) {
+      setPairedClients([])
+      return
+    }
+
+    refreshPairedClients()
+
+    // Extensions confirm pairing over IPC while this view is open
+    window.addEventListener(
+      HANDLER_EVENTS.extensionPairingChanged,
+      refreshPairedClients
+    )
+    return () =>
+      window.removeEventListener(
+        HANDLER_EVENTS.extensionPairingChanged,
+        refreshPairedClients
+      )
+  }, [isBrowserExtensionEnabled, refreshPairedClients])
 
   const handleSetupExtension = async () => {
     // Setup native messaging for the extension
@@ -126,21 +165,23 @@ export const useConnectExtension = () => {
     return result
   }
 
+  const showPairingModal = ({ pairingToken }) => {
+    setModal(
+      <ExtensionPairingModalContent
+        onCopy={() => copyToClipboard(pairingToken)}
+        pairingToken={pairingToken}
+        loadingPairing={isExtensionConnectionLoading}
+      />,
+      { replace: true }
+    )
+  }
+
   const toggleBrowserExtension = async (isOn) => {
     if (isOn) {
       setIsExtensionConnectionLoading(true)
       return handleSetupExtension()
         .then(loadPairingInfo)
-        .then(({ pairingToken }) => {
-          setModal(
-            <ExtensionPairingModalContent
-              onCopy={() => copyToClipboard(pairingToken)}
-              pairingToken={pairingToken}
-              loadingPairing={isExtensionConnectionLoading}
-            />,
-            { replace: true }
-          )
-        })
+        .then(showPairingModal)
         .catch((error) => {
           setToast({ message: t('Error: ') + error.message })
         })
@@ -152,8 +193,69 @@ export const useConnectExtension = () => {
     return handleStopNativeMessaging()
   }
 
+  /**
+   * Show the pairing code again so another browser can pair.
+   * Already paired browsers stay connected.
+   */
+  const pairAnotherBrowserExtension = async () => {
+    setIsExtensionConnectionLoading(true)
+    return loadPairingInfo()
+      .then(showPairingModal)
+      .catch((error) => {
+        setToast({ message: t('Error: ') + error.message })
+      })
+      .finally(() => {
+        setIsExtensionConnectionLoading(false)
+      })
+  }
+
+  /**
+   * Unpair a single browser extension, the others stay paired.
+   * @param {string} publicKey
+   */
+  const revokeBrowserExtensionClient = async (publicKey) => {
+    const client = createOrGetPearpassClient()
+    return revokeClient(client, publicKey)
+      .then(() => {
+        setToast({ message: t('Browser extension unpaired') })
+      })
+      .catch((error) => {
+        setToast({ message: t('Error: ') + error.message })
+      })
+      .finally(refreshPairedClients)
+  }
+
+  /**
+   * Open the permissions modal for a paired browser extension.
+   * @param {import('../services/security/appIdentity').PairedClient} pairedClient
+   */
+  const editBrowserExtensionPermissions = (pairedClient) => {
+    const client = createOrGetPearpassClient()
+    const saveScope = (scope) =>
+      setClientScope(client, pairedClient.publicKey, scope)
+        .then(() => {
+          setToast({ message: t('Permissions updated') })
+        })
+        .catch((error) => {
+          setToast({ message: t('Error: ') + error.message })
+        })
+        .finally(refreshPairedClients)
+
+    setModal(
+      <ExtensionPermissionsModalContent
+        label={pairedClient.label}
+        scope={pairedClient.scope}
+        onSave={saveScope}
+      />
+    )
+  }
+
   return {
     toggleBrowserExtension,
-    isBrowserExtensionEnabled
+    isBrowserExtensionEnabled,
+    pairedClients,
+    pairAnotherBrowserExtension,
+    revokeBrowserExtensionClient,
+    editBrowserExtensionPermissions
   }
 }
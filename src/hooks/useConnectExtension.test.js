@@ -21,6 +21,10 @@ jest.mock(
   '../containers/Modal/ExtensionPairingModalContent/ExtensionPairingModalContent',
   () => ({ ExtensionPairingModalContent: () => null })
 )
+jest.mock(
+  '../containers/Modal/ExtensionPermissionsModalContent/ExtensionPermissionsModalContent',
+  () => ({ ExtensionPermissionsModalContent: () => null })
+)
 
 import { act, renderHook, waitFor } from '@testing-library/react'
 
@@ -38,7 +42,10 @@ import {
 import {
   getFingerprint,
   getOrCreateIdentity,
-  getPairingToken
+  getPairedClients,
+  getPairingToken,
+  revokeClient,
+  setClientScope
 } from '../services/security/appIdentity'
 import {
   killNativeMessagingHostProcesses,
@@ -76,8 +83,11 @@ jest.mock('../services/nativeMessagingPreferences', () => ({
 jest.mock('../services/security/appIdentity', () => ({
   getFingerprint: jest.fn(),
   getOrCreateIdentity: jest.fn(),
+  getPairedClients: jest.fn().mockResolvedValue([]),
   getPairingToken: jest.fn(),
-  resetIdentity: jest.fn()
+  resetIdentity: jest.fn(),
+  revokeClient: jest.fn(),
+  setClientScope: jest.fn()
 }))
 jest.mock('../utils/nativeMessagingSetup', () => ({
   setupNativeMessaging: jest.fn(),
@@ -95,6 +105,7 @@ jest.mock('../electron', () => ({
 describe('useConnectExtension', () => {
   beforeEach(() => {
     jest.clearAllMocks()
+    getPairedClients.mockResolvedValue([])
   })
 
   it('initializes extension state if enabled and running', () => {
@@ -201,4 +212,115 @@ describe('useConnectExtension', () => {
       expect(getFingerprint).toHaveBeenCalledWith('pubkey')
     })
   })
+
+  it('lists only confirmed paired clients when enabled', async () => {
+    getNativeMessagingEnabled.mockReturnValue(true)
+    isNativeMessagingIPCRunning.mockReturnValue(true)
+    createOrGetPearpassClient.mockReturnValue({})
+    getPairedClients.mockResolvedValue([
+      { publicKey: 'chromePub', label: 'Chrome', pairingState: 'CONFIRMED' },
+      { publicKey: 'firefoxPub', label: 'Firefox', pairingState: 'PENDING' }
+    ])
+
+    const { result } = renderHook(() => useConnectExtension())
+
+    await waitFor(() => {
+      expect(result.current.pairedClients).toEqual([
+        { publicKey: 'chromePub', label: 'Chrome', pairingState: 'CONFIRMED' }
+      ])
+    })
+  })
+
+  it('reloads paired clients when an extension confirms pairing', async () => {
+    getNativeMessagingEnabled.mockReturnValue(true)
+    isNativeMessagingIPCRunning.mockReturnValue(true)
+    createOrGetPearpassClient.mockReturnValue({})
+
+    const { result } = renderHook(() => useConnectExtension())
+    await waitFor(() => expect(getPairedClients).toHaveBeenCalledTimes(1))
+
+    getPairedClients.mockResolvedValue([
+      { publicKey: 'chromePub', label: 'Chrome', pairingState: 'CONFIRMED' }
+    ])
+    await act(async () => {
+      window.dispatchEvent(new CustomEvent('extension-pairing-changed'))
+    })
+
+    await waitFor(() => {
+      expect(result.current.pairedClients).toHaveLength(1)
+    })
+  })
+
+  it('revokes a single client without disabling the extension', async () => {
+    getNativeMessagingEnabled.mockReturnValue(true)
+    isNativeMessagingIPCRunning.mockReturnValue(true)
+    const client = {}
+    createOrGetPearpassClient.mockReturnValue(client)
+    revokeClient.mockResolvedValue({ revoked: true, closedSessions: 1 })
+
+    const { result } = renderHook(() => useConnectExtension())
+
+    await act(async () => {
+      await result.current.revokeBrowserExtensionClient('chromePub')
+    })
+
+    expect(revokeClient).toHaveBeenCalledWith(client, 'chromePub')
+    expect(stopNativeMessagingIPC).not.toHaveBeenCalled()
+    expect(setNativeMessagingEnabled).not.toHaveBeenCalled()
+    expect(result.current.isBrowserExtensionEnabled).toBe(true)
+  })
+
+  it('shows the pairing code again to pair another browser', async () => {
+    getNativeMessagingEnabled.mockReturnValue(true)
+    isNativeMessagingIPCRunning.mockReturnValue(true)
+    createOrGetPearpassClient.mockReturnValue({
+      encryptionAdd: jest.fn().mockResolvedValue(undefined)
+    })
+    getOrCreateIdentity.mockResolvedValue({
+      ed25519PublicKey: 'pubkey',
+      creationDate: '2023-01-01'
+    })
+    getPairingToken.mockResolvedValue('PAIRCODE-ABCD')
+
+    const { result } = renderHook(() => useConnectExtension())
+
+    await act(async () => {
+      await result.current.pairAnotherBrowserExtension()
+    })
+
+    expect(setupNativeMessaging).not.toHaveBeenCalled()
+    expect(mockSetModal).toHaveBeenCalled()
+  })
+
+  it('saves the scope chosen in the permissions modal', async () => {
+    getNativeMessagingEnabled.mockReturnValue(true)
+    isNativeMessagingIPCRunning.mockReturnValue(true)
+    const client = {}
+    createOrGetPearpassClient.mockReturnValue(client)
+    setClientScope.mockResolvedValue(undefined)
+
+    const { result } = renderHook(() => useConnectExtension())
+
+    act(() => {
+      result.current.editBrowserExtensionPermissions({
+        publicKey: 'chromePub',
+        label: 'Chrome',
+        scope: 'FULL_ACCESS'
+      })
+    })
+
+    const modal = mockSetModal.mock.calls.at(-1)[0]
+    expect(modal.props).toEqual(
+      expect.objectContaining({ label: 'Chrome', scope: 'FULL_ACCESS' })
+    )
+
+    await act(async () => {
+      await modal.props.onSave('AUTOFILL')
+    })
+
+    expect(setClientScope).toHaveBeenCalledWith(client, 'chromePub', 'AUTOFILL')
+    expect(mockSetToast).toHaveBeenCalledWith({
+      message: 'Permissions updated'
+    })
+  })
 })
@@ -0,0 +1,39 @@
+import { useEffect, useMemo, useState } from 'react'
+
+import { getMyDeviceId, useVault } from '@tetherto/pearpass-lib-vault'
+
+import { logger } from '../utils/logger'
+
+/**
+ * This device as the active vault knows it, to record which device made a
+ * change. The name is missing until the device is listed in the vault.
+ */
+export const useCurrentDevice = () => {
+  const { data: vault } = useVault()
+  const [deviceId, setDeviceId] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    getMyDeviceId()
+      .then((id: string | null) => {
+        if (!cancelled) setDeviceId(id ?? null)
+      })
+      .catch((error: unknown) => {
+        logger.error('useCurrentDevice', 'getMyDeviceId failed:', error)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return useMemo(
+    () => ({
+      deviceId,
+      deviceName:
+        vault?.devices?.find(
+          (device: { id: string; name?: string }) => device.id === deviceId
+        )?.name ?? null
+    }),
+    [deviceId, vault]
+  )
+}
@@ -0,0 +1,119 @@
+import React from 'react'
+
+import { act, renderHook } from '@testing-library/react'
+
+import { useExtensionApprovalRequests } from './useExtensionApprovalRequests'
+import { HANDLER_EVENTS } from '../constants/services'
+import { resolveApprovalRequest } from '../services/security/approvalRequests'
+
+const mockSetModal = jest.fn()
+const mockCloseModal = jest.fn()
+let mockIsOpen = false
+
+jest.mock('../context/ModalContext', () => ({
+  useModal: () => ({
+    isOpen: mockIsOpen,
+    setModal: mockSetModal,
+    closeModal: mockCloseModal
+  })
+}))
+
+jest.mock('../containers/Modal/ExtensionApprovalModalContent', () => ({
+  ExtensionApprovalModalContent: () => null
+}))
+
+jest.mock('../services/security/approvalRequests', () => ({
+  resolveApprovalRequest: jest.fn()
+}))
+
+const request = {
+  id: 'approval-1',
+  method: 'removeVault',
+  clientLabel: 'Chrome',
+  clientFingerprint: 'abcd',
+  expiresAt: 0
+}
+
+const dispatch = (type: string, detail: unknown) =>
+  act(() => {
+    window.dispatchEvent(new CustomEvent(type, { detail }))
+  })
+
+describe('useExtensionApprovalRequests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockIsOpen = false
+  })
+
+  it('opens a non closable modal for each approval request', () => {
+    renderHook(() => useExtensionApprovalRequests())
+
+    dispatch(HANDLER_EVENTS.extensionApprovalRequested, request)
+
+    expect(mockSetModal).toHaveBeenCalledWith(expect.anything(), {
+      closable: false
+    })
+    const modal = mockSetModal.mock.calls[0][0] as React.ReactElement<{
+      method: string
+      onApprove: () => void
+      onDeny: () => void
+    }>
+    expect(modal.props.method).toBe('removeVault')
+
+    modal.props.onApprove()
+    expect(resolveApprovalRequest).toHaveBeenCalledWith('approval-1', true)
+
+    modal.props.onDeny()
+    expect(resolveApprovalRequest).toHaveBeenCalledWith('approval-1', false)
+  })
+
+  it('closes the modal once the shown request is settled', () => {
+    renderHook(() => useExtensionApprovalRequests())
+
+    dispatch(HANDLER_EVENTS.extensionApprovalRequested, request)
+    dispatch(HANDLER_EVENTS.extensionApprovalSettled, { id: 'other' })
+
+    expect(mockCloseModal).not.toHaveBeenCalled()
+
+    dispatch(HANDLER_EVENTS.extensionApprovalSettled, { id: 'approval-1' })
+
+    expect(mockCloseModal).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits for the open modal to close before asking', () => {
+    mockIsOpen = true
+    const { rerender } = renderHook(() => useExtensionApprovalRequests())
+
+    dispatch(HANDLER_EVENTS.extensionApprovalRequested, request)
+
+    expect(mockSetModal).not.toHaveBeenCalled()
+
+    mockIsOpen = false
+    rerender()
+
+    expect(mockSetModal).toHaveBeenCalledTimes(1)
+  })
+
+  it('drops a waiting request once it is settled', () => {
+    mockIsOpen = true
+    const { rerender } = renderHook(() => useExtensionApprovalRequests())
+
+    dispatch(HANDLER_EVENTS.extensionApprovalRequested, request)
+    dispatch(HANDLER_EVENTS.extensionApprovalSettled, { id: 'approval-1' })
+    mockIsOpen = false
+    rerender()
+
+    expect(mockSetModal).not.toHaveBeenCalled()
+    // The user's modal stays open
+    expect(mockCloseModal).not.toHaveBeenCalled()
+  })
+
+  it('stops listening on unmount', () => {
+    const { unmount } = renderHook(() => useExtensionApprovalRequests())
+
+    unmount()
+    dispatch(HANDLER_EVENTS.extensionApprovalRequested, request)
+
+    expect(mockSetModal).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+import { HANDLER_EVENTS } from '../constants/services'
+import { ExtensionApprovalModalContent } from '../containers/Modal/ExtensionApprovalModalContent'
+import { useModal } from '../context/ModalContext'
+import {
+  resolveApprovalRequest,
+  type ApprovalRequest
+} from '../services/security/approvalRequests'
+
+/**
+ * Shows the approval modal when a browser extension calls a sensitive
+ * secure method, and closes it once the request is answered or expires.
+ * A request waits until no other modal is open, so the prompt never covers
+ * a modal the user is in and closing it never closes theirs.
+ */
+export const useExtensionApprovalRequests = () => {
+  const { isOpen, setModal, closeModal } = useModal()
+  // Requests are asked one at a time, see requestApproval
+  const [pendingRequest, setPendingRequest] = useState<ApprovalRequest | null>(
+    null
+  )
+  const shownRequestId = useRef<string | null>(null)
+
+  useEffect(() => {
+    const handleRequested = (event: Event) => {
+      setPendingRequest((event as CustomEvent<ApprovalRequest>).detail)
+    }
+
+    const handleSettled = (event: Event) => {
+      const { id } = (event as CustomEvent<{ id: string }>).detail
+      setPendingRequest((request) => (request?.id === id ? null : request))
+      if (id !== shownRequestId.current) return
+
+      shownRequestId.current = null
+      closeModal()
+    }
+
+    window.addEventListener(
+      HANDLER_EVENTS.extensionApprovalRequested,
+      handleRequested
+    )
+    window.addEventListener(
+      HANDLER_EVENTS.extensionApprovalSettled,
+      handleSettled
+    )
+
+    return () => {
+      window.removeEventListener(
+        HANDLER_EVENTS.extensionApprovalRequested,
+        handleRequested
+      )
+      window.removeEventListener(
+        HANDLER_EVENTS.extensionApprovalSettled,
+        handleSettled
+      )
+    }
+  }, [closeModal])
+
+  useEffect(() => {
+    if (!pendingRequest || isOpen || shownRequestId.current) return
+
+    shownRequestId.current = pendingRequest.id
+    setModal(
+      <ExtensionApprovalModalContent
+        method={pendingRequest.method}
+        clientLabel={pendingRequest.clientLabel}
+        clientFingerprint={pendingRequest.clientFingerprint}
+        expiresAt={pendingRequest.expiresAt}
+        onApprove={() => resolveApprovalRequest(pendingRequest.id, true)}
+        onDeny={() => resolveApprovalRequest(pendingRequest.id, false)}
+      />,
+      { closable: false }
+    )
+  }, [pendingRequest, isOpen, setModal])
+}
@@ -0,0 +1,90 @@
+import React, { useState } from 'react'
+
+import { MAX_IMPORT_RECORDS } from '@tetherto/pearpass-lib-constants'
+import { useCreateRecord, useRecords } from '@tetherto/pearpass-lib-vault'
+
+import { useTranslation } from './useTranslation'
+import {
+  ImportItemsPreviewModalContent,
+  type ImportedRecord,
+  type ImportPlan
+} from '../containers/Modal/ImportItemsPreviewModalContent/ImportItemsPreviewModalContent'
+import { useGlobalLoading } from '../context/LoadingContext'
+import { useModal } from '../context/ModalContext'
+import { useToast } from '../context/ToastContext'
+import { logger } from '../utils/logger'
+
+/**
+ * Previews parsed records and writes the ones that are confirmed to the
+ * active vault, for imports and backup restores alike
+ */
+export const useImportRecords = () => {
+  const { t } = useTranslation()
+  const { setToast } = useToast()
+  const { setModal } = useModal()
+  const { createRecord } = useCreateRecord()
+  const { updateRecords } = useRecords() as {
+    updateRecords: (records: ImportPlan['update']) => Promise<void>
+  }
+  const [isWriting, setIsWriting] = useState(false)
+
+  useGlobalLoading({ isLoading: isWriting })
+
+  const onError = (error: Error) => {
+    setToast({ message: error.message })
+  }
+
+  const writeImportedRecords = async ({ create, update }: ImportPlan) => {
+    if (!create.length && !update.length) {
+      setToast({ message: t('Nothing was imported, all items were skipped') })
+      return
+    }
+
+    setIsWriting(true)
+    try {
+      const BATCH_SIZE = 100
+      const totalRecords = create.length
+
+      for (let i = 0; i < totalRecords; i += BATCH_SIZE) {
+        const batch = create.slice(i, i + BATCH_SIZE)
+        await Promise.all(batch.map((record) => createRecord(record, onError)))
+      }
+
+      if (update.length) {
+        await updateRecords(update)
+      }
+
+      setToast({ message: t('Data imported successfully') })
+    } catch (error) {
+      logger.error('useImportRecords', 'Failed to write records:', error)
+      setToast({ message: t('Import failed. Please try again.') })
+    } finally {
+      setIsWriting(false)
+    }
+  }
+
+  const importRecords = async (result: unknown[]) => {
+    if (result.length === 0) {
+      setToast({ message: t('No records found to import!') })
+      return
+    }
+
+    if (result.length > MAX_IMPORT_RECORDS) {
+      setToast({
+        message: t(`Too many records. Maximum is ${MAX_IMPORT_RECORDS}.`)
+      })
+      return
+    }
+
+    // Nothing is written until the preview is confirmed, so records that
+    // are already in the vault can be skipped, overwritten or merged
+    setModal(
+      <ImportItemsPreviewModalContent
+        records={result as ImportedRecord[]}
+        onConfirm={(plan) => void writeImportedRecords(plan)}
+      />
+    )
+  }
+
+  return { importRecords, isWriting }
+}
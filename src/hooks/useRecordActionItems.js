@@ -1,12 +1,18 @@
 import React from 'react'
 
 import { useLingui } from '@lingui/react'
-import { RECORD_TYPES, useRecords } from '@tetherto/pearpass-lib-vault'
+import {
+  RECORD_TYPES,
+  useRecords,
+  useVault,
+  useVaults
+} from '@tetherto/pearpass-lib-vault'
 import { html } from 'htm/react'
 
 import { useCreateOrEditRecord } from './useCreateOrEditRecord'
 import { DeleteRecordsModalContent } from '../containers/Modal/DeleteRecordsModalContent'
 import { MoveFolderModalContent } from '../containers/Modal/MoveFolderModalContent/MoveFolderModalContent'
+import { TransferToVaultModalContent } from '../containers/Modal/TransferToVaultModalContent/TransferToVaultModalContent'
 import { useModal } from '../context/ModalContext'
 import { useRouter } from '../context/RouterContext'
 
@@ -35,6 +41,8 @@ export const useRecordActionItems = ({
   const { i18n } = useLingui()
   const { setModal } = useModal()
   const { data: routerData } = useRouter()
+  const { data: vaults } = useVaults()
+  const { data: activeVault } = useVault()
 
   const { updateFavoriteState } = useRecords()
   const { handleCreateOrEditRecord } = useCreateOrEditRecord()
@@ -73,6 +81,15 @@ export const useRecordActionItems = ({
     onClose?.()
   }
 
+  const handleTransferClick = (mode) => {
+    setModal(
+      html`<${TransferToVaultModalContent} records=${[record]} mode=${mode} />`
+    )
+    onClose?.()
+  }
+
+  const hasOtherVaults = !!vaults?.some((vault) => vault.id !== activeVault?.id)
+
   const defaultActions = [
     { name: i18n._('Select element'), type: 'select', click: handleSelect },
     { name: i18n._('Edit'), type: 'edit', click: handleEdit },
@@ -88,6 +105,20 @@ export const useRecordActionItems = ({
       type: 'move',
       click: handleMoveClick
     },
+    ...(hasOtherVaults
+      ? [
+          {
+            name: i18n._('Copy to vault…'),
+            type: 'copyToVault',
+            click: () => handleTransferClick('copy')
+          },
+          {
+            name: i18n._('Move to vault…'),
+            type: 'moveToVault',
+            click: () => handleTransferClick('move')
+          }
+        ]
+      : []),
     { name: i18n._('Delete Item'), type: 'delete', click: handleDelete }
   ]
 
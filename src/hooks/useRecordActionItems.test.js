@@ -15,6 +15,13 @@ jest.mock(
   })
 )
 
+jest.mock(
+  '../containers/Modal/TransferToVaultModalContent/TransferToVaultModalContent',
+  () => ({
+    TransferToVaultModalContent: () => null
+  })
+)
+
 jest.mock('../containers/Modal/DeleteRecordsModalContent', () => ({
   DeleteRecordsModalContent: () => null
 }))
@@ -40,12 +47,16 @@ jest.mock('../context/RouterContext', () => ({
   useRouter: jest.fn()
 }))
 
+let mockVaults = [{ id: 'vault-1', name: 'Personal' }]
+
 jest.mock('@tetherto/pearpass-lib-vault', () => ({
   RECORD_TYPES: { LOGIN: 'login', OTP: 'otp' },
   useRecords: () => ({
     deleteRecords: mockDeleteRecord,
     updateFavoriteState: mockUpdateFavoriteState
-  })
+  }),
+  useVault: () => ({ data: { id: 'vault-1', name: 'Personal' } }),
+  useVaults: () => ({ data: mockVaults })
 }))
 
 jest.mock('@lingui/react', () => ({
@@ -73,6 +84,7 @@ describe('useRecordActionItems', () => {
 
   beforeEach(() => {
     jest.clearAllMocks()
+    mockVaults = [{ id: 'vault-1', name: 'Personal' }]
 
     useModal.mockReturnValue({
       setModal: mockSetModal,
@@ -235,4 +247,39 @@ describe('useRecordActionItems', () => {
     })
     expect(mockOnClose).toHaveBeenCalled()
   })
+
+  test('offers to copy or move to another vault when there is one', () => {
+    mockVaults = [
+      { id: 'vault-1', name: 'Personal' },
+      { id: 'vault-2', name: 'Team' }
+    ]
+
+    const { result } = renderHook(() =>
+      useRecordActionItems({
+        record: mockRecord,
+        onSelect: mockOnSelect,
+        onClose: mockOnClose
+      })
+    )
+
+    expect(result.current.actions.map((action) => action.type)).toEqual([
+      'select',
+      'edit',
+      'favorite',
+      'move',
+      'copyToVault',
+      'moveToVault',
+      'delete'
+    ])
+
+    result.current.actions
+      .find((action) => action.type === 'copyToVault')
+      .click()
+
+    expect(mockSetModal.mock.calls[0][0].props).toEqual({
+      records: [mockRecord],
+      mode: 'copy'
+    })
+    expect(mockOnClose).toHaveBeenCalled()
+  })
 })
@@ -30,6 +30,7 @@ jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
   LayerFilled: iconStub,
   Layers: iconStub,
   Note: iconStub,
+  TerminalTone: iconStub,
   WiFi: iconStub
 }))
 
@@ -60,6 +61,7 @@ describe('useRecordMenuItems', () => {
       'note',
       'pass_phrase',
       'wifi_password',
+      'sshKey',
       'custom'
     ])
   })
@@ -78,6 +80,7 @@ describe('useRecordMenuItems', () => {
       note: 'Notes',
       pass_phrase: 'Recovery Phrases',
       wifi_password: 'Wi-Fi',
+      sshKey: 'SSH Keys',
       custom: 'Other'
     })
   })
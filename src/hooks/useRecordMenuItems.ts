@@ -11,10 +11,12 @@ import {
   LayerFilled,
   Layers,
   Note,
+  TerminalTone,
   WiFi
 } from '@tetherto/pearpass-lib-ui-kit/icons'
 
 import { useTranslation } from './useTranslation'
+import sshKeys from '../../electron/sshKeys.cjs'
 
 type IconComponent = React.ComponentType<React.SVGProps<SVGSVGElement>>
 
@@ -68,6 +70,12 @@ export const useRecordMenuItems = () => {
         OutlinedIcon: WiFi,
         FilledIcon: WiFi
       },
+      {
+        type: sshKeys.SSH_KEY_RECORD_TYPE,
+        label: t('SSH Keys'),
+        OutlinedIcon: TerminalTone,
+        FilledIcon: TerminalTone
+      },
       {
         type: RECORD_TYPES.CUSTOM,
         label: t('Other'),
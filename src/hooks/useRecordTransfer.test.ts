@@ -0,0 +1,339 @@
+import { act, renderHook } from '@testing-library/react'
+import {
+  useCreateRecord,
+  useFolders,
+  useRecords,
+  useVault
+} from '@tetherto/pearpass-lib-vault'
+
+import { useRecordTransfer } from './useRecordTransfer'
+import { useTranslation } from './useTranslation'
+import { useVaultSwitch } from './useVaultSwitch'
+import { useToast } from '../context/ToastContext'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  useCreateRecord: jest.fn(),
+  useFolders: jest.fn(),
+  useRecords: jest.fn(),
+  useVault: jest.fn()
+}))
+
+jest.mock('./useVaultSwitch', () => ({
+  useVaultSwitch: jest.fn()
+}))
+
+jest.mock('./useTranslation', () => ({
+  useTranslation: jest.fn()
+}))
+
+jest.mock('../context/ToastContext', () => ({
+  useToast: jest.fn()
+}))
+
+jest.mock('../utils/recordFiles', () => ({
+  readRecordFiles: jest.fn(async (record: { data?: unknown }) => ({
+    ...(record.data as object),
+    attachments: [{ name: 'scan.pdf', buffer: 'buffer' }]
+  }))
+}))
+
+jest.mock('../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+const mockUseVault = jest.mocked(useVault)
+const mockUseRecords = jest.mocked(useRecords)
+const mockUseFolders = jest.mocked(useFolders)
+const mockUseCreateRecord = jest.mocked(useCreateRecord)
+const mockUseVaultSwitch = jest.mocked(useVaultSwitch)
+const mockUseToast = jest.mocked(useToast)
+const mockUseTranslation = jest.mocked(useTranslation)
+
+type ToastData = {
+  message: string
+  duration?: number
+  action?: { label: string; onClick: () => void }
+}
+
+describe('useRecordTransfer', () => {
+  const sourceVault = { id: 'v-source', name: 'Personal' }
+  const targetVault = { id: 'v-target', name: 'Work' }
+
+  const records = [
+    { id: 'r1', type: 'login', folder: 'Mail', data: { title: 'GitHub' } },
+    { id: 'r2', type: 'note', folder: null, data: { title: 'Wifi' } }
+  ]
+
+  let activeVaultId: string
+  let toastUpdates: ToastData[]
+  const calls: string[] = []
+
+  const setToast = jest.fn((data: ToastData) => {
+    toastUpdates.push(data)
+    return {
+      update: (next: ToastData) => toastUpdates.push(next),
+      dismiss: jest.fn()
+    }
+  })
+  const switchVault = jest.fn(
+    async (vault: { id: string }, onSuccess?: () => Promise<void> | void) => {
+      activeVaultId = vault.id
+      await onSuccess?.()
+    }
+  )
+  const createRecord = jest.fn(async (record: { data: { title: string } }) => {
+    calls.push(`create:${activeVaultId}:${record.data.title}`)
+    return { id: `new-${record.data.title}` }
+  })
+  const deleteRecords = jest.fn(async (ids: string[]) => {
+    calls.push(`delete:${activeVaultId}:${ids.join(',')}`)
+  })
+  const updateFolder = jest.fn(async () => {})
+  const updateRecords = jest.fn(async () => {})
+  const restoreFromTrash = jest.fn(async (ids: string[]) => {
+    calls.push(`restore:${activeVaultId}:${ids.join(',')}`)
+    return ids
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    activeVaultId = sourceVault.id
+    toastUpdates = []
+    calls.length = 0
+
+    window.electronAPI = {
+      restoreFromTrash
+    } as unknown as typeof window.electronAPI
+
+    mockUseVault.mockReturnValue({
+      data: sourceVault
+    } as unknown as ReturnType<typeof useVault>)
+    mockUseRecords.mockReturnValue({
+      updateFolder,
+      updateRecords,
+      deleteRecords
+    })
+    mockUseFolders.mockReturnValue({
+      data: {
+        favorites: { records: [] },
+        noFolder: { records: [records[1]] },
+        customFolders: { Mail: { name: 'Mail', records: [records[0]] } }
+      }
+    } as unknown as ReturnType<typeof useFolders>)
+    mockUseCreateRecord.mockReturnValue({
+      createRecord
+    } as unknown as ReturnType<typeof useCreateRecord>)
+    mockUseVaultSwitch.mockReturnValue({
+      switchVault
+    } as unknown as ReturnType<typeof useVaultSwitch>)
+    mockUseToast.mockReturnValue({
+      setToast
+    } as unknown as ReturnType<typeof useToast>)
+    mockUseTranslation.mockReturnValue({
+      t: (key: string, values?: Record<string, unknown>) =>
+        key.replace(/\{(\w+)\}/g, (_, name) => String(values?.[name]))
+    } as unknown as ReturnType<typeof useTranslation>)
+  })
+
+  it('moves records into a folder and puts them back on undo', async () => {
+    const { result, rerender } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.moveRecordsToFolder(records, 'Work/Clients')
+    })
+
+    expect(updateFolder).toHaveBeenCalledWith(['r1', 'r2'], 'Work/Clients')
+    const done = toastUpdates[toastUpdates.length - 1]
+    expect(done.message).toBe('Moved 2 items to Work › Clients')
+
+    // Edited while the undo toast is shown
+    const editedNote = {
+      ...records[1],
+      folder: 'Work/Clients',
+      data: { title: 'Wifi at home' }
+    }
+    mockUseFolders.mockReturnValue({
+      data: {
+        favorites: { records: [] },
+        noFolder: { records: [] },
+        customFolders: {
+          'Work/Clients': {
+            name: 'Work/Clients',
+            records: [{ ...records[0], folder: 'Work/Clients' }, editedNote]
+          }
+        }
+      }
+    } as unknown as ReturnType<typeof useFolders>)
+    rerender()
+
+    await act(async () => {
+      done.action?.onClick()
+    })
+
+    expect(updateFolder).toHaveBeenLastCalledWith(['r1'], 'Mail')
+    expect(updateRecords).toHaveBeenCalledWith([
+      { ...editedNote, folder: null }
+    ])
+    expect(toastUpdates[toastUpdates.length - 1].message).toBe('Undone')
+  })
+
+  it('skips records that are already in the folder', async () => {
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.moveRecordsToFolder(records, null)
+    })
+
+    expect(updateRecords).toHaveBeenCalledWith([
+      { ...records[0], folder: null }
+    ])
+    expect(toastUpdates[toastUpdates.length - 1].message).toBe(
+      'Moved 1 item to All Items'
+    )
+  })
+
+  it('moves records to another vault with progress, then undoes it', async () => {
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'move')
+    })
+
+    expect(calls).toEqual([
+      'create:v-target:GitHub',
+      'create:v-target:Wifi',
+      'delete:v-source:r1,r2'
+    ])
+    expect(createRecord).toHaveBeenCalledWith({
+      type: 'login',
+      folder: 'Mail',
+      isFavorite: false,
+      data: {
+        title: 'GitHub',
+        attachments: [{ name: 'scan.pdf', buffer: 'buffer' }]
+      }
+    })
+    expect(toastUpdates.map((toast) => toast.message)).toEqual([
+      'Moving 0 of 2 to Work…',
+      'Moving 1 of 2 to Work…',
+      'Moving 2 of 2 to Work…',
+      'Moved 2 items to Work'
+    ])
+
+    calls.length = 0
+    await act(async () => {
+      toastUpdates[toastUpdates.length - 1].action?.onClick()
+    })
+
+    expect(calls).toEqual([
+      'delete:v-target:new-GitHub,new-Wifi',
+      'restore:v-source:r1,r2'
+    ])
+    expect(activeVaultId).toBe(sourceVault.id)
+  })
+
+  it('copies records without deleting the originals', async () => {
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(
+        [records[0]],
+        targetVault,
+        'copy'
+      )
+    })
+
+    expect(calls).toEqual(['create:v-target:GitHub'])
+    expect(toastUpdates[toastUpdates.length - 1].message).toBe(
+      'Copied 1 item to Work'
+    )
+  })
+
+  it('keeps the originals when creating in the target fails', async () => {
+    createRecord.mockRejectedValueOnce(new Error('full'))
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'move')
+    })
+
+    expect(deleteRecords).not.toHaveBeenCalled()
+    expect(toastUpdates[toastUpdates.length - 1]).toEqual({
+      message: "Couldn't move the items to Work"
+    })
+  })
+
+  it('removes the copies already made when creating fails part way', async () => {
+    createRecord
+      .mockResolvedValueOnce({ id: 'new-GitHub' })
+      .mockRejectedValueOnce(new Error('full'))
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'move')
+    })
+
+    // Removed from the target, the originals stay
+    expect(calls).toEqual(['delete:v-target:new-GitHub'])
+    expect(toastUpdates[toastUpdates.length - 1]).toEqual({
+      message: "Couldn't move the items to Work"
+    })
+  })
+
+  it('removes the copies when the source cannot be opened to finish a move', async () => {
+    // The target opens, then the user cancels unlocking the source
+    switchVault
+      .mockImplementationOnce(async (vault, onSuccess) => {
+        activeVaultId = vault.id
+        await onSuccess?.()
+      })
+      .mockRejectedValueOnce(new Error('cancelled'))
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'move')
+    })
+
+    expect(calls).toEqual([
+      'create:v-target:GitHub',
+      'create:v-target:Wifi',
+      'delete:v-target:new-GitHub,new-Wifi'
+    ])
+    expect(toastUpdates[toastUpdates.length - 1].message).toBe(
+      "Couldn't move the items to Work"
+    )
+  })
+
+  it('reports the copies left behind when deleting the originals fails', async () => {
+    deleteRecords
+      .mockRejectedValueOnce(new Error('locked'))
+      .mockRejectedValueOnce(new Error('locked'))
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'move')
+    })
+
+    expect(deleteRecords).toHaveBeenNthCalledWith(1, ['r1', 'r2'])
+    expect(deleteRecords).toHaveBeenNthCalledWith(2, ['new-GitHub', 'new-Wifi'])
+    expect(toastUpdates[toastUpdates.length - 1].message).toBe(
+      'Stopped by an error, 2 items were left in Work'
+    )
+  })
+
+  it('reports the copies it could not remove', async () => {
+    createRecord
+      .mockResolvedValueOnce({ id: 'new-GitHub' })
+      .mockRejectedValueOnce(new Error('full'))
+    deleteRecords.mockRejectedValueOnce(new Error('locked'))
+    const { result } = renderHook(() => useRecordTransfer())
+
+    await act(async () => {
+      await result.current.transferRecordsToVault(records, targetVault, 'copy')
+    })
+
+    expect(toastUpdates[toastUpdates.length - 1]).toEqual({
+      message: 'Stopped by an error, 1 item was left in Work'
+    })
+  })
+})
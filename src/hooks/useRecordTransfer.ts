@@ -0,0 +1,304 @@
+import { useCallback, useRef } from 'react'
+
+import {
+  useCreateRecord,
+  useFolders,
+  useRecords,
+  useVault,
+  type Vault
+} from '@tetherto/pearpass-lib-vault'
+
+import { useTranslation } from './useTranslation'
+import { useVaultSwitch } from './useVaultSwitch'
+import { useToast } from '../context/ToastContext'
+import { formatFolderPath } from '../utils/folderTree'
+import { logger } from '../utils/logger'
+import { createRecordCopy } from '../utils/recordCopy'
+
+/** How long a finished move stays on screen with its undo action */
+export const UNDO_TOAST_DURATION_MS = 8000
+
+export type VaultTransferMode = 'move' | 'copy'
+
+export type TransferRecord = Record<string, unknown> & {
+  id: string
+  type: string
+  folder?: string | null
+  isFavorite?: boolean
+  data?: Record<string, unknown> | null
+}
+
+type ToastHandle = ReturnType<ReturnType<typeof useToast>['setToast']>
+
+/**
+ * Moves records between folders of the active vault, and moves or copies
+ * them into another vault. The vault client only works on the active vault,
+ * so a transfer reads the records with their files and OTPs in the source
+ * vault, switches to the target to create them there, which stores and
+ * encrypts the files again with the target's key, and switches back to delete the
+ * originals of a move. Progress shows in a toast that ends with an undo
+ * action.
+ */
+export const useRecordTransfer = () => {
+  const { t } = useTranslation()
+  const { setToast } = useToast()
+  const { switchVault } = useVaultSwitch()
+  const { data: activeVault } = useVault()
+  const { createRecord } = useCreateRecord()
+  const { data: folders } = useFolders()
+  const { updateFolder, updateRecords, deleteRecords } = useRecords() as {
+    updateFolder: (ids: string[], folder: string) => Promise<void>
+    updateRecords: (records: TransferRecord[]) => Promise<void>
+    deleteRecords: (ids: string[]) => Promise<void>
+  }
+
+  // Undo runs seconds after the move, it needs the records as they are then
+  const foldersRef = useRef(folders)
+  foldersRef.current = folders
+
+  /** Runs `task` once `vault` is active, unlocking it first if needed */
+  const inVault = useCallback(
+    (vault: Vault, task: () => Promise<void>) =>
+      new Promise<void>((resolve, reject) => {
+        switchVault(vault, async () => {
+          try {
+            await task()
+            resolve()
+          } catch (error) {
+            reject(error)
+          }
+        }).catch(reject)
+      }),
+    [switchVault]
+  )
+
+  const withUndo = useCallback(
+    (toast: ToastHandle, message: string, undo: () => Promise<void>) => {
+      const handleUndo = async () => {
+        toast.update({ message: t('Undoing…'), duration: 0 })
+        try {
+          await undo()
+          toast.update({ message: t('Undone') })
+        } catch (error) {
+          logger.error('useRecordTransfer', 'Undo failed:', error)
+          toast.update({ message: t("Couldn't undo the last change") })
+        }
+      }
+
+      toast.update({
+        message,
+        duration: UNDO_TOAST_DURATION_MS,
+        action: { label: t('Undo'), onClick: () => void handleUndo() }
+      })
+    },
+    [t]
+  )
+
+  const moveRecordsToFolder = useCallback(
+    async (records: TransferRecord[], folder: string | null) => {
+      const moving = records.filter(
+        (record) => (record.folder ?? null) !== folder
+      )
+      if (!moving.length) return
+
+      const destination = folder ? formatFolderPath(folder) : t('All Items')
+      const count = moving.length
+      const toast = setToast({
+        message: t('Moving {count} items to {destination}…', {
+          count,
+          destination
+        }),
+        duration: 0
+      })
+
+      try {
+        if (folder) {
+          await updateFolder(
+            moving.map((record) => record.id),
+            folder
+          )
+        } else {
+          await updateRecords(
+            moving.map((record) => ({ ...record, folder: null }))
+          )
+        }
+      } catch (error) {
+        logger.error('useRecordTransfer', 'Failed to move records:', error)
+        toast.update({ message: t("Couldn't move the items") })
+        return
+      }
+
+      withUndo(
+        toast,
+        count === 1
+          ? t('Moved 1 item to {destination}', { destination })
+          : t('Moved {count} items to {destination}', { count, destination }),
+        // Only the folder goes back, edits made since then stay and records
+        // deleted since then are left alone
+        async () => {
+          const current = foldersRef.current
+          const recordsById = new Map(
+            [
+              ...(current?.noFolder?.records ?? []),
+              ...Object.values(current?.customFolders ?? {}).flatMap(
+                (folderEntry) => folderEntry.records
+              )
+            ].map((record) => [record.id, record as TransferRecord])
+          )
+
+          const idsByFolder = new Map<string, string[]>()
+          const toNoFolder: TransferRecord[] = []
+          for (const { id, folder: from } of moving) {
+            const record = recordsById.get(id)
+            if (!record) continue
+            if (from) {
+              idsByFolder.set(from, [...(idsByFolder.get(from) ?? []), id])
+            } else {
+              toNoFolder.push({ ...record, folder: null })
+            }
+          }
+
+          for (const [from, ids] of idsByFolder) await updateFolder(ids, from)
+          if (toNoFolder.length) await updateRecords(toNoFolder)
+        }
+      )
+    },
+    [setToast, t, updateFolder, updateRecords, withUndo]
+  )
+
+  const transferRecordsToVault = useCallback(
+    async (
+      records: TransferRecord[],
+      vault: Vault,
+      mode: VaultTransferMode
+    ) => {
+      const source = activeVault
+      if (!records.length || !source || vault.id === source.id) return
+
+      const isMove = mode === 'move'
+      const ids = records.map((record) => record.id)
+      const total = records.length
+      const destination = vault.name
+      const progressMessage = (current: number) =>
+        isMove
+          ? t('Moving {current} of {total} to {destination}…', {
+              current,
+              total,
+              destination
+            })
+          : t('Copying {current} of {total} to {destination}…', {
+              current,
+              total,
+              destination
+            })
+
+      let toast: ToastHandle | null = null
+      const createdIds: string[] = []
+      // Copies a failed transfer could not remove from the target
+      let leftBehind = 0
+      // Leave the target as it was, so trying again adds no duplicates
+      const removeCopies = async () => {
+        if (!createdIds.length) return
+        try {
+          await deleteRecords(createdIds)
+        } catch (rollbackError) {
+          logger.error(
+            'useRecordTransfer',
+            'Failed to remove the partial copies:',
+            rollbackError
+          )
+          leftBehind = createdIds.length
+        }
+      }
+
+      try {
+        const payloads = await Promise.all(records.map(createRecordCopy))
+
+        await inVault(vault, async () => {
+          // Shown once the target is open, after a password prompt if any
+          toast = setToast({ message: progressMessage(0), duration: 0 })
+          try {
+            for (const [index, payload] of payloads.entries()) {
+              const created = (await createRecord(payload)) as
+                { id?: string } | undefined
+              if (created?.id) createdIds.push(created.id)
+              toast.update({ message: progressMessage(index + 1), duration: 0 })
+            }
+          } catch (error) {
+            await removeCopies()
+            throw error
+          }
+        })
+
+        try {
+          await inVault(source, async () => {
+            if (isMove) await deleteRecords(ids)
+          })
+        } catch (error) {
+          // The originals are still in the source, a move must not end up
+          // as a copy
+          if (isMove) {
+            await inVault(vault, removeCopies).catch((rollbackError) => {
+              logger.error(
+                'useRecordTransfer',
+                'Failed to reopen the target to remove the copies:',
+                rollbackError
+              )
+              leftBehind = createdIds.length
+            })
+          }
+          throw error
+        }
+      } catch (error) {
+        logger.error('useRecordTransfer', 'Failed to transfer records:', error)
+        let message = isMove
+          ? t("Couldn't move the items to {destination}", { destination })
+          : t("Couldn't copy the items to {destination}", { destination })
+        if (leftBehind) {
+          message =
+            leftBehind === 1
+              ? t('Stopped by an error, 1 item was left in {destination}', {
+                  destination
+                })
+              : t(
+                  'Stopped by an error, {count} items were left in {destination}',
+                  { count: leftBehind, destination }
+                )
+        }
+        if (toast) {
+          ;(toast as ToastHandle).update({ message })
+        } else {
+          setToast({ message })
+        }
+        return
+      }
+
+      const message = isMove
+        ? total === 1
+          ? t('Moved 1 item to {destination}', { destination })
+          : t('Moved {count} items to {destination}', {
+              count: total,
+              destination
+            })
+        : total === 1
+          ? t('Copied 1 item to {destination}', { destination })
+          : t('Copied {count} items to {destination}', {
+              count: total,
+              destination
+            })
+
+      withUndo(toast ?? setToast({ message }), message, async () => {
+        await inVault(vault, async () => {
+          if (createdIds.length) await deleteRecords(createdIds)
+        })
+        // Deleted originals wait in the source vault's trash under their ids
+        await inVault(source, async () => {
+          if (isMove) await window.electronAPI?.restoreFromTrash(ids)
+        })
+      })
+    },
+    [activeVault, createRecord, deleteRecords, inVault, setToast, t, withUndo]
+  )
+
+  return { moveRecordsToFolder, transferRecordsToVault }
+}
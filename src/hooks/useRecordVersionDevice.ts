@@ -0,0 +1,22 @@
+import { useEffect } from 'react'
+
+import { logger } from '../utils/logger'
+import { useCurrentDevice } from './useCurrentDevice'
+
+/**
+ * Tells the main process which device this is, so the record versions it
+ * keeps show who made each change
+ */
+export const useRecordVersionDevice = () => {
+  const device = useCurrentDevice()
+
+  useEffect(() => {
+    window.electronAPI?.setRecordVersionDevice?.(device).catch((error) => {
+      logger.error(
+        'useRecordVersionDevice',
+        'setRecordVersionDevice failed:',
+        error
+      )
+    })
+  }, [device])
+}
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useState } from 'react'
+
+import { logger } from '../utils/logger'
+
+/**
+ * Version history of a record, newest first. Reloads when the record changes
+ * here or a change syncs in from another device.
+ * @param recordId
+ * @param updatedAt - Last edit of the record, to reload after local edits
+ */
+export const useRecordVersions = (
+  recordId?: string,
+  updatedAt?: number | string
+) => {
+  const [versions, setVersions] = useState<RecordVersion[]>([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  const reload = useCallback(() => setReloadKey((key) => key + 1), [])
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI?.listRecordVersions || !recordId) {
+      setVersions([])
+      return
+    }
+
+    let isCurrent = true
+    setIsLoading(true)
+    electronAPI
+      .listRecordVersions(recordId)
+      .then((list) => {
+        if (isCurrent) setVersions(Array.isArray(list) ? list : [])
+      })
+      .catch((error: unknown) => {
+        logger.error('useRecordVersions', 'listRecordVersions failed:', error)
+        if (isCurrent) setVersions([])
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false)
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [recordId, updatedAt, reloadKey])
+
+  useEffect(() => window.electronAPI?.vaultOnUpdate?.(reload), [reload])
+
+  return { versions, isLoading, reload }
+}
@@ -0,0 +1,142 @@
+import { act, renderHook } from '@testing-library/react'
+import {
+  // @ts-expect-error — JS module without type declarations
+  encryptExportData,
+  // @ts-expect-error — JS module without type declarations
+  getVaultById,
+  // @ts-expect-error — JS module without type declarations
+  listRecords
+} from '@tetherto/pearpass-lib-vault'
+
+import { useScheduledBackups } from './useScheduledBackups'
+
+const mockRefetch = jest.fn()
+const mockIsVaultProtected = jest.fn<(id: string) => Promise<boolean>>()
+let mockActiveVault: { id: string; name: string } | undefined
+let mockActiveRecords: unknown[]
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  encryptExportData: jest.fn(async (data: string, password: string) => ({
+    encrypted: `${data}:${password}`
+  })),
+  getMasterEncryption: jest.fn(async () => ({ hashedPassword: 'master' })),
+  getVaultById: jest.fn(async (id: string) => {
+    mockActiveRecords = [{ id: `${id}-record` }]
+    return { id, name: id === 'work' ? 'Work' : 'Secrets' }
+  }),
+  listRecords: jest.fn(async () => mockActiveRecords),
+  useVault: () => ({
+    data: mockActiveVault,
+    isVaultProtected: mockIsVaultProtected,
+    refetch: mockRefetch
+  }),
+  useVaults: () => ({
+    data: [
+      { id: 'personal', name: 'Personal' },
+      { id: 'work', name: 'Work' },
+      { id: 'secrets', name: 'Secrets' }
+    ]
+  })
+}))
+
+jest.mock('../pages/SettingsView/utils/exportJsonPerVault', () => ({
+  convertVaultsToJson: jest.fn(async (vaults: { id: string }[]) =>
+    vaults.map((vault) => ({ data: `json-${vault.id}` }))
+  )
+}))
+
+jest.mock('../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+describe('useScheduledBackups', () => {
+  let emitRequest: (request: BackupSnapshotRequest) => Promise<void>
+  const unsubscribe = jest.fn()
+  const respondBackupSnapshot = jest.fn(() => Promise.resolve())
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockActiveVault = { id: 'personal', name: 'Personal' }
+    mockActiveRecords = [{ id: 'personal-record' }]
+    mockIsVaultProtected.mockImplementation(
+      async (id: string) => id === 'secrets'
+    )
+    window.electronAPI = {
+      onBackupSnapshotRequest: jest.fn(
+        (cb: (request: BackupSnapshotRequest) => Promise<void>) => {
+          emitRequest = cb
+          return unsubscribe
+        }
+      ),
+      respondBackupSnapshot
+    } as unknown as Window['electronAPI']
+  })
+
+  afterEach(() => {
+    delete window.electronAPI
+  })
+
+  it('exports every vault it can open and switches back', async () => {
+    const { unmount } = renderHook(() => useScheduledBackups())
+
+    await act(() =>
+      emitRequest({ id: 'request-1', password: 'backup', allVaults: true })
+    )
+
+    expect(getVaultById).toHaveBeenCalledTimes(1)
+    expect(getVaultById).toHaveBeenCalledWith('work')
+    expect(mockRefetch).toHaveBeenCalledWith('personal', {
+      hashedPassword: 'master'
+    })
+    expect(encryptExportData).toHaveBeenCalledWith('json-personal', 'backup')
+    expect(respondBackupSnapshot).toHaveBeenCalledWith('request-1', {
+      vaults: [
+        {
+          id: 'personal',
+          name: 'Personal',
+          data: { encrypted: 'json-personal:backup' }
+        },
+        { id: 'work', name: 'Work', data: { encrypted: 'json-work:backup' } }
+      ],
+      vaultIds: ['personal', 'work', 'secrets']
+    })
+
+    unmount()
+    expect(unsubscribe).toHaveBeenCalled()
+  })
+
+  it('only exports the active vault after a change', async () => {
+    renderHook(() => useScheduledBackups())
+
+    await act(() =>
+      emitRequest({ id: 'request-2', password: 'backup', allVaults: false })
+    )
+
+    expect(getVaultById).not.toHaveBeenCalled()
+    expect(mockRefetch).not.toHaveBeenCalled()
+    expect(listRecords).toHaveBeenCalledTimes(1)
+    expect(respondBackupSnapshot).toHaveBeenCalledWith('request-2', {
+      vaults: [
+        {
+          id: 'personal',
+          name: 'Personal',
+          data: { encrypted: 'json-personal:backup' }
+        }
+      ],
+      vaultIds: ['personal', 'work', 'secrets']
+    })
+  })
+
+  it('tells the main process when it is locked', async () => {
+    mockActiveVault = undefined
+    renderHook(() => useScheduledBackups())
+
+    await act(() =>
+      emitRequest({ id: 'request-3', password: 'backup', allVaults: true })
+    )
+
+    expect(respondBackupSnapshot).toHaveBeenCalledWith('request-3', {
+      error: 'PearPass is locked'
+    })
+  })
+})
@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react'
+
+import {
+  // @ts-expect-error — JS module without type declarations
+  encryptExportData,
+  // @ts-expect-error — JS module without type declarations
+  getMasterEncryption,
+  // @ts-expect-error — JS module without type declarations
+  getVaultById,
+  // @ts-expect-error — JS module without type declarations
+  listRecords,
+  useVault,
+  useVaults,
+  type Vault
+} from '@tetherto/pearpass-lib-vault'
+
+import { convertVaultsToJson } from '../pages/SettingsView/utils/exportJsonPerVault'
+import { logger } from '../utils/logger'
+
+/**
+ * Exports the vaults for the backups the main process schedules, encrypted
+ * with the backup password it sends along. Vaults with their own password
+ * can't be opened unattended and are only backed up while they are active.
+ */
+export const useScheduledBackups = () => {
+  const { data: activeVault, isVaultProtected, refetch } = useVault()
+  const { data: vaults } = useVaults()
+
+  // The subscription stays for the lifetime of the app and reads the latest
+  // vaults from here
+  const stateRef = useRef({ activeVault, vaults, isVaultProtected, refetch })
+  stateRef.current = { activeVault, vaults, isVaultProtected, refetch }
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI?.onBackupSnapshotRequest) return
+
+    const collectVaults = async (allVaults: boolean) => {
+      const { activeVault, vaults, isVaultProtected, refetch } =
+        stateRef.current
+      if (!activeVault?.id) {
+        throw new Error('PearPass is locked')
+      }
+
+      const collected = [
+        { ...activeVault, records: (await listRecords()) ?? [] }
+      ]
+      if (!allVaults) return collected
+
+      const others: Vault[] = (vaults ?? []).filter(
+        (vault: Vault) => vault.id !== activeVault.id
+      )
+      const unprotected: Vault[] = []
+      for (const vault of others) {
+        if (!(await isVaultProtected(vault.id))) unprotected.push(vault)
+      }
+      if (!unprotected.length) return collected
+
+      const currentEncryption = await getMasterEncryption()
+      try {
+        for (const vault of unprotected) {
+          const data = await getVaultById(vault.id)
+          collected.push({ ...data, records: (await listRecords()) ?? [] })
+        }
+      } finally {
+        await refetch(activeVault.id, currentEncryption)
+      }
+      return collected
+    }
+
+    const unsubscribe = electronAPI.onBackupSnapshotRequest(
+      async ({ id, password, allVaults }) => {
+        try {
+          const collected = await collectVaults(allVaults)
+          const exports = await convertVaultsToJson(collected)
+          const backupVaults = await Promise.all(
+            exports.map(async (vault, index) => ({
+              id: collected[index].id,
+              name: collected[index].name ?? '',
+              data: await encryptExportData(vault.data, password)
+            }))
+          )
+          await electronAPI.respondBackupSnapshot(id, {
+            vaults: backupVaults,
+            vaultIds: (stateRef.current.vaults ?? collected).map(
+              (vault: { id: string }) => vault.id
+            )
+          })
+        } catch (error) {
+          logger.error('useScheduledBackups', 'Backup export failed:', error)
+          await electronAPI.respondBackupSnapshot(id, {
+            error:
+              error instanceof Error ? error.message : 'Backup export failed'
+          })
+        }
+      }
+    )
+
+    return unsubscribe
+  }, [])
+}
@@ -0,0 +1,93 @@
+import React from 'react'
+
+import { act, renderHook } from '@testing-library/react'
+
+import { useSshAgentApprovalRequests } from './useSshAgentApprovalRequests'
+
+const mockSetModal = jest.fn()
+const mockCloseModal = jest.fn()
+
+jest.mock('../context/ModalContext', () => ({
+  useModal: () => ({ setModal: mockSetModal, closeModal: mockCloseModal })
+}))
+
+jest.mock('../containers/Modal/SshAgentApprovalModalContent', () => ({
+  SshAgentApprovalModalContent: () => null
+}))
+
+const request = {
+  id: 'request-1',
+  title: 'Deploy key',
+  fingerprint: 'SHA256:abc',
+  purpose: { kind: 'sshsig', namespace: 'git' } as const,
+  expiresAt: 0
+}
+
+describe('useSshAgentApprovalRequests', () => {
+  let emitRequest: (request: SshAgentApprovalRequest) => void
+  const unsubscribe = jest.fn()
+  const respondSshAgentApproval = jest.fn(() => Promise.resolve())
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.useFakeTimers()
+    jest.setSystemTime(0)
+    window.electronAPI = {
+      onSshAgentApprovalRequest: jest.fn(
+        (cb: (request: SshAgentApprovalRequest) => void) => {
+          emitRequest = cb
+          return unsubscribe
+        }
+      ),
+      respondSshAgentApproval
+    } as unknown as Window['electronAPI']
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    delete window.electronAPI
+  })
+
+  it('opens a non closable modal and sends the answer to the agent', () => {
+    renderHook(() => useSshAgentApprovalRequests())
+
+    act(() => emitRequest({ ...request, expiresAt: 60_000 }))
+
+    expect(mockSetModal).toHaveBeenCalledWith(expect.anything(), {
+      closable: false
+    })
+    const modal = mockSetModal.mock.calls[0][0] as React.ReactElement<{
+      title: string
+      onApprove: () => void
+      onDeny: () => void
+    }>
+    expect(modal.props.title).toBe('Deploy key')
+
+    modal.props.onApprove()
+    expect(respondSshAgentApproval).toHaveBeenCalledWith('request-1', true)
+    expect(mockCloseModal).toHaveBeenCalledTimes(1)
+
+    modal.props.onDeny()
+    expect(respondSshAgentApproval).toHaveBeenCalledWith('request-1', false)
+  })
+
+  it('closes the modal once the request expires', () => {
+    renderHook(() => useSshAgentApprovalRequests())
+
+    act(() => emitRequest({ ...request, expiresAt: 60_000 }))
+    act(() => jest.advanceTimersByTime(59_999))
+    expect(mockCloseModal).not.toHaveBeenCalled()
+
+    act(() => jest.advanceTimersByTime(1))
+    expect(mockCloseModal).toHaveBeenCalledTimes(1)
+    expect(respondSshAgentApproval).not.toHaveBeenCalled()
+  })
+
+  it('unsubscribes on unmount', () => {
+    const { unmount } = renderHook(() => useSshAgentApprovalRequests())
+
+    unmount()
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react'
+
+import { SshAgentApprovalModalContent } from '../containers/Modal/SshAgentApprovalModalContent'
+import { useModal } from '../context/ModalContext'
+
+/**
+ * Shows the approval modal when ssh or git asks the SSH agent for a
+ * signature. The main process asks one request at a time and denies it on
+ * its own once it expires, so the modal only has to close then.
+ */
+export const useSshAgentApprovalRequests = () => {
+  const { setModal, closeModal } = useModal()
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI?.onSshAgentApprovalRequest) return
+
+    let expiryTimer: ReturnType<typeof setTimeout> | undefined
+
+    const respond = (id: string, approved: boolean) => {
+      clearTimeout(expiryTimer)
+      closeModal()
+      void electronAPI.respondSshAgentApproval(id, approved)
+    }
+
+    const unsubscribe = electronAPI.onSshAgentApprovalRequest((request) => {
+      clearTimeout(expiryTimer)
+
+      setModal(
+        <SshAgentApprovalModalContent
+          title={request.title}
+          fingerprint={request.fingerprint}
+          purpose={request.purpose}
+          expiresAt={request.expiresAt}
+          onApprove={() => respond(request.id, true)}
+          onDeny={() => respond(request.id, false)}
+        />,
+        { closable: false }
+      )
+
+      expiryTimer = setTimeout(
+        closeModal,
+        Math.max(0, request.expiresAt - Date.now())
+      )
+    })
+
+    return () => {
+      clearTimeout(expiryTimer)
+      unsubscribe()
+    }
+  }, [setModal, closeModal])
+}
@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+import { logger } from '../utils/logger'
+
+export const TRASH_RETENTION_DAY_OPTIONS = [7, 30, 90]
+
+/**
+ * Records and folders deleted from the active vault, kept by the main
+ * process until the retention period of this device ends. Reloads when a
+ * change syncs in from another device.
+ */
+export const useTrash = () => {
+  const [contents, setContents] = useState<TrashContents | null>(null)
+  const [isLoading, setIsLoading] = useState(
+    () => !!window.electronAPI?.getTrash
+  )
+  const isMountedRef = useRef(true)
+
+  const reload = useCallback(async () => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI?.getTrash) return
+    try {
+      const next = await electronAPI.getTrash()
+      if (isMountedRef.current) setContents(next)
+    } catch (error) {
+      logger.error('useTrash', 'getTrash failed:', error)
+      if (isMountedRef.current) setContents(null)
+    } finally {
+      if (isMountedRef.current) setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    isMountedRef.current = true
+    void reload()
+    const unsubscribe = window.electronAPI?.vaultOnUpdate?.(() => {
+      void reload()
+    })
+    return () => {
+      isMountedRef.current = false
+      unsubscribe?.()
+    }
+  }, [reload])
+
+  const restore = useCallback(
+    async (ids: string[]) => {
+      const restoredIds =
+        (await window.electronAPI?.restoreFromTrash(ids)) ?? []
+      await reload()
+      return restoredIds
+    },
+    [reload]
+  )
+
+  const deletePermanently = useCallback(
+    async (ids: string[]) => {
+      await window.electronAPI?.deleteFromTrash(ids)
+      await reload()
+    },
+    [reload]
+  )
+
+  const empty = useCallback(async () => {
+    await window.electronAPI?.emptyTrash()
+    await reload()
+  }, [reload])
+
+  const setRetentionDays = useCallback(
+    async (days: number) => {
+      await window.electronAPI?.setTrashRetention(days)
+      await reload()
+    },
+    [reload]
+  )
+
+  return {
+    entries: contents?.entries ?? [],
+    retentionDays: contents?.retentionDays ?? null,
+    isLoading,
+    reload,
+    restore,
+    deletePermanently,
+    empty,
+    setRetentionDays
+  }
+}
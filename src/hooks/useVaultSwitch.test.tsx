@@ -96,6 +96,18 @@ describe('useVaultSwitch', () => {
     expect(mockSetIsLoading).toHaveBeenCalledWith(false)
   })
 
+  it('switches back to the previous vault within the same flow', async () => {
+    const { result } = renderHook(() => useVaultSwitch())
+
+    await act(async () => {
+      await result.current.switchVault(vaultB, () =>
+        result.current.switchVault(vaultA)
+      )
+    })
+
+    expect(mockRefetchVault.mock.calls).toEqual([['vault-b'], ['vault-a']])
+  })
+
   it('when vault is protected, opens password modal instead of refetching immediately', async () => {
     mockIsVaultProtected.mockResolvedValueOnce(true)
 
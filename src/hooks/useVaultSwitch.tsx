@@ -1,4 +1,4 @@
-import React, { useCallback } from 'react'
+import React, { useCallback, useRef } from 'react'
 
 import { useVault, type Vault } from '@tetherto/pearpass-lib-vault'
 
@@ -18,6 +18,11 @@ export function useVaultSwitch() {
     isVaultProtected,
     refetch: refetchVault
   } = useVault()
+  // Updated on every switch too, so a flow that switches several times in a
+  // row, such as moving records to another vault and back, never compares
+  // against the vault of a render that has not happened yet
+  const activeVaultIdRef = useRef(activeVault?.id)
+  activeVaultIdRef.current = activeVault?.id
 
   const switchVault = useCallback(
     async (
@@ -27,7 +32,7 @@ export function useVaultSwitch() {
       setIsLoading(true)
 
       try {
-        if (vault.id === activeVault?.id) {
+        if (vault.id === activeVaultIdRef.current) {
           await onSuccess()
           return
         }
@@ -42,6 +47,7 @@ export function useVaultSwitch() {
                 setIsLoading(true)
                 try {
                   await refetchVault(vault.id, { password })
+                  activeVaultIdRef.current = vault.id
                   closeModal()
                   await onSuccess()
                 } finally {
@@ -54,6 +60,7 @@ export function useVaultSwitch() {
         }
 
         await refetchVault(vault.id)
+        activeVaultIdRef.current = vault.id
         await onSuccess()
       } catch (error) {
         logger.error('useVaultSwitch', 'Error switching to vault:', error)
@@ -62,7 +69,7 @@ export function useVaultSwitch() {
         setIsLoading(false)
       }
     },
-    [activeVault?.id, closeModal, isVaultProtected, setIsLoading, setModal]
+    [closeModal, isVaultProtected, setIsLoading, setModal]
   )
 
   return { switchVault }
@@ -0,0 +1,24 @@
+import { useMemo } from 'react'
+
+import { useFolders } from '@tetherto/pearpass-lib-vault'
+
+import { collectTags } from '../utils/recordTags'
+
+/**
+ * Tags used in the active vault with how many records carry each, sorted by
+ * name. Folders hold every record once, so their records are counted.
+ */
+export const useVaultTags = () => {
+  const { data: folders } = useFolders()
+
+  return useMemo(
+    () =>
+      collectTags([
+        ...(folders?.noFolder?.records ?? []),
+        ...Object.values(folders?.customFolders ?? {}).flatMap(
+          (folder) => folder.records ?? []
+        )
+      ]),
+    [folders]
+  )
+}
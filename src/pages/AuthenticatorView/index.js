@@ -43,6 +43,7 @@ import {
 import { EmptyResultsView } from '../../containers/EmptyResultsView'
 import { DeleteRecordsModalContent } from '../../containers/Modal/DeleteRecordsModalContent'
 import { MoveFolderModalContent } from '../../containers/Modal/MoveFolderModalContent/MoveFolderModalContent'
+import { TagRecordsModalContent } from '../../containers/Modal/TagRecordsModalContent/TagRecordsModalContent'
 import { MultiSelectActionsBar } from '../../containers/MultiSelectActionsBar'
 import { createStyles as createListStyles } from '../../containers/RecordListView/RecordListView.styles'
 import { useAppHeaderContext } from '../../context/AppHeaderContext'
@@ -53,6 +54,7 @@ import { useCreateOrEditRecord } from '../../hooks/useCreateOrEditRecord'
 import { SettingsItemKey } from '../../pages/SettingsView/SettingsView'
 import { ItemCardIllustration } from '../../svgs/ItemCardIllustration'
 import { getRecordSubtitle } from '../../utils/getRecordSubtitle'
+import { searchRecords } from '../../utils/searchQuery'
 
 const SORT_MENU_WIDTH = 260
 
@@ -79,16 +81,19 @@ export const AuthenticatorView = () => {
     shouldSkip: true,
     variables: {
       filters: {
-        hasOtp: true,
-        searchPattern: searchValue
+        hasOtp: true
       },
       sort
     }
   })
 
   const otpRecords = useMemo(
-    () => (records || []).filter((r) => r.otpPublic),
-    [records]
+    () =>
+      searchRecords(
+        (records || []).filter((r) => r.otpPublic),
+        searchValue
+      ),
+    [records, searchValue]
   )
 
   const { totpGroups, hotpRecords } = useMemo(
@@ -176,6 +181,16 @@ export const AuthenticatorView = () => {
     )
   }
 
+  const handleTag = () => {
+    if (!selectedCount) return
+    setModal(
+      html`<${TagRecordsModalContent}
+        records=${selectedRecordObjects}
+        onCompleted=${exitMultiSelect}
+      />`
+    )
+  }
+
   const handleToggleFavorite = async () => {
     if (!selectedCount) return
     await updateFavoriteState(selectedRecords, !allSelectedFavorited)
@@ -320,6 +335,7 @@ export const AuthenticatorView = () => {
         canMove=${hasCustomFolders}
         onMove=${handleMove}
         onToggleFavorite=${handleToggleFavorite}
+        onTag=${handleTag}
         onDelete=${handleDelete}
       />`}
       ${otpRecords.length === 0 && !!searchValue
@@ -221,6 +221,13 @@ jest.mock(
   })
 )
 
+jest.mock(
+  '../../containers/Modal/TagRecordsModalContent/TagRecordsModalContent',
+  () => ({
+    TagRecordsModalContent: () => null
+  })
+)
+
 jest.mock('../../containers/Modal/DeleteRecordsModalContent', () => ({
   DeleteRecordsModalContent: () => null
 }))
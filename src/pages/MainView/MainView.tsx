@@ -1,7 +1,12 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react'
 
 import { useTheme } from '@tetherto/pearpass-lib-ui-kit'
-import { useFolders, useRecords } from '@tetherto/pearpass-lib-vault'
+import {
+  useFolders,
+  useRecords,
+  useVault,
+  useVaults
+} from '@tetherto/pearpass-lib-vault'
 
 import { createStyles } from './MainView.styles'
 import {
@@ -12,6 +17,8 @@ import {
 import { BrowserExtensionDialog } from '../../containers/Modal/BrowserExtensionDialog'
 import { DeleteRecordsModalContent } from '../../containers/Modal/DeleteRecordsModalContent'
 import { MoveFolderModalContent } from '../../containers/Modal/MoveFolderModalContent/MoveFolderModalContent'
+import { TagRecordsModalContent } from '../../containers/Modal/TagRecordsModalContent/TagRecordsModalContent'
+import { TransferToVaultModalContent } from '../../containers/Modal/TransferToVaultModalContent/TransferToVaultModalContent'
 import { EmptyCollectionView } from '../../containers/EmptyCollectionView'
 import { EmptyResultsView } from '../../containers/EmptyResultsView'
 import { MainViewHeader } from '../../containers/MainViewHeader/MainViewHeader'
@@ -29,6 +36,11 @@ import {
   type VaultRecord
 } from '../../utils/groupRecordsByTimePeriod'
 import { isFavorite } from '../../utils/isFavorite'
+import {
+  SEARCH_FILTER_KEYS,
+  parseSearchQuery,
+  searchRecords
+} from '../../utils/searchQuery'
 
 export const MainView = () => {
   const { theme } = useTheme()
@@ -67,11 +79,33 @@ export const MainView = () => {
 
   const sort = useMemo(() => SORT_BY_TYPE[sortKey], [sortKey])
 
-  const { data: records, isLoading, updateFavoriteState } = useRecords({
+  const selectedTag = routerData?.tag
+
+  // A tag picked in the Sidebar narrows whatever is searched
+  const searchQuery = useMemo(() => {
+    const parsed = parseSearchQuery(searchValue)
+    if (!selectedTag) return parsed
+    return {
+      ...parsed,
+      filters: [
+        ...parsed.filters,
+        {
+          key: SEARCH_FILTER_KEYS.TAG,
+          value: String(selectedTag).toLowerCase(),
+          isNegated: false
+        }
+      ]
+    }
+  }, [searchValue, selectedTag])
+
+  const {
+    data: vaultRecords,
+    isLoading,
+    updateFavoriteState
+  } = useRecords({
     shouldSkip: true,
     variables: {
       filters: {
-        searchPattern: searchValue,
         type:
           routerData?.recordType === 'all' ? undefined : routerData?.recordType,
         folder: selectedFolder,
@@ -83,17 +117,26 @@ export const MainView = () => {
 
   useGlobalLoading({ isLoading })
 
+  const records = useMemo<VaultRecord[]>(
+    () => searchRecords(vaultRecords, searchQuery),
+    [vaultRecords, searchQuery]
+  )
+
+  // Free text ranks by relevance, which the time sections would undo
   const sections = useMemo(
-    () => groupRecordsByTimePeriod(records ?? [], sort),
-    [records, sort]
+    () =>
+      searchQuery.terms.length
+        ? [{ title: 'Best Matches', key: 'bestMatches', data: records }]
+        : groupRecordsByTimePeriod(records, sort),
+    [records, searchQuery, sort]
   )
 
   useEffect(() => {
     setIsMultiSelectOn(false)
-  }, [routerData?.folder, routerData?.recordType, searchValue])
+  }, [routerData?.folder, routerData?.recordType, selectedTag, searchValue])
 
   const selectedRecordObjects = useMemo<VaultRecord[]>(() => {
-    if (!records?.length || !selectedRecords.length) return []
+    if (!records.length || !selectedRecords.length) return []
     const ids = new Set(selectedRecords)
     return records.filter((record: VaultRecord) => ids.has(record.id))
   }, [records, selectedRecords])
@@ -106,6 +149,10 @@ export const MainView = () => {
   const hasCustomFolders =
     Object.keys(foldersData?.customFolders ?? {}).length > 0
 
+  const { data: vaults } = useVaults()
+  const { data: activeVault } = useVault()
+  const hasOtherVaults = !!vaults?.some((vault) => vault.id !== activeVault?.id)
+
   const exitMultiSelect = useCallback(() => {
     setSelectedRecords([])
     setIsMultiSelectOn(false)
@@ -140,14 +187,35 @@ export const MainView = () => {
     )
   }
 
+  const handleTag = () => {
+    if (!selectedCount) return
+    setModal(
+      <TagRecordsModalContent
+        records={selectedRecordObjects}
+        onCompleted={exitMultiSelect}
+      />
+    )
+  }
+
+  const handleTransfer = (mode: 'copy' | 'move') => {
+    if (!selectedCount) return
+    setModal(
+      <TransferToVaultModalContent
+        records={selectedRecordObjects}
+        mode={mode}
+        onCompleted={exitMultiSelect}
+      />
+    )
+  }
+
   const handleToggleFavorite = async () => {
     if (!selectedCount) return
     await updateFavoriteState(selectedRecords, !allSelectedFavorited)
     exitMultiSelect()
   }
 
-  const hasRecords = !!records?.length
-  const hasSearch = !!searchValue.length
+  const hasRecords = !!records.length
+  const hasSearch = !!searchValue.length || !!selectedTag
 
   return (
     <div style={styles.wrapper} data-testid="main-view">
@@ -165,6 +233,13 @@ export const MainView = () => {
           canMove={hasCustomFolders}
           onMove={handleMove}
           onToggleFavorite={handleToggleFavorite}
+          onTag={handleTag}
+          onCopyToVault={
+            hasOtherVaults ? () => handleTransfer('copy') : undefined
+          }
+          onMoveToVault={
+            hasOtherVaults ? () => handleTransfer('move') : undefined
+          }
           onDelete={handleDelete}
         />
       )}
@@ -0,0 +1,339 @@
+import { useMemo, useState } from 'react'
+
+import { useLingui } from '@lingui/react'
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import {
+  Breadcrumb,
+  Button,
+  ContextMenu,
+  ListItem,
+  NavbarListItem,
+  Text,
+  Title,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import {
+  CalendarToday,
+  Check,
+  ErrorFilled
+} from '@tetherto/pearpass-lib-ui-kit/icons'
+import { RECORD_TYPES, useRecords } from '@tetherto/pearpass-lib-vault'
+import { html } from 'htm/react'
+
+import { createStyles } from './styles'
+import { RecordItemIcon } from '../../components/RecordItemIcon'
+import { useRouter } from '../../context/RouterContext'
+import {
+  ILLUSTRATION_HEIGHT,
+  createStyles as createEmptyStateStyles
+} from '../../containers/EmptyCollectionView/EmptyCollectionView.styles'
+import { createStyles as createListStyles } from '../../containers/RecordListView/RecordListView.styles'
+import { useBreachedRecords } from '../../hooks/useBreachedRecords'
+import { useCreateOrEditRecord } from '../../hooks/useCreateOrEditRecord'
+import { ItemCardIllustration } from '../../svgs/ItemCardIllustration'
+import {
+  DEFAULT_PASSWORD_MAX_AGE_MONTHS,
+  PASSWORD_MAX_AGE_OPTIONS,
+  getPasswordHealthReport
+} from '../../utils/getPasswordHealthReport'
+import { getRecordSubtitle } from '../../utils/getRecordSubtitle'
+import { SettingsItemKey } from '../SettingsView/SettingsView'
+
+const MAX_AGE_MENU_WIDTH = 220
+
+export const PasswordHealthView = () => {
+  const { i18n } = useLingui()
+  const { theme } = useTheme()
+  const { navigate } = useRouter()
+  const { handleCreateOrEditRecord } = useCreateOrEditRecord()
+  const styles = createStyles(theme.colors)
+  const emptyStateStyles = createEmptyStateStyles()
+  const listStyles = createListStyles(theme.colors)
+
+  const [maxAgeMonths, setMaxAgeMonths] = useState(
+    DEFAULT_PASSWORD_MAX_AGE_MONTHS
+  )
+  const [isMaxAgeOpen, setIsMaxAgeOpen] = useState(false)
+
+  const { data: records } = useRecords({
+    shouldSkip: true,
+    variables: {
+      filters: {
+        type: RECORD_TYPES.LOGIN
+      }
+    }
+  })
+
+  const report = useMemo(
+    () => getPasswordHealthReport(records, { maxAgeMonths }),
+    [records, maxAgeMonths]
+  )
+
+  const {
+    result: breachScan,
+    breachedRecordIds,
+    isScanning
+  } = useBreachedRecords(records)
+  const isBreachCheckMissing = !breachScan && !isScanning
+  const breached = useMemo(
+    () => (records ?? []).filter((record) => breachedRecordIds.has(record.id)),
+    [records, breachedRecordIds]
+  )
+
+  const iconColor = theme.colors.colorTextPrimary
+  const alertColor = theme.colors.colorTextDestructive
+  const issueCount =
+    breached.length +
+    report.reused.length +
+    report.weak.length +
+    report.old.length
+
+  const handleRecordPress = (record) => {
+    handleCreateOrEditRecord({
+      recordType: record.type,
+      initialRecord: record
+    })
+  }
+
+  const renderRecordRow = (record, issue, subtitle) => html`
+    <${ListItem}
+      key=${record.id}
+      icon=${html`<${RecordItemIcon} record=${record} />`}
+      iconSize=${32}
+      title=${record.data?.title ?? ''}
+      subtitle=${subtitle || undefined}
+      onClick=${() => handleRecordPress(record)}
+      testID=${`password-health-${issue}-${record.id}`}
+      style=${listStyles.recordRow}
+      rightElement=${html`
+        <div style=${listStyles.rowRightElement}>
+          <${ErrorFilled} width=${20} height=${20} color=${alertColor} />
+        </div>
+      `}
+    />
+  `
+
+  const renderSection = ({ key, title, count, children, hasNext }) => html`
+    <div
+      key=${key}
+      style=${listStyles.section}
+      data-testid=${`password-health-section-${key}`}
+    >
+      <div style=${listStyles.staticSectionHeader}>
+        <${Text} variant="labelEmphasized">${title} (${count})<//>
+      </div>
+      ${count === 0
+        ? html`
+            <${Text} as="p" color=${theme.colors.colorTextSecondary}>
+              ${i18n._('Nothing to fix here.')}
+            <//>
+          `
+        : html`<div style=${listStyles.sectionList}>${children}</div>`}
+      ${hasNext && html`<div style=${listStyles.divider} />`}
+    </div>
+  `
+
+  const maxAgeLabel = i18n._('Not changed in {months} months', {
+    months: maxAgeMonths
+  })
+
+  return html`
+    <div style=${styles.wrapper} data-testid="password-health-view">
+      <div style=${styles.headerContainer}>
+        <div style=${styles.breadcrumbWrapper}>
+          <${Breadcrumb}
+            items=${[i18n._('Password Health')]}
+            actions=${html`
+              <${ContextMenu}
+                open=${isMaxAgeOpen}
+                onOpenChange=${setIsMaxAgeOpen}
+                menuWidth=${MAX_AGE_MENU_WIDTH}
+                testID="password-health-max-age-menu"
+                trigger=${html`
+                  <${Button}
+                    variant="tertiary"
+                    size="small"
+                    data-testid="password-health-max-age"
+                    aria-label=${i18n._('Password age')}
+                    iconBefore=${html`<${CalendarToday} color=${iconColor} />`}
+                  >
+                    ${maxAgeLabel}
+                  <//>
+                `}
+              >
+                ${PASSWORD_MAX_AGE_OPTIONS.map(
+                  (months) => html`
+                    <${NavbarListItem}
+                      key=${months}
+                      size="small"
+                      label=${i18n._('{months} months', { months })}
+                      testID=${`password-health-max-age-${months}`}
+                      additionalItems=${maxAgeMonths === months
+                        ? html`<${Check} color=${iconColor} />`
+                        : undefined}
+                      onClick=${() => {
+                        setMaxAgeMonths(months)
+                        setIsMaxAgeOpen(false)
+                      }}
+                    />
+                  `
+                )}
+              <//>
+            `}
+          />
+        </div>
+      </div>
+
+      ${isBreachCheckMissing
+        ? html`
+            <div
+              style=${styles.breachNotice}
+              data-testid="password-health-breach-notice"
+            >
+              <${Text} color=${theme.colors.colorTextSecondary}>
+                ${i18n._(
+                  'Import a breach database to also find passwords leaked in data breaches. The check runs on this device.'
+                )}
+              <//>
+              <${Button}
+                variant="secondary"
+                size="small"
+                data-testid="password-health-breach-setup"
+                onClick=${() =>
+                  navigate('settings', {
+                    initialTab: SettingsItemKey.BreachDatabase
+                  })}
+              >
+                ${i18n._('Set up')}
+              <//>
+            </div>
+          `
+        : null}
+
+      ${report.scannedCount === 0 || issueCount === 0
+        ? html`
+            <div
+              style=${emptyStateStyles.container}
+              data-testid="password-health-empty-state"
+            >
+              <div style=${emptyStateStyles.content}>
+                <div style=${emptyStateStyles.illustration}>
+                  <${ItemCardIllustration}
+                    width=${null}
+                    height=${ILLUSTRATION_HEIGHT}
+                  />
+                </div>
+                <div style=${emptyStateStyles.textBlock}>
+                  <${Title} as="h2">
+                    ${report.scannedCount === 0
+                      ? i18n._('No passwords to check')
+                      : i18n._('Your passwords look healthy')}
+                  <//>
+                  <${Text}
+                    as="p"
+                    variant="label"
+                    color=${theme.colors.colorTextSecondary}
+                    style=${emptyStateStyles.descriptionParagraph}
+                  >
+                    ${report.scannedCount === 0
+                      ? i18n._(
+                          'Logins with a password in this vault are checked for reused, weak and old passwords.'
+                        )
+                      : i18n._(
+                          'No login in this vault reuses a password, has a weak one or needs a new one yet.'
+                        )}
+                  <//>
+                </div>
+              </div>
+            </div>
+          `
+        : html`
+            <div style=${listStyles.wrapper}>
+              <div
+                style=${listStyles.scrollArea}
+                data-testid="password-health-list"
+              >
+                <div style=${styles.summary}>
+                  <${Text} color=${theme.colors.colorTextSecondary}>
+                    ${i18n._('{count} logins checked', {
+                      count: report.scannedCount
+                    })}
+                  <//>
+                </div>
+                ${breachScan
+                  ? renderSection({
+                      key: 'breached',
+                      title: i18n._('Found in data breaches'),
+                      count: breached.length,
+                      hasNext: true,
+                      children: breached.map((record) =>
+                        renderRecordRow(
+                          record,
+                          'breached',
+                          i18n._('Password found in a data breach')
+                        )
+                      )
+                    })
+                  : null}
+                ${renderSection({
+                  key: 'reused',
+                  title: i18n._('Reused passwords'),
+                  count: report.reused.length,
+                  hasNext: true,
+                  children: report.reused.map(
+                    (group, index) => html`
+                      <div key=${group[0].id} style=${listStyles.sectionList}>
+                        <div style=${styles.groupLabel}>
+                          <${Text} color=${theme.colors.colorTextSecondary}>
+                            ${i18n._('Same password in {count} items', {
+                              count: group.length
+                            })}
+                          <//>
+                        </div>
+                        ${group.map((record) =>
+                          renderRecordRow(
+                            record,
+                            `reused-${index}`,
+                            getRecordSubtitle(record)
+                          )
+                        )}
+                      </div>
+                    `
+                  )
+                })}
+                ${renderSection({
+                  key: 'weak',
+                  title: i18n._('Weak passwords'),
+                  count: report.weak.length,
+                  hasNext: true,
+                  children: report.weak.map(({ record, strengthType }) =>
+                    renderRecordRow(
+                      record,
+                      'weak',
+                      strengthType === 'error'
+                        ? i18n._('Vulnerable')
+                        : i18n._('Weak')
+                    )
+                  )
+                })}
+                ${renderSection({
+                  key: 'old',
+                  title: maxAgeLabel,
+                  count: report.old.length,
+                  hasNext: false,
+                  children: report.old.map(({ record, changedAt }) =>
+                    renderRecordRow(
+                      record,
+                      'old',
+                      i18n._('Last changed {date}', {
+                        date: formatDate(new Date(changedAt), 'dd-mm-yy', '/')
+                      })
+                    )
+                  )
+                })}
+              </div>
+            </div>
+          `}
+    </div>
+  `
+}
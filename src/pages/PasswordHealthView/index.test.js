@@ -0,0 +1,234 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+const mockHandleCreateOrEditRecord = jest.fn()
+const mockGetPasswordHealthReport = jest.fn()
+const mockNavigate = jest.fn()
+let mockRecords = []
+let mockBreachCheck = {}
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  RECORD_TYPES: { LOGIN: 'login' },
+  useRecords: () => ({ data: mockRecords })
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: () => '01/01/25'
+}))
+
+jest.mock('@lingui/react', () => ({
+  useLingui: () => ({
+    i18n: {
+      _: (msg, values) =>
+        msg.replace(/\{(\w+)\}/g, (_, key) => String(values?.[key]))
+    }
+  })
+}))
+
+jest.mock('../../context/RouterContext', () => ({
+  useRouter: () => ({ navigate: mockNavigate, data: {} })
+}))
+
+jest.mock('../../hooks/useBreachedRecords', () => ({
+  useBreachedRecords: () => mockBreachCheck
+}))
+
+jest.mock('../SettingsView/SettingsView', () => ({
+  SettingsItemKey: { BreachDatabase: 'breach-database' }
+}))
+
+jest.mock('../../hooks/useCreateOrEditRecord', () => ({
+  useCreateOrEditRecord: () => ({
+    handleCreateOrEditRecord: mockHandleCreateOrEditRecord
+  })
+}))
+
+jest.mock('../../utils/getPasswordHealthReport', () => ({
+  DEFAULT_PASSWORD_MAX_AGE_MONTHS: 6,
+  PASSWORD_MAX_AGE_OPTIONS: [3, 6, 12],
+  getPasswordHealthReport: (...args) => mockGetPasswordHealthReport(...args)
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const ReactInner = require('react')
+  return {
+    Breadcrumb: ({ items, actions }) =>
+      ReactInner.createElement('div', null, items, actions),
+    Button: ({ children, onClick, 'data-testid': testId }) =>
+      ReactInner.createElement(
+        'button',
+        { type: 'button', 'data-testid': testId, onClick },
+        children
+      ),
+    ContextMenu: ({ trigger, children, open, onOpenChange }) =>
+      ReactInner.createElement(
+        'div',
+        { onClick: () => !open && onOpenChange(true) },
+        trigger,
+        open ? children : null
+      ),
+    ListItem: ({ title, subtitle, onClick, testID }) =>
+      ReactInner.createElement(
+        'div',
+        { 'data-testid': testID, onClick },
+        ReactInner.createElement('span', null, title),
+        ReactInner.createElement('span', null, subtitle)
+      ),
+    NavbarListItem: ({ label, onClick, testID }) =>
+      ReactInner.createElement(
+        'button',
+        { type: 'button', 'data-testid': testID, onClick },
+        label
+      ),
+    Text: ({ children }) => ReactInner.createElement('span', null, children),
+    Title: ({ children }) => ReactInner.createElement('h2', null, children),
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 })
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => {
+  const Stub = () => null
+  return { CalendarToday: Stub, Check: Stub, ErrorFilled: Stub }
+})
+
+jest.mock('../../components/RecordItemIcon', () => ({
+  RecordItemIcon: () => null
+}))
+
+jest.mock('../../svgs/ItemCardIllustration', () => ({
+  ItemCardIllustration: () => null
+}))
+
+jest.mock('../../utils/getRecordSubtitle', () => ({
+  getRecordSubtitle: (record) => record.data?.username ?? ''
+}))
+
+import { PasswordHealthView } from './index'
+
+const bank = {
+  id: 'bank',
+  type: 'login',
+  data: { title: 'Bank', username: 'alice' }
+}
+const shop = {
+  id: 'shop',
+  type: 'login',
+  data: { title: 'Shop', username: 'alice' }
+}
+const forum = { id: 'forum', type: 'login', data: { title: 'Forum' } }
+
+describe('PasswordHealthView', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockRecords = [bank, shop, forum]
+    mockBreachCheck = {
+      result: { checkedAt: 1, checkedCount: 2, breachedRecordIds: ['shop'] },
+      breachedRecordIds: new Set(['shop']),
+      isScanning: false
+    }
+    mockGetPasswordHealthReport.mockReturnValue({
+      reused: [[bank, shop]],
+      weak: [{ record: forum, strengthType: 'error', strengthText: '' }],
+      old: [{ record: bank, changedAt: 0 }],
+      scannedCount: 3
+    })
+  })
+
+  test('lists reused, weak and old passwords', () => {
+    render(<PasswordHealthView />)
+
+    expect(mockGetPasswordHealthReport).toHaveBeenCalledWith(mockRecords, {
+      maxAgeMonths: 6
+    })
+    expect(screen.getByText('3 logins checked')).toBeInTheDocument()
+    expect(screen.getByText('Same password in 2 items')).toBeInTheDocument()
+    expect(screen.getByTestId('password-health-reused-0-bank')).toBeVisible()
+    expect(screen.getByTestId('password-health-reused-0-shop')).toBeVisible()
+    expect(
+      screen.getByTestId('password-health-weak-forum').textContent
+    ).toContain('Vulnerable')
+    expect(
+      screen.getByTestId('password-health-old-bank').textContent
+    ).toContain('Last changed 01/01/25')
+  })
+
+  test('opens the edit modal for an entry', () => {
+    render(<PasswordHealthView />)
+
+    fireEvent.click(screen.getByTestId('password-health-weak-forum'))
+
+    expect(mockHandleCreateOrEditRecord).toHaveBeenCalledWith({
+      recordType: 'login',
+      initialRecord: forum
+    })
+  })
+
+  test('rescans with another password age', () => {
+    render(<PasswordHealthView />)
+
+    fireEvent.click(screen.getByTestId('password-health-max-age'))
+    fireEvent.click(screen.getByTestId('password-health-max-age-12'))
+
+    expect(mockGetPasswordHealthReport).toHaveBeenLastCalledWith(mockRecords, {
+      maxAgeMonths: 12
+    })
+    expect(screen.getByTestId('password-health-max-age').textContent).toContain(
+      'Not changed in 12 months'
+    )
+  })
+
+  test('shows an empty state when nothing needs fixing', () => {
+    mockGetPasswordHealthReport.mockReturnValue({
+      reused: [],
+      weak: [],
+      old: [],
+      scannedCount: 3
+    })
+    mockBreachCheck = {
+      ...mockBreachCheck,
+      breachedRecordIds: new Set()
+    }
+
+    render(<PasswordHealthView />)
+
+    expect(
+      screen.getByTestId('password-health-empty-state')
+    ).toBeInTheDocument()
+    expect(screen.getByText('Your passwords look healthy')).toBeInTheDocument()
+  })
+
+  test('lists passwords found in the breach database', () => {
+    render(<PasswordHealthView />)
+
+    expect(
+      screen.getByTestId('password-health-breached-shop').textContent
+    ).toContain('Password found in a data breach')
+    expect(
+      screen.queryByTestId('password-health-breached-bank')
+    ).not.toBeInTheDocument()
+    expect(
+      screen.queryByTestId('password-health-breach-notice')
+    ).not.toBeInTheDocument()
+  })
+
+  test('points to the breach check settings without a database', () => {
+    mockBreachCheck = {
+      result: null,
+      breachedRecordIds: new Set(),
+      isScanning: false
+    }
+
+    render(<PasswordHealthView />)
+
+    expect(
+      screen.queryByTestId('password-health-section-breached')
+    ).not.toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('password-health-breach-setup'))
+    expect(mockNavigate).toHaveBeenCalledWith('settings', {
+      initialTab: 'breach-database'
+    })
+  })
+})
@@ -0,0 +1,57 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+import { HEADER_MIN_HEIGHT } from '../../constants/layout'
+
+export const createStyles = (colors: ThemeColors) => ({
+  wrapper: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    height: '100%',
+    width: '100%',
+    backgroundColor: colors.colorSurfacePrimary,
+    overflow: 'hidden' as const
+  },
+
+  headerContainer: {
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    height: `${HEADER_MIN_HEIGHT}px`,
+    paddingInline: `${rawTokens.spacing12}px`,
+    borderBottom: `1px solid ${colors.colorBorderPrimary}`,
+    backgroundColor: colors.colorSurfacePrimary,
+    boxSizing: 'border-box' as const,
+    flexShrink: 0
+  },
+
+  breadcrumbWrapper: {
+    flex: 1,
+    minWidth: 0,
+    display: 'flex' as const,
+    alignItems: 'center' as const
+  },
+
+  summary: {
+    display: 'flex' as const,
+    flexWrap: 'wrap' as const,
+    gap: `${rawTokens.spacing16}px`,
+    paddingInline: `${rawTokens.spacing12}px`,
+    paddingBlock: `${rawTokens.spacing8}px`
+  },
+
+  breachNotice: {
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    justifyContent: 'space-between' as const,
+    gap: `${rawTokens.spacing12}px`,
+    paddingInline: `${rawTokens.spacing12}px`,
+    paddingBlock: `${rawTokens.spacing8}px`,
+    borderBottom: `1px solid ${colors.colorBorderPrimary}`,
+    flexShrink: 0
+  },
+
+  groupLabel: {
+    paddingInline: `${rawTokens.spacing12}px`,
+    paddingTop: `${rawTokens.spacing8}px`
+  }
+})
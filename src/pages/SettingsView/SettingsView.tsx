@@ -10,6 +10,7 @@ import {
 import {
   ArrowBackOutined,
   BugReportFilled,
+  Checklist,
   Devices,
   HubFilled,
   InfoOutlined,
@@ -18,12 +19,14 @@ import {
   KeyboardArrowRightFilled,
   LayerFilled,
   LockOutlined,
+  LockPerson,
   Login,
   Logout,
   PaletteOutlined,
   SecurityFilled,
   SettingsApplicationsFilled,
   Sync,
+  SyncLock,
   SystemSecurityUpdateFilled,
   TerminalTone,
   Translate,
@@ -43,7 +46,10 @@ import { createStyles } from './SettingsView.styles'
 import {
   AppPreferencesContent,
   AppVersionContent,
+  AuditLogContent,
+  BackupsContent,
   BlindPeersContent,
+  BreachDatabaseContent,
   DiagnosticsContent,
   ExportCodesContent,
   ExportItemsContent,
@@ -52,6 +58,8 @@ import {
   LanguageContent,
   MasterPasswordContent,
   ReportAProblemContent,
+  SecretServiceContent,
+  SshAgentContent,
   YourDevicesContent
 } from './content'
 import { YourVaultsContent } from './content/YourVaultsContent'
@@ -59,11 +67,16 @@ import { YourVaultsContent } from './content/YourVaultsContent'
 export enum SettingsItemKey {
   AppPreferences = 'app-preferences',
   MasterPassword = 'master-password',
+  AuditLog = 'audit-log',
+  SshAgent = 'ssh-agent',
+  SecretService = 'secret-service',
+  BreachDatabase = 'breach-database',
   BlindPeering = 'blind-peering',
   YourDevices = 'your-devices',
   YourVaults = 'your-vaults',
   ImportItems = 'import-items',
   ExportItems = 'export-items',
+  Backups = 'backups',
   ImportCodes = 'import-codes',
   ExportCodes = 'export-codes',
   Language = 'language',
@@ -94,6 +107,14 @@ const renderActiveContent = (
       return <AppPreferencesContent />
     case SettingsItemKey.MasterPassword:
       return <MasterPasswordContent />
+    case SettingsItemKey.AuditLog:
+      return <AuditLogContent />
+    case SettingsItemKey.SshAgent:
+      return <SshAgentContent />
+    case SettingsItemKey.SecretService:
+      return <SecretServiceContent />
+    case SettingsItemKey.BreachDatabase:
+      return <BreachDatabaseContent />
     case SettingsItemKey.YourVaults:
       return <YourVaultsContent />
     case SettingsItemKey.BlindPeering:
@@ -104,6 +125,8 @@ const renderActiveContent = (
       return <ImportItemsContent />
     case SettingsItemKey.ExportItems:
       return <ExportItemsContent />
+    case SettingsItemKey.Backups:
+      return <BackupsContent />
     case SettingsItemKey.ImportCodes:
       return <ImportCodesContent />
     case SettingsItemKey.ExportCodes:
@@ -145,6 +168,26 @@ const SettingsViewBody = () => {
             key: SettingsItemKey.MasterPassword,
             label: t('Master Password'),
             icon: Key
+          },
+          {
+            key: SettingsItemKey.AuditLog,
+            label: t('Extension Activity'),
+            icon: Checklist
+          },
+          {
+            key: SettingsItemKey.SshAgent,
+            label: t('SSH Agent'),
+            icon: TerminalTone
+          },
+          {
+            key: SettingsItemKey.SecretService,
+            label: t('Secret Service'),
+            icon: LockPerson
+          },
+          {
+            key: SettingsItemKey.BreachDatabase,
+            label: t('Breach Check'),
+            icon: SecurityFilled
           }
         ]
       },
@@ -184,6 +227,11 @@ const SettingsViewBody = () => {
             key: SettingsItemKey.ExportItems,
             label: t('Export Items'),
             icon: Logout
+          },
+          {
+            key: SettingsItemKey.Backups,
+            label: t('Backups'),
+            icon: SyncLock
           }
         ]
       },
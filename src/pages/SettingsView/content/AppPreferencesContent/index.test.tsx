@@ -147,6 +147,7 @@ describe('AppPreferencesContent', () => {
     expect(screen.getByText('Auto Lock')).toBeInTheDocument()
     expect(screen.getByText('Copy to Clipboard')).toBeInTheDocument()
     expect(screen.getByText('Reminders')).toBeInTheDocument()
+    expect(screen.getByText('Browser Extension Sessions')).toBeInTheDocument()
   })
 
   it('starts with clipboard enabled when localStorage has no value', () => {
@@ -236,4 +237,26 @@ describe('AppPreferencesContent', () => {
       localStorage.getItem(LOCAL_STORAGE_KEYS.PASSWORD_CHANGE_REMINDER_ENABLED)
     ).toBeNull()
   })
+
+  it('shows the default browser extension session lifetime', () => {
+    render(<AppPreferencesContent />)
+    expect(
+      screen.getByTestId('settings-session-lifetime-select').textContent
+    ).toBe('1 hour')
+  })
+
+  it('stores the selected browser extension session lifetime', () => {
+    render(<AppPreferencesContent />)
+    fireEvent.click(screen.getByTestId('settings-session-lifetime-select'))
+    fireEvent.click(
+      screen.getByTestId('settings-session-lifetime-option-four_hours')
+    )
+
+    expect(
+      localStorage.getItem(LOCAL_STORAGE_KEYS.NATIVE_MESSAGING_SESSION_TTL_MS)
+    ).toBe(String(4 * 60 * 60 * 1000))
+    expect(
+      screen.getByTestId('settings-session-lifetime-select').textContent
+    ).toBe('4 hours')
+  })
 })
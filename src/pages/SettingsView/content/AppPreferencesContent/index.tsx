@@ -18,6 +18,11 @@ import {
 import { LOCAL_STORAGE_KEYS } from '../../../../constants/localStorage'
 import { useAutoLockPreferences } from '../../../../hooks/useAutoLockPreferences'
 import { useTranslation } from '../../../../hooks/useTranslation'
+import {
+  getSessionTtlMs,
+  SESSION_TTL_OPTIONS,
+  setSessionTtlMs
+} from '../../../../services/nativeMessagingPreferences'
 import { isPasswordChangeReminderDisabled } from '../../../../utils/isPasswordChangeReminderDisabled'
 import { createStyles } from './styles'
 
@@ -25,6 +30,8 @@ const TEST_IDS = {
   root: 'settings-app-preferences',
   autoLockSelect: 'settings-auto-lock-select',
   autoLockOption: 'settings-auto-lock-option',
+  sessionLifetimeSelect: 'settings-session-lifetime-select',
+  sessionLifetimeOption: 'settings-session-lifetime-option',
   copyToClipboardToggle: 'settings-copy-to-clipboard-toggle',
   remindersToggle: 'settings-reminders-toggle'
 } as const
@@ -39,6 +46,10 @@ const TIMEOUT_OPTIONS: TimeoutOption[] = Object.entries(
   AUTO_LOCK_TIMEOUT_OPTIONS
 ).map(([key, option]) => ({ key, label: option.label, value: option.value }))
 
+const SESSION_LIFETIME_OPTIONS: TimeoutOption[] = Object.entries(
+  SESSION_TTL_OPTIONS
+).map(([key, option]) => ({ key, label: option.label, value: option.value }))
+
 export const AppPreferencesContent = () => {
   const { t } = useTranslation()
   const { theme } = useTheme()
@@ -48,6 +59,11 @@ export const AppPreferencesContent = () => {
   const { timeoutMs, setTimeoutMs } = useAutoLockPreferences()
 
   const [isTimeoutDropdownOpen, setIsTimeoutDropdownOpen] = useState(false)
+  const [sessionLifetimeMs, setSessionLifetimeMs] = useState(() =>
+    getSessionTtlMs()
+  )
+  const [isSessionLifetimeDropdownOpen, setIsSessionLifetimeDropdownOpen] =
+    useState(false)
   const [isClipboardDisabled, setIsClipboardDisabled] = useState(() =>
     localStorage.getItem(
       LOCAL_STORAGE_KEYS.COPY_TO_CLIPBOARD_DISABLED
@@ -81,6 +97,25 @@ export const AppPreferencesContent = () => {
     [setTimeoutMs]
   )
 
+  const translatedSessionLifetimeOptions = useMemo(
+    () =>
+      SESSION_LIFETIME_OPTIONS.map((option) => ({
+        ...option,
+        label: t(option.label)
+      })),
+    [t]
+  )
+
+  const selectedSessionLifetimeOption = translatedSessionLifetimeOptions.find(
+    (option) => option.value === sessionLifetimeMs
+  )
+
+  const handleSessionLifetimeSelect = useCallback((option: TimeoutOption) => {
+    setSessionTtlMs(option.value)
+    setSessionLifetimeMs(option.value)
+    setIsSessionLifetimeDropdownOpen(false)
+  }, [])
+
   const handleClipboardToggle = useCallback((isOn: boolean) => {
     if (isOn) {
       localStorage.removeItem(LOCAL_STORAGE_KEYS.COPY_TO_CLIPBOARD_DISABLED)
@@ -157,7 +192,50 @@ export const AppPreferencesContent = () => {
           </div>
         )}
 
-        <div style={AUTO_LOCK_ENABLED ? styles.rowDivider : undefined}>
+        <div
+          style={
+            AUTO_LOCK_ENABLED
+              ? { ...styles.row, ...styles.rowDivider }
+              : styles.row
+          }
+        >
+          <div style={styles.toggleColumn}>
+            <Text variant="labelEmphasized">
+              {t('Browser Extension Sessions')}
+            </Text>
+            <Text variant="caption" color={colors.colorTextSecondary}>
+              {t(
+                'How long a connected browser extension stays signed in before it has to reconnect'
+              )}
+            </Text>
+          </div>
+          <Dropdown
+            open={isSessionLifetimeDropdownOpen}
+            onOpenChange={setIsSessionLifetimeDropdownOpen}
+            trigger={
+              <Button
+                variant="secondary"
+                size="small"
+                iconAfter={<KeyboardArrowBottom />}
+                data-testid={TEST_IDS.sessionLifetimeSelect}
+              >
+                {selectedSessionLifetimeOption?.label}
+              </Button>
+            }
+          >
+            {translatedSessionLifetimeOptions.map((option) => (
+              <NavbarListItem
+                key={option.key}
+                testID={`${TEST_IDS.sessionLifetimeOption}-${option.key.toLowerCase()}`}
+                label={option.label}
+                selected={option.value === sessionLifetimeMs}
+                onClick={() => handleSessionLifetimeSelect(option)}
+              />
+            ))}
+          </Dropdown>
+        </div>
+
+        <div style={styles.rowDivider}>
           <ToggleSwitch
             data-testid={TEST_IDS.copyToClipboardToggle}
             checked={!isClipboardDisabled}
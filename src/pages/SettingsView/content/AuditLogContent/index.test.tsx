@@ -0,0 +1,232 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react'
+
+import { AuditLogContent } from './index'
+import {
+  clearAuditLog,
+  getAuditLog
+} from '../../../../services/security/auditLog'
+
+const mockSetToast = jest.fn()
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string) => str
+  })
+}))
+
+jest.mock('../../../../context/ToastContext', () => ({
+  useToast: () => ({ setToast: mockSetToast })
+}))
+
+jest.mock('../../../../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+jest.mock('../../../../services/createOrGetPearpassClient', () => ({
+  createOrGetPearpassClient: () => ({})
+}))
+
+jest.mock('../../../../services/security/appIdentity', () => ({
+  getPairedClients: jest.fn(() =>
+    Promise.resolve([{ fingerprint: 'aaaa1111', label: 'Chrome' }])
+  )
+}))
+
+jest.mock('../../../../services/security/sessionStore', () => ({
+  getSession: jest.fn()
+}))
+
+jest.mock('../../../../services/security/auditLog', () => ({
+  ...jest.requireActual<object>('../../../../services/security/auditLog'),
+  clearAuditLog: jest.fn(() => Promise.resolve()),
+  getAuditLog: jest.fn()
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: () => '01 Jan 2024'
+}))
+
+jest.mock('./styles', () => ({
+  createStyles: () => ({
+    root: {},
+    filters: {},
+    searchField: {},
+    sectionCard: {},
+    listItemBorder: {},
+    emptyState: {},
+    footer: {}
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  KeyboardArrowBottom: () => null
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  PageHeader: ({ title }: { title: string }) => <h1>{title}</h1>,
+  Text: ({ children }: { children: React.ReactNode }) => <p>{children}</p>,
+  Button: (props: {
+    children?: React.ReactNode
+    onClick?: () => void
+    disabled?: boolean
+    'data-testid'?: string
+  }) => (
+    <button
+      type="button"
+      data-testid={props['data-testid']}
+      disabled={props.disabled}
+      onClick={props.onClick}
+    >
+      {props.children}
+    </button>
+  ),
+  InputField: (props: {
+    value: string
+    onChange: (e: { target: { value: string } }) => void
+    testID?: string
+  }) => (
+    <input
+      data-testid={props.testID}
+      value={props.value}
+      onChange={props.onChange}
+    />
+  ),
+  Dropdown: ({
+    children,
+    trigger
+  }: {
+    children: React.ReactNode
+    trigger: React.ReactNode
+  }) => (
+    <div>
+      {trigger}
+      {children}
+    </div>
+  ),
+  NavbarListItem: (props: {
+    label: string
+    testID?: string
+    onClick?: () => void
+  }) => (
+    <button type="button" data-testid={props.testID} onClick={props.onClick}>
+      {props.label}
+    </button>
+  ),
+  ListItem: (props: {
+    title: string
+    testID?: string
+    subtitle?: { primary: string; secondary: string }
+    rightElement?: React.ReactNode
+  }) => (
+    <div data-testid={props.testID}>
+      <span>{props.title}</span>
+      <span>{props.subtitle?.secondary}</span>
+      {props.rightElement}
+    </div>
+  )
+}))
+
+const entries = [
+  {
+    timestamp: '2024-01-01T10:00:00.000Z',
+    clientFingerprint: 'aaaa1111',
+    method: 'removeVault',
+    outcome: 'ERROR',
+    errorCode: 'REQUEST_DENIED'
+  },
+  {
+    timestamp: '2024-01-01T09:00:00.000Z',
+    clientFingerprint: 'bbbb2222',
+    method: 'vaultsList',
+    outcome: 'SUCCESS',
+    errorCode: null
+  }
+]
+
+describe('AuditLogContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    jest.mocked(getAuditLog).mockResolvedValue(entries)
+  })
+
+  it('lists audit entries with the client name and outcome', async () => {
+    render(<AuditLogContent />)
+
+    const firstEntry = await screen.findByTestId('settings-audit-log-entry-0')
+
+    expect(firstEntry.textContent).toContain('removeVault')
+    expect(
+      screen.getByTestId('settings-audit-log-entry-0').textContent
+    ).toContain('Chrome')
+    expect(
+      screen.getByTestId('settings-audit-log-entry-0').textContent
+    ).toContain('REQUEST_DENIED')
+    expect(
+      screen.getByTestId('settings-audit-log-entry-1').textContent
+    ).toContain('BBBB2222')
+    expect(
+      screen.getByTestId('settings-audit-log-entry-1').textContent
+    ).toContain('Success')
+  })
+
+  it('filters entries by search text', async () => {
+    render(<AuditLogContent />)
+    await screen.findByTestId('settings-audit-log-entry-1')
+
+    fireEvent.change(screen.getByTestId('settings-audit-log-search'), {
+      target: { value: 'vaultsList' }
+    })
+
+    expect(
+      screen.getByTestId('settings-audit-log-entry-0').textContent
+    ).toContain('vaultsList')
+    expect(
+      screen.queryByTestId('settings-audit-log-entry-1')
+    ).not.toBeInTheDocument()
+  })
+
+  it('filters entries by outcome and client', async () => {
+    render(<AuditLogContent />)
+    await screen.findByTestId('settings-audit-log-entry-1')
+
+    fireEvent.click(
+      screen.getByTestId('settings-audit-log-outcome-option-error')
+    )
+
+    expect(
+      screen.getByTestId('settings-audit-log-entry-0').textContent
+    ).toContain('removeVault')
+    expect(
+      screen.queryByTestId('settings-audit-log-entry-1')
+    ).not.toBeInTheDocument()
+
+    fireEvent.click(
+      screen.getByTestId('settings-audit-log-client-option-bbbb2222')
+    )
+
+    expect(
+      screen.getByText('No extension activity matches these filters.')
+    ).toBeInTheDocument()
+  })
+
+  it('clears the log', async () => {
+    render(<AuditLogContent />)
+    await screen.findByTestId('settings-audit-log-entry-0')
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('settings-audit-log-clear'))
+    })
+
+    await waitFor(() => expect(clearAuditLog).toHaveBeenCalled())
+    expect(
+      screen.queryByTestId('settings-audit-log-entry-0')
+    ).not.toBeInTheDocument()
+    expect(mockSetToast).toHaveBeenCalledWith({
+      message: 'Activity log cleared'
+    })
+  })
+})
@@ -0,0 +1,302 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import {
+  Button,
+  Dropdown,
+  InputField,
+  ListItem,
+  NavbarListItem,
+  PageHeader,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { KeyboardArrowBottom } from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { useToast } from '../../../../context/ToastContext'
+import { useTranslation } from '../../../../hooks/useTranslation'
+import { createOrGetPearpassClient } from '../../../../services/createOrGetPearpassClient'
+import {
+  getPairedClients,
+  type PairedClient
+} from '../../../../services/security/appIdentity'
+import {
+  AUDIT_OUTCOMES,
+  clearAuditLog,
+  filterAuditEntries,
+  getAuditLog,
+  type AuditEntry
+} from '../../../../services/security/auditLog'
+import { logger } from '../../../../utils/logger'
+import { createStyles } from './styles'
+
+const TEST_IDS = {
+  root: 'settings-audit-log',
+  search: 'settings-audit-log-search',
+  outcomeSelect: 'settings-audit-log-outcome-select',
+  outcomeOption: 'settings-audit-log-outcome-option',
+  clientSelect: 'settings-audit-log-client-select',
+  clientOption: 'settings-audit-log-client-option',
+  entry: 'settings-audit-log-entry',
+  refreshButton: 'settings-audit-log-refresh',
+  clearButton: 'settings-audit-log-clear'
+} as const
+
+const FINGERPRINT_PREVIEW_LENGTH = 8
+
+const formatTimestamp = (timestamp: string) => {
+  const date = new Date(timestamp)
+  return `${formatDate(date, 'dd-mmm-yyyy', ' ')} ${formatDate(date, 'hh-mi', ':')}`
+}
+
+export const AuditLogContent = () => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const { colors } = theme
+  const styles = createStyles(colors)
+  const { setToast } = useToast()
+
+  const [entries, setEntries] = useState<AuditEntry[]>([])
+  const [pairedClients, setPairedClients] = useState<PairedClient[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [query, setQuery] = useState('')
+  const [outcome, setOutcome] = useState<string | null>(null)
+  const [clientFingerprint, setClientFingerprint] = useState<string | null>(
+    null
+  )
+  const [isOutcomeDropdownOpen, setIsOutcomeDropdownOpen] = useState(false)
+  const [isClientDropdownOpen, setIsClientDropdownOpen] = useState(false)
+
+  const loadAuditLog = useCallback(async () => {
+    const client = createOrGetPearpassClient()
+    setIsLoading(true)
+    try {
+      const [auditEntries, clients] = await Promise.all([
+        getAuditLog(client),
+        getPairedClients(client).catch(() => [])
+      ])
+      setEntries(auditEntries)
+      setPairedClients(clients)
+    } catch (error) {
+      logger.error('AuditLogContent', 'Failed to load audit log:', error)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    void loadAuditLog()
+  }, [loadAuditLog])
+
+  const handleClear = async () => {
+    try {
+      await clearAuditLog(createOrGetPearpassClient())
+      setEntries([])
+      setToast({ message: t('Activity log cleared') })
+    } catch (error) {
+      setToast({ message: t('Error: ') + (error as Error).message })
+    }
+  }
+
+  const outcomeOptions = useMemo(
+    () => [
+      { key: 'all', label: t('All results'), value: null },
+      {
+        key: 'success',
+        label: t('Successful'),
+        value: AUDIT_OUTCOMES.SUCCESS
+      },
+      { key: 'error', label: t('Failed'), value: AUDIT_OUTCOMES.ERROR }
+    ],
+    [t]
+  )
+
+  const getClientName = useCallback(
+    (fingerprint: string | null) => {
+      if (!fingerprint) return t('Unidentified client')
+      const pairedClient = pairedClients.find(
+        (item) => item.fingerprint === fingerprint
+      )
+      return (
+        pairedClient?.label ??
+        fingerprint.slice(0, FINGERPRINT_PREVIEW_LENGTH).toUpperCase()
+      )
+    },
+    [pairedClients, t]
+  )
+
+  const clientOptions = useMemo(() => {
+    const fingerprints = Array.from(
+      new Set(
+        entries
+          .map((entry) => entry.clientFingerprint)
+          .filter((fingerprint): fingerprint is string => !!fingerprint)
+      )
+    )
+    return [
+      { key: 'all', label: t('All extensions'), value: null },
+      ...fingerprints.map((fingerprint) => ({
+        key: fingerprint,
+        label: getClientName(fingerprint),
+        value: fingerprint
+      }))
+    ]
+  }, [entries, getClientName, t])
+
+  const filteredEntries = useMemo(
+    () => filterAuditEntries(entries, { query, outcome, clientFingerprint }),
+    [entries, query, outcome, clientFingerprint]
+  )
+
+  const selectedOutcome =
+    outcomeOptions.find((option) => option.value === outcome) ??
+    outcomeOptions[0]
+  const selectedClient =
+    clientOptions.find((option) => option.value === clientFingerprint) ??
+    clientOptions[0]
+
+  return (
+    <div data-testid={TEST_IDS.root} style={styles.root}>
+      <PageHeader
+        as="h1"
+        title={t('Extension Activity')}
+        subtitle={t(
+          'Every request made by a paired browser extension is recorded here. Request contents are never stored.'
+        )}
+      />
+
+      <div style={styles.filters}>
+        <div style={styles.searchField}>
+          <InputField
+            label={t('Search')}
+            placeholder={t('Method or error code')}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            testID={TEST_IDS.search}
+          />
+        </div>
+        <Dropdown
+          open={isOutcomeDropdownOpen}
+          onOpenChange={setIsOutcomeDropdownOpen}
+          trigger={
+            <Button
+              variant="secondary"
+              size="small"
+              iconAfter={<KeyboardArrowBottom />}
+              data-testid={TEST_IDS.outcomeSelect}
+            >
+              {selectedOutcome.label}
+            </Button>
+          }
+        >
+          {outcomeOptions.map((option) => (
+            <NavbarListItem
+              key={option.key}
+              testID={`${TEST_IDS.outcomeOption}-${option.key}`}
+              label={option.label}
+              selected={option.value === outcome}
+              onClick={() => {
+                setOutcome(option.value)
+                setIsOutcomeDropdownOpen(false)
+              }}
+            />
+          ))}
+        </Dropdown>
+        <Dropdown
+          open={isClientDropdownOpen}
+          onOpenChange={setIsClientDropdownOpen}
+          trigger={
+            <Button
+              variant="secondary"
+              size="small"
+              iconAfter={<KeyboardArrowBottom />}
+              data-testid={TEST_IDS.clientSelect}
+            >
+              {selectedClient.label}
+            </Button>
+          }
+        >
+          {clientOptions.map((option) => (
+            <NavbarListItem
+              key={option.key}
+              testID={`${TEST_IDS.clientOption}-${option.key}`}
+              label={option.label}
+              selected={option.value === clientFingerprint}
+              onClick={() => {
+                setClientFingerprint(option.value)
+                setIsClientDropdownOpen(false)
+              }}
+            />
+          ))}
+        </Dropdown>
+      </div>
+
+      <div style={styles.sectionCard}>
+        {filteredEntries.length === 0 ? (
+          <div style={styles.emptyState}>
+            <Text color={colors.colorTextSecondary}>
+              {isLoading
+                ? t('Loading activity...')
+                : t('No extension activity matches these filters.')}
+            </Text>
+          </div>
+        ) : (
+          filteredEntries.map((entry, index) => (
+            <div
+              key={`${entry.timestamp}-${index}`}
+              style={
+                index < filteredEntries.length - 1
+                  ? styles.listItemBorder
+                  : undefined
+              }
+            >
+              <ListItem
+                title={entry.method}
+                subtitleLayout="horizontal"
+                subtitle={{
+                  primary: formatTimestamp(entry.timestamp),
+                  secondary: getClientName(entry.clientFingerprint)
+                }}
+                testID={`${TEST_IDS.entry}-${index}`}
+                rightElement={
+                  <Text
+                    variant="caption"
+                    color={
+                      entry.outcome === AUDIT_OUTCOMES.ERROR
+                        ? colors.colorTextDestructive
+                        : colors.colorTextSecondary
+                    }
+                  >
+                    {entry.outcome === AUDIT_OUTCOMES.ERROR
+                      ? entry.errorCode
+                      : t('Success')}
+                  </Text>
+                }
+              />
+            </div>
+          ))
+        )}
+      </div>
+
+      <div style={styles.footer}>
+        <Button
+          variant="tertiary"
+          size="small"
+          data-testid={TEST_IDS.refreshButton}
+          onClick={() => void loadAuditLog()}
+        >
+          {t('Refresh')}
+        </Button>
+        <Button
+          variant="tertiary"
+          size="small"
+          data-testid={TEST_IDS.clearButton}
+          disabled={!entries.length}
+          onClick={() => void handleClear()}
+        >
+          {t('Clear Activity Log')}
+        </Button>
+      </div>
+    </div>
+  )
+}
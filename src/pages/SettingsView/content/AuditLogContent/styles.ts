@@ -0,0 +1,56 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = (colors: ThemeColors) => ({
+  root: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    alignItems: 'stretch' as const,
+    gap: `${rawTokens.spacing8}px`,
+    width: '100%',
+    boxSizing: 'border-box' as const
+  },
+
+  filters: {
+    display: 'flex' as const,
+    flexDirection: 'row' as const,
+    alignItems: 'flex-end' as const,
+    gap: `${rawTokens.spacing8}px`,
+    marginTop: `${rawTokens.spacing16}px`,
+    width: '100%'
+  },
+
+  searchField: {
+    flex: 1,
+    minWidth: 0
+  },
+
+  sectionCard: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    borderRadius: `${rawTokens.radius8}px`,
+    borderWidth: 1,
+    borderStyle: 'solid' as const,
+    borderColor: colors.colorBorderPrimary,
+    boxSizing: 'border-box' as const,
+    overflow: 'hidden' as const
+  },
+
+  listItemBorder: {
+    borderBottomWidth: 1,
+    borderBottomStyle: 'solid' as const,
+    borderBottomColor: colors.colorBorderPrimary
+  },
+
+  emptyState: {
+    padding: `${rawTokens.spacing12}px`
+  },
+
+  footer: {
+    display: 'flex' as const,
+    flexDirection: 'row' as const,
+    justifyContent: 'space-between' as const,
+    alignItems: 'center' as const,
+    width: '100%'
+  }
+})
@@ -0,0 +1,302 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { parsePearPassData } from '@tetherto/pearpass-lib-data-import'
+
+import { BackupsContent } from './index'
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string, values?: Record<string, string>) =>
+      str.replace(/\{(\w+)\}/g, (_match, name) => values?.[name] ?? '')
+  })
+}))
+
+jest.mock('../../../../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: (_date: Date, format: string) =>
+    format === 'hh-mi' ? '10:30' : '01/03/26'
+}))
+
+jest.mock('@tetherto/pearpass-lib-data-import', () => ({
+  parsePearPassData: jest.fn(async () => [{ type: 'login' }])
+}))
+
+jest.mock('../ImportItemsContent/utils', () => ({
+  restorePearPassTags: (records: unknown[]) => records
+}))
+
+const mockImportRecords = jest.fn()
+jest.mock('../../../../hooks/useImportRecords', () => ({
+  useImportRecords: () => ({ importRecords: mockImportRecords })
+}))
+
+jest.mock('./styles', () => ({
+  createStyles: () => ({})
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  PageHeader: ({ title }: { title: string }) => <h1>{title}</h1>,
+  Text: ({
+    children,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    'data-testid'?: string
+  }) => <p data-testid={dataTestid}>{children}</p>,
+  InputField: ({ value, testID }: { value: string; testID?: string }) => (
+    <input data-testid={testID} value={value} readOnly />
+  ),
+  PasswordField: ({
+    value,
+    onChange,
+    testID
+  }: {
+    value: string
+    onChange: (e: React.ChangeEvent<HTMLInputElement>) => void
+    testID?: string
+  }) => <input data-testid={testID} value={value} onChange={onChange} />,
+  Radio: (props: {
+    options: Array<{ value: string; label: string }>
+    value?: string
+    onChange?: (value: string) => void
+    testID?: string
+  }) => (
+    <div data-testid={props.testID}>
+      {props.options.map((opt) => (
+        <button
+          key={opt.value}
+          type="button"
+          data-testid={`${props.testID}-${opt.value}`}
+          aria-pressed={props.value === opt.value}
+          onClick={() => props.onChange?.(opt.value)}
+        >
+          {opt.label}
+        </button>
+      ))}
+    </div>
+  ),
+  Button: ({
+    children,
+    onClick,
+    disabled,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    onClick?: () => void
+    disabled?: boolean
+    'data-testid'?: string
+  }) => (
+    <button
+      type="button"
+      data-testid={dataTestid}
+      disabled={disabled}
+      onClick={onClick}
+    >
+      {children}
+    </button>
+  )
+}))
+
+const backupFile = 'PearPass_Backup_2026-03-01T10-30-00-000Z.json'
+
+const configured: BackupStatus = {
+  frequency: 'daily',
+  directory: '/home/alice/Backups',
+  retentionCount: 10,
+  hasPassword: true,
+  isRunning: false,
+  lastBackupAt: 1772361000000,
+  lastError: null,
+  nextBackupAt: null,
+  backups: [
+    {
+      fileName: backupFile,
+      createdAt: 1772361000000,
+      vaults: [
+        { id: 'personal', name: 'Personal', backedUpAt: 1772361000000 },
+        { id: 'work', name: 'Work', backedUpAt: 1772361000000 }
+      ]
+    }
+  ]
+}
+
+function withElectronAPI(value: unknown, run: () => Promise<void> | void) {
+  const original = window.electronAPI
+  Object.defineProperty(window, 'electronAPI', {
+    configurable: true,
+    writable: true,
+    value
+  })
+  return Promise.resolve(run()).finally(() => {
+    Object.defineProperty(window, 'electronAPI', {
+      configurable: true,
+      writable: true,
+      value: original
+    })
+  })
+}
+
+describe('BackupsContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('shows the last backup and backs up now', async () => {
+    const runBackupNow = jest.fn(() =>
+      Promise.resolve({ ...configured, lastError: 'PearPass is locked' })
+    )
+
+    await withElectronAPI(
+      { getBackupStatus: () => Promise.resolve(configured), runBackupNow },
+      async () => {
+        render(<BackupsContent />)
+
+        await waitFor(() =>
+          expect(
+            screen.getByTestId('settings-backups-status').textContent
+          ).toBe('Last backup 01/03/26, 10:30')
+        )
+        expect(
+          (screen.getByTestId('settings-backups-directory') as HTMLInputElement)
+            .value
+        ).toBe('/home/alice/Backups')
+        expect(
+          screen.getByTestId('settings-backups-frequency-daily')
+        ).toHaveAttribute('aria-pressed', 'true')
+
+        await act(async () => {
+          fireEvent.click(screen.getByTestId('settings-backups-run'))
+        })
+
+        expect(runBackupNow).toHaveBeenCalledTimes(1)
+        expect(screen.getByTestId('settings-backups-error').textContent).toBe(
+          'PearPass is locked'
+        )
+      }
+    )
+  })
+
+  it('needs a folder and a password before backing up', async () => {
+    const setBackupPreferences = jest.fn(
+      (preferences: { frequency?: BackupFrequency; password?: string }) =>
+        Promise.resolve({
+          ...configured,
+          directory: null,
+          backups: [],
+          lastBackupAt: null,
+          hasPassword: !!preferences.password,
+          frequency: preferences.frequency ?? 'off'
+        })
+    )
+
+    await withElectronAPI(
+      {
+        getBackupStatus: () =>
+          Promise.resolve({
+            ...configured,
+            directory: null,
+            hasPassword: false,
+            frequency: 'off',
+            lastBackupAt: null,
+            backups: []
+          }),
+        setBackupPreferences
+      },
+      async () => {
+        render(<BackupsContent />)
+
+        await waitFor(() =>
+          expect(
+            screen.getByTestId('settings-backups-status').textContent
+          ).toBe('No backup yet.')
+        )
+        expect(screen.getByTestId('settings-backups-run')).toBeDisabled()
+        expect(screen.getByTestId('settings-backups-empty')).toBeInTheDocument()
+
+        fireEvent.change(screen.getByTestId('settings-backups-password'), {
+          target: { value: 'correct horse' }
+        })
+        await act(async () => {
+          fireEvent.click(screen.getByTestId('settings-backups-save-password'))
+        })
+        expect(setBackupPreferences).toHaveBeenCalledWith({
+          password: 'correct horse'
+        })
+        expect(
+          (screen.getByTestId('settings-backups-password') as HTMLInputElement)
+            .value
+        ).toBe('')
+
+        await act(async () => {
+          fireEvent.click(
+            screen.getByTestId('settings-backups-frequency-change')
+          )
+        })
+        expect(setBackupPreferences).toHaveBeenLastCalledWith({
+          frequency: 'change'
+        })
+        // Still no folder
+        expect(screen.getByTestId('settings-backups-run')).toBeDisabled()
+      }
+    )
+  })
+
+  it('restores a vault of a backup in the main process', async () => {
+    const restoreBackup = jest.fn(() =>
+      Promise.resolve({ data: { vaults: [] } })
+    )
+
+    await withElectronAPI(
+      { getBackupStatus: () => Promise.resolve(configured), restoreBackup },
+      async () => {
+        render(<BackupsContent />)
+        const restoreButton = await screen.findByTestId(
+          `settings-backups-restore-${backupFile}-work`
+        )
+        expect(restoreButton.textContent).toBe('Restore Work')
+
+        await act(async () => {
+          fireEvent.click(restoreButton)
+        })
+
+        expect(restoreBackup).toHaveBeenCalledWith(backupFile, 'work')
+        expect(parsePearPassData).toHaveBeenCalledWith({ vaults: [] }, 'json')
+        expect(mockImportRecords).toHaveBeenCalledWith([{ type: 'login' }])
+      }
+    )
+  })
+
+  it('explains when a backup was made with another password', async () => {
+    await withElectronAPI(
+      {
+        getBackupStatus: () => Promise.resolve(configured),
+        restoreBackup: () =>
+          Promise.resolve({
+            error: 'The backup was made with another password',
+            code: 'BACKUP_WRONG_PASSWORD'
+          })
+      },
+      async () => {
+        render(<BackupsContent />)
+        const restoreButton = await screen.findByTestId(
+          `settings-backups-restore-${backupFile}-personal`
+        )
+
+        await act(async () => {
+          fireEvent.click(restoreButton)
+        })
+
+        expect(mockImportRecords).not.toHaveBeenCalled()
+        expect(screen.getByTestId('settings-backups-error').textContent).toBe(
+          'This backup was made with another password and can be restored from Import Items.'
+        )
+      }
+    )
+  })
+})
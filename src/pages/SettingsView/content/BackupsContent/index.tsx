@@ -0,0 +1,348 @@
+import React, {
+  type ChangeEvent,
+  useCallback,
+  useEffect,
+  useState
+} from 'react'
+
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import { parsePearPassData } from '@tetherto/pearpass-lib-data-import'
+import {
+  Button,
+  InputField,
+  PageHeader,
+  PasswordField,
+  Radio,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+
+import { useImportRecords } from '../../../../hooks/useImportRecords'
+import { useTranslation } from '../../../../hooks/useTranslation'
+import { logger } from '../../../../utils/logger'
+import { restorePearPassTags } from '../ImportItemsContent/utils'
+import { createStyles } from './styles'
+
+const BACKUP_RETENTION_COUNT_OPTIONS = [5, 10, 30]
+
+const TEST_IDS = {
+  root: 'settings-card-backups',
+  status: 'settings-backups-status',
+  error: 'settings-backups-error',
+  runButton: 'settings-backups-run',
+  directory: 'settings-backups-directory',
+  chooseDirectoryButton: 'settings-backups-choose-directory',
+  frequency: 'settings-backups-frequency',
+  retention: 'settings-backups-retention',
+  password: 'settings-backups-password',
+  savePasswordButton: 'settings-backups-save-password',
+  noBackups: 'settings-backups-empty'
+} as const
+
+const formatBackupDate = (time: number) => {
+  const date = new Date(time)
+  return `${formatDate(date, 'dd-mm-yy', '/')}, ${formatDate(date, 'hh-mi', ':')}`
+}
+
+export const BackupsContent = () => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+  const { importRecords } = useImportRecords()
+
+  const [status, setStatus] = useState<BackupStatus | null>(null)
+  const [password, setPassword] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI || typeof electronAPI.getBackupStatus !== 'function') {
+      return
+    }
+
+    let cancelled = false
+    electronAPI
+      .getBackupStatus()
+      .then((nextStatus) => {
+        if (!cancelled) setStatus(nextStatus)
+      })
+      .catch((err) =>
+        logger.error('BackupsContent', 'getBackupStatus failed:', err)
+      )
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // One change at a time, showing the status it comes back with
+  const runAction = useCallback(
+    async (
+      action: () => Promise<BackupStatus | undefined> | undefined,
+      errorMessage: string
+    ) => {
+      if (isBusy) return false
+      setIsBusy(true)
+      setError(null)
+      try {
+        const nextStatus = await action()
+        if (nextStatus) setStatus(nextStatus)
+        return true
+      } catch (err) {
+        logger.error('BackupsContent', errorMessage, err)
+        setError(errorMessage)
+        return false
+      } finally {
+        setIsBusy(false)
+      }
+    },
+    [isBusy]
+  )
+
+  const updatePreferences = (preferences: {
+    frequency?: BackupFrequency
+    retentionCount?: number
+    password?: string
+  }) =>
+    runAction(
+      () => window.electronAPI?.setBackupPreferences?.(preferences),
+      t('The backup settings could not be saved.')
+    )
+
+  const savePassword = async () => {
+    if (await updatePreferences({ password })) setPassword('')
+  }
+
+  const restore = async (fileName: string, vaultId: string) => {
+    if (isBusy) return
+    setIsBusy(true)
+    setError(null)
+    try {
+      const result = await window.electronAPI?.restoreBackup?.(
+        fileName,
+        vaultId
+      )
+      if (!result) return
+      if (result.code === 'BACKUP_NOT_CONFIGURED') {
+        setError(t('Set the backup password to restore this backup.'))
+        return
+      }
+      if (result.code === 'BACKUP_WRONG_PASSWORD') {
+        setError(
+          t(
+            'This backup was made with another password and can be restored from Import Items.'
+          )
+        )
+        return
+      }
+      if (result.error) throw new Error(result.error)
+
+      await importRecords(
+        restorePearPassTags(
+          await parsePearPassData(result.data, 'json'),
+          result.data
+        )
+      )
+    } catch (err) {
+      logger.error('BackupsContent', 'Restoring a backup failed:', err)
+      setError(t('The backup could not be restored.'))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const isConfigured = !!status?.directory && !!status.hasPassword
+
+  const frequencyOptions = [
+    { value: 'off', label: t('Off') },
+    { value: 'daily', label: t('Daily') },
+    { value: 'weekly', label: t('Weekly') },
+    {
+      value: 'change',
+      label: t('On every change'),
+      description: t(
+        'Backs up the open vault shortly after it changes. Other vaults are kept from the previous backup.'
+      )
+    }
+  ]
+
+  const retentionOptions = BACKUP_RETENTION_COUNT_OPTIONS.map((count) => ({
+    value: String(count),
+    label: t('Keep the last {count} backups', { count: String(count) })
+  }))
+
+  const lastError = error ?? status?.lastError ?? null
+
+  return (
+    <div data-testid={TEST_IDS.root} style={styles.root}>
+      <PageHeader
+        title={t('Backups')}
+        subtitle={t(
+          'Save encrypted backups of every vault to a folder on this device, on a schedule or whenever something changes. Vaults with their own password are backed up while they are open.'
+        )}
+      />
+
+      <div style={styles.settingCard}>
+        <Text as="p" data-testid={TEST_IDS.status}>
+          {status?.lastBackupAt
+            ? t('Last backup {date}', {
+                date: formatBackupDate(status.lastBackupAt)
+              })
+            : t('No backup yet.')}
+        </Text>
+        {status?.nextBackupAt && (
+          <Text as="p" color={theme.colors.colorTextSecondary}>
+            {t('Next backup {date}', {
+              date: formatBackupDate(status.nextBackupAt)
+            })}
+          </Text>
+        )}
+        {lastError && (
+          <Text
+            as="p"
+            color={theme.colors.colorTextDestructive}
+            data-testid={TEST_IDS.error}
+          >
+            {lastError}
+          </Text>
+        )}
+      </div>
+
+      <div style={styles.settingCard}>
+        <div style={styles.fieldRow}>
+          <div style={styles.fieldGrow}>
+            <InputField
+              label={t('Backup folder')}
+              value={status?.directory ?? ''}
+              placeholder={t('No folder chosen')}
+              readOnly
+              testID={TEST_IDS.directory}
+            />
+          </div>
+          <Button
+            data-testid={TEST_IDS.chooseDirectoryButton}
+            variant="secondary"
+            size="small"
+            disabled={!status || isBusy}
+            onClick={() => {
+              void runAction(
+                () => window.electronAPI?.chooseBackupDirectory?.(),
+                t('The backup folder could not be changed.')
+              )
+            }}
+          >
+            {t('Choose folder')}
+          </Button>
+        </div>
+
+        <div style={styles.fieldRow}>
+          <div style={styles.fieldGrow}>
+            <PasswordField
+              label={t('Backup password')}
+              placeholder={
+                status?.hasPassword
+                  ? t('Enter a new password to replace it')
+                  : t('Enter Backup Password')
+              }
+              value={password}
+              onChange={(e: ChangeEvent<HTMLInputElement>) =>
+                setPassword(e.target.value)
+              }
+              testID={TEST_IDS.password}
+            />
+          </div>
+          <Button
+            data-testid={TEST_IDS.savePasswordButton}
+            variant="secondary"
+            size="small"
+            disabled={!status || !password || isBusy}
+            onClick={() => {
+              void savePassword()
+            }}
+          >
+            {t('Save password')}
+          </Button>
+        </div>
+        <Text as="p" color={theme.colors.colorTextSecondary}>
+          {t(
+            'Backups are encrypted with this password. It is kept in the keychain of this device, and you need it to restore a backup anywhere else.'
+          )}
+        </Text>
+
+        <Radio
+          options={frequencyOptions}
+          value={status?.frequency ?? 'off'}
+          onChange={(value: string) => {
+            void updatePreferences({ frequency: value as BackupFrequency })
+          }}
+          testID={TEST_IDS.frequency}
+        />
+
+        <Radio
+          options={retentionOptions}
+          value={String(status?.retentionCount ?? '')}
+          onChange={(value: string) => {
+            void updatePreferences({ retentionCount: Number(value) })
+          }}
+          testID={TEST_IDS.retention}
+        />
+      </div>
+
+      <div style={styles.settingCard}>
+        {status?.backups.length ? (
+          status.backups.map((backup) => (
+            <div key={backup.fileName} style={styles.backupRow}>
+              <Text as="p">{formatBackupDate(backup.createdAt)}</Text>
+              <div style={styles.restoreButtons}>
+                {backup.vaults.map((vault) => (
+                  <Button
+                    key={vault.id}
+                    data-testid={`settings-backups-restore-${backup.fileName}-${vault.id}`}
+                    variant="secondary"
+                    size="small"
+                    disabled={isBusy}
+                    onClick={() => {
+                      void restore(backup.fileName, vault.id)
+                    }}
+                  >
+                    {t('Restore {name}', { name: vault.name })}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          ))
+        ) : (
+          <Text
+            as="p"
+            color={theme.colors.colorTextSecondary}
+            data-testid={TEST_IDS.noBackups}
+          >
+            {t('Backups in the chosen folder are listed here.')}
+          </Text>
+        )}
+        <Text as="p" color={theme.colors.colorTextSecondary}>
+          {t(
+            'Restoring adds the items of the backup to the open vault, with a preview to skip, overwrite or merge the ones it already has.'
+          )}
+        </Text>
+      </div>
+
+      <div style={styles.actionsRow}>
+        <Button
+          data-testid={TEST_IDS.runButton}
+          variant="primary"
+          size="small"
+          disabled={!isConfigured || isBusy}
+          onClick={() => {
+            void runAction(
+              () => window.electronAPI?.runBackupNow?.(),
+              t('The backup could not be made.')
+            )
+          }}
+        >
+          {t('Back up now')}
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,232 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+
+import { BreachDatabaseContent } from './index'
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string, values?: Record<string, string>) =>
+      str.replace(/\{(\w+)\}/g, (_match, name) => values?.[name] ?? '')
+  })
+}))
+
+jest.mock('../../../../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: () => '01/03/26'
+}))
+
+jest.mock('./styles', () => ({
+  createStyles: () => ({
+    root: {},
+    settingCard: {},
+    actionsRow: {}
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  ImportOutlined: () => null,
+  TrashOutlined: () => null
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  PageHeader: ({ title }: { title: string }) => <h1>{title}</h1>,
+  Text: ({
+    children,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    'data-testid'?: string
+  }) => <p data-testid={dataTestid}>{children}</p>,
+  Button: ({
+    children,
+    onClick,
+    disabled,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    onClick?: () => void
+    disabled?: boolean
+    'data-testid'?: string
+  }) => (
+    <button
+      type="button"
+      data-testid={dataTestid}
+      disabled={disabled}
+      onClick={onClick}
+    >
+      {children}
+    </button>
+  )
+}))
+
+const TEST_IDS = {
+  status: 'settings-breach-database-status',
+  bloomNotice: 'settings-breach-database-bloom-notice',
+  progress: 'settings-breach-database-progress',
+  error: 'settings-breach-database-error',
+  importButton: 'settings-breach-database-import',
+  removeButton: 'settings-breach-database-remove'
+} as const
+
+const hashList: BreachDatabaseInfo = {
+  type: 'hashes',
+  entryCount: 1200,
+  sourceName: 'pwned-passwords-sha1-ordered-by-hash.txt',
+  importedAt: 1772323200000,
+  sizeBytes: 24000
+}
+
+function withElectronAPI(value: unknown, run: () => Promise<void> | void) {
+  const original = window.electronAPI
+  Object.defineProperty(window, 'electronAPI', {
+    configurable: true,
+    writable: true,
+    value
+  })
+  return Promise.resolve(run()).finally(() => {
+    Object.defineProperty(window, 'electronAPI', {
+      configurable: true,
+      writable: true,
+      value: original
+    })
+  })
+}
+
+describe('BreachDatabaseContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('shows the imported database', async () => {
+    const getBreachCheckStatus = jest.fn(() =>
+      Promise.resolve({ database: hashList })
+    )
+
+    await withElectronAPI({ getBreachCheckStatus }, async () => {
+      render(<BreachDatabaseContent />)
+
+      await waitFor(() =>
+        expect(screen.getByTestId(TEST_IDS.status).textContent).toContain(
+          'pwned-passwords-sha1-ordered-by-hash.txt'
+        )
+      )
+      expect(screen.getByTestId(TEST_IDS.status).textContent).toContain(
+        'imported 01/03/26'
+      )
+      expect(screen.getByTestId(TEST_IDS.removeButton)).toBeInTheDocument()
+      expect(screen.queryByTestId(TEST_IDS.bloomNotice)).not.toBeInTheDocument()
+    })
+  })
+
+  it('imports a database and reports progress', async () => {
+    let reportProgress: (progress: {
+      bytesRead: number
+      totalBytes: number
+    }) => void = () => {}
+    let finishImport: (result: BreachDatabaseImportResult) => void = () => {}
+    const importBreachDatabase = jest.fn(
+      () =>
+        new Promise<BreachDatabaseImportResult>((resolve) => {
+          finishImport = resolve
+        })
+    )
+
+    await withElectronAPI(
+      {
+        getBreachCheckStatus: () => Promise.resolve({ database: null }),
+        onBreachDatabaseImportProgress: (cb: typeof reportProgress) => {
+          reportProgress = cb
+          return () => {}
+        },
+        importBreachDatabase
+      },
+      async () => {
+        render(<BreachDatabaseContent />)
+        expect(screen.getByTestId(TEST_IDS.status).textContent).toContain(
+          'No breach database imported.'
+        )
+
+        await act(async () => {
+          fireEvent.click(screen.getByTestId(TEST_IDS.importButton))
+        })
+        act(() => reportProgress({ bytesRead: 1, totalBytes: 4 }))
+
+        expect(screen.getByTestId(TEST_IDS.progress).textContent).toContain(
+          '25%'
+        )
+        expect(screen.getByTestId(TEST_IDS.importButton)).toBeDisabled()
+
+        await act(async () => {
+          finishImport({
+            canceled: false,
+            database: { ...hashList, type: 'bloom' }
+          })
+        })
+
+        expect(screen.queryByTestId(TEST_IDS.progress)).not.toBeInTheDocument()
+        expect(screen.getByTestId(TEST_IDS.bloomNotice)).toBeInTheDocument()
+        expect(importBreachDatabase).toHaveBeenCalledTimes(1)
+      }
+    )
+  })
+
+  it('shows why an import failed', async () => {
+    await withElectronAPI(
+      {
+        getBreachCheckStatus: () => Promise.resolve({ database: null }),
+        importBreachDatabase: () =>
+          Promise.resolve({
+            canceled: false,
+            database: null,
+            error: 'Hashes must be sorted, line 2 is out of order'
+          })
+      },
+      async () => {
+        render(<BreachDatabaseContent />)
+
+        await act(async () => {
+          fireEvent.click(screen.getByTestId(TEST_IDS.importButton))
+        })
+
+        expect(screen.getByTestId(TEST_IDS.error).textContent).toBe(
+          'Hashes must be sorted, line 2 is out of order'
+        )
+      }
+    )
+  })
+
+  it('removes the database', async () => {
+    const removeBreachDatabase = jest.fn(() =>
+      Promise.resolve({ database: null })
+    )
+
+    await withElectronAPI(
+      {
+        getBreachCheckStatus: () => Promise.resolve({ database: hashList }),
+        removeBreachDatabase
+      },
+      async () => {
+        render(<BreachDatabaseContent />)
+        const removeButton = await screen.findByTestId(TEST_IDS.removeButton)
+
+        await act(async () => {
+          fireEvent.click(removeButton)
+        })
+
+        expect(removeBreachDatabase).toHaveBeenCalled()
+        expect(screen.getByTestId(TEST_IDS.status).textContent).toContain(
+          'No breach database imported.'
+        )
+        expect(
+          screen.queryByTestId(TEST_IDS.removeButton)
+        ).not.toBeInTheDocument()
+      }
+    )
+  })
+})
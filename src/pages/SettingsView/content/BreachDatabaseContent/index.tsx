@@ -0,0 +1,188 @@
+import React, { useCallback, useEffect, useState } from 'react'
+
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import {
+  Button,
+  PageHeader,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import {
+  ImportOutlined,
+  TrashOutlined
+} from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { useTranslation } from '../../../../hooks/useTranslation'
+import { logger } from '../../../../utils/logger'
+import { createStyles } from './styles'
+
+const TEST_IDS = {
+  root: 'settings-card-breach-database',
+  status: 'settings-breach-database-status',
+  bloomNotice: 'settings-breach-database-bloom-notice',
+  progress: 'settings-breach-database-progress',
+  error: 'settings-breach-database-error',
+  importButton: 'settings-breach-database-import',
+  removeButton: 'settings-breach-database-remove'
+} as const
+
+export const BreachDatabaseContent = () => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+
+  const [database, setDatabase] = useState<BreachDatabaseInfo | null>(null)
+  const [isBusy, setIsBusy] = useState(false)
+  const [progress, setProgress] = useState<number | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (
+      !electronAPI ||
+      typeof electronAPI.getBreachCheckStatus !== 'function'
+    ) {
+      return
+    }
+
+    let cancelled = false
+    electronAPI
+      .getBreachCheckStatus()
+      .then((status) => {
+        if (!cancelled) setDatabase(status.database)
+      })
+      .catch((err) =>
+        logger.error(
+          'BreachDatabaseContent',
+          'getBreachCheckStatus failed:',
+          err
+        )
+      )
+
+    const unsubscribe = electronAPI.onBreachDatabaseImportProgress?.(
+      ({ bytesRead, totalBytes }) => {
+        if (cancelled) return
+        setProgress(
+          totalBytes > 0 ? Math.floor((bytesRead / totalBytes) * 100) : 0
+        )
+      }
+    )
+
+    return () => {
+      cancelled = true
+      unsubscribe?.()
+    }
+  }, [])
+
+  const importDatabase = useCallback(async () => {
+    if (isBusy) return
+    setIsBusy(true)
+    setError(null)
+    try {
+      const result = await window.electronAPI?.importBreachDatabase?.()
+      if (!result) return
+      setDatabase(result.database)
+      if (result.error) setError(result.error)
+    } catch (err) {
+      logger.error('BreachDatabaseContent', 'importBreachDatabase failed:', err)
+      setError(t('The breach database could not be imported.'))
+    } finally {
+      setIsBusy(false)
+      setProgress(null)
+    }
+  }, [isBusy, t])
+
+  const removeDatabase = useCallback(async () => {
+    if (isBusy) return
+    setIsBusy(true)
+    setError(null)
+    try {
+      const status = await window.electronAPI?.removeBreachDatabase?.()
+      if (status) setDatabase(status.database)
+    } catch (err) {
+      logger.error('BreachDatabaseContent', 'removeBreachDatabase failed:', err)
+    } finally {
+      setIsBusy(false)
+    }
+  }, [isBusy])
+
+  return (
+    <div data-testid={TEST_IDS.root} style={styles.root}>
+      <PageHeader
+        title={t('Breach Check')}
+        subtitle={t(
+          'Check Login passwords against a list of passwords leaked in data breaches. The list stays on this device and passwords are never sent anywhere.'
+        )}
+      />
+      <div style={styles.settingCard}>
+        <Text as="p" data-testid={TEST_IDS.status}>
+          {database
+            ? t('{count} password hashes from {file}, imported {date}', {
+                count: database.entryCount.toLocaleString(),
+                file: database.sourceName,
+                date: formatDate(new Date(database.importedAt), 'dd-mm-yy', '/')
+              })
+            : t('No breach database imported.')}
+        </Text>
+        {database?.type === 'bloom' && (
+          <Text
+            as="p"
+            color={theme.colors.colorTextSecondary}
+            data-testid={TEST_IDS.bloomNotice}
+          >
+            {t(
+              'This is a Bloom filter, so a few passwords that were never leaked can be reported as breached.'
+            )}
+          </Text>
+        )}
+        <Text as="p" color={theme.colors.colorTextSecondary}>
+          {t(
+            'Import a SHA-1 hash list downloaded from Have I Been Pwned, one "HASH:COUNT" line per password sorted by hash, or a PearPass Bloom filter built from one.'
+          )}
+        </Text>
+        {progress !== null && (
+          <Text as="p" data-testid={TEST_IDS.progress}>
+            {t('Importing… {percent}%', { percent: String(progress) })}
+          </Text>
+        )}
+        {error && (
+          <Text
+            as="p"
+            color={theme.colors.colorTextDestructive}
+            data-testid={TEST_IDS.error}
+          >
+            {error}
+          </Text>
+        )}
+      </div>
+      <div style={styles.actionsRow}>
+        {database && (
+          <Button
+            data-testid={TEST_IDS.removeButton}
+            variant="secondary"
+            size="small"
+            disabled={isBusy}
+            onClick={() => {
+              void removeDatabase()
+            }}
+            iconBefore={<TrashOutlined />}
+          >
+            {t('Remove')}
+          </Button>
+        )}
+        <Button
+          data-testid={TEST_IDS.importButton}
+          variant="primary"
+          size="small"
+          disabled={isBusy}
+          onClick={() => {
+            void importDatabase()
+          }}
+          iconBefore={<ImportOutlined />}
+        >
+          {database ? t('Replace') : t('Import')}
+        </Button>
+      </div>
+    </div>
+  )
+}
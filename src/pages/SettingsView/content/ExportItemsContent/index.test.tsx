@@ -42,6 +42,7 @@ jest.mock('@tetherto/pearpass-lib-vault', () => ({
 
 const mockExportJson = jest.fn((..._args: unknown[]) => Promise.resolve())
 const mockExportCsv = jest.fn((..._args: unknown[]) => Promise.resolve())
+const mockExportKdbx = jest.fn((..._args: unknown[]) => Promise.resolve())
 
 jest.mock('../../utils/exportJsonPerVault', () => ({
   handleExportJsonPerVaultTest: (...args: unknown[]) => mockExportJson(...args)
@@ -51,6 +52,10 @@ jest.mock('../../utils/exportCsvPerVault', () => ({
   handleExportCSVPerVault: (...args: unknown[]) => mockExportCsv(...args)
 }))
 
+jest.mock('../../utils/exportKdbxPerVault', () => ({
+  handleExportKdbxPerVault: (...args: unknown[]) => mockExportKdbx(...args)
+}))
+
 jest.mock('../../../../containers/Modal/AuthenticationModalContent', () => ({
   AuthenticationModalContent: (props: { onSuccess: () => Promise<void> }) => (
     <button
@@ -215,4 +220,36 @@ describe('ExportItemsContent', () => {
     )
     expect(mockRefetchVault).toHaveBeenCalledWith('vault-1', 'enc-key')
   })
+  it('always asks for a password for a KeePass export', async () => {
+    render(<ExportItemsContent />)
+
+    fireEvent.click(screen.getByTestId('export-format-radio-kdbx'))
+
+    expect(screen.queryByTestId('export-protect-toggle')).toBeNull()
+    expect(screen.getByTestId('export-button')).toBeDisabled()
+
+    fireEvent.change(screen.getByTestId('export-file-password'), {
+      target: { value: 'secret' }
+    })
+    fireEvent.change(screen.getByTestId('export-file-password-confirm'), {
+      target: { value: 'secret' }
+    })
+    fireEvent.click(screen.getByTestId('export-button'))
+
+    render(mockSetModal.mock.calls[0][0] as React.ReactElement)
+    fireEvent.click(screen.getByTestId('auth-confirm'))
+
+    await waitFor(() => {
+      expect(mockExportKdbx).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            id: 'vault-1',
+            records: [{ id: 'record-1' }]
+          })
+        ],
+        'secret'
+      )
+    })
+    expect(mockExportJson).not.toHaveBeenCalled()
+  })
 })
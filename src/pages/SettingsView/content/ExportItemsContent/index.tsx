@@ -26,6 +26,7 @@ import { useToast } from '../../../../context/ToastContext'
 import { useTranslation } from '../../../../hooks/useTranslation'
 import { handleExportCSVPerVault } from '../../utils/exportCsvPerVault'
 import { handleExportJsonPerVaultTest } from '../../utils/exportJsonPerVault'
+import { handleExportKdbxPerVault } from '../../utils/exportKdbxPerVault'
 import { createStyles } from './styles'
 
 type FormValues = {
@@ -35,7 +36,8 @@ type FormValues = {
 
 enum ExportFormat {
   JSON = 'json',
-  CSV = 'csv'
+  CSV = 'csv',
+  KDBX = 'kdbx'
 }
 
 export const ExportItemsContent = () => {
@@ -52,6 +54,11 @@ export const ExportItemsContent = () => {
   const [isPasswordProtected, setIsPasswordProtected] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
 
+  // A KeePass database can't be written without a password
+  const needsPassword =
+    selectedFormat === ExportFormat.KDBX ||
+    (selectedFormat === ExportFormat.JSON && isPasswordProtected)
+
   const schema = Validator.object({
     password: Validator.string().required(t('Password is required')),
     passwordConfirm: Validator.string().required(t('Password is required'))
@@ -95,6 +102,11 @@ export const ExportItemsContent = () => {
 
       if (selectedFormat === ExportFormat.JSON) {
         await handleExportJsonPerVaultTest(vaultsToExport, encryptionPassword)
+      } else if (selectedFormat === ExportFormat.KDBX) {
+        await handleExportKdbxPerVault(
+          vaultsToExport,
+          encryptionPassword as string
+        )
       } else {
         await handleExportCSVPerVault(vaultsToExport)
       }
@@ -110,7 +122,7 @@ export const ExportItemsContent = () => {
       const vaultId = currentVault?.id
       const currentEncryption = await getMasterEncryption()
 
-      await handleSubmitExport(isPasswordProtected ? values.password : null)
+      await handleSubmitExport(needsPassword ? values.password : null)
 
       refetchVault(vaultId, currentEncryption)
 
@@ -127,7 +139,7 @@ export const ExportItemsContent = () => {
     }
   }, [
     isExporting,
-    isPasswordProtected,
+    needsPassword,
     values.password,
     currentVault,
     handleSubmitExport,
@@ -149,7 +161,7 @@ export const ExportItemsContent = () => {
   }
 
   const isExportDisabled =
-    isPasswordProtected &&
+    needsPassword &&
     (!values.password ||
       !values.passwordConfirm ||
       values.password !== values.passwordConfirm)
@@ -168,11 +180,17 @@ export const ExportItemsContent = () => {
       description: t(
         'CSV exports basic item data for spreadsheets, without custom fields or metadata.'
       )
+    },
+    {
+      value: ExportFormat.KDBX,
+      label: t('KeePass (KDBX 4)'),
+      description: t(
+        'A KeePass database protected with a password, for KeePass, KeePassXC and other compatible apps. Folders, custom fields, files and one-time codes are kept.'
+      )
     }
   ]
 
-  const passwordFieldsVisible =
-    selectedFormat === ExportFormat.JSON && isPasswordProtected
+  const passwordFieldsVisible = needsPassword
   const passwordsMatch =
     values.password.length > 0 &&
     values.passwordConfirm.length > 0 &&
@@ -206,17 +224,19 @@ export const ExportItemsContent = () => {
         testID="export-format-radio"
       />
 
-      {selectedFormat === ExportFormat.JSON && (
+      {selectedFormat !== ExportFormat.CSV && (
         <div style={styles.toggleCard}>
-          <ToggleSwitch
-            checked={isPasswordProtected}
-            onChange={handleTogglePasswordProtection}
-            label={t('Protect with Password')}
-            description={t(
-              'Protect your exported file so it can only be opened with the password you set'
-            )}
-            data-testid="export-protect-toggle"
-          />
+          {selectedFormat === ExportFormat.JSON && (
+            <ToggleSwitch
+              checked={isPasswordProtected}
+              onChange={handleTogglePasswordProtection}
+              label={t('Protect with Password')}
+              description={t(
+                'Protect your exported file so it can only be opened with the password you set'
+              )}
+              data-testid="export-protect-toggle"
+            />
+          )}
 
           <div
             style={{
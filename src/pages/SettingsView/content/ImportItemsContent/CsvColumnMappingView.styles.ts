@@ -0,0 +1,56 @@
+import type { ThemeColors } from '@tetherto/pearpass-lib-ui-kit'
+import { rawTokens } from '@tetherto/pearpass-lib-ui-kit'
+
+export const createStyles = (colors: ThemeColors) => ({
+  container: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing16}px`
+  },
+
+  settingsRow: {
+    display: 'flex' as const,
+    flexWrap: 'wrap' as const,
+    alignItems: 'flex-end' as const,
+    gap: `${rawTokens.spacing12}px`
+  },
+
+  setting: {
+    display: 'flex' as const,
+    flexDirection: 'column' as const,
+    gap: `${rawTokens.spacing4}px`
+  },
+
+  tableOuter: {
+    border: `1px solid ${colors.colorBorderPrimary}`,
+    borderRadius: `${rawTokens.radius8}px`,
+    display: 'grid' as const,
+    gridTemplateColumns: '1fr 1fr auto'
+  },
+
+  tableRow: {
+    display: 'contents' as const
+  },
+
+  tableCell: {
+    padding: `${rawTokens.spacing12}px`,
+    borderBottom: `1px solid ${colors.colorBorderPrimary}`,
+    display: 'flex' as const,
+    alignItems: 'center' as const,
+    minWidth: 0,
+    overflow: 'hidden' as const,
+    textOverflow: 'ellipsis' as const,
+    whiteSpace: 'nowrap' as const
+  },
+
+  presetRow: {
+    display: 'flex' as const,
+    alignItems: 'flex-end' as const,
+    gap: `${rawTokens.spacing8}px`
+  },
+
+  footer: {
+    display: 'flex' as const,
+    justifyContent: 'flex-end' as const
+  }
+})
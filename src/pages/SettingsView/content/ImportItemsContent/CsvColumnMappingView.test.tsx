@@ -0,0 +1,156 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { fireEvent, render, screen } from '@testing-library/react'
+
+import { CsvColumnMappingView } from './CsvColumnMappingView'
+;(globalThis as { React?: typeof React }).React = React
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (key: string, values?: Record<string, unknown>) =>
+      key.replace(/\{(\w+)\}/g, (_, name) => String(values?.[name]))
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const React = require('react')
+  return {
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 }),
+    Button: ({
+      children,
+      onClick,
+      disabled,
+      'data-testid': dataTestId
+    }: {
+      children?: React.ReactNode
+      onClick?: () => void
+      disabled?: boolean
+      'data-testid'?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', onClick, disabled, 'data-testid': dataTestId },
+        children
+      ),
+    Dropdown: ({
+      trigger,
+      children
+    }: {
+      trigger: React.ReactNode
+      children: React.ReactNode
+    }) => React.createElement('div', null, trigger, children),
+    InputField: ({
+      value,
+      onChange,
+      testID
+    }: {
+      value: string
+      onChange: (e: React.ChangeEvent<HTMLInputElement>) => void
+      testID?: string
+    }) =>
+      React.createElement('input', { value, onChange, 'data-testid': testID }),
+    NavbarListItem: ({
+      label,
+      onClick,
+      testID
+    }: {
+      label: string
+      onClick: () => void
+      testID?: string
+    }) =>
+      React.createElement(
+        'button',
+        { type: 'button', onClick, 'data-testid': testID },
+        label
+      ),
+    Text: ({ children }: { children: React.ReactNode }) =>
+      React.createElement('span', null, children)
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  ExpandMore: () => null
+}))
+
+const CSV =
+  'Service;Address;User;Secret question\nGitHub;github.com;alice;Blue\n'
+
+describe('CsvColumnMappingView', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('guesses the mapping and keeps unmapped columns as custom fields', () => {
+    const onImport = jest.fn()
+    render(
+      <CsvColumnMappingView text={CSV} encoding="utf-8" onImport={onImport} />
+    )
+
+    expect(
+      screen.getByText(
+        'Read as UTF-8 with 1 rows. Columns without a field are kept as custom fields.'
+      )
+    ).toBeInTheDocument()
+    expect(
+      screen.getByTestId('csv-mapping-delimiter-trigger').textContent
+    ).toBe('Semicolon')
+
+    fireEvent.click(screen.getByTestId('csv-mapping-field-0-title'))
+    fireEvent.click(screen.getByTestId('csv-mapping-continue'))
+
+    expect(onImport).toHaveBeenCalledWith([
+      {
+        type: 'login',
+        folder: null,
+        data: {
+          title: 'GitHub',
+          websites: ['github.com'],
+          username: 'alice',
+          customFields: [
+            { type: 'note', name: 'note', note: 'Secret question: Blue' }
+          ]
+        }
+      }
+    ])
+  })
+
+  it('saves the mapping as a preset and reuses it for the same columns', () => {
+    const onImport = jest.fn()
+    const { unmount } = render(
+      <CsvColumnMappingView text={CSV} encoding="utf-8" onImport={onImport} />
+    )
+
+    fireEvent.click(screen.getByTestId('csv-mapping-type-note'))
+    fireEvent.click(screen.getByTestId('csv-mapping-field-3-ignore'))
+    fireEvent.change(screen.getByTestId('csv-mapping-preset-name'), {
+      target: { value: 'Team sheet' }
+    })
+    fireEvent.click(screen.getByTestId('csv-mapping-save-preset'))
+    unmount()
+
+    render(
+      <CsvColumnMappingView text={CSV} encoding="utf-8" onImport={onImport} />
+    )
+
+    expect(screen.getByTestId('csv-mapping-preset-trigger').textContent).toBe(
+      'Team sheet'
+    )
+    fireEvent.click(screen.getByTestId('csv-mapping-continue'))
+
+    expect(onImport).toHaveBeenCalledWith([
+      {
+        type: 'note',
+        folder: null,
+        data: {
+          title: 'GitHub',
+          customFields: [
+            { type: 'note', name: 'note', note: 'Address: github.com' },
+            { type: 'note', name: 'note', note: 'User: alice' }
+          ]
+        }
+      }
+    ])
+  })
+})
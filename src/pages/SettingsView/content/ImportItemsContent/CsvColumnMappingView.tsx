@@ -0,0 +1,328 @@
+import { type ChangeEvent, useEffect, useMemo, useState } from 'react'
+
+import {
+  Button,
+  Dropdown,
+  InputField,
+  NavbarListItem,
+  Text,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import { ExpandMore } from '@tetherto/pearpass-lib-ui-kit/icons'
+
+import { createStyles } from './CsvColumnMappingView.styles'
+import { useTranslation } from '../../../../hooks/useTranslation'
+import {
+  CSV_CUSTOM_FIELD,
+  CSV_IGNORE_COLUMN,
+  type CsvImportPreset,
+  csvRowsToRecords,
+  findCsvImportPreset,
+  getCsvTargetFields,
+  guessCsvColumnMapping,
+  readCsvImportPresets,
+  saveCsvImportPreset
+} from '../../../../utils/csvImport'
+import {
+  CSV_DELIMITERS,
+  detectCsvDelimiter,
+  parseCsv,
+  parseCsvObjects
+} from '../../../../utils/parseCsv'
+
+type SelectOption = { value: string; label: string }
+
+type SelectDropdownProps = {
+  value: string
+  options: SelectOption[]
+  onChange: (value: string) => void
+  testID: string
+}
+
+const SelectDropdown = ({
+  value,
+  options,
+  onChange,
+  testID
+}: SelectDropdownProps) => {
+  const [isOpen, setIsOpen] = useState(false)
+
+  return (
+    <Dropdown
+      open={isOpen}
+      onOpenChange={setIsOpen}
+      testID={testID}
+      trigger={
+        <Button
+          variant="secondary"
+          size="small"
+          iconAfter={<ExpandMore />}
+          data-testid={`${testID}-trigger`}
+        >
+          {options.find((option) => option.value === value)?.label}
+        </Button>
+      }
+    >
+      {options.map((option) => (
+        <NavbarListItem
+          key={option.value}
+          label={option.label}
+          selected={option.value === value}
+          onClick={() => {
+            onChange(option.value)
+            setIsOpen(false)
+          }}
+          testID={`${testID}-${option.value || 'custom'}`}
+        />
+      ))}
+    </Dropdown>
+  )
+}
+
+type CsvColumnMappingViewProps = {
+  text: string
+  encoding: string
+  onImport: (records: ReturnType<typeof csvRowsToRecords>) => void
+}
+
+/**
+ * Maps the columns of an arbitrary CSV file to the fields of one record
+ * type. The mapping is guessed from the header names, or taken from a saved
+ * preset for a file with the same columns.
+ */
+export const CsvColumnMappingView = ({
+  text,
+  encoding,
+  onImport
+}: CsvColumnMappingViewProps) => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+
+  const [delimiter, setDelimiter] = useState(() => detectCsvDelimiter(text))
+  const [type, setType] = useState('login')
+  const [mapping, setMapping] = useState<Record<string, string>>({})
+  const [presets, setPresets] =
+    useState<CsvImportPreset[]>(readCsvImportPresets)
+  const [presetName, setPresetName] = useState('')
+
+  const [headers, samples] = useMemo(() => {
+    const [header = [], firstRow = []] = parseCsv(text, delimiter)
+    return [header.map((key) => key.trim()), firstRow]
+  }, [text, delimiter])
+  const rows = useMemo(
+    () => parseCsvObjects(text, delimiter),
+    [text, delimiter]
+  )
+
+  useEffect(() => {
+    const preset = findCsvImportPreset(readCsvImportPresets(), headers)
+    if (preset) {
+      setType(preset.type)
+      setMapping(preset.mapping)
+      setPresetName(preset.name)
+    } else {
+      setMapping(guessCsvColumnMapping(headers, 'login'))
+    }
+  }, [headers])
+
+  const typeOptions: SelectOption[] = [
+    { value: 'login', label: t('Login') },
+    { value: 'creditCard', label: t('Credit Card') },
+    { value: 'identity', label: t('Identity') },
+    { value: 'wifiPassword', label: t('Wi-Fi') },
+    { value: 'note', label: t('Note') }
+  ]
+
+  const delimiterLabels: Record<string, string> = {
+    ',': t('Comma'),
+    ';': t('Semicolon'),
+    '\t': t('Tab'),
+    '|': t('Pipe')
+  }
+  const delimiterOptions: SelectOption[] = CSV_DELIMITERS.map((value) => ({
+    value,
+    label: delimiterLabels[value] ?? value
+  }))
+
+  const fieldLabels: Record<string, string> = {
+    title: t('Title'),
+    username: t('Username'),
+    email: t('Email'),
+    password: t('Password'),
+    website: t('Website'),
+    otp: t('Authenticator key'),
+    note: t('Note'),
+    folder: t('Folder'),
+    tags: t('Tags'),
+    name: t('Name on card'),
+    number: t('Card number'),
+    expireDate: t('Expiration date'),
+    securityCode: t('Security code'),
+    pinCode: t('PIN'),
+    fullName: t('Full name'),
+    phoneNumber: t('Phone number'),
+    address: t('Address'),
+    zip: t('ZIP code'),
+    city: t('City'),
+    region: t('Region'),
+    country: t('Country')
+  }
+
+  const fieldOptions: SelectOption[] = [
+    ...getCsvTargetFields(type).map((field) => ({
+      value: field,
+      label: fieldLabels[field] ?? field
+    })),
+    { value: CSV_CUSTOM_FIELD, label: t('Custom field') },
+    { value: CSV_IGNORE_COLUMN, label: t("Don't import") }
+  ]
+
+  const handleTypeChange = (nextType: string) => {
+    setType(nextType)
+    setMapping(guessCsvColumnMapping(headers, nextType))
+  }
+
+  const handleApplyPreset = (name: string) => {
+    const preset = presets.find((saved) => saved.name === name)
+    if (!preset) return
+    setType(preset.type)
+    setMapping(
+      Object.fromEntries(
+        headers.map((header) => [
+          header,
+          preset.mapping[header] ?? CSV_CUSTOM_FIELD
+        ])
+      )
+    )
+    setPresetName(preset.name)
+  }
+
+  const handleSavePreset = () => {
+    const name = presetName.trim()
+    if (!name) return
+    setPresets(saveCsvImportPreset({ name, type, headers, mapping }))
+  }
+
+  const records = useMemo(
+    () => csvRowsToRecords(rows, type, mapping),
+    [rows, type, mapping]
+  )
+
+  return (
+    <div style={styles.container}>
+      <Text variant="caption" color={theme.colors.colorTextSecondary}>
+        {t(
+          'Read as {encoding} with {count} rows. Columns without a field are kept as custom fields.',
+          { encoding: encoding.toUpperCase(), count: rows.length }
+        )}
+      </Text>
+
+      <div style={styles.settingsRow}>
+        <div style={styles.setting}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Import as')}
+          </Text>
+          <SelectDropdown
+            value={type}
+            options={typeOptions}
+            onChange={handleTypeChange}
+            testID="csv-mapping-type"
+          />
+        </div>
+        <div style={styles.setting}>
+          <Text variant="caption" color={theme.colors.colorTextSecondary}>
+            {t('Delimiter')}
+          </Text>
+          <SelectDropdown
+            value={delimiter}
+            options={delimiterOptions}
+            onChange={setDelimiter}
+            testID="csv-mapping-delimiter"
+          />
+        </div>
+        {presets.length > 0 && (
+          <div style={styles.setting}>
+            <Text variant="caption" color={theme.colors.colorTextSecondary}>
+              {t('Preset')}
+            </Text>
+            <SelectDropdown
+              value={
+                presets.some((preset) => preset.name === presetName)
+                  ? presetName
+                  : ''
+              }
+              options={[
+                { value: '', label: t('None') },
+                ...presets.map((preset) => ({
+                  value: preset.name,
+                  label: preset.name
+                }))
+              ]}
+              onChange={handleApplyPreset}
+              testID="csv-mapping-preset"
+            />
+          </div>
+        )}
+      </div>
+
+      <div style={styles.tableOuter}>
+        {headers.map((header, index) => (
+          <div key={`${index}-${header}`} style={styles.tableRow}>
+            <div style={styles.tableCell}>
+              <Text>{header}</Text>
+            </div>
+            <div style={styles.tableCell}>
+              <Text variant="caption" color={theme.colors.colorTextSecondary}>
+                {samples[index] ?? ''}
+              </Text>
+            </div>
+            <div style={styles.tableCell}>
+              <SelectDropdown
+                value={mapping[header] ?? CSV_CUSTOM_FIELD}
+                options={fieldOptions}
+                onChange={(field) =>
+                  setMapping((prev) => ({ ...prev, [header]: field }))
+                }
+                testID={`csv-mapping-field-${index}`}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.presetRow}>
+        <InputField
+          label={t('Preset name')}
+          value={presetName}
+          onChange={(e: ChangeEvent<HTMLInputElement>) =>
+            setPresetName(e.target.value)
+          }
+          placeholder={t('For example: Team spreadsheet')}
+          testID="csv-mapping-preset-name"
+        />
+        <Button
+          variant="secondary"
+          size="small"
+          disabled={!presetName.trim()}
+          onClick={handleSavePreset}
+          data-testid="csv-mapping-save-preset"
+        >
+          {t('Save preset')}
+        </Button>
+      </div>
+
+      <div style={styles.footer}>
+        <Button
+          variant="primary"
+          size="small"
+          disabled={!records.length}
+          onClick={() => onImport(records)}
+          data-testid="csv-mapping-continue"
+        >
+          {t('Continue')}
+        </Button>
+      </div>
+    </div>
+  )
+}
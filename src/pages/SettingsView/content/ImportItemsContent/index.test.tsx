@@ -3,7 +3,7 @@
 import React from 'react'
 
 import '@testing-library/jest-dom'
-import { fireEvent, render, screen, waitFor } from '@testing-library/react'
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react'
 
 import {
   decryptBitwardenJson,
@@ -13,6 +13,7 @@ import {
 } from '@tetherto/pearpass-lib-data-import'
 import { pearpassVaultClient } from '@tetherto/pearpass-lib-vault/src/instances'
 
+import { parseDashlaneData } from '../../../../utils/passwordManagerImport'
 import { readFileContent } from '../../utils/readFileContent'
 import { ImportItemsContent } from './index'
 ;(globalThis as { React?: typeof React }).React = React
@@ -34,9 +35,28 @@ jest.mock('../../../../context/ToastContext', () => ({
   })
 }))
 
+const mockSetModal = jest.fn()
+jest.mock('../../../../context/ModalContext', () => ({
+  useModal: () => ({
+    setModal: mockSetModal
+  })
+}))
+
+jest.mock(
+  '../../../../containers/Modal/ImportItemsPreviewModalContent/ImportItemsPreviewModalContent',
+  () => ({
+    ImportItemsPreviewModalContent: () => null
+  })
+)
+
+const mockCreateRecord = jest.fn()
+const mockUpdateRecords = jest.fn()
 jest.mock('@tetherto/pearpass-lib-vault', () => ({
   useCreateRecord: () => ({
-    createRecord: jest.fn()
+    createRecord: mockCreateRecord
+  }),
+  useRecords: () => ({
+    updateRecords: mockUpdateRecords
   }),
   decryptExportData: jest.fn()
 }))
@@ -68,6 +88,33 @@ jest.mock('../../utils/readFileContent', () => ({
   readFileContent: jest.fn()
 }))
 
+jest.mock('../../../../utils/parseCsv', () => ({
+  decodeCsvBuffer: () => ({ text: 'Service\nGitHub', encoding: 'utf-8' })
+}))
+
+jest.mock('../../../../utils/passwordManagerImport', () => ({
+  parseBrowserPasswordsData: jest.fn(),
+  parseDashlaneData: jest.fn(),
+  parseEnpassData: jest.fn(),
+  parseKeeperData: jest.fn(),
+  parseRoboFormData: jest.fn()
+}))
+
+jest.mock('./CsvColumnMappingView', () => ({
+  CsvColumnMappingView: (props: {
+    text: string
+    onImport: (records: unknown[]) => void
+  }) => (
+    <button
+      type="button"
+      data-testid="mock-csv-mapping"
+      onClick={() =>
+        props.onImport([{ type: 'login', data: { title: props.text } }])
+      }
+    />
+  )
+}))
+
 jest.mock('../../../../utils/logger', () => ({
   logger: {
     error: jest.fn()
@@ -177,6 +224,21 @@ const mockParseBitwardenData = jest.mocked(parseBitwardenData)
 const mockDecryptKeePassKdbx = jest.mocked(decryptKeePassKdbx)
 const mockParseKeePassData = jest.mocked(parseKeePassData)
 const mockKeepassArgon2 = jest.mocked(pearpassVaultClient.keepassArgon2)
+const mockParseDashlaneData = jest.mocked(parseDashlaneData)
+
+type PreviewProps = {
+  records: unknown[]
+  onConfirm: (plan: { create: unknown[]; update: unknown[] }) => void
+}
+
+// The parsed records wait in the preview until the user confirms it
+const getPreview = async () => {
+  await waitFor(() => {
+    expect(mockSetModal).toHaveBeenCalledTimes(1)
+  })
+  return (mockSetModal.mock.calls[0][0] as React.ReactElement<PreviewProps>)
+    .props
+}
 
 describe('ImportItemsContent', () => {
   beforeEach(() => {
@@ -257,9 +319,7 @@ describe('ImportItemsContent', () => {
       { items: [], folders: [] },
       'json'
     )
-    expect(mockSetToast).toHaveBeenCalledWith({
-      message: 'Data imported successfully'
-    })
+    expect((await getPreview()).records).toEqual([{ type: 'login' }])
   })
 
   it('does not prompt for a password for an account-restricted Bitwarden export', async () => {
@@ -350,8 +410,92 @@ describe('ImportItemsContent', () => {
     expect(mockKeepassArgon2).toHaveBeenCalledTimes(1)
 
     expect(mockParseKeePassData).toHaveBeenCalledWith(rootGroup, 'kdbx')
+    expect((await getPreview()).records).toEqual([{ type: 'login' }])
+  })
+
+  it('writes the records the preview was confirmed with', async () => {
+    const existing = { id: 'r1', type: 'login', data: { title: 'GitHub' } }
+    mockReadFileContent.mockResolvedValue('{"items":[]}')
+    mockParseBitwardenData.mockResolvedValue([
+      { type: 'login', data: { title: 'GitHub' } },
+      { type: 'note', data: { title: 'Wifi' } }
+    ])
+
+    render(<ImportItemsContent />)
+
+    fireEvent.click(screen.getByTestId('settings-import-bitwarden'))
+    fireEvent.click(screen.getByTestId('mock-upload-trigger'))
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Import' })).not.toBeDisabled()
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }))
+
+    const { onConfirm } = await getPreview()
+    expect(mockCreateRecord).not.toHaveBeenCalled()
+
+    await act(async () => {
+      onConfirm({
+        create: [{ type: 'note', data: { title: 'Wifi' } }],
+        update: [existing]
+      })
+    })
+
+    expect(mockCreateRecord).toHaveBeenCalledTimes(1)
+    expect(mockCreateRecord).toHaveBeenCalledWith(
+      { type: 'note', data: { title: 'Wifi' } },
+      expect.any(Function)
+    )
+    expect(mockUpdateRecords).toHaveBeenCalledWith([existing])
     expect(mockSetToast).toHaveBeenCalledWith({
       message: 'Data imported successfully'
     })
   })
+
+  it('maps the columns of a generic CSV before the preview', async () => {
+    mockUploadFile = { name: 'team.csv', size: 128 }
+    mockReadFileContent.mockResolvedValue(new ArrayBuffer(8))
+
+    render(<ImportItemsContent />)
+
+    fireEvent.click(screen.getByTestId('settings-import-generic-csv'))
+    fireEvent.click(screen.getByTestId('mock-upload-trigger'))
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Import' })).not.toBeDisabled()
+    })
+    expect(mockReadFileContent).toHaveBeenCalledWith(expect.anything(), {
+      as: 'buffer'
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }))
+    fireEvent.click(screen.getByTestId('mock-csv-mapping'))
+
+    expect((await getPreview()).records).toEqual([
+      { type: 'login', data: { title: 'Service\nGitHub' } }
+    ])
+  })
+  it('reads a Dashlane zip export as binary and parses it', async () => {
+    const zip = new ArrayBuffer(8)
+    mockUploadFile = { name: 'dashlane-export.zip', size: 512 }
+    mockReadFileContent.mockResolvedValue(zip)
+    mockParseDashlaneData.mockResolvedValue([
+      { type: 'login', folder: null, data: { title: 'GitHub' } }
+    ])
+
+    render(<ImportItemsContent />)
+
+    fireEvent.click(screen.getByTestId('settings-import-dashlane'))
+    fireEvent.click(screen.getByTestId('mock-upload-trigger'))
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Import' })).not.toBeDisabled()
+    })
+    expect(mockReadFileContent).toHaveBeenCalledWith(expect.anything(), {
+      as: 'buffer'
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }))
+
+    expect(screen.queryByTestId('import-file-password-field')).toBeNull()
+    expect((await getPreview()).records).toEqual([
+      { type: 'login', folder: null, data: { title: 'GitHub' } }
+    ])
+    expect(mockParseDashlaneData).toHaveBeenCalledWith(zip, 'zip')
+  })
 })
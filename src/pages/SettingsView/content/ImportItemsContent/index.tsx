@@ -2,7 +2,6 @@ import { useState } from 'react'
 
 import { useForm } from '@tetherto/pear-apps-lib-ui-react-hooks'
 import { Validator } from '@tetherto/pear-apps-utils-validator'
-import { MAX_IMPORT_RECORDS } from '@tetherto/pearpass-lib-constants'
 import {
   parse1PasswordData,
   parseBitwardenData,
@@ -31,24 +30,33 @@ import {
   ArrowBackOutined,
   KeyboardArrowRightFilled
 } from '@tetherto/pearpass-lib-ui-kit/icons'
-import {
-  decryptExportData,
-  useCreateRecord
-} from '@tetherto/pearpass-lib-vault'
+import { decryptExportData } from '@tetherto/pearpass-lib-vault'
 import { pearpassVaultClient } from '@tetherto/pearpass-lib-vault/src/instances'
 
 import { useGlobalLoading } from '../../../../context/LoadingContext'
 import { useToast } from '../../../../context/ToastContext'
+import { useImportRecords } from '../../../../hooks/useImportRecords'
 import { useTranslation } from '../../../../hooks/useTranslation'
 import { logger } from '../../../../utils/logger'
+import { decodeCsvBuffer } from '../../../../utils/parseCsv'
+import {
+  parseBrowserPasswordsData,
+  parseDashlaneData,
+  parseEnpassData,
+  parseKeeperData,
+  parseRoboFormData
+} from '../../../../utils/passwordManagerImport'
 import { readFileContent } from '../../utils/readFileContent'
+import { CsvColumnMappingView } from './CsvColumnMappingView'
 import { createStyles } from './styles'
 import { ImportOptionType } from './types'
 import type { FileInfo, ImportOption, ImportState } from './types'
 import {
   detectIsEncrypted,
   isArgon2BitwardenExport,
-  parseJsonContent
+  parseJsonContent,
+  restoreFolderHierarchy,
+  restorePearPassTags
 } from './utils'
 
 const isAllowedType = (fileType: string, accepts: string[]) =>
@@ -64,7 +72,7 @@ export const ImportItemsContent = () => {
   const { theme } = useTheme()
   const styles = createStyles(theme.colors)
   const { setToast } = useToast()
-  const { createRecord } = useCreateRecord()
+  const { importRecords } = useImportRecords()
 
   const importOptions: ImportOption[] = [
     {
@@ -87,6 +95,27 @@ export const ImportItemsContent = () => {
       accepts: ['.json', '.csv'],
       supportLink: 'https://bitwarden.com/help/export-your-data/'
     },
+    {
+      title: 'Dashlane',
+      type: ImportOptionType.Dashlane,
+      description: t(
+        'To import data from Dashlane, go to Settings > Export data in the web app and export your data as CSV. Upload the downloaded zip file, or one of the CSV files in it, here.'
+      ),
+      testId: 'settings-import-dashlane',
+      accepts: ['.zip', '.csv'],
+      supportLink:
+        'https://support.dashlane.com/hc/en-us/articles/202625092-Export-your-passwords-from-Dashlane'
+    },
+    {
+      title: 'Enpass',
+      type: ImportOptionType.Enpass,
+      description: t(
+        'To import data from Enpass, open the app, go to File > Export, choose the JSON format, and upload the exported file here.'
+      ),
+      testId: 'settings-import-enpass',
+      accepts: ['.json'],
+      supportLink: 'https://support.enpass.io/app/import_export/export_data.htm'
+    },
     {
       title: 'KeePass',
       type: ImportOptionType.KeePass,
@@ -108,6 +137,17 @@ export const ImportItemsContent = () => {
       supportLink:
         'https://keepassxc.org/docs/KeePassXC_UserGuide#_exporting_databases'
     },
+    {
+      title: 'Keeper',
+      type: ImportOptionType.Keeper,
+      description: t(
+        'To import data from Keeper, go to Settings > Export in the web vault, choose JSON or CSV format, and upload the exported file here.'
+      ),
+      testId: 'settings-import-keeper',
+      accepts: ['.json', '.csv'],
+      supportLink:
+        'https://docs.keeper.io/en/user-guides/export-and-reports/vault-export'
+    },
     {
       title: 'LastPass',
       type: ImportOptionType.LastPass,
@@ -140,6 +180,57 @@ export const ImportItemsContent = () => {
       accepts: ['.csv', '.json'],
       supportLink: 'https://proton.me/support/pass-export'
     },
+    {
+      title: 'RoboForm',
+      type: ImportOptionType.RoboForm,
+      description: t(
+        'To import data from RoboForm, open the app, go to Options > Data & Sync > Export, choose CSV, and upload the exported file here.'
+      ),
+      testId: 'settings-import-roboform',
+      accepts: ['.csv'],
+      supportLink:
+        'https://help.roboform.com/hc/en-us/articles/115005750167-How-to-export-your-RoboForm-logins-into-a-CSV-file'
+    },
+    {
+      title: 'Chrome',
+      type: ImportOptionType.Chrome,
+      description: t(
+        'To import passwords from Chrome, open Google Password Manager, go to Settings > Export passwords, and upload the downloaded CSV file here.'
+      ),
+      testId: 'settings-import-chrome',
+      accepts: ['.csv'],
+      supportLink: 'https://support.google.com/chrome/answer/95606'
+    },
+    {
+      title: 'Firefox',
+      type: ImportOptionType.Firefox,
+      description: t(
+        'To import passwords from Firefox, open Passwords from the menu, choose Export passwords, and upload the exported CSV file here.'
+      ),
+      testId: 'settings-import-firefox',
+      accepts: ['.csv'],
+      supportLink: 'https://support.mozilla.org/kb/export-login-data-firefox'
+    },
+    {
+      title: 'Safari',
+      type: ImportOptionType.Safari,
+      description: t(
+        'To import passwords from Safari, go to File > Export > Passwords on your Mac, and upload the exported CSV file here.'
+      ),
+      testId: 'settings-import-safari',
+      accepts: ['.csv'],
+      supportLink:
+        'https://support.apple.com/guide/safari/import-bookmarks-and-passwords-ibrw1015/mac'
+    },
+    {
+      title: t('Generic CSV'),
+      type: ImportOptionType.GenericCsv,
+      description: t(
+        'Upload a CSV file from a spreadsheet or any other tool. You will choose the type of the items and which field each column goes to, and can save that choice as a preset for the next import.'
+      ),
+      testId: 'settings-import-generic-csv',
+      accepts: ['.csv']
+    },
     {
       title: 'PearPass Encrypted File',
       type: ImportOptionType.Encrypted,
@@ -184,34 +275,6 @@ export const ImportItemsContent = () => {
     validate: (vals: { password: string }) => schema.validate(vals)
   })
 
-  const onError = (error: Error) => {
-    setToast({ message: error.message })
-  }
-
-  const importRecords = async (result: unknown[]) => {
-    if (result.length === 0) {
-      setToast({ message: t('No records found to import!') })
-      return
-    }
-
-    if (result.length > MAX_IMPORT_RECORDS) {
-      setToast({
-        message: t(`Too many records. Maximum is ${MAX_IMPORT_RECORDS}.`)
-      })
-      return
-    }
-
-    const BATCH_SIZE = 100
-    const totalRecords = result.length
-
-    for (let i = 0; i < totalRecords; i += BATCH_SIZE) {
-      const batch = result.slice(i, i + BATCH_SIZE)
-      await Promise.all(batch.map((record) => createRecord(record, onError)))
-    }
-
-    setToast({ message: t('Data imported successfully') })
-  }
-
   const onImport = async ({
     type,
     fileContent,
@@ -311,19 +374,39 @@ export const ImportItemsContent = () => {
     try {
       switch (resolvedType) {
         case ImportOptionType.OnePassword:
-          result = await parse1PasswordData(dataToProcess, fileType)
+          result = restoreFolderHierarchy(
+            await parse1PasswordData(dataToProcess, fileType),
+            resolvedType,
+            fileType,
+            dataToProcess
+          )
           break
         case ImportOptionType.Bitwarden:
-          result = await parseBitwardenData(dataToProcess, fileType)
+          result = restoreFolderHierarchy(
+            await parseBitwardenData(dataToProcess, fileType),
+            resolvedType,
+            fileType,
+            dataToProcess
+          )
           break
         case ImportOptionType.LastPass:
           result = await parseLastPassData(dataToProcess, fileType)
           break
         case ImportOptionType.KeePass:
-          result = await parseKeePassData(dataToProcess, fileType)
+          result = restoreFolderHierarchy(
+            await parseKeePassData(dataToProcess, fileType),
+            resolvedType,
+            fileType,
+            dataToProcess
+          )
           break
         case ImportOptionType.KeePassKDBX:
-          result = await parseKeePassData(dataToProcess, 'kdbx')
+          result = restoreFolderHierarchy(
+            await parseKeePassData(dataToProcess, 'kdbx'),
+            resolvedType,
+            'kdbx',
+            dataToProcess
+          )
           break
         case ImportOptionType.NordPass:
           result = await parseNordPassData(dataToProcess, fileType)
@@ -331,11 +414,37 @@ export const ImportItemsContent = () => {
         case ImportOptionType.ProtonPass:
           result = await parseProtonPassData(dataToProcess, fileType)
           break
+        case ImportOptionType.Dashlane:
+          result = await parseDashlaneData(
+            dataToProcess as string | ArrayBuffer,
+            fileType
+          )
+          break
+        case ImportOptionType.Enpass:
+          result = await parseEnpassData(dataToProcess)
+          break
+        case ImportOptionType.Keeper:
+          result = await parseKeeperData(dataToProcess, fileType)
+          break
+        case ImportOptionType.RoboForm:
+          result = await parseRoboFormData(dataToProcess as string)
+          break
+        case ImportOptionType.Chrome:
+        case ImportOptionType.Firefox:
+        case ImportOptionType.Safari:
+          result = await parseBrowserPasswordsData(dataToProcess as string)
+          break
         case ImportOptionType.Unencrypted:
-          result = await parsePearPassData(dataToProcess, fileType)
+          result = restorePearPassTags(
+            await parsePearPassData(dataToProcess, fileType),
+            dataToProcess
+          )
           break
         case ImportOptionType.Encrypted:
-          result = await parsePearPassData(dataToProcess, 'json')
+          result = restorePearPassTags(
+            await parsePearPassData(dataToProcess, 'json'),
+            dataToProcess
+          )
           break
         default:
           throw new Error(
@@ -361,7 +470,9 @@ export const ImportItemsContent = () => {
   }
 
   const handleBack = () => {
-    if (state === 'inputPassword') {
+    if (state === 'mapColumns') {
+      setState('upload')
+    } else if (state === 'inputPassword') {
       setState('upload')
       setValues({ password: '' })
     } else if (state === 'upload') {
@@ -394,9 +505,12 @@ export const ImportItemsContent = () => {
     }
 
     try {
+      // KeePass databases and Dashlane's zip export are binary
       if (
-        selectedOption.type === ImportOptionType.KeePass &&
-        fileType === 'kdbx'
+        (selectedOption.type === ImportOptionType.KeePass &&
+          fileType === 'kdbx') ||
+        (selectedOption.type === ImportOptionType.Dashlane &&
+          fileType === 'zip')
       ) {
         const fileContent = await readFileContent(file, { as: 'buffer' })
         setSelectedFileInfo({
@@ -404,12 +518,28 @@ export const ImportItemsContent = () => {
           fileType,
           filename,
           size: file.size,
-          isEncrypted: true,
+          isEncrypted: fileType === 'kdbx',
           parsedJson: null
         })
         return
       }
 
+      if (selectedOption.type === ImportOptionType.GenericCsv) {
+        const { text, encoding } = decodeCsvBuffer(
+          (await readFileContent(file, { as: 'buffer' })) as ArrayBuffer
+        )
+        setSelectedFileInfo({
+          fileContent: text,
+          fileType,
+          filename,
+          size: file.size,
+          isEncrypted: false,
+          parsedJson: null,
+          encoding
+        })
+        return
+      }
+
       const fileContent = await readFileContent(file)
       const parsedJson = parseJsonContent(fileContent)
       setSelectedFileInfo({
@@ -467,7 +597,9 @@ export const ImportItemsContent = () => {
 
   const handleContinue = () => {
     if (!selectedFileInfo) return
-    if (selectedFileInfo.isEncrypted) {
+    if (selectedOption?.type === ImportOptionType.GenericCsv) {
+      setState('mapColumns')
+    } else if (selectedFileInfo.isEncrypted) {
       setState('inputPassword')
     } else {
       void handleImport()
@@ -531,7 +663,7 @@ export const ImportItemsContent = () => {
         </>
       )}
 
-      {(state === 'upload' || state === 'inputPassword') && selectedOption && (
+      {state !== 'default' && selectedOption && (
         <>
           <div style={styles.backButton}>
             <Button
@@ -573,7 +705,16 @@ export const ImportItemsContent = () => {
             </Text>
           </div>
 
-          {state === 'inputPassword' ? (
+          {state === 'mapColumns' && selectedFileInfo ? (
+            <CsvColumnMappingView
+              text={selectedFileInfo.fileContent as string}
+              encoding={selectedFileInfo.encoding ?? 'utf-8'}
+              onImport={(records) => {
+                resetToDefault()
+                void importRecords(records)
+              }}
+            />
+          ) : state === 'inputPassword' ? (
             <div style={styles.passwordSection}>
               <PasswordField
                 label={t('File Password')}
@@ -615,29 +756,31 @@ export const ImportItemsContent = () => {
             </div>
           )}
 
-          <div style={styles.footer}>
-            {state === 'inputPassword' ? (
-              <Button
-                variant="primary"
-                size="small"
-                disabled={!values.password || isImporting}
-                isLoading={isImporting}
-                onClick={handleSubmit(handleImport)}
-              >
-                {t('Continue')}
-              </Button>
-            ) : (
-              <Button
-                variant="primary"
-                size="small"
-                disabled={!selectedFileInfo || isImporting}
-                isLoading={isImporting}
-                onClick={handleContinue}
-              >
-                {t('Import')}
-              </Button>
-            )}
-          </div>
+          {state !== 'mapColumns' && (
+            <div style={styles.footer}>
+              {state === 'inputPassword' ? (
+                <Button
+                  variant="primary"
+                  size="small"
+                  disabled={!values.password || isImporting}
+                  isLoading={isImporting}
+                  onClick={handleSubmit(handleImport)}
+                >
+                  {t('Continue')}
+                </Button>
+              ) : (
+                <Button
+                  variant="primary"
+                  size="small"
+                  disabled={!selectedFileInfo || isImporting}
+                  isLoading={isImporting}
+                  onClick={handleContinue}
+                >
+                  {t('Import')}
+                </Button>
+              )}
+            </div>
+          )}
         </>
       )}
     </div>
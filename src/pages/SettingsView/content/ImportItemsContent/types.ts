@@ -1,13 +1,21 @@
-export type ImportState = 'default' | 'upload' | 'inputPassword'
+export type ImportState = 'default' | 'upload' | 'inputPassword' | 'mapColumns'
 
 export enum ImportOptionType {
   OnePassword = '1password',
   Bitwarden = 'bitwarden',
+  Dashlane = 'dashlane',
+  Enpass = 'enpass',
   KeePass = 'keepass',
   KeePassKDBX = 'keepass-kdbx',
+  Keeper = 'keeper',
   LastPass = 'lastpass',
   NordPass = 'nordpass',
   ProtonPass = 'protonpass',
+  RoboForm = 'roboform',
+  Chrome = 'chrome',
+  Firefox = 'firefox',
+  Safari = 'safari',
+  GenericCsv = 'generic-csv',
   Unencrypted = 'unencrypted',
   Encrypted = 'encrypted'
 }
@@ -29,4 +37,5 @@ export type FileInfo = {
   size: number
   isEncrypted: boolean
   parsedJson: Record<string, unknown> | null
+  encoding?: string
 }
@@ -2,7 +2,9 @@ import { ImportOptionType } from './types'
 import {
   detectIsEncrypted,
   isArgon2BitwardenExport,
-  parseJsonContent
+  parseJsonContent,
+  restoreFolderHierarchy,
+  restorePearPassTags
 } from './utils'
 
 describe('parseJsonContent', () => {
@@ -155,3 +157,71 @@ describe('isArgon2BitwardenExport', () => {
     expect(isArgon2BitwardenExport(null)).toBe(false)
   })
 })
+
+describe('restorePearPassTags', () => {
+  const exported = JSON.stringify({
+    name: 'Personal',
+    records: [
+      {
+        id: 'a',
+        type: 'login',
+        data: { title: 'GitHub', tags: ['Work', 'Dev'] }
+      }
+    ]
+  })
+
+  it('puts the exported tags back on the parsed records', () => {
+    const records = [{ type: 'login', data: { title: 'GitHub' } }]
+
+    restorePearPassTags(records, exported)
+
+    expect(records[0].data).toEqual({ title: 'GitHub', tags: ['Work', 'Dev'] })
+  })
+
+  it('leaves records alone when the export is not JSON', () => {
+    const records = [{ type: 'login', data: { title: 'GitHub' } }]
+
+    restorePearPassTags(records, 'title,username\nGitHub,octocat')
+
+    expect(records[0].data).toEqual({ title: 'GitHub' })
+  })
+})
+
+describe('restoreFolderHierarchy', () => {
+  it('restores nested Bitwarden folders', () => {
+    const records = [{ folder: 'Clients', data: { title: 'Acme' } }]
+
+    restoreFolderHierarchy(
+      records,
+      ImportOptionType.Bitwarden,
+      'json',
+      JSON.stringify({
+        folders: [{ id: 'f1', name: 'Work/Clients' }],
+        items: [{ name: 'Acme', folderId: 'f1' }]
+      })
+    )
+
+    expect(records[0].folder).toBe('Work/Clients')
+  })
+
+  it('restores KeePass CSV group paths', () => {
+    const records = [{ folder: 'Clients', data: { title: 'Acme' } }]
+
+    restoreFolderHierarchy(
+      records,
+      ImportOptionType.KeePass,
+      'csv',
+      '"Group","Title"\n"Root/Work/Clients","Acme"'
+    )
+
+    expect(records[0].folder).toBe('Work/Clients')
+  })
+
+  it('leaves records alone when the export can not be read', () => {
+    const records = [{ folder: 'Clients', data: { title: 'Acme' } }]
+
+    restoreFolderHierarchy(records, ImportOptionType.Bitwarden, 'json', '{')
+
+    expect(records[0].folder).toBe('Clients')
+  })
+})
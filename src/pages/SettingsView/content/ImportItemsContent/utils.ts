@@ -1,4 +1,13 @@
 import { ImportOptionType } from './types'
+import {
+  applyFolderHierarchy,
+  getBitwardenCsvFolders,
+  getBitwardenFolders,
+  getKeePassCsvFolders,
+  getKeePassXmlFolders,
+  getOnePasswordCsvFolders
+} from '../../../../utils/importFolderHierarchy'
+import { copyRecordTags, findRecordsInExport } from '../../../../utils/recordTags'
 
 /**
  * Bitwarden's `KdfType` enum:
@@ -82,3 +91,81 @@ export const detectIsEncrypted = (
 export const isArgon2BitwardenExport = (
   parsedJson: Record<string, unknown> | null
 ): boolean => parsedJson?.kdfType === BITWARDEN_KDF_ARGON2
+
+/**
+ * Gives records parsed from a PearPass export the tags they were exported
+ * with, which the parser does not carry over.
+ *
+ * `exportData` is the export as read or decrypted, either JSON text or
+ * already parsed. Anything that is not JSON, such as a CSV export, is left
+ * alone. The records are changed in place.
+ */
+export const restorePearPassTags = (records: unknown[], exportData: unknown) => {
+  let parsed = exportData
+  if (typeof exportData === 'string') {
+    try {
+      parsed = JSON.parse(exportData)
+    } catch {
+      return records
+    }
+  }
+  copyRecordTags(
+    records.filter(
+      (record): record is Record<string, unknown> =>
+        typeof record === 'object' && record !== null
+    ),
+    findRecordsInExport(parsed)
+  )
+  return records
+}
+
+/**
+ * Gives records imported from 1Password, Bitwarden or KeePass the full path
+ * of their group, which the parsers flatten to its innermost folder.
+ *
+ * `exportData` is the export as read or decrypted. Anything this can't read
+ * is left alone so the import itself still goes through. The records are
+ * changed in place.
+ */
+export const restoreFolderHierarchy = (
+  records: unknown[],
+  importType: ImportOptionType,
+  fileType: string,
+  exportData: unknown
+) => {
+  const folderRecords = records.filter(
+    (record): record is Record<string, unknown> =>
+      typeof record === 'object' && record !== null
+  )
+  const text = typeof exportData === 'string' ? exportData : null
+
+  try {
+    switch (importType) {
+      case ImportOptionType.OnePassword:
+        if (text !== null && fileType === 'csv') {
+          applyFolderHierarchy(folderRecords, getOnePasswordCsvFolders(text), {
+            fillMissing: true
+          })
+        }
+        break
+      case ImportOptionType.Bitwarden:
+        if (text !== null && fileType === 'csv') {
+          applyFolderHierarchy(folderRecords, getBitwardenCsvFolders(text))
+        } else {
+          applyFolderHierarchy(folderRecords, getBitwardenFolders(exportData))
+        }
+        break
+      case ImportOptionType.KeePass:
+      case ImportOptionType.KeePassKDBX:
+        if (text !== null && fileType === 'csv') {
+          applyFolderHierarchy(folderRecords, getKeePassCsvFolders(text))
+        } else if (text?.trimStart().startsWith('<')) {
+          applyFolderHierarchy(folderRecords, getKeePassXmlFolders(text))
+        }
+        break
+    }
+  } catch {
+    // The records keep their flat folders
+  }
+  return records
+}
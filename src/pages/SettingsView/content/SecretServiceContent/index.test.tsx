@@ -0,0 +1,166 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+
+import { SecretServiceContent } from './index'
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string, values?: Record<string, string>) =>
+      str.replace(/\{(\w+)\}/g, (_match, name) => values?.[name] ?? '')
+  })
+}))
+
+jest.mock('../../../../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+jest.mock('./styles', () => ({
+  createStyles: () => ({
+    root: {},
+    settingCard: {}
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  PageHeader: ({ title }: { title: string }) => <h1>{title}</h1>,
+  Text: ({
+    children,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    'data-testid'?: string
+  }) => <p data-testid={dataTestid}>{children}</p>,
+  ToggleSwitch: ({
+    checked,
+    onChange,
+    'data-testid': dataTestid,
+    disabled,
+    label
+  }: {
+    checked?: boolean
+    onChange?: (checked: boolean) => void
+    'data-testid'?: string
+    disabled?: boolean
+    label?: string
+  }) => (
+    <label>
+      {label}
+      <input
+        type="checkbox"
+        data-testid={dataTestid}
+        checked={!!checked}
+        disabled={disabled}
+        onChange={(e) => onChange?.(e.target.checked)}
+      />
+    </label>
+  )
+}))
+
+const TEST_IDS = {
+  enabledToggle: 'settings-secret-service-enabled-toggle',
+  unsupported: 'settings-secret-service-unsupported',
+  notRunning: 'settings-secret-service-not-running'
+} as const
+
+const disabledStatus = {
+  supported: true,
+  enabled: false,
+  running: false,
+  error: null
+}
+
+function withElectronAPI(value: unknown, run: () => Promise<void> | void) {
+  const original = window.electronAPI
+  Object.defineProperty(window, 'electronAPI', {
+    configurable: true,
+    writable: true,
+    value
+  })
+  return Promise.resolve(run()).finally(() => {
+    Object.defineProperty(window, 'electronAPI', {
+      configurable: true,
+      writable: true,
+      value: original
+    })
+  })
+}
+
+describe('SecretServiceContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('keeps the toggle disabled until the status is known', () => {
+    render(<SecretServiceContent />)
+
+    expect(screen.getByTestId(TEST_IDS.enabledToggle)).toBeDisabled()
+    expect(screen.queryByTestId(TEST_IDS.unsupported)).not.toBeInTheDocument()
+  })
+
+  it('turns the provider on', async () => {
+    const getSecretServiceStatus = jest.fn(() =>
+      Promise.resolve(disabledStatus)
+    )
+    const setSecretServicePreferences = jest.fn(() =>
+      Promise.resolve({ ...disabledStatus, enabled: true, running: true })
+    )
+
+    await withElectronAPI(
+      { getSecretServiceStatus, setSecretServicePreferences },
+      async () => {
+        render(<SecretServiceContent />)
+        const toggle = screen.getByTestId(TEST_IDS.enabledToggle)
+        await waitFor(() => expect(toggle).not.toBeDisabled())
+
+        await act(async () => {
+          fireEvent.click(toggle)
+        })
+
+        expect(setSecretServicePreferences).toHaveBeenCalledWith({
+          enabled: true
+        })
+        expect(toggle).toBeChecked()
+        expect(
+          screen.queryByTestId(TEST_IDS.notRunning)
+        ).not.toBeInTheDocument()
+      }
+    )
+  })
+
+  it('explains why the provider is not running', async () => {
+    const getSecretServiceStatus = jest.fn(() =>
+      Promise.resolve({
+        ...disabledStatus,
+        enabled: true,
+        error: 'org.freedesktop.secrets is already provided by another app'
+      })
+    )
+
+    await withElectronAPI({ getSecretServiceStatus }, async () => {
+      render(<SecretServiceContent />)
+
+      const message = await screen.findByTestId(TEST_IDS.notRunning)
+      expect(message.textContent).toContain(
+        'org.freedesktop.secrets is already provided by another app'
+      )
+    })
+  })
+
+  it('stays off outside Linux', async () => {
+    const getSecretServiceStatus = jest.fn(() =>
+      Promise.resolve({ ...disabledStatus, supported: false })
+    )
+
+    await withElectronAPI({ getSecretServiceStatus }, async () => {
+      render(<SecretServiceContent />)
+
+      expect(
+        await screen.findByTestId(TEST_IDS.unsupported)
+      ).toBeInTheDocument()
+      expect(screen.getByTestId(TEST_IDS.enabledToggle)).toBeDisabled()
+    })
+  })
+})
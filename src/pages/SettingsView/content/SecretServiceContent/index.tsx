@@ -0,0 +1,125 @@
+import React, { useCallback, useEffect, useState } from 'react'
+
+import {
+  PageHeader,
+  Text,
+  ToggleSwitch,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+
+import { useTranslation } from '../../../../hooks/useTranslation'
+import { logger } from '../../../../utils/logger'
+import { createStyles } from './styles'
+
+const TEST_IDS = {
+  root: 'settings-card-secret-service',
+  enabledToggle: 'settings-secret-service-enabled-toggle',
+  unsupported: 'settings-secret-service-unsupported',
+  notRunning: 'settings-secret-service-not-running'
+} as const
+
+export const SecretServiceContent = () => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+
+  const [status, setStatus] = useState<SecretServiceStatus | null>(null)
+  const [isUpdating, setIsUpdating] = useState(false)
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (
+      !electronAPI ||
+      typeof electronAPI.getSecretServiceStatus !== 'function'
+    ) {
+      return
+    }
+
+    let cancelled = false
+    electronAPI
+      .getSecretServiceStatus()
+      .then((nextStatus) => {
+        if (!cancelled) setStatus(nextStatus)
+      })
+      .catch((error) =>
+        logger.error(
+          'SecretServiceContent',
+          'getSecretServiceStatus failed:',
+          error
+        )
+      )
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const setEnabled = useCallback(
+    async (enabled: boolean) => {
+      if (isUpdating) return
+      setIsUpdating(true)
+      try {
+        const nextStatus =
+          await window.electronAPI?.setSecretServicePreferences?.({ enabled })
+        if (nextStatus) setStatus(nextStatus)
+      } catch (error) {
+        logger.error(
+          'SecretServiceContent',
+          'setSecretServicePreferences failed:',
+          error
+        )
+      } finally {
+        setIsUpdating(false)
+      }
+    },
+    [isUpdating]
+  )
+
+  const supported = !!status?.supported
+
+  return (
+    <div data-testid={TEST_IDS.root} style={styles.root}>
+      <PageHeader
+        title={t('Secret Service')}
+        subtitle={t(
+          'Let Linux apps such as NetworkManager, Git and GNOME tools save and look up passwords in PearPass instead of the system keyring.'
+        )}
+      />
+      <div style={styles.settingCard}>
+        <ToggleSwitch
+          data-testid={TEST_IDS.enabledToggle}
+          checked={!!status?.enabled}
+          onChange={(checked) => {
+            void setEnabled(checked)
+          }}
+          disabled={!supported || isUpdating}
+          label={t('Provide the Secret Service')}
+          description={t(
+            'Saved secrets go to the Secret Service folder of the open vault. Apps can only read them while PearPass is unlocked.'
+          )}
+        />
+        {status && !supported && (
+          <Text
+            as="p"
+            color={theme.colors.colorTextSecondary}
+            data-testid={TEST_IDS.unsupported}
+          >
+            {t('The Secret Service is only available on Linux.')}
+          </Text>
+        )}
+        {status?.enabled && !status.running && (
+          <Text
+            as="p"
+            color={theme.colors.colorTextSecondary}
+            data-testid={TEST_IDS.notRunning}
+          >
+            {status.error
+              ? t('PearPass could not provide the Secret Service: {error}', {
+                  error: status.error
+                })
+              : t('PearPass could not provide the Secret Service.')}
+          </Text>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,183 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+
+import { SshAgentContent } from './index'
+
+jest.mock('../../../../hooks/useTranslation', () => ({
+  useTranslation: () => ({
+    t: (str: string) => str
+  })
+}))
+
+jest.mock('../../../../hooks/useCopyToClipboard.electron', () => ({
+  useCopyToClipboard: () => ({ copyToClipboard: jest.fn() })
+}))
+
+jest.mock('../../../../utils/logger', () => ({
+  logger: { error: jest.fn() }
+}))
+
+jest.mock('./styles', () => ({
+  createStyles: () => ({
+    root: {},
+    settingCard: {}
+  })
+}))
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
+  useTheme: () => ({ theme: { colors: {} } }),
+  PageHeader: ({ title }: { title: string }) => <h1>{title}</h1>,
+  InputField: ({ value, testID }: { value: string; testID?: string }) => (
+    <input data-testid={testID} value={value} readOnly />
+  ),
+  Text: ({
+    children,
+    'data-testid': dataTestid
+  }: {
+    children: React.ReactNode
+    'data-testid'?: string
+  }) => <p data-testid={dataTestid}>{children}</p>,
+  ToggleSwitch: ({
+    checked,
+    onChange,
+    'data-testid': dataTestid,
+    disabled,
+    label
+  }: {
+    checked?: boolean
+    onChange?: (checked: boolean) => void
+    'data-testid'?: string
+    disabled?: boolean
+    label?: string
+  }) => (
+    <label>
+      {label}
+      <input
+        type="checkbox"
+        data-testid={dataTestid}
+        checked={!!checked}
+        disabled={disabled}
+        onChange={(e) => onChange?.(e.target.checked)}
+      />
+    </label>
+  )
+}))
+
+const TEST_IDS = {
+  enabledToggle: 'settings-ssh-agent-enabled-toggle',
+  confirmToggle: 'settings-ssh-agent-confirm-toggle',
+  socket: 'settings-ssh-agent-socket',
+  notRunning: 'settings-ssh-agent-not-running'
+} as const
+
+const disabledStatus = {
+  enabled: false,
+  confirmEachUse: true,
+  running: false,
+  socketPath: '/home/user/.pearpass/pearpass-ssh-agent.sock'
+}
+
+function withElectronAPI(value: unknown, run: () => Promise<void> | void) {
+  const original = window.electronAPI
+  Object.defineProperty(window, 'electronAPI', {
+    configurable: true,
+    writable: true,
+    value
+  })
+  return Promise.resolve(run()).finally(() => {
+    Object.defineProperty(window, 'electronAPI', {
+      configurable: true,
+      writable: true,
+      value: original
+    })
+  })
+}
+
+describe('SshAgentContent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('keeps the toggles disabled until the status is known', () => {
+    render(<SshAgentContent />)
+
+    expect(screen.getByTestId(TEST_IDS.enabledToggle)).toBeDisabled()
+    expect(screen.getByTestId(TEST_IDS.confirmToggle)).toBeDisabled()
+    expect(screen.queryByTestId(TEST_IDS.socket)).not.toBeInTheDocument()
+  })
+
+  it('turns the agent on and shows the SSH_AUTH_SOCK line', async () => {
+    const getSshAgentStatus = jest.fn(() => Promise.resolve(disabledStatus))
+    const setSshAgentPreferences = jest.fn(() =>
+      Promise.resolve({ ...disabledStatus, enabled: true, running: true })
+    )
+
+    await withElectronAPI(
+      { getSshAgentStatus, setSshAgentPreferences },
+      async () => {
+        render(<SshAgentContent />)
+        const toggle = screen.getByTestId(TEST_IDS.enabledToggle)
+        await waitFor(() => expect(toggle).not.toBeDisabled())
+
+        await act(async () => {
+          fireEvent.click(toggle)
+        })
+
+        expect(setSshAgentPreferences).toHaveBeenCalledWith({ enabled: true })
+        expect(screen.getByTestId(TEST_IDS.socket)).toHaveValue(
+          'export SSH_AUTH_SOCK="/home/user/.pearpass/pearpass-ssh-agent.sock"'
+        )
+        expect(screen.getByTestId(TEST_IDS.confirmToggle)).toBeChecked()
+        expect(
+          screen.queryByTestId(TEST_IDS.notRunning)
+        ).not.toBeInTheDocument()
+      }
+    )
+  })
+
+  it('turns off confirmation', async () => {
+    const getSshAgentStatus = jest.fn(() =>
+      Promise.resolve({ ...disabledStatus, enabled: true, running: true })
+    )
+    const setSshAgentPreferences = jest.fn(() =>
+      Promise.resolve({
+        ...disabledStatus,
+        enabled: true,
+        running: true,
+        confirmEachUse: false
+      })
+    )
+
+    await withElectronAPI(
+      { getSshAgentStatus, setSshAgentPreferences },
+      async () => {
+        render(<SshAgentContent />)
+        const toggle = screen.getByTestId(TEST_IDS.confirmToggle)
+        await waitFor(() => expect(toggle).not.toBeDisabled())
+
+        await act(async () => {
+          fireEvent.click(toggle)
+        })
+
+        expect(setSshAgentPreferences).toHaveBeenCalledWith({
+          confirmEachUse: false
+        })
+        expect(toggle).not.toBeChecked()
+      }
+    )
+  })
+
+  it('tells the user when the agent is enabled but not running', async () => {
+    const getSshAgentStatus = jest.fn(() =>
+      Promise.resolve({ ...disabledStatus, enabled: true, running: false })
+    )
+
+    await withElectronAPI({ getSshAgentStatus }, async () => {
+      render(<SshAgentContent />)
+
+      expect(await screen.findByTestId(TEST_IDS.notRunning)).toBeInTheDocument()
+    })
+  })
+})
@@ -0,0 +1,140 @@
+import React, { useCallback, useEffect, useState } from 'react'
+
+import {
+  InputField,
+  PageHeader,
+  Text,
+  ToggleSwitch,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+
+import { useCopyToClipboard } from '../../../../hooks/useCopyToClipboard.electron'
+import { useTranslation } from '../../../../hooks/useTranslation'
+import { logger } from '../../../../utils/logger'
+import { createStyles } from './styles'
+
+const TEST_IDS = {
+  root: 'settings-card-ssh-agent',
+  enabledToggle: 'settings-ssh-agent-enabled-toggle',
+  confirmToggle: 'settings-ssh-agent-confirm-toggle',
+  socket: 'settings-ssh-agent-socket',
+  notRunning: 'settings-ssh-agent-not-running'
+} as const
+
+/**
+ * Shell profile line pointing SSH_AUTH_SOCK at the agent, PowerShell for the
+ * Windows named pipe
+ */
+const getSocketSetting = (socketPath: string) =>
+  socketPath.startsWith('\\\\.\\pipe\\')
+    ? `$env:SSH_AUTH_SOCK = "${socketPath}"`
+    : `export SSH_AUTH_SOCK="${socketPath}"`
+
+export const SshAgentContent = () => {
+  const { t } = useTranslation()
+  const { theme } = useTheme()
+  const styles = createStyles(theme.colors)
+  const { copyToClipboard } = useCopyToClipboard()
+
+  const [status, setStatus] = useState<SshAgentStatus | null>(null)
+  const [isUpdating, setIsUpdating] = useState(false)
+
+  useEffect(() => {
+    const electronAPI = window.electronAPI
+    if (!electronAPI || typeof electronAPI.getSshAgentStatus !== 'function') {
+      return
+    }
+
+    let cancelled = false
+    electronAPI
+      .getSshAgentStatus()
+      .then((nextStatus) => {
+        if (!cancelled) setStatus(nextStatus)
+      })
+      .catch((error) =>
+        logger.error('SshAgentContent', 'getSshAgentStatus failed:', error)
+      )
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const updatePreferences = useCallback(
+    async (preferences: { enabled?: boolean; confirmEachUse?: boolean }) => {
+      if (isUpdating) return
+      setIsUpdating(true)
+      try {
+        const nextStatus =
+          await window.electronAPI?.setSshAgentPreferences?.(preferences)
+        if (nextStatus) setStatus(nextStatus)
+      } catch (error) {
+        logger.error('SshAgentContent', 'setSshAgentPreferences failed:', error)
+      } finally {
+        setIsUpdating(false)
+      }
+    },
+    [isUpdating]
+  )
+
+  const enabled = !!status?.enabled
+
+  return (
+    <div data-testid={TEST_IDS.root} style={styles.root}>
+      <PageHeader
+        title={t('SSH Agent')}
+        subtitle={t(
+          'Let ssh and Git use the keys stored in SSH Key items while PearPass is unlocked, without keeping key files on disk.'
+        )}
+      />
+      <div style={styles.settingCard}>
+        <ToggleSwitch
+          data-testid={TEST_IDS.enabledToggle}
+          checked={enabled}
+          onChange={(checked) => {
+            void updatePreferences({ enabled: checked })
+          }}
+          disabled={!status || isUpdating}
+          label={t('Enable SSH agent')}
+          description={t(
+            'Keys are only offered while the app is unlocked and stop working when it locks.'
+          )}
+        />
+        <ToggleSwitch
+          data-testid={TEST_IDS.confirmToggle}
+          checked={!!status?.confirmEachUse}
+          onChange={(checked) => {
+            void updatePreferences({ confirmEachUse: checked })
+          }}
+          disabled={!enabled || isUpdating}
+          label={t('Confirm each use')}
+          description={t(
+            'Ask in the app before a key signs a login or a commit.'
+          )}
+        />
+      </div>
+      {enabled && status && (
+        <div style={styles.settingCard}>
+          <InputField
+            label={t('Add this to your shell profile')}
+            value={getSocketSetting(status.socketPath)}
+            readOnly
+            copyable
+            onCopy={copyToClipboard}
+            testID={TEST_IDS.socket}
+          />
+          {!status.running && (
+            <Text
+              as="p"
+              color={theme.colors.colorTextSecondary}
+              data-testid={TEST_IDS.notRunning}
+            >
+              {t(
+                'The SSH agent could not start. Turn on logs under Diagnostics to find out why.'
+              )}
+            </Text>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
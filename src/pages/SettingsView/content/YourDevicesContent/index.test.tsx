@@ -15,10 +15,47 @@ jest.mock('../../../../hooks/useTranslation', () => ({
 }))
 
 const mockToggleBrowserExtension = jest.fn()
-let mockExtensionState = {
-  isBrowserExtensionEnabled: false,
-  toggleBrowserExtension: mockToggleBrowserExtension
+const mockPairAnotherBrowserExtension = jest.fn()
+const mockRevokeBrowserExtensionClient = jest.fn()
+const mockEditBrowserExtensionPermissions = jest.fn()
+
+type MockPairedClient = {
+  publicKey: string
+  label: string
+  fingerprint: string
+  lastSeenAt: string | null
+}
+
+const chromeClient: MockPairedClient = {
+  publicKey: 'chromePub',
+  label: 'Chrome',
+  fingerprint: 'aaaa1111',
+  lastSeenAt: '2024-01-01T00:00:00.000Z'
 }
+const firefoxClient: MockPairedClient = {
+  publicKey: 'firefoxPub',
+  label: 'Firefox',
+  fingerprint: 'bbbb2222',
+  lastSeenAt: null
+}
+
+const createExtensionState = (
+  isBrowserExtensionEnabled: boolean,
+  pairedClients: MockPairedClient[] = []
+) => ({
+  isBrowserExtensionEnabled,
+  toggleBrowserExtension: mockToggleBrowserExtension,
+  pairedClients,
+  pairAnotherBrowserExtension: mockPairAnotherBrowserExtension,
+  revokeBrowserExtensionClient: mockRevokeBrowserExtensionClient,
+  editBrowserExtensionPermissions: mockEditBrowserExtensionPermissions
+})
+
+let mockExtensionState = createExtensionState(false)
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: () => '01 Jan 2024'
+}))
 
 jest.mock('../../../../hooks/useConnectExtension', () => ({
   useConnectExtension: () => mockExtensionState
@@ -31,6 +68,8 @@ jest.mock('./styles', () => ({
     sectionCard: {},
     list: {},
     iconWrap: {},
+    footer: {},
+    listItemBorder: {},
     emptyBrowserStateWrap: {},
     emptyStateCaptions: {},
     emptyStateFooter: {}
@@ -112,6 +151,7 @@ jest.mock('@tetherto/pearpass-lib-ui-kit', () => ({
 }))
 
 jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
+  Add: () => null,
   MoreVert: () => null,
   PhoneIphone: () => null,
   SwapVert: () => null
@@ -120,10 +160,7 @@ jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => ({
 describe('YourDevicesContent', () => {
   beforeEach(() => {
     jest.clearAllMocks()
-    mockExtensionState = {
-      isBrowserExtensionEnabled: false,
-      toggleBrowserExtension: mockToggleBrowserExtension
-    }
+    mockExtensionState = createExtensionState(false)
   })
 
   it('renders the page heading', () => {
@@ -162,45 +199,103 @@ describe('YourDevicesContent', () => {
     expect(mockToggleBrowserExtension).toHaveBeenCalledWith(true)
   })
 
-  it('shows browser device row when the extension is enabled', () => {
-    mockExtensionState = {
-      isBrowserExtensionEnabled: true,
-      toggleBrowserExtension: mockToggleBrowserExtension
-    }
+  it('shows one row per paired browser extension', () => {
+    mockExtensionState = createExtensionState(true, [
+      chromeClient,
+      firefoxClient
+    ])
 
     render(<YourDevicesContent />)
 
     expect(
-      screen.getByTestId('settings-device-item-browser')
+      screen.getByTestId('settings-device-item-browser-aaaa1111')
+    ).toBeInTheDocument()
+    expect(
+      screen.getByTestId('settings-device-item-browser-bbbb2222')
     ).toBeInTheDocument()
-    expect(screen.getByText('Browser')).toBeInTheDocument()
+    expect(screen.getByText('Chrome')).toBeInTheDocument()
+    expect(screen.getByText('Firefox')).toBeInTheDocument()
     expect(
       screen.queryByText('Generate Pair Code for Browser Extension')
     ).not.toBeInTheDocument()
   })
 
-  it('shows the extension actions button when the extension is enabled', () => {
-    mockExtensionState = {
-      isBrowserExtensionEnabled: true,
-      toggleBrowserExtension: mockToggleBrowserExtension
-    }
+  it('shows a hint when the extension is enabled but nothing is paired yet', () => {
+    mockExtensionState = createExtensionState(true)
 
     render(<YourDevicesContent />)
 
     expect(
-      screen.getByTestId('settings-browser-extension-action')
+      screen.getByText(
+        'No browser extension is paired yet. Enter the pairing code in the PearPass extension to connect it.'
+      )
     ).toBeInTheDocument()
   })
 
-  it('calls toggleBrowserExtension(false) when unpair is clicked', () => {
-    mockExtensionState = {
-      isBrowserExtensionEnabled: true,
-      toggleBrowserExtension: mockToggleBrowserExtension
-    }
+  it('shows an actions button for each paired extension', () => {
+    mockExtensionState = createExtensionState(true, [
+      chromeClient,
+      firefoxClient
+    ])
+
+    render(<YourDevicesContent />)
+
+    expect(
+      screen.getByTestId('settings-browser-extension-action-aaaa1111')
+    ).toBeInTheDocument()
+    expect(
+      screen.getByTestId('settings-browser-extension-action-bbbb2222')
+    ).toBeInTheDocument()
+  })
+
+  it('revokes only the selected extension when unpair is clicked', () => {
+    mockExtensionState = createExtensionState(true, [
+      chromeClient,
+      firefoxClient
+    ])
+
+    render(<YourDevicesContent />)
+
+    fireEvent.click(screen.getAllByText('Unpair Browser extension')[1])
+
+    expect(mockRevokeBrowserExtensionClient).toHaveBeenCalledTimes(1)
+    expect(mockRevokeBrowserExtensionClient).toHaveBeenCalledWith('firefoxPub')
+    expect(mockToggleBrowserExtension).not.toHaveBeenCalled()
+  })
+
+  it('opens the permissions of the selected extension', () => {
+    mockExtensionState = createExtensionState(true, [
+      chromeClient,
+      firefoxClient
+    ])
+
+    render(<YourDevicesContent />)
+
+    fireEvent.click(screen.getAllByText('Permissions')[0])
+
+    expect(mockEditBrowserExtensionPermissions).toHaveBeenCalledWith(
+      chromeClient
+    )
+  })
+
+  it('shows the pairing code again to pair another browser', () => {
+    mockExtensionState = createExtensionState(true, [chromeClient])
+
+    render(<YourDevicesContent />)
+
+    fireEvent.click(
+      screen.getByTestId('settings-browser-extension-pair-another')
+    )
+
+    expect(mockPairAnotherBrowserExtension).toHaveBeenCalledTimes(1)
+  })
+
+  it('calls toggleBrowserExtension(false) when disconnecting all extensions', () => {
+    mockExtensionState = createExtensionState(true, [chromeClient])
 
     render(<YourDevicesContent />)
 
-    fireEvent.click(screen.getByText('Unpair Browser extension'))
+    fireEvent.click(screen.getByTestId('settings-browser-extension-disable'))
 
     expect(mockToggleBrowserExtension).toHaveBeenCalledTimes(1)
     expect(mockToggleBrowserExtension).toHaveBeenCalledWith(false)
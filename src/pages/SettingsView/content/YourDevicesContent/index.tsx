@@ -1,3 +1,4 @@
+import { formatDate } from '@tetherto/pear-apps-utils-date'
 import {
   Button,
   ContextMenu,
@@ -8,6 +9,7 @@ import {
   useTheme
 } from '@tetherto/pearpass-lib-ui-kit'
 import {
+  Add,
   MoreVert,
   PublicOutlined,
   SwapVert
@@ -20,15 +22,30 @@ import { createStyles } from './styles'
 const TEST_IDS = {
   root: 'settings-your-devices',
   extensionSection: 'settings-card-browser-extension-connections',
-  extensionActionButton: 'settings-browser-extension-action'
+  extensionActionButton: 'settings-browser-extension-action',
+  pairAnotherButton: 'settings-browser-extension-pair-another',
+  disableButton: 'settings-browser-extension-disable'
 } as const
 
+const FINGERPRINT_PREVIEW_LENGTH = 8
+
 export const YourDevicesContent = () => {
   const { t } = useTranslation()
   const { theme } = useTheme()
   const styles = createStyles(theme.colors)
-  const { isBrowserExtensionEnabled, toggleBrowserExtension } =
-    useConnectExtension()
+  const {
+    isBrowserExtensionEnabled,
+    toggleBrowserExtension,
+    pairedClients,
+    pairAnotherBrowserExtension,
+    revokeBrowserExtensionClient,
+    editBrowserExtensionPermissions
+  } = useConnectExtension()
+
+  const getLastSeenLabel = (lastSeenAt: string | null) =>
+    lastSeenAt
+      ? `${t('Last seen')} ${formatDate(new Date(lastSeenAt), 'dd-mmm-yyyy', ' ')}`
+      : t('Not connected yet')
 
   return (
     <div data-testid={TEST_IDS.root} style={styles.root}>
@@ -48,48 +65,105 @@ export const YourDevicesContent = () => {
 
       <div data-testid={TEST_IDS.extensionSection} style={styles.sectionCard}>
         {isBrowserExtensionEnabled ? (
-          <div style={styles.list}>
-            <div>
-              <ListItem
-                icon={
-                  <div style={styles.iconWrap}>
-                    <PublicOutlined
-                      width={16}
-                      height={16}
-                      color={theme.colors.colorTextPrimary}
-                    />
-                  </div>
-                }
-                title={'Browser'}
-                testID="settings-device-item-browser"
-                rightElement={
-                  <ContextMenu
-                    trigger={
-                      <Button
-                        variant="tertiary"
-                        size="small"
-                        iconBefore={
-                          <MoreVert
+          <>
+            <div style={styles.list}>
+              {pairedClients.length === 0 ? (
+                <div style={styles.emptyStateCaptions}>
+                  <Text color={theme.colors.colorTextSecondary}>
+                    {t(
+                      'No browser extension is paired yet. Enter the pairing code in the PearPass extension to connect it.'
+                    )}
+                  </Text>
+                </div>
+              ) : (
+                pairedClients.map((pairedClient, index) => (
+                  <div
+                    key={pairedClient.publicKey}
+                    style={
+                      index < pairedClients.length - 1
+                        ? styles.listItemBorder
+                        : undefined
+                    }
+                  >
+                    <ListItem
+                      icon={
+                        <div style={styles.iconWrap}>
+                          <PublicOutlined
                             width={16}
                             height={16}
                             color={theme.colors.colorTextPrimary}
                           />
-                        }
-                        data-testid={TEST_IDS.extensionActionButton}
-                        aria-label={t('Browser extension actions')}
-                      />
-                    }
-                  >
-                    <NavbarListItem
-                      label={t('Unpair Browser extension')}
-                      variant="destructive"
-                      onClick={() => toggleBrowserExtension(false)}
+                        </div>
+                      }
+                      title={pairedClient.label}
+                      subtitleLayout="horizontal"
+                      subtitle={{
+                        primary: pairedClient.fingerprint
+                          .slice(0, FINGERPRINT_PREVIEW_LENGTH)
+                          .toUpperCase(),
+                        secondary: getLastSeenLabel(pairedClient.lastSeenAt)
+                      }}
+                      testID={`settings-device-item-browser-${pairedClient.fingerprint}`}
+                      rightElement={
+                        <ContextMenu
+                          trigger={
+                            <Button
+                              variant="tertiary"
+                              size="small"
+                              iconBefore={
+                                <MoreVert
+                                  width={16}
+                                  height={16}
+                                  color={theme.colors.colorTextPrimary}
+                                />
+                              }
+                              data-testid={`${TEST_IDS.extensionActionButton}-${pairedClient.fingerprint}`}
+                              aria-label={t('Browser extension actions')}
+                            />
+                          }
+                        >
+                          <NavbarListItem
+                            label={t('Permissions')}
+                            onClick={() =>
+                              editBrowserExtensionPermissions(pairedClient)
+                            }
+                          />
+                          <NavbarListItem
+                            label={t('Unpair Browser extension')}
+                            variant="destructive"
+                            onClick={() =>
+                              revokeBrowserExtensionClient(
+                                pairedClient.publicKey
+                              )
+                            }
+                          />
+                        </ContextMenu>
+                      }
                     />
-                  </ContextMenu>
-                }
-              />
+                  </div>
+                ))
+              )}
             </div>
-          </div>
+            <div style={styles.footer}>
+              <Button
+                variant="tertiary"
+                size="small"
+                data-testid={TEST_IDS.pairAnotherButton}
+                onClick={() => pairAnotherBrowserExtension()}
+                iconBefore={<Add width={16} height={16} />}
+              >
+                {t('Pair Another Browser')}
+              </Button>
+              <Button
+                variant="tertiary"
+                size="small"
+                data-testid={TEST_IDS.disableButton}
+                onClick={() => toggleBrowserExtension(false)}
+              >
+                {t('Disconnect All Browser Extensions')}
+              </Button>
+            </div>
+          </>
         ) : (
           <div style={styles.emptyBrowserStateWrap}>
             <div style={styles.emptyStateCaptions}>
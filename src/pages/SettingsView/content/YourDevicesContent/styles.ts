@@ -37,6 +37,7 @@ export const createStyles = (colors: ThemeColors) => ({
   footer: {
     display: 'flex' as const,
     justifyContent: 'flex-start' as const,
+    gap: `${rawTokens.spacing8}px`,
     padding: `${rawTokens.spacing4}px`,
     borderTop: `1px solid ${colors.colorBorderPrimary}`
   },
@@ -1,6 +1,9 @@
 import { AppPreferencesContent } from './AppPreferencesContent'
 import { AppVersionContent } from './AppVersionContent'
+import { AuditLogContent } from './AuditLogContent'
+import { BackupsContent } from './BackupsContent'
 import { BlindPeersContent } from './BlindPeersContent'
+import { BreachDatabaseContent } from './BreachDatabaseContent'
 import { DiagnosticsContent } from './DiagnosticsContent'
 import { ExportCodesContent } from './ExportCodesContent'
 import { ExportItemsContent } from './ExportItemsContent'
@@ -8,13 +11,18 @@ import { ImportCodesContent } from './ImportCodesContent'
 import { ImportItemsContent } from './ImportItemsContent'
 import { LanguageContent } from './LanguageContent'
 import { MasterPasswordContent } from './MasterPasswordContent'
+import { SecretServiceContent } from './SecretServiceContent'
+import { SshAgentContent } from './SshAgentContent'
 import { YourDevicesContent } from './YourDevicesContent'
 import { ReportAProblemContent } from './ReportAProblemContent'
 
 export {
   AppPreferencesContent,
   AppVersionContent,
+  AuditLogContent,
+  BackupsContent,
   BlindPeersContent,
+  BreachDatabaseContent,
   DiagnosticsContent,
   ExportCodesContent,
   ExportItemsContent,
@@ -23,5 +31,7 @@ export {
   YourDevicesContent,
   LanguageContent,
   MasterPasswordContent,
-  ReportAProblemContent
+  ReportAProblemContent,
+  SecretServiceContent,
+  SshAgentContent
 }
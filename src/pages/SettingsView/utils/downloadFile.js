@@ -2,7 +2,8 @@ export const downloadFile = ({ filename, content }, type) => {
   const mimeTypes = {
     json: 'application/json',
     csv: 'text/csv;charset=utf-8;',
-    pearpass: 'application/json'
+    pearpass: 'application/json',
+    kdbx: 'application/x-keepass2'
   }
 
   const blob = new Blob([content], {
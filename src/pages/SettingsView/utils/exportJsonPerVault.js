@@ -3,16 +3,54 @@ import { encryptExportData } from '@tetherto/pearpass-lib-vault'
 
 import { downloadFile } from './downloadFile'
 import { downloadZip } from './downloadZip'
+import { copyRecordTags, findRecordsInExport } from '../../../utils/recordTags'
 
 /**
- * @param {unknown[]} data
+ * The export format has no field for tags, put them back on the exported
+ * records so they survive an import
+ * @param {{ filename?: string, data: unknown }} vault - Converted vault
+ * @param {{ records?: unknown[] } | undefined} source - Vault it was made from
+ */
+const withRecordTags = (vault, source) => {
+  const sourceRecords = findRecordsInExport(source?.records ?? [])
+  if (!sourceRecords.length) return vault
+
+  const isString = typeof vault.data === 'string'
+  let parsed
+  try {
+    parsed = isString ? JSON.parse(vault.data) : vault.data
+  } catch {
+    return vault
+  }
+  if (!copyRecordTags(findRecordsInExport(parsed), sourceRecords)) {
+    return vault
+  }
+  return {
+    ...vault,
+    data: isString ? JSON.stringify(parsed, null, 2) : parsed
+  }
+}
+
+/**
+ * Converts vaults to the PearPass JSON export, one file per vault in the
+ * order given
+ * @param {{ records?: unknown[] }[]} data
+ * @returns {Promise<{ filename?: string, data: unknown }[]>}
+ */
+export const convertVaultsToJson = async (data) =>
+  (await parseDataToJson(data)).map((vault, index) =>
+    withRecordTags(vault, data[index])
+  )
+
+/**
+ * @param {{ records?: unknown[] }[]} data
  * @param {string | null | undefined} encryptionPassword
  */
 export const handleExportJsonPerVaultTest = async (
   data,
   encryptionPassword = null
 ) => {
-  const vaultsToExport = await parseDataToJson(data)
+  const vaultsToExport = await convertVaultsToJson(data)
 
   const processedVaults = encryptionPassword
     ? await Promise.all(
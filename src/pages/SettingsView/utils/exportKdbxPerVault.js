@@ -0,0 +1,52 @@
+import { pearpassVaultClient } from '@tetherto/pearpass-lib-vault/src/instances'
+
+import { downloadFile } from './downloadFile'
+import { downloadZip } from './downloadZip'
+import { writeKdbx } from '../../../utils/kdbxWriter'
+import { readRecordFiles } from '../../../utils/recordFiles'
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const getKdbxFilename = (name) =>
+  `PearPass_${(name || 'Vault').replace(/[^\w-]+/g, '_')}_${new Date()
+    .toISOString()
+    .replace(/[:.-]/g, '_')}.kdbx`
+
+/**
+ * Exports each vault as a KeePass KDBX 4 database protected with
+ * `password`, with the files of its records as attachments
+ * @param {{ name?: string, records?: { id: string, type: string, data?: Record<string, unknown> | null }[] }[]} data
+ * @param {string} password
+ */
+export const handleExportKdbxPerVault = async (data, password) => {
+  const argon2 = pearpassVaultClient.keepassArgon2.bind(pearpassVaultClient)
+
+  const files = []
+  for (const vault of data) {
+    const records = await Promise.all(
+      (vault.records ?? []).map(async (record) => ({
+        ...record,
+        data: await readRecordFiles(record)
+      }))
+    )
+    files.push({
+      filename: getKdbxFilename(vault.name ?? ''),
+      data: await writeKdbx(
+        { name: vault.name || 'PearPass', records },
+        password,
+        { argon2 }
+      )
+    })
+  }
+
+  if (files.length === 1) {
+    downloadFile(
+      { filename: files[0].filename, content: files[0].data },
+      'kdbx'
+    )
+  } else if (files.length > 1) {
+    await downloadZip(files)
+  }
+}
@@ -0,0 +1,361 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+
+import { useLingui } from '@lingui/react'
+import { formatDate } from '@tetherto/pear-apps-utils-date'
+import {
+  Breadcrumb,
+  Button,
+  ContextMenu,
+  ListItem,
+  NavbarListItem,
+  Text,
+  Title,
+  useTheme
+} from '@tetherto/pearpass-lib-ui-kit'
+import {
+  CalendarToday,
+  Check,
+  Checklist,
+  Folder,
+  TrashOutlined
+} from '@tetherto/pearpass-lib-ui-kit/icons'
+import { html } from 'htm/react'
+
+import { createStyles } from './styles'
+import { RecordItemIcon } from '../../components/RecordItemIcon'
+import {
+  ILLUSTRATION_HEIGHT,
+  createStyles as createEmptyStateStyles
+} from '../../containers/EmptyCollectionView/EmptyCollectionView.styles'
+import { DeleteRecordsModalContent } from '../../containers/Modal/DeleteRecordsModalContent'
+import { MultiSelectActionsBar } from '../../containers/MultiSelectActionsBar'
+import { createStyles as createListStyles } from '../../containers/RecordListView/RecordListView.styles'
+import { useModal } from '../../context/ModalContext'
+import { useToast } from '../../context/ToastContext'
+import { TRASH_RETENTION_DAY_OPTIONS, useTrash } from '../../hooks/useTrash'
+import { ItemCardIllustration } from '../../svgs/ItemCardIllustration'
+import { logger } from '../../utils/logger'
+
+const RETENTION_MENU_WIDTH = 220
+
+/**
+ * Folder markers are records without a type, show them by their name
+ * @param {TrashEntry} entry
+ */
+const isFolderEntry = (entry) => !entry.record?.type && !entry.record?.data
+
+/**
+ * Shape DeleteRecordsModalContent lists
+ * @param {TrashEntry} entry
+ */
+const toListedRecord = (entry) =>
+  isFolderEntry(entry)
+    ? { id: entry.id, type: '', data: { title: entry.record.folder ?? '' } }
+    : { ...entry.record, id: entry.id }
+
+export const TrashView = () => {
+  const { i18n } = useLingui()
+  const { theme } = useTheme()
+  const { setModal, closeModal, isOpen: isModalOpen } = useModal()
+  const { setToast } = useToast()
+  const styles = createStyles(theme.colors)
+  const emptyStateStyles = createEmptyStateStyles()
+  const listStyles = createListStyles(theme.colors)
+
+  const {
+    entries,
+    retentionDays,
+    isLoading,
+    restore,
+    deletePermanently,
+    empty,
+    setRetentionDays
+  } = useTrash()
+
+  const [isRetentionOpen, setIsRetentionOpen] = useState(false)
+  const [isMultiSelectOn, setIsMultiSelectOn] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+
+  const selectedEntries = useMemo(() => {
+    const ids = new Set(selectedIds)
+    return entries.filter((entry) => ids.has(entry.id))
+  }, [entries, selectedIds])
+
+  const exitMultiSelect = useCallback(() => {
+    setSelectedIds([])
+    setIsMultiSelectOn(false)
+  }, [])
+
+  useEffect(() => {
+    if (!isMultiSelectOn) setSelectedIds([])
+  }, [isMultiSelectOn])
+
+  useEffect(() => {
+    if (!isMultiSelectOn || isModalOpen) return
+    const handler = (event) => {
+      if (event.key === 'Escape') exitMultiSelect()
+    }
+    window.addEventListener('keydown', handler)
+    return () => window.removeEventListener('keydown', handler)
+  }, [isMultiSelectOn, isModalOpen, exitMultiSelect])
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
+    )
+  }
+
+  const handleRestore = async (ids) => {
+    if (!ids.length) return
+    try {
+      const restoredIds = await restore(ids)
+      setToast({
+        message:
+          restoredIds.length === 1
+            ? i18n._('1 item restored')
+            : i18n._('{count} items restored', { count: restoredIds.length })
+      })
+      exitMultiSelect()
+    } catch (error) {
+      logger.error('TrashView', 'restore failed:', error)
+      setToast({ message: i18n._('Could not restore the selected items') })
+    }
+  }
+
+  const confirmDelete = (selected) => {
+    if (!selected.length) return
+    setModal(
+      html`<${DeleteRecordsModalContent}
+        records=${selected.map(toListedRecord)}
+        dialogTitle=${i18n._('Delete permanently')}
+        confirmText=${i18n._(
+          'These items will be deleted on all your devices.\nThis action cannot be undone.'
+        )}
+        submitLabel=${i18n._('Delete permanently')}
+        onConfirm=${async () => {
+          try {
+            await deletePermanently(selected.map((entry) => entry.id))
+          } catch (error) {
+            logger.error('TrashView', 'delete failed:', error)
+          }
+          closeModal()
+        }}
+        onCompleted=${exitMultiSelect}
+      />`
+    )
+  }
+
+  const confirmEmpty = () => {
+    if (!entries.length) return
+    setModal(
+      html`<${DeleteRecordsModalContent}
+        records=${entries.map(toListedRecord)}
+        dialogTitle=${i18n._('Empty Trash')}
+        confirmText=${i18n._(
+          'Everything in the Trash will be deleted on all your devices.\nThis action cannot be undone.'
+        )}
+        submitLabel=${i18n._('Empty Trash')}
+        onConfirm=${async () => {
+          try {
+            await empty()
+          } catch (error) {
+            logger.error('TrashView', 'empty failed:', error)
+          }
+          closeModal()
+        }}
+        onCompleted=${exitMultiSelect}
+      />`
+    )
+  }
+
+  const handleSelectRetention = async (days) => {
+    setIsRetentionOpen(false)
+    try {
+      await setRetentionDays(days)
+    } catch (error) {
+      logger.error('TrashView', 'setRetentionDays failed:', error)
+    }
+  }
+
+  const iconColor = theme.colors.colorTextPrimary
+
+  const renderEntryRow = (entry) => {
+    const isFolder = isFolderEntry(entry)
+    const date = formatDate(new Date(entry.deletedAt), 'dd-mm-yy', '/')
+    return html`
+      <${ListItem}
+        key=${entry.id}
+        icon=${isFolder
+          ? html`<${Folder} color=${iconColor} />`
+          : html`<${RecordItemIcon} record=${entry.record} />`}
+        iconSize=${32}
+        title=${isFolder
+          ? (entry.record.folder ?? '')
+          : (entry.record.data?.title ?? '')}
+        subtitle=${entry.deviceName
+          ? i18n._('Deleted {date} on {device}', {
+              date,
+              device: entry.deviceName
+            })
+          : i18n._('Deleted {date}', { date })}
+        selectionMode=${isMultiSelectOn ? 'multi' : 'none'}
+        isSelected=${selectedIds.includes(entry.id)}
+        onSelect=${() => toggleSelected(entry.id)}
+        onClick=${isMultiSelectOn ? () => toggleSelected(entry.id) : undefined}
+        testID=${`trash-item-${entry.id}`}
+        style=${listStyles.recordRow}
+        rightElement=${!isMultiSelectOn
+          ? html`
+              <div style=${styles.rowActions}>
+                <${Button}
+                  variant="tertiary"
+                  size="small"
+                  data-testid=${`trash-restore-${entry.id}`}
+                  onClick=${() => handleRestore([entry.id])}
+                >
+                  ${i18n._('Restore')}
+                <//>
+                <${Button}
+                  variant="tertiary"
+                  size="small"
+                  data-testid=${`trash-delete-${entry.id}`}
+                  aria-label=${i18n._('Delete permanently')}
+                  iconBefore=${html`<${TrashOutlined} color=${iconColor} />`}
+                  onClick=${() => confirmDelete([entry])}
+                />
+              </div>
+            `
+          : undefined}
+      />
+    `
+  }
+
+  return html`
+    <div style=${styles.wrapper} data-testid="trash-view">
+      <div style=${styles.headerContainer}>
+        <div style=${styles.breadcrumbWrapper}>
+          <${Breadcrumb}
+            items=${[i18n._('Trash')]}
+            actions=${html`
+              <div style=${styles.headerActions}>
+                <${Button}
+                  variant="tertiary"
+                  size="small"
+                  data-testid="trash-multi-select"
+                  aria-label=${isMultiSelectOn
+                    ? i18n._('Exit multi-select')
+                    : i18n._('Toggle multi-select')}
+                  aria-pressed=${isMultiSelectOn}
+                  disabled=${!entries.length}
+                  onClick=${() => setIsMultiSelectOn(!isMultiSelectOn)}
+                  iconBefore=${html`<${Checklist} color=${iconColor} />`}
+                />
+                ${retentionDays !== null &&
+                html`
+                  <${ContextMenu}
+                    open=${isRetentionOpen}
+                    onOpenChange=${setIsRetentionOpen}
+                    menuWidth=${RETENTION_MENU_WIDTH}
+                    testID="trash-retention-menu"
+                    trigger=${html`
+                      <${Button}
+                        variant="tertiary"
+                        size="small"
+                        data-testid="trash-retention"
+                        aria-label=${i18n._('Keep deleted items for')}
+                        iconBefore=${html`<${CalendarToday}
+                          color=${iconColor}
+                        />`}
+                      >
+                        ${i18n._('Kept for {days} days', {
+                          days: retentionDays
+                        })}
+                      <//>
+                    `}
+                  >
+                    ${TRASH_RETENTION_DAY_OPTIONS.map(
+                      (days) => html`
+                        <${NavbarListItem}
+                          key=${days}
+                          size="small"
+                          label=${i18n._('{days} days', { days })}
+                          testID=${`trash-retention-${days}`}
+                          additionalItems=${retentionDays === days
+                            ? html`<${Check} color=${iconColor} />`
+                            : undefined}
+                          onClick=${() => handleSelectRetention(days)}
+                        />
+                      `
+                    )}
+                  <//>
+                `}
+                <${Button}
+                  variant="secondary"
+                  size="small"
+                  data-testid="trash-empty"
+                  disabled=${!entries.length}
+                  onClick=${confirmEmpty}
+                >
+                  ${i18n._('Empty Trash')}
+                <//>
+              </div>
+            `}
+          />
+        </div>
+      </div>
+
+      ${isMultiSelectOn &&
+      html`<${MultiSelectActionsBar}
+        selectedCount=${selectedEntries.length}
+        onRestore=${() => handleRestore(selectedIds)}
+        onDelete=${() => confirmDelete(selectedEntries)}
+      />`}
+      ${!isLoading && entries.length === 0
+        ? html`
+            <div style=${emptyStateStyles.container} data-testid="trash-empty-state">
+              <div style=${emptyStateStyles.content}>
+                <div style=${emptyStateStyles.illustration}>
+                  <${ItemCardIllustration}
+                    width=${null}
+                    height=${ILLUSTRATION_HEIGHT}
+                  />
+                </div>
+                <div style=${emptyStateStyles.textBlock}>
+                  <${Title} as="h2">${i18n._('Trash is empty')}<//>
+                  <${Text}
+                    as="p"
+                    variant="label"
+                    color=${theme.colors.colorTextSecondary}
+                    style=${emptyStateStyles.descriptionParagraph}
+                  >
+                    ${i18n._(
+                      'Deleted items and folders stay here for a while, so you can restore them on any of your devices.'
+                    )}
+                  <//>
+                </div>
+              </div>
+            </div>
+          `
+        : html`
+            <div style=${listStyles.wrapper}>
+              ${retentionDays !== null &&
+              html`
+                <div style=${styles.notice} data-testid="trash-notice">
+                  <${Text} color=${theme.colors.colorTextSecondary}>
+                    ${i18n._(
+                      'Items are deleted for good {days} days after they were moved to the Trash.',
+                      { days: retentionDays }
+                    )}
+                  <//>
+                </div>
+              `}
+              <div style=${listStyles.scrollArea} data-testid="trash-list">
+                <div style=${listStyles.sectionList}>
+                  ${entries.map(renderEntryRow)}
+                </div>
+              </div>
+            </div>
+          `}
+    </div>
+  `
+}
@@ -0,0 +1,247 @@
+import React from 'react'
+
+import '@testing-library/jest-dom'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+
+const mockSetModal = jest.fn()
+const mockCloseModal = jest.fn()
+const mockSetToast = jest.fn()
+const mockRestore = jest.fn()
+const mockDeletePermanently = jest.fn()
+const mockEmpty = jest.fn()
+const mockSetRetentionDays = jest.fn()
+let mockTrash = {}
+
+jest.mock('@tetherto/pear-apps-utils-date', () => ({
+  formatDate: () => '01/01/25'
+}))
+
+jest.mock('@lingui/react', () => ({
+  useLingui: () => ({
+    i18n: {
+      _: (msg, values) =>
+        msg.replace(/\{(\w+)\}/g, (_, key) => String(values?.[key]))
+    }
+  })
+}))
+
+jest.mock('../../context/ModalContext', () => ({
+  useModal: () => ({
+    setModal: mockSetModal,
+    closeModal: mockCloseModal,
+    isOpen: false
+  })
+}))
+
+jest.mock('../../context/ToastContext', () => ({
+  useToast: () => ({ setToast: mockSetToast })
+}))
+
+jest.mock('../../hooks/useTrash', () => ({
+  TRASH_RETENTION_DAY_OPTIONS: [7, 30, 90],
+  useTrash: () => mockTrash
+}))
+
+jest.mock('../../containers/Modal/DeleteRecordsModalContent', () => ({
+  DeleteRecordsModalContent: () => null
+}))
+
+jest.mock('../../containers/MultiSelectActionsBar', () => {
+  const ReactInner = require('react')
+  return {
+    MultiSelectActionsBar: ({ selectedCount, onRestore, onDelete }) =>
+      ReactInner.createElement(
+        'div',
+        { 'data-testid': 'multi-select-actions-bar' },
+        `${selectedCount} selected`,
+        ReactInner.createElement(
+          'button',
+          { 'data-testid': 'multi-select-restore', onClick: onRestore },
+          'Restore'
+        ),
+        ReactInner.createElement(
+          'button',
+          { 'data-testid': 'multi-select-delete', onClick: onDelete },
+          'Delete'
+        )
+      )
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit', () => {
+  const ReactInner = require('react')
+  return {
+    Breadcrumb: ({ items, actions }) =>
+      ReactInner.createElement('div', null, items, actions),
+    Button: ({ children, onClick, 'data-testid': testId }) =>
+      ReactInner.createElement(
+        'button',
+        { type: 'button', 'data-testid': testId, onClick },
+        children
+      ),
+    ContextMenu: ({ trigger, children, open, onOpenChange }) =>
+      ReactInner.createElement(
+        'div',
+        { onClick: () => !open && onOpenChange(true) },
+        trigger,
+        open ? children : null
+      ),
+    ListItem: ({ title, subtitle, onClick, onSelect, testID, rightElement }) =>
+      ReactInner.createElement(
+        'div',
+        { 'data-testid': testID, onClick: onClick ?? onSelect },
+        ReactInner.createElement('span', null, title),
+        ReactInner.createElement('span', null, subtitle),
+        rightElement
+      ),
+    NavbarListItem: ({ label, onClick, testID }) =>
+      ReactInner.createElement(
+        'button',
+        { type: 'button', 'data-testid': testID, onClick },
+        label
+      ),
+    Text: ({ children }) => ReactInner.createElement('span', null, children),
+    Title: ({ children }) => ReactInner.createElement('h2', null, children),
+    useTheme: () => ({ theme: { colors: {} } }),
+    rawTokens: new Proxy({}, { get: () => 0 })
+  }
+})
+
+jest.mock('@tetherto/pearpass-lib-ui-kit/icons', () => {
+  const Stub = () => null
+  return {
+    CalendarToday: Stub,
+    Check: Stub,
+    Checklist: Stub,
+    Folder: Stub,
+    TrashOutlined: Stub
+  }
+})
+
+jest.mock('../../components/RecordItemIcon', () => ({
+  RecordItemIcon: () => null
+}))
+
+jest.mock('../../svgs/ItemCardIllustration', () => ({
+  ItemCardIllustration: () => null
+}))
+
+import { TrashView } from './index'
+
+const note = {
+  id: 'note-1',
+  record: { id: 'note-1', type: 'note', data: { title: 'Plans' } },
+  deletedAt: 1,
+  deviceId: 'device-1',
+  deviceName: 'Laptop'
+}
+const folder = {
+  id: 'folder-1',
+  record: { id: 'folder-1', folder: 'Travel' },
+  deletedAt: 2,
+  deviceId: null,
+  deviceName: null
+}
+
+describe('TrashView', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockRestore.mockResolvedValue(['note-1'])
+    mockTrash = {
+      entries: [folder, note],
+      retentionDays: 30,
+      isLoading: false,
+      restore: mockRestore,
+      deletePermanently: mockDeletePermanently,
+      empty: mockEmpty,
+      setRetentionDays: mockSetRetentionDays
+    }
+  })
+
+  test('lists deleted records and folders with when they were deleted', () => {
+    render(<TrashView />)
+
+    expect(screen.getByTestId('trash-item-note-1').textContent).toContain(
+      'Deleted 01/01/25 on Laptop'
+    )
+    expect(screen.getByTestId('trash-item-folder-1').textContent).toContain(
+      'Travel'
+    )
+    expect(screen.getByTestId('trash-notice').textContent).toContain(
+      'deleted for good 30 days'
+    )
+  })
+
+  test('restores an item', async () => {
+    render(<TrashView />)
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('trash-restore-note-1'))
+    })
+
+    expect(mockRestore).toHaveBeenCalledWith(['note-1'])
+    expect(mockSetToast).toHaveBeenCalledWith({ message: '1 item restored' })
+  })
+
+  test('asks before deleting an item for good', async () => {
+    render(<TrashView />)
+
+    fireEvent.click(screen.getByTestId('trash-delete-folder-1'))
+
+    const modal = mockSetModal.mock.calls[0][0]
+    expect(modal.props.records).toEqual([
+      { id: 'folder-1', type: '', data: { title: 'Travel' } }
+    ])
+    await act(async () => {
+      await modal.props.onConfirm()
+    })
+    expect(mockDeletePermanently).toHaveBeenCalledWith(['folder-1'])
+    expect(mockCloseModal).toHaveBeenCalled()
+  })
+
+  test('empties the Trash after confirming', async () => {
+    render(<TrashView />)
+
+    fireEvent.click(screen.getByTestId('trash-empty'))
+    await act(async () => {
+      await mockSetModal.mock.calls[0][0].props.onConfirm()
+    })
+
+    expect(mockEmpty).toHaveBeenCalled()
+  })
+
+  test('restores the items selected in multi-select', async () => {
+    render(<TrashView />)
+
+    fireEvent.click(screen.getByTestId('trash-multi-select'))
+    fireEvent.click(screen.getByTestId('trash-item-folder-1'))
+    fireEvent.click(screen.getByTestId('trash-item-note-1'))
+    expect(
+      screen.getByTestId('multi-select-actions-bar').textContent
+    ).toContain('2 selected')
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('multi-select-restore'))
+    })
+
+    expect(mockRestore).toHaveBeenCalledWith(['folder-1', 'note-1'])
+  })
+
+  test('changes how long deleted items are kept', () => {
+    render(<TrashView />)
+
+    fireEvent.click(screen.getByTestId('trash-retention'))
+    fireEvent.click(screen.getByTestId('trash-retention-7'))
+
+    expect(mockSetRetentionDays).toHaveBeenCalledWith(7)
+  })
+
+  test('shows an empty state', () => {
+    mockTrash = { ...mockTrash, entries: [] }
+
+    render(<TrashView />)
+
+    expect(screen.getByTestId('trash-empty-state')).toBeInTheDocument()
+    expect(screen.getByText('Trash is empty')).toBeInTheDocument()
+  })
+})
@@ -1,33 +1,70 @@
+import { isScopeAllowed } from '../../constants/pairing.js'
 import { SecurityErrorCodes } from '../../constants/securityErrors.js'
 import { createErrorWithCode } from '../../utils/createErrorWithCode.js'
 import { logger } from '../../utils/logger'
+import { getPairedClient } from '../security/appIdentity.js'
 import {
+  APPROVAL_RESULTS,
+  requestApproval
+} from '../security/approvalRequests.js'
+import {
+  getAuditClientPublicKey,
+  recordAuditEntry
+} from '../security/auditLog.js'
+import {
+  isRekeyRequired,
   recordIncomingSeq,
   decryptWithSession,
   encryptWithSession
 } from '../security/sessionManager.js'
-import { getSession } from '../security/sessionStore.js'
+import { closeSession, getSession } from '../security/sessionStore.js'
 
 /**
  * Handles secure encrypted requests from the extension
  */
 export class SecureRequestHandler {
-  constructor(client, methodRegistry) {
+  /**
+   * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+   * @param {import('../ipc/MethodRegistry').MethodRegistry} methodRegistry
+   * @param {import('../ipc/RateLimiter').RateLimiter|null} [rateLimiter] - Applies method budgets to decrypted methods
+   */
+  constructor(client, methodRegistry, rateLimiter = null) {
     this.client = client
     this.methodRegistry = methodRegistry
+    this.rateLimiter = rateLimiter
   }
 
   /**
-   * Process a secure encrypted request
+   * Process a secure encrypted request and record it in the audit log
    */
   async handle(params) {
+    const audit = {
+      method: 'nmSecureRequest',
+      clientPublicKey: getAuditClientPublicKey(params)
+    }
+
+    try {
+      const response = await this.processRequest(params, audit)
+      recordAuditEntry(this.client, audit)
+      return response
+    } catch (error) {
+      recordAuditEntry(this.client, { ...audit, error })
+      throw error
+    }
+  }
+
+  /**
+   * @param {any} params
+   * @param {{ method: string }} audit - Updated with the decrypted method name
+   */
+  async processRequest(params, audit) {
     const { sessionId, nonceB64, ciphertextB64, seq } = params || {}
 
     // Validate request
     this.validateSecurePayload(sessionId, nonceB64, ciphertextB64)
 
     // Check session and replay protection
-    await this.validateSession(sessionId, seq)
+    const session = await this.validateSession(sessionId, seq)
 
     // Decrypt request
     const request = await this.decryptRequest(
@@ -35,14 +72,23 @@ export class SecureRequestHandler {
       nonceB64,
       ciphertextB64
     )
+    audit.method = request.method
 
     logger.debug('SECURE-REQUEST', `Received method: ${request.method}`)
 
+    // Check the method is within the permissions granted to this client
+    this.validateScope(session, request.method)
+    this.rateLimiter?.consumeMethodBudget(request.method)
+
     // Execute method through registry
     const result = await this.methodRegistry.execute(
       request.method,
       request.params,
-      { client: this.client }
+      {
+        client: this.client,
+        clientScope: session.clientScope,
+        requestApproval: (method) => this.confirmWithUser(session, method)
+      }
     )
 
     // Encrypt response
@@ -78,10 +124,79 @@ export class SecureRequestHandler {
         )
       )
     }
+    if (isRekeyRequired(session)) {
+      if (!session.supportsRekey) {
+        // Clients without nmRekeySession handle an expired session by
+        // starting a new handshake
+        closeSession(sessionId)
+        throw new Error(
+          createErrorWithCode(
+            SecurityErrorCodes.SESSION_NOT_FOUND,
+            'Session key has expired, start a new handshake'
+          )
+        )
+      }
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.REKEY_REQUIRED,
+          'Session key has expired, call nmRekeySession'
+        )
+      )
+    }
     recordIncomingSeq(sessionId, seq)
     return session
   }
 
+  validateScope(session, method) {
+    const requiredScope = this.methodRegistry.getRequiredScope(method)
+    // Unknown methods are rejected by the registry itself
+    if (!requiredScope) return
+
+    if (!isScopeAllowed(session.clientScope, requiredScope)) {
+      logger.info(
+        'SECURE-REQUEST',
+        `Method ${method} denied for client scope ${session.clientScope}`
+      )
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.CLIENT_SCOPE_DENIED,
+          `Method ${method} requires ${requiredScope} access`
+        )
+      )
+    }
+  }
+
+  async confirmWithUser(session, method) {
+    const pairedClient = await getPairedClient(
+      this.client,
+      session.clientPublicKey
+    ).catch(() => null)
+
+    const result = await requestApproval({
+      method,
+      clientLabel: pairedClient?.label,
+      clientFingerprint: pairedClient?.fingerprint
+    })
+
+    if (result === APPROVAL_RESULTS.APPROVED) return
+
+    logger.info('SECURE-REQUEST', `Method ${method} not approved: ${result}`)
+    if (result === APPROVAL_RESULTS.TIMED_OUT) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.APPROVAL_TIMEOUT,
+          `Approval for ${method} timed out`
+        )
+      )
+    }
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.REQUEST_DENIED,
+        `User denied ${method}`
+      )
+    )
+  }
+
   async decryptRequest(sessionId, nonceB64, ciphertextB64) {
     const nonce = new Uint8Array(Buffer.from(nonceB64, 'base64'))
     const ciphertext = new Uint8Array(Buffer.from(ciphertextB64, 'base64'))
@@ -19,12 +19,31 @@ jest.mock('sodium-native', () => ({
 }))
 
 import { SecureRequestHandler } from './SecureRequestHandler'
+import { CLIENT_SCOPES } from '../../constants/pairing'
 import { SecurityErrorCodes } from '../../constants/securityErrors'
 import { logger } from '../../utils/logger'
+import * as appIdentity from '../security/appIdentity.js'
+import * as approvalRequests from '../security/approvalRequests.js'
+import * as auditLog from '../security/auditLog.js'
 import * as sessionManager from '../security/sessionManager.js'
 import * as sessionStore from '../security/sessionStore.js'
 
 jest.mock('../../utils/logger')
+jest.mock('../security/appIdentity.js', () => ({
+  getPairedClient: jest.fn()
+}))
+jest.mock('../security/approvalRequests.js', () => ({
+  APPROVAL_RESULTS: {
+    APPROVED: 'APPROVED',
+    DENIED: 'DENIED',
+    TIMED_OUT: 'TIMED_OUT'
+  },
+  requestApproval: jest.fn()
+}))
+jest.mock('../security/auditLog.js', () => ({
+  getAuditClientPublicKey: jest.fn(() => 'chromePub'),
+  recordAuditEntry: jest.fn()
+}))
 jest.mock('../security/sessionManager.js')
 jest.mock('../security/sessionStore.js')
 
@@ -36,7 +55,8 @@ describe('SecureRequestHandler.handle', () => {
   beforeEach(() => {
     mockClient = {}
     mockMethodRegistry = {
-      execute: jest.fn()
+      execute: jest.fn(),
+      getRequiredScope: jest.fn(() => CLIENT_SCOPES.AUTOFILL)
     }
     handler = new SecureRequestHandler(mockClient, mockMethodRegistry)
     jest.clearAllMocks()
@@ -53,7 +73,8 @@ describe('SecureRequestHandler.handle', () => {
     // Mock verified session so handler does not reject with ClientNotVerified
     sessionStore.getSession.mockReturnValue({
       id: 'session123',
-      clientVerified: true
+      clientVerified: true,
+      clientScope: CLIENT_SCOPES.SAVE_LOGINS
     })
     sessionManager.recordIncomingSeq.mockImplementation(() => {})
     // Mock decryption
@@ -77,7 +98,11 @@ describe('SecureRequestHandler.handle', () => {
     expect(mockMethodRegistry.execute).toHaveBeenCalledWith(
       'testMethod',
       { foo: 'bar' },
-      { client: mockClient }
+      {
+        client: mockClient,
+        clientScope: CLIENT_SCOPES.SAVE_LOGINS,
+        requestApproval: expect.any(Function)
+      }
     )
     expect(sessionManager.encryptWithSession).toHaveBeenCalled()
     expect(result).toBe('encryptedResponse')
@@ -87,12 +112,126 @@ describe('SecureRequestHandler.handle', () => {
     )
   })
 
+  it('should record the decrypted method in the audit log', async () => {
+    sessionStore.getSession.mockReturnValue({
+      id: 'session123',
+      clientVerified: true
+    })
+    sessionManager.decryptWithSession.mockReturnValue(
+      Buffer.from(JSON.stringify({ method: 'vaultsList', params: {} }))
+    )
+    mockMethodRegistry.execute.mockResolvedValue([])
+
+    await handler.handle({
+      sessionId: 'session123',
+      nonceB64: 'nonce',
+      ciphertextB64: 'ciphertext',
+      seq: 1
+    })
+
+    expect(auditLog.recordAuditEntry).toHaveBeenCalledWith(mockClient, {
+      method: 'vaultsList',
+      clientPublicKey: 'chromePub'
+    })
+  })
+
+  it('should record failed requests with their error', async () => {
+    await expect(handler.handle({})).rejects.toThrow()
+
+    expect(auditLog.recordAuditEntry).toHaveBeenCalledWith(mockClient, {
+      method: 'nmSecureRequest',
+      clientPublicKey: 'chromePub',
+      error: expect.any(Error)
+    })
+  })
+
+  it('should apply method budgets to the decrypted method', async () => {
+    const rateLimiter = {
+      consumeMethodBudget: jest.fn(() => {
+        throw new Error(
+          `${SecurityErrorCodes.RATE_LIMITED}: Request budget exceeded`
+        )
+      })
+    }
+    handler = new SecureRequestHandler(
+      mockClient,
+      mockMethodRegistry,
+      rateLimiter
+    )
+    sessionStore.getSession.mockReturnValue({
+      id: 'session123',
+      clientVerified: true,
+      clientScope: CLIENT_SCOPES.AUTOFILL
+    })
+    sessionManager.decryptWithSession.mockReturnValue(
+      Buffer.from(JSON.stringify({ method: 'initWithPassword', params: {} }))
+    )
+
+    await expect(
+      handler.handle({
+        sessionId: 'session123',
+        nonceB64: 'nonce',
+        ciphertextB64: 'ciphertext',
+        seq: 1
+      })
+    ).rejects.toThrow(SecurityErrorCodes.RATE_LIMITED)
+
+    expect(rateLimiter.consumeMethodBudget).toHaveBeenCalledWith(
+      'initWithPassword'
+    )
+    expect(mockMethodRegistry.execute).not.toHaveBeenCalled()
+  })
+
   it('should throw INVALID_SECURE_PAYLOAD if payload is missing fields', async () => {
     await expect(handler.handle({})).rejects.toThrow(
       SecurityErrorCodes.INVALID_SECURE_PAYLOAD
     )
   })
 
+  it('should ask for a re-key once the session key is used up', async () => {
+    sessionStore.getSession.mockReturnValue({
+      id: 'session123',
+      clientVerified: true,
+      supportsRekey: true
+    })
+    sessionManager.isRekeyRequired.mockReturnValue(true)
+
+    await expect(
+      handler.handle({
+        sessionId: 'session123',
+        nonceB64: 'nonce',
+        ciphertextB64: 'ciphertext',
+        seq: 1
+      })
+    ).rejects.toThrow(SecurityErrorCodes.REKEY_REQUIRED)
+
+    expect(sessionManager.recordIncomingSeq).not.toHaveBeenCalled()
+    expect(sessionManager.decryptWithSession).not.toHaveBeenCalled()
+    sessionManager.isRekeyRequired.mockReturnValue(false)
+  })
+
+  it('should end the session of clients that cannot re-key', async () => {
+    sessionStore.getSession.mockReturnValue({
+      id: 'session123',
+      clientVerified: true,
+      supportsRekey: false
+    })
+    sessionManager.isRekeyRequired.mockReturnValue(true)
+
+    await expect(
+      handler.handle({
+        sessionId: 'session123',
+        nonceB64: 'nonce',
+        ciphertextB64: 'ciphertext',
+        seq: 1
+      })
+    ).rejects.toThrow(SecurityErrorCodes.SESSION_NOT_FOUND)
+
+    expect(sessionStore.closeSession).toHaveBeenCalledWith('session123')
+    expect(sessionManager.decryptWithSession).not.toHaveBeenCalled()
+    sessionManager.isRekeyRequired.mockReturnValue(false)
+  })
+
   it('should throw SESSION_NOT_FOUND if session does not exist', async () => {
     sessionStore.getSession.mockReturnValue(undefined)
     const params = {
@@ -105,4 +244,93 @@ describe('SecureRequestHandler.handle', () => {
       SecurityErrorCodes.SESSION_NOT_FOUND
     )
   })
+
+  describe('client scopes', () => {
+    const params = {
+      sessionId: 'session123',
+      nonceB64: Buffer.from('nonce').toString('base64'),
+      ciphertextB64: Buffer.from('ciphertext').toString('base64'),
+      seq: 1
+    }
+
+    beforeEach(() => {
+      sessionManager.decryptWithSession.mockReturnValue(
+        Buffer.from(JSON.stringify({ method: 'removeVault', params: {} }))
+      )
+      mockMethodRegistry.getRequiredScope.mockReturnValue(
+        CLIENT_SCOPES.FULL_ACCESS
+      )
+    })
+
+    it('should throw CLIENT_SCOPE_DENIED when the method needs a wider scope', async () => {
+      sessionStore.getSession.mockReturnValue({
+        id: 'session123',
+        clientVerified: true,
+        clientScope: CLIENT_SCOPES.SAVE_LOGINS
+      })
+
+      await expect(handler.handle(params)).rejects.toThrow(
+        SecurityErrorCodes.CLIENT_SCOPE_DENIED
+      )
+      expect(mockMethodRegistry.getRequiredScope).toHaveBeenCalledWith(
+        'removeVault'
+      )
+      expect(mockMethodRegistry.execute).not.toHaveBeenCalled()
+    })
+
+    it('should give sessions without a scope the least access', async () => {
+      sessionStore.getSession.mockReturnValue({
+        id: 'session123',
+        clientVerified: true
+      })
+
+      await expect(handler.handle(params)).rejects.toThrow(
+        SecurityErrorCodes.CLIENT_SCOPE_DENIED
+      )
+      expect(mockMethodRegistry.execute).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('confirmWithUser', () => {
+    const session = { clientPublicKey: 'chromePub' }
+
+    beforeEach(() => {
+      appIdentity.getPairedClient.mockResolvedValue({
+        label: 'Chrome',
+        fingerprint: 'abcd'
+      })
+    })
+
+    it('should ask the user with the requesting client details', async () => {
+      approvalRequests.requestApproval.mockResolvedValue('APPROVED')
+
+      await handler.confirmWithUser(session, 'removeVault')
+
+      expect(appIdentity.getPairedClient).toHaveBeenCalledWith(
+        mockClient,
+        'chromePub'
+      )
+      expect(approvalRequests.requestApproval).toHaveBeenCalledWith({
+        method: 'removeVault',
+        clientLabel: 'Chrome',
+        clientFingerprint: 'abcd'
+      })
+    })
+
+    it('should throw REQUEST_DENIED when the user denies', async () => {
+      approvalRequests.requestApproval.mockResolvedValue('DENIED')
+
+      await expect(
+        handler.confirmWithUser(session, 'removeVault')
+      ).rejects.toThrow(SecurityErrorCodes.REQUEST_DENIED)
+    })
+
+    it('should throw APPROVAL_TIMEOUT when nobody answers', async () => {
+      approvalRequests.requestApproval.mockResolvedValue('TIMED_OUT')
+
+      await expect(
+        handler.confirmWithUser(session, 'removeVault')
+      ).rejects.toThrow(SecurityErrorCodes.APPROVAL_TIMEOUT)
+    })
+  })
 })
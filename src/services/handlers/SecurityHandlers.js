@@ -1,7 +1,11 @@
 import sodium from 'sodium-native'
 
-import { PAIRING_STATES } from '../../constants/pairing.js'
+import {
+  DEFAULT_CLIENT_SCOPE,
+  PAIRING_STATES
+} from '../../constants/pairing.js'
 import { SecurityErrorCodes } from '../../constants/securityErrors.js'
+import { HANDLER_EVENTS } from '../../constants/services.js'
 import {
   getAutoLockTimeoutMs,
   isAutoLockEnabled
@@ -11,6 +15,7 @@ import {
   applyAutoLockTimeout
 } from '../../utils/autoLock.js'
 import { createErrorWithCode } from '../../utils/createErrorWithCode.js'
+import { logger } from '../../utils/logger.js'
 import { getNativeMessagingEnabled } from '../nativeMessagingPreferences.js'
 import {
   getOrCreateIdentity,
@@ -18,13 +23,17 @@ import {
   verifyPairingToken,
   resetIdentity,
   setClientIdentityPublicKey,
-  getClientIdentityPublicKey,
-  getCachedClientIdentityPublicKey,
-  getClientPairingState,
-  confirmClientPairing
+  getPairedClient,
+  getPairedClients,
+  getCachedPairedClientPublicKeys,
+  confirmClientPairing,
+  touchClientLastSeen
 } from '../security/appIdentity.js'
-import { PROTOCOL_TAGS } from '../security/protocolConstants.js'
-import { beginHandshake } from '../security/sessionManager.js'
+import {
+  CLIENT_CAPABILITIES,
+  PROTOCOL_TAGS
+} from '../security/protocolConstants.js'
+import { beginHandshake, rekeySession } from '../security/sessionManager.js'
 import {
   getSession,
   closeSession,
@@ -41,9 +50,14 @@ export class SecurityHandlers {
 
   /**
    * Get the app's identity for pairing
+   * @param {Object} params
+   * @param {string} params.pairingToken - Token shown in the desktop app
+   * @param {string} params.clientEd25519PublicKeyB64 - Extension's public key
+   * @param {string} [params.clientLabel] - Name shown in Your Devices, e.g. "Firefox"
    */
   async nmGetAppIdentity(params) {
-    const { pairingToken, clientEd25519PublicKeyB64 } = params || {}
+    const { pairingToken, clientEd25519PublicKeyB64, clientLabel } =
+      params || {}
 
     // Require a pairing token that the user manually copied from desktop app
     if (!pairingToken) {
@@ -82,31 +96,18 @@ export class SecurityHandlers {
       )
     }
 
-    // Check if a different client is already paired
-    const existingClientPubB64 = await getClientIdentityPublicKey(this.client)
-    const pairingState = await getClientPairingState(this.client)
-
-    if (
-      existingClientPubB64 &&
-      existingClientPubB64 !== clientEd25519PublicKeyB64 &&
-      pairingState === PAIRING_STATES.CONFIRMED
-    ) {
-      // Existing pairing is confirmed - reject new client
-      throw new Error(
-        createErrorWithCode(
-          SecurityErrorCodes.CLIENT_ALREADY_PAIRED,
-          'A different extension is already paired. Reset pairing in the desktop app first.'
-        )
-      )
-    }
-
-    // If there is no existing client or pairing with existing client is pending
-    // save/overwrite with new client
-    if (existingClientPubB64 !== clientEd25519PublicKeyB64) {
+    // Several extensions can be paired at once. A known client keeps its
+    // entry, a new one is added as pending next to the existing ones
+    const existingClient = await getPairedClient(
+      this.client,
+      clientEd25519PublicKeyB64
+    )
+    if (!existingClient) {
       await setClientIdentityPublicKey(
         this.client,
         clientEd25519PublicKeyB64,
-        PAIRING_STATES.PENDING
+        PAIRING_STATES.PENDING,
+        clientLabel
       )
     }
 
@@ -135,6 +136,12 @@ export class SecurityHandlers {
     // Verify this matches our pending pairing
     await confirmClientPairing(this.client, clientEd25519PublicKeyB64)
 
+    if (global.window) {
+      global.window.dispatchEvent(
+        new CustomEvent(HANDLER_EVENTS.extensionPairingChanged)
+      )
+    }
+
     return { confirmed: true }
   }
 
@@ -153,9 +160,64 @@ export class SecurityHandlers {
       )
     }
 
+    const { extEphemeralPubB64, clientEd25519PublicKeyB64, capabilities } =
+      params || {}
+
     // Require a pinned client public key in secure vault (set during pairing via nmGetAppIdentity)
-    const clientPubB64 = await getClientIdentityPublicKey(this.client)
-    if (!clientPubB64) {
+    const clientPubB64 = await this.resolveHandshakeClient(
+      clientEd25519PublicKeyB64
+    )
+
+    if (!extEphemeralPubB64) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.MISSING_EPHEMERAL_PUBLIC_KEY,
+          'extEphemeralPubB64 is required'
+        )
+      )
+    }
+    const result = await beginHandshake(
+      this.client,
+      extEphemeralPubB64,
+      clientPubB64
+    )
+
+    // Only clients that can re-key are asked to, others start over
+    const session = getSession(result?.sessionId)
+    if (session) {
+      session.supportsRekey =
+        Array.isArray(capabilities) &&
+        capabilities.includes(CLIENT_CAPABILITIES.REKEY)
+    }
+    return result
+  }
+
+  /**
+   * Pick the paired client a handshake is for. Extensions that predate
+   * multi-client pairing do not send their key, which is only accepted while
+   * a single client is paired.
+   * @param {string} [clientEd25519PublicKeyB64]
+   * @returns {Promise<string>}
+   */
+  async resolveHandshakeClient(clientEd25519PublicKeyB64) {
+    if (clientEd25519PublicKeyB64) {
+      const pairedClient = await getPairedClient(
+        this.client,
+        clientEd25519PublicKeyB64
+      )
+      if (!pairedClient) {
+        throw new Error(
+          createErrorWithCode(
+            SecurityErrorCodes.NOT_PAIRED,
+            'Client identity is not registered. Please complete pairing first.'
+          )
+        )
+      }
+      return pairedClient.publicKey
+    }
+
+    const pairedClients = await getPairedClients(this.client)
+    if (!pairedClients.length) {
       throw new Error(
         createErrorWithCode(
           SecurityErrorCodes.NOT_PAIRED,
@@ -163,17 +225,15 @@ export class SecurityHandlers {
         )
       )
     }
-
-    const { extEphemeralPubB64 } = params || {}
-    if (!extEphemeralPubB64) {
+    if (pairedClients.length > 1) {
       throw new Error(
         createErrorWithCode(
-          SecurityErrorCodes.MISSING_EPHEMERAL_PUBLIC_KEY,
-          'extEphemeralPubB64 is required'
+          SecurityErrorCodes.CLIENT_PUBLIC_KEY_REQUIRED,
+          'Several extensions are paired, clientEd25519PublicKeyB64 is required'
         )
       )
     }
-    return beginHandshake(this.client, extEphemeralPubB64)
+    return pairedClients[0].publicKey
   }
 
   /**
@@ -209,8 +269,13 @@ export class SecurityHandlers {
     }
     if (session.clientVerified) return { ok: true }
 
-    // Load pinned client identity
-    const clientPubB64 = await getClientIdentityPublicKey(this.client)
+    // Load the client identity pinned into this session, it may have been
+    // revoked since the handshake started
+    const pairedClient = await getPairedClient(
+      this.client,
+      session.clientPublicKey
+    )
+    const clientPubB64 = pairedClient?.publicKey
     if (!clientPubB64) {
       throw new Error(
         createErrorWithCode(
@@ -274,12 +339,62 @@ export class SecurityHandlers {
       )
     }
 
-    // Mark session as verified
+    // Mark session as verified and limit it to the client's granted scope
     session.clientVerified = true
+    session.clientScope = pairedClient.scope || DEFAULT_CLIENT_SCOPE
+
+    await touchClientLastSeen(this.client, clientPubB64).catch((err) => {
+      logger.error(
+        'SECURITY-HANDLERS',
+        `Failed to update client last seen: ${err.message}`
+      )
+    })
 
     return { ok: true }
   }
 
+  /**
+   * Replace the key of a verified session, see rekeySession for the transcript
+   * @param {Object} params
+   * @param {string} params.sessionId
+   * @param {string} params.extEphemeralPubB64 - Fresh ephemeral key of the extension
+   * @param {string} params.clientSigB64 - Client signature over the re-key request
+   */
+  async nmRekeySession(params) {
+    const { sessionId, extEphemeralPubB64, clientSigB64 } = params || {}
+    if (!sessionId) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.MISSING_SESSION_ID,
+          'sessionId is required'
+        )
+      )
+    }
+    if (!extEphemeralPubB64) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.MISSING_EPHEMERAL_PUBLIC_KEY,
+          'extEphemeralPubB64 is required'
+        )
+      )
+    }
+    if (!clientSigB64) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.MISSING_CLIENT_SIGNATURE,
+          'clientSigB64 is required'
+        )
+      )
+    }
+
+    return rekeySession(
+      this.client,
+      sessionId,
+      extEphemeralPubB64,
+      clientSigB64
+    )
+  }
+
   /**
    * Close a secure session
    */
@@ -323,8 +438,9 @@ export class SecurityHandlers {
       )
     }
 
-    const storedClientPubB64 = getCachedClientIdentityPublicKey()
-    const paired = storedClientPubB64 === clientEd25519PublicKeyB64
+    const paired = getCachedPairedClientPublicKeys().includes(
+      clientEd25519PublicKeyB64
+    )
 
     return {
       paired
@@ -413,7 +529,7 @@ export class SecurityHandlers {
 
   /**
    * Reset pairing by generating new identity keys and clearing all sessions
-   * This will unpair the connected extension
+   * This will unpair every connected extension
    */
   async nmResetPairing() {
     const clearedSessions = clearAllSessions()
@@ -100,17 +100,19 @@ describe('SecurityHandlers', () => {
       appIdentity.verifyPairingToken.mockResolvedValue(true)
       appIdentity.getFingerprint.mockReturnValue('fingerprint')
       appIdentity.setClientIdentityPublicKey.mockResolvedValue(undefined)
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue(null)
+      appIdentity.getPairedClient.mockResolvedValue(null)
 
       const result = await handlers.nmGetAppIdentity({
         pairingToken: 'token',
-        clientEd25519PublicKeyB64: 'clientPub'
+        clientEd25519PublicKeyB64: 'clientPub',
+        clientLabel: 'Firefox'
       })
 
       expect(appIdentity.setClientIdentityPublicKey).toHaveBeenCalledWith(
         client,
         'clientPub',
-        'PENDING'
+        'PENDING',
+        'Firefox'
       )
       expect(result).toEqual({
         ed25519PublicKey: 'pubKey',
@@ -119,25 +121,34 @@ describe('SecurityHandlers', () => {
       })
     })
 
-    it('throws if a different client is already paired', async () => {
+    it('pairs an additional client while another one is already paired', async () => {
       appIdentity.getOrCreateIdentity.mockResolvedValue({
         ed25519PublicKey: 'pubKey',
         x25519PublicKey: 'xPubKey'
       })
       appIdentity.verifyPairingToken.mockResolvedValue(true)
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue(
-        'existingClientPub'
-      )
-      appIdentity.getClientPairingState.mockResolvedValue('CONFIRMED')
+      appIdentity.getFingerprint.mockReturnValue('fingerprint')
+      appIdentity.getPairedClient.mockResolvedValue(null)
+      appIdentity.getPairedClients.mockResolvedValue([
+        { publicKey: 'existingClientPub', pairingState: 'CONFIRMED' }
+      ])
 
-      await expect(
-        handlers.nmGetAppIdentity({
-          pairingToken: 'token',
-          clientEd25519PublicKeyB64: 'differentClientPub'
-        })
-      ).rejects.toThrow(SecurityErrorCodes.CLIENT_ALREADY_PAIRED)
+      await handlers.nmGetAppIdentity({
+        pairingToken: 'token',
+        clientEd25519PublicKeyB64: 'differentClientPub'
+      })
 
-      expect(appIdentity.setClientIdentityPublicKey).not.toHaveBeenCalled()
+      expect(appIdentity.getPairedClient).toHaveBeenCalledWith(
+        client,
+        'differentClientPub'
+      )
+      expect(appIdentity.setClientIdentityPublicKey).toHaveBeenCalledWith(
+        client,
+        'differentClientPub',
+        'PENDING',
+        undefined
+      )
+      expect(appIdentity.resetIdentity).not.toHaveBeenCalled()
     })
 
     it('allows re-pairing same client with valid token', async () => {
@@ -148,7 +159,10 @@ describe('SecurityHandlers', () => {
       appIdentity.verifyPairingToken.mockResolvedValue(true)
       appIdentity.getFingerprint.mockReturnValue('fingerprint')
       appIdentity.setClientIdentityPublicKey.mockResolvedValue(undefined)
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue('sameClientPub')
+      appIdentity.getPairedClient.mockResolvedValue({
+        publicKey: 'sameClientPub',
+        pairingState: 'CONFIRMED'
+      })
 
       const result = await handlers.nmGetAppIdentity({
         pairingToken: 'token',
@@ -167,8 +181,10 @@ describe('SecurityHandlers', () => {
   describe('nmBeginHandshake', () => {
     beforeEach(() => {
       getNativeMessagingEnabled.mockReturnValue(true)
-      // By default, simulate a paired client with a stored public key
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue('clientPubKey')
+      // By default, simulate a single paired client with a stored public key
+      appIdentity.getPairedClients.mockResolvedValue([
+        { publicKey: 'clientPubKey' }
+      ])
     })
 
     it('throws if native messaging is disabled', async () => {
@@ -179,7 +195,7 @@ describe('SecurityHandlers', () => {
     })
 
     it('throws if no client public key is stored (not paired)', async () => {
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue(null)
+      appIdentity.getPairedClients.mockResolvedValue([])
 
       await expect(
         handlers.nmBeginHandshake({ extEphemeralPubB64: 'abc' })
@@ -194,17 +210,78 @@ describe('SecurityHandlers', () => {
     })
 
     it('calls beginHandshake with correct params when client is paired', async () => {
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue('clientPubKey')
       sessionManager.beginHandshake.mockResolvedValue('handshake-result')
       const result = await handlers.nmBeginHandshake({
         extEphemeralPubB64: 'abc'
       })
-      expect(appIdentity.getClientIdentityPublicKey).toHaveBeenCalledWith(
-        client
+      expect(appIdentity.getPairedClients).toHaveBeenCalledWith(client)
+      expect(sessionManager.beginHandshake).toHaveBeenCalledWith(
+        client,
+        'abc',
+        'clientPubKey'
       )
-      expect(sessionManager.beginHandshake).toHaveBeenCalledWith(client, 'abc')
       expect(result).toBe('handshake-result')
     })
+
+    it('lets a session re-key only when the client says it can', async () => {
+      const session = {}
+      sessionStore.getSession.mockReturnValue(session)
+      sessionManager.beginHandshake.mockResolvedValue({ sessionId: 'sid' })
+
+      await handlers.nmBeginHandshake({ extEphemeralPubB64: 'abc' })
+      expect(session.supportsRekey).toBe(false)
+
+      await handlers.nmBeginHandshake({
+        extEphemeralPubB64: 'abc',
+        capabilities: ['rekey']
+      })
+      expect(session.supportsRekey).toBe(true)
+    })
+
+    it('requires the client key when several clients are paired', async () => {
+      appIdentity.getPairedClients.mockResolvedValue([
+        { publicKey: 'chromePubKey' },
+        { publicKey: 'firefoxPubKey' }
+      ])
+
+      await expect(
+        handlers.nmBeginHandshake({ extEphemeralPubB64: 'abc' })
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_PUBLIC_KEY_REQUIRED)
+      expect(sessionManager.beginHandshake).not.toHaveBeenCalled()
+    })
+
+    it('handshakes with the requested client when several clients are paired', async () => {
+      appIdentity.getPairedClient.mockResolvedValue({
+        publicKey: 'firefoxPubKey'
+      })
+      sessionManager.beginHandshake.mockResolvedValue('handshake-result')
+
+      await handlers.nmBeginHandshake({
+        extEphemeralPubB64: 'abc',
+        clientEd25519PublicKeyB64: 'firefoxPubKey'
+      })
+
+      expect(appIdentity.getPairedClient).toHaveBeenCalledWith(
+        client,
+        'firefoxPubKey'
+      )
+      expect(sessionManager.beginHandshake).toHaveBeenCalledWith(
+        client,
+        'abc',
+        'firefoxPubKey'
+      )
+    })
+
+    it('throws if the requested client is not paired', async () => {
+      appIdentity.getPairedClient.mockResolvedValue(null)
+
+      await expect(
+        handlers.nmBeginHandshake({
+          extEphemeralPubB64: 'abc',
+          clientEd25519PublicKeyB64: 'revokedPubKey'
+        })
+      ).rejects.toThrow(SecurityErrorCodes.NOT_PAIRED)
+    })
   })
 
   describe('nmFinishHandshake', () => {
@@ -233,9 +310,10 @@ describe('SecurityHandlers', () => {
     it('throws if client identity is not paired', async () => {
       sessionStore.getSession.mockReturnValue({
         id: 'sid',
-        transcript: new Uint8Array([1, 2, 3])
+        transcript: new Uint8Array([1, 2, 3]),
+        clientPublicKey: 'revokedPubKey'
       })
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue(null)
+      appIdentity.getPairedClient.mockResolvedValue(null)
 
       await expect(
         handlers.nmFinishHandshake({
@@ -246,11 +324,14 @@ describe('SecurityHandlers', () => {
     })
 
     it('throws ClientSignatureInvalid and closes session when signature is invalid', async () => {
-      const session = { id: 'sid', transcript: new Uint8Array([1, 2, 3]) }
+      const clientPub = Buffer.alloc(32, 1).toString('base64')
+      const session = {
+        id: 'sid',
+        transcript: new Uint8Array([1, 2, 3]),
+        clientPublicKey: clientPub
+      }
       sessionStore.getSession.mockReturnValue(session)
-      appIdentity.getClientIdentityPublicKey.mockResolvedValue(
-        Buffer.alloc(32, 1).toString('base64')
-      )
+      appIdentity.getPairedClient.mockResolvedValue({ publicKey: clientPub })
       const sodium = require('sodium-native')
       sodium.crypto_sign_verify_detached.mockReturnValue(false)
 
@@ -263,6 +344,82 @@ describe('SecurityHandlers', () => {
 
       expect(sessionStore.closeSession).toHaveBeenCalledWith('sid')
       expect(session.clientVerified).not.toBe(true)
+      expect(appIdentity.touchClientLastSeen).not.toHaveBeenCalled()
+    })
+
+    it('verifies the session client and records when it was last seen', async () => {
+      const clientPub = Buffer.alloc(32, 1).toString('base64')
+      const session = {
+        id: 'sid',
+        transcript: new Uint8Array([1, 2, 3]),
+        clientPublicKey: clientPub
+      }
+      sessionStore.getSession.mockReturnValue(session)
+      sessionStore.concatBytes.mockImplementation(
+        (left, right) => new Uint8Array([...left, ...right])
+      )
+      appIdentity.getPairedClient.mockResolvedValue({
+        publicKey: clientPub,
+        scope: 'AUTOFILL'
+      })
+      appIdentity.touchClientLastSeen.mockResolvedValue(undefined)
+      const sodium = require('sodium-native')
+      sodium.crypto_sign_verify_detached.mockReturnValue(true)
+
+      const result = await handlers.nmFinishHandshake({
+        sessionId: 'sid',
+        clientSigB64: Buffer.alloc(64, 2).toString('base64')
+      })
+
+      expect(result).toEqual({ ok: true })
+      expect(session.clientVerified).toBe(true)
+      expect(session.clientScope).toBe('AUTOFILL')
+      expect(appIdentity.getPairedClient).toHaveBeenCalledWith(
+        client,
+        clientPub
+      )
+      expect(appIdentity.touchClientLastSeen).toHaveBeenCalledWith(
+        client,
+        clientPub
+      )
+    })
+  })
+
+  describe('nmRekeySession', () => {
+    it('throws if sessionId is missing', async () => {
+      await expect(handlers.nmRekeySession({})).rejects.toThrow(
+        SecurityErrorCodes.MISSING_SESSION_ID
+      )
+    })
+
+    it('throws if extEphemeralPubB64 is missing', async () => {
+      await expect(
+        handlers.nmRekeySession({ sessionId: 'sid', clientSigB64: 'sig' })
+      ).rejects.toThrow(SecurityErrorCodes.MISSING_EPHEMERAL_PUBLIC_KEY)
+    })
+
+    it('throws if clientSigB64 is missing', async () => {
+      await expect(
+        handlers.nmRekeySession({ sessionId: 'sid', extEphemeralPubB64: 'eph' })
+      ).rejects.toThrow(SecurityErrorCodes.MISSING_CLIENT_SIGNATURE)
+    })
+
+    it('re-keys the session', async () => {
+      sessionManager.rekeySession.mockResolvedValue('rekey-result')
+
+      const result = await handlers.nmRekeySession({
+        sessionId: 'sid',
+        extEphemeralPubB64: 'eph',
+        clientSigB64: 'sig'
+      })
+
+      expect(sessionManager.rekeySession).toHaveBeenCalledWith(
+        client,
+        'sid',
+        'eph',
+        'sig'
+      )
+      expect(result).toBe('rekey-result')
     })
   })
 
@@ -289,9 +446,10 @@ describe('SecurityHandlers', () => {
     })
 
     it('returns paired=true when client key matches', async () => {
-      appIdentity.getCachedClientIdentityPublicKey.mockReturnValue(
+      appIdentity.getCachedPairedClientPublicKeys.mockReturnValue([
+        'otherClientPubKey',
         'clientPubKey123'
-      )
+      ])
       const result = await handlers.checkExtensionPairingStatus({
         clientEd25519PublicKeyB64: 'clientPubKey123'
       })
@@ -299,9 +457,9 @@ describe('SecurityHandlers', () => {
     })
 
     it('returns paired=false when key does not match', async () => {
-      appIdentity.getCachedClientIdentityPublicKey.mockReturnValue(
+      appIdentity.getCachedPairedClientPublicKeys.mockReturnValue([
         'differentKey'
-      )
+      ])
       const result = await handlers.checkExtensionPairingStatus({
         clientEd25519PublicKeyB64: 'clientPubKey123'
       })
@@ -309,7 +467,7 @@ describe('SecurityHandlers', () => {
     })
 
     it('returns paired=false when no client key is stored', async () => {
-      appIdentity.getCachedClientIdentityPublicKey.mockReturnValue(null)
+      appIdentity.getCachedPairedClientPublicKeys.mockReturnValue([])
       const result = await handlers.checkExtensionPairingStatus({
         clientEd25519PublicKeyB64: 'clientPubKey123'
       })
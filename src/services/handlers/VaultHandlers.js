@@ -1,6 +1,11 @@
+import { CLIENT_SCOPES, isScopeAllowed } from '../../constants/pairing'
+import { SecurityErrorCodes } from '../../constants/securityErrors'
 import { HANDLER_EVENTS } from '../../constants/services'
+import { createErrorWithCode } from '../../utils/createErrorWithCode'
 import { logger } from '../../utils/logger'
 
+const RECORD_KEY_PREFIX = 'record/'
+
 /**
  * Handles vault-related IPC operations
  */
@@ -137,11 +142,46 @@ export class VaultHandlers {
     return await this.client.activeVaultList(params?.filterKey)
   }
 
-  async activeVaultAdd(params) {
+  /**
+   * Clients without full access may only save new logins, they cannot
+   * overwrite records or write any other key
+   * @param {{ key: string, data: any }} params
+   * @param {{ clientScope?: string }} [context]
+   */
+  async activeVaultAdd(params, { clientScope } = {}) {
+    if (!isScopeAllowed(clientScope, CLIENT_SCOPES.FULL_ACCESS)) {
+      await this.assertNewLogin(params)
+    }
+
     await this.client.activeVaultAdd(params.key, params.data)
     return { success: true }
   }
 
+  /**
+   * @param {{ key: string, data: any }} params
+   */
+  async assertNewLogin({ key, data }) {
+    const recordId =
+      typeof key === 'string' && key.startsWith(RECORD_KEY_PREFIX)
+        ? key.slice(RECORD_KEY_PREFIX.length)
+        : null
+    const isNewLogin =
+      !!recordId &&
+      !recordId.includes('/') &&
+      data?.id === recordId &&
+      data?.type === 'login' &&
+      !(await this.client.activeVaultGet(key))
+
+    if (!isNewLogin) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.CLIENT_SCOPE_DENIED,
+          'Only new logins can be saved without full access'
+        )
+      )
+    }
+  }
+
   async activeVaultRemove(params) {
     await this.client.activeVaultRemove(params.key)
     return { success: true }
@@ -0,0 +1,83 @@
+import { VaultHandlers } from './VaultHandlers'
+import { CLIENT_SCOPES } from '../../constants/pairing'
+import { SecurityErrorCodes } from '../../constants/securityErrors'
+
+jest.mock('../../utils/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), error: jest.fn() }
+}))
+
+describe('VaultHandlers', () => {
+  let clientMock
+  let handlers
+
+  beforeEach(() => {
+    clientMock = {
+      activeVaultAdd: jest.fn().mockResolvedValue(undefined),
+      activeVaultGet: jest.fn().mockResolvedValue(null)
+    }
+    handlers = new VaultHandlers(clientMock)
+  })
+
+  describe('activeVaultAdd', () => {
+    const login = { id: 'r1', type: 'login', data: { title: 'GitHub' } }
+    const saveLogins = { clientScope: CLIENT_SCOPES.SAVE_LOGINS }
+
+    it('should write any key for clients with full access', async () => {
+      clientMock.activeVaultGet.mockResolvedValue({ id: 'r1' })
+
+      const result = await handlers.activeVaultAdd(
+        { key: 'vault', data: { id: 'v1' } },
+        { clientScope: CLIENT_SCOPES.FULL_ACCESS }
+      )
+
+      expect(result).toEqual({ success: true })
+      expect(clientMock.activeVaultAdd).toHaveBeenCalledWith('vault', {
+        id: 'v1'
+      })
+      expect(clientMock.activeVaultGet).not.toHaveBeenCalled()
+    })
+
+    it('should save new logins for clients without full access', async () => {
+      await handlers.activeVaultAdd(
+        { key: 'record/r1', data: login },
+        saveLogins
+      )
+
+      expect(clientMock.activeVaultGet).toHaveBeenCalledWith('record/r1')
+      expect(clientMock.activeVaultAdd).toHaveBeenCalledWith('record/r1', login)
+    })
+
+    it('should not let clients without full access overwrite records', async () => {
+      clientMock.activeVaultGet.mockResolvedValue(login)
+
+      await expect(
+        handlers.activeVaultAdd({ key: 'record/r1', data: login }, saveLogins)
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_SCOPE_DENIED)
+      expect(clientMock.activeVaultAdd).not.toHaveBeenCalled()
+    })
+
+    it.each([
+      ['other keys', { key: 'vault', data: login }],
+      ['record files', { key: 'record/r1/file/f1', data: login }],
+      [
+        'other record types',
+        { key: 'record/r1', data: { ...login, type: 'note' } }
+      ],
+      ['records under another id', { key: 'record/r2', data: login }]
+    ])(
+      'should not let clients without full access write %s',
+      async (_, params) => {
+        await expect(
+          handlers.activeVaultAdd(params, saveLogins)
+        ).rejects.toThrow(SecurityErrorCodes.CLIENT_SCOPE_DENIED)
+        expect(clientMock.activeVaultAdd).not.toHaveBeenCalled()
+      }
+    )
+
+    it('should treat callers without a scope as least privileged', async () => {
+      await expect(
+        handlers.activeVaultAdd({ key: 'vault', data: login })
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_SCOPE_DENIED)
+    })
+  })
+})
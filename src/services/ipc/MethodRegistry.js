@@ -1,3 +1,4 @@
+import { CLIENT_SCOPES } from '../../constants/pairing.js'
 import { SecurityErrorCodes } from '../../constants/securityErrors.js'
 import { createErrorWithCode } from '../../utils/createErrorWithCode.js'
 import { logger } from '../../utils/logger'
@@ -7,7 +8,7 @@ import { logger } from '../../utils/logger'
  */
 export class MethodRegistry {
   /**
-   * @param {Function} wrapperFn - Optional function to wrap all handlers
+   * @param {Function} wrapperFn - Optional function to wrap all handlers, called with the handler and the method name
    */
   constructor(wrapperFn = null) {
     this.handlers = new Map()
@@ -23,12 +24,15 @@ export class MethodRegistry {
    */
   register(name, handler, config = {}) {
     // Apply wrapper if provided
-    const wrappedHandler = this.wrapperFn ? this.wrapperFn(handler) : handler
+    const wrappedHandler = this.wrapperFn
+      ? this.wrapperFn(handler, name)
+      : handler
     this.handlers.set(name, wrappedHandler)
     this.configs.set(name, {
       requiresStatus: config.requiresStatus || [],
       logLevel: config.logLevel || 'INFO',
-      ...config
+      ...config,
+      scope: config.scope || CLIENT_SCOPES.FULL_ACCESS
     })
   }
 
@@ -37,6 +41,8 @@ export class MethodRegistry {
    * @param {string} methodName - Name of the method to execute
    * @param {any} params - Parameters for the method
    * @param {Object} context - Execution context (client, logger, etc.)
+   * @param {string} [context.clientScope] - Scope granted to the caller, handed to the handler
+   * @param {(methodName: string) => Promise<void>} [context.requestApproval] - Called for methods registered with requiresApproval, rejects when the user does not allow the call. Without it those methods are refused
    */
   async execute(methodName, params, context) {
     const handler = this.handlers.get(methodName)
@@ -79,6 +85,7 @@ export class MethodRegistry {
       'nmGetPairingCode',
       'nmBeginHandshake',
       'nmFinishHandshake',
+      'nmRekeySession',
       'nmCloseSession',
       'nmConfirmPairing',
       'checkExtensionPairingStatus'
@@ -135,6 +142,24 @@ export class MethodRegistry {
       await this.performStatusChecks(methodName, config.requiresStatus, context)
     }
 
+    // Let the user confirm sensitive methods before they run, and refuse them
+    // where nobody can be asked
+    if (config.requiresApproval) {
+      if (!context.requestApproval) {
+        logger.error(
+          'METHOD-REGISTRY',
+          `No approval prompt available for ${methodName}`
+        )
+        throw new Error(
+          createErrorWithCode(
+            SecurityErrorCodes.REQUEST_DENIED,
+            `${methodName} requires the user's approval`
+          )
+        )
+      }
+      await context.requestApproval(methodName)
+    }
+
     // Log method call
     if (config.logLevel === 'DEBUG') {
       logger.debug('METHOD-REGISTRY', `Executing ${methodName}`)
@@ -142,7 +167,7 @@ export class MethodRegistry {
 
     try {
       // Execute handler
-      const result = await handler(params)
+      const result = await handler(params, { clientScope: context.clientScope })
 
       // Log result if debug
       if (config.logLevel === 'DEBUG' && result) {
@@ -195,6 +220,15 @@ export class MethodRegistry {
     return Array.from(this.handlers.keys())
   }
 
+  /**
+   * Get the client scope needed to call a method
+   * @param {string} name - Method name
+   * @returns {string|null} null when the method is not registered
+   */
+  getRequiredScope(name) {
+    return this.configs.get(name)?.scope ?? null
+  }
+
   /**
    * Check if a method is registered
    */
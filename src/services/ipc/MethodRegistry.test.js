@@ -1,4 +1,5 @@
 import { MethodRegistry } from './MethodRegistry'
+import { CLIENT_SCOPES } from '../../constants/pairing'
 import { SecurityErrorCodes } from '../../constants/securityErrors'
 import { logger } from '../../utils/logger'
 
@@ -44,10 +45,13 @@ describe('MethodRegistry', () => {
       const result = await registry.execute(
         'testMethod',
         { test: 'param' },
-        context
+        { ...context, clientScope: CLIENT_SCOPES.AUTOFILL }
       )
 
-      expect(handler).toHaveBeenCalledWith({ test: 'param' })
+      expect(handler).toHaveBeenCalledWith(
+        { test: 'param' },
+        { clientScope: CLIENT_SCOPES.AUTOFILL }
+      )
       expect(result).toEqual({ success: true })
     })
 
@@ -185,6 +189,59 @@ describe('MethodRegistry', () => {
     })
   })
 
+  describe('approval', () => {
+    beforeEach(() => {
+      mockClient.vaultsGetStatus.mockResolvedValue({ status: true })
+    })
+
+    it('should ask for approval before running methods that require it', async () => {
+      const handler = jest.fn().mockResolvedValue('done')
+      const requestApproval = jest.fn().mockResolvedValue(undefined)
+      registry.register('removeVault', handler, { requiresApproval: true })
+
+      const result = await registry.execute(
+        'removeVault',
+        {},
+        { ...context, requestApproval }
+      )
+
+      expect(requestApproval).toHaveBeenCalledWith('removeVault')
+      expect(result).toBe('done')
+    })
+
+    it('should not run the handler when approval is rejected', async () => {
+      const handler = jest.fn()
+      const requestApproval = jest
+        .fn()
+        .mockRejectedValue(new Error(SecurityErrorCodes.REQUEST_DENIED))
+      registry.register('removeVault', handler, { requiresApproval: true })
+
+      await expect(
+        registry.execute('removeVault', {}, { ...context, requestApproval })
+      ).rejects.toThrow(SecurityErrorCodes.REQUEST_DENIED)
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('should refuse methods that require approval when nobody can approve', async () => {
+      const handler = jest.fn()
+      registry.register('removeVault', handler, { requiresApproval: true })
+
+      await expect(
+        registry.execute('removeVault', {}, context)
+      ).rejects.toThrow(SecurityErrorCodes.REQUEST_DENIED)
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('should not ask for approval for other methods', async () => {
+      const requestApproval = jest.fn()
+      registry.register('vaultsGet', jest.fn())
+
+      await registry.execute('vaultsGet', {}, { ...context, requestApproval })
+
+      expect(requestApproval).not.toHaveBeenCalled()
+    })
+  })
+
   describe('getMethodNames', () => {
     it('should return registered method names', () => {
       registry.register('method1', jest.fn())
@@ -208,4 +265,21 @@ describe('MethodRegistry', () => {
       expect(registry.hasMethod('nonExistingMethod')).toBe(false)
     })
   })
+
+  describe('getRequiredScope', () => {
+    it('should return the configured scope or full access by default', () => {
+      registry.register('readMethod', jest.fn(), {
+        scope: CLIENT_SCOPES.AUTOFILL
+      })
+      registry.register('adminMethod', jest.fn())
+
+      expect(registry.getRequiredScope('readMethod')).toBe(
+        CLIENT_SCOPES.AUTOFILL
+      )
+      expect(registry.getRequiredScope('adminMethod')).toBe(
+        CLIENT_SCOPES.FULL_ACCESS
+      )
+      expect(registry.getRequiredScope('nonExistingMethod')).toBeNull()
+    })
+  })
 })
@@ -0,0 +1,364 @@
+import { SecurityErrorCodes } from '../../constants/securityErrors.js'
+import {
+  createErrorWithCode,
+  getErrorCode
+} from '../../utils/createErrorWithCode.js'
+import { logger } from '../../utils/logger'
+
+/**
+ * @typedef {Object} RateLimits
+ * @property {number} windowMs - Length of a budget window
+ * @property {number} clientBudget - Requests one client may make per window
+ * @property {Record<string, number>} methodBudgets - Calls per window to a method, shared by all unpaired callers, by the connections of each paired identity key and by all verified connections, each apart
+ * @property {number} backoffThreshold - Secure channel errors tolerated before backing off
+ * @property {number} baseBackoffMs - First backoff, doubled on every further error
+ * @property {number} maxBackoffMs - Longest backoff
+ * @property {number} maxHandshakeFailures - Failed pairing or handshake calls before a lockout, counted per paired identity key and once for all unpaired callers
+ * @property {number} handshakeLockoutMs - How long a lockout lasts, and how long failures are remembered
+ */
+
+/** @type {RateLimits} */
+export const DEFAULT_RATE_LIMITS = {
+  windowMs: 60 * 1000,
+  clientBudget: 600,
+  // Method budgets are shared so reconnecting for a fresh client state does
+  // not buy more guesses at pairing tokens or master passwords. Callers
+  // claiming a paired identity key and verified connections draw from budgets
+  // of their own, so unpaired callers spending these never starve paired
+  // extensions.
+  methodBudgets: {
+    nmGetAppIdentity: 10,
+    nmConfirmPairing: 10,
+    nmBeginHandshake: 30,
+    nmFinishHandshake: 30,
+    nmRekeySession: 30,
+    nmResetPairing: 5,
+    initWithPassword: 10,
+    getDecryptionKey: 30,
+    decryptVaultKey: 30
+  },
+  backoffThreshold: 3,
+  baseBackoffMs: 1000,
+  maxBackoffMs: 5 * 60 * 1000,
+  maxHandshakeFailures: 5,
+  handshakeLockoutMs: 5 * 60 * 1000
+}
+
+// Errors that point at a client replaying or forging secure channel traffic
+const BACKOFF_ERROR_CODES = [
+  SecurityErrorCodes.DECRYPT_FAILED,
+  SecurityErrorCodes.INVALID_SEQ,
+  SecurityErrorCodes.REPLAY_DETECTED
+]
+
+const HANDSHAKE_METHODS = [
+  'nmGetAppIdentity',
+  'nmConfirmPairing',
+  'nmBeginHandshake',
+  'nmFinishHandshake',
+  'nmRekeySession'
+]
+
+// Failures that say nothing about the caller
+const IGNORED_HANDSHAKE_ERROR_CODES = [
+  SecurityErrorCodes.NATIVE_MESSAGING_DISABLED,
+  SecurityErrorCodes.RATE_LIMITED,
+  SecurityErrorCodes.CLIENT_LOCKED_OUT
+]
+
+// Expired windows are swept once this many clients are tracked
+const MAX_TRACKED_CLIENTS = 1000
+
+// Handshake failures of callers that claim no paired identity key are counted
+// together, a new key per attempt must not buy new guesses
+const UNPAIRED_IDENTITY = 'unpaired'
+
+/**
+ * @param {string|null} pairedKey
+ * @returns {string}
+ */
+const getIdentity = (pairedKey) =>
+  pairedKey ? `paired:${pairedKey}` : UNPAIRED_IDENTITY
+
+/**
+ * @typedef {Object} ClientState
+ * @property {number} windowStart
+ * @property {number} requests - Requests made in the current window
+ * @property {number} channelErrors - Consecutive secure channel errors
+ * @property {number} blockedUntil - Epoch ms until which requests are refused
+ * @property {boolean} verified - Whether the client signed a handshake
+ */
+
+/**
+ * @typedef {Object} HandshakeState
+ * @property {number} failures - Failed handshake calls not yet forgotten
+ * @property {number} lastFailureAt
+ * @property {number} lockedUntil - Epoch ms until which handshakes are refused
+ */
+
+/**
+ * Request budgets, backoff and handshake lockout for native messaging clients.
+ * Budgets and backoff belong to a connection. Handshake lockouts belong to
+ * the paired identity key a caller claims, or to all unpaired callers
+ * together, and outlive the connection so reconnecting does not lift them.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Partial<RateLimits>} [options.limits] - Overrides for DEFAULT_RATE_LIMITS
+   * @param {(pairedKey: string|null, lockedUntil: number) => void} [options.onLockout] - Called on a lockout, with the paired identity key locked out or null for unpaired callers
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({ limits = {}, onLockout = null, now = Date.now } = {}) {
+    /** @type {RateLimits} */
+    this.limits = {
+      ...DEFAULT_RATE_LIMITS,
+      ...limits,
+      methodBudgets: {
+        ...DEFAULT_RATE_LIMITS.methodBudgets,
+        ...limits.methodBudgets
+      }
+    }
+    this.onLockout = onLockout
+    this.now = now
+    /** @type {Map<string, ClientState>} */
+    this.clients = new Map()
+    /** @type {Map<string, { windowStart: number, calls: number }>} */
+    this.methodCalls = new Map()
+    /** @type {Map<string, HandshakeState>} */
+    this.handshakes = new Map()
+  }
+
+  /**
+   * @param {string} clientKey
+   * @returns {ClientState}
+   */
+  getClientState(clientKey) {
+    let state = this.clients.get(clientKey)
+    if (!state) {
+      if (this.clients.size >= MAX_TRACKED_CLIENTS) this.sweep()
+      state = {
+        windowStart: this.now(),
+        requests: 0,
+        channelErrors: 0,
+        blockedUntil: 0,
+        verified: false
+      }
+      this.clients.set(clientKey, state)
+    }
+    return state
+  }
+
+  /**
+   * Drop clients that are neither verified, blocked nor inside a budget
+   * window
+   */
+  sweep() {
+    const now = this.now()
+    for (const [clientKey, state] of this.clients) {
+      const windowExpired = now - state.windowStart >= this.limits.windowMs
+      if (
+        windowExpired &&
+        state.channelErrors === 0 &&
+        !state.verified &&
+        state.blockedUntil <= now
+      ) {
+        this.clients.delete(clientKey)
+      }
+    }
+  }
+
+  /**
+   * Throw when the client is backing off
+   * @param {string} clientKey
+   */
+  assertNotBlocked(clientKey) {
+    const state = this.clients.get(clientKey)
+    if (!state) return
+
+    const retryInMs = state.blockedUntil - this.now()
+    if (retryInMs <= 0) return
+
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.RATE_LIMITED,
+        `Too many invalid requests, retry in ${Math.ceil(retryInMs / 1000)}s`
+      )
+    )
+  }
+
+  /**
+   * Throw when handshakes of the identity are locked out
+   * @param {string|null} pairedKey
+   */
+  assertNotLockedOut(pairedKey) {
+    const state = this.handshakes.get(getIdentity(pairedKey))
+    const retryInMs = (state?.lockedUntil ?? 0) - this.now()
+    if (retryInMs <= 0) return
+
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.CLIENT_LOCKED_OUT,
+        `Too many failed connection attempts, retry in ${Math.ceil(retryInMs / 1000)}s`
+      )
+    )
+  }
+
+  /**
+   * Count a request against the client's budget
+   * @param {string} clientKey
+   */
+  consumeClientBudget(clientKey) {
+    const state = this.getClientState(clientKey)
+    const now = this.now()
+    if (now - state.windowStart >= this.limits.windowMs) {
+      state.windowStart = now
+      state.requests = 0
+    }
+
+    state.requests += 1
+    if (state.requests > this.limits.clientBudget) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.RATE_LIMITED,
+          'Request budget exceeded'
+        )
+      )
+    }
+  }
+
+  /**
+   * Count a call against the method's shared budget, methods without a
+   * budget are only limited by the client budget
+   * @param {string} method
+   * @param {boolean} [verified] - Draw from the budget of verified clients
+   * @param {string|null} [pairedKey] - Draw from the budget of this paired identity key
+   */
+  consumeMethodBudget(method, verified = false, pairedKey = null) {
+    const budget = this.limits.methodBudgets[method]
+    if (!budget) return
+
+    const now = this.now()
+    let bucket = method
+    if (verified) bucket = `verified:${method}`
+    else if (pairedKey) bucket = `paired:${pairedKey}:${method}`
+    let calls = this.methodCalls.get(bucket)
+    if (!calls || now - calls.windowStart >= this.limits.windowMs) {
+      calls = { windowStart: now, calls: 0 }
+      this.methodCalls.set(bucket, calls)
+    }
+
+    calls.calls += 1
+    if (calls.calls > budget) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.RATE_LIMITED,
+          `Request budget exceeded for ${method}`
+        )
+      )
+    }
+  }
+
+  /**
+   * Run every check for an incoming request
+   * @param {string} clientKey
+   * @param {string} method
+   * @param {string|null} [pairedKey] - Paired identity key the client claims
+   */
+  check(clientKey, method, pairedKey = null) {
+    this.assertNotBlocked(clientKey)
+    if (HANDSHAKE_METHODS.includes(method)) this.assertNotLockedOut(pairedKey)
+    this.consumeMethodBudget(
+      method,
+      !!this.clients.get(clientKey)?.verified,
+      pairedKey
+    )
+    this.consumeClientBudget(clientKey)
+  }
+
+  /**
+   * Note that the client signed a handshake with a paired identity key,
+   * which clears the failures counted against that key
+   * @param {string} clientKey
+   * @param {string|null} [pairedKey]
+   */
+  markVerified(clientKey, pairedKey = null) {
+    this.getClientState(clientKey).verified = true
+    if (pairedKey) this.handshakes.delete(getIdentity(pairedKey))
+  }
+
+  /**
+   * @param {string} clientKey
+   */
+  recordSuccess(clientKey) {
+    const state = this.clients.get(clientKey)
+    if (state) state.channelErrors = 0
+  }
+
+  /**
+   * Back off on secure channel errors and lock the client out after repeated
+   * handshake failures
+   * @param {string} clientKey
+   * @param {string} method
+   * @param {unknown} error
+   * @param {string|null} [pairedKey] - Paired identity key the client claims
+   */
+  recordFailure(clientKey, method, error, pairedKey = null) {
+    const code = getErrorCode(error)
+
+    if (BACKOFF_ERROR_CODES.includes(code)) {
+      const state = this.getClientState(clientKey)
+      state.channelErrors += 1
+
+      const excess = state.channelErrors - this.limits.backoffThreshold
+      if (excess >= 0) {
+        const backoffMs = Math.min(
+          this.limits.baseBackoffMs * 2 ** excess,
+          this.limits.maxBackoffMs
+        )
+        state.blockedUntil = this.now() + backoffMs
+        logger.info(
+          'RATE-LIMITER',
+          `Backing off ${clientKey} for ${backoffMs}ms after ${code}`
+        )
+      }
+      return
+    }
+
+    if (
+      !HANDSHAKE_METHODS.includes(method) ||
+      IGNORED_HANDSHAKE_ERROR_CODES.includes(code)
+    ) {
+      return
+    }
+
+    const now = this.now()
+    const identity = getIdentity(pairedKey)
+    let state = this.handshakes.get(identity)
+    // Failures are forgotten after a quiet lockout period
+    if (!state || now - state.lastFailureAt >= this.limits.handshakeLockoutMs) {
+      state = { failures: 0, lastFailureAt: now, lockedUntil: 0 }
+      this.handshakes.set(identity, state)
+    }
+    state.failures += 1
+    state.lastFailureAt = now
+    if (state.failures < this.limits.maxHandshakeFailures) return
+
+    state.failures = 0
+    state.lockedUntil = now + this.limits.handshakeLockoutMs
+    logger.error(
+      'RATE-LIMITER',
+      `Locked out ${identity} after repeated handshake failures on ${clientKey}`
+    )
+    this.onLockout?.(pairedKey, state.lockedUntil)
+  }
+
+  /**
+   * Forget the budgets and backoff of a closed connection. Handshake
+   * lockouts stay, they do not belong to the connection.
+   * @param {string} clientKey
+   */
+  forget(clientKey) {
+    this.clients.delete(clientKey)
+  }
+}
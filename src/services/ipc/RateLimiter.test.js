@@ -0,0 +1,290 @@
+import { RateLimiter } from './RateLimiter'
+import { SecurityErrorCodes } from '../../constants/securityErrors'
+import { createErrorWithCode } from '../../utils/createErrorWithCode'
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}))
+
+const errorWithCode = (code) => new Error(createErrorWithCode(code, 'failed'))
+
+describe('RateLimiter', () => {
+  let now
+  let onLockout
+  let limiter
+
+  beforeEach(() => {
+    now = 1_000_000
+    onLockout = jest.fn()
+    limiter = new RateLimiter({
+      limits: {
+        windowMs: 1000,
+        clientBudget: 3,
+        methodBudgets: { nmBeginHandshake: 2 },
+        backoffThreshold: 2,
+        baseBackoffMs: 100,
+        maxBackoffMs: 400,
+        maxHandshakeFailures: 3,
+        handshakeLockoutMs: 5000
+      },
+      onLockout,
+      now: () => now
+    })
+  })
+
+  it('keeps the default method budgets when some are overridden', () => {
+    expect(limiter.limits.methodBudgets.nmBeginHandshake).toBe(2)
+    expect(limiter.limits.methodBudgets.nmConfirmPairing).toBe(10)
+  })
+
+  describe('budgets', () => {
+    it('rejects a client once its budget is spent until the window ends', () => {
+      for (let i = 0; i < 3; i++) limiter.check('client-a', 'vaultsList')
+
+      expect(() => limiter.check('client-a', 'vaultsList')).toThrow(
+        SecurityErrorCodes.RATE_LIMITED
+      )
+      expect(() => limiter.check('client-b', 'vaultsList')).not.toThrow()
+
+      now += 1000
+      expect(() => limiter.check('client-a', 'vaultsList')).not.toThrow()
+    })
+
+    it('shares method budgets between clients', () => {
+      limiter.check('client-a', 'nmBeginHandshake')
+      limiter.check('client-b', 'nmBeginHandshake')
+
+      expect(() => limiter.check('client-c', 'nmBeginHandshake')).toThrow(
+        'Request budget exceeded for nmBeginHandshake'
+      )
+    })
+
+    it('keeps separate method budgets for verified clients', () => {
+      limiter.markVerified('client-a')
+      limiter.check('client-b', 'nmBeginHandshake')
+      limiter.check('client-c', 'nmBeginHandshake')
+      expect(() => limiter.check('client-c', 'nmBeginHandshake')).toThrow(
+        SecurityErrorCodes.RATE_LIMITED
+      )
+
+      limiter.check('client-a', 'nmBeginHandshake')
+      limiter.check('client-a', 'nmBeginHandshake')
+      expect(() => limiter.check('client-a', 'nmBeginHandshake')).toThrow(
+        'Request budget exceeded for nmBeginHandshake'
+      )
+    })
+
+    it('keeps separate method budgets for each paired identity key', () => {
+      limiter.check('client-b', 'nmBeginHandshake')
+      limiter.check('client-c', 'nmBeginHandshake')
+      expect(() => limiter.check('client-c', 'nmBeginHandshake')).toThrow(
+        SecurityErrorCodes.RATE_LIMITED
+      )
+
+      limiter.check('client-a', 'nmBeginHandshake', 'paired-a')
+      limiter.check('client-d', 'nmBeginHandshake', 'paired-a')
+      expect(() =>
+        limiter.check('client-d', 'nmBeginHandshake', 'paired-a')
+      ).toThrow('Request budget exceeded for nmBeginHandshake')
+      expect(() =>
+        limiter.check('client-e', 'nmBeginHandshake', 'paired-b')
+      ).not.toThrow()
+    })
+
+    it('keeps verified clients until they are forgotten', () => {
+      limiter.markVerified('client-a')
+      now += 1000
+      limiter.sweep()
+      expect(limiter.clients.get('client-a').verified).toBe(true)
+
+      limiter.forget('client-a')
+      expect(limiter.clients.has('client-a')).toBe(false)
+    })
+
+    it('does not limit methods without a budget', () => {
+      for (let i = 0; i < 10; i++) limiter.consumeMethodBudget('vaultsList')
+    })
+  })
+
+  describe('backoff', () => {
+    it('backs off exponentially on repeated secure channel errors', () => {
+      limiter.recordFailure(
+        'client-a',
+        'nmSecureRequest',
+        errorWithCode(SecurityErrorCodes.DECRYPT_FAILED)
+      )
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+
+      limiter.recordFailure(
+        'client-a',
+        'nmSecureRequest',
+        errorWithCode(SecurityErrorCodes.INVALID_SEQ)
+      )
+      expect(() => limiter.assertNotBlocked('client-a')).toThrow(
+        SecurityErrorCodes.RATE_LIMITED
+      )
+      now += 100
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+
+      limiter.recordFailure(
+        'client-a',
+        'nmSecureRequest',
+        errorWithCode(SecurityErrorCodes.REPLAY_DETECTED)
+      )
+      now += 100
+      expect(() => limiter.assertNotBlocked('client-a')).toThrow(
+        SecurityErrorCodes.RATE_LIMITED
+      )
+      now += 100
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+    })
+
+    it('caps the backoff and resets it after a success', () => {
+      for (let i = 0; i < 10; i++) {
+        limiter.recordFailure(
+          'client-a',
+          'nmSecureRequest',
+          errorWithCode(SecurityErrorCodes.DECRYPT_FAILED)
+        )
+      }
+      now += 400
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+
+      limiter.recordSuccess('client-a')
+      limiter.recordFailure(
+        'client-a',
+        'nmSecureRequest',
+        errorWithCode(SecurityErrorCodes.DECRYPT_FAILED)
+      )
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+    })
+
+    it('ignores other errors', () => {
+      for (let i = 0; i < 5; i++) {
+        limiter.recordFailure(
+          'client-a',
+          'nmSecureRequest',
+          errorWithCode(SecurityErrorCodes.SESSION_NOT_FOUND)
+        )
+      }
+      expect(() => limiter.assertNotBlocked('client-a')).not.toThrow()
+    })
+  })
+
+  describe('handshake lockout', () => {
+    const failHandshake = (clientKey, pairedKey = null) =>
+      limiter.recordFailure(
+        clientKey,
+        'nmFinishHandshake',
+        errorWithCode(SecurityErrorCodes.CLIENT_SIGNATURE_INVALID),
+        pairedKey
+      )
+
+    it('locks unpaired callers out after repeated handshake failures', () => {
+      failHandshake('client-a')
+      failHandshake('client-b')
+      expect(onLockout).not.toHaveBeenCalled()
+
+      failHandshake('client-c')
+      expect(onLockout).toHaveBeenCalledWith(null, now + 5000)
+      expect(() => limiter.check('client-d', 'nmBeginHandshake')).toThrow(
+        SecurityErrorCodes.CLIENT_LOCKED_OUT
+      )
+      expect(() =>
+        limiter.check('client-d', 'nmBeginHandshake', 'paired-a')
+      ).not.toThrow()
+      expect(() => limiter.check('client-d', 'vaultsList')).not.toThrow()
+
+      now += 5000
+      expect(() => limiter.check('client-d', 'nmBeginHandshake')).not.toThrow()
+    })
+
+    it('locks a paired identity key out on its own', () => {
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+
+      expect(onLockout).toHaveBeenCalledWith('paired-a', now + 5000)
+      expect(() =>
+        limiter.check('client-b', 'nmBeginHandshake', 'paired-a')
+      ).toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+      expect(() =>
+        limiter.check('client-b', 'nmBeginHandshake', 'paired-b')
+      ).not.toThrow()
+      expect(() => limiter.check('client-b', 'nmBeginHandshake')).not.toThrow()
+    })
+
+    it('keeps a lockout after the client reconnects', () => {
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      limiter.forget('client-a')
+
+      expect(() =>
+        limiter.check('client-a', 'nmBeginHandshake', 'paired-a')
+      ).toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+    })
+
+    it('keeps counting failures across reconnects', () => {
+      failHandshake('client-a')
+      limiter.forget('client-a')
+      failHandshake('client-b')
+      limiter.forget('client-b')
+      failHandshake('client-c')
+
+      expect(onLockout).toHaveBeenCalledWith(null, now + 5000)
+    })
+
+    it('forgets failures after a quiet lockout period', () => {
+      failHandshake('client-a')
+      failHandshake('client-a')
+      now += 5000
+      failHandshake('client-a')
+
+      expect(onLockout).not.toHaveBeenCalled()
+    })
+
+    it('resets the failures of a paired key once it signs a handshake', () => {
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      limiter.recordSuccess('client-a')
+      failHandshake('client-a', 'paired-a')
+      expect(onLockout).toHaveBeenCalled()
+
+      onLockout.mockClear()
+      now += 5000
+      failHandshake('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      limiter.markVerified('client-a', 'paired-a')
+      failHandshake('client-a', 'paired-a')
+      expect(onLockout).not.toHaveBeenCalled()
+    })
+
+    it('does not count failures caused by the app or by the limiter', () => {
+      for (let i = 0; i < 5; i++) {
+        limiter.recordFailure(
+          'client-a',
+          'nmBeginHandshake',
+          errorWithCode(SecurityErrorCodes.NATIVE_MESSAGING_DISABLED)
+        )
+        limiter.recordFailure(
+          'client-a',
+          'nmBeginHandshake',
+          errorWithCode(SecurityErrorCodes.RATE_LIMITED)
+        )
+      }
+
+      expect(onLockout).not.toHaveBeenCalled()
+    })
+  })
+
+  it('forgets a client', () => {
+    for (let i = 0; i < 3; i++) limiter.check('client-a', 'vaultsList')
+    limiter.forget('client-a')
+
+    expect(() => limiter.check('client-a', 'vaultsList')).not.toThrow()
+  })
+})
@@ -8,6 +8,9 @@ import { logger } from '../../utils/logger'
 
 const { unlink } = fs.promises
 
+/** Socket shared by the browser extension bridge and the command-line client */
+export const NATIVE_MESSAGING_SOCKET_NAME = 'pearpass-native-messaging'
+
 const getSocketDir = () => join(homedir(), IPC_SOCKET_DIR_NAME)
 
 /**
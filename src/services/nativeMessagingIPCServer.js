@@ -1,5 +1,7 @@
 import IPC from 'pear-ipc'
 
+import { CLIENT_SCOPES } from '../constants/pairing'
+import { HANDLER_EVENTS } from '../constants/services'
 import { COMMAND_DEFINITIONS } from '../shared/commandDefinitions'
 import { logger } from '../utils/logger'
 import { EncryptionHandlers } from './handlers/EncryptionHandlers'
@@ -7,19 +9,51 @@ import { SecureRequestHandler } from './handlers/SecureRequestHandler'
 import { SecurityHandlers } from './handlers/SecurityHandlers'
 import { VaultHandlers } from './handlers/VaultHandlers'
 import { MethodRegistry } from './ipc/MethodRegistry'
-import { SocketManager, getIpcPath } from './ipc/SocketManager'
+import { RateLimiter } from './ipc/RateLimiter'
+import {
+  NATIVE_MESSAGING_SOCKET_NAME,
+  SocketManager,
+  getIpcPath
+} from './ipc/SocketManager'
+import {
+  getCachedPairedClientPublicKeys,
+  getFingerprint
+} from './security/appIdentity'
+import { getAuditClientPublicKey, recordAuditEntry } from './security/auditLog'
 
 // Re-export for backward compatibility
 export { getIpcPath }
 
+/**
+ * Request budgets and backoff are tracked by socket connection
+ * @param {{ id: unknown }} [ipcClient]
+ * @returns {string}
+ */
+const getRateLimitClientKey = (ipcClient) =>
+  `connection:${ipcClient?.id ?? 'unknown'}`
+
+/**
+ * The paired identity key a caller claims. Handshake lockouts and budgets are
+ * kept per paired key, so every unpaired caller shares one and a local process
+ * failing handshakes under made up keys cannot lock a paired extension out.
+ * @param {string|null} clientPublicKey
+ * @returns {string|null}
+ */
+const getPairedClientKey = (clientPublicKey) =>
+  clientPublicKey && getCachedPairedClientPublicKeys().includes(clientPublicKey)
+    ? clientPublicKey
+    : null
+
 /**
  * IPC server for native messaging bridge communication
  */
 export class NativeMessagingIPCServer {
   /**
    * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} pearpassClient
+   * @param {Object} [options]
+   * @param {Partial<import('./ipc/RateLimiter').RateLimits>} [options.rateLimits] - Overrides for DEFAULT_RATE_LIMITS
    */
-  constructor(pearpassClient) {
+  constructor(pearpassClient, options = {}) {
     /** @type {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} */
     this.client = pearpassClient
     /** @type {import('pear-ipc').Server|null} */
@@ -27,7 +61,7 @@ export class NativeMessagingIPCServer {
     /** @type {boolean} */
     this.isRunning = false
     /** @type {SocketManager} */
-    this.socketManager = new SocketManager('pearpass-native-messaging')
+    this.socketManager = new SocketManager(NATIVE_MESSAGING_SOCKET_NAME)
     /** @type {string} */
     this.socketPath = this.socketManager.getPath()
 
@@ -39,8 +73,62 @@ export class NativeMessagingIPCServer {
         return handler(...args)
       }
 
+    /** @type {RateLimiter} */
+    this.rateLimiter = new RateLimiter({
+      limits: options.rateLimits,
+      onLockout: (pairedKey, lockedUntil) =>
+        this.notifyClientLockedOut(pairedKey, lockedUntil)
+    })
+
+    // Rate limit and audit every public call. Secure requests are audited by
+    // SecureRequestHandler, which knows the decrypted method name
+    const guardedIpcActivityWrapper = (handler, name) => {
+      const withActivity = ipcActivityWrapper(handler)
+      const isAudited = name !== 'nmSecureRequest'
+
+      return async (params, ipcClient) => {
+        const clientPublicKey = getAuditClientPublicKey(params)
+        const clientKey = getRateLimitClientKey(ipcClient)
+        const pairedKey = getPairedClientKey(clientPublicKey)
+        this.countClientRequest(ipcClient)
+
+        try {
+          this.rateLimiter.check(clientKey, name, pairedKey)
+        } catch (error) {
+          recordAuditEntry(this.client, {
+            method: name,
+            clientPublicKey,
+            error
+          })
+          throw error
+        }
+
+        try {
+          const result = await withActivity(params, ipcClient)
+          this.rateLimiter.recordSuccess(clientKey)
+          if (name === 'nmFinishHandshake') {
+            this.rateLimiter.markVerified(clientKey, pairedKey)
+          }
+          if (isAudited) {
+            recordAuditEntry(this.client, { method: name, clientPublicKey })
+          }
+          return result
+        } catch (error) {
+          this.rateLimiter.recordFailure(clientKey, name, error, pairedKey)
+          if (isAudited) {
+            recordAuditEntry(this.client, {
+              method: name,
+              clientPublicKey,
+              error
+            })
+          }
+          throw error
+        }
+      }
+    }
+
     /** @type {MethodRegistry} */
-    this.methodRegistry = new MethodRegistry(ipcActivityWrapper)
+    this.methodRegistry = new MethodRegistry(guardedIpcActivityWrapper)
     /** @type {MethodRegistry} */
     this.secureMethodRegistry = new MethodRegistry(ipcActivityWrapper)
     /** @type {Map<string, number>} */
@@ -78,6 +166,10 @@ export class NativeMessagingIPCServer {
       'nmFinishHandshake',
       securityHandlers.nmFinishHandshake.bind(securityHandlers)
     )
+    this.methodRegistry.register(
+      'nmRekeySession',
+      securityHandlers.nmRekeySession.bind(securityHandlers)
+    )
     this.methodRegistry.register(
       'nmCloseSession',
       securityHandlers.nmCloseSession.bind(securityHandlers)
@@ -120,7 +212,8 @@ export class NativeMessagingIPCServer {
     // Register secure channel handler
     const secureRequestHandler = new SecureRequestHandler(
       this.client,
-      this.secureMethodRegistry
+      this.secureMethodRegistry,
+      this.rateLimiter
     )
     this.methodRegistry.register(
       'nmSecureRequest',
@@ -143,22 +236,54 @@ export class NativeMessagingIPCServer {
   }
 
   /**
-   * Register methods that are only accessible through the secure channel
+   * @param {{ id: unknown }} [ipcClient]
+   */
+  countClientRequest(ipcClient) {
+    if (!ipcClient || !this.clientRequestCounts.has(ipcClient.id)) return
+    this.clientRequestCounts.set(
+      ipcClient.id,
+      this.clientRequestCounts.get(ipcClient.id) + 1
+    )
+  }
+
+  /**
+   * Tell the app handshakes were locked out so the user can be warned, naming
+   * the paired extension if it was one
+   * @param {string|null} pairedKey
+   * @param {number} lockedUntil
+   */
+  notifyClientLockedOut(pairedKey, lockedUntil) {
+    if (!global.window) return
+
+    const clientFingerprint = pairedKey ? getFingerprint(pairedKey) : null
+    global.window.dispatchEvent(
+      new CustomEvent(HANDLER_EVENTS.extensionClientLockedOut, {
+        detail: { clientFingerprint, lockedUntil }
+      })
+    )
+  }
+
+  /**
+   * Register methods that are only accessible through the secure channel.
+   * Methods without a scope require CLIENT_SCOPES.FULL_ACCESS.
+   * Methods with requiresApproval wait for the user to allow them in the app.
    */
   registerSecureMethods(encryptionHandlers, vaultHandlers) {
     // Encryption methods
     this.secureMethodRegistry.register(
       'encryptionInit',
-      encryptionHandlers.encryptionInit.bind(encryptionHandlers)
+      encryptionHandlers.encryptionInit.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'encryptionGetStatus',
-      encryptionHandlers.encryptionGetStatus.bind(encryptionHandlers)
+      encryptionHandlers.encryptionGetStatus.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'encryptionGet',
       encryptionHandlers.encryptionGet.bind(encryptionHandlers),
-      { logLevel: 'DEBUG' }
+      { logLevel: 'DEBUG', scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'encryptionAdd',
@@ -166,7 +291,8 @@ export class NativeMessagingIPCServer {
     )
     this.secureMethodRegistry.register(
       'hashPassword',
-      encryptionHandlers.hashPassword.bind(encryptionHandlers)
+      encryptionHandlers.hashPassword.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'encryptVaultKeyWithHashedPassword',
@@ -180,20 +306,23 @@ export class NativeMessagingIPCServer {
     )
     this.secureMethodRegistry.register(
       'getDecryptionKey',
-      encryptionHandlers.getDecryptionKey.bind(encryptionHandlers)
+      encryptionHandlers.getDecryptionKey.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'decryptVaultKey',
       encryptionHandlers.decryptVaultKey.bind(encryptionHandlers),
-      { logLevel: 'DEBUG' }
+      { logLevel: 'DEBUG', scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'getMasterPasswordStatus',
-      encryptionHandlers.getMasterPasswordStatus.bind(encryptionHandlers)
+      encryptionHandlers.getMasterPasswordStatus.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'recordFailedMasterPassword',
-      encryptionHandlers.recordFailedMasterPassword.bind(encryptionHandlers)
+      encryptionHandlers.recordFailedMasterPassword.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'resetFailedAttempts',
@@ -201,76 +330,96 @@ export class NativeMessagingIPCServer {
     )
     this.secureMethodRegistry.register(
       'initWithPassword',
-      encryptionHandlers.initWithPassword.bind(encryptionHandlers)
+      encryptionHandlers.initWithPassword.bind(encryptionHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
 
     // Vault methods
     this.secureMethodRegistry.register(
       'vaultsInit',
       vaultHandlers.vaultsInit.bind(vaultHandlers),
-      { logLevel: 'DEBUG' }
+      { logLevel: 'DEBUG', scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'vaultsGetStatus',
-      vaultHandlers.vaultsGetStatus.bind(vaultHandlers)
+      vaultHandlers.vaultsGetStatus.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'vaultsGet',
-      vaultHandlers.vaultsGet.bind(vaultHandlers)
+      vaultHandlers.vaultsGet.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'vaultsList',
       vaultHandlers.vaultsList.bind(vaultHandlers),
-      { requiresStatus: ['encryption', 'vaults'], logLevel: 'DEBUG' }
+      {
+        requiresStatus: ['encryption', 'vaults'],
+        logLevel: 'DEBUG',
+        scope: CLIENT_SCOPES.AUTOFILL
+      }
     )
     this.secureMethodRegistry.register(
       'vaultsAdd',
-      vaultHandlers.vaultsAdd.bind(vaultHandlers)
+      vaultHandlers.vaultsAdd.bind(vaultHandlers),
+      { requiresApproval: true }
     )
     this.secureMethodRegistry.register(
       'removeVault',
-      vaultHandlers.removeVault.bind(vaultHandlers)
+      vaultHandlers.removeVault.bind(vaultHandlers),
+      { requiresApproval: true }
     )
     this.secureMethodRegistry.register(
       'vaultsClose',
-      vaultHandlers.vaultsClose.bind(vaultHandlers)
+      vaultHandlers.vaultsClose.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'activeVaultInit',
-      vaultHandlers.activeVaultInit.bind(vaultHandlers)
+      vaultHandlers.activeVaultInit.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'activeVaultGetStatus',
-      vaultHandlers.activeVaultGetStatus.bind(vaultHandlers)
+      vaultHandlers.activeVaultGetStatus.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'activeVaultGet',
-      vaultHandlers.activeVaultGet.bind(vaultHandlers)
+      vaultHandlers.activeVaultGet.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'activeVaultList',
       vaultHandlers.activeVaultList.bind(vaultHandlers),
       {
         requiresStatus: ['encryption', 'vaults', 'activeVault'],
-        logLevel: 'DEBUG'
+        logLevel: 'DEBUG',
+        scope: CLIENT_SCOPES.AUTOFILL
       }
     )
     this.secureMethodRegistry.register(
       'activeVaultAdd',
-      vaultHandlers.activeVaultAdd.bind(vaultHandlers)
+      vaultHandlers.activeVaultAdd.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.SAVE_LOGINS }
     )
     this.secureMethodRegistry.register(
       'activeVaultRemove',
-      vaultHandlers.activeVaultRemove.bind(vaultHandlers)
+      vaultHandlers.activeVaultRemove.bind(vaultHandlers),
+      { requiresApproval: true }
     )
     this.secureMethodRegistry.register(
       'activeVaultRemoveWriter',
       vaultHandlers.activeVaultRemoveWriter.bind(vaultHandlers),
-      { requiresStatus: ['encryption', 'vaults', 'activeVault'] }
+      {
+        requiresStatus: ['encryption', 'vaults', 'activeVault'],
+        requiresApproval: true
+      }
     )
     this.secureMethodRegistry.register(
       'activeVaultClose',
-      vaultHandlers.activeVaultClose.bind(vaultHandlers)
+      vaultHandlers.activeVaultClose.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'activeVaultCreateInvite',
@@ -291,11 +440,13 @@ export class NativeMessagingIPCServer {
     )
     this.secureMethodRegistry.register(
       'initListener',
-      vaultHandlers.initListener.bind(vaultHandlers)
+      vaultHandlers.initListener.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'closeAllInstances',
-      vaultHandlers.closeAllInstances.bind(vaultHandlers)
+      vaultHandlers.closeAllInstances.bind(vaultHandlers),
+      { scope: CLIENT_SCOPES.AUTOFILL }
     )
     this.secureMethodRegistry.register(
       'cancelPairActiveVault',
@@ -310,7 +461,8 @@ export class NativeMessagingIPCServer {
       vaultHandlers.fetchFavicon.bind(vaultHandlers),
       {
         requiresStatus: ['encryption', 'vaults', 'activeVault'],
-        logLevel: 'DEBUG'
+        logLevel: 'DEBUG',
+        scope: CLIENT_SCOPES.AUTOFILL
       }
     )
 
@@ -320,18 +472,25 @@ export class NativeMessagingIPCServer {
       vaultHandlers.generateOtpCodesByIds.bind(vaultHandlers),
       {
         requiresStatus: ['encryption', 'vaults', 'activeVault'],
-        logLevel: 'DEBUG'
+        logLevel: 'DEBUG',
+        scope: CLIENT_SCOPES.AUTOFILL
       }
     )
     this.secureMethodRegistry.register(
       'generateHotpNext',
       vaultHandlers.generateHotpNext.bind(vaultHandlers),
-      { requiresStatus: ['encryption', 'vaults', 'activeVault'] }
+      {
+        requiresStatus: ['encryption', 'vaults', 'activeVault'],
+        scope: CLIENT_SCOPES.AUTOFILL
+      }
     )
     this.secureMethodRegistry.register(
       'addOtpToRecord',
       vaultHandlers.addOtpToRecord.bind(vaultHandlers),
-      { requiresStatus: ['encryption', 'vaults', 'activeVault'] }
+      {
+        requiresStatus: ['encryption', 'vaults', 'activeVault'],
+        scope: CLIENT_SCOPES.SAVE_LOGINS
+      }
     )
     this.secureMethodRegistry.register(
       'removeOtpFromRecord',
@@ -341,7 +500,10 @@ export class NativeMessagingIPCServer {
     this.secureMethodRegistry.register(
       'findOtpDuplicates',
       vaultHandlers.findOtpDuplicates.bind(vaultHandlers),
-      { requiresStatus: ['encryption', 'vaults', 'activeVault'] }
+      {
+        requiresStatus: ['encryption', 'vaults', 'activeVault'],
+        scope: CLIENT_SCOPES.AUTOFILL
+      }
     )
   }
 
@@ -392,6 +554,7 @@ export class NativeMessagingIPCServer {
             `IPC client disconnected: ${client.id} after ${requestCount} requests`
           )
           this.clientRequestCounts.delete(client.id)
+          this.rateLimiter.forget(getRateLimitClientKey(client))
         })
 
         client.on('error', (error) => {
@@ -533,4 +696,4 @@ export const isNativeMessagingIPCRunning = () =>
  * @returns {string}
  */
 export const getIPCSocketPath = () =>
-  ipcServerInstance?.socketPath ?? getIpcPath('pearpass-native-messaging')
+  ipcServerInstance?.socketPath ?? getIpcPath(NATIVE_MESSAGING_SOCKET_NAME)
@@ -11,6 +11,11 @@ import {
   startNativeMessagingIPC,
   stopNativeMessagingIPC
 } from './nativeMessagingIPCServer.js'
+import { SecurityHandlers } from './handlers/SecurityHandlers'
+import { recordAuditEntry } from './security/auditLog'
+import { HANDLER_EVENTS } from '../constants/services'
+import { SecurityErrorCodes } from '../constants/securityErrors'
+import { createErrorWithCode } from '../utils/createErrorWithCode'
 import { logger } from '../utils/logger.js'
 
 // Mock dependencies
@@ -75,6 +80,10 @@ jest.mock('./handlers/SecurityHandlers', () => ({
       signatureB64: 'mock-signature'
     })
     this.nmFinishHandshake = jest.fn().mockResolvedValue({ ok: true })
+    this.nmRekeySession = jest.fn().mockResolvedValue({
+      hostEphemeralPubB64: 'mock-rekey-ephemeral-key',
+      signatureB64: 'mock-rekey-signature'
+    })
     this.nmCloseSession = jest.fn().mockResolvedValue({ ok: true })
     this.nmResetPairing = jest.fn().mockResolvedValue({
       ok: true,
@@ -168,6 +177,16 @@ jest.mock('./handlers/VaultHandlers', () => ({
   })
 }))
 
+jest.mock('./security/appIdentity', () => ({
+  getCachedPairedClientPublicKeys: jest.fn(() => ['chromePub']),
+  getFingerprint: jest.fn((publicKey) => `fp-${publicKey}`)
+}))
+
+jest.mock('./security/auditLog', () => ({
+  getAuditClientPublicKey: jest.fn((params) => params?.clientPubB64 ?? null),
+  recordAuditEntry: jest.fn()
+}))
+
 jest.mock('./handlers/SecureRequestHandler', () => ({
   SecureRequestHandler: jest
     .fn()
@@ -317,6 +336,7 @@ describe('nativeMessagingIPCServer', () => {
         expect(handlers.nmGetAppIdentity).toBeDefined()
         expect(handlers.nmBeginHandshake).toBeDefined()
         expect(handlers.nmFinishHandshake).toBeDefined()
+        expect(handlers.nmRekeySession).toBeDefined()
         expect(handlers.nmSecureRequest).toBeDefined()
         expect(handlers.nmCloseSession).toBeDefined()
 
@@ -359,6 +379,221 @@ describe('nativeMessagingIPCServer', () => {
         })
       })
 
+      it('should record public calls in the audit log', async () => {
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+
+        await handlers.nmBeginHandshake({ clientPubB64: 'chromePub' })
+
+        expect(recordAuditEntry).toHaveBeenCalledWith(mockPearpassClient, {
+          method: 'nmBeginHandshake',
+          clientPublicKey: 'chromePub'
+        })
+      })
+
+      it('should leave auditing of secure requests to the secure handler', async () => {
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+
+        await handlers.nmSecureRequest({ sessionId: 'test-session' })
+
+        expect(recordAuditEntry).not.toHaveBeenCalled()
+      })
+
+      it('should reject calls over the method budget and audit them', async () => {
+        const limitedServer = new NativeMessagingIPCServer(mockPearpassClient, {
+          rateLimits: { methodBudgets: { nmGetAppIdentity: 1 } }
+        })
+        await limitedServer.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+
+        await handlers.nmGetAppIdentity({ clientPubB64: 'chromePub' })
+        await expect(
+          handlers.nmGetAppIdentity({ clientPubB64: 'chromePub' })
+        ).rejects.toThrow(SecurityErrorCodes.RATE_LIMITED)
+
+        expect(
+          SecurityHandlers.mock.instances[1].nmGetAppIdentity
+        ).toHaveBeenCalledTimes(1)
+        expect(recordAuditEntry).toHaveBeenLastCalledWith(mockPearpassClient, {
+          method: 'nmGetAppIdentity',
+          clientPublicKey: 'chromePub',
+          error: expect.any(Error)
+        })
+      })
+
+      it('should lock out a client after repeated handshake failures', async () => {
+        const dispatchEventSpy = jest.spyOn(window, 'dispatchEvent')
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+        const securityHandlers = SecurityHandlers.mock.instances[0]
+        securityHandlers.nmFinishHandshake.mockRejectedValue(
+          new Error(
+            createErrorWithCode(
+              SecurityErrorCodes.CLIENT_SIGNATURE_INVALID,
+              'Client signature verification failed'
+            )
+          )
+        )
+
+        for (let i = 0; i < 5; i++) {
+          await expect(
+            handlers.nmFinishHandshake({ clientPubB64: 'chromePub' })
+          ).rejects.toThrow(SecurityErrorCodes.CLIENT_SIGNATURE_INVALID)
+        }
+        await expect(
+          handlers.nmFinishHandshake({ clientPubB64: 'chromePub' })
+        ).rejects.toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+
+        expect(securityHandlers.nmFinishHandshake).toHaveBeenCalledTimes(5)
+        const lockoutEvent = dispatchEventSpy.mock.calls
+          .map(([event]) => event)
+          .find(
+            (event) => event.type === HANDLER_EVENTS.extensionClientLockedOut
+          )
+        expect(lockoutEvent.detail).toEqual({
+          clientFingerprint: 'fp-chromePub',
+          lockedUntil: expect.any(Number)
+        })
+
+        dispatchEventSpy.mockRestore()
+      })
+
+      it('should not let unpaired callers lock a paired extension out', async () => {
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+        const securityHandlers = SecurityHandlers.mock.instances[0]
+        for (let i = 0; i < 5; i++) {
+          securityHandlers.nmFinishHandshake.mockRejectedValueOnce(
+            new Error(
+              createErrorWithCode(
+                SecurityErrorCodes.CLIENT_SIGNATURE_INVALID,
+                'Client signature verification failed'
+              )
+            )
+          )
+        }
+
+        for (let i = 0; i < 5; i++) {
+          await expect(
+            handlers.nmFinishHandshake(
+              { clientPubB64: `attackerPub${i}` },
+              { id: 'attacker' }
+            )
+          ).rejects.toThrow(SecurityErrorCodes.CLIENT_SIGNATURE_INVALID)
+        }
+
+        await expect(
+          handlers.nmFinishHandshake(
+            { clientPubB64: 'attackerPub' },
+            { id: 'attacker' }
+          )
+        ).rejects.toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+        await expect(
+          handlers.nmFinishHandshake(
+            { clientPubB64: 'chromePub' },
+            { id: 'extension' }
+          )
+        ).resolves.toBeDefined()
+      })
+
+      it('should keep a lockout after the client reconnects', async () => {
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+        const securityHandlers = SecurityHandlers.mock.instances[0]
+        securityHandlers.nmFinishHandshake.mockRejectedValue(
+          new Error(
+            createErrorWithCode(
+              SecurityErrorCodes.CLIENT_SIGNATURE_INVALID,
+              'Client signature verification failed'
+            )
+          )
+        )
+        const connection = { id: 'attacker', on: jest.fn() }
+        const onClient = serverInstance.server.on.mock.calls.find(
+          ([event]) => event === 'client'
+        )[1]
+        onClient(connection)
+
+        for (let i = 0; i < 5; i++) {
+          await expect(
+            handlers.nmFinishHandshake(
+              { clientPubB64: 'chromePub' },
+              connection
+            )
+          ).rejects.toThrow(SecurityErrorCodes.CLIENT_SIGNATURE_INVALID)
+        }
+        const onClose = connection.on.mock.calls.find(
+          ([event]) => event === 'close'
+        )[1]
+        onClose()
+
+        await expect(
+          handlers.nmBeginHandshake({ clientPubB64: 'chromePub' }, connection)
+        ).rejects.toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+        await expect(
+          handlers.nmBeginHandshake(
+            { clientPubB64: 'chromePub' },
+            { id: 'reconnected' }
+          )
+        ).rejects.toThrow(SecurityErrorCodes.CLIENT_LOCKED_OUT)
+      })
+
+      it('should keep handshake budgets of paired keys apart', async () => {
+        const limitedServer = new NativeMessagingIPCServer(mockPearpassClient, {
+          rateLimits: { methodBudgets: { nmBeginHandshake: 1 } }
+        })
+        await limitedServer.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+
+        await handlers.nmBeginHandshake(
+          { clientPubB64: 'attackerPub' },
+          { id: 'attacker' }
+        )
+        await expect(
+          handlers.nmBeginHandshake(
+            { clientPubB64: 'attackerPub' },
+            { id: 'attacker' }
+          )
+        ).rejects.toThrow(SecurityErrorCodes.RATE_LIMITED)
+
+        await expect(
+          handlers.nmBeginHandshake(
+            { clientPubB64: 'chromePub' },
+            { id: 'extension' }
+          )
+        ).resolves.toBeDefined()
+      })
+
+      it('should keep method budgets of verified connections apart', async () => {
+        const limitedServer = new NativeMessagingIPCServer(mockPearpassClient, {
+          rateLimits: { methodBudgets: { nmBeginHandshake: 1 } }
+        })
+        await limitedServer.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+
+        await handlers.nmFinishHandshake({}, { id: 'extension' })
+        await handlers.nmBeginHandshake({}, { id: 'attacker' })
+        await expect(
+          handlers.nmBeginHandshake({}, { id: 'attacker' })
+        ).rejects.toThrow(SecurityErrorCodes.RATE_LIMITED)
+
+        await expect(
+          handlers.nmBeginHandshake({}, { id: 'extension' })
+        ).resolves.toBeDefined()
+      })
+
+      it('should count requests made by each connected client', async () => {
+        await serverInstance.start()
+        const handlers = IPC.Server.mock.calls[0][0].handlers
+        serverInstance.clientRequestCounts.set('client-1', 0)
+
+        await handlers.nmGetAppIdentity({}, { id: 'client-1' })
+        await handlers.resetTimer({}, { id: 'client-1' })
+
+        expect(serverInstance.clientRequestCounts.get('client-1')).toBe(2)
+      })
+
       it('should call nmSecureRequest handler correctly', async () => {
         await serverInstance.start()
         const handlers = IPC.Server.mock.calls[0][0].handlers
@@ -13,3 +13,44 @@ export const setNativeMessagingEnabled = (enabled) => {
     localStorage.removeItem(LOCAL_STORAGE_KEYS.NATIVE_MESSAGING_ENABLED)
   }
 }
+
+/**
+ * How long a browser extension session stays open before the extension has
+ * to handshake again
+ */
+export const SESSION_TTL_OPTIONS = {
+  FIFTEEN_MINUTES: { label: '15 minutes', value: 15 * 60 * 1000 },
+  ONE_HOUR: { label: '1 hour', value: 60 * 60 * 1000 },
+  FOUR_HOURS: { label: '4 hours', value: 4 * 60 * 60 * 1000 },
+  EIGHT_HOURS: { label: '8 hours', value: 8 * 60 * 60 * 1000 },
+  ONE_DAY: { label: '24 hours', value: 24 * 60 * 60 * 1000 }
+}
+
+export const DEFAULT_SESSION_TTL_MS = SESSION_TTL_OPTIONS.ONE_HOUR.value
+
+const isSessionTtlOption = (ms) =>
+  Object.values(SESSION_TTL_OPTIONS).some((option) => option.value === ms)
+
+/**
+ * Get/set the extension session lifetime in localStorage
+ * @returns {number}
+ */
+export const getSessionTtlMs = () => {
+  const stored = Number(
+    localStorage.getItem(LOCAL_STORAGE_KEYS.NATIVE_MESSAGING_SESSION_TTL_MS)
+  )
+  return isSessionTtlOption(stored) ? stored : DEFAULT_SESSION_TTL_MS
+}
+
+/**
+ * @param {number} ms - One of the SESSION_TTL_OPTIONS values
+ */
+export const setSessionTtlMs = (ms) => {
+  if (!isSessionTtlOption(ms)) {
+    throw new Error(`Unsupported session lifetime: ${ms}`)
+  }
+  localStorage.setItem(
+    LOCAL_STORAGE_KEYS.NATIVE_MESSAGING_SESSION_TTL_MS,
+    String(ms)
+  )
+}
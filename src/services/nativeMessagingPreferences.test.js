@@ -1,6 +1,10 @@
 import {
+  DEFAULT_SESSION_TTL_MS,
   getNativeMessagingEnabled,
-  setNativeMessagingEnabled
+  getSessionTtlMs,
+  SESSION_TTL_OPTIONS,
+  setNativeMessagingEnabled,
+  setSessionTtlMs
 } from './nativeMessagingPreferences'
 
 describe('nativeMessagingPreferences', () => {
@@ -41,4 +45,27 @@ describe('nativeMessagingPreferences', () => {
       expect(localStorage.getItem('native-messaging-enabled')).toBeNull()
     })
   })
+
+  describe('session lifetime', () => {
+    it('should default to one hour', () => {
+      expect(getSessionTtlMs()).toBe(DEFAULT_SESSION_TTL_MS)
+      expect(DEFAULT_SESSION_TTL_MS).toBe(60 * 60 * 1000)
+    })
+
+    it('should store a supported lifetime', () => {
+      setSessionTtlMs(SESSION_TTL_OPTIONS.FOUR_HOURS.value)
+      expect(getSessionTtlMs()).toBe(SESSION_TTL_OPTIONS.FOUR_HOURS.value)
+    })
+
+    it('should reject unsupported lifetimes', () => {
+      expect(() => setSessionTtlMs(1234)).toThrow(
+        'Unsupported session lifetime'
+      )
+    })
+
+    it('should ignore tampered stored values', () => {
+      localStorage.setItem('native-messaging-session-ttl-ms', '1')
+      expect(getSessionTtlMs()).toBe(DEFAULT_SESSION_TTL_MS)
+    })
+  })
 })
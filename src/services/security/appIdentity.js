@@ -4,19 +4,32 @@
 
 import sodium from 'sodium-native'
 
-import { clearAllSessions } from './sessionStore.js'
+import {
+  clearAllSessions,
+  closeSessionsForClient,
+  setClientScopeForSessions
+} from './sessionStore.js'
 import { LOCAL_STORAGE_KEYS } from '../../constants/localStorage.js'
-import { PAIRING_STATES } from '../../constants/pairing.js'
+import {
+  CLIENT_SCOPE_LEVELS,
+  DEFAULT_CLIENT_SCOPE,
+  LEGACY_CLIENT_SCOPE,
+  PAIRING_STATES
+} from '../../constants/pairing.js'
 import { SecurityErrorCodes } from '../../constants/securityErrors.js'
 import { createErrorWithCode } from '../../utils/createErrorWithCode.js'
 import { logger } from '../../utils/logger.js'
 
-const ENC_KEY_ED25519 = 'nm.identity.ed25519'
+export const ENC_KEY_ED25519 = 'nm.identity.ed25519'
 const ENC_KEY_X25519 = 'nm.identity.x25519'
 const ENC_KEY_CREATION_DATE = 'nm.identity.creationDate'
+// Single-client record written by older versions, migrated to ENC_KEY_CLIENTS
 const ENC_KEY_CLIENT_DATA = 'nm.client.data'
+const ENC_KEY_CLIENTS = 'nm.clients'
 const ENC_KEY_PAIRING_SECRET = 'nm.identity.pairingSecret'
 const PAIRING_CODE_TAG = Buffer.from('pearpass/pairingcode/v1', 'utf8')
+const DEFAULT_CLIENT_LABEL = 'Browser extension'
+const MAX_CLIENT_LABEL_LENGTH = 64
 
 // In-memory fallback cache if persistence is unavailable (e.g., before unlock)
 // Structure: { ed25519PublicKeyBytes, ed25519PrivateKeyBytes, x25519PublicKeyBytes, x25519PrivateKeyBytes, creationDate }
@@ -40,7 +53,7 @@ const X25519_PUBLICKEY_BYTES =
  * @param {any} val
  * @returns {string|null}
  */
-const normalizeEncryptionGet = (val) => {
+export const normalizeEncryptionGet = (val) => {
   if (val === null || val === undefined) return null
   if (typeof val === 'string') return val || null
   if (typeof val === 'object' && typeof val.data !== 'undefined') {
@@ -285,6 +298,40 @@ export const getOrCreateIdentity = async (client) => {
   }
 }
 
+/**
+ * Load the Ed25519 private key of the identity, from the encryption store or
+ * the in-memory cache
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @returns {Promise<Uint8Array>}
+ */
+export const getIdentitySigningKey = async (client) => {
+  await getOrCreateIdentity(client)
+
+  const ed25519BlobB64 = normalizeEncryptionGet(
+    await client.encryptionGet(ENC_KEY_ED25519).catch(() => null)
+  )
+  if (ed25519BlobB64) {
+    const ed25519Buffer = Buffer.from(ed25519BlobB64, 'base64')
+    return new Uint8Array(
+      ed25519Buffer.subarray(
+        ED25519_PUBLICKEY_BYTES,
+        ED25519_PUBLICKEY_BYTES + ED25519_SECRETKEY_BYTES
+      )
+    )
+  }
+
+  const privateKey = MEMORY_IDENTITY?.ed25519PrivateKeyBytes
+  if (!privateKey) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.IDENTITY_KEYS_UNAVAILABLE,
+        'Identity keys not available'
+      )
+    )
+  }
+  return privateKey
+}
+
 /**
  * Compute a pairing token from Ed25519 public key and a secret
  * using SHA-256 over secret || publicKey.
@@ -364,7 +411,7 @@ export const verifyPairingToken = async (
 
 /**
  * Reset the app identity by deleting existing keys and generating new ones
- * This will unpair any connected extensions
+ * This will unpair every connected extension
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
  * @returns {Promise<{ ed25519PublicKey: string, x25519PublicKey: string, creationDate: string }>} new base64-encoded public keys and creation date
  */
@@ -381,10 +428,12 @@ export const resetIdentity = async (client) => {
     await client.encryptionAdd(ENC_KEY_X25519, '').catch(() => {})
     await client.encryptionAdd(ENC_KEY_CREATION_DATE, '').catch(() => {})
     await client.encryptionAdd(ENC_KEY_CLIENT_DATA, '').catch(() => {})
+    await client.encryptionAdd(ENC_KEY_CLIENTS, '').catch(() => {})
     await client.encryptionAdd(ENC_KEY_PAIRING_SECRET, '').catch(() => {})
 
-    // Also clear client public key from localStorage
+    // Also clear client public keys from localStorage
     localStorage.removeItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY)
+    localStorage.removeItem(LOCAL_STORAGE_KEYS.NM_PAIRED_CLIENT_PUBLIC_KEYS)
 
     logger.info('APP-IDENTITY', 'Cleared existing identity keys')
   } catch (err) {
@@ -409,16 +458,164 @@ export const resetIdentity = async (client) => {
 // eslint-disable-next-line no-underscore-dangle
 export const __getMemIdentity = () => MEMORY_IDENTITY
 
+/**
+ * @typedef {Object} PairedClient
+ * @property {string} publicKey - Extension Ed25519 public key (base64)
+ * @property {string} label - Human readable name, e.g. "Chrome" or "Firefox"
+ * @property {string} fingerprint - Hex SHA-256 fingerprint of the public key
+ * @property {string} pairingState - PAIRING_STATES.PENDING or PAIRING_STATES.CONFIRMED
+ * @property {string} scope - One of CLIENT_SCOPES, limits the secure methods the client may call
+ * @property {string|null} pairedAt - ISO date of the pairing request
+ * @property {string|null} lastSeenAt - ISO date of the last completed handshake
+ */
+
+// Serialize read-modify-write cycles on the client list so that two browsers
+// pairing at the same time cannot drop each other's entry
+let clientsWriteQueue = Promise.resolve()
+
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+const withClientsLock = (fn) => {
+  const run = clientsWriteQueue.then(fn, fn)
+  clientsWriteQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * @param {unknown} label
+ * @returns {string}
+ */
+const sanitizeClientLabel = (label) => {
+  if (typeof label !== 'string') return DEFAULT_CLIENT_LABEL
+  const trimmed = label.trim().slice(0, MAX_CLIENT_LABEL_LENGTH)
+  return trimmed || DEFAULT_CLIENT_LABEL
+}
+
+/**
+ * @param {string|null} data
+ * @returns {any}
+ */
+const parseJson = (data) => {
+  if (!data) return null
+  try {
+    return JSON.parse(data)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read the single client stored by versions that only supported one paired
+ * extension and convert it to the list shape.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @returns {Promise<PairedClient[]>}
+ */
+const getLegacyClients = async (client) => {
+  const legacy = parseJson(
+    normalizeEncryptionGet(
+      await client.encryptionGet(ENC_KEY_CLIENT_DATA).catch(() => null)
+    )
+  )
+  if (!legacy?.publicKey) return []
+
+  return [
+    {
+      publicKey: legacy.publicKey,
+      label: DEFAULT_CLIENT_LABEL,
+      fingerprint: getFingerprint(legacy.publicKey),
+      pairingState: legacy.pairingState || PAIRING_STATES.PENDING,
+      scope: LEGACY_CLIENT_SCOPE,
+      pairedAt: null,
+      lastSeenAt: null
+    }
+  ]
+}
+
+/**
+ * Keep the confirmed client keys in localStorage.
+ * Accessible even when locked for checkExtensionPairingStatus
+ * @param {PairedClient[]} clients
+ */
+const syncCachedClientPublicKeys = (clients) => {
+  const confirmedKeys = clients
+    .filter((entry) => entry.pairingState === PAIRING_STATES.CONFIRMED)
+    .map((entry) => entry.publicKey)
+
+  localStorage.removeItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY)
+
+  if (confirmedKeys.length) {
+    localStorage.setItem(
+      LOCAL_STORAGE_KEYS.NM_PAIRED_CLIENT_PUBLIC_KEYS,
+      JSON.stringify(confirmedKeys)
+    )
+  } else {
+    localStorage.removeItem(LOCAL_STORAGE_KEYS.NM_PAIRED_CLIENT_PUBLIC_KEYS)
+  }
+}
+
+/**
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {PairedClient[]} clients
+ */
+const writePairedClients = async (client, clients) => {
+  await client.encryptionAdd(ENC_KEY_CLIENTS, JSON.stringify(clients))
+  // The list supersedes the single-client record
+  await client.encryptionAdd(ENC_KEY_CLIENT_DATA, '').catch(() => {})
+  syncCachedClientPublicKeys(clients)
+}
+
+/**
+ * Load every extension that started or completed pairing with this app.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @returns {Promise<PairedClient[]>}
+ */
+export const getPairedClients = async (client) => {
+  const clients = parseJson(
+    normalizeEncryptionGet(
+      await client.encryptionGet(ENC_KEY_CLIENTS).catch(() => null)
+    )
+  )
+  if (Array.isArray(clients)) {
+    return clients
+      .filter((entry) => entry?.publicKey)
+      .map((entry) => ({
+        ...entry,
+        scope: entry.scope || LEGACY_CLIENT_SCOPE
+      }))
+  }
+
+  return getLegacyClients(client)
+}
+
+/**
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {string} ed25519PublicKeyB64
+ * @returns {Promise<PairedClient|null>}
+ */
+export const getPairedClient = async (client, ed25519PublicKeyB64) => {
+  if (!ed25519PublicKeyB64) return null
+  const clients = await getPairedClients(client)
+  return (
+    clients.find((entry) => entry.publicKey === ed25519PublicKeyB64) || null
+  )
+}
+
 /**
  * Store client (extension) Ed25519 public key with pairing state.
+ * Other paired clients are kept; an existing entry for the same key is replaced.
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
  * @param {string} ed25519PublicKeyB64
  * @param {string} state - PAIRING_STATES.PENDING or PAIRING_STATES.CONFIRMED
+ * @param {string} [label] - Name shown in Your Devices
  */
 export const setClientIdentityPublicKey = async (
   client,
   ed25519PublicKeyB64,
-  state = PAIRING_STATES.PENDING
+  state = PAIRING_STATES.PENDING,
+  label
 ) => {
   if (!ed25519PublicKeyB64) {
     throw new Error(
@@ -429,99 +626,167 @@ export const setClientIdentityPublicKey = async (
     )
   }
 
-  await client.encryptionAdd(
-    ENC_KEY_CLIENT_DATA,
-    JSON.stringify({
-      publicKey: ed25519PublicKeyB64,
-      pairingState: state
-    })
-  )
-}
+  await withClientsLock(async () => {
+    const clients = await getPairedClients(client)
+    const existing = clients.find(
+      (entry) => entry.publicKey === ed25519PublicKeyB64
+    )
+    const others = clients.filter(
+      (entry) => entry.publicKey !== ed25519PublicKeyB64
+    )
 
-/**
- * Helper to get parsed client data from vault
- * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
- */
-const getClientData = async (client) => {
-  const data = normalizeEncryptionGet(
-    await client.encryptionGet(ENC_KEY_CLIENT_DATA).catch(() => null)
-  )
-  if (!data) return null
-  try {
-    return JSON.parse(data)
-  } catch {
-    return null
-  }
+    await writePairedClients(client, [
+      ...others,
+      {
+        publicKey: ed25519PublicKeyB64,
+        label: sanitizeClientLabel(label),
+        fingerprint: getFingerprint(ed25519PublicKeyB64),
+        pairingState: state,
+        scope: existing?.scope || DEFAULT_CLIENT_SCOPE,
+        pairedAt: new Date().toISOString(),
+        lastSeenAt: null
+      }
+    ])
+  })
 }
 
 /**
  * Load client (extension) Ed25519 public key from vault.
+ * Only resolves when exactly one client is known, callers that can serve
+ * several clients should use getPairedClient instead.
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
  * @returns {Promise<string|null>}
  */
 export const getClientIdentityPublicKey = async (client) => {
-  const data = await getClientData(client)
-  return data?.publicKey || null
+  const clients = await getPairedClients(client)
+  return clients.length === 1 ? clients[0].publicKey : null
 }
 
 /**
- * Load client (extension) Ed25519 public key from local storage cache.
- * @returns {string|null}
+ * Load confirmed client (extension) Ed25519 public keys from local storage cache.
+ * @returns {string[]}
  */
-export const getCachedClientIdentityPublicKey = () =>
-  localStorage.getItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY) || null
+export const getCachedPairedClientPublicKeys = () => {
+  const keys = parseJson(
+    localStorage.getItem(LOCAL_STORAGE_KEYS.NM_PAIRED_CLIENT_PUBLIC_KEYS)
+  )
+  if (Array.isArray(keys)) return keys
+
+  const legacyKey = localStorage.getItem(
+    LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY
+  )
+  return legacyKey ? [legacyKey] : []
+}
 
 /**
- * Get the current pairing state.
+ * Confirm pairing after extension successfully encrypted its keypair.
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
- * @returns {Promise<string|null>} - PAIRING_STATES.PENDING, PAIRING_STATES.CONFIRMED, or null
+ * @param {string} clientEd25519PublicKeyB64
  */
-export const getClientPairingState = async (client) => {
-  const data = await getClientData(client)
-  return data?.pairingState || null
-}
+export const confirmClientPairing = async (client, clientEd25519PublicKeyB64) =>
+  withClientsLock(async () => {
+    const clients = await getPairedClients(client)
+    const entry = clients.find(
+      (item) => item.publicKey === clientEd25519PublicKeyB64
+    )
+
+    if (!entry) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.NO_PENDING_PAIRING,
+          'No pending pairing found for this client'
+        )
+      )
+    }
+
+    entry.pairingState = PAIRING_STATES.CONFIRMED
+    await writePairedClients(client, clients)
+  })
 
 /**
- * Confirm pairing after extension successfully encrypted its keypair.
+ * Record that a client completed a handshake.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {string} clientEd25519PublicKeyB64
+ */
+export const touchClientLastSeen = async (client, clientEd25519PublicKeyB64) =>
+  withClientsLock(async () => {
+    const clients = await getPairedClients(client)
+    const entry = clients.find(
+      (item) => item.publicKey === clientEd25519PublicKeyB64
+    )
+    if (!entry) return
+
+    entry.lastSeenAt = new Date().toISOString()
+    await writePairedClients(client, clients)
+  })
+
+/**
+ * Change the permission scope of a paired client.
+ * Open sessions of that client pick up the new scope immediately.
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
  * @param {string} clientEd25519PublicKeyB64
+ * @param {string} scope - One of CLIENT_SCOPES
  */
-export const confirmClientPairing = async (
+export const setClientScope = async (
   client,
-  clientEd25519PublicKeyB64
+  clientEd25519PublicKeyB64,
+  scope
 ) => {
-  const data = await getClientData(client)
-
-  if (!data?.publicKey) {
+  if (!CLIENT_SCOPE_LEVELS.includes(scope)) {
     throw new Error(
       createErrorWithCode(
-        SecurityErrorCodes.NO_PENDING_PAIRING,
-        'No pending pairing found'
+        SecurityErrorCodes.INVALID_CLIENT_SCOPE,
+        `Unknown client scope: ${scope}`
       )
     )
   }
 
-  if (data.publicKey !== clientEd25519PublicKeyB64) {
-    throw new Error(
-      createErrorWithCode(
-        SecurityErrorCodes.CLIENT_KEY_MISMATCH,
-        'Client public key does not match stored pending pairing key'
-      )
+  await withClientsLock(async () => {
+    const clients = await getPairedClients(client)
+    const entry = clients.find(
+      (item) => item.publicKey === clientEd25519PublicKeyB64
     )
-  }
 
-  // Now that pairing is confirmed do store client public key in localStorage
-  // Accessible even when locked for checkExtensionPairingStatus
-  localStorage.setItem(
-    LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY,
-    clientEd25519PublicKeyB64
-  )
+    if (!entry) {
+      throw new Error(
+        createErrorWithCode(
+          SecurityErrorCodes.CLIENT_NOT_PAIRED,
+          'Client is not paired'
+        )
+      )
+    }
 
-  await client.encryptionAdd(
-    ENC_KEY_CLIENT_DATA,
-    JSON.stringify({
-      ...data,
-      pairingState: PAIRING_STATES.CONFIRMED
-    })
-  )
+    entry.scope = scope
+    await writePairedClients(client, clients)
+  })
+
+  setClientScopeForSessions(clientEd25519PublicKeyB64, scope)
 }
+
+/**
+ * Unpair a single client and drop its open sessions. Other clients stay paired.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {string} clientEd25519PublicKeyB64
+ * @returns {Promise<{ revoked: boolean, closedSessions: number }>}
+ */
+export const revokeClient = async (client, clientEd25519PublicKeyB64) =>
+  withClientsLock(async () => {
+    const clients = await getPairedClients(client)
+    const remaining = clients.filter(
+      (entry) => entry.publicKey !== clientEd25519PublicKeyB64
+    )
+    const revoked = remaining.length !== clients.length
+
+    if (revoked) {
+      await writePairedClients(client, remaining)
+    }
+
+    const closedSessions = closeSessionsForClient(clientEd25519PublicKeyB64)
+
+    logger.info(
+      'APP-IDENTITY',
+      `Revoked client (closed ${closedSessions} active sessions)`
+    )
+
+    return { revoked, closedSessions }
+  })
@@ -1,18 +1,37 @@
 import sodium from 'sodium-native'
 
 import {
+  getIdentitySigningKey,
   getOrCreateIdentity,
   getPairingCode,
   getFingerprint,
   __getMemIdentity,
   setClientIdentityPublicKey,
-  confirmClientPairing
+  confirmClientPairing,
+  getClientIdentityPublicKey,
+  getCachedPairedClientPublicKeys,
+  getPairedClient,
+  getPairedClients,
+  revokeClient,
+  setClientScope,
+  touchClientLastSeen
 } from './appIdentity'
+import {
+  closeSessionsForClient,
+  setClientScopeForSessions
+} from './sessionStore'
 import { LOCAL_STORAGE_KEYS } from '../../constants/localStorage'
-import { PAIRING_STATES } from '../../constants/pairing'
+import { CLIENT_SCOPES, PAIRING_STATES } from '../../constants/pairing'
+import { SecurityErrorCodes } from '../../constants/securityErrors'
 import { logger } from '../../utils/logger'
 
 // Mock dependencies
+jest.mock('./sessionStore', () => ({
+  clearAllSessions: jest.fn(() => 0),
+  closeSessionsForClient: jest.fn(() => 0),
+  setClientScopeForSessions: jest.fn(() => 0)
+}))
+
 jest.mock('../../utils/logger', () => ({
   logger: {
     info: jest.fn(),
@@ -208,6 +227,22 @@ describe('appIdentity', () => {
     })
   })
 
+  describe('getIdentitySigningKey', () => {
+    it('should read the private key from the stored Ed25519 blob', async () => {
+      const blob = Buffer.concat([Buffer.alloc(32, 1), Buffer.alloc(64, 2)])
+      mockClient.encryptionGetStatus.mockResolvedValue({ status: true })
+      mockClient.encryptionGet.mockImplementation(async (key) =>
+        key === 'nm.identity.ed25519' || key === 'nm.identity.x25519'
+          ? { data: blob.toString('base64') }
+          : null
+      )
+
+      const privateKey = await getIdentitySigningKey(mockClient)
+
+      expect(Buffer.from(privateKey)).toEqual(Buffer.alloc(64, 2))
+    })
+  })
+
   describe('getPairingCode', () => {
     it('should generate a pairing token from public key and secret', () => {
       const publicKeyB64 = Buffer.alloc(32, 42).toString('base64')
@@ -265,50 +300,169 @@ describe('appIdentity', () => {
       expect(fp1).not.toBe(fp2)
     })
   })
-  describe('setClientIdentityPublicKey', () => {
+  describe('paired clients', () => {
+    let store
+
+    beforeEach(() => {
+      localStorage.clear()
+      store = {}
+      mockClient.encryptionGet.mockImplementation(async (key) =>
+        key in store ? store[key] : null
+      )
+      mockClient.encryptionAdd.mockImplementation(async (key, value) => {
+        store[key] = value
+      })
+    })
+
     it('should store client data in vault but NOT in localStorage', async () => {
-      const clientPub = 'clientPub123'
-      await setClientIdentityPublicKey(mockClient, clientPub)
-
-      expect(mockClient.encryptionAdd).toHaveBeenCalledWith(
-        'nm.client.data',
-        JSON.stringify({
-          publicKey: clientPub,
-          pairingState: PAIRING_STATES.PENDING
+      await setClientIdentityPublicKey(mockClient, 'clientPub123')
+
+      const clients = await getPairedClients(mockClient)
+
+      expect(clients).toEqual([
+        expect.objectContaining({
+          publicKey: 'clientPub123',
+          label: 'Browser extension',
+          pairingState: PAIRING_STATES.PENDING,
+          fingerprint: getFingerprint('clientPub123'),
+          scope: CLIENT_SCOPES.AUTOFILL,
+          lastSeenAt: null
         })
+      ])
+      expect(getCachedPairedClientPublicKeys()).toEqual([])
+    })
+
+    it('should keep previously paired clients when a new client pairs', async () => {
+      await setClientIdentityPublicKey(
+        mockClient,
+        'chromePub',
+        PAIRING_STATES.PENDING,
+        'Chrome'
       )
+      await confirmClientPairing(mockClient, 'chromePub')
+      await setClientIdentityPublicKey(
+        mockClient,
+        'firefoxPub',
+        PAIRING_STATES.PENDING,
+        'Firefox'
+      )
+      await confirmClientPairing(mockClient, 'firefoxPub')
+
+      const clients = await getPairedClients(mockClient)
 
+      expect(clients.map(({ label }) => label)).toEqual(['Chrome', 'Firefox'])
       expect(
-        localStorage.getItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY)
-      ).toBeNull()
+        clients.every(
+          ({ pairingState }) => pairingState === PAIRING_STATES.CONFIRMED
+        )
+      ).toBe(true)
+      expect(getCachedPairedClientPublicKeys()).toEqual([
+        'chromePub',
+        'firefoxPub'
+      ])
     })
-  })
 
-  describe('confirmClientPairing', () => {
-    it('should update vault state and set localStorage', async () => {
-      const clientPub = 'clientPub123'
+    it('should update vault state and set localStorage on confirmation', async () => {
+      await setClientIdentityPublicKey(mockClient, 'clientPub123')
 
-      // Mock existing pending pairing in vault
-      mockClient.encryptionGet.mockResolvedValue(
-        JSON.stringify({
-          publicKey: clientPub,
-          pairingState: PAIRING_STATES.PENDING
-        })
+      await confirmClientPairing(mockClient, 'clientPub123')
+
+      expect(await getPairedClient(mockClient, 'clientPub123')).toEqual(
+        expect.objectContaining({ pairingState: PAIRING_STATES.CONFIRMED })
       )
+      expect(
+        localStorage.getItem(LOCAL_STORAGE_KEYS.NM_PAIRED_CLIENT_PUBLIC_KEYS)
+      ).toBe(JSON.stringify(['clientPub123']))
+    })
 
-      await confirmClientPairing(mockClient, clientPub)
+    it('should reject confirmation for an unknown client', async () => {
+      await expect(
+        confirmClientPairing(mockClient, 'unknownPub')
+      ).rejects.toThrow('NO_PENDING_PAIRING')
+    })
 
-      expect(mockClient.encryptionAdd).toHaveBeenCalledWith(
-        'nm.client.data',
-        JSON.stringify({
-          publicKey: clientPub,
-          pairingState: PAIRING_STATES.CONFIRMED
+    it('should migrate the single client stored by older versions', async () => {
+      store['nm.client.data'] = JSON.stringify({
+        publicKey: 'legacyPub',
+        pairingState: PAIRING_STATES.CONFIRMED
+      })
+      localStorage.setItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY, 'legacyPub')
+
+      expect(getCachedPairedClientPublicKeys()).toEqual(['legacyPub'])
+      expect(await getClientIdentityPublicKey(mockClient)).toBe('legacyPub')
+
+      await touchClientLastSeen(mockClient, 'legacyPub')
+
+      const [migrated] = await getPairedClients(mockClient)
+      expect(migrated).toEqual(
+        expect.objectContaining({
+          publicKey: 'legacyPub',
+          pairingState: PAIRING_STATES.CONFIRMED,
+          scope: CLIENT_SCOPES.FULL_ACCESS,
+          lastSeenAt: expect.any(String)
         })
       )
-
+      expect(store['nm.client.data']).toBe('')
       expect(
         localStorage.getItem(LOCAL_STORAGE_KEYS.NM_CLIENT_PUBLIC_KEY)
-      ).toBe(clientPub)
+      ).toBeNull()
+    })
+
+    it('should revoke one client and keep the others paired', async () => {
+      await setClientIdentityPublicKey(mockClient, 'chromePub')
+      await confirmClientPairing(mockClient, 'chromePub')
+      await setClientIdentityPublicKey(mockClient, 'firefoxPub')
+      await confirmClientPairing(mockClient, 'firefoxPub')
+
+      const result = await revokeClient(mockClient, 'chromePub')
+
+      expect(result.revoked).toBe(true)
+      expect(closeSessionsForClient).toHaveBeenCalledWith('chromePub')
+      expect(await getPairedClient(mockClient, 'chromePub')).toBeNull()
+      expect(getCachedPairedClientPublicKeys()).toEqual(['firefoxPub'])
+      expect(await getClientIdentityPublicKey(mockClient)).toBe('firefoxPub')
+    })
+
+    it('should update the scope of a client and its open sessions', async () => {
+      await setClientIdentityPublicKey(mockClient, 'chromePub')
+
+      await setClientScope(mockClient, 'chromePub', CLIENT_SCOPES.AUTOFILL)
+
+      expect((await getPairedClient(mockClient, 'chromePub')).scope).toBe(
+        CLIENT_SCOPES.AUTOFILL
+      )
+      expect(setClientScopeForSessions).toHaveBeenCalledWith(
+        'chromePub',
+        CLIENT_SCOPES.AUTOFILL
+      )
+    })
+
+    it('should keep the scope when a client pairs again', async () => {
+      await setClientIdentityPublicKey(mockClient, 'chromePub')
+      await setClientScope(mockClient, 'chromePub', CLIENT_SCOPES.SAVE_LOGINS)
+
+      await setClientIdentityPublicKey(mockClient, 'chromePub')
+
+      expect((await getPairedClient(mockClient, 'chromePub')).scope).toBe(
+        CLIENT_SCOPES.SAVE_LOGINS
+      )
+    })
+
+    it('should give full access to clients stored without a scope', async () => {
+      store['nm.clients'] = JSON.stringify([{ publicKey: 'chromePub' }])
+
+      expect((await getPairedClient(mockClient, 'chromePub')).scope).toBe(
+        CLIENT_SCOPES.FULL_ACCESS
+      )
+    })
+
+    it('should reject unknown scopes and unknown clients', async () => {
+      await expect(
+        setClientScope(mockClient, 'chromePub', 'EVERYTHING')
+      ).rejects.toThrow(SecurityErrorCodes.INVALID_CLIENT_SCOPE)
+      await expect(
+        setClientScope(mockClient, 'chromePub', CLIENT_SCOPES.AUTOFILL)
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_NOT_PAIRED)
     })
   })
 })
@@ -0,0 +1,106 @@
+// Approval prompts for sensitive Native Messaging requests
+// The secure channel waits here while the desktop app asks the user to allow
+// or deny an operation requested by a browser extension.
+
+import { generateUniqueId } from '@tetherto/pear-apps-utils-generate-unique-id'
+
+import { HANDLER_EVENTS } from '../../constants/services.js'
+
+// Unanswered prompts are denied after 1 minute
+export const APPROVAL_TIMEOUT_MS = 60 * 1000
+
+export const APPROVAL_RESULTS = {
+  APPROVED: 'APPROVED',
+  DENIED: 'DENIED',
+  TIMED_OUT: 'TIMED_OUT'
+}
+
+/**
+ * @typedef {Object} ApprovalRequest
+ * @property {string} id
+ * @property {string} method - Secure method the extension wants to run
+ * @property {string|null} clientLabel
+ * @property {string|null} clientFingerprint
+ * @property {number} expiresAt - Epoch ms after which the request is denied
+ */
+
+/** @type {Map<string, { resolve: (result: string) => void, timer: ReturnType<typeof setTimeout> }>} */
+const PENDING_APPROVALS = new Map()
+
+// Prompts are shown one at a time so each gets the full timeout
+let approvalQueue = Promise.resolve()
+
+/**
+ * @param {string} id
+ * @param {string} result - One of APPROVAL_RESULTS
+ * @returns {boolean} false when the request was already settled
+ */
+const settleApproval = (id, result) => {
+  const pending = PENDING_APPROVALS.get(id)
+  if (!pending) return false
+
+  clearTimeout(pending.timer)
+  PENDING_APPROVALS.delete(id)
+  global.window?.dispatchEvent(
+    new CustomEvent(HANDLER_EVENTS.extensionApprovalSettled, {
+      detail: { id, result }
+    })
+  )
+  pending.resolve(result)
+  return true
+}
+
+/**
+ * @param {{ method: string, clientLabel?: string|null, clientFingerprint?: string|null }} request
+ * @returns {Promise<string>}
+ */
+const promptForApproval = ({ method, clientLabel, clientFingerprint }) =>
+  new Promise((resolve) => {
+    // Without a window nobody can answer the prompt
+    if (!global.window) {
+      resolve(APPROVAL_RESULTS.DENIED)
+      return
+    }
+
+    const id = generateUniqueId()
+    const timer = setTimeout(
+      () => settleApproval(id, APPROVAL_RESULTS.TIMED_OUT),
+      APPROVAL_TIMEOUT_MS
+    )
+    PENDING_APPROVALS.set(id, { resolve, timer })
+
+    /** @type {ApprovalRequest} */
+    const detail = {
+      id,
+      method,
+      clientLabel: clientLabel || null,
+      clientFingerprint: clientFingerprint || null,
+      expiresAt: Date.now() + APPROVAL_TIMEOUT_MS
+    }
+    global.window.dispatchEvent(
+      new CustomEvent(HANDLER_EVENTS.extensionApprovalRequested, { detail })
+    )
+  })
+
+/**
+ * Ask the user to allow a sensitive request and wait for the answer.
+ * @param {{ method: string, clientLabel?: string|null, clientFingerprint?: string|null }} request
+ * @returns {Promise<string>} One of APPROVAL_RESULTS
+ */
+export const requestApproval = (request) => {
+  const run = approvalQueue.then(() => promptForApproval(request))
+  approvalQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Answer a pending approval request.
+ * @param {string} id
+ * @param {boolean} approved
+ * @returns {boolean} false when the request already timed out
+ */
+export const resolveApprovalRequest = (id, approved) =>
+  settleApproval(
+    id,
+    approved ? APPROVAL_RESULTS.APPROVED : APPROVAL_RESULTS.DENIED
+  )
@@ -0,0 +1,103 @@
+import {
+  APPROVAL_RESULTS,
+  APPROVAL_TIMEOUT_MS,
+  requestApproval,
+  resolveApprovalRequest
+} from './approvalRequests'
+import { HANDLER_EVENTS } from '../../constants/services'
+
+jest.mock('@tetherto/pear-apps-utils-generate-unique-id', () => {
+  let counter = 0
+  return { generateUniqueId: () => `approval-${++counter}` }
+})
+
+describe('approvalRequests', () => {
+  let requested
+  let settled
+
+  const onRequested = (event) => requested.push(event.detail)
+  const onSettled = (event) => settled.push(event.detail)
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    requested = []
+    settled = []
+    window.addEventListener(
+      HANDLER_EVENTS.extensionApprovalRequested,
+      onRequested
+    )
+    window.addEventListener(HANDLER_EVENTS.extensionApprovalSettled, onSettled)
+  })
+
+  afterEach(() => {
+    window.removeEventListener(
+      HANDLER_EVENTS.extensionApprovalRequested,
+      onRequested
+    )
+    window.removeEventListener(
+      HANDLER_EVENTS.extensionApprovalSettled,
+      onSettled
+    )
+    jest.useRealTimers()
+  })
+
+  it('announces the request and resolves with the user answer', async () => {
+    const result = requestApproval({
+      method: 'removeVault',
+      clientLabel: 'Chrome',
+      clientFingerprint: 'abcd'
+    })
+    await Promise.resolve()
+
+    expect(requested).toEqual([
+      expect.objectContaining({
+        method: 'removeVault',
+        clientLabel: 'Chrome',
+        clientFingerprint: 'abcd'
+      })
+    ])
+
+    expect(resolveApprovalRequest(requested[0].id, true)).toBe(true)
+    await expect(result).resolves.toBe(APPROVAL_RESULTS.APPROVED)
+    expect(settled).toEqual([
+      { id: requested[0].id, result: APPROVAL_RESULTS.APPROVED }
+    ])
+  })
+
+  it('resolves as denied when the user denies', async () => {
+    const result = requestApproval({ method: 'vaultsAdd' })
+    await Promise.resolve()
+
+    resolveApprovalRequest(requested[0].id, false)
+
+    await expect(result).resolves.toBe(APPROVAL_RESULTS.DENIED)
+  })
+
+  it('times out unanswered requests', async () => {
+    const result = requestApproval({ method: 'activeVaultRemove' })
+    await Promise.resolve()
+
+    jest.advanceTimersByTime(APPROVAL_TIMEOUT_MS)
+
+    await expect(result).resolves.toBe(APPROVAL_RESULTS.TIMED_OUT)
+    expect(resolveApprovalRequest(requested[0].id, true)).toBe(false)
+  })
+
+  it('shows one request at a time', async () => {
+    const first = requestApproval({ method: 'removeVault' })
+    const second = requestApproval({ method: 'vaultsAdd' })
+    await Promise.resolve()
+
+    expect(requested).toHaveLength(1)
+
+    resolveApprovalRequest(requested[0].id, false)
+    await first
+    await Promise.resolve()
+
+    expect(requested).toHaveLength(2)
+    expect(requested[1].method).toBe('vaultsAdd')
+
+    resolveApprovalRequest(requested[1].id, true)
+    await expect(second).resolves.toBe(APPROVAL_RESULTS.APPROVED)
+  })
+})
@@ -0,0 +1,187 @@
+// Audit trail of Native Messaging IPC calls
+// Only metadata is kept (time, client fingerprint, method and outcome), never
+// request or response payloads. Entries are stored through the pearpass
+// client's encryption* APIs so the log is encrypted at rest.
+
+import { getErrorCode } from '../../utils/createErrorWithCode.js'
+import { getFingerprint, normalizeEncryptionGet } from './appIdentity.js'
+import { getSession } from './sessionStore.js'
+
+const ENC_KEY_AUDIT_LOG = 'nm.audit.log'
+
+// Oldest entries are dropped once the log grows past this size
+export const MAX_AUDIT_ENTRIES = 2000
+
+// Calls are buffered and written together to avoid a vault write per request
+const AUDIT_FLUSH_DELAY_MS = 2000
+
+export const AUDIT_OUTCOMES = {
+  SUCCESS: 'SUCCESS',
+  ERROR: 'ERROR'
+}
+
+const UNKNOWN_ERROR_CODE = 'UNKNOWN_ERROR'
+// Method names come from the extension, cap them so a bad client cannot bloat the log
+const MAX_METHOD_NAME_LENGTH = 64
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO date of the call
+ * @property {string|null} clientFingerprint - Fingerprint of the calling extension, when known
+ * @property {string} method - IPC or secure method name
+ * @property {string} outcome - One of AUDIT_OUTCOMES
+ * @property {string|null} errorCode - Error code of failed calls
+ */
+
+/** @type {AuditEntry[]} */
+let pendingEntries = []
+/** @type {ReturnType<typeof setTimeout>|null} */
+let flushTimer = null
+let auditWriteQueue = Promise.resolve()
+
+const cancelScheduledFlush = () => {
+  if (!flushTimer) return
+  clearTimeout(flushTimer)
+  flushTimer = null
+}
+
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+const withAuditLock = (fn) => {
+  const run = auditWriteQueue.then(fn, fn)
+  auditWriteQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @returns {Promise<AuditEntry[]>} entries from oldest to newest
+ */
+const readStoredEntries = async (client) => {
+  const data = normalizeEncryptionGet(
+    await client.encryptionGet(ENC_KEY_AUDIT_LOG).catch(() => null)
+  )
+  if (!data) return []
+  try {
+    const entries = JSON.parse(data)
+    return Array.isArray(entries) ? entries : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Find the extension behind an IPC call from its parameters, without
+ * keeping anything else from the payload.
+ * @param {any} params
+ * @returns {string|null} Ed25519 public key (base64)
+ */
+export const getAuditClientPublicKey = (params) => {
+  if (typeof params?.clientEd25519PublicKeyB64 === 'string') {
+    return params.clientEd25519PublicKeyB64
+  }
+  if (typeof params?.sessionId === 'string') {
+    return getSession(params.sessionId)?.clientPublicKey ?? null
+  }
+  return null
+}
+
+/**
+ * Write buffered entries to the vault.
+ * Entries are kept in memory and retried later if the write fails,
+ * e.g. while the vault is locked.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ */
+export const flushAuditLog = (client) => {
+  cancelScheduledFlush()
+  return withAuditLock(async () => {
+    if (!pendingEntries.length) return
+
+    const entries = pendingEntries
+    pendingEntries = []
+
+    try {
+      const stored = await readStoredEntries(client)
+      await client.encryptionAdd(
+        ENC_KEY_AUDIT_LOG,
+        JSON.stringify([...stored, ...entries].slice(-MAX_AUDIT_ENTRIES))
+      )
+    } catch (error) {
+      pendingEntries = [...entries, ...pendingEntries].slice(-MAX_AUDIT_ENTRIES)
+      throw error
+    }
+  })
+}
+
+/**
+ * Record one IPC call. Never throws, auditing must not break the call itself.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {{ method: string, clientPublicKey?: string|null, error?: unknown }} call
+ */
+export const recordAuditEntry = (
+  client,
+  { method, clientPublicKey, error }
+) => {
+  pendingEntries.push({
+    timestamp: new Date().toISOString(),
+    clientFingerprint: clientPublicKey ? getFingerprint(clientPublicKey) : null,
+    method: String(method).slice(0, MAX_METHOD_NAME_LENGTH),
+    outcome: error ? AUDIT_OUTCOMES.ERROR : AUDIT_OUTCOMES.SUCCESS,
+    errorCode: error ? (getErrorCode(error) ?? UNKNOWN_ERROR_CODE) : null
+  })
+  if (pendingEntries.length > MAX_AUDIT_ENTRIES) {
+    pendingEntries = pendingEntries.slice(-MAX_AUDIT_ENTRIES)
+  }
+
+  if (flushTimer) return
+  flushTimer = setTimeout(() => {
+    flushAuditLog(client).catch(() => {})
+  }, AUDIT_FLUSH_DELAY_MS)
+}
+
+/**
+ * Load the audit log, newest entries first.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @returns {Promise<AuditEntry[]>}
+ */
+export const getAuditLog = async (client) => {
+  await flushAuditLog(client).catch(() => {})
+  const stored = await withAuditLock(() => readStoredEntries(client))
+  return [...stored, ...pendingEntries].reverse()
+}
+
+/**
+ * Remove every audit entry.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ */
+export const clearAuditLog = (client) => {
+  cancelScheduledFlush()
+  return withAuditLock(async () => {
+    pendingEntries = []
+    await client.encryptionAdd(ENC_KEY_AUDIT_LOG, JSON.stringify([]))
+  })
+}
+
+/**
+ * @param {AuditEntry[]} entries
+ * @param {{ query?: string, outcome?: string|null, clientFingerprint?: string|null }} filters
+ * @returns {AuditEntry[]}
+ */
+export const filterAuditEntries = (
+  entries,
+  { query = '', outcome = null, clientFingerprint = null } = {}
+) => {
+  const normalizedQuery = query.trim().toLowerCase()
+
+  return entries.filter(
+    (entry) =>
+      (!outcome || entry.outcome === outcome) &&
+      (!clientFingerprint || entry.clientFingerprint === clientFingerprint) &&
+      (!normalizedQuery ||
+        entry.method.toLowerCase().includes(normalizedQuery) ||
+        entry.errorCode?.toLowerCase().includes(normalizedQuery))
+  )
+}
@@ -0,0 +1,180 @@
+import {
+  AUDIT_OUTCOMES,
+  MAX_AUDIT_ENTRIES,
+  clearAuditLog,
+  filterAuditEntries,
+  flushAuditLog,
+  getAuditClientPublicKey,
+  getAuditLog,
+  recordAuditEntry
+} from './auditLog'
+import { getSession } from './sessionStore'
+import { SecurityErrorCodes } from '../../constants/securityErrors'
+import { createErrorWithCode } from '../../utils/createErrorWithCode'
+
+jest.mock('./appIdentity', () => ({
+  getFingerprint: jest.fn((publicKey) => `fp-${publicKey}`),
+  normalizeEncryptionGet: jest.fn((value) => value ?? null)
+}))
+
+jest.mock('./sessionStore', () => ({
+  getSession: jest.fn()
+}))
+
+const flushPromises = () =>
+  new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve))
+
+describe('auditLog', () => {
+  let store
+  let mockClient
+
+  beforeEach(async () => {
+    jest.useFakeTimers()
+    store = {}
+    mockClient = {
+      encryptionGet: jest.fn(async (key) => store[key] ?? null),
+      encryptionAdd: jest.fn(async (key, value) => {
+        store[key] = value
+      })
+    }
+    await clearAuditLog(mockClient)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('records successful and failed calls without payloads', async () => {
+    recordAuditEntry(mockClient, {
+      method: 'nmBeginHandshake',
+      clientPublicKey: 'chromePub'
+    })
+    recordAuditEntry(mockClient, {
+      method: 'removeVault',
+      clientPublicKey: null,
+      error: new Error(
+        createErrorWithCode(SecurityErrorCodes.REQUEST_DENIED, 'User denied')
+      )
+    })
+
+    const entries = await getAuditLog(mockClient)
+
+    expect(entries).toEqual([
+      {
+        timestamp: expect.any(String),
+        clientFingerprint: null,
+        method: 'removeVault',
+        outcome: AUDIT_OUTCOMES.ERROR,
+        errorCode: SecurityErrorCodes.REQUEST_DENIED
+      },
+      {
+        timestamp: expect.any(String),
+        clientFingerprint: 'fp-chromePub',
+        method: 'nmBeginHandshake',
+        outcome: AUDIT_OUTCOMES.SUCCESS,
+        errorCode: null
+      }
+    ])
+  })
+
+  it('uses a generic code for errors without one', async () => {
+    recordAuditEntry(mockClient, {
+      method: 'vaultsList',
+      error: new Error('boom')
+    })
+
+    const [entry] = await getAuditLog(mockClient)
+
+    expect(entry.errorCode).toBe('UNKNOWN_ERROR')
+  })
+
+  it('writes buffered entries to the encrypted store after a delay', async () => {
+    recordAuditEntry(mockClient, { method: 'vaultsList' })
+    recordAuditEntry(mockClient, { method: 'activeVaultList' })
+
+    expect(mockClient.encryptionAdd).toHaveBeenCalledTimes(1)
+
+    jest.runOnlyPendingTimers()
+    await flushPromises()
+
+    expect(mockClient.encryptionAdd).toHaveBeenCalledTimes(2)
+    expect(JSON.parse(store['nm.audit.log'])).toHaveLength(2)
+  })
+
+  it('keeps entries in memory when the write fails', async () => {
+    mockClient.encryptionAdd.mockRejectedValueOnce(new Error('locked'))
+    recordAuditEntry(mockClient, { method: 'vaultsList' })
+
+    await expect(flushAuditLog(mockClient)).rejects.toThrow('locked')
+    await flushAuditLog(mockClient)
+
+    expect(JSON.parse(store['nm.audit.log'])).toEqual([
+      expect.objectContaining({ method: 'vaultsList' })
+    ])
+  })
+
+  it('drops the oldest entries past the size limit', async () => {
+    for (let i = 0; i < MAX_AUDIT_ENTRIES + 5; i++) {
+      recordAuditEntry(mockClient, { method: `method${i}` })
+    }
+
+    const entries = await getAuditLog(mockClient)
+
+    expect(entries).toHaveLength(MAX_AUDIT_ENTRIES)
+    expect(entries[entries.length - 1].method).toBe('method5')
+  })
+
+  it('clears the log', async () => {
+    recordAuditEntry(mockClient, { method: 'vaultsList' })
+    await flushAuditLog(mockClient)
+
+    await clearAuditLog(mockClient)
+
+    expect(await getAuditLog(mockClient)).toEqual([])
+  })
+
+  describe('getAuditClientPublicKey', () => {
+    it('reads the client key from handshake params or the session', () => {
+      getSession.mockReturnValue({ clientPublicKey: 'sessionPub' })
+
+      expect(
+        getAuditClientPublicKey({ clientEd25519PublicKeyB64: 'chromePub' })
+      ).toBe('chromePub')
+      expect(getAuditClientPublicKey({ sessionId: 'sid' })).toBe('sessionPub')
+      expect(getAuditClientPublicKey(undefined)).toBeNull()
+    })
+  })
+
+  describe('filterAuditEntries', () => {
+    const entries = [
+      {
+        method: 'vaultsList',
+        clientFingerprint: 'chrome',
+        outcome: AUDIT_OUTCOMES.SUCCESS,
+        errorCode: null
+      },
+      {
+        method: 'removeVault',
+        clientFingerprint: 'firefox',
+        outcome: AUDIT_OUTCOMES.ERROR,
+        errorCode: 'REQUEST_DENIED'
+      }
+    ]
+
+    it('filters by method, error code, outcome and client', () => {
+      expect(filterAuditEntries(entries, { query: 'VAULTSL' })).toEqual([
+        entries[0]
+      ])
+      expect(filterAuditEntries(entries, { query: 'denied' })).toEqual([
+        entries[1]
+      ])
+      expect(
+        filterAuditEntries(entries, { outcome: AUDIT_OUTCOMES.ERROR })
+      ).toEqual([entries[1]])
+      expect(
+        filterAuditEntries(entries, { clientFingerprint: 'chrome' })
+      ).toEqual([entries[0]])
+      expect(filterAuditEntries(entries)).toEqual(entries)
+    })
+  })
+})
@@ -3,5 +3,16 @@
  * These prevent cross-protocol signature replay attacks
  */
 export const PROTOCOL_TAGS = {
-  CLIENT_FINISH: 'pearpass/handshake/v1/clientFinish'
+  CLIENT_FINISH: 'pearpass/handshake/v1/clientFinish',
+  CLIENT_REKEY: 'pearpass/handshake/v1/clientRekey',
+  HOST_REKEY: 'pearpass/handshake/v1/hostRekey'
+}
+
+/**
+ * Capabilities a client lists in nmBeginHandshake. Clients that do not list
+ * REKEY predate nmRekeySession and start a new handshake once their session
+ * key is used up.
+ */
+export const CLIENT_CAPABILITIES = {
+  REKEY: 'rekey'
 }
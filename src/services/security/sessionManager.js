@@ -4,19 +4,36 @@
 import sodium from 'sodium-native'
 
 import {
+  ENC_KEY_ED25519,
+  getIdentitySigningKey,
   getOrCreateIdentity,
-  __getMemIdentity,
-  getClientIdentityPublicKey
+  __getMemIdentity
 } from './appIdentity.js'
+import { PROTOCOL_TAGS } from './protocolConstants.js'
 import {
   randomBytes,
   concatBytes,
   createSession,
-  getSession
+  getSession,
+  closeSession,
+  rotateSessionKey
 } from './sessionStore.js'
 import { SecurityErrorCodes } from '../../constants/securityErrors.js'
 import { createErrorWithCode } from '../../utils/createErrorWithCode.js'
 
+// A session key is retired after this many messages or this long in use,
+// whichever comes first. The extension re-keys with rekeySession.
+export const REKEY_AFTER_MESSAGES = 1000
+export const REKEY_AFTER_MS = 15 * 60 * 1000
+
+/**
+ * @param {import('./sessionStore.js').Session} session
+ * @returns {boolean}
+ */
+export const isRekeyRequired = (session) =>
+  session.messagesSinceRekey >= REKEY_AFTER_MESSAGES ||
+  Date.now() - session.keyCreatedAt >= REKEY_AFTER_MS
+
 /**
  * Encrypt payload with session key using secretbox (XSalsa20-Poly1305)
  * @param {string} sessionId
@@ -37,6 +54,7 @@ export const encryptWithSession = (sessionId, plaintext) => {
     plaintext.length + sodium.crypto_secretbox_MACBYTES
   )
   sodium.crypto_secretbox_easy(ciphertext, plaintext, nonce, session.key)
+  session.messagesSinceRekey += 1
   const seq = ++session.sendSeq
   return {
     nonceB64: Buffer.from(nonce).toString('base64'),
@@ -79,6 +97,7 @@ export const decryptWithSession = (sessionId, nonce, ciphertext) => {
       )
     )
   }
+  session.messagesSinceRekey += 1
   return plaintext
 }
 
@@ -87,17 +106,18 @@ export const decryptWithSession = (sessionId, nonce, ciphertext) => {
  * return host ephemeral public key and signature over transcript.
  * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
  * @param {string} extensionEphemeralPublicKeyB64
+ * @param {string} clientPubB64 - Pinned Ed25519 key (base64) of the paired client performing the handshake
  * @returns {{ hostEphemeralPubB64: string, signatureB64: string, sessionId: string }}
  */
 export const beginHandshake = async (
   client,
-  extensionEphemeralPublicKeyB64
+  extensionEphemeralPublicKeyB64,
+  clientPubB64
 ) => {
   // Load or create identity, then load private parts from encryption store (or memory)
   await getOrCreateIdentity(client)
 
-  // Load pinned client public key (required for transcript binding)
-  const clientPubB64 = await getClientIdentityPublicKey(client)
+  // Pinned client public key is required for transcript binding
   if (!clientPubB64) {
     throw new Error(
       createErrorWithCode(
@@ -112,7 +132,7 @@ export const beginHandshake = async (
 
   // Support both direct string and { data } shapes from encryptionGet
   const edResponse = await client
-    .encryptionGet('nm.identity.ed25519')
+    .encryptionGet(ENC_KEY_ED25519)
     .catch(() => null)
   const xResponse = await client
     .encryptionGet('nm.identity.x25519')
@@ -128,7 +148,7 @@ export const beginHandshake = async (
         return finalizeHandshakeWithMemoryIdentity(
           mem,
           extensionEphemeralPublicKeyB64,
-          clientPublicKeyBytes
+          clientPubB64
         )
       }
     } catch {}
@@ -181,7 +201,7 @@ export const beginHandshake = async (
   sodium.crypto_sign_detached(signature, transcript, ed25519PrivateKeyBytes)
 
   // Create session
-  const { sessionId } = createSession(sharedSecret, transcript)
+  const { sessionId } = createSession(sharedSecret, transcript, clientPubB64)
 
   return {
     hostEphemeralPubB64: Buffer.from(hostEphemeralPublicKey).toString('base64'),
@@ -194,13 +214,16 @@ export const beginHandshake = async (
  * Fallback: finalize handshake using in-memory identity keys
  * @param {{ ed25519PublicKeyBytes: Uint8Array, ed25519PrivateKeyBytes: Uint8Array, x25519PublicKeyBytes: Uint8Array, x25519PrivateKeyBytes: Uint8Array } | { edPk: Uint8Array, edSk: Uint8Array, xPk: Uint8Array, xSk: Uint8Array }} mem
  * @param {string} extensionEphemeralPublicKeyB64
- * @param {Uint8Array} clientPublicKeyBytes - The pinned client Ed25519 public key
+ * @param {string} clientPubB64 - The pinned client Ed25519 public key (base64)
  */
 function finalizeHandshakeWithMemoryIdentity(
   mem,
   extensionEphemeralPublicKeyB64,
-  clientPublicKeyBytes
+  clientPubB64
 ) {
+  const clientPublicKeyBytes = new Uint8Array(
+    Buffer.from(clientPubB64, 'base64')
+  )
   const hostEphemeralPrivateKey = new Uint8Array(
     sodium.crypto_box_SECRETKEYBYTES
   )
@@ -233,7 +256,7 @@ function finalizeHandshakeWithMemoryIdentity(
   sodium.crypto_sign_detached(signature, transcript, privateKey)
 
   // Create session
-  const { sessionId } = createSession(sharedSecret, transcript)
+  const { sessionId } = createSession(sharedSecret, transcript, clientPubB64)
 
   return {
     hostEphemeralPubB64: Buffer.from(hostEphemeralPublicKey).toString('base64'),
@@ -273,3 +296,131 @@ export const recordIncomingSeq = (sessionId, seq) => {
     )
   session.lastRecvSeq = seq
 }
+
+/**
+ * Re-key handshake sub-step for a verified session.
+ * The client signs tag || session_id || current_transcript || new_ext_eph_pk
+ * with its paired identity key. The new transcript is
+ * SHA-256(current_transcript) || new_host_eph_pk || new_ext_eph_pk, so every
+ * key stays bound to the original handshake, and the host signs
+ * tag || session_id || new_transcript.
+ * @param {import('@tetherto/pearpass-lib-vault-core').PearpassVaultClient} client
+ * @param {string} sessionId
+ * @param {string} extensionEphemeralPublicKeyB64 - Fresh ephemeral X25519 key of the extension
+ * @param {string} clientSigB64 - Client Ed25519 signature over the re-key request
+ * @returns {Promise<{ hostEphemeralPubB64: string, signatureB64: string }>}
+ */
+export const rekeySession = async (
+  client,
+  sessionId,
+  extensionEphemeralPublicKeyB64,
+  clientSigB64
+) => {
+  const session = getSession(sessionId)
+  if (!session) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.SESSION_NOT_FOUND,
+        'Session not found or expired'
+      )
+    )
+  }
+  if (!session.clientVerified) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.CLIENT_NOT_VERIFIED,
+        'Client signature has not been verified'
+      )
+    )
+  }
+
+  const extensionEphemeralPublicKey = new Uint8Array(
+    Buffer.from(extensionEphemeralPublicKeyB64, 'base64')
+  )
+  if (extensionEphemeralPublicKey.length !== sodium.crypto_box_PUBLICKEYBYTES) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.INVALID_EPHEMERAL_PUBLIC_KEY,
+        'Invalid ephemeral public key length'
+      )
+    )
+  }
+  const sigBytes = new Uint8Array(Buffer.from(clientSigB64, 'base64'))
+  if (sigBytes.length !== sodium.crypto_sign_BYTES) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.INVALID_CLIENT_SIGNATURE,
+        'Invalid signature length'
+      )
+    )
+  }
+
+  const sessionIdBytes = Buffer.from(String(sessionId), 'utf8')
+  const clientMessage = concatBytes(
+    concatBytes(
+      Buffer.from(PROTOCOL_TAGS.CLIENT_REKEY, 'utf8'),
+      sessionIdBytes
+    ),
+    concatBytes(session.transcript, extensionEphemeralPublicKey)
+  )
+  const clientPubBytes = new Uint8Array(
+    Buffer.from(session.clientPublicKey || '', 'base64')
+  )
+  const ok =
+    clientPubBytes.length === sodium.crypto_sign_PUBLICKEYBYTES &&
+    sodium.crypto_sign_verify_detached(sigBytes, clientMessage, clientPubBytes)
+  if (!ok) {
+    // A forged re-key request ends the session
+    closeSession(sessionId)
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.CLIENT_SIGNATURE_INVALID,
+        'Client signature verification failed'
+      )
+    )
+  }
+
+  const hostEphemeralPrivateKey = new Uint8Array(
+    sodium.crypto_box_SECRETKEYBYTES
+  )
+  const hostEphemeralPublicKey = new Uint8Array(
+    sodium.crypto_box_PUBLICKEYBYTES
+  )
+  sodium.crypto_box_keypair(hostEphemeralPublicKey, hostEphemeralPrivateKey)
+
+  const sharedSecret = new Uint8Array(32)
+  sodium.crypto_scalarmult(
+    sharedSecret,
+    hostEphemeralPrivateKey,
+    extensionEphemeralPublicKey
+  )
+
+  const previousTranscriptHash = new Uint8Array(32)
+  sodium.crypto_hash_sha256(previousTranscriptHash, session.transcript)
+  const transcript = concatBytes(
+    concatBytes(previousTranscriptHash, hostEphemeralPublicKey),
+    extensionEphemeralPublicKey
+  )
+
+  const signingKey = await getIdentitySigningKey(client)
+  const hostMessage = concatBytes(
+    concatBytes(Buffer.from(PROTOCOL_TAGS.HOST_REKEY, 'utf8'), sessionIdBytes),
+    transcript
+  )
+  const signature = new Uint8Array(sodium.crypto_sign_BYTES)
+  sodium.crypto_sign_detached(signature, hostMessage, signingKey)
+
+  if (!rotateSessionKey(sessionId, sharedSecret, transcript)) {
+    throw new Error(
+      createErrorWithCode(
+        SecurityErrorCodes.SESSION_NOT_FOUND,
+        'Session not found or expired'
+      )
+    )
+  }
+
+  return {
+    hostEphemeralPubB64: Buffer.from(hostEphemeralPublicKey).toString('base64'),
+    signatureB64: Buffer.from(signature).toString('base64')
+  }
+}
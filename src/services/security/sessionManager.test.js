@@ -4,9 +4,18 @@ import {
   beginHandshake,
   recordIncomingSeq,
   encryptWithSession,
-  decryptWithSession
+  decryptWithSession,
+  isRekeyRequired,
+  rekeySession,
+  REKEY_AFTER_MESSAGES,
+  REKEY_AFTER_MS
 } from './sessionManager'
-import { getSession, closeSession } from './sessionStore'
+import {
+  getSession,
+  closeSession,
+  closeSessionsForClient,
+  setClientScopeForSessions
+} from './sessionStore'
 import { SecurityErrorCodes } from '../../constants/securityErrors'
 
 // Mock dependencies
@@ -44,6 +53,7 @@ jest.mock('sodium-native', () => ({
     // Mock signature
     sig.fill(99)
   }),
+  crypto_sign_verify_detached: jest.fn(() => true),
   // eslint-disable-next-line no-unused-vars
   crypto_secretbox_easy: jest.fn((cipher, msg, _nonce, _key) => {
     // Mock encryption - just copy with a tag
@@ -69,6 +79,10 @@ jest.mock('sodium-native', () => ({
 }))
 
 jest.mock('./appIdentity', () => ({
+  ENC_KEY_ED25519: 'nm.identity.ed25519',
+  getIdentitySigningKey: jest
+    .fn()
+    .mockResolvedValue(new Uint8Array(64).fill(11)),
   getOrCreateIdentity: jest.fn().mockResolvedValue({
     ed25519PublicKey: 'mock-ed25519-public',
     x25519PublicKey: 'mock-x25519-public'
@@ -78,12 +92,11 @@ jest.mock('./appIdentity', () => ({
     ed25519PrivateKeyBytes: new Uint8Array(64).fill(11),
     x25519PublicKeyBytes: new Uint8Array(32).fill(12),
     x25519PrivateKeyBytes: new Uint8Array(32).fill(13)
-  })),
-  getClientIdentityPublicKey: jest
-    .fn()
-    .mockResolvedValue(Buffer.alloc(32, 99).toString('base64'))
+  }))
 }))
 
+const clientPubB64 = Buffer.alloc(32, 99).toString('base64')
+
 describe('sessionManager', () => {
   let mockClient
 
@@ -114,7 +127,11 @@ describe('sessionManager', () => {
         .mockResolvedValueOnce(ed25519Mock)
         .mockResolvedValueOnce(x25519Mock)
 
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
 
       expect(result).toHaveProperty('sessionId')
       expect(result).toHaveProperty('hostEphemeralPubB64')
@@ -143,7 +160,11 @@ describe('sessionManager', () => {
         .mockResolvedValueOnce(ed25519Mock)
         .mockResolvedValueOnce(x25519Mock)
 
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
       const session = getSession(result.sessionId)
 
       expect(session).toBeDefined()
@@ -157,7 +178,11 @@ describe('sessionManager', () => {
 
       mockClient.encryptionGet.mockResolvedValue(null)
 
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
 
       expect(result).toHaveProperty('sessionId')
       expect(result).toHaveProperty('hostEphemeralPubB64')
@@ -172,12 +197,38 @@ describe('sessionManager', () => {
 
       mockClient.encryptionGet.mockResolvedValue(null)
 
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
       const session = getSession(result.sessionId)
 
       expect(session.sendSeq).toBe(0)
       expect(session.lastRecvSeq).toBe(0)
     })
+
+    it('should bind the session to the handshaking client', async () => {
+      const extEphemeralPubB64 = Buffer.alloc(32, 55).toString('base64')
+
+      mockClient.encryptionGet.mockResolvedValue(null)
+
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
+
+      expect(getSession(result.sessionId).clientPublicKey).toBe(clientPubB64)
+    })
+
+    it('should throw when no client public key is provided', async () => {
+      const extEphemeralPubB64 = Buffer.alloc(32, 56).toString('base64')
+
+      await expect(
+        beginHandshake(mockClient, extEphemeralPubB64, null)
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_NOT_PAIRED)
+    })
   })
 
   describe('session management', () => {
@@ -186,7 +237,11 @@ describe('sessionManager', () => {
     beforeEach(async () => {
       const extEphemeralPubB64 = Buffer.alloc(32, 60).toString('base64')
       mockClient.encryptionGet.mockResolvedValue(null)
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
       sessionId = result.sessionId
     })
 
@@ -214,6 +269,24 @@ describe('sessionManager', () => {
     it('should handle closing non-existent session', () => {
       expect(() => closeSession('invalid-session-id')).not.toThrow()
     })
+
+    it('should close only the sessions of the given client', () => {
+      expect(closeSessionsForClient('other-client')).toBe(0)
+      expect(getSession(sessionId)).toBeDefined()
+
+      expect(closeSessionsForClient(clientPubB64)).toBeGreaterThan(0)
+      expect(getSession(sessionId)).toBeNull()
+    })
+
+    it('should update the scope of the given client sessions', () => {
+      expect(setClientScopeForSessions('other-client', 'AUTOFILL')).toBe(0)
+      expect(getSession(sessionId).clientScope).toBeUndefined()
+
+      expect(
+        setClientScopeForSessions(clientPubB64, 'AUTOFILL')
+      ).toBeGreaterThan(0)
+      expect(getSession(sessionId).clientScope).toBe('AUTOFILL')
+    })
   })
 
   describe('replay protection', () => {
@@ -222,7 +295,11 @@ describe('sessionManager', () => {
     beforeEach(async () => {
       const extEphemeralPubB64 = Buffer.alloc(32, 70).toString('base64')
       mockClient.encryptionGet.mockResolvedValue(null)
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
       sessionId = result.sessionId
     })
 
@@ -268,7 +345,11 @@ describe('sessionManager', () => {
     beforeEach(async () => {
       const extEphemeralPubB64 = Buffer.alloc(32, 80).toString('base64')
       mockClient.encryptionGet.mockResolvedValue(null)
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
       sessionId = result.sessionId
     })
 
@@ -334,11 +415,125 @@ describe('sessionManager', () => {
     })
   })
 
+  describe('rekeySession', () => {
+    let sessionId
+    const rekeyEphemeralPubB64 = Buffer.alloc(32, 70).toString('base64')
+    const clientSigB64 = Buffer.alloc(64, 71).toString('base64')
+
+    beforeEach(async () => {
+      mockClient.encryptionGet.mockResolvedValue(null)
+      const result = await beginHandshake(
+        mockClient,
+        Buffer.alloc(32, 65).toString('base64'),
+        clientPubB64
+      )
+      sessionId = result.sessionId
+      getSession(sessionId).clientVerified = true
+    })
+
+    it('should replace the session key and chain the transcript', async () => {
+      const session = getSession(sessionId)
+      const previousKey = session.key
+      const previousTranscript = session.transcript
+      session.messagesSinceRekey = 5
+      session.sendSeq = 7
+
+      const result = await rekeySession(
+        mockClient,
+        sessionId,
+        rekeyEphemeralPubB64,
+        clientSigB64
+      )
+
+      expect(result).toHaveProperty('hostEphemeralPubB64')
+      expect(result).toHaveProperty('signatureB64')
+      expect(session.key).not.toBe(previousKey)
+      expect(session.transcript).not.toBe(previousTranscript)
+      expect(session.transcript.length).toBe(96)
+      expect(session.messagesSinceRekey).toBe(0)
+      expect(session.sendSeq).toBe(7)
+      expect(sodium.crypto_hash_sha256).toHaveBeenCalledWith(
+        expect.any(Uint8Array),
+        previousTranscript
+      )
+    })
+
+    it('should verify the client signature with the pinned client key', async () => {
+      await rekeySession(
+        mockClient,
+        sessionId,
+        rekeyEphemeralPubB64,
+        clientSigB64
+      )
+
+      const [, message, publicKey] =
+        sodium.crypto_sign_verify_detached.mock.calls[0]
+      expect(Buffer.from(message).toString('utf8')).toContain(
+        'pearpass/handshake/v1/clientRekey'
+      )
+      expect(Buffer.from(publicKey).toString('base64')).toBe(clientPubB64)
+    })
+
+    it('should close the session when the client signature is invalid', async () => {
+      sodium.crypto_sign_verify_detached.mockReturnValueOnce(false)
+
+      await expect(
+        rekeySession(mockClient, sessionId, rekeyEphemeralPubB64, clientSigB64)
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_SIGNATURE_INVALID)
+      expect(getSession(sessionId)).toBeNull()
+    })
+
+    it('should reject sessions that were never verified', async () => {
+      getSession(sessionId).clientVerified = false
+
+      await expect(
+        rekeySession(mockClient, sessionId, rekeyEphemeralPubB64, clientSigB64)
+      ).rejects.toThrow(SecurityErrorCodes.CLIENT_NOT_VERIFIED)
+    })
+
+    it('should reject ephemeral keys of the wrong length', async () => {
+      await expect(
+        rekeySession(
+          mockClient,
+          sessionId,
+          Buffer.alloc(16, 1).toString('base64'),
+          clientSigB64
+        )
+      ).rejects.toThrow(SecurityErrorCodes.INVALID_EPHEMERAL_PUBLIC_KEY)
+    })
+
+    it('should throw for unknown sessions', async () => {
+      await expect(
+        rekeySession(mockClient, 'missing', rekeyEphemeralPubB64, clientSigB64)
+      ).rejects.toThrow(SecurityErrorCodes.SESSION_NOT_FOUND)
+    })
+
+    it('should require a re-key after too many messages or too much time', () => {
+      const session = getSession(sessionId)
+      expect(isRekeyRequired(session)).toBe(false)
+
+      encryptWithSession(sessionId, new Uint8Array(4))
+      decryptWithSession(sessionId, new Uint8Array(24), new Uint8Array(32))
+      expect(session.messagesSinceRekey).toBe(2)
+
+      session.messagesSinceRekey = REKEY_AFTER_MESSAGES
+      expect(isRekeyRequired(session)).toBe(true)
+
+      session.messagesSinceRekey = 0
+      session.keyCreatedAt = Date.now() - REKEY_AFTER_MS
+      expect(isRekeyRequired(session)).toBe(true)
+    })
+  })
+
   describe('edge cases', () => {
     it('should handle empty plaintext encryption', async () => {
       const extEphemeralPubB64 = Buffer.alloc(32, 90).toString('base64')
       mockClient.encryptionGet.mockResolvedValue(null)
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
 
       const plaintext = new Uint8Array(0)
       const encrypted = encryptWithSession(result.sessionId, plaintext)
@@ -351,7 +546,11 @@ describe('sessionManager', () => {
     it('should handle large plaintext encryption', async () => {
       const extEphemeralPubB64 = Buffer.alloc(32, 100).toString('base64')
       mockClient.encryptionGet.mockResolvedValue(null)
-      const result = await beginHandshake(mockClient, extEphemeralPubB64)
+      const result = await beginHandshake(
+        mockClient,
+        extEphemeralPubB64,
+        clientPubB64
+      )
 
       const plaintext = new Uint8Array(10000).fill(42)
       const encrypted = encryptWithSession(result.sessionId, plaintext)
@@ -4,12 +4,11 @@
 
 import sodium from 'sodium-native'
 
-/** @typedef {{ key: Uint8Array, sendSeq: number, lastRecvSeq: number, transcript: Uint8Array, clientVerified: boolean, createdAt: number }} Session */
+import { getSessionTtlMs } from '../nativeMessagingPreferences.js'
 
-const SESSIONS = new Map()
+/** @typedef {{ key: Uint8Array, sendSeq: number, lastRecvSeq: number, transcript: Uint8Array, clientVerified: boolean, clientPublicKey: string|null, clientScope?: string, createdAt: number, keyCreatedAt: number, messagesSinceRekey: number, supportsRekey: boolean }} Session */
 
-// Session TTL: 1 hour in milliseconds
-const SESSION_TTL_MS = 60 * 60 * 1000
+const SESSIONS = new Map()
 
 /**
  * @param {number} size
@@ -46,23 +45,52 @@ export const deriveSessionKey = (sharedSecret, transcript) => {
  * Create a new session from shared secret and transcript.
  * @param {Uint8Array} sharedSecret
  * @param {Uint8Array} transcript
+ * @param {string|null} [clientPublicKey] - Ed25519 key (base64) of the paired client bound in the transcript
  * @returns {{ sessionId: string, key: Uint8Array }}
  */
-export const createSession = (sharedSecret, transcript) => {
+export const createSession = (
+  sharedSecret,
+  transcript,
+  clientPublicKey = null
+) => {
   const key = deriveSessionKey(sharedSecret, transcript)
   const sessionIdBytes = randomBytes(16)
   const sessionId = Buffer.from(sessionIdBytes).toString('hex')
+  const createdAt = Date.now()
   SESSIONS.set(sessionId, {
     key,
     sendSeq: 0,
     lastRecvSeq: 0,
     transcript,
     clientVerified: false,
-    createdAt: Date.now()
+    clientPublicKey,
+    createdAt,
+    keyCreatedAt: createdAt,
+    messagesSinceRekey: 0,
+    supportsRekey: false
   })
   return { sessionId, key }
 }
 
+/**
+ * Replace the key of an open session. Sequence numbers carry on so messages
+ * sent under the old key cannot be replayed under the new one.
+ * @param {string} sessionId
+ * @param {Uint8Array} sharedSecret
+ * @param {Uint8Array} transcript - Re-key transcript, chained to the previous one
+ * @returns {Uint8Array|null} the new session key, null when the session is gone
+ */
+export const rotateSessionKey = (sessionId, sharedSecret, transcript) => {
+  const session = SESSIONS.get(sessionId)
+  if (!session) return null
+
+  session.key = deriveSessionKey(sharedSecret, transcript)
+  session.transcript = transcript
+  session.keyCreatedAt = Date.now()
+  session.messagesSinceRekey = 0
+  return session.key
+}
+
 /**
  * @param {string} sessionId
  * @returns {Session | null}
@@ -78,8 +106,8 @@ export const getSession = (sessionId) => {
     return null
   }
 
-  // Check if session has expired
-  if (Date.now() - session.createdAt >= SESSION_TTL_MS) {
+  // Check if session has expired, the lifetime is set in App Preferences
+  if (Date.now() - session.createdAt >= getSessionTtlMs()) {
     SESSIONS.delete(sessionId)
     return null
   }
@@ -94,6 +122,39 @@ export const closeSession = (sessionId) => {
   SESSIONS.delete(sessionId)
 }
 
+/**
+ * Close every session that belongs to the given client
+ * @param {string} clientPublicKey
+ * @returns {number} number of closed sessions
+ */
+export const closeSessionsForClient = (clientPublicKey) => {
+  let count = 0
+  for (const [sessionId, session] of SESSIONS) {
+    if (session.clientPublicKey === clientPublicKey) {
+      SESSIONS.delete(sessionId)
+      count++
+    }
+  }
+  return count
+}
+
+/**
+ * Apply a new permission scope to every open session of the given client
+ * @param {string} clientPublicKey
+ * @param {string} scope
+ * @returns {number} number of updated sessions
+ */
+export const setClientScopeForSessions = (clientPublicKey, scope) => {
+  let count = 0
+  for (const session of SESSIONS.values()) {
+    if (session.clientPublicKey === clientPublicKey) {
+      session.clientScope = scope
+      count++
+    }
+  }
+  return count
+}
+
 /**
  * Clear all active sessions
  * This will unpair all connected extensions
@@ -1,6 +1,136 @@
 export {}
 
 declare global {
+  interface SshAgentStatus {
+    enabled: boolean
+    confirmEachUse: boolean
+    running: boolean
+    socketPath: string
+  }
+
+  interface SshAgentApprovalRequest {
+    id: string
+    title: string
+    fingerprint: string
+    purpose:
+      | { kind: 'userauth'; username: string }
+      | { kind: 'sshsig'; namespace: string }
+      | { kind: 'unknown' }
+    expiresAt: number
+  }
+
+  interface SecretServiceStatus {
+    /** Only Linux desktops have org.freedesktop.secrets */
+    supported: boolean
+    enabled: boolean
+    running: boolean
+    error: string | null
+  }
+
+  interface BreachDatabaseInfo {
+    /** A sorted hash list, or a Bloom filter that has some false positives */
+    type: 'hashes' | 'bloom'
+    entryCount: number
+    sourceName: string
+    importedAt: number
+    sizeBytes: number
+  }
+
+  interface BreachCheckStatus {
+    database: BreachDatabaseInfo | null
+  }
+
+  interface BreachDatabaseImportResult extends BreachCheckStatus {
+    canceled: boolean
+    error?: string
+  }
+
+  interface BreachScanResult {
+    checkedAt: number
+    checkedCount: number
+    breachedRecordIds: string[]
+  }
+
+  interface RecordVersion {
+    id: string
+    recordId: string
+    action: 'create' | 'update' | 'delete'
+    createdAt: number
+    deviceId: string | null
+    deviceName: string | null
+    /** The record after the change, or as it was before a delete */
+    record: {
+      id: string
+      type?: string
+      folder?: string | null
+      isFavorite?: boolean
+      data?: Record<string, unknown>
+      [key: string]: unknown
+    }
+  }
+
+  interface TrashEntry {
+    /** Id of the deleted record */
+    id: string
+    /** The record as it was before the delete, folders have no type */
+    record: RecordVersion['record']
+    deletedAt: number
+    deviceId: string | null
+    deviceName: string | null
+  }
+
+  interface TrashContents {
+    retentionDays: number
+    /** Most recently deleted first */
+    entries: TrashEntry[]
+  }
+
+  type BackupFrequency = 'off' | 'daily' | 'weekly' | 'change'
+
+  interface BackupInfo {
+    fileName: string
+    createdAt: number
+    /** A vault carried over from an earlier backup has an older backedUpAt */
+    vaults: { id: string; name: string; backedUpAt: number }[]
+  }
+
+  interface BackupStatus {
+    frequency: BackupFrequency
+    directory: string | null
+    retentionCount: number
+    hasPassword: boolean
+    isRunning: boolean
+    lastBackupAt: number | null
+    /** Why the last backup failed, null once one succeeds */
+    lastError: string | null
+    /** Only for daily and weekly backups */
+    nextBackupAt: number | null
+    /** Newest first */
+    backups: BackupInfo[]
+  }
+
+  interface BackupRestoreResult {
+    /** The vault's export as it was before encryptExportData */
+    data?: unknown
+    error?: string
+    /** BACKUP_NOT_CONFIGURED without a password, BACKUP_WRONG_PASSWORD when it does not match */
+    code?: string
+  }
+
+  interface BackupSnapshotRequest {
+    id: string
+    password: string
+    /** Only the active vault is exported when false */
+    allVaults: boolean
+  }
+
+  interface BackupSnapshotResult {
+    vaults?: { id: string; name: string; data: unknown }[]
+    /** Every vault there is, so vaults that were deleted are left out */
+    vaultIds?: string[]
+    error?: string
+  }
+
   interface Window {
     electronAPI?: {
       getConfig: () => Promise<{
@@ -28,6 +158,64 @@ declare global {
       setLogging: (
         enabled: boolean
       ) => Promise<{ enabled: boolean; forced: boolean }>
+      getSshAgentStatus: () => Promise<SshAgentStatus>
+      setSshAgentPreferences: (preferences: {
+        enabled?: boolean
+        confirmEachUse?: boolean
+      }) => Promise<SshAgentStatus>
+      onSshAgentApprovalRequest: (
+        cb: (request: SshAgentApprovalRequest) => void
+      ) => () => void
+      respondSshAgentApproval: (id: string, approved: boolean) => Promise<void>
+      getSecretServiceStatus: () => Promise<SecretServiceStatus>
+      setSecretServicePreferences: (preferences: {
+        enabled?: boolean
+      }) => Promise<SecretServiceStatus>
+      getBreachCheckStatus: () => Promise<BreachCheckStatus>
+      importBreachDatabase: () => Promise<BreachDatabaseImportResult>
+      onBreachDatabaseImportProgress: (
+        cb: (progress: { bytesRead: number; totalBytes: number }) => void
+      ) => () => void
+      removeBreachDatabase: () => Promise<BreachCheckStatus>
+      /** null while locked or when no database has been imported */
+      scanBreachedRecords: () => Promise<BreachScanResult | null>
+      /** Newest first, empty while locked */
+      listRecordVersions: (recordId: string) => Promise<RecordVersion[]>
+      /** Device stamped on the record versions this app makes */
+      setRecordVersionDevice: (device: {
+        deviceId: string | null
+        deviceName: string | null
+      }) => Promise<void>
+      /** Rejects while locked */
+      getTrash: () => Promise<TrashContents>
+      /** Records come back with their folder, folders with their records */
+      restoreFromTrash: (ids: string[]) => Promise<string[]>
+      deleteFromTrash: (ids: string[]) => Promise<void>
+      emptyTrash: () => Promise<void>
+      /** @returns the retention in effect */
+      setTrashRetention: (days: number) => Promise<number>
+      getBackupStatus: () => Promise<BackupStatus>
+      chooseBackupDirectory: () => Promise<BackupStatus>
+      /** Rejects when there is no keychain to keep the password in */
+      setBackupPreferences: (preferences: {
+        frequency?: BackupFrequency
+        retentionCount?: number
+        password?: string
+      }) => Promise<BackupStatus>
+      /** Resolves once the backup is written or has failed */
+      runBackupNow: () => Promise<BackupStatus>
+      /** Decrypts a vault of a backup with the stored backup password */
+      restoreBackup: (
+        fileName: string,
+        vaultId: string
+      ) => Promise<BackupRestoreResult>
+      onBackupSnapshotRequest: (
+        cb: (request: BackupSnapshotRequest) => void
+      ) => () => void
+      respondBackupSnapshot: (
+        id: string,
+        result: BackupSnapshotResult
+      ) => Promise<void>
     }
   }
 }
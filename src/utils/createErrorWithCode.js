@@ -7,3 +7,14 @@
 export function createErrorWithCode(code, message) {
   return `${code}: ${message}`
 }
+
+/**
+ * Reads the code prefix back from an error built with createErrorWithCode
+ * @param {unknown} error - Error or message
+ * @returns {string|null} Error code, or null when the message has no code prefix
+ */
+export function getErrorCode(error) {
+  const message = error instanceof Error ? error.message : String(error)
+  const match = /^([A-Z][A-Z0-9_]+):/.exec(message)
+  return match ? match[1] : null
+}
@@ -1,4 +1,4 @@
-import { createErrorWithCode } from './createErrorWithCode'
+import { createErrorWithCode, getErrorCode } from './createErrorWithCode'
 
 describe('createErrorWithCode', () => {
   it('creates error message with code prefix', () => {
@@ -16,3 +16,14 @@ describe('createErrorWithCode', () => {
     expect(result).toBe('ErrorCode: Error: $pecial ch@rs!')
   })
 })
+
+describe('getErrorCode', () => {
+  it('reads the code prefix of an error', () => {
+    const error = new Error(createErrorWithCode('DECRYPT_FAILED', 'Bad tag'))
+    expect(getErrorCode(error)).toBe('DECRYPT_FAILED')
+  })
+
+  it('returns null for messages without a code', () => {
+    expect(getErrorCode(new Error('Something went wrong'))).toBeNull()
+  })
+})
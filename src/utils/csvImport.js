@@ -0,0 +1,198 @@
+import { LOCAL_STORAGE_KEYS } from '../constants/localStorage'
+import { normalizeTags } from './recordTags'
+
+/**
+ * Turns rows of any CSV file into records through a column-to-field
+ * mapping the user picks for the target record type. Columns mapped to
+ * nothing become custom fields, so no value of the file is lost.
+ */
+
+/** Mapping value for a column that should not be imported at all */
+export const CSV_IGNORE_COLUMN = 'ignore'
+
+/** Mapping value for a column that becomes a custom field */
+export const CSV_CUSTOM_FIELD = ''
+
+/** Fields every record type can take besides its own */
+const COMMON_FIELDS = ['title', 'note', 'folder', 'tags']
+
+/** Fields a column can be mapped to, by record type */
+export const CSV_RECORD_FIELDS = Object.freeze({
+  login: ['username', 'email', 'password', 'website', 'otp'],
+  creditCard: ['name', 'number', 'expireDate', 'securityCode', 'pinCode'],
+  identity: [
+    'fullName',
+    'email',
+    'phoneNumber',
+    'address',
+    'zip',
+    'city',
+    'region',
+    'country'
+  ],
+  wifiPassword: ['password'],
+  note: []
+})
+
+/** @param {string} type */
+export const getCsvTargetFields = (type) => [
+  'title',
+  ...(CSV_RECORD_FIELDS[type] ?? []),
+  ...COMMON_FIELDS.slice(1)
+]
+
+/** Header names other tools use for each field, compared without case and punctuation */
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'item', 'itemname', 'entry', 'account', 'service'],
+  username: ['username', 'user', 'login', 'loginname', 'loginusername'],
+  email: ['email', 'emailaddress', 'mail'],
+  password: ['password', 'pass', 'passwd', 'loginpassword', 'key'],
+  website: ['url', 'loginurl', 'website', 'site', 'loginuri', 'uri', 'address'],
+  otp: ['otp', 'totp', 'logintotp', 'otpauth', 'onetimecode', 'twofactor'],
+  note: ['note', 'notes', 'comment', 'comments', 'extra', 'description'],
+  folder: ['folder', 'group', 'grouping', 'category', 'path'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  name: ['cardholder', 'cardholdername', 'nameoncard', 'name'],
+  number: ['number', 'cardnumber', 'ccnumber'],
+  expireDate: ['expiry', 'expires', 'expiration', 'expirationdate', 'expdate'],
+  securityCode: ['cvv', 'cvc', 'cvv2', 'securitycode'],
+  pinCode: ['pin', 'pincode'],
+  fullName: ['fullname', 'name'],
+  phoneNumber: ['phone', 'phonenumber', 'mobile', 'telephone'],
+  address: ['address', 'street', 'addressline1'],
+  zip: ['zip', 'zipcode', 'postcode', 'postalcode'],
+  city: ['city', 'town'],
+  region: ['region', 'state', 'province', 'county'],
+  country: ['country']
+}
+
+const normalizeHeader = (header) =>
+  String(header ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+
+/**
+ * Maps each header to the first field of the record type that uses it as an
+ * alias. A field is taken by one column at most; the rest stay unmapped.
+ * @param {string[]} headers
+ * @param {string} type
+ * @returns {Record<string, string>}
+ */
+export const guessCsvColumnMapping = (headers, type) => {
+  const fields = getCsvTargetFields(type)
+  const taken = new Set()
+  /** @type {Record<string, string>} */
+  const mapping = {}
+
+  for (const header of headers) {
+    const key = normalizeHeader(header)
+    const field = fields.find(
+      (candidate) =>
+        !taken.has(candidate) && FIELD_ALIASES[candidate]?.includes(key)
+    )
+    mapping[header] = field ?? CSV_CUSTOM_FIELD
+    if (field) taken.add(field)
+  }
+
+  return mapping
+}
+
+/**
+ * Builds one record per row. Rows without any value are left out, and a
+ * record without a title is named after its website or username.
+ * @param {Record<string, string>[]} rows
+ * @param {string} type
+ * @param {Record<string, string>} mapping
+ * @returns {{ type: string, folder: string | null, data: Record<string, unknown> }[]}
+ */
+export const csvRowsToRecords = (rows, type, mapping) =>
+  rows.flatMap((row) => {
+    /** @type {Record<string, unknown>} */
+    const data = {}
+    const customFields = []
+    let folder = null
+
+    for (const [header, rawValue] of Object.entries(row)) {
+      const value = String(rawValue ?? '').trim()
+      const field = mapping[header] ?? CSV_CUSTOM_FIELD
+      if (!value || field === CSV_IGNORE_COLUMN) continue
+
+      if (field === CSV_CUSTOM_FIELD) {
+        customFields.push({
+          type: 'note',
+          name: 'note',
+          note: `${header}: ${value}`
+        })
+      } else if (field === 'folder') {
+        folder = value
+      } else if (field === 'tags') {
+        data.tags = normalizeTags(value.split(/[,;]/))
+      } else if (field === 'website') {
+        data.websites = [...(data.websites ?? []), value]
+      } else if (field === 'otp') {
+        data.otpInput = value
+      } else {
+        data[field] = value
+      }
+    }
+
+    if (!Object.keys(data).length && !customFields.length && !folder) {
+      return []
+    }
+
+    if (!data.title) {
+      data.title =
+        data.websites?.[0] || data.username || data.email || data.name || ''
+    }
+    if (customFields.length) data.customFields = customFields
+
+    return [{ type, folder, data }]
+  })
+
+/**
+ * @typedef {{ name: string, type: string, headers: string[], mapping: Record<string, string> }} CsvImportPreset
+ */
+
+/** @returns {CsvImportPreset[]} */
+export const readCsvImportPresets = () => {
+  try {
+    const presets = JSON.parse(
+      localStorage.getItem(LOCAL_STORAGE_KEYS.CSV_IMPORT_PRESETS) ?? '[]'
+    )
+    return Array.isArray(presets)
+      ? presets.filter((preset) => preset?.name && preset?.mapping)
+      : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Stores a preset, replacing one with the same name.
+ * @param {CsvImportPreset} preset
+ * @returns {CsvImportPreset[]}
+ */
+export const saveCsvImportPreset = (preset) => {
+  const presets = [
+    ...readCsvImportPresets().filter((saved) => saved.name !== preset.name),
+    preset
+  ]
+  localStorage.setItem(
+    LOCAL_STORAGE_KEYS.CSV_IMPORT_PRESETS,
+    JSON.stringify(presets)
+  )
+  return presets
+}
+
+/**
+ * The preset saved for a file with the same columns, if any.
+ * @param {CsvImportPreset[]} presets
+ * @param {string[]} headers
+ * @returns {CsvImportPreset | undefined}
+ */
+export const findCsvImportPreset = (presets, headers) =>
+  presets.find(
+    (preset) =>
+      preset.headers?.length === headers.length &&
+      preset.headers.every((header, index) => header === headers[index])
+  )
@@ -0,0 +1,135 @@
+import {
+  CSV_CUSTOM_FIELD,
+  CSV_IGNORE_COLUMN,
+  csvRowsToRecords,
+  findCsvImportPreset,
+  guessCsvColumnMapping,
+  readCsvImportPresets,
+  saveCsvImportPreset
+} from './csvImport'
+
+describe('guessCsvColumnMapping', () => {
+  it('maps known headers to the fields of the record type', () => {
+    expect(
+      guessCsvColumnMapping(
+        [
+          'Name',
+          'Login URL',
+          'E-mail',
+          'Login',
+          'Password',
+          'Security question'
+        ],
+        'login'
+      )
+    ).toEqual({
+      Name: 'title',
+      'Login URL': 'website',
+      'E-mail': 'email',
+      Login: 'username',
+      Password: 'password',
+      'Security question': CSV_CUSTOM_FIELD
+    })
+
+    expect(
+      guessCsvColumnMapping(
+        ['Card number', 'CVV', 'Expiry', 'Name'],
+        'creditCard'
+      )
+    ).toEqual({
+      'Card number': 'number',
+      CVV: 'securityCode',
+      Expiry: 'expireDate',
+      Name: 'title'
+    })
+  })
+})
+
+describe('csvRowsToRecords', () => {
+  const mapping = {
+    Service: 'title',
+    URL: 'website',
+    User: 'username',
+    Pass: 'password',
+    Group: 'folder',
+    Labels: 'tags',
+    Question: CSV_CUSTOM_FIELD,
+    Internal: CSV_IGNORE_COLUMN
+  }
+
+  it('builds records and keeps unmapped columns as custom fields', () => {
+    expect(
+      csvRowsToRecords(
+        [
+          {
+            Service: 'GitHub',
+            URL: 'github.com',
+            User: 'alice',
+            Pass: 'secret',
+            Group: 'Work',
+            Labels: 'dev; code',
+            Question: 'Blue',
+            Internal: '42'
+          }
+        ],
+        'login',
+        mapping
+      )
+    ).toEqual([
+      {
+        type: 'login',
+        folder: 'Work',
+        data: {
+          title: 'GitHub',
+          websites: ['github.com'],
+          username: 'alice',
+          password: 'secret',
+          tags: ['dev', 'code'],
+          customFields: [{ type: 'note', name: 'note', note: 'Question: Blue' }]
+        }
+      }
+    ])
+  })
+
+  it('names untitled records after their website and drops empty rows', () => {
+    const records = csvRowsToRecords(
+      [
+        { Service: '', URL: 'bank.example', User: 'alice' },
+        { Service: ' ', URL: '', Internal: 'x' }
+      ],
+      'login',
+      mapping
+    )
+
+    expect(records).toHaveLength(1)
+    expect(records[0].data.title).toBe('bank.example')
+  })
+})
+
+describe('CSV import presets', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('saves presets by name and finds the one for the same columns', () => {
+    const preset = {
+      name: 'Team sheet',
+      type: 'login',
+      headers: ['Service', 'User'],
+      mapping: { Service: 'title', User: 'username' }
+    }
+    saveCsvImportPreset({ ...preset, mapping: {} })
+    saveCsvImportPreset(preset)
+
+    const presets = readCsvImportPresets()
+    expect(presets).toEqual([preset])
+    expect(findCsvImportPreset(presets, ['Service', 'User'])).toEqual(preset)
+    expect(findCsvImportPreset(presets, ['User', 'Service'])).toBeUndefined()
+  })
+
+  it('ignores unreadable stored presets', () => {
+    localStorage.setItem('csv-import-presets', '{broken')
+
+    expect(readCsvImportPresets()).toEqual([])
+  })
+})
@@ -13,7 +13,51 @@ const path = require('path')
 const FILE_NAME = 'device-preferences.json'
 
 const DEFAULTS = {
-  loggingEnabled: false
+  loggingEnabled: false,
+  sshAgentEnabled: false,
+  sshAgentConfirmEachUse: true,
+  secretServiceEnabled: false,
+  trashRetentionDays: 30,
+  backupFrequency: 'off',
+  backupDirectory: null,
+  backupRetentionCount: 10,
+  // Encrypted with Electron safeStorage, base64
+  backupPassword: null,
+  backupPasswordSetAt: null
+}
+
+const MAX_TRASH_RETENTION_DAYS = 365
+
+const BACKUP_FREQUENCIES = ['off', 'daily', 'weekly', 'change']
+
+const MAX_BACKUP_RETENTION_COUNT = 100
+
+function toTrashRetentionDays(value) {
+  return Number.isInteger(value) &&
+    value > 0 &&
+    value <= MAX_TRASH_RETENTION_DAYS
+    ? value
+    : DEFAULTS.trashRetentionDays
+}
+
+function toBackupFrequency(value) {
+  return BACKUP_FREQUENCIES.includes(value) ? value : DEFAULTS.backupFrequency
+}
+
+function toBackupRetentionCount(value) {
+  return Number.isInteger(value) &&
+    value > 0 &&
+    value <= MAX_BACKUP_RETENTION_COUNT
+    ? value
+    : DEFAULTS.backupRetentionCount
+}
+
+function toStringOrNull(value) {
+  return typeof value === 'string' && value.length > 0 ? value : null
+}
+
+function toTimestampOrNull(value) {
+  return Number.isFinite(value) ? value : null
 }
 
 function read(storageDir) {
@@ -21,7 +65,16 @@ function read(storageDir) {
     const raw = fs.readFileSync(path.join(storageDir, FILE_NAME), 'utf8')
     const parsed = JSON.parse(raw)
     return {
-      loggingEnabled: parsed.loggingEnabled === true
+      loggingEnabled: parsed.loggingEnabled === true,
+      sshAgentEnabled: parsed.sshAgentEnabled === true,
+      sshAgentConfirmEachUse: parsed.sshAgentConfirmEachUse !== false,
+      secretServiceEnabled: parsed.secretServiceEnabled === true,
+      trashRetentionDays: toTrashRetentionDays(parsed.trashRetentionDays),
+      backupFrequency: toBackupFrequency(parsed.backupFrequency),
+      backupDirectory: toStringOrNull(parsed.backupDirectory),
+      backupRetentionCount: toBackupRetentionCount(parsed.backupRetentionCount),
+      backupPassword: toStringOrNull(parsed.backupPassword),
+      backupPasswordSetAt: toTimestampOrNull(parsed.backupPasswordSetAt)
     }
   } catch {
     return { ...DEFAULTS }
@@ -32,7 +85,16 @@ function write(storageDir, partial) {
   fs.mkdirSync(storageDir, { recursive: true })
   const merged = { ...read(storageDir), ...partial }
   const out = {
-    loggingEnabled: !!merged.loggingEnabled
+    loggingEnabled: !!merged.loggingEnabled,
+    sshAgentEnabled: !!merged.sshAgentEnabled,
+    sshAgentConfirmEachUse: !!merged.sshAgentConfirmEachUse,
+    secretServiceEnabled: !!merged.secretServiceEnabled,
+    trashRetentionDays: toTrashRetentionDays(merged.trashRetentionDays),
+    backupFrequency: toBackupFrequency(merged.backupFrequency),
+    backupDirectory: toStringOrNull(merged.backupDirectory),
+    backupRetentionCount: toBackupRetentionCount(merged.backupRetentionCount),
+    backupPassword: toStringOrNull(merged.backupPassword),
+    backupPasswordSetAt: toTimestampOrNull(merged.backupPasswordSetAt)
   }
   fs.writeFileSync(
     path.join(storageDir, FILE_NAME),
@@ -41,4 +103,4 @@ function write(storageDir, partial) {
   )
 }
 
-module.exports = { read, write }
+module.exports = { BACKUP_FREQUENCIES, read, write }
@@ -6,6 +6,19 @@ import path from 'path'
 
 const { read, write } = require('./devicePreferences.cjs')
 
+const DEFAULTS = {
+  loggingEnabled: false,
+  sshAgentEnabled: false,
+  sshAgentConfirmEachUse: true,
+  secretServiceEnabled: false,
+  trashRetentionDays: 30,
+  backupFrequency: 'off',
+  backupDirectory: null,
+  backupRetentionCount: 10,
+  backupPassword: null,
+  backupPasswordSetAt: null
+}
+
 describe('devicePreferences', () => {
   let tmpDir
 
@@ -17,7 +30,7 @@ describe('devicePreferences', () => {
   })
 
   it('returns defaults when the file is missing', () => {
-    expect(read(tmpDir)).toEqual({ loggingEnabled: false })
+    expect(read(tmpDir)).toEqual(DEFAULTS)
   })
 
   it('returns defaults on malformed JSON', () => {
@@ -26,20 +39,20 @@ describe('devicePreferences', () => {
       'not-json{',
       'utf8'
     )
-    expect(read(tmpDir)).toEqual({ loggingEnabled: false })
+    expect(read(tmpDir)).toEqual(DEFAULTS)
   })
 
   it('writes then reads back loggingEnabled=true', () => {
     write(tmpDir, { loggingEnabled: true })
-    expect(read(tmpDir)).toEqual({ loggingEnabled: true })
+    expect(read(tmpDir)).toEqual({ ...DEFAULTS, loggingEnabled: true })
   })
 
   it('coerces truthy/falsy values to booleans', () => {
     write(tmpDir, { loggingEnabled: 'yes' })
-    expect(read(tmpDir)).toEqual({ loggingEnabled: true })
+    expect(read(tmpDir)).toEqual({ ...DEFAULTS, loggingEnabled: true })
 
     write(tmpDir, { loggingEnabled: 0 })
-    expect(read(tmpDir)).toEqual({ loggingEnabled: false })
+    expect(read(tmpDir)).toEqual(DEFAULTS)
   })
 
   it('creates the storage directory if missing', () => {
@@ -57,6 +70,64 @@ describe('devicePreferences', () => {
       'utf8'
     )
     write(tmpDir, {})
-    expect(read(tmpDir)).toEqual({ loggingEnabled: true })
+    expect(read(tmpDir)).toEqual({ ...DEFAULTS, loggingEnabled: true })
+  })
+
+  it('keeps SSH agent confirmation on unless turned off', () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'device-preferences.json'),
+      JSON.stringify({ sshAgentEnabled: true }) + '\n',
+      'utf8'
+    )
+    expect(read(tmpDir)).toEqual({ ...DEFAULTS, sshAgentEnabled: true })
+
+    write(tmpDir, { sshAgentConfirmEachUse: false })
+    expect(read(tmpDir)).toEqual({
+      ...DEFAULTS,
+      sshAgentEnabled: true,
+      sshAgentConfirmEachUse: false
+    })
+  })
+
+  it('keeps the Secret Service setting next to the SSH agent ones', () => {
+    write(tmpDir, { secretServiceEnabled: true })
+    write(tmpDir, { sshAgentEnabled: true })
+    expect(read(tmpDir)).toEqual({
+      ...DEFAULTS,
+      sshAgentEnabled: true,
+      secretServiceEnabled: true
+    })
+  })
+
+  it('keeps trash retention to a whole number of days', () => {
+    write(tmpDir, { trashRetentionDays: 7 })
+    expect(read(tmpDir)).toEqual({ ...DEFAULTS, trashRetentionDays: 7 })
+
+    write(tmpDir, { trashRetentionDays: 0.5 })
+    expect(read(tmpDir).trashRetentionDays).toBe(30)
+
+    write(tmpDir, { trashRetentionDays: 10000 })
+    expect(read(tmpDir).trashRetentionDays).toBe(30)
+  })
+
+  it('keeps backup settings within their allowed values', () => {
+    write(tmpDir, {
+      backupFrequency: 'weekly',
+      backupDirectory: '/backups',
+      backupRetentionCount: 5
+    })
+    expect(read(tmpDir)).toEqual({
+      ...DEFAULTS,
+      backupFrequency: 'weekly',
+      backupDirectory: '/backups',
+      backupRetentionCount: 5
+    })
+
+    write(tmpDir, {
+      backupFrequency: 'hourly',
+      backupDirectory: '',
+      backupRetentionCount: 0
+    })
+    expect(read(tmpDir)).toEqual(DEFAULTS)
   })
 })
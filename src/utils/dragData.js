@@ -0,0 +1,26 @@
+import { DRAG_DATA_TYPES } from '../constants/dragAndDrop'
+
+/**
+ * Whether a drag carries records from the record list. Only the types of a
+ * drag can be read before the drop, not its data.
+ * @param {Pick<DataTransfer, 'types'> | null | undefined} dataTransfer
+ * @returns {boolean}
+ */
+export const hasDraggedRecords = (dataTransfer) =>
+  Array.from(dataTransfer?.types ?? []).includes(DRAG_DATA_TYPES.RECORDS)
+
+/**
+ * Ids of the records dropped from the record list, empty for any other drop.
+ * @param {Pick<DataTransfer, 'getData'> | null | undefined} dataTransfer
+ * @returns {string[]}
+ */
+export const getDraggedRecordIds = (dataTransfer) => {
+  try {
+    const ids = JSON.parse(
+      dataTransfer?.getData(DRAG_DATA_TYPES.RECORDS) || '[]'
+    )
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []
+  } catch {
+    return []
+  }
+}
@@ -0,0 +1,33 @@
+import { getDraggedRecordIds, hasDraggedRecords } from './dragData'
+import { DRAG_DATA_TYPES } from '../constants/dragAndDrop'
+
+const makeDataTransfer = (data) => ({
+  types: Object.keys(data),
+  getData: (type) => data[type] ?? ''
+})
+
+describe('dragged records', () => {
+  it('tells record drags from other drags', () => {
+    expect(
+      hasDraggedRecords(makeDataTransfer({ [DRAG_DATA_TYPES.RECORDS]: '[]' }))
+    ).toBe(true)
+    expect(
+      hasDraggedRecords(makeDataTransfer({ [DRAG_DATA_TYPES.FOLDER]: 'Work' }))
+    ).toBe(false)
+    expect(hasDraggedRecords(undefined)).toBe(false)
+  })
+
+  it('reads the dropped record ids', () => {
+    expect(
+      getDraggedRecordIds(
+        makeDataTransfer({ [DRAG_DATA_TYPES.RECORDS]: '["r1",2,"r3"]' })
+      )
+    ).toEqual(['r1', 'r3'])
+    expect(
+      getDraggedRecordIds(makeDataTransfer({ 'text/plain': 'hello' }))
+    ).toEqual([])
+    expect(
+      getDraggedRecordIds(makeDataTransfer({ [DRAG_DATA_TYPES.RECORDS]: '{' }))
+    ).toEqual([])
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Nested folders. The vault keeps folders as flat names, so a subfolder is
+ * stored under its full path with the segments joined by `/`, the way
+ * Bitwarden names nested folders. Creating, renaming and deleting a folder
+ * therefore stays a single vault call per folder.
+ */
+
+export const FOLDER_PATH_SEPARATOR = '/'
+
+/**
+ * @typedef {{ path: string, name: string, count: number, totalCount: number, depth: number, children: FolderTreeNode[] }} FolderTreeNode
+ */
+
+/**
+ * @param {string | null | undefined} path
+ * @returns {string[]}
+ */
+export const splitFolderPath = (path) =>
+  typeof path === 'string'
+    ? path
+        .split(FOLDER_PATH_SEPARATOR)
+        .map((segment) => segment.trim())
+        .filter(Boolean)
+    : []
+
+/**
+ * Joins path segments, skipping empty ones, so a missing parent yields a
+ * top level folder.
+ * @param {...(string | null | undefined)} segments
+ * @returns {string}
+ */
+export const joinFolderPath = (...segments) =>
+  segments.flatMap(splitFolderPath).join(FOLDER_PATH_SEPARATOR)
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+export const getFolderName = (path) => splitFolderPath(path).pop() ?? ''
+
+/**
+ * @param {string} path
+ * @returns {string | null} `null` for a top level folder
+ */
+export const getParentFolderPath = (path) => {
+  const segments = splitFolderPath(path)
+  return segments.length > 1
+    ? segments.slice(0, -1).join(FOLDER_PATH_SEPARATOR)
+    : null
+}
+
+/**
+ * Path for display, e.g. `Work › Clients`.
+ * @param {string} path
+ * @returns {string}
+ */
+export const formatFolderPath = (path) => splitFolderPath(path).join(' › ')
+
+/**
+ * Whether `path` is `root` or one of its subfolders.
+ * @param {string | null | undefined} path
+ * @param {string} root
+ * @returns {boolean}
+ */
+export const isInFolderSubtree = (path, root) =>
+  typeof path === 'string' &&
+  (path === root || path.startsWith(root + FOLDER_PATH_SEPARATOR))
+
+/**
+ * Folders of the subtree rooted at `root`, deepest first so they can be
+ * deleted without leaving an empty parent behind a child.
+ * @param {string[]} folderPaths
+ * @param {string} root
+ * @returns {string[]}
+ */
+export const getSubtreeFolderPaths = (folderPaths, root) =>
+  folderPaths
+    .filter((path) => isInFolderSubtree(path, root))
+    .sort((a, b) => splitFolderPath(b).length - splitFolderPath(a).length)
+
+/**
+ * Renames needed to give the folder at `from` the path `to`, its subfolders
+ * included, parents first. Empty when `to` is the folder itself or lies
+ * inside it.
+ * @param {string[]} folderPaths
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ from: string, to: string }[]}
+ */
+export const getSubtreeRenames = (folderPaths, from, to) => {
+  if (!to || from === to || isInFolderSubtree(to, from)) return []
+  return getSubtreeFolderPaths(folderPaths, from)
+    .reverse()
+    .map((path) => ({ from: path, to: to + path.slice(from.length) }))
+}
+
+/**
+ * Renames that move the folder at `path` into `parent`, or to the top level
+ * when `parent` is `null`.
+ * @param {string[]} folderPaths
+ * @param {string} path
+ * @param {string | null} parent
+ * @returns {{ from: string, to: string }[]}
+ */
+export const getFolderMoves = (folderPaths, path, parent) =>
+  getSubtreeRenames(
+    folderPaths,
+    path,
+    joinFolderPath(parent, getFolderName(path))
+  )
+
+const compareNames = (a, b) =>
+  a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+
+/**
+ * Builds the folder tree from the flat folder list. Parents that only exist
+ * as a prefix of a subfolder, as after an import, are added with no items.
+ * Siblings are sorted by name.
+ * @param {{ name: string, count: number }[]} folders
+ * @returns {FolderTreeNode[]}
+ */
+export const buildFolderTree = (folders) => {
+  /** @type {Map<string, FolderTreeNode>} */
+  const nodes = new Map()
+  /** @type {FolderTreeNode[]} */
+  const roots = []
+
+  const getNode = (path) => {
+    const existing = nodes.get(path)
+    if (existing) return existing
+
+    const segments = splitFolderPath(path)
+    /** @type {FolderTreeNode} */
+    const node = {
+      path,
+      name: segments[segments.length - 1],
+      count: 0,
+      totalCount: 0,
+      depth: segments.length - 1,
+      children: []
+    }
+    nodes.set(path, node)
+
+    const parent = getParentFolderPath(path)
+    if (parent) {
+      getNode(parent).children.push(node)
+    } else {
+      roots.push(node)
+    }
+    return node
+  }
+
+  for (const folder of folders ?? []) {
+    if (!splitFolderPath(folder.name).length) continue
+    getNode(folder.name).count += folder.count ?? 0
+  }
+
+  const finish = (list) => {
+    list.sort(compareNames)
+    for (const node of list) {
+      finish(node.children)
+      node.totalCount =
+        node.count +
+        node.children.reduce((sum, child) => sum + child.totalCount, 0)
+    }
+    return list
+  }
+
+  return finish(roots)
+}
+
+/**
+ * Nodes in display order, leaving out the children of collapsed folders.
+ * @param {FolderTreeNode[]} tree
+ * @param {Set<string>} [collapsedPaths]
+ * @returns {FolderTreeNode[]}
+ */
+export const flattenFolderTree = (tree, collapsedPaths = new Set()) =>
+  tree.flatMap((node) => [
+    node,
+    ...(collapsedPaths.has(node.path)
+      ? []
+      : flattenFolderTree(node.children, collapsedPaths))
+  ])
@@ -0,0 +1,104 @@
+import {
+  buildFolderTree,
+  flattenFolderTree,
+  formatFolderPath,
+  getFolderMoves,
+  getFolderName,
+  getParentFolderPath,
+  getSubtreeFolderPaths,
+  getSubtreeRenames,
+  isInFolderSubtree,
+  joinFolderPath
+} from './folderTree'
+
+describe('folder paths', () => {
+  it('joins and splits path segments', () => {
+    expect(joinFolderPath('Work', ' Clients ')).toBe('Work/Clients')
+    expect(joinFolderPath(null, 'Work')).toBe('Work')
+    expect(getFolderName('Work/Clients/Acme')).toBe('Acme')
+    expect(getParentFolderPath('Work/Clients/Acme')).toBe('Work/Clients')
+    expect(getParentFolderPath('Work')).toBeNull()
+    expect(formatFolderPath('Work/Clients')).toBe('Work › Clients')
+  })
+
+  it('tells whether a folder is inside a subtree', () => {
+    expect(isInFolderSubtree('Work', 'Work')).toBe(true)
+    expect(isInFolderSubtree('Work/Clients', 'Work')).toBe(true)
+    expect(isInFolderSubtree('Workshop', 'Work')).toBe(false)
+    expect(isInFolderSubtree(undefined, 'Work')).toBe(false)
+  })
+})
+
+describe('buildFolderTree', () => {
+  it('nests subfolders, adds missing parents and sums counts', () => {
+    const tree = buildFolderTree([
+      { name: 'work/Clients', count: 2 },
+      { name: 'Home', count: 1 },
+      { name: 'work', count: 3 },
+      { name: 'Shared/Family', count: 4 }
+    ])
+
+    expect(tree.map((node) => node.path)).toEqual(['Home', 'Shared', 'work'])
+    expect(tree[1]).toMatchObject({ count: 0, totalCount: 4 })
+    expect(tree[2]).toMatchObject({ count: 3, totalCount: 5 })
+    expect(tree[2].children[0]).toMatchObject({
+      path: 'work/Clients',
+      name: 'Clients',
+      depth: 1
+    })
+  })
+
+  it('leaves out the children of collapsed folders', () => {
+    const tree = buildFolderTree([
+      { name: 'Work', count: 0 },
+      { name: 'Work/Clients', count: 0 },
+      { name: 'Work/Clients/Acme', count: 0 }
+    ])
+
+    expect(flattenFolderTree(tree).map((node) => node.path)).toEqual([
+      'Work',
+      'Work/Clients',
+      'Work/Clients/Acme'
+    ])
+    expect(
+      flattenFolderTree(tree, new Set(['Work/Clients'])).map(
+        (node) => node.path
+      )
+    ).toEqual(['Work', 'Work/Clients'])
+  })
+})
+
+describe('subtree changes', () => {
+  const paths = ['Work', 'Work/Clients', 'Work/Clients/Acme', 'Home']
+
+  it('lists a subtree deepest first', () => {
+    expect(getSubtreeFolderPaths(paths, 'Work')).toEqual([
+      'Work/Clients/Acme',
+      'Work/Clients',
+      'Work'
+    ])
+  })
+
+  it('renames a folder together with its subfolders, parents first', () => {
+    expect(getSubtreeRenames(paths, 'Work', 'Job')).toEqual([
+      { from: 'Work', to: 'Job' },
+      { from: 'Work/Clients', to: 'Job/Clients' },
+      { from: 'Work/Clients/Acme', to: 'Job/Clients/Acme' }
+    ])
+  })
+
+  it('moves a folder into another one or to the top level', () => {
+    expect(getFolderMoves(paths, 'Work/Clients', 'Home')).toEqual([
+      { from: 'Work/Clients', to: 'Home/Clients' },
+      { from: 'Work/Clients/Acme', to: 'Home/Clients/Acme' }
+    ])
+    expect(getFolderMoves(paths, 'Work/Clients/Acme', null)).toEqual([
+      { from: 'Work/Clients/Acme', to: 'Acme' }
+    ])
+  })
+
+  it('refuses to move a folder into itself or its own subtree', () => {
+    expect(getFolderMoves(paths, 'Work', 'Work/Clients')).toEqual([])
+    expect(getFolderMoves(paths, 'Work/Clients', 'Work')).toEqual([])
+  })
+})
@@ -0,0 +1,112 @@
+import { RECORD_TYPES } from '@tetherto/pearpass-lib-vault'
+import sodium from 'sodium-native'
+
+import { getPasswordStrength } from './getPasswordStrengthInfo'
+
+export const PASSWORD_MAX_AGE_OPTIONS = [3, 6, 12]
+
+export const DEFAULT_PASSWORD_MAX_AGE_MONTHS = 6
+
+/**
+ * @typedef {import('./groupRecordsByTimePeriod').VaultRecord} VaultRecord
+ */
+
+/**
+ * @typedef PasswordHealthReport
+ * @property {VaultRecord[][]} reused - Logins sharing a password, one group per password
+ * @property {{ record: VaultRecord, strengthText: string, strengthType: string }[]} weak
+ * @property {{ record: VaultRecord, changedAt: number }[]} old - Oldest first
+ * @property {number} scannedCount - Logins that have a password
+ */
+
+/**
+ * Keyed so the digests only mean something within one scan
+ * @param {string} password
+ * @param {Buffer} key
+ * @returns {string}
+ */
+const hashPassword = (password, key) => {
+  const out = Buffer.alloc(sodium.crypto_generichash_BYTES)
+  sodium.crypto_generichash(out, Buffer.from(password, 'utf8'), key)
+  return out.toString('hex')
+}
+
+/**
+ * When the password last changed, for records saved before passwordUpdatedAt
+ * existed this is the last edit of the record
+ * @param {VaultRecord} record
+ * @returns {number|undefined}
+ */
+const getPasswordChangedAt = (record) => {
+  const changedAt = record.data?.passwordUpdatedAt ?? record.updatedAt
+  if (changedAt === undefined || changedAt === null) return undefined
+  const time = new Date(/** @type {number|string} */ (changedAt)).getTime()
+  return Number.isNaN(time) ? undefined : time
+}
+
+/**
+ * Scan Login records for reused, weak and old passwords
+ * @param {VaultRecord[] | undefined | null} records
+ * @param {{ maxAgeMonths?: number, now?: number }} [options]
+ * @returns {PasswordHealthReport}
+ */
+export const getPasswordHealthReport = (
+  records,
+  { maxAgeMonths = DEFAULT_PASSWORD_MAX_AGE_MONTHS, now = Date.now() } = {}
+) => {
+  const logins = (records ?? []).filter(
+    (record) =>
+      record.type === RECORD_TYPES.LOGIN &&
+      typeof record.data?.password === 'string' &&
+      record.data.password.length > 0
+  )
+
+  const key = Buffer.alloc(sodium.crypto_generichash_KEYBYTES)
+  sodium.randombytes_buf(key)
+
+  /** @type {Map<string, VaultRecord[]>} */
+  const byHash = new Map()
+  /** @type {PasswordHealthReport['weak']} */
+  const weak = []
+  /** @type {PasswordHealthReport['old']} */
+  const old = []
+
+  const cutoff = new Date(now)
+  cutoff.setMonth(cutoff.getMonth() - maxAgeMonths)
+
+  for (const record of logins) {
+    const password = /** @type {string} */ (record.data?.password)
+
+    const hash = hashPassword(password, key)
+    byHash.set(hash, [...(byHash.get(hash) ?? []), record])
+
+    const strength = getPasswordStrength(password)
+    if (strength && strength.strengthType !== 'success') {
+      weak.push({
+        record,
+        strengthText: strength.strengthText,
+        strengthType: strength.strengthType
+      })
+    }
+
+    const changedAt = getPasswordChangedAt(record)
+    if (changedAt !== undefined && changedAt < cutoff.getTime()) {
+      old.push({ record, changedAt })
+    }
+  }
+
+  return {
+    reused: [...byHash.values()]
+      .filter((group) => group.length > 1)
+      .sort((a, b) => b.length - a.length),
+    weak: weak.sort((a, b) =>
+      a.strengthType === b.strengthType
+        ? 0
+        : a.strengthType === 'error'
+          ? -1
+          : 1
+    ),
+    old: old.sort((a, b) => a.changedAt - b.changedAt),
+    scannedCount: logins.length
+  }
+}
@@ -0,0 +1,137 @@
+import { getPasswordStrength } from './getPasswordStrengthInfo'
+import { getPasswordHealthReport } from './getPasswordHealthReport'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  RECORD_TYPES: { LOGIN: 'login' }
+}))
+
+jest.mock('sodium-native', () => {
+  const crypto = require('crypto')
+  return {
+    crypto_generichash_BYTES: 32,
+    crypto_generichash_KEYBYTES: 32,
+    crypto_generichash: (out, input, key) =>
+      crypto.createHmac('sha256', key).update(input).digest().copy(out),
+    randombytes_buf: (buf) => crypto.randomFillSync(buf)
+  }
+})
+
+jest.mock('./getPasswordStrengthInfo', () => ({
+  getPasswordStrength: jest.fn()
+}))
+
+const NOW = new Date('2026-06-15T12:00:00Z').getTime()
+const DAY = 24 * 60 * 60 * 1000
+
+const login = (id, password, overrides = {}) => ({
+  id,
+  type: 'login',
+  updatedAt: NOW,
+  ...overrides,
+  data: { title: id, password, ...overrides.data }
+})
+
+describe('getPasswordHealthReport', () => {
+  beforeEach(() => {
+    getPasswordStrength.mockImplementation((password) =>
+      password.length < 6
+        ? { strengthType: 'error', strengthText: 'Vulnerable' }
+        : password.length < 10
+          ? { strengthType: 'warning', strengthText: 'Weak' }
+          : { strengthType: 'success', strengthText: 'Safe' }
+    )
+  })
+
+  it('returns an empty report without logins', () => {
+    expect(getPasswordHealthReport(null)).toEqual({
+      reused: [],
+      weak: [],
+      old: [],
+      scannedCount: 0
+    })
+  })
+
+  it('only scans logins that have a password', () => {
+    const report = getPasswordHealthReport(
+      [
+        login('a', 'correct horse battery'),
+        login('b', ''),
+        { id: 'c', type: 'note', data: { password: 'abc' } }
+      ],
+      { now: NOW }
+    )
+
+    expect(report.scannedCount).toBe(1)
+    expect(getPasswordStrength).toHaveBeenCalledTimes(1)
+  })
+
+  it('groups logins sharing a password, largest group first', () => {
+    const records = [
+      login('a', 'correct horse battery'),
+      login('b', 'tr0ub4dor&3 staple'),
+      login('c', 'correct horse battery'),
+      login('d', 'tr0ub4dor&3 staple'),
+      login('e', 'tr0ub4dor&3 staple'),
+      login('f', 'unique enough password')
+    ]
+
+    const { reused } = getPasswordHealthReport(records, { now: NOW })
+
+    expect(reused.map((group) => group.map((record) => record.id))).toEqual([
+      ['b', 'd', 'e'],
+      ['a', 'c']
+    ])
+  })
+
+  it('flags weak passwords, vulnerable ones first', () => {
+    const { weak } = getPasswordHealthReport(
+      [
+        login('weak', 'abcdefg'),
+        login('vulnerable', 'abc'),
+        login('safe', 'a long passphrase')
+      ],
+      { now: NOW }
+    )
+
+    expect(weak).toEqual([
+      expect.objectContaining({
+        record: expect.objectContaining({ id: 'vulnerable' }),
+        strengthType: 'error'
+      }),
+      expect.objectContaining({
+        record: expect.objectContaining({ id: 'weak' }),
+        strengthText: 'Weak'
+      })
+    ])
+  })
+
+  it('lists passwords older than the chosen number of months, oldest first', () => {
+    const records = [
+      login('recent', 'correct horse battery', { updatedAt: NOW - 30 * DAY }),
+      login('old', 'correct horse battery 2', {
+        updatedAt: NOW - 200 * DAY
+      }),
+      login('older', 'correct horse battery 3', {
+        updatedAt: NOW - 400 * DAY
+      }),
+      login('renamed', 'correct horse battery 4', {
+        updatedAt: NOW - DAY,
+        data: { passwordUpdatedAt: NOW - 300 * DAY }
+      })
+    ]
+
+    expect(
+      getPasswordHealthReport(records, { now: NOW }).old.map(
+        ({ record }) => record.id
+      )
+    ).toEqual(['older', 'renamed', 'old'])
+    expect(
+      getPasswordHealthReport(records, { now: NOW, maxAgeMonths: 12 }).old
+    ).toEqual([
+      {
+        record: expect.objectContaining({ id: 'older' }),
+        changedAt: NOW - 400 * DAY
+      }
+    ])
+  })
+})
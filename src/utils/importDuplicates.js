@@ -0,0 +1,209 @@
+/**
+ * Finds imported records that are already in the vault, so re-importing a
+ * fresh export from another manager does not double every item, and builds
+ * the records to create or update for the strategy picked for each of them.
+ */
+
+import { addPasswordHistoryEntry } from './passwordHistory'
+import { getRecordTags, normalizeTags } from './recordTags'
+
+export const DUPLICATE_MATCH = Object.freeze({
+  EXACT: 'exact',
+  PROBABLE: 'probable'
+})
+
+export const IMPORT_STRATEGY = Object.freeze({
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  MERGE: 'merge',
+  KEEP_BOTH: 'keepBoth'
+})
+
+/**
+ * @typedef {{ id?: string, type?: string, folder?: string | null, isFavorite?: boolean, data?: Record<string, unknown> | null }} ImportRecord
+ * @typedef {{ record: ImportRecord, duplicate: ImportRecord | null, match: 'exact' | 'probable' | null }} ImportEntry
+ */
+
+const normalizeText = (value) =>
+  typeof value === 'string'
+    ? value.trim().replace(/\s+/g, ' ').toLowerCase()
+    : ''
+
+/**
+ * Host of a website without protocol, `www.`, port or path.
+ * @param {unknown} website
+ * @returns {string}
+ */
+export const getWebsiteDomain = (website) => {
+  const url = website && typeof website === 'object' ? website.website : website
+  return normalizeText(url)
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^[^@/]*@/, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '')
+}
+
+/**
+ * @param {ImportRecord} record
+ * @returns {{ title: string, username: string, domain: string }}
+ */
+const getMatchKey = (record) => {
+  const data = record.data ?? {}
+  const websites = Array.isArray(data.websites) ? data.websites : []
+  return {
+    title: normalizeText(data.title),
+    username: normalizeText(data.username) || normalizeText(data.email),
+    domain: websites.map(getWebsiteDomain).find(Boolean) ?? ''
+  }
+}
+
+/**
+ * Exact when title, username and domain are all the same. Probable when two
+ * of them are set and the same, like a login whose title was edited in the
+ * other manager.
+ * @returns {'exact' | 'probable' | null}
+ */
+const compareKeys = (a, b) => {
+  const fields = ['title', 'username', 'domain']
+  if (fields.every((field) => a[field] === b[field])) {
+    return a.title || a.username || a.domain ? DUPLICATE_MATCH.EXACT : null
+  }
+  const shared = fields.filter((field) => a[field] && a[field] === b[field])
+  return shared.length >= 2 ? DUPLICATE_MATCH.PROBABLE : null
+}
+
+/**
+ * Pairs each imported record with the existing record it duplicates, if
+ * any. Records only match records of the same type, and an exact match
+ * wins over a probable one.
+ * @param {ImportRecord[]} imported
+ * @param {ImportRecord[]} existing
+ * @returns {ImportEntry[]}
+ */
+export const findImportDuplicates = (imported, existing) => {
+  const candidates = existing.map((record) => ({
+    record,
+    key: getMatchKey(record)
+  }))
+
+  return imported.map((record) => {
+    const key = getMatchKey(record)
+    let duplicate = null
+    let match = null
+    for (const candidate of candidates) {
+      if (candidate.record.type !== record.type) continue
+      const result = compareKeys(key, candidate.key)
+      if (!result || match === DUPLICATE_MATCH.EXACT) continue
+      if (!match || result === DUPLICATE_MATCH.EXACT) {
+        duplicate = candidate.record
+        match = result
+      }
+    }
+    return { record, duplicate, match }
+  })
+}
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0)
+
+/**
+ * Keeps what the existing record has and fills in what it lacks. Lists such
+ * as websites, tags and custom fields get the imported entries they miss.
+ * @param {ImportRecord} existing
+ * @param {ImportRecord} imported
+ * @returns {ImportRecord}
+ */
+export const mergeImportedRecord = (existing, imported) => {
+  const data = { ...existing.data }
+  for (const [field, value] of Object.entries(imported.data ?? {})) {
+    const current = data[field]
+    if (isEmptyValue(current)) {
+      data[field] = value
+    } else if (Array.isArray(current) && Array.isArray(value)) {
+      const seen = new Set(current.map((item) => JSON.stringify(item)))
+      data[field] = [
+        ...current,
+        ...value.filter((item) => !seen.has(JSON.stringify(item)))
+      ]
+    }
+  }
+  return {
+    ...existing,
+    folder: existing.folder ?? imported.folder ?? null,
+    data
+  }
+}
+
+/**
+ * Takes the imported fields over the existing record, keeping its id, its
+ * tags and the files the export could not carry. A login keeps its password
+ * history, with the credentials the import replaces added to it.
+ * @param {ImportRecord} existing
+ * @param {ImportRecord} imported
+ * @param {import('./passwordHistory').ChangingDevice} [change]
+ * @returns {ImportRecord}
+ */
+export const overwriteWithImported = (existing, imported, change) => {
+  const tags = normalizeTags([
+    ...getRecordTags(existing),
+    ...getRecordTags(imported)
+  ])
+  const data = {
+    ...imported.data,
+    ...(isEmptyValue(imported.data?.attachments) &&
+    !isEmptyValue(existing.data?.attachments)
+      ? { attachments: existing.data?.attachments }
+      : {}),
+    ...(tags.length ? { tags } : {})
+  }
+  return {
+    ...existing,
+    folder: imported.folder ?? existing.folder ?? null,
+    data:
+      existing.type === 'login'
+        ? addPasswordHistoryEntry(existing.data, data, change)
+        : data
+  }
+}
+
+/**
+ * Splits the entries into records to create and records to update.
+ * Records without a duplicate are always created, and several imported
+ * records that duplicate the same item all apply to it in turn.
+ * @param {ImportEntry[]} entries
+ * @param {string[]} strategies - strategy per entry, by index
+ * @param {import('./passwordHistory').ChangingDevice} [change] - Device the
+ * replaced passwords are recorded for
+ * @returns {{ create: ImportRecord[], update: ImportRecord[] }}
+ */
+export const resolveImport = (entries, strategies, change) => {
+  const create = []
+  const updates = new Map()
+  entries.forEach(({ record, duplicate }, index) => {
+    if (!duplicate) {
+      create.push(record)
+      return
+    }
+    const current = updates.get(duplicate.id) ?? duplicate
+    switch (strategies[index]) {
+      case IMPORT_STRATEGY.OVERWRITE:
+        updates.set(
+          duplicate.id,
+          overwriteWithImported(current, record, change)
+        )
+        break
+      case IMPORT_STRATEGY.MERGE:
+        updates.set(duplicate.id, mergeImportedRecord(current, record))
+        break
+      case IMPORT_STRATEGY.KEEP_BOTH:
+        create.push(record)
+        break
+      default:
+        break
+    }
+  })
+  return { create, update: [...updates.values()] }
+}
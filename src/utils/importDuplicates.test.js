@@ -0,0 +1,173 @@
+import {
+  DUPLICATE_MATCH,
+  IMPORT_STRATEGY,
+  findImportDuplicates,
+  getWebsiteDomain,
+  mergeImportedRecord,
+  overwriteWithImported,
+  resolveImport
+} from './importDuplicates'
+
+const login = (id, title, username, website, extra = {}) => ({
+  ...(id ? { id } : {}),
+  type: 'login',
+  folder: null,
+  data: { title, username, websites: website ? [website] : [], ...extra }
+})
+
+const existing = [
+  login('r1', 'GitHub', 'alice', 'https://github.com/login', {
+    password: 'old',
+    note: 'work account'
+  }),
+  login('r2', 'Bank', 'alice', 'https://bank.example'),
+  { id: 'r3', type: 'note', folder: null, data: { title: 'GitHub' } }
+]
+
+describe('getWebsiteDomain', () => {
+  it('strips protocol, www, port and path', () => {
+    expect(getWebsiteDomain('https://www.GitHub.com:443/login?x=1')).toBe(
+      'github.com'
+    )
+    expect(getWebsiteDomain({ website: 'github.com/' })).toBe('github.com')
+    expect(getWebsiteDomain(null)).toBe('')
+  })
+})
+
+describe('findImportDuplicates', () => {
+  it('tells exact and probable duplicates apart', () => {
+    const entries = findImportDuplicates(
+      [
+        login(null, ' github ', 'Alice', 'http://www.github.com'),
+        login(null, 'GitHub (work)', 'alice', 'github.com'),
+        login(null, 'GitLab', 'alice', 'gitlab.com')
+      ],
+      existing
+    )
+
+    expect(
+      entries.map(({ duplicate, match }) => [duplicate?.id, match])
+    ).toEqual([
+      ['r1', DUPLICATE_MATCH.EXACT],
+      ['r1', DUPLICATE_MATCH.PROBABLE],
+      [undefined, null]
+    ])
+  })
+
+  it('only matches records of the same type', () => {
+    const [entry] = findImportDuplicates(
+      [{ type: 'note', data: { title: 'github' } }],
+      existing
+    )
+
+    expect(entry.duplicate?.id).toBe('r3')
+    expect(entry.match).toBe(DUPLICATE_MATCH.EXACT)
+  })
+})
+
+describe('mergeImportedRecord', () => {
+  it('fills in missing fields and adds missing list entries', () => {
+    const merged = mergeImportedRecord(
+      existing[0],
+      login(null, 'GitHub', 'alice', 'https://gist.github.com', {
+        password: 'new',
+        note: '',
+        email: 'alice@example.com'
+      })
+    )
+
+    expect(merged.id).toBe('r1')
+    expect(merged.data).toEqual({
+      title: 'GitHub',
+      username: 'alice',
+      password: 'old',
+      note: 'work account',
+      email: 'alice@example.com',
+      websites: ['https://github.com/login', 'https://gist.github.com']
+    })
+  })
+})
+
+describe('resolveImport', () => {
+  it('creates, updates or skips records by strategy', () => {
+    const imported = [
+      login(null, 'GitHub', 'alice', 'github.com', { password: 'new' }),
+      login(null, 'Bank', 'alice', 'bank.example'),
+      login(null, 'Bank', 'alice', 'bank.example'),
+      login(null, 'Mail', 'alice', 'mail.example')
+    ]
+    const entries = findImportDuplicates(imported, existing)
+
+    const { create, update } = resolveImport(entries, [
+      IMPORT_STRATEGY.OVERWRITE,
+      IMPORT_STRATEGY.SKIP,
+      IMPORT_STRATEGY.KEEP_BOTH,
+      IMPORT_STRATEGY.SKIP
+    ])
+
+    expect(create).toEqual([imported[2], imported[3]])
+    expect(update).toEqual([
+      {
+        ...existing[0],
+        data: {
+          ...imported[0].data,
+          passwordHistory: [
+            {
+              username: 'alice',
+              password: 'old',
+              changedAt: expect.any(Number)
+            }
+          ]
+        }
+      }
+    ])
+  })
+})
+
+describe('overwriteWithImported', () => {
+  it('keeps the tags and password history of the existing record', () => {
+    const previous = {
+      username: 'alice',
+      password: 'older',
+      changedAt: 1000
+    }
+    const current = login('r1', 'GitHub', 'alice', 'github.com', {
+      password: 'old',
+      tags: ['Work'],
+      passwordHistory: [previous]
+    })
+    const imported = login(null, 'GitHub', 'alice', 'github.com', {
+      password: 'new',
+      tags: ['work', 'Code']
+    })
+
+    const result = overwriteWithImported(current, imported, {
+      deviceId: 'device-1',
+      deviceName: 'Laptop',
+      changedAt: 2000
+    })
+
+    expect(result.data).toEqual({
+      ...imported.data,
+      tags: ['Work', 'Code'],
+      passwordHistory: [
+        {
+          username: 'alice',
+          password: 'old',
+          changedAt: 2000,
+          deviceId: 'device-1',
+          deviceName: 'Laptop'
+        },
+        previous
+      ]
+    })
+  })
+
+  it('leaves the data of other records without a password history', () => {
+    const note = { id: 'n1', type: 'note', data: { title: 'Wifi' } }
+
+    expect(
+      overwriteWithImported(note, { type: 'note', data: { title: 'WiFi' } })
+    ).toEqual({ ...note, folder: null, data: { title: 'WiFi' } })
+  })
+})
@@ -0,0 +1,169 @@
+/**
+ * Folder paths of the entries in exports from other password managers, read
+ * straight from the export because the parsers only keep the innermost group
+ * of an entry. Each source describes its hierarchy differently:
+ *  - KeePass XML and KDBX nest `Group` elements; the root group is the
+ *    database itself and is left out
+ *  - KeePass CSV writes the group path with the root group first
+ *  - Bitwarden names nested folders with their full `/` path already
+ *  - 1Password has no folders but nests tags with `/`
+ */
+
+import {
+  FOLDER_PATH_SEPARATOR,
+  getFolderName,
+  joinFolderPath
+} from './folderTree'
+import { parseCsvObjects } from './parseCsv'
+
+/**
+ * @typedef {{ title: string, path: string }} ExportFolderEntry
+ */
+
+/**
+ * @param {Element} element
+ * @param {string} name
+ * @returns {Element[]}
+ */
+const childElements = (element, name) =>
+  Array.from(element.children).filter((child) => child.tagName === name)
+
+/**
+ * @param {Element} entry
+ * @returns {string}
+ */
+const getKeePassEntryTitle = (entry) => {
+  const title = childElements(entry, 'String').find(
+    (field) => childElements(field, 'Key')[0]?.textContent === 'Title'
+  )
+  return title ? (childElements(title, 'Value')[0]?.textContent ?? '') : ''
+}
+
+/**
+ * @param {string} xml KeePass XML export or decrypted KDBX payload
+ * @returns {ExportFolderEntry[]}
+ */
+export const getKeePassXmlFolders = (xml) => {
+  const document = new DOMParser().parseFromString(xml, 'application/xml')
+  const root = document.querySelector('KeePassFile > Root > Group')
+  if (!root) return []
+
+  /** @type {ExportFolderEntry[]} */
+  const entries = []
+  const walk = (group, path) => {
+    for (const entry of childElements(group, 'Entry')) {
+      entries.push({ title: getKeePassEntryTitle(entry), path })
+    }
+    for (const child of childElements(group, 'Group')) {
+      const name = childElements(child, 'Name')[0]?.textContent ?? ''
+      // A `/` inside a group name would read as another level
+      walk(
+        child,
+        joinFolderPath(path, name.split(FOLDER_PATH_SEPARATOR).join(' '))
+      )
+    }
+  }
+  walk(root, '')
+
+  return entries
+}
+
+/**
+ * @param {string} csv KeePassXC CSV export
+ * @returns {ExportFolderEntry[]}
+ */
+export const getKeePassCsvFolders = (csv) =>
+  parseCsvObjects(csv).map((row) => ({
+    title: row.Title ?? '',
+    path: joinFolderPath(
+      ...String(row.Group ?? '')
+        .split('/')
+        .slice(1)
+    )
+  }))
+
+/**
+ * @param {unknown} data Bitwarden JSON export, parsed or as text
+ * @returns {ExportFolderEntry[]}
+ */
+export const getBitwardenFolders = (data) => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data
+  const folders = new Map(
+    (parsed?.folders ?? []).map((folder) => [folder.id, folder.name])
+  )
+  return (parsed?.items ?? []).map((item) => ({
+    title: item.name ?? '',
+    path: joinFolderPath(folders.get(item.folderId))
+  }))
+}
+
+/**
+ * @param {string} csv Bitwarden CSV export
+ * @returns {ExportFolderEntry[]}
+ */
+export const getBitwardenCsvFolders = (csv) =>
+  parseCsvObjects(csv).map((row) => ({
+    title: row.name ?? '',
+    path: joinFolderPath(row.folder)
+  }))
+
+/**
+ * Only nested tags count as folders, one entry per tag.
+ * @param {string} csv 1Password CSV export
+ * @returns {ExportFolderEntry[]}
+ */
+export const getOnePasswordCsvFolders = (csv) =>
+  parseCsvObjects(csv).flatMap((row) =>
+    String(row.Tags ?? '')
+      .split(/[,;]/)
+      .filter((tag) => tag.includes(FOLDER_PATH_SEPARATOR))
+      .map((tag) => ({ title: row.Title ?? '', path: joinFolderPath(tag) }))
+  )
+
+/**
+ * Gives imported records the full folder path of their entry in the export.
+ * A record is matched by title to an entry whose path ends in the record's
+ * folder, and each entry is used once, so items with the same title in
+ * different groups keep their own path. With `fillMissing`, records without
+ * a folder take the path of their first entry, for sources such as 1Password
+ * whose parser does not turn tags into folders.
+ *
+ * Records are changed in place.
+ * @param {{ folder?: string | null, data?: { title?: unknown } | null }[]} records
+ * @param {ExportFolderEntry[]} entries
+ * @param {{ fillMissing?: boolean }} [options]
+ * @returns {number} how many records got a new folder
+ */
+export const applyFolderHierarchy = (records, entries, options = {}) => {
+  const byTitle = new Map()
+  for (const entry of entries) {
+    if (!entry.path) continue
+    const list = byTitle.get(entry.title) ?? []
+    list.push(entry)
+    byTitle.set(entry.title, list)
+  }
+
+  let count = 0
+  for (const record of records) {
+    const candidates = byTitle.get(String(record?.data?.title ?? ''))
+    if (!candidates?.length) continue
+
+    const folder = record.folder ?? ''
+    const index = folder
+      ? candidates.findIndex(
+          (entry) =>
+            entry.path === folder || getFolderName(entry.path) === folder
+        )
+      : options.fillMissing
+        ? 0
+        : -1
+    if (index === -1) continue
+
+    const [entry] = candidates.splice(index, 1)
+    if (entry.path !== folder) {
+      record.folder = entry.path
+      count++
+    }
+  }
+  return count
+}
@@ -0,0 +1,119 @@
+import {
+  applyFolderHierarchy,
+  getBitwardenFolders,
+  getKeePassCsvFolders,
+  getKeePassXmlFolders,
+  getOnePasswordCsvFolders
+} from './importFolderHierarchy'
+
+const entry = (title) =>
+  `<Entry><String><Key>Title</Key><Value>${title}</Value></String></Entry>`
+
+const KEEPASS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<KeePassFile>
+  <Root>
+    <Group>
+      <Name>Database</Name>
+      ${entry('Router')}
+      <Group>
+        <Name>Work</Name>
+        ${entry('GitHub')}
+        <Group>
+          <Name>Clients</Name>
+          ${entry('Acme')}
+        </Group>
+      </Group>
+    </Group>
+  </Root>
+</KeePassFile>`
+
+describe('reading folder paths from exports', () => {
+  it('walks KeePass groups without the root group', () => {
+    expect(getKeePassXmlFolders(KEEPASS_XML)).toEqual([
+      { title: 'Router', path: '' },
+      { title: 'GitHub', path: 'Work' },
+      { title: 'Acme', path: 'Work/Clients' }
+    ])
+  })
+
+  it('reads KeePass CSV group paths', () => {
+    expect(
+      getKeePassCsvFolders(
+        '"Group","Title","Username"\n"Root/Work/Clients","Acme","alice"'
+      )
+    ).toEqual([{ title: 'Acme', path: 'Work/Clients' }])
+  })
+
+  it('maps Bitwarden items to their folder names', () => {
+    expect(
+      getBitwardenFolders({
+        folders: [{ id: 'f1', name: 'Work/Clients' }],
+        items: [
+          { name: 'Acme', folderId: 'f1' },
+          { name: 'Bank', folderId: null }
+        ]
+      })
+    ).toEqual([
+      { title: 'Acme', path: 'Work/Clients' },
+      { title: 'Bank', path: '' }
+    ])
+  })
+
+  it('uses nested 1Password tags only', () => {
+    expect(
+      getOnePasswordCsvFolders(
+        'Title,Username,Tags\nAcme,alice,"Work/Clients,starred"'
+      )
+    ).toEqual([{ title: 'Acme', path: 'Work/Clients' }])
+  })
+})
+
+describe('applyFolderHierarchy', () => {
+  it('replaces the innermost folder with the full path', () => {
+    const records = [
+      { folder: 'Clients', data: { title: 'Acme' } },
+      { folder: 'Work', data: { title: 'GitHub' } },
+      { folder: null, data: { title: 'Router' } }
+    ]
+
+    const count = applyFolderHierarchy(
+      records,
+      getKeePassXmlFolders(KEEPASS_XML)
+    )
+
+    expect(count).toBe(1)
+    expect(records.map((record) => record.folder)).toEqual([
+      'Work/Clients',
+      'Work',
+      null
+    ])
+  })
+
+  it('keeps items with the same title in their own groups', () => {
+    const records = [
+      { folder: 'Mail', data: { title: 'Login' } },
+      { folder: 'Mail', data: { title: 'Login' } }
+    ]
+
+    applyFolderHierarchy(records, [
+      { title: 'Login', path: 'Home/Mail' },
+      { title: 'Login', path: 'Work/Mail' }
+    ])
+
+    expect(records.map((record) => record.folder)).toEqual([
+      'Home/Mail',
+      'Work/Mail'
+    ])
+  })
+
+  it('only fills missing folders when asked to', () => {
+    const records = [{ folder: null, data: { title: 'Acme' } }]
+    const entries = [{ title: 'Acme', path: 'Work/Clients' }]
+
+    applyFolderHierarchy(records, entries)
+    expect(records[0].folder).toBeNull()
+
+    applyFolderHierarchy(records, entries, { fillMissing: true })
+    expect(records[0].folder).toBe('Work/Clients')
+  })
+})
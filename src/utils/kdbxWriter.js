@@ -0,0 +1,567 @@
+import sodium from 'sodium-native'
+
+import { splitFolderPath } from './folderTree'
+import { getRecordOtpInput } from './recordCopy'
+import { RECORD_FILE_FIELDS } from './recordFiles'
+
+/**
+ * Writes KeePass KDBX 4 databases: AES-256 for the payload, Argon2id for the
+ * key and ChaCha20 for the protected values, which is what KeePass 2.35+
+ * and KeePassXC open. Argon2 is not part of Web Crypto, so the caller
+ * passes the function that runs it, the same vault worklet that derives the
+ * key when a `.kdbx` is imported.
+ */
+
+/**
+ * @typedef {{
+ *  password: string
+ *  salt: string
+ *  type: 'argon2d' | 'argon2id'
+ *  memory: number
+ *  iterations: number
+ *  parallelism: number
+ *  length: number
+ *  version: number
+ * }} KdbxArgon2Params Password and salt in base64, memory in KiB
+ */
+
+/**
+ * @typedef {(params: KdbxArgon2Params) => Promise<string>} KdbxArgon2
+ * Resolves with the derived key in base64
+ */
+
+/**
+ * @typedef {{
+ *  type: string
+ *  folder?: string | null
+ *  createdAt?: number
+ *  updatedAt?: number
+ *  data?: Record<string, any> | null
+ * }} KdbxRecord Record with the content of its files, as `readRecordFiles` gives it
+ */
+
+/** Argon2id cost of the exported databases: 64 MiB, 3 passes, 4 lanes */
+export const KDBX_ARGON2_PARAMS = Object.freeze({
+  memory: 64 * 1024,
+  iterations: 3,
+  parallelism: 4
+})
+
+const SIGNATURE_1 = 0x9aa2d903
+const SIGNATURE_2 = 0xb54bfb67
+const VERSION_4 = 0x00040000
+
+const AES_256_CIPHER_ID = 'McHy5r9xQ1C+WAUhavxa/w=='
+const ARGON2ID_KDF_ID = 'nimLGVbbR3OyPfw+xvCh5g=='
+const ARGON2_VERSION = 0x13
+const CHACHA20_STREAM_ID = 3
+
+const HEADER_FIELD = {
+  END: 0,
+  CIPHER_ID: 2,
+  COMPRESSION: 3,
+  MASTER_SEED: 4,
+  ENCRYPTION_IV: 7,
+  KDF_PARAMETERS: 11
+}
+
+const INNER_HEADER_FIELD = {
+  END: 0,
+  STREAM_ID: 1,
+  STREAM_KEY: 2,
+  BINARY: 3
+}
+
+const VARIANT_TYPE = { UINT32: 0x04, UINT64: 0x05, BYTES: 0x42 }
+
+const BLOCK_SIZE = 1024 * 1024
+
+/** Seconds from 0001-01-01, where KeePass times start, to the Unix epoch */
+const EPOCH_OFFSET_SECONDS = 62135596800n
+
+/** Labels of the record fields that have no standard KeePass field */
+const FIELD_LABELS = {
+  email: 'Email',
+  name: 'Cardholder',
+  number: 'Card number',
+  expireDate: 'Expiration date',
+  securityCode: 'Security code',
+  pinCode: 'PIN',
+  fullName: 'Full name',
+  phoneNumber: 'Phone number',
+  address: 'Address',
+  zip: 'ZIP code',
+  city: 'City',
+  region: 'Region',
+  country: 'Country'
+}
+
+const PROTECTED_FIELDS = new Set(['number', 'securityCode', 'pinCode'])
+
+/** Record fields written as standard fields, tags or binaries instead */
+const HANDLED_FIELDS = new Set([
+  'title',
+  'username',
+  'password',
+  'websites',
+  'note',
+  'otp',
+  'otpInput',
+  'customFields',
+  'tags',
+  ...RECORD_FILE_FIELDS
+])
+
+const textEncoder = new TextEncoder()
+
+/** @param {Uint8Array[]} parts */
+const concat = (...parts) => {
+  const result = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  )
+  let offset = 0
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+  return result
+}
+
+const uint32 = (value) => {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setUint32(0, value, true)
+  return bytes
+}
+
+const uint64 = (value) => {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true)
+  return bytes
+}
+
+const randomBytes = (length) =>
+  globalThis.crypto.getRandomValues(new Uint8Array(length))
+
+/** @param {Uint8Array} bytes */
+const toBase64 = (bytes) => {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/** @param {string} base64 */
+const fromBase64 = (base64) =>
+  Uint8Array.from(atob(base64), (char) => char.charCodeAt(0))
+
+const digest = async (algorithm, ...parts) =>
+  new Uint8Array(
+    await globalThis.crypto.subtle.digest(algorithm, concat(...parts))
+  )
+
+const hmacSha256 = async (key, data) => {
+  const cryptoKey = await globalThis.crypto.subtle.importKey(
+    'raw',
+    key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  return new Uint8Array(
+    await globalThis.crypto.subtle.sign('HMAC', cryptoKey, data)
+  )
+}
+
+const encryptAesCbc = async (key, iv, data) => {
+  const cryptoKey = await globalThis.crypto.subtle.importKey(
+    'raw',
+    key,
+    'AES-CBC',
+    false,
+    ['encrypt']
+  )
+  return new Uint8Array(
+    await globalThis.crypto.subtle.encrypt(
+      { name: 'AES-CBC', iv },
+      cryptoKey,
+      data
+    )
+  )
+}
+
+/**
+ * A ChaCha20 key stream that continues across calls, the way KeePass uses
+ * one stream for every protected value of a database in document order
+ * @param {Uint8Array} key 32 bytes
+ * @param {Uint8Array} nonce 12 bytes
+ * @returns {(data: Uint8Array) => Uint8Array} XORs `data` with the next bytes
+ */
+const createChaCha20Stream = (key, nonce) => {
+  let offset = 0
+
+  return (data) => {
+    // Start at the block the stream is in and drop the bytes already used
+    const skip = offset % 64
+    const input = new Uint8Array(skip + data.length)
+    input.set(data, skip)
+    const output = new Uint8Array(input.length)
+    sodium.crypto_stream_chacha20_ietf_xor_ic(
+      output,
+      input,
+      nonce,
+      Math.floor(offset / 64),
+      key
+    )
+    offset += data.length
+    return output.subarray(skip)
+  }
+}
+
+/**
+ * @param {number} id
+ * @param {Uint8Array} data
+ */
+const headerField = (id, data) =>
+  concat(Uint8Array.of(id), uint32(data.length), data)
+
+/**
+ * KeePass's VariantDictionary, which holds the KDF parameters.
+ * @param {[string, number, Uint8Array][]} items key, type and value
+ */
+const variantDictionary = (items) =>
+  concat(
+    Uint8Array.of(0x00, 0x01),
+    ...items.map(([key, type, value]) => {
+      const name = textEncoder.encode(key)
+      return concat(
+        Uint8Array.of(type),
+        uint32(name.length),
+        name,
+        uint32(value.length),
+        value
+      )
+    }),
+    Uint8Array.of(0x00)
+  )
+
+const escapeXml = (value) =>
+  String(value)
+    // Characters XML 1.0 does not allow at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/** @param {number | undefined} timestamp milliseconds */
+const formatTime = (timestamp) => {
+  const seconds =
+    BigInt(Math.floor((Number(timestamp) || Date.now()) / 1000)) +
+    EPOCH_OFFSET_SECONDS
+  return toBase64(uint64(seconds))
+}
+
+/** Values as they are, spaces of a password included */
+const toText = (value) =>
+  typeof value === 'string' || typeof value === 'number' ? String(value) : ''
+
+const getWebsites = (data) =>
+  (Array.isArray(data.websites) ? data.websites : [])
+    .map((website) =>
+      toText(
+        website && typeof website === 'object' ? website.website : website
+      ).trim()
+    )
+    .filter(Boolean)
+
+/** The OTP as the `otpauth://` URI KeePassXC keeps in its `otp` field */
+const getOtpUri = (data) => {
+  const otp = getRecordOtpInput(data)
+  if (!otp) return ''
+  if (/^otpauth:\/\//i.test(otp)) return otp
+  const params = new URLSearchParams({ secret: otp.replace(/\s/g, '') })
+  return `otpauth://totp/${encodeURIComponent(data.title ?? '')}?${params}`
+}
+
+/**
+ * Numbers repeated keys, which KeePass does not allow within an entry.
+ * @template {[string, ...unknown[]]} T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+const withUniqueKeys = (items) => {
+  const seen = new Set()
+  return items.map(([key, ...rest]) => {
+    let unique = key
+    for (let count = 2; seen.has(unique); count++) unique = `${key} (${count})`
+    seen.add(unique)
+    return /** @type {T} */ ([unique, ...rest])
+  })
+}
+
+/**
+ * The string fields of an entry, in the order they are written.
+ * @param {Record<string, any>} data
+ * @returns {[string, string, boolean][]} key, value and whether it is protected
+ */
+const getEntryStrings = (data) => {
+  const [url = '', ...otherUrls] = getWebsites(data)
+  const username = toText(data.username) || toText(data.email)
+  /** @type {[string, string, boolean][]} */
+  const strings = [
+    ['Title', toText(data.title), false],
+    ['UserName', username, false],
+    ['Password', toText(data.password), true],
+    ['URL', url, false],
+    ['Notes', toText(data.note), false]
+  ]
+
+  otherUrls.forEach((website, index) => {
+    strings.push([`KP2A_URL_${index + 1}`, website, false])
+  })
+
+  const otp = getOtpUri(data)
+  if (otp) strings.push(['otp', otp, true])
+
+  for (const [field, value] of Object.entries(data)) {
+    const text = toText(value)
+    if (HANDLED_FIELDS.has(field) || !text) continue
+    if (field === 'email' && text === username) continue
+    strings.push([
+      FIELD_LABELS[field] ?? field,
+      text,
+      PROTECTED_FIELDS.has(field)
+    ])
+  }
+
+  let customIndex = 0
+  for (const customField of data.customFields ?? []) {
+    const text = toText(customField?.note)
+    if (!text) continue
+    customIndex += 1
+    strings.push([`Custom field ${customIndex}`, text, false])
+  }
+
+  return withUniqueKeys(strings)
+}
+
+/**
+ * @param {Record<string, any>} data
+ * @returns {[string, Uint8Array][]} name and content
+ */
+const getEntryFiles = (data) =>
+  withUniqueKeys(
+    RECORD_FILE_FIELDS.flatMap((field) =>
+      (Array.isArray(data[field]) ? data[field] : [])
+        .filter((file) => file?.buffer)
+        .map((file) => [
+          toText(file.name) || field,
+          new Uint8Array(file.buffer)
+        ])
+    )
+  )
+
+/**
+ * @typedef {{ name: string, records: KdbxRecord[], groups: Map<string, KdbxGroup> }} KdbxGroup
+ */
+
+/**
+ * @param {string} name
+ * @param {KdbxRecord[]} records
+ * @returns {KdbxGroup}
+ */
+const buildGroupTree = (name, records) => {
+  /** @type {KdbxGroup} */
+  const root = { name, records: [], groups: new Map() }
+  for (const record of records) {
+    let group = root
+    for (const segment of splitFolderPath(record.folder)) {
+      if (!group.groups.has(segment)) {
+        group.groups.set(segment, {
+          name: segment,
+          records: [],
+          groups: new Map()
+        })
+      }
+      group = /** @type {KdbxGroup} */ (group.groups.get(segment))
+    }
+    group.records.push(record)
+  }
+  return root
+}
+
+/**
+ * The database XML. Protected values are encrypted with the inner stream
+ * as they are written, so they have to be written in document order.
+ * @param {KdbxGroup} root
+ * @param {(value: string) => string} protect
+ * @param {Uint8Array[]} binaries filled with the files of the entries
+ */
+const buildXml = (root, protect, binaries) => {
+  const now = formatTime(Date.now())
+  const times = (created, modified) =>
+    `<Times><CreationTime>${created}</CreationTime><LastModificationTime>${modified}</LastModificationTime><LastAccessTime>${modified}</LastAccessTime><LocationChanged>${modified}</LocationChanged><Expires>False</Expires></Times>`
+
+  const entryXml = (record) => {
+    const data = record.data ?? {}
+    const strings = getEntryStrings(data)
+      .map(([key, value, isProtected]) =>
+        isProtected && value
+          ? `<String><Key>${escapeXml(key)}</Key><Value Protected="True">${protect(value)}</Value></String>`
+          : `<String><Key>${escapeXml(key)}</Key><Value>${escapeXml(value)}</Value></String>`
+      )
+      .join('')
+    const files = getEntryFiles(data)
+      .map(([name, content]) => {
+        binaries.push(content)
+        return `<Binary><Key>${escapeXml(name)}</Key><Value Ref="${binaries.length - 1}"/></Binary>`
+      })
+      .join('')
+    const tags = (Array.isArray(data.tags) ? data.tags : [])
+      .map(toText)
+      .filter(Boolean)
+      .join(';')
+
+    return `<Entry><UUID>${toBase64(randomBytes(16))}</UUID><Tags>${escapeXml(tags)}</Tags>${times(
+      formatTime(record.createdAt),
+      formatTime(record.updatedAt ?? record.createdAt)
+    )}${strings}${files}</Entry>`
+  }
+
+  /** @param {KdbxGroup} group */
+  const groupXml = (group) => {
+    const entries = group.records.map(entryXml).join('')
+    const groups = [...group.groups.values()].map(groupXml).join('')
+    return `<Group><UUID>${toBase64(randomBytes(16))}</UUID><Name>${escapeXml(group.name)}</Name>${times(now, now)}<IsExpanded>True</IsExpanded>${entries}${groups}</Group>`
+  }
+
+  const memoryProtection = [
+    ['ProtectTitle', 'False'],
+    ['ProtectUserName', 'False'],
+    ['ProtectPassword', 'True'],
+    ['ProtectURL', 'False'],
+    ['ProtectNotes', 'False']
+  ]
+    .map(([key, value]) => `<${key}>${value}</${key}>`)
+    .join('')
+
+  return `<?xml version="1.0" encoding="utf-8" standalone="yes"?>\n<KeePassFile><Meta><Generator>PearPass</Generator><DatabaseName>${escapeXml(root.name)}</DatabaseName><DatabaseNameChanged>${now}</DatabaseNameChanged><MemoryProtection>${memoryProtection}</MemoryProtection><RecycleBinEnabled>False</RecycleBinEnabled></Meta><Root>${groupXml(root)}</Root></KeePassFile>`
+}
+
+/**
+ * Writes the records of a vault to a KDBX 4 database protected with
+ * `password`. Folders become groups under one named after the vault.
+ * @param {{ name: string, records: KdbxRecord[] }} vault
+ * @param {string} password
+ * @param {{ argon2: KdbxArgon2, argon2Params?: { memory: number, iterations: number, parallelism: number } }} options
+ * @returns {Promise<Uint8Array>}
+ */
+export const writeKdbx = async (
+  { name, records },
+  password,
+  { argon2, argon2Params = KDBX_ARGON2_PARAMS }
+) => {
+  const masterSeed = randomBytes(32)
+  const encryptionIv = randomBytes(16)
+  const salt = randomBytes(32)
+  const innerStreamKey = randomBytes(64)
+
+  const header = concat(
+    uint32(SIGNATURE_1),
+    uint32(SIGNATURE_2),
+    uint32(VERSION_4),
+    headerField(HEADER_FIELD.CIPHER_ID, fromBase64(AES_256_CIPHER_ID)),
+    headerField(HEADER_FIELD.COMPRESSION, uint32(0)),
+    headerField(HEADER_FIELD.MASTER_SEED, masterSeed),
+    headerField(HEADER_FIELD.ENCRYPTION_IV, encryptionIv),
+    headerField(
+      HEADER_FIELD.KDF_PARAMETERS,
+      variantDictionary([
+        ['$UUID', VARIANT_TYPE.BYTES, fromBase64(ARGON2ID_KDF_ID)],
+        ['S', VARIANT_TYPE.BYTES, salt],
+        ['P', VARIANT_TYPE.UINT32, uint32(argon2Params.parallelism)],
+        ['M', VARIANT_TYPE.UINT64, uint64(argon2Params.memory * 1024)],
+        ['I', VARIANT_TYPE.UINT64, uint64(argon2Params.iterations)],
+        ['V', VARIANT_TYPE.UINT32, uint32(ARGON2_VERSION)]
+      ])
+    ),
+    headerField(HEADER_FIELD.END, Uint8Array.of(0x0d, 0x0a, 0x0d, 0x0a))
+  )
+
+  const compositeKey = await digest(
+    'SHA-256',
+    await digest('SHA-256', textEncoder.encode(password))
+  )
+  const transformedKey = fromBase64(
+    await argon2({
+      password: toBase64(compositeKey),
+      salt: toBase64(salt),
+      type: 'argon2id',
+      memory: argon2Params.memory,
+      iterations: argon2Params.iterations,
+      parallelism: argon2Params.parallelism,
+      length: 32,
+      version: ARGON2_VERSION
+    })
+  )
+  const encryptionKey = await digest('SHA-256', masterSeed, transformedKey)
+  const hmacKey = await digest(
+    'SHA-512',
+    masterSeed,
+    transformedKey,
+    Uint8Array.of(0x01)
+  )
+  const blockKey = (index) => digest('SHA-512', uint64(index), hmacKey)
+
+  const streamKey = await digest('SHA-512', innerStreamKey)
+  const xorStream = createChaCha20Stream(
+    streamKey.subarray(0, 32),
+    streamKey.subarray(32, 44)
+  )
+  /** @type {Uint8Array[]} */
+  const binaries = []
+  const xml = buildXml(
+    buildGroupTree(name, records),
+    (value) => toBase64(xorStream(textEncoder.encode(value))),
+    binaries
+  )
+
+  const innerHeader = concat(
+    headerField(INNER_HEADER_FIELD.STREAM_ID, uint32(CHACHA20_STREAM_ID)),
+    headerField(INNER_HEADER_FIELD.STREAM_KEY, innerStreamKey),
+    ...binaries.map((content) =>
+      headerField(
+        INNER_HEADER_FIELD.BINARY,
+        concat(Uint8Array.of(0x00), content)
+      )
+    ),
+    headerField(INNER_HEADER_FIELD.END, new Uint8Array(0))
+  )
+  const encrypted = await encryptAesCbc(
+    encryptionKey,
+    encryptionIv,
+    concat(innerHeader, textEncoder.encode(xml))
+  )
+
+  const blocks = []
+  let index = 0
+  for (let offset = 0; ; offset += BLOCK_SIZE, index++) {
+    const data = encrypted.subarray(offset, offset + BLOCK_SIZE)
+    const size = uint32(data.length)
+    const hmac = await hmacSha256(
+      await blockKey(index),
+      concat(uint64(index), size, data)
+    )
+    blocks.push(hmac, size, data)
+    if (!data.length) break
+  }
+
+  return concat(
+    header,
+    await digest('SHA-256', header),
+    await hmacSha256(await blockKey(2n ** 64n - 1n), header),
+    ...blocks
+  )
+}
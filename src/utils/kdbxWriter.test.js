@@ -0,0 +1,248 @@
+/**
+ * @jest-environment node
+ */
+
+import { createDecipheriv, createHash, createHmac, webcrypto } from 'crypto'
+
+import { KDBX_ARGON2_PARAMS, writeKdbx } from './kdbxWriter'
+
+const DERIVED_KEY = Buffer.alloc(32, 7)
+
+const sha = (algorithm, ...parts) =>
+  createHash(algorithm).update(Buffer.concat(parts)).digest()
+
+const uint64 = (value) => {
+  const bytes = Buffer.alloc(8)
+  bytes.writeBigUInt64LE(BigInt(value))
+  return bytes
+}
+
+/**
+ * Opens a database the way KeePass does, checking every hash and HMAC,
+ * with the fixed key the Argon2 stand-in derives.
+ */
+const readKdbx = async (file) => {
+  const bytes = Buffer.from(file)
+  expect(bytes.readUInt32LE(0)).toBe(0x9aa2d903)
+  expect(bytes.readUInt32LE(4)).toBe(0xb54bfb67)
+  expect(bytes.readUInt32LE(8)).toBe(0x00040000)
+
+  const fields = {}
+  let offset = 12
+  for (;;) {
+    const id = bytes[offset]
+    const size = bytes.readUInt32LE(offset + 1)
+    fields[id] = bytes.subarray(offset + 5, offset + 5 + size)
+    offset += 5 + size
+    if (id === 0) break
+  }
+  const header = bytes.subarray(0, offset)
+  expect(bytes.subarray(offset, offset + 32)).toEqual(sha('sha256', header))
+
+  const masterSeed = fields[4]
+  const hmacKey = sha('sha512', masterSeed, DERIVED_KEY, Buffer.of(1))
+  const blockKey = (index) => sha('sha512', uint64(index), hmacKey)
+  expect(bytes.subarray(offset + 32, offset + 64)).toEqual(
+    createHmac('sha256', blockKey(2n ** 64n - 1n))
+      .update(header)
+      .digest()
+  )
+
+  const encrypted = []
+  offset += 64
+  for (let index = 0; ; index++) {
+    const hmac = bytes.subarray(offset, offset + 32)
+    const size = bytes.readInt32LE(offset + 32)
+    const data = bytes.subarray(offset + 36, offset + 36 + size)
+    expect(hmac).toEqual(
+      createHmac('sha256', blockKey(index))
+        .update(
+          Buffer.concat([
+            uint64(index),
+            bytes.subarray(offset + 32, offset + 36),
+            data
+          ])
+        )
+        .digest()
+    )
+    offset += 36 + size
+    if (!size) break
+    encrypted.push(data)
+  }
+
+  const key = await webcrypto.subtle.importKey(
+    'raw',
+    sha('sha256', masterSeed, DERIVED_KEY),
+    'AES-CBC',
+    false,
+    ['decrypt']
+  )
+  const payload = Buffer.from(
+    await webcrypto.subtle.decrypt(
+      { name: 'AES-CBC', iv: fields[7] },
+      key,
+      Buffer.concat(encrypted)
+    )
+  )
+
+  const inner = {}
+  const binaries = []
+  offset = 0
+  for (;;) {
+    const id = payload[offset]
+    const size = payload.readUInt32LE(offset + 1)
+    const data = payload.subarray(offset + 5, offset + 5 + size)
+    if (id === 3) binaries.push(data.subarray(1).toString())
+    else inner[id] = data
+    offset += 5 + size
+    if (id === 0) break
+  }
+  expect(inner[1].readUInt32LE(0)).toBe(3)
+
+  const streamKey = sha('sha512', inner[2])
+  // Node's ChaCha20 takes the block counter in front of the 12 byte nonce
+  const decipher = createDecipheriv(
+    'chacha20',
+    streamKey.subarray(0, 32),
+    Buffer.concat([Buffer.alloc(4), streamKey.subarray(32, 44)])
+  )
+  const xor = (data) => decipher.update(data)
+  const xml = payload
+    .subarray(offset)
+    .toString()
+    .replace(
+      /<Value Protected="True">([^<]*)<\/Value>/g,
+      (_, value) =>
+        `<Value Protected="True">${Buffer.from(xor(Buffer.from(value, 'base64'))).toString()}</Value>`
+    )
+
+  return { fields, xml, binaries }
+}
+
+const getStrings = (xml, title) => {
+  const entry = xml
+    .split('<Entry>')
+    .find((part) => part.includes(`<Value>${title}</Value>`))
+  return Object.fromEntries(
+    [
+      ...entry.matchAll(
+        /<String><Key>([^<]*)<\/Key><Value[^>]*>([^<]*)<\/Value>/g
+      )
+    ].map(([, key, value]) => [key, value])
+  )
+}
+
+describe('writeKdbx', () => {
+  const argon2 = jest.fn(async () => DERIVED_KEY.toString('base64'))
+
+  const records = [
+    {
+      type: 'login',
+      folder: 'Work/Dev',
+      createdAt: Date.UTC(2024, 0, 1),
+      updatedAt: Date.UTC(2024, 5, 1),
+      data: {
+        title: 'GitHub',
+        username: 'alice',
+        email: 'alice@example.com',
+        password: ' s3cr&t ',
+        websites: ['https://github.com', 'https://gist.github.com'],
+        note: 'Line 1\nLine 2 & more',
+        otpInput: 'JBSWY3DPEHPK3PXP',
+        tags: ['dev', 'code'],
+        customFields: [{ type: 'note', name: 'note', note: 'Recovery: codes' }],
+        attachments: [
+          { name: 'keys.txt', buffer: Buffer.from('first') },
+          { name: 'keys.txt', buffer: Buffer.from('second') }
+        ]
+      }
+    },
+    {
+      type: 'creditCard',
+      folder: null,
+      data: {
+        title: 'Visa',
+        name: 'Alice Doe',
+        number: '4111111111111111',
+        securityCode: '123'
+      }
+    }
+  ]
+
+  beforeEach(() => {
+    globalThis.crypto ??= webcrypto
+    argon2.mockClear()
+  })
+
+  it('derives the key with Argon2id from the composite key', async () => {
+    const file = await writeKdbx({ name: 'Personal', records }, 'master', {
+      argon2
+    })
+    const { fields } = await readKdbx(file)
+
+    expect(argon2).toHaveBeenCalledWith({
+      password: sha('sha256', sha('sha256', Buffer.from('master'))).toString(
+        'base64'
+      ),
+      salt: expect.any(String),
+      type: 'argon2id',
+      memory: KDBX_ARGON2_PARAMS.memory,
+      iterations: KDBX_ARGON2_PARAMS.iterations,
+      parallelism: KDBX_ARGON2_PARAMS.parallelism,
+      length: 32,
+      version: 0x13
+    })
+    // Argon2id, with the memory of the header in bytes
+    expect(
+      fields[11].includes(
+        Buffer.from('9e298b1956db4773b23dfc3ec6f0a1e6', 'hex')
+      )
+    ).toBe(true)
+    expect(fields[11].includes(uint64(KDBX_ARGON2_PARAMS.memory * 1024))).toBe(
+      true
+    )
+    expect(fields[2].toString('hex')).toBe('31c1f2e6bf714350be5805216afc5aff')
+  })
+
+  it('writes folders as groups and fields as protected strings', async () => {
+    const { xml, binaries } = await readKdbx(
+      await writeKdbx({ name: 'Personal', records }, 'master', { argon2 })
+    )
+
+    expect(
+      [...xml.matchAll(/<Group><UUID>[^<]*<\/UUID><Name>([^<]*)<\/Name>/g)].map(
+        ([, name]) => name
+      )
+    ).toEqual(['Personal', 'Work', 'Dev'])
+    expect(xml.indexOf('<Name>Dev</Name>')).toBeLessThan(
+      xml.indexOf('<Value>GitHub</Value>')
+    )
+    expect(xml.indexOf('<Value>Visa</Value>')).toBeLessThan(
+      xml.indexOf('<Name>Work</Name>')
+    )
+
+    expect(getStrings(xml, 'GitHub')).toEqual({
+      Title: 'GitHub',
+      UserName: 'alice',
+      Password: ' s3cr&t ',
+      URL: 'https://github.com',
+      Notes: 'Line 1\nLine 2 &amp; more',
+      KP2A_URL_1: 'https://gist.github.com',
+      otp: 'otpauth://totp/GitHub?secret=JBSWY3DPEHPK3PXP',
+      Email: 'alice@example.com',
+      'Custom field 1': 'Recovery: codes'
+    })
+    expect(xml).toContain('<Tags>dev;code</Tags>')
+    expect(xml).toContain(
+      '<Binary><Key>keys.txt</Key><Value Ref="0"/></Binary><Binary><Key>keys.txt (2)</Key><Value Ref="1"/></Binary>'
+    )
+    expect(binaries).toEqual(['first', 'second'])
+
+    expect(getStrings(xml, 'Visa')).toMatchObject({
+      Cardholder: 'Alice Doe',
+      'Card number': '4111111111111111',
+      'Security code': '123'
+    })
+    expect(xml).toContain('<Key>Card number</Key><Value Protected="True">')
+  })
+})
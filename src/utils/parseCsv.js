@@ -0,0 +1,126 @@
+/** Delimiters tried when a CSV file does not say which one it uses */
+export const CSV_DELIMITERS = [',', ';', '\t', '|']
+
+/**
+ * Parses CSV text as written by password manager exports: comma separated,
+ * fields optionally quoted with `"` and quotes escaped by doubling them.
+ * Quoted fields may span lines. A leading byte order mark and blank lines
+ * are ignored.
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string[][]}
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const input = String(text ?? '').replace(/^\uFEFF/, '')
+  /** @type {string[][]} */
+  const rows = []
+  /** @type {string[]} */
+  let row = []
+  let field = ''
+  let isQuoted = false
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+    field = ''
+  }
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index]
+
+    if (isQuoted) {
+      if (char !== '"') {
+        field += char
+      } else if (input[index + 1] === '"') {
+        field += '"'
+        index++
+      } else {
+        isQuoted = false
+      }
+      continue
+    }
+
+    if (char === '"') {
+      isQuoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length) endRow()
+
+  return rows
+}
+
+/**
+ * CSV rows keyed by the header row. Headers are trimmed; values of missing
+ * columns are empty strings.
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {Record<string, string>[]}
+ */
+export const parseCsvObjects = (text, delimiter = ',') => {
+  const [header = [], ...rows] = parseCsv(text, delimiter)
+  const keys = header.map((key) => key.trim())
+  return rows.map((row) =>
+    Object.fromEntries(keys.map((key, index) => [key, row[index] ?? '']))
+  )
+}
+
+/**
+ * Guesses the delimiter from the first lines: the one that splits the
+ * header into the most columns while the rows below keep the same count.
+ * Falls back to a comma.
+ * @param {string} text
+ * @returns {string}
+ */
+export const detectCsvDelimiter = (text) => {
+  const sample = String(text ?? '')
+    .slice(0, 8192)
+    .replace(/[^\n]*$/, '')
+  let best = { delimiter: ',', columns: 1, consistent: 0 }
+
+  for (const delimiter of CSV_DELIMITERS) {
+    const [header = [], ...rows] = parseCsv(sample || text, delimiter)
+    const columns = header.length
+    if (columns < 2) continue
+    const consistent = rows.filter((row) => row.length === columns).length
+    const isBetter =
+      consistent > best.consistent ||
+      (consistent === best.consistent && columns > best.columns)
+    if (isBetter) best = { delimiter, columns, consistent }
+  }
+
+  return best.delimiter
+}
+
+/**
+ * Decodes the bytes of a CSV file. A byte order mark decides between UTF-8
+ * and UTF-16; without one, text that is not valid UTF-8 is read as
+ * Windows-1252, which older spreadsheet exports use.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ text: string, encoding: string }}
+ */
+export const decodeCsvBuffer = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  let encoding = 'utf-8'
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    encoding = 'utf-16le'
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    encoding = 'utf-16be'
+  } else if (!(bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf)) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    } catch {
+      encoding = 'windows-1252'
+    }
+  }
+  return { text: new TextDecoder(encoding).decode(bytes), encoding }
+}
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  decodeCsvBuffer,
+  detectCsvDelimiter,
+  parseCsv,
+  parseCsvObjects
+} from './parseCsv'
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('a,b\r\nc,d\n')).toEqual([
+      ['a', 'b'],
+      ['c', 'd']
+    ])
+  })
+
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('"a, b","say ""hi""","line\nbreak"')).toEqual([
+      ['a, b', 'say "hi"', 'line\nbreak']
+    ])
+  })
+
+  it('ignores a byte order mark and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n\n,\n')).toEqual([
+      ['a', 'b'],
+      ['', '']
+    ])
+  })
+})
+
+describe('parseCsvObjects', () => {
+  it('keys rows by the header row', () => {
+    expect(parseCsvObjects(' name ,folder\nGitHub,Work\nBank')).toEqual([
+      { name: 'GitHub', folder: 'Work' },
+      { name: 'Bank', folder: '' }
+    ])
+  })
+})
+
+describe('detectCsvDelimiter', () => {
+  it('picks the delimiter that keeps the columns consistent', () => {
+    expect(detectCsvDelimiter('name;url;note\nGitHub;github.com;a, b\n')).toBe(
+      ';'
+    )
+    expect(detectCsvDelimiter('name\turl\nGitHub\tgithub.com')).toBe('\t')
+    expect(detectCsvDelimiter('"a;b",c\n"d;e",f\n')).toBe(',')
+  })
+
+  it('falls back to a comma for a single column', () => {
+    expect(detectCsvDelimiter('name\nGitHub\n')).toBe(',')
+  })
+})
+
+describe('decodeCsvBuffer', () => {
+  it('reads UTF-8, UTF-16 and Windows-1252 text', () => {
+    const utf8 = new TextEncoder().encode('\uFEFFcafé').buffer
+    const utf16 = new Uint8Array([0xff, 0xfe, 0x61, 0x00, 0xe9, 0x00]).buffer
+    const latin = new Uint8Array([0x63, 0x61, 0x66, 0xe9]).buffer
+
+    expect(decodeCsvBuffer(utf8)).toEqual({ text: 'café', encoding: 'utf-8' })
+    expect(decodeCsvBuffer(utf16)).toEqual({
+      text: 'aé',
+      encoding: 'utf-16le'
+    })
+    expect(decodeCsvBuffer(latin)).toEqual({
+      text: 'café',
+      encoding: 'windows-1252'
+    })
+  })
+})
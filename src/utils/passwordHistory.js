@@ -0,0 +1,98 @@
+/**
+ * Previous passwords and usernames of a Login. The history is part of the
+ * record data, so it is encrypted and synced with the rest of the record.
+ */
+
+export const PASSWORD_HISTORY_LIMIT = 20
+
+/**
+ * @typedef PasswordHistoryEntry
+ * @property {string} username
+ * @property {string} password
+ * @property {number} changedAt - When these credentials were replaced
+ * @property {string} [deviceId] - Device that replaced them
+ * @property {string} [deviceName]
+ */
+
+/**
+ * @typedef {{ deviceId?: string | null, deviceName?: string | null }} ChangingDevice
+ */
+
+/**
+ * @param {{ passwordHistory?: unknown } | undefined | null} data
+ * @returns {PasswordHistoryEntry[]} Newest first
+ */
+export const getPasswordHistory = (data) =>
+  Array.isArray(data?.passwordHistory)
+    ? /** @type {PasswordHistoryEntry[]} */ (data.passwordHistory).filter(
+        (entry) => entry && typeof entry.password === 'string'
+      )
+    : []
+
+/**
+ * Keep the previous credentials of a Login in nextData when the username or
+ * password changed
+ * @template {{ username?: unknown, password?: unknown, passwordHistory?: unknown }} T
+ * @param {{ username?: unknown, password?: unknown, passwordHistory?: unknown } | undefined | null} previousData
+ * @param {T} nextData
+ * @param {ChangingDevice & { changedAt?: number }} [change]
+ * @returns {T}
+ */
+export const addPasswordHistoryEntry = (
+  previousData,
+  nextData,
+  { deviceId, deviceName, changedAt = Date.now() } = {}
+) => {
+  const history = getPasswordHistory(previousData)
+  const username = String(previousData?.username ?? '')
+  const password = String(previousData?.password ?? '')
+
+  const isChanged =
+    username !== String(nextData.username ?? '') ||
+    password !== String(nextData.password ?? '')
+
+  if (!previousData || !isChanged || (!username && !password)) {
+    return { ...nextData, passwordHistory: history }
+  }
+
+  /** @type {PasswordHistoryEntry} */
+  const entry = {
+    username,
+    password,
+    changedAt,
+    ...(deviceId ? { deviceId } : {}),
+    ...(deviceName ? { deviceName } : {})
+  }
+
+  return {
+    ...nextData,
+    passwordHistory: [entry, ...history].slice(0, PASSWORD_HISTORY_LIMIT)
+  }
+}
+
+/**
+ * Make a history entry the current credentials again. The credentials it
+ * replaces go to the history, so a restore can be undone the same way.
+ * @template {{ username?: unknown, password?: unknown, passwordHistory?: unknown }} T
+ * @param {T} data
+ * @param {PasswordHistoryEntry} entry
+ * @param {ChangingDevice & { changedAt?: number }} [change]
+ * @returns {T}
+ */
+export const restorePasswordHistoryEntry = (data, entry, change) => {
+  const withoutEntry = {
+    ...data,
+    passwordHistory: getPasswordHistory(data).filter(
+      (candidate) =>
+        candidate.changedAt !== entry.changedAt ||
+        candidate.password !== entry.password ||
+        candidate.username !== entry.username
+    )
+  }
+
+  return addPasswordHistoryEntry(
+    withoutEntry,
+    { ...withoutEntry, username: entry.username, password: entry.password },
+    change
+  )
+}
@@ -0,0 +1,122 @@
+import {
+  PASSWORD_HISTORY_LIMIT,
+  addPasswordHistoryEntry,
+  getPasswordHistory,
+  restorePasswordHistoryEntry
+} from './passwordHistory'
+
+const device = { deviceId: 'device-1', deviceName: 'Work laptop' }
+
+describe('passwordHistory', () => {
+  it('ignores malformed history', () => {
+    expect(getPasswordHistory(undefined)).toEqual([])
+    expect(getPasswordHistory({ passwordHistory: 'nope' })).toEqual([])
+    expect(
+      getPasswordHistory({ passwordHistory: [null, { password: 'a' }] })
+    ).toEqual([{ password: 'a' }])
+  })
+
+  it('keeps the replaced credentials with the time and device', () => {
+    const data = addPasswordHistoryEntry(
+      { title: 'Bank', username: 'alice', password: 'old' },
+      { title: 'Bank', username: 'alice', password: 'new' },
+      { ...device, changedAt: 1000 }
+    )
+
+    expect(data).toEqual({
+      title: 'Bank',
+      username: 'alice',
+      password: 'new',
+      passwordHistory: [
+        {
+          username: 'alice',
+          password: 'old',
+          changedAt: 1000,
+          deviceId: 'device-1',
+          deviceName: 'Work laptop'
+        }
+      ]
+    })
+  })
+
+  it('records username changes and leaves out an unknown device', () => {
+    const data = addPasswordHistoryEntry(
+      { username: 'alice', password: 'secret' },
+      { username: 'alice@example.com', password: 'secret' },
+      { deviceId: null, deviceName: null, changedAt: 1000 }
+    )
+
+    expect(data.passwordHistory).toEqual([
+      { username: 'alice', password: 'secret', changedAt: 1000 }
+    ])
+  })
+
+  it('adds nothing when the credentials did not change or were empty', () => {
+    const history = [{ username: 'a', password: 'b', changedAt: 1 }]
+
+    expect(
+      addPasswordHistoryEntry(
+        { username: 'alice', password: 'secret', passwordHistory: history },
+        { username: 'alice', password: 'secret', note: 'edited' }
+      ).passwordHistory
+    ).toEqual(history)
+    expect(
+      addPasswordHistoryEntry(
+        { username: '', password: '' },
+        { username: 'alice', password: 'secret' }
+      ).passwordHistory
+    ).toEqual([])
+    expect(
+      addPasswordHistoryEntry(undefined, { username: 'alice' }).passwordHistory
+    ).toEqual([])
+  })
+
+  it('keeps the newest entries up to the limit', () => {
+    let data = { username: 'alice', password: 'password-0' }
+    for (let i = 1; i <= PASSWORD_HISTORY_LIMIT + 5; i++) {
+      data = addPasswordHistoryEntry(
+        data,
+        { ...data, password: `password-${i}` },
+        { changedAt: i }
+      )
+    }
+
+    expect(data.passwordHistory).toHaveLength(PASSWORD_HISTORY_LIMIT)
+    expect(data.passwordHistory[0].password).toBe(
+      `password-${PASSWORD_HISTORY_LIMIT + 4}`
+    )
+  })
+
+  it('restores an entry and keeps the credentials it replaces', () => {
+    const older = { username: 'alice', password: 'first', changedAt: 1 }
+    const newer = { username: 'alice', password: 'second', changedAt: 2 }
+    const data = {
+      title: 'Bank',
+      username: 'alice',
+      password: 'third',
+      passwordHistory: [newer, older]
+    }
+
+    const restored = restorePasswordHistoryEntry(
+      data,
+      { ...older },
+      { ...device, changedAt: 3 }
+    )
+
+    expect(restored).toEqual({
+      title: 'Bank',
+      username: 'alice',
+      password: 'first',
+      passwordHistory: [
+        {
+          username: 'alice',
+          password: 'third',
+          changedAt: 3,
+          deviceId: 'device-1',
+          deviceName: 'Work laptop'
+        },
+        newer
+      ]
+    })
+  })
+})
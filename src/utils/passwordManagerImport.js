@@ -0,0 +1,507 @@
+import JSZip from 'jszip'
+
+import {
+  CSV_CUSTOM_FIELD,
+  CSV_IGNORE_COLUMN,
+  csvRowsToRecords,
+  getCsvTargetFields
+} from './csvImport'
+import { joinFolderPath } from './folderTree'
+import { getWebsiteDomain } from './importDuplicates'
+import { parseCsv, parseCsvObjects } from './parseCsv'
+
+/**
+ * Parsers for the exports of password managers and browsers that
+ * `@tetherto/pearpass-lib-data-import` does not read. They return records in
+ * the same shape as the CSV importer, with the full folder path, and keep
+ * values that have no field of their own as custom fields.
+ */
+
+/**
+ * @typedef {{ type: string, folder: string | null, isFavorite?: boolean, data: Record<string, unknown> }} ParsedRecord
+ */
+
+const toText = (value) =>
+  typeof value === 'string' || typeof value === 'number'
+    ? String(value).trim()
+    : ''
+
+const toJson = (data) => (typeof data === 'string' ? JSON.parse(data) : data)
+
+/**
+ * Gives the records their folder as a path of the nested folders.
+ * @param {ParsedRecord[]} records
+ * @returns {ParsedRecord[]}
+ */
+const withFolderPaths = (records) =>
+  records.map((record) => ({
+    ...record,
+    folder: joinFolderPath(record.folder) || null
+  }))
+
+/**
+ * Builds a record from `[field, label, value]` entries. A value whose field
+ * the record type has no place for, or that is already taken, becomes a
+ * custom field under its label.
+ * @param {string} type
+ * @param {[string | null, string, unknown][]} entries
+ * @param {{ folder?: string | null, isFavorite?: boolean }} [options]
+ * @returns {ParsedRecord[]} the record, or nothing when every value is empty
+ */
+const buildRecord = (type, entries, { folder = null, isFavorite } = {}) => {
+  const fields = getCsvTargetFields(type)
+  /** @type {Record<string, string>} */
+  const row = {}
+  /** @type {Record<string, string>} */
+  const mapping = {}
+
+  for (const [field, label, value] of entries) {
+    const text = toText(value)
+    if (!text) continue
+    let column = label
+    for (let count = 2; column in row; count++) {
+      column = `${label} (${count})`
+    }
+    const isTaken =
+      field !== 'website' && Object.values(mapping).includes(field ?? '')
+    row[column] = text
+    mapping[column] =
+      field && fields.includes(field) && !isTaken ? field : CSV_CUSTOM_FIELD
+  }
+
+  return withFolderPaths(
+    csvRowsToRecords([row], type, mapping).map((record) => ({
+      ...record,
+      folder,
+      ...(isFavorite ? { isFavorite } : {})
+    }))
+  )
+}
+
+// Chrome, Firefox and Safari
+
+/** Columns of the browsers' password exports */
+const BROWSER_CSV_MAPPING = {
+  name: 'title',
+  title: 'title',
+  url: 'website',
+  username: 'username',
+  password: 'password',
+  note: 'note',
+  notes: 'note',
+  otpauth: 'otp',
+  httprealm: CSV_IGNORE_COLUMN,
+  formactionorigin: CSV_IGNORE_COLUMN,
+  guid: CSV_IGNORE_COLUMN,
+  timecreated: CSV_IGNORE_COLUMN,
+  timelastused: CSV_IGNORE_COLUMN,
+  timepasswordchanged: CSV_IGNORE_COLUMN
+}
+
+/**
+ * Reads the password CSV exported by Chrome, Firefox or Safari. Firefox has
+ * no name column, so its entries are named after the site.
+ * @param {string} csv
+ * @returns {Promise<ParsedRecord[]>}
+ */
+export const parseBrowserPasswordsData = async (csv) => {
+  const rows = parseCsvObjects(csv)
+  const mapping = Object.fromEntries(
+    Object.keys(rows[0] ?? {}).map((header) => [
+      header,
+      BROWSER_CSV_MAPPING[header.toLowerCase()] ?? CSV_CUSTOM_FIELD
+    ])
+  )
+  const hasTitle = Object.values(mapping).includes('title')
+  const websiteColumn = Object.keys(mapping).find(
+    (header) => mapping[header] === 'website'
+  )
+
+  return csvRowsToRecords(
+    rows.map((row) =>
+      hasTitle || !websiteColumn
+        ? row
+        : { title: getWebsiteDomain(row[websiteColumn]), ...row }
+    ),
+    'login',
+    { title: 'title', ...mapping }
+  )
+}
+
+// Dashlane
+
+const DASHLANE_CREDENTIALS_MAPPING = {
+  title: 'title',
+  username: 'username',
+  username2: CSV_CUSTOM_FIELD,
+  username3: CSV_CUSTOM_FIELD,
+  password: 'password',
+  url: 'website',
+  note: 'note',
+  category: 'folder',
+  otpSecret: 'otp',
+  otpUrl: 'otp'
+}
+
+const DASHLANE_SECURE_NOTES_MAPPING = {
+  title: 'title',
+  note: 'note',
+  category: 'folder'
+}
+
+/**
+ * Payment cards become credit cards, bank accounts notes with their
+ * details as custom fields.
+ * @param {Record<string, string>} row
+ * @returns {ParsedRecord[]}
+ */
+const parseDashlanePayment = (row) => {
+  const details = [
+    [null, 'Account name', row.account_name],
+    [null, 'Account number', row.account_number],
+    [null, 'Routing number', row.routing_number],
+    [null, 'Bank', row.issuing_bank],
+    [null, 'Country', row.country]
+  ]
+
+  if (row.type !== 'payment_card') {
+    return buildRecord('note', [
+      ['title', 'Name', row.name || row.account_name],
+      ['note', 'Note', row.note],
+      ...details
+    ])
+  }
+
+  const month = toText(row.expiration_month).padStart(2, '0')
+  const year = toText(row.expiration_year).slice(-2)
+  return buildRecord('creditCard', [
+    ['title', 'Name', row.name],
+    ['name', 'Cardholder', row.account_holder],
+    ['number', 'Card number', row.cc_number],
+    ['securityCode', 'Security code', row.code],
+    ['expireDate', 'Expiration date', year ? `${month}/${year}` : ''],
+    ['note', 'Note', row.note],
+    ...details
+  ])
+}
+
+/**
+ * @param {string} csv one of the files of a Dashlane export
+ * @returns {ParsedRecord[]}
+ */
+const parseDashlaneCsv = (csv) => {
+  const rows = parseCsvObjects(csv)
+  const headers = Object.keys(rows[0] ?? {})
+
+  if (headers.includes('cc_number')) {
+    return rows.flatMap(parseDashlanePayment)
+  }
+  if (headers.includes('password')) {
+    return withFolderPaths(
+      csvRowsToRecords(rows, 'login', DASHLANE_CREDENTIALS_MAPPING)
+    )
+  }
+  if (headers.includes('note') && headers.includes('title')) {
+    return withFolderPaths(
+      csvRowsToRecords(rows, 'note', DASHLANE_SECURE_NOTES_MAPPING)
+    )
+  }
+  return []
+}
+
+/**
+ * Reads a Dashlane export: the zip of CSV files the app exports, or one of
+ * its credentials, secure notes or payments CSVs on its own.
+ * @param {string | ArrayBuffer} data
+ * @param {string} fileType
+ * @returns {Promise<ParsedRecord[]>}
+ */
+export const parseDashlaneData = async (data, fileType) => {
+  if (fileType !== 'zip') {
+    return parseDashlaneCsv(/** @type {string} */ (data))
+  }
+
+  const zip = await JSZip.loadAsync(data)
+  const files = Object.values(zip.files).filter(
+    (file) => !file.dir && file.name.toLowerCase().endsWith('.csv')
+  )
+  const records = await Promise.all(
+    files.map(async (file) => parseDashlaneCsv(await file.async('string')))
+  )
+  return records.flat()
+}
+
+// Enpass
+
+/** Enpass field types and the record field each one fills */
+const ENPASS_FIELDS = {
+  username: 'username',
+  email: 'email',
+  password: 'password',
+  url: 'website',
+  totp: 'otp',
+  ccName: 'name',
+  ccNumber: 'number',
+  ccCvc: 'securityCode',
+  ccPin: 'pinCode',
+  ccExpiry: 'expireDate',
+  phone: 'phoneNumber'
+}
+
+const ENPASS_CATEGORIES = {
+  login: 'login',
+  password: 'login',
+  creditcard: 'creditCard',
+  identity: 'identity',
+  note: 'note'
+}
+
+/**
+ * Reads the JSON export of Enpass. Items in the trash are left out.
+ * @param {unknown} data
+ * @returns {Promise<ParsedRecord[]>}
+ */
+export const parseEnpassData = async (data) => {
+  const { folders = [], items = [] } = toJson(data) ?? {}
+  const foldersById = new Map(folders.map((folder) => [folder.uuid, folder]))
+
+  const getFolderPath = (id, seen = new Set()) => {
+    const folder = foldersById.get(id)
+    if (!folder || seen.has(id)) return ''
+    seen.add(id)
+    return joinFolderPath(
+      getFolderPath(folder.parent_uuid, seen),
+      toText(folder.title)
+    )
+  }
+
+  return items
+    .filter((item) => !item.trashed)
+    .flatMap((item) => {
+      const fields = (item.fields ?? []).filter(
+        (field) => !field.deleted && field.type !== 'section'
+      )
+      const hasLogin = fields.some(
+        (field) =>
+          ['username', 'email', 'password'].includes(field.type) &&
+          toText(field.value)
+      )
+      const type =
+        ENPASS_CATEGORIES[item.category] ?? (hasLogin ? 'login' : 'note')
+
+      return buildRecord(
+        type,
+        [
+          ['title', 'Title', item.title],
+          ...fields.map((field) => [
+            ENPASS_FIELDS[field.type] ?? null,
+            toText(field.label) || field.type,
+            field.value
+          ]),
+          ['note', 'Note', item.note]
+        ],
+        {
+          folder: getFolderPath(item.folders?.[0]),
+          isFavorite: Boolean(item.favorite)
+        }
+      )
+    })
+}
+
+// Keeper
+
+/** Keeper folders are separated by backslashes */
+const toKeeperFolderPath = (...paths) =>
+  joinFolderPath(...paths.map((path) => toText(path).replace(/\\/g, '/')))
+
+/**
+ * Keeper custom field keys look like `$type:label::1`, or are a plain label
+ * for fields the user added.
+ * @param {string} key
+ * @returns {{ fieldType: string | null, label: string }}
+ */
+const parseKeeperFieldKey = (key) => {
+  const name = key.split('::')[0]
+  if (!name.startsWith('$')) return { fieldType: null, label: name }
+  const [fieldType, label] = name.slice(1).split(':')
+  return { fieldType, label: label || fieldType }
+}
+
+/** Typed Keeper custom fields and the record field each one fills */
+const KEEPER_FIELDS = {
+  oneTimeCode: 'otp',
+  email: 'email',
+  pinCode: 'pinCode',
+  phone: 'phoneNumber'
+}
+
+const KEEPER_RECORD_TYPES = {
+  login: 'login',
+  bankCard: 'creditCard',
+  encryptedNotes: 'note',
+  address: 'identity',
+  contact: 'identity'
+}
+
+/**
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {[string | null, string, unknown][]}
+ */
+const getKeeperCustomFieldEntries = (key, value) => {
+  const { fieldType, label } = parseKeeperFieldKey(key)
+
+  if (fieldType === 'paymentCard' && value && typeof value === 'object') {
+    const card = /** @type {Record<string, unknown>} */ (value)
+    return [
+      ['number', 'Card number', card.cardNumber],
+      ['expireDate', 'Expiration date', card.cardExpirationDate],
+      ['securityCode', 'Security code', card.cardSecurityCode]
+    ]
+  }
+  if (fieldType === 'text' && label === 'cardholderName') {
+    return [['name', 'Cardholder', value]]
+  }
+  if (fieldType === 'note') {
+    return [['note', 'Note', value]]
+  }
+  if (fieldType === 'name' && value && typeof value === 'object') {
+    const { first, middle, last } = /** @type {Record<string, string>} */ (
+      value
+    )
+    return [
+      ['fullName', 'Name', [first, middle, last].filter(Boolean).join(' ')]
+    ]
+  }
+  if (fieldType === 'address' && value && typeof value === 'object') {
+    const address = /** @type {Record<string, string>} */ (value)
+    return [
+      [
+        'address',
+        'Address',
+        [address.street1, address.street2].filter(Boolean).join(', ')
+      ],
+      ['city', 'City', address.city],
+      ['region', 'State', address.state],
+      ['zip', 'ZIP code', address.zip],
+      ['country', 'Country', address.country]
+    ]
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([name, nested]) => [
+      null,
+      `${label} ${name}`,
+      nested
+    ])
+  }
+  return [[fieldType ? (KEEPER_FIELDS[fieldType] ?? null) : null, label, value]]
+}
+
+/**
+ * @param {unknown} data
+ * @returns {ParsedRecord[]}
+ */
+const parseKeeperJson = (data) => {
+  const { records = [] } = toJson(data) ?? {}
+
+  return records.flatMap((record) => {
+    const hasLogin = Boolean(toText(record.login) || toText(record.password))
+    const type =
+      KEEPER_RECORD_TYPES[record.$type] ?? (hasLogin ? 'login' : 'note')
+    const [location] = record.folders ?? []
+
+    return buildRecord(
+      type,
+      [
+        ['title', 'Title', record.title],
+        ['username', 'Login', record.login],
+        ['password', 'Password', record.password],
+        ['website', 'Website', record.login_url],
+        ...Object.entries(record.custom_fields ?? {}).flatMap(([key, value]) =>
+          getKeeperCustomFieldEntries(key, value)
+        ),
+        ['note', 'Notes', record.notes]
+      ],
+      {
+        folder: location
+          ? toKeeperFolderPath(location.shared_folder, location.folder)
+          : null
+      }
+    )
+  })
+}
+
+/**
+ * Keeper's CSV has no header: folder, title, login, password, website,
+ * notes and shared folder, followed by custom fields as name and value
+ * pairs. Its authenticator key is the custom field `TFC:Keeper`.
+ * @param {string} csv
+ * @returns {ParsedRecord[]}
+ */
+const parseKeeperCsv = (csv) =>
+  parseCsv(csv).flatMap((row) => {
+    if (row.length < 6) return []
+    const [folder, title, login, password, website, notes, sharedFolder] = row
+    const customFields = []
+    for (let i = 7; i < row.length; i += 2) {
+      const label = toText(row[i])
+      customFields.push([
+        label === 'TFC:Keeper' ? 'otp' : null,
+        label,
+        row[i + 1]
+      ])
+    }
+
+    return buildRecord(
+      'login',
+      [
+        ['title', 'Title', title],
+        ['username', 'Login', login],
+        ['password', 'Password', password],
+        ['website', 'Website', website],
+        ...customFields,
+        ['note', 'Notes', notes]
+      ],
+      { folder: toKeeperFolderPath(sharedFolder, folder) }
+    )
+  })
+
+/**
+ * Reads the JSON or CSV export of Keeper.
+ * @param {unknown} data
+ * @param {string} fileType
+ * @returns {Promise<ParsedRecord[]>}
+ */
+export const parseKeeperData = async (data, fileType) =>
+  fileType === 'csv'
+    ? parseKeeperCsv(/** @type {string} */ (data))
+    : parseKeeperJson(data)
+
+// RoboForm
+
+const ROBOFORM_MAPPING = {
+  Name: 'title',
+  Url: 'website',
+  MatchUrl: CSV_IGNORE_COLUMN,
+  Login: 'username',
+  Pwd: 'password',
+  Note: 'note',
+  Folder: 'folder',
+  RfFieldsV2: CSV_IGNORE_COLUMN
+}
+
+/**
+ * Reads the CSV export of RoboForm. Its logins and safenotes share one file;
+ * a row without a login, password or address is a safenote.
+ * @param {string} csv
+ * @returns {Promise<ParsedRecord[]>}
+ */
+export const parseRoboFormData = async (csv) =>
+  parseCsvObjects(csv).flatMap((row) => {
+    const isLogin = ['Url', 'Login', 'Pwd'].some((column) =>
+      toText(row[column])
+    )
+    return withFolderPaths(
+      csvRowsToRecords([row], isLogin ? 'login' : 'note', ROBOFORM_MAPPING)
+    )
+  })
@@ -0,0 +1,283 @@
+import JSZip from 'jszip'
+
+import {
+  parseBrowserPasswordsData,
+  parseDashlaneData,
+  parseEnpassData,
+  parseKeeperData,
+  parseRoboFormData
+} from './passwordManagerImport'
+
+jest.mock('jszip', () => ({
+  loadAsync: jest.fn()
+}))
+
+describe('parseBrowserPasswordsData', () => {
+  it('reads the Chrome, Firefox and Safari exports', async () => {
+    await expect(
+      parseBrowserPasswordsData(
+        'name,url,username,password,note\nGitHub,https://github.com/,alice,secret,Work\n'
+      )
+    ).resolves.toEqual([
+      {
+        type: 'login',
+        folder: null,
+        data: {
+          title: 'GitHub',
+          websites: ['https://github.com/'],
+          username: 'alice',
+          password: 'secret',
+          note: 'Work'
+        }
+      }
+    ])
+
+    const [firefox] = await parseBrowserPasswordsData(
+      '"url","username","password","httpRealm","formActionOrigin","guid","timeCreated","timeLastUsed","timePasswordChanged"\n' +
+        '"https://www.example.com","bob","hunter2",,"https://www.example.com","{1}","1","2","3"\n'
+    )
+    expect(firefox.data).toEqual({
+      title: 'example.com',
+      websites: ['https://www.example.com'],
+      username: 'bob',
+      password: 'hunter2'
+    })
+
+    const [safari] = await parseBrowserPasswordsData(
+      'Title,URL,Username,Password,Notes,OTPAuth\nBank,https://bank.example,carol,pw,,otpauth://totp/Bank?secret=ABC\n'
+    )
+    expect(safari.data).toEqual({
+      title: 'Bank',
+      websites: ['https://bank.example'],
+      username: 'carol',
+      password: 'pw',
+      otpInput: 'otpauth://totp/Bank?secret=ABC'
+    })
+  })
+})
+
+describe('parseDashlaneData', () => {
+  const credentials =
+    'username,username2,username3,title,password,note,url,category,otpSecret\n' +
+    'alice,alice2,,GitHub,secret,,https://github.com,Work,JBSWY3DP\n'
+
+  it('reads a credentials CSV', async () => {
+    await expect(parseDashlaneData(credentials, 'csv')).resolves.toEqual([
+      {
+        type: 'login',
+        folder: 'Work',
+        data: {
+          title: 'GitHub',
+          username: 'alice',
+          password: 'secret',
+          websites: ['https://github.com'],
+          otpInput: 'JBSWY3DP',
+          customFields: [
+            { type: 'note', name: 'note', note: 'username2: alice2' }
+          ]
+        }
+      }
+    ])
+  })
+
+  it('reads every CSV of the exported zip', async () => {
+    const files = {
+      'credentials.csv': credentials,
+      'securenotes.csv': 'title,note,category\nWifi,Door code 1234,\n',
+      'payments.csv':
+        'type,account_name,account_holder,cc_number,code,expiration_month,expiration_year,routing_number,account_number,country,issuing_bank,note,name\n' +
+        'payment_card,,Alice Doe,4111111111111111,123,3,2030,,,US,,,Visa\n'
+    }
+    jest.mocked(JSZip.loadAsync).mockResolvedValue(
+      /** @type {any} */ ({
+        files: Object.fromEntries(
+          Object.entries(files).map(([name, text]) => [
+            name,
+            { name, dir: false, async: async () => text }
+          ])
+        )
+      })
+    )
+
+    const records = await parseDashlaneData(new ArrayBuffer(8), 'zip')
+
+    expect(records.map((record) => record.type)).toEqual([
+      'login',
+      'note',
+      'creditCard'
+    ])
+    expect(records[1].data).toEqual({ title: 'Wifi', note: 'Door code 1234' })
+    expect(records[2].data).toEqual({
+      title: 'Visa',
+      name: 'Alice Doe',
+      number: '4111111111111111',
+      securityCode: '123',
+      expireDate: '03/30',
+      customFields: [{ type: 'note', name: 'note', note: 'Country: US' }]
+    })
+  })
+})
+
+describe('parseEnpassData', () => {
+  it('keeps the folder path and leaves out trashed items', async () => {
+    const records = await parseEnpassData(
+      JSON.stringify({
+        folders: [
+          { uuid: 'f1', title: 'Work', parent_uuid: '' },
+          { uuid: 'f2', title: 'Clients', parent_uuid: 'f1' }
+        ],
+        items: [
+          {
+            title: 'GitHub',
+            category: 'login',
+            favorite: 1,
+            folders: ['f2'],
+            note: 'Main account',
+            fields: [
+              { type: 'username', label: 'Username', value: 'alice' },
+              { type: 'email', label: 'E-mail', value: 'alice@example.com' },
+              { type: 'password', label: 'Password', value: 'secret' },
+              { type: 'url', label: 'Website', value: 'github.com' },
+              { type: 'section', label: 'More', value: '' },
+              { type: 'text', label: 'Recovery', value: 'codes' },
+              { type: 'text', label: 'Old', value: 'gone', deleted: 1 }
+            ]
+          },
+          { title: 'Deleted', category: 'note', trashed: 1, fields: [] }
+        ]
+      })
+    )
+
+    expect(records).toEqual([
+      {
+        type: 'login',
+        folder: 'Work/Clients',
+        isFavorite: true,
+        data: {
+          title: 'GitHub',
+          username: 'alice',
+          email: 'alice@example.com',
+          password: 'secret',
+          websites: ['github.com'],
+          note: 'Main account',
+          customFields: [
+            { type: 'note', name: 'note', note: 'Recovery: codes' }
+          ]
+        }
+      }
+    ])
+  })
+})
+
+describe('parseKeeperData', () => {
+  it('reads the JSON export', async () => {
+    const records = await parseKeeperData(
+      {
+        records: [
+          {
+            title: 'GitHub',
+            $type: 'login',
+            login: 'alice',
+            password: 'secret',
+            login_url: 'https://github.com',
+            custom_fields: {
+              '$oneTimeCode::1': 'otpauth://totp/GitHub?secret=ABC',
+              'Security question': 'Blue'
+            },
+            folders: [{ shared_folder: 'Team', folder: 'Dev\\Tools' }]
+          },
+          {
+            title: 'Visa',
+            $type: 'bankCard',
+            custom_fields: {
+              '$paymentCard::1': {
+                cardNumber: '4111111111111111',
+                cardExpirationDate: '03/2030',
+                cardSecurityCode: '123'
+              },
+              '$text:cardholderName::1': 'Alice Doe'
+            }
+          }
+        ]
+      },
+      'json'
+    )
+
+    expect(records).toEqual([
+      {
+        type: 'login',
+        folder: 'Team/Dev/Tools',
+        data: {
+          title: 'GitHub',
+          username: 'alice',
+          password: 'secret',
+          websites: ['https://github.com'],
+          otpInput: 'otpauth://totp/GitHub?secret=ABC',
+          customFields: [
+            { type: 'note', name: 'note', note: 'Security question: Blue' }
+          ]
+        }
+      },
+      {
+        type: 'creditCard',
+        folder: null,
+        data: {
+          title: 'Visa',
+          number: '4111111111111111',
+          expireDate: '03/2030',
+          securityCode: '123',
+          name: 'Alice Doe'
+        }
+      }
+    ])
+  })
+
+  it('reads the CSV export with its custom field pairs', async () => {
+    const [record] = await parseKeeperData(
+      'Personal\\Banking,Bank,alice,pw,https://bank.example,Note,,PIN,1234,TFC:Keeper,otpauth://totp/Bank\n',
+      'csv'
+    )
+
+    expect(record).toEqual({
+      type: 'login',
+      folder: 'Personal/Banking',
+      data: {
+        title: 'Bank',
+        username: 'alice',
+        password: 'pw',
+        websites: ['https://bank.example'],
+        otpInput: 'otpauth://totp/Bank',
+        note: 'Note',
+        customFields: [{ type: 'note', name: 'note', note: 'PIN: 1234' }]
+      }
+    })
+  })
+})
+
+describe('parseRoboFormData', () => {
+  it('reads logins and safenotes', async () => {
+    const records = await parseRoboFormData(
+      'Name,Url,MatchUrl,Login,Pwd,Note,Folder,RfFieldsV2\n' +
+        'GitHub,https://github.com,https://github.com,alice,secret,,/Work/Dev,x\n' +
+        'Alarm,,,,,Code 1234,/Home,\n'
+    )
+
+    expect(records).toEqual([
+      {
+        type: 'login',
+        folder: 'Work/Dev',
+        data: {
+          title: 'GitHub',
+          websites: ['https://github.com'],
+          username: 'alice',
+          password: 'secret'
+        }
+      },
+      {
+        type: 'note',
+        folder: 'Home',
+        data: { title: 'Alarm', note: 'Code 1234' }
+      }
+    ])
+  })
+})
@@ -0,0 +1,60 @@
+import { readRecordFiles } from './recordFiles'
+
+/**
+ * The OTP of a record as `otpInput`, the form `createRecord` sets an OTP up
+ * from. A stored OTP only keeps its parsed configuration, so it is written
+ * back as an `otpauth://` URI to keep the type, algorithm, digits, period
+ * and counter, and not only the secret.
+ * @param {Record<string, any> | null | undefined} data
+ * @returns {string | undefined}
+ */
+export const getRecordOtpInput = (data) => {
+  if (typeof data?.otpInput === 'string' && data.otpInput) return data.otpInput
+
+  const otp = data?.otp
+  if (!otp?.secret) return undefined
+  if (!otp.type) return otp.secret
+
+  const type = String(otp.type).toLowerCase()
+  const params = new URLSearchParams({ secret: otp.secret })
+  if (otp.issuer) params.set('issuer', otp.issuer)
+  if (otp.algorithm) params.set('algorithm', otp.algorithm)
+  if (otp.digits) params.set('digits', String(otp.digits))
+  if (type === 'hotp') {
+    params.set('counter', String(otp.counter ?? 0))
+  } else if (otp.period) {
+    params.set('period', String(otp.period))
+  }
+
+  return `otpauth://${type}/${encodeURIComponent(otp.label ?? data.title ?? '')}?${params}`
+}
+
+/**
+ * What `createRecord` needs to recreate a record of the active vault, in
+ * this vault or another one: its fields and custom fields, the content of
+ * its files and its OTP.
+ * @param {{
+ *  id: string
+ *  type: string
+ *  folder?: string | null
+ *  isFavorite?: boolean
+ *  data?: Record<string, unknown> | null
+ * }} record
+ * @returns {Promise<{
+ *  type: string
+ *  folder: string | null
+ *  isFavorite: boolean
+ *  data: Record<string, unknown>
+ * }>}
+ */
+export const createRecordCopy = async (record) => {
+  const data = await readRecordFiles(record)
+  const otpInput = getRecordOtpInput(record.data)
+
+  return {
+    type: record.type,
+    folder: record.folder ?? null,
+    isFavorite: !!record.isFavorite,
+    data: otpInput ? { ...data, otpInput } : data
+  }
+}
@@ -0,0 +1,69 @@
+import { createRecordCopy, getRecordOtpInput } from './recordCopy'
+
+jest.mock('./recordFiles', () => ({
+  readRecordFiles: jest.fn(async (record) => ({
+    ...record.data,
+    attachments: [{ name: 'scan.pdf', buffer: 'buffer' }]
+  }))
+}))
+
+describe('getRecordOtpInput', () => {
+  it('keeps the OTP input the record was created with', () => {
+    expect(getRecordOtpInput({ otpInput: 'JBSWY3DPEHPK3PXP' })).toBe(
+      'JBSWY3DPEHPK3PXP'
+    )
+  })
+
+  it('writes a stored OTP back as a URI with its configuration', () => {
+    expect(
+      getRecordOtpInput({
+        title: 'GitHub',
+        otp: {
+          secret: 'JBSWY3DPEHPK3PXP',
+          type: 'TOTP',
+          algorithm: 'SHA256',
+          digits: 8,
+          period: 60,
+          issuer: 'GitHub',
+          label: 'alice@example.com'
+        }
+      })
+    ).toBe(
+      'otpauth://totp/alice%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=GitHub&algorithm=SHA256&digits=8&period=60'
+    )
+    expect(
+      getRecordOtpInput({ otp: { secret: 'ABC', type: 'HOTP', counter: 4 } })
+    ).toBe('otpauth://hotp/?secret=ABC&counter=4')
+  })
+
+  it('falls back to the secret, or nothing without an OTP', () => {
+    expect(getRecordOtpInput({ otp: { secret: 'ABC' } })).toBe('ABC')
+    expect(getRecordOtpInput({ title: 'Note' })).toBeUndefined()
+  })
+})
+
+describe('createRecordCopy', () => {
+  it('brings along files, custom fields and the OTP', async () => {
+    const customFields = [{ type: 'note', note: 'PIN 1234' }]
+
+    await expect(
+      createRecordCopy({
+        id: 'r1',
+        type: 'login',
+        folder: 'Work',
+        data: { title: 'GitHub', customFields, otp: { secret: 'ABC' } }
+      })
+    ).resolves.toEqual({
+      type: 'login',
+      folder: 'Work',
+      isFavorite: false,
+      data: {
+        title: 'GitHub',
+        customFields,
+        otp: { secret: 'ABC' },
+        otpInput: 'ABC',
+        attachments: [{ name: 'scan.pdf', buffer: 'buffer' }]
+      }
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { vaultGetFile } from '@tetherto/pearpass-lib-vault'
+
+/**
+ * Fields of record data that hold files stored next to the record rather
+ * than inside it.
+ */
+export const RECORD_FILE_FIELDS = [
+  'attachments',
+  'passportPicture',
+  'idCardPicture',
+  'drivingLicensePicture'
+]
+
+/**
+ * Copy of the record data with the content of its files read from the
+ * active vault, in the `{ name, buffer }` shape `createRecord` takes for new
+ * files. Creating a record from it stores and encrypts the files again,
+ * which is what duplicating a record or copying it into another vault needs.
+ * @param {{ id: string, data?: Record<string, unknown> | null }} record
+ * @returns {Promise<Record<string, unknown>>}
+ */
+export const readRecordFiles = async (record) => {
+  const data = { ...(record.data ?? {}) }
+
+  for (const field of RECORD_FILE_FIELDS) {
+    const files = data[field]
+    if (!Array.isArray(files)) continue
+
+    data[field] = await Promise.all(
+      files.map(async ({ id, name }) => ({
+        name,
+        buffer: await vaultGetFile(`record/${record.id}/file/${id}`)
+      }))
+    )
+  }
+
+  return data
+}
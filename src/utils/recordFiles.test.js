@@ -0,0 +1,43 @@
+import { vaultGetFile } from '@tetherto/pearpass-lib-vault'
+
+import { readRecordFiles } from './recordFiles'
+
+jest.mock('@tetherto/pearpass-lib-vault', () => ({
+  vaultGetFile: jest.fn()
+}))
+
+describe('readRecordFiles', () => {
+  beforeEach(() => {
+    vaultGetFile.mockReset()
+    vaultGetFile.mockImplementation(async (key) => `buffer:${key}`)
+  })
+
+  it('reads attachments and identity pictures of the record', async () => {
+    const record = {
+      id: 'rec-1',
+      data: {
+        title: 'Passport',
+        attachments: [{ id: 'f1', name: 'scan.pdf' }],
+        passportPicture: [{ id: 'f2', name: 'photo.png' }]
+      }
+    }
+
+    await expect(readRecordFiles(record)).resolves.toEqual({
+      title: 'Passport',
+      attachments: [
+        { name: 'scan.pdf', buffer: 'buffer:record/rec-1/file/f1' }
+      ],
+      passportPicture: [
+        { name: 'photo.png', buffer: 'buffer:record/rec-1/file/f2' }
+      ]
+    })
+    expect(record.data.attachments).toEqual([{ id: 'f1', name: 'scan.pdf' }])
+  })
+
+  it('leaves records without files as they are', async () => {
+    await expect(
+      readRecordFiles({ id: 'rec-2', data: { title: 'Note' } })
+    ).resolves.toEqual({ title: 'Note' })
+    expect(vaultGetFile).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,159 @@
+/**
+ * Tags of a record, kept in its data next to the fields so they are
+ * encrypted and synced with the record. Unlike the folder a record can carry
+ * any number of them.
+ */
+
+/**
+ * @typedef {{ id?: string, type?: string, data?: { title?: unknown, tags?: unknown } | null }} TaggableRecord
+ */
+
+/**
+ * Trimmed, without blanks and without repeats that only differ in case. The
+ * first spelling wins.
+ * @param {unknown} tags
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return []
+  const seen = new Set()
+  const result = []
+  for (const tag of tags) {
+    if (typeof tag !== 'string') continue
+    const trimmed = tag.trim().replace(/\s+/g, ' ')
+    const key = trimmed.toLowerCase()
+    if (!trimmed || seen.has(key)) continue
+    seen.add(key)
+    result.push(trimmed)
+  }
+  return result
+}
+
+/**
+ * @param {TaggableRecord | undefined | null} record
+ * @returns {string[]}
+ */
+export const getRecordTags = (record) => normalizeTags(record?.data?.tags)
+
+/**
+ * @param {TaggableRecord | undefined | null} record
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export const hasRecordTag = (record, tag) => {
+  const key = String(tag ?? '')
+    .trim()
+    .toLowerCase()
+  return getRecordTags(record).some(
+    (recordTag) => recordTag.toLowerCase() === key
+  )
+}
+
+/**
+ * Add and remove tags on a record, leaving its other tags alone
+ * @template {TaggableRecord} T
+ * @param {T} record
+ * @param {{ added?: string[], removed?: string[] }} changes
+ * @returns {T}
+ */
+export const applyTagChanges = (record, { added = [], removed = [] }) => {
+  const removedKeys = new Set(
+    normalizeTags(removed).map((tag) => tag.toLowerCase())
+  )
+  const tags = normalizeTags([...getRecordTags(record), ...added]).filter(
+    (tag) => !removedKeys.has(tag.toLowerCase())
+  )
+  return { ...record, data: { ...(record.data ?? {}), tags } }
+}
+
+/**
+ * Every tag used by the records, with how many records carry it
+ * @param {TaggableRecord[] | undefined | null} records
+ * @returns {{ tag: string, count: number }[]} Sorted by name
+ */
+export const collectTags = (records) => {
+  /** @type {Map<string, { tag: string, count: number }>} */
+  const byKey = new Map()
+  for (const record of records ?? []) {
+    for (const tag of getRecordTags(record)) {
+      const key = tag.toLowerCase()
+      const entry = byKey.get(key)
+      if (entry) {
+        entry.count += 1
+      } else {
+        byKey.set(key, { tag, count: 1 })
+      }
+    }
+  }
+  return [...byKey.values()].sort((a, b) =>
+    a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' })
+  )
+}
+
+/**
+ * Record-like objects anywhere in a parsed export file
+ * @param {unknown} value
+ * @returns {TaggableRecord[]}
+ */
+export const findRecordsInExport = (value) => {
+  /** @type {TaggableRecord[]} */
+  const records = []
+  const visit = (/** @type {unknown} */ node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit)
+      return
+    }
+    if (!node || typeof node !== 'object') return
+    const candidate = /** @type {Record<string, unknown>} */ (node)
+    if (
+      typeof candidate.type === 'string' &&
+      candidate.data &&
+      typeof candidate.data === 'object'
+    ) {
+      records.push(/** @type {TaggableRecord} */ (candidate))
+      return
+    }
+    Object.values(candidate).forEach(visit)
+  }
+  visit(value)
+  return records
+}
+
+/**
+ * @param {TaggableRecord} record
+ * @returns {string}
+ */
+const getMatchKey = (record) =>
+  `${record.type}\u0000${String(record.data?.title ?? '').toLowerCase()}`
+
+/**
+ * Give records converted by an importer or exporter back the tags of the
+ * records they were made from, matched by id or else by type and title.
+ * The targets are changed in place.
+ * @param {TaggableRecord[]} targets
+ * @param {TaggableRecord[]} sources
+ * @returns {number} How many records got their tags back
+ */
+export const copyRecordTags = (targets, sources) => {
+  const byId = new Map()
+  const byKey = new Map()
+  for (const source of sources) {
+    const tags = getRecordTags(source)
+    if (!tags.length) continue
+    if (source.id) byId.set(source.id, tags)
+    if (!byKey.has(getMatchKey(source))) byKey.set(getMatchKey(source), tags)
+  }
+
+  let count = 0
+  for (const target of targets) {
+    if (!target || typeof target !== 'object' || getRecordTags(target).length) {
+      continue
+    }
+    const tags =
+      (target.id && byId.get(target.id)) ?? byKey.get(getMatchKey(target))
+    if (!tags) continue
+    target.data = { ...(target.data ?? {}), tags: [...tags] }
+    count += 1
+  }
+  return count
+}
@@ -0,0 +1,104 @@
+import {
+  applyTagChanges,
+  collectTags,
+  copyRecordTags,
+  findRecordsInExport,
+  getRecordTags,
+  hasRecordTag,
+  normalizeTags
+} from './recordTags'
+
+describe('normalizeTags', () => {
+  it('trims, drops blanks and repeats that only differ in case', () => {
+    expect(
+      normalizeTags([' Travel ', 'travel', '', 'Side  projects', 3, 'Work'])
+    ).toEqual(['Travel', 'Side projects', 'Work'])
+  })
+
+  it('returns an empty list for anything but an array', () => {
+    expect(normalizeTags(undefined)).toEqual([])
+    expect(normalizeTags('Travel')).toEqual([])
+  })
+})
+
+describe('getRecordTags and hasRecordTag', () => {
+  const record = { type: 'login', data: { title: 'GitHub', tags: ['Work'] } }
+
+  it('reads the tags of a record', () => {
+    expect(getRecordTags(record)).toEqual(['Work'])
+    expect(getRecordTags({ type: 'note', data: {} })).toEqual([])
+  })
+
+  it('matches tags without case', () => {
+    expect(hasRecordTag(record, ' work ')).toBe(true)
+    expect(hasRecordTag(record, 'home')).toBe(false)
+  })
+})
+
+describe('applyTagChanges', () => {
+  it('adds and removes tags and keeps the others', () => {
+    const record = {
+      id: '1',
+      type: 'login',
+      data: { title: 'GitHub', tags: ['Work', 'Dev'] }
+    }
+
+    expect(
+      applyTagChanges(record, { added: ['Shared', 'work'], removed: ['dev'] })
+    ).toEqual({
+      id: '1',
+      type: 'login',
+      data: { title: 'GitHub', tags: ['Work', 'Shared'] }
+    })
+    expect(record.data.tags).toEqual(['Work', 'Dev'])
+  })
+})
+
+describe('collectTags', () => {
+  it('counts the records carrying each tag, sorted by name', () => {
+    expect(
+      collectTags([
+        { data: { tags: ['work', 'Dev'] } },
+        { data: { tags: ['Work'] } },
+        { data: {} }
+      ])
+    ).toEqual([
+      { tag: 'Dev', count: 1 },
+      { tag: 'work', count: 2 }
+    ])
+  })
+})
+
+describe('findRecordsInExport and copyRecordTags', () => {
+  const exported = {
+    vaults: [
+      {
+        name: 'Personal',
+        records: [
+          { id: 'a', type: 'login', data: { title: 'GitHub', tags: ['Work'] } },
+          { id: 'b', type: 'note', data: { title: 'Plans', tags: ['Home'] } },
+          { id: 'c', type: 'note', data: { title: 'Recipe' } }
+        ]
+      }
+    ]
+  }
+
+  it('finds records anywhere in an export', () => {
+    expect(findRecordsInExport(exported).map((record) => record.id)).toEqual([
+      'a',
+      'b',
+      'c'
+    ])
+  })
+
+  it('gives converted records their tags back by id or by title', () => {
+    const targets = [
+      { id: 'a', type: 'login', data: { title: 'Renamed' } },
+      { type: 'note', data: { title: 'plans' } },
+      { type: 'note', data: { title: 'Recipe' } }
+    ]
+
+    expect(copyRecordTags(targets, findRecordsInExport(exported))).toBe(2)
+    expect(targets.map(getRecordTags)).toEqual([['Work'], ['Home'], []])
+  })
+})
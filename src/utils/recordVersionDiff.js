@@ -0,0 +1,244 @@
+/**
+ * Field-level differences between two versions of a record, as kept by the
+ * main process in electron/recordVersions.cjs
+ */
+
+// Secrets are reported as changed without showing either value
+export const SECRET_RECORD_FIELDS = [
+  'password',
+  'securityCode',
+  'pinCode',
+  'passPhrase',
+  'privateKey',
+  'otp',
+  'credential'
+]
+
+// Bookkeeping that changes along with other fields
+const IGNORED_RECORD_FIELDS = [
+  'passwordHistory',
+  'passwordUpdatedAt',
+  'passkeyCreatedAt'
+]
+
+/**
+ * @typedef RecordFieldChange
+ * @property {string} field - `title`, `folder`, `isFavorite`, `websites`,
+ * `customFields`, `attachments` or the key of another field of record.data
+ * @property {'added' | 'removed' | 'changed'} kind
+ * @property {string} [before]
+ * @property {string} [after]
+ * @property {number} [index] - Position of a custom field
+ * @property {boolean} [isSecret] - Values left out
+ */
+
+/**
+ * @typedef {{ folder?: string | null, isFavorite?: boolean, data?: Record<string, unknown> } | null | undefined} VersionedRecord
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0)
+
+/**
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {'added' | 'removed' | 'changed'}
+ */
+const getKind = (before, after) =>
+  isEmpty(before) ? 'added' : isEmpty(after) ? 'removed' : 'changed'
+
+/**
+ * @param {unknown} value
+ * @returns {string | undefined}
+ */
+const toText = (value) =>
+  isEmpty(value)
+    ? undefined
+    : typeof value === 'object'
+      ? JSON.stringify(value)
+      : String(value)
+
+/**
+ * @param {unknown} value
+ * @returns {any[]}
+ */
+const toList = (value) => (Array.isArray(value) ? value : [])
+
+/**
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {boolean}
+ */
+const isSame = (before, after) =>
+  (isEmpty(before) && isEmpty(after)) ||
+  JSON.stringify(before) === JSON.stringify(after)
+
+/**
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {RecordFieldChange[]}
+ */
+const diffWebsites = (before, after) => {
+  const previous = toList(before).filter(Boolean).map(String)
+  const next = toList(after).filter(Boolean).map(String)
+  return [
+    ...previous
+      .filter((website) => !next.includes(website))
+      .map((website) => ({
+        field: 'websites',
+        kind: /** @type {const} */ ('removed'),
+        before: website
+      })),
+    ...next
+      .filter((website) => !previous.includes(website))
+      .map((website) => ({
+        field: 'websites',
+        kind: /** @type {const} */ ('added'),
+        after: website
+      }))
+  ]
+}
+
+/**
+ * Custom fields have no ids, they are compared by position
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {RecordFieldChange[]}
+ */
+const diffCustomFields = (before, after) => {
+  const previous = toList(before)
+  const next = toList(after)
+  /** @type {RecordFieldChange[]} */
+  const changes = []
+  for (let index = 0; index < Math.max(previous.length, next.length); index++) {
+    const previousValue = previous[index]?.note
+    const nextValue = next[index]?.note
+    if (isSame(previousValue, nextValue)) continue
+    changes.push({
+      field: 'customFields',
+      kind: getKind(previousValue, nextValue),
+      before: toText(previousValue),
+      after: toText(nextValue),
+      index
+    })
+  }
+  return changes
+}
+
+/**
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {RecordFieldChange[]}
+ */
+const diffAttachments = (before, after) => {
+  const previous = toList(before).filter((attachment) => attachment?.id)
+  const next = toList(after).filter((attachment) => attachment?.id)
+  const previousById = new Map(previous.map((item) => [item.id, item]))
+  const nextById = new Map(next.map((item) => [item.id, item]))
+
+  return [
+    ...previous
+      .filter((attachment) => !nextById.has(attachment.id))
+      .map((attachment) => ({
+        field: 'attachments',
+        kind: /** @type {const} */ ('removed'),
+        before: attachment.name
+      })),
+    ...next
+      .filter((attachment) => !previousById.has(attachment.id))
+      .map((attachment) => ({
+        field: 'attachments',
+        kind: /** @type {const} */ ('added'),
+        after: attachment.name
+      })),
+    ...next
+      .filter(
+        (attachment) =>
+          previousById.has(attachment.id) &&
+          previousById.get(attachment.id).name !== attachment.name
+      )
+      .map((attachment) => ({
+        field: 'attachments',
+        kind: /** @type {const} */ ('changed'),
+        before: previousById.get(attachment.id).name,
+        after: attachment.name
+      }))
+  ]
+}
+
+/**
+ * What changed from one version of a record to the next. Title first,
+ * then the folder and favorite state, then the other fields.
+ * @param {VersionedRecord} previous - null for the first version
+ * @param {VersionedRecord} next
+ * @returns {RecordFieldChange[]}
+ */
+export const diffRecordVersions = (previous, next) => {
+  const previousData = previous?.data ?? {}
+  const nextData = next?.data ?? {}
+  /** @type {RecordFieldChange[]} */
+  const changes = []
+
+  if (!isSame(previousData.title, nextData.title)) {
+    changes.push({
+      field: 'title',
+      kind: getKind(previousData.title, nextData.title),
+      before: toText(previousData.title),
+      after: toText(nextData.title)
+    })
+  }
+
+  if (!isSame(previous?.folder, next?.folder)) {
+    changes.push({
+      field: 'folder',
+      kind: getKind(previous?.folder, next?.folder),
+      before: toText(previous?.folder),
+      after: toText(next?.folder)
+    })
+  }
+
+  if (!!previous?.isFavorite !== !!next?.isFavorite) {
+    changes.push({
+      field: 'isFavorite',
+      kind: next?.isFavorite ? 'added' : 'removed'
+    })
+  }
+
+  const fields = [
+    ...new Set([...Object.keys(previousData), ...Object.keys(nextData)])
+  ].filter(
+    (field) => field !== 'title' && !IGNORED_RECORD_FIELDS.includes(field)
+  )
+
+  for (const field of fields) {
+    const before = previousData[field]
+    const after = nextData[field]
+    if (isSame(before, after)) continue
+
+    if (field === 'websites') {
+      changes.push(...diffWebsites(before, after))
+    } else if (field === 'customFields') {
+      changes.push(...diffCustomFields(before, after))
+    } else if (field === 'attachments') {
+      changes.push(...diffAttachments(before, after))
+    } else if (SECRET_RECORD_FIELDS.includes(field)) {
+      changes.push({ field, kind: getKind(before, after), isSecret: true })
+    } else {
+      changes.push({
+        field,
+        kind: getKind(before, after),
+        before: toText(before),
+        after: toText(after)
+      })
+    }
+  }
+
+  return changes
+}
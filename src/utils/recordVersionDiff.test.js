@@ -0,0 +1,108 @@
+import { diffRecordVersions } from './recordVersionDiff'
+
+const login = (data, extra = {}) => ({
+  id: 'bank',
+  type: 'login',
+  folder: 'Finance',
+  data: {
+    title: 'Bank',
+    username: 'alice',
+    password: 'secret',
+    websites: ['https://bank.example'],
+    customFields: [],
+    attachments: [],
+    ...data
+  },
+  ...extra
+})
+
+describe('diffRecordVersions', () => {
+  it('lists every filled field of the first version as added', () => {
+    expect(diffRecordVersions(null, login())).toEqual([
+      { field: 'title', kind: 'added', before: undefined, after: 'Bank' },
+      {
+        field: 'folder',
+        kind: 'added',
+        before: undefined,
+        after: 'Finance'
+      },
+      { field: 'username', kind: 'added', before: undefined, after: 'alice' },
+      { field: 'password', kind: 'added', isSecret: true },
+      { field: 'websites', kind: 'added', after: 'https://bank.example' }
+    ])
+  })
+
+  it('finds nothing between equal versions', () => {
+    expect(diffRecordVersions(login(), login())).toEqual([])
+  })
+
+  it('reports title changes, folder moves and favorites', () => {
+    expect(
+      diffRecordVersions(
+        login(),
+        login({ title: 'My bank' }, { folder: '', isFavorite: true })
+      )
+    ).toEqual([
+      { field: 'title', kind: 'changed', before: 'Bank', after: 'My bank' },
+      { field: 'folder', kind: 'removed', before: 'Finance', after: undefined },
+      { field: 'isFavorite', kind: 'added' }
+    ])
+  })
+
+  it('leaves secret values out', () => {
+    expect(
+      diffRecordVersions(login(), login({ password: 'new secret' }))
+    ).toEqual([{ field: 'password', kind: 'changed', isSecret: true }])
+  })
+
+  it('ignores password history bookkeeping', () => {
+    expect(
+      diffRecordVersions(
+        login(),
+        login({ passwordUpdatedAt: 5, passwordHistory: [{ password: 'x' }] })
+      )
+    ).toEqual([])
+  })
+
+  it('compares websites, custom fields and attachments item by item', () => {
+    const previous = login({
+      websites: ['https://bank.example', 'https://old.example'],
+      customFields: [
+        { type: 'note', note: 'PIN hint' },
+        { type: 'note', note: 'Branch 12' }
+      ],
+      attachments: [
+        { id: 'a1', name: 'contract.pdf' },
+        { id: 'a2', name: 'card.png' }
+      ]
+    })
+    const next = login({
+      websites: ['https://bank.example', 'https://new.example'],
+      customFields: [{ type: 'note', note: 'PIN hint' }],
+      attachments: [
+        { id: 'a1', name: 'signed contract.pdf' },
+        { id: 'a3', name: 'statement.pdf' }
+      ]
+    })
+
+    expect(diffRecordVersions(previous, next)).toEqual([
+      { field: 'websites', kind: 'removed', before: 'https://old.example' },
+      { field: 'websites', kind: 'added', after: 'https://new.example' },
+      {
+        field: 'customFields',
+        kind: 'removed',
+        before: 'Branch 12',
+        after: undefined,
+        index: 1
+      },
+      { field: 'attachments', kind: 'removed', before: 'card.png' },
+      { field: 'attachments', kind: 'added', after: 'statement.pdf' },
+      {
+        field: 'attachments',
+        kind: 'changed',
+        before: 'contract.pdf',
+        after: 'signed contract.pdf'
+      }
+    ])
+  })
+})
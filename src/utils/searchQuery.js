@@ -0,0 +1,327 @@
+/**
+ * Search queries of the app header. Free text is combined with `key:value`
+ * filters, e.g. `type:login folder:Work url:github.com has:otp is:favorite
+ * updated:<30d tag:travel bank`. A leading `-` negates a filter and values with spaces
+ * go in quotes (`folder:"Side projects"`).
+ */
+
+import { isInFolderSubtree } from './folderTree'
+import { hasRecordTag } from './recordTags'
+
+/**
+ * @typedef {import('./groupRecordsByTimePeriod').VaultRecord} VaultRecord
+ */
+
+/**
+ * @typedef SearchFilter
+ * @property {string} key - One of SEARCH_FILTER_KEYS
+ * @property {string} value - Lower-cased
+ * @property {boolean} isNegated
+ */
+
+/**
+ * @typedef ParsedSearchQuery
+ * @property {string[]} terms - Free text, lower-cased
+ * @property {SearchFilter[]} filters
+ */
+
+export const SEARCH_FILTER_KEYS = {
+  TYPE: 'type',
+  FOLDER: 'folder',
+  URL: 'url',
+  HAS: 'has',
+  IS: 'is',
+  UPDATED: 'updated',
+  TAG: 'tag'
+}
+
+const FILTER_KEYS = Object.values(SEARCH_FILTER_KEYS)
+
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/gi
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const DURATION_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  y: 365 * DAY_MS
+}
+
+// Short names for record types, compared without case or separators
+const TYPE_ALIASES = {
+  card: 'creditcard',
+  wifi: 'wifipassword',
+  phrase: 'passphrase',
+  recovery: 'passphrase',
+  ssh: 'sshkey',
+  other: 'custom',
+  authenticator: 'otp'
+}
+
+// Weight of a match in each field when ranking
+const FIELD_WEIGHTS = {
+  title: 3,
+  username: 2,
+  website: 2,
+  label: 1,
+  note: 1
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const normalizeType = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const stripProtocol = (value) => value.replace(/^[a-z]+:\/\//, '')
+
+/**
+ * @param {string} query
+ * @returns {ParsedSearchQuery}
+ */
+export const parseSearchQuery = (query) => {
+  /** @type {ParsedSearchQuery} */
+  const parsed = { terms: [], filters: [] }
+
+  for (const match of String(query ?? '').matchAll(TOKEN_PATTERN)) {
+    const [token, negation, key, quotedValue, value, quotedText, text] = match
+    const filterKey = key?.toLowerCase()
+    const filterValue = (quotedValue ?? value ?? '').trim().toLowerCase()
+
+    if (filterKey && FILTER_KEYS.includes(filterKey)) {
+      if (filterValue) {
+        parsed.filters.push({
+          key: filterKey,
+          value: filterValue,
+          isNegated: negation === '-'
+        })
+      }
+      continue
+    }
+
+    const term = (quotedText ?? text ?? token).trim().toLowerCase()
+    if (term) parsed.terms.push(term)
+  }
+
+  return parsed
+}
+
+/**
+ * @param {ParsedSearchQuery} parsed
+ * @returns {boolean}
+ */
+export const isSearchQueryEmpty = (parsed) =>
+  !parsed.terms.length && !parsed.filters.length
+
+/**
+ * `<30d` is newer than 30 days, `>1y` older than a year
+ * @param {VaultRecord} record
+ * @param {string} value
+ * @param {number} now
+ * @returns {boolean}
+ */
+const matchesUpdated = (record, value, now) => {
+  const match = /^([<>])?(\d+)([hdwmy])$/.exec(value)
+  if (!match) return false
+  const [, operator = '<', amount, unit] = match
+  const updatedAt = record.updatedAt ?? record.createdAt
+  if (typeof updatedAt !== 'number') return false
+  const age = now - updatedAt
+  const limit = Number(amount) * DURATION_UNITS_MS[unit]
+  return operator === '<' ? age < limit : age > limit
+}
+
+/**
+ * @param {VaultRecord} record
+ * @param {string} value
+ * @returns {boolean}
+ */
+const matchesHas = (record, value) => {
+  const data = record.data ?? {}
+  switch (value) {
+    case 'otp':
+    case 'totp':
+      return !!record.otpPublic || !!data.otp
+    case 'passkey':
+      return !!data.credential || !!data.passkeyCreatedAt
+    case 'attachment':
+    case 'attachments': {
+      const attachments = record.attachments ?? data.attachments
+      return Array.isArray(attachments) && attachments.length > 0
+    }
+    case 'note':
+    case 'notes':
+      return !!data.note
+    case 'password':
+      return !!data.password
+    case 'url':
+    case 'website':
+      return Array.isArray(data.websites) && data.websites.some(Boolean)
+    case 'field':
+    case 'fields':
+      return Array.isArray(data.customFields) && data.customFields.length > 0
+    default:
+      return false
+  }
+}
+
+/**
+ * @param {VaultRecord} record
+ * @param {SearchFilter} filter
+ * @param {number} now
+ * @returns {boolean}
+ */
+const matchesFilter = (record, { key, value }, now) => {
+  switch (key) {
+    case SEARCH_FILTER_KEYS.TYPE: {
+      const type = normalizeType(value)
+      return normalizeType(record.type) === (TYPE_ALIASES[type] ?? type)
+    }
+    // A folder includes its subfolders
+    case SEARCH_FILTER_KEYS.FOLDER:
+      return isInFolderSubtree(String(record.folder ?? '').toLowerCase(), value)
+    case SEARCH_FILTER_KEYS.URL: {
+      const websites = Array.isArray(record.data?.websites)
+        ? record.data.websites
+        : []
+      return websites.some((website) =>
+        stripProtocol(String(website ?? '').toLowerCase()).includes(
+          stripProtocol(value)
+        )
+      )
+    }
+    case SEARCH_FILTER_KEYS.HAS:
+      return matchesHas(record, value)
+    case SEARCH_FILTER_KEYS.IS:
+      return (value === 'favorite' || value === 'fav') && !!record.isFavorite
+    case SEARCH_FILTER_KEYS.UPDATED:
+      return matchesUpdated(record, value, now)
+    case SEARCH_FILTER_KEYS.TAG:
+      return hasRecordTag(record, value)
+    default:
+      return false
+  }
+}
+
+/**
+ * How well a term matches a text, from 0 (no match) to 1 (exact). Substring
+ * matches rank above letters found in order, which rank higher the closer
+ * together they are.
+ * @param {string} term - Lower-cased
+ * @param {unknown} text
+ * @param {{ isSubstringOnly?: boolean }} [options]
+ * @returns {number}
+ */
+export const getFuzzyScore = (term, text, { isSubstringOnly = false } = {}) => {
+  const haystack = String(text ?? '').toLowerCase()
+  if (!term || !haystack) return 0
+  if (haystack === term) return 1
+
+  const index = haystack.indexOf(term)
+  if (index === 0) return 0.9
+  if (index > 0) return /[a-z0-9]/.test(haystack[index - 1]) ? 0.7 : 0.8
+  if (isSubstringOnly) return 0
+
+  let bestSpan = Infinity
+  for (let start = haystack.indexOf(term[0]); start !== -1;) {
+    let position = start
+    for (const char of term.slice(1)) {
+      position = haystack.indexOf(char, position + 1)
+      if (position === -1) break
+    }
+    if (position === -1) break
+    bestSpan = Math.min(bestSpan, position - start + 1)
+    start = haystack.indexOf(term[0], start + 1)
+  }
+  if (bestSpan === Infinity) return 0
+
+  // Letters spread over a long stretch are more noise than match
+  const density = term.length / bestSpan
+  return density < 0.5 ? 0 : 0.5 * density
+}
+
+/**
+ * @param {VaultRecord} record
+ * @returns {{ text: unknown, weight: number, isSubstringOnly?: boolean }[]}
+ */
+const getSearchableFields = (record) => {
+  const data = record.data ?? {}
+  const websites = Array.isArray(data.websites) ? data.websites : []
+  const customFields = Array.isArray(data.customFields) ? data.customFields : []
+  return [
+    { text: data.title, weight: FIELD_WEIGHTS.title },
+    { text: data.username, weight: FIELD_WEIGHTS.username },
+    { text: data.email, weight: FIELD_WEIGHTS.username },
+    { text: data.name ?? data.fullName, weight: FIELD_WEIGHTS.username },
+    ...websites.map((website) => ({
+      text: stripProtocol(String(website ?? '').toLowerCase()),
+      weight: FIELD_WEIGHTS.website
+    })),
+    ...customFields.map((field) => ({
+      text: field?.name ?? field?.label,
+      weight: FIELD_WEIGHTS.label
+    })),
+    { text: data.note, weight: FIELD_WEIGHTS.note, isSubstringOnly: true }
+  ]
+}
+
+/**
+ * @param {VaultRecord} record
+ * @param {string[]} terms
+ * @returns {number} 0 when a term matches nothing
+ */
+const getRecordScore = (record, terms) => {
+  const fields = getSearchableFields(record)
+  let score = 0
+  for (const term of terms) {
+    let best = 0
+    for (const { text, weight, isSubstringOnly } of fields) {
+      best = Math.max(
+        best,
+        weight * getFuzzyScore(term, text, { isSubstringOnly })
+      )
+    }
+    if (!best) return 0
+    score += best
+  }
+  return score
+}
+
+/**
+ * Records matching every filter and term of the query. With free text the
+ * best matches come first, otherwise the order is kept.
+ * @template {VaultRecord} T
+ * @param {T[] | undefined | null} records
+ * @param {string | ParsedSearchQuery} query
+ * @param {{ now?: number }} [options]
+ * @returns {T[]}
+ */
+export const searchRecords = (records, query, { now = Date.now() } = {}) => {
+  if (!records?.length) return []
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query
+  if (isSearchQueryEmpty(parsed)) return records
+
+  const matches = []
+  for (const record of records) {
+    const passesFilters = parsed.filters.every(
+      (filter) => matchesFilter(record, filter, now) !== filter.isNegated
+    )
+    if (!passesFilters) continue
+    const score = parsed.terms.length ? getRecordScore(record, parsed.terms) : 1
+    if (score > 0) matches.push({ record, score })
+  }
+
+  if (parsed.terms.length) {
+    matches.sort((a, b) => b.score - a.score)
+  }
+  return matches.map(({ record }) => record)
+}
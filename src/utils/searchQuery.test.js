@@ -0,0 +1,149 @@
+import {
+  getFuzzyScore,
+  isSearchQueryEmpty,
+  parseSearchQuery,
+  searchRecords
+} from './searchQuery'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = 100 * DAY_MS
+
+const github = {
+  id: 'github',
+  type: 'login',
+  folder: 'Work',
+  isFavorite: true,
+  updatedAt: NOW - 2 * DAY_MS,
+  otpPublic: { currentCode: '123456' },
+  data: {
+    title: 'GitHub',
+    username: 'octocat',
+    websites: ['https://github.com/login']
+  }
+}
+const bank = {
+  id: 'bank',
+  type: 'login',
+  folder: 'Personal',
+  updatedAt: NOW - 90 * DAY_MS,
+  data: {
+    title: 'Bank',
+    username: 'alice',
+    tags: ['Finance', 'Shared accounts'],
+    websites: ['https://bank.example'],
+    customFields: [{ type: 'note', name: 'Branch code' }]
+  }
+}
+const recipe = {
+  id: 'recipe',
+  type: 'note',
+  updatedAt: NOW - 10 * DAY_MS,
+  data: { title: 'Pancakes', note: 'Ask alice for the github of recipes' }
+}
+const wifi = {
+  id: 'wifi',
+  type: 'wifiPassword',
+  folder: 'Side projects/Office',
+  data: { title: 'Office Wi-Fi' }
+}
+
+const records = [github, bank, recipe, wifi]
+
+const ids = (list) => list.map((record) => record.id)
+
+describe('parseSearchQuery', () => {
+  it('splits filters from free text', () => {
+    expect(
+      parseSearchQuery(
+        'type:login Bank -is:favorite folder:"Side projects" https://a.b'
+      )
+    ).toEqual({
+      terms: ['bank', 'https://a.b'],
+      filters: [
+        { key: 'type', value: 'login', isNegated: false },
+        { key: 'is', value: 'favorite', isNegated: true },
+        { key: 'folder', value: 'side projects', isNegated: false }
+      ]
+    })
+  })
+
+  it('ignores filters without a value', () => {
+    const parsed = parseSearchQuery('  type:  ')
+
+    expect(parsed).toEqual({ terms: [], filters: [] })
+    expect(isSearchQueryEmpty(parsed)).toBe(true)
+  })
+})
+
+describe('getFuzzyScore', () => {
+  it('ranks exact, prefix, word and scattered matches in that order', () => {
+    const exact = getFuzzyScore('git', 'git')
+    const prefix = getFuzzyScore('git', 'github')
+    const word = getFuzzyScore('git', 'my git')
+    const inside = getFuzzyScore('git', 'legit')
+    const scattered = getFuzzyScore('gthb', 'github')
+
+    expect(exact).toBeGreaterThan(prefix)
+    expect(prefix).toBeGreaterThan(word)
+    expect(word).toBeGreaterThan(inside)
+    expect(inside).toBeGreaterThan(scattered)
+    expect(scattered).toBeGreaterThan(0)
+  })
+
+  it('does not match letters spread too far apart', () => {
+    expect(getFuzzyScore('gb', 'github')).toBe(0)
+    expect(getFuzzyScore('xyz', 'github')).toBe(0)
+    expect(getFuzzyScore('gthb', 'github', { isSubstringOnly: true })).toBe(0)
+  })
+})
+
+describe('searchRecords', () => {
+  const search = (query) => ids(searchRecords(records, query, { now: NOW }))
+
+  it('keeps every record for an empty query', () => {
+    expect(search('')).toEqual(ids(records))
+  })
+
+  it('filters by type, folder, website, favorite and attributes', () => {
+    expect(search('type:login')).toEqual(['github', 'bank'])
+    expect(search('type:wifi')).toEqual(['wifi'])
+    expect(search('folder:work')).toEqual(['github'])
+    expect(search('folder:"side projects"')).toEqual(['wifi'])
+    expect(search('url:github.com')).toEqual(['github'])
+    expect(search('has:otp')).toEqual(['github'])
+    expect(search('has:fields')).toEqual(['bank'])
+    expect(search('is:favorite')).toEqual(['github'])
+    expect(search('-is:favorite type:login')).toEqual(['bank'])
+  })
+
+  it('includes subfolders when filtering by folder', () => {
+    expect(search('folder:"side projects/office"')).toEqual(['wifi'])
+    expect(search('folder:side')).toEqual([])
+    expect(search('-folder:"side projects" type:wifi')).toEqual([])
+  })
+
+  it('filters by tag', () => {
+    expect(search('tag:finance')).toEqual(['bank'])
+    expect(search('tag:"shared accounts"')).toEqual(['bank'])
+    expect(search('-tag:finance type:login')).toEqual(['github'])
+  })
+
+  it('filters by when records were last updated', () => {
+    expect(search('updated:<30d')).toEqual(['github', 'recipe'])
+    expect(search('updated:>2m')).toEqual(['bank'])
+    expect(search('updated:soon')).toEqual([])
+  })
+
+  it('ranks free text matches across fields', () => {
+    expect(search('github')).toEqual(['github', 'recipe'])
+    expect(search('alice')).toEqual(['bank', 'recipe'])
+    expect(search('branch')).toEqual(['bank'])
+    expect(search('gthb')).toEqual(['github'])
+  })
+
+  it('needs every term to match', () => {
+    expect(search('alice bank')).toEqual(['bank'])
+    expect(search('type:note alice')).toEqual(['recipe'])
+    expect(search('alice nothing')).toEqual([])
+  })
+})